@@ -0,0 +1,41 @@
+-- ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+-- 🏠 SELECTABLE HOUSE SYSTEMS
+-- ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+--
+-- Stores the user's preferred house system with their horoscope preferences
+-- and allows Porphyry in user_birth_data.
+--
+-- Both tables come from 007_create_user_birth_data_tables, which is not run
+-- everywhere, so each change is skipped when its table is missing.
+--
+-- CREATED: 2026-10-18
+-- VERSION: 1.0
+-- ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+DO $$
+BEGIN
+  IF to_regclass('public.user_horoscope_preferences') IS NOT NULL THEN
+    ALTER TABLE user_horoscope_preferences
+      ADD COLUMN IF NOT EXISTS house_system VARCHAR(20) DEFAULT 'placidus';
+
+    ALTER TABLE user_horoscope_preferences
+      DROP CONSTRAINT IF EXISTS user_horoscope_preferences_house_system_check;
+
+    ALTER TABLE user_horoscope_preferences
+      ADD CONSTRAINT user_horoscope_preferences_house_system_check CHECK (
+        house_system IN ('placidus', 'koch', 'porphyry', 'equal', 'whole_sign', 'regiomontanus', 'campanus')
+      );
+
+    COMMENT ON COLUMN user_horoscope_preferences.house_system IS 'Preferred house system for birth charts (Placidus/Koch fall back above the polar circles)';
+  END IF;
+
+  IF to_regclass('public.user_birth_data') IS NOT NULL THEN
+    ALTER TABLE user_birth_data
+      DROP CONSTRAINT IF EXISTS user_birth_data_house_system_check;
+
+    ALTER TABLE user_birth_data
+      ADD CONSTRAINT user_birth_data_house_system_check CHECK (
+        house_system IN ('placidus', 'koch', 'porphyry', 'equal', 'whole_sign', 'regiomontanus', 'campanus')
+      );
+  END IF;
+END $$;
@@ -0,0 +1,33 @@
+-- ========================================================
+-- 013: USER STREAKS - LOCAL DAY CHECK-INS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Resolve check-in days in the user's timezone instead of UTC
+--
+-- Existing rows keep timezone = NULL. last_check_in on those rows is a UTC
+-- date, so last_check_in_at is backfilled with the moment of the last
+-- check-in; StreakService re-reads it in the user's timezone on their next
+-- check-in and then stores the timezone it used.
+-- ========================================================
+
+ALTER TABLE user_streaks
+  ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS last_check_in_at TIMESTAMPTZ;
+
+-- updated_at only changes on check-in, so it is the best record of when the
+-- last check-in happened. Fall back to noon UTC when the dates disagree.
+UPDATE user_streaks
+SET last_check_in_at = CASE
+    WHEN updated_at::date = last_check_in THEN updated_at AT TIME ZONE 'UTC'
+    ELSE (last_check_in + TIME '12:00') AT TIME ZONE 'UTC'
+  END
+WHERE last_check_in IS NOT NULL
+  AND last_check_in_at IS NULL;
+
+COMMENT ON COLUMN user_streaks.last_check_in IS 'Date of last check-in in the user''s timezone (UTC date for rows with NULL timezone)';
+COMMENT ON COLUMN user_streaks.last_check_in_at IS 'Exact moment of the last check-in';
+COMMENT ON COLUMN user_streaks.timezone IS 'IANA timezone that defines the user''s check-in day (NULL = not yet known)';
+
+-- ========================================================
+-- MIGRATION COMPLETE
+-- ========================================================
@@ -0,0 +1,50 @@
+-- ========================================================
+-- 014: STREAK PROTECTION - FREEZES, REPAIRS, ALLOWANCES
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Keep long streaks alive through missed days
+--
+-- - freeze_tokens: each one covers a missed day, spent automatically
+-- - repairable_streak / repair_available_until: the streak lost in the last
+--   break, which can be restored (paid) until the window closes
+-- - freeze_allowance_month: last month (YYYY-MM, user's local time) in which
+--   the premium monthly freeze allowance was granted
+-- - streak_protection_events: history of every freeze and repair
+-- ========================================================
+
+ALTER TABLE user_streaks
+  ADD COLUMN IF NOT EXISTS freeze_tokens INT DEFAULT 0 NOT NULL CHECK (freeze_tokens >= 0),
+  ADD COLUMN IF NOT EXISTS freeze_allowance_month CHAR(7),
+  ADD COLUMN IF NOT EXISTS repairable_streak INT CHECK (repairable_streak > 0),
+  ADD COLUMN IF NOT EXISTS repair_available_until TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS streak_protection_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL,
+
+  -- freeze_granted | freeze_earned | freeze_purchased | freeze_used | streak_broken | streak_repaired
+  event_type VARCHAR(30) NOT NULL CHECK (event_type IN (
+    'freeze_granted', 'freeze_earned', 'freeze_purchased', 'freeze_used', 'streak_broken', 'streak_repaired'
+  )),
+
+  tokens_delta INT DEFAULT 0 NOT NULL,     -- Change in freeze_tokens
+  streak_value INT,                         -- Streak after the event (lost streak for streak_broken)
+  event_date DATE,                          -- Local day covered or affected
+  cost_points INT DEFAULT 0 NOT NULL,       -- Cosmic points spent
+  source VARCHAR(30),                       -- cosmic_points | purchase | tier name
+  metadata JSONB DEFAULT '{}'::jsonb NOT NULL,
+
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_streak_protection_events_user ON streak_protection_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_streak_protection_events_type ON streak_protection_events(event_type);
+
+COMMENT ON TABLE streak_protection_events IS 'Freeze and repair history for user streaks';
+COMMENT ON COLUMN user_streaks.freeze_tokens IS 'Streak freezes available; each covers one missed day';
+COMMENT ON COLUMN user_streaks.repairable_streak IS 'Streak lost in the last break, restorable until repair_available_until';
+COMMENT ON COLUMN user_streaks.freeze_allowance_month IS 'YYYY-MM of the last monthly freeze allowance';
+
+-- ========================================================
+-- MIGRATION COMPLETE
+-- ========================================================
@@ -0,0 +1,56 @@
+-- ========================================================
+-- 016: STREAK LEADERBOARDS - SCOPES, WINDOWS, PRIVACY
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Friends, country and zodiac sign leaderboards with weekly and
+-- all-time windows, and an opt-out from public boards
+--
+-- - user_streaks gets the leaderboard profile (country, sign, display name,
+--   opt-out) so boards do not depend on a users table
+-- - streak_check_ins keeps one row per local check-in day (weekly boards)
+-- - user_follows holds explicit follow relationships (friends boards)
+-- ========================================================
+
+ALTER TABLE user_streaks
+  ADD COLUMN IF NOT EXISTS country CHAR(2),
+  ADD COLUMN IF NOT EXISTS zodiac_sign VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS display_name VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS leaderboard_opt_out BOOLEAN DEFAULT FALSE NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_streaks_country ON user_streaks(country, current_streak DESC);
+CREATE INDEX IF NOT EXISTS idx_user_streaks_zodiac_sign ON user_streaks(zodiac_sign, current_streak DESC);
+
+CREATE TABLE IF NOT EXISTS streak_check_ins (
+  user_id UUID NOT NULL,
+  check_in_date DATE NOT NULL,              -- Local day of the check-in
+  points_earned INT DEFAULT 0 NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  PRIMARY KEY (user_id, check_in_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_streak_check_ins_date ON streak_check_ins(check_in_date);
+
+CREATE TABLE IF NOT EXISTS user_follows (
+  follower_id UUID NOT NULL,
+  followee_id UUID NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW() NOT NULL,
+  PRIMARY KEY (follower_id, followee_id),
+  CHECK (follower_id <> followee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_follows_followee ON user_follows(followee_id);
+
+-- Seed the weekly window with each user's last known check-in
+INSERT INTO streak_check_ins (user_id, check_in_date, points_earned)
+SELECT user_id, last_check_in, 10
+FROM user_streaks
+WHERE last_check_in IS NOT NULL
+ON CONFLICT (user_id, check_in_date) DO NOTHING;
+
+COMMENT ON COLUMN user_streaks.leaderboard_opt_out IS 'Hide from global, country and sign leaderboards';
+COMMENT ON TABLE streak_check_ins IS 'One row per local check-in day, used by weekly leaderboards';
+COMMENT ON TABLE user_follows IS 'Explicit follow relationships for friends leaderboards';
+
+-- ========================================================
+-- MIGRATION COMPLETE
+-- ========================================================
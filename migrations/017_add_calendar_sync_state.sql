@@ -0,0 +1,14 @@
+-- ========================================================
+-- 017: CALENDAR SYNC STATE
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Per-connection incremental sync state for calendar providers
+--
+-- - sync_state holds provider cursors, e.g. CalDAV ETags per calendar:
+--   { "<calendar url>": { "etags": { "<href>": "<etag>" }, "syncedAt": ... } }
+-- - The calendar tables come from the timing system migration (009), so
+--   this is a no-op where that migration has not been applied
+-- ========================================================
+
+ALTER TABLE IF EXISTS calendar_connections
+  ADD COLUMN IF NOT EXISTS sync_state JSONB DEFAULT '{}'::jsonb NOT NULL;
@@ -0,0 +1,33 @@
+-- ========================================================
+-- 018: ICS CALENDAR FEEDS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Secret-token iCalendar subscription URLs with void Moon periods,
+-- retrograde stations, lunations and best days
+--
+-- - Only the SHA-256 of the token is stored; token_hint shows the first
+--   characters so users can tell feeds apart
+-- - ics_body caches the generated calendar; a nightly job and stale reads
+--   rebuild it
+-- - Revoked feeds keep their row (revoked_at) but stop resolving
+-- ========================================================
+
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  token_hint VARCHAR(8) NOT NULL,
+  name VARCHAR(100) NOT NULL DEFAULT 'Cosmic Timing',
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  activity_types TEXT[] NOT NULL DEFAULT '{}',
+  include_events TEXT[] NOT NULL DEFAULT ARRAY['void_moon', 'retrograde_stations', 'lunations', 'best_days'],
+  ics_body TEXT,
+  generated_at TIMESTAMPTZ,
+  last_accessed_at TIMESTAMPTZ,
+  access_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_user ON calendar_feeds(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_calendar_feeds_refresh ON calendar_feeds(last_accessed_at) WHERE revoked_at IS NULL;
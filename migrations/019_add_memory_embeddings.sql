@@ -0,0 +1,41 @@
+-- ========================================================
+-- 019: MEMORY EMBEDDINGS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Semantic retrieval and near-duplicate detection for AI Coach
+-- memories (user_memories, migration 011)
+--
+-- - embedding is a pgvector column when the extension can be installed,
+--   otherwise REAL[] ranked in process; memoryService detects which
+-- - The vector column has no fixed dimension so switching embedding
+--   models needs no migration; embedding_model keeps vectors from
+--   different models apart. Per-user scans stay small, so no ANN index
+-- - mention_count counts repeated mentions merged into one memory
+-- ========================================================
+
+DO $$
+BEGIN
+  CREATE EXTENSION IF NOT EXISTS vector;
+EXCEPTION WHEN OTHERS THEN
+  RAISE NOTICE 'pgvector unavailable (%), memory embeddings use REAL[]', SQLERRM;
+END $$;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM pg_type WHERE typname = 'vector') THEN
+    ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS embedding vector;
+  ELSE
+    ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS embedding REAL[];
+  END IF;
+END $$;
+
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100);
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS mention_count INTEGER NOT NULL DEFAULT 1;
+
+-- Memories still waiting for an embedding (backfilled on retrieval)
+CREATE INDEX IF NOT EXISTS idx_user_memories_unembedded ON user_memories(user_id)
+  WHERE embedding IS NULL AND resolved = false;
+
+COMMENT ON COLUMN user_memories.embedding IS 'Content embedding (pgvector or REAL[]) for semantic retrieval';
+COMMENT ON COLUMN user_memories.embedding_model IS 'Model that produced embedding; only same-model vectors are compared';
+COMMENT ON COLUMN user_memories.mention_count IS 'Times the memory was mentioned, near duplicates included';
@@ -0,0 +1,27 @@
+-- ========================================================
+-- 020: STRUCTURED MEMORY FIELDS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Fields filled by LLM memory extraction (memoryService)
+--
+-- - subject: who or what the memory is about ("job interview", "mother")
+-- - event_date: the date the memory points at, resolved from phrases like
+--   "next Friday" in the user's timezone; drives coach follow-ups
+-- - expires_at: after this the memory is no longer retrieved
+-- - All mentioned dates are kept in metadata.dates
+-- ========================================================
+
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS subject VARCHAR(100);
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS sentiment VARCHAR(10)
+  CHECK (sentiment IN ('positive', 'negative', 'neutral', 'mixed'));
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS event_date DATE;
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+-- Upcoming dated memories (follow-ups)
+CREATE INDEX IF NOT EXISTS idx_user_memories_event_date ON user_memories(event_date)
+  WHERE resolved = false AND event_date IS NOT NULL;
+
+COMMENT ON COLUMN user_memories.subject IS 'Who or what the memory is about';
+COMMENT ON COLUMN user_memories.sentiment IS 'positive, negative, neutral or mixed';
+COMMENT ON COLUMN user_memories.event_date IS 'Date the memory refers to, in the user''s timezone';
+COMMENT ON COLUMN user_memories.expires_at IS 'Memory is not retrieved after this moment';
@@ -0,0 +1,49 @@
+-- ========================================================
+-- 021: COACH FOLLOW-UPS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Proactive check-ins the day after dated memories (coachFollowUpService)
+--
+-- - One row per memory: a memory is followed up at most once
+-- - status: sending → sent, or deferred (quiet hours, frequency limits;
+--   retried next hour), skipped (user opted out) or failed
+-- - replied_at / reply: the user's first chat message after the follow-up,
+--   used to resolve the memory (memoryService.detectAndResolve)
+-- - coach_followups_enabled: per-user opt-out for this notification type
+-- ========================================================
+
+CREATE TABLE IF NOT EXISTS coach_followups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  memory_id UUID NOT NULL UNIQUE REFERENCES user_memories(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL,
+
+  -- Delivery
+  status VARCHAR(20) NOT NULL DEFAULT 'sending' CHECK (
+    status IN ('sending', 'sent', 'deferred', 'skipped', 'failed', 'resolved')
+  ),
+  session_id UUID,                 -- Coach session the message was added to
+  persona VARCHAR(100),
+  message TEXT,
+  notification_id BIGINT,          -- smart_notifications.id
+  reason VARCHAR(100),             -- Why it was deferred, skipped or failed
+  attempts INTEGER NOT NULL DEFAULT 1,
+  sent_at TIMESTAMPTZ,
+
+  -- User reply
+  replied_at TIMESTAMPTZ,
+  reply TEXT,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Follow-ups awaiting a reply
+CREATE INDEX IF NOT EXISTS idx_coach_followups_awaiting_reply ON coach_followups(user_id, sent_at DESC)
+  WHERE status = 'sent' AND replied_at IS NULL;
+
+ALTER TABLE user_notification_preferences
+  ADD COLUMN IF NOT EXISTS coach_followups_enabled BOOLEAN DEFAULT true;
+
+COMMENT ON TABLE coach_followups IS 'Proactive coach check-ins sent the day after dated memories';
+COMMENT ON COLUMN coach_followups.reason IS 'Blocking reason from the notification engine, or the error';
+COMMENT ON COLUMN user_notification_preferences.coach_followups_enabled IS 'Receive coach check-ins after dated events';
@@ -0,0 +1,47 @@
+-- ========================================================
+-- 022: USER DATA CONTROLS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Memory management and GDPR export/erasure (userDataService)
+--
+-- - user_memories.pinned: the user asked the coach to always remember it;
+--   pinned memories are always in the coach context and never expire
+-- - voice_audio_files: which generated audio files belong to which user,
+--   so they can be exported and erased (files are named by content hash)
+-- - data_privacy_requests: audit trail of exports and erasures. Keyed by a
+--   SHA-256 of the user id so the record outlives the erased account.
+-- ========================================================
+
+ALTER TABLE user_memories ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_user_memories_pinned ON user_memories(user_id)
+  WHERE pinned = true;
+
+CREATE TABLE IF NOT EXISTS voice_audio_files (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  file_name VARCHAR(255) NOT NULL,
+  content_type VARCHAR(50) NOT NULL, -- personalized, horoscope, meditation, affirmation
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE (user_id, file_name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_voice_audio_files_user ON voice_audio_files(user_id);
+
+CREATE TABLE IF NOT EXISTS data_privacy_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id_hash VARCHAR(64) NOT NULL,
+  request_type VARCHAR(20) NOT NULL CHECK (request_type IN ('export', 'erasure')),
+  status VARCHAR(20) NOT NULL DEFAULT 'started' CHECK (status IN ('started', 'completed', 'failed')),
+  summary JSONB DEFAULT '{}'::jsonb, -- Rows per table, files and cache keys
+  error TEXT,
+  requested_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_privacy_requests_user ON data_privacy_requests(user_id_hash, requested_at DESC);
+
+COMMENT ON COLUMN user_memories.pinned IS 'Always included in the coach context; never expires';
+COMMENT ON TABLE voice_audio_files IS 'Generated audio files per user, for export and erasure';
+COMMENT ON TABLE data_privacy_requests IS 'Audit trail of GDPR exports and erasures';
@@ -0,0 +1,23 @@
+-- ========================================================
+-- 023: CHAT SESSION SUMMARIES
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Rolling and cross-session conversation summaries (conversationSummaryService)
+--
+-- - summary: older turns of a long session condensed once its history in
+--   conversation_context exceeds the token budget; prepended to the prompt
+-- - summarized_messages: how many messages the summary covers
+-- - closing_summary: the whole session condensed, written when the user
+--   starts their next session; the latest ones are given to new sessions
+--   as "previous conversations". Rewritten if the session is resumed.
+-- ========================================================
+
+ALTER TABLE chat_sessions
+  ADD COLUMN IF NOT EXISTS summary TEXT,
+  ADD COLUMN IF NOT EXISTS summarized_messages INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS closing_summary TEXT,
+  ADD COLUMN IF NOT EXISTS closing_summary_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN chat_sessions.summary IS 'Rolling summary of turns dropped from conversation_context';
+COMMENT ON COLUMN chat_sessions.closing_summary IS 'Whole-session summary shown to later sessions';
@@ -0,0 +1,33 @@
+-- ========================================================
+-- 024: AI COACH MODEL USAGE
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Routing decisions and spend of AI Coach replies (modelRouterService)
+--
+-- - One row per reply: the model and max_tokens the router picked, the
+--   signals behind it and the tokens and cost actually used
+-- - No user id: rows are aggregated per tier, persona and model, so they
+--   stay after a user's data is erased
+-- - cost_usd is NULL for models without a price (local, fixture)
+-- ========================================================
+
+CREATE TABLE IF NOT EXISTS ai_coach_model_usage (
+  id BIGSERIAL PRIMARY KEY,
+  tier VARCHAR(20) NOT NULL,
+  persona VARCHAR(100),
+  complexity VARCHAR(10) NOT NULL CHECK (complexity IN ('simple', 'complex')),
+  model VARCHAR(100) NOT NULL,
+  max_tokens INTEGER NOT NULL,
+  score INTEGER NOT NULL,
+  reasons JSONB NOT NULL DEFAULT '[]',
+  prompt_tokens INTEGER NOT NULL DEFAULT 0,
+  completion_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd NUMERIC(12, 6),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_coach_model_usage_created
+  ON ai_coach_model_usage (created_at, tier);
+
+COMMENT ON TABLE ai_coach_model_usage IS 'AI Coach model routing decisions and spend per reply';
+COMMENT ON COLUMN ai_coach_model_usage.reasons IS 'Router signals that moved the score, e.g. ["esoteric_topics:tarot", "emotional_support"]';
@@ -0,0 +1,43 @@
+-- ========================================================
+-- 025: AI COACH SAFETY EVENTS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Review queue for high-risk AI Coach messages (safetyService)
+--
+-- - One row per message the safety classifier rated high risk (suicidal
+--   ideation, abuse, medical emergency); the user got crisis resources
+--   instead of a coach reply
+-- - status: pending until someone on the team reviews or dismisses it
+-- - Recent events also suppress upgrade offers for the user
+-- - chat_sessions.flagged_for_review_at marks sessions with events
+-- ========================================================
+
+CREATE TABLE IF NOT EXISTS coach_safety_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  session_id UUID REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+  message_id INTEGER REFERENCES chat_messages(id) ON DELETE SET NULL,
+  risk_level VARCHAR(10) NOT NULL CHECK (risk_level IN ('elevated', 'high')),
+  categories TEXT[] NOT NULL,
+  matched TEXT[] NOT NULL DEFAULT '{}',
+  country VARCHAR(2),
+  language VARCHAR(10),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'reviewed', 'dismissed')),
+  review_note TEXT,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coach_safety_events_pending
+  ON coach_safety_events (created_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_coach_safety_events_user
+  ON coach_safety_events (user_id, created_at DESC);
+
+ALTER TABLE chat_sessions
+  ADD COLUMN IF NOT EXISTS flagged_for_review_at TIMESTAMPTZ;
+
+COMMENT ON TABLE coach_safety_events IS 'High-risk AI Coach messages answered with crisis resources, queued for review';
+COMMENT ON COLUMN coach_safety_events.matched IS 'Classifier phrases that matched, for reviewers';
+COMMENT ON COLUMN chat_sessions.flagged_for_review_at IS 'Last time the safety layer flagged this session';
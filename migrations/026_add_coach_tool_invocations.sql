@@ -0,0 +1,35 @@
+-- ========================================================
+-- 026: AI COACH TOOL INVOCATIONS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Audit trail of the tools the AI Coach calls (coachToolsService)
+--
+-- - One row per tool call the model made: arguments as the model sent
+--   them, outcome, duration and the card shown to the user
+-- - status: success, error (the tool failed) or rejected (unknown tool,
+--   invalid arguments or over the per-reply limit)
+-- - Rows belong to the user and are exported/erased with the coach data
+-- ========================================================
+
+CREATE TABLE IF NOT EXISTS coach_tool_invocations (
+  id BIGSERIAL PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  session_id UUID REFERENCES chat_sessions(session_id) ON DELETE CASCADE,
+  tool_call_id VARCHAR(100),
+  tool VARCHAR(50) NOT NULL,
+  arguments JSONB NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL CHECK (status IN ('success', 'error', 'rejected')),
+  card JSONB,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coach_tool_invocations_user
+  ON coach_tool_invocations (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_coach_tool_invocations_tool
+  ON coach_tool_invocations (tool, created_at);
+
+COMMENT ON TABLE coach_tool_invocations IS 'Tools called by the AI Coach on behalf of a user, with arguments and outcome';
+COMMENT ON COLUMN coach_tool_invocations.card IS 'Structured card returned to the app for this call';
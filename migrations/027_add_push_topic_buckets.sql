@@ -0,0 +1,47 @@
+-- ========================================================
+-- 027: LOCALIZED DAILY PUSH TOPICS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Daily horoscope pushes per sign, language and timezone,
+-- delivered at the hour each user chose (horoscopePushService)
+--
+-- - fcm_tokens learns the sign, language, timezone and delivery hour of
+--   each device, and the topic the server subscribed it to
+--   (daily_<sign>_<language>_<timezone>_<hour>)
+-- - Existing rows keep topic = NULL and stay on the legacy
+--   horoscope_<sign> topics until run-push-topic-migration.js moves them
+-- - push_topic_deliveries records one send per topic and local date, so
+--   overlapping scheduler runs never push the same topic twice
+-- ========================================================
+
+ALTER TABLE fcm_tokens
+  ADD COLUMN IF NOT EXISTS zodiac_sign VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS language_code VARCHAR(5),
+  ADD COLUMN IF NOT EXISTS timezone VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS notification_hour SMALLINT DEFAULT 8 CHECK (notification_hour BETWEEN 0 AND 23),
+  ADD COLUMN IF NOT EXISTS topic VARCHAR(200),
+  ADD COLUMN IF NOT EXISTS topic_subscribed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_fcm_tokens_topic ON fcm_tokens(topic);
+
+CREATE TABLE IF NOT EXISTS push_topic_deliveries (
+  id BIGSERIAL PRIMARY KEY,
+  topic VARCHAR(200) NOT NULL,
+  local_date DATE NOT NULL,
+  zodiac_sign VARCHAR(20) NOT NULL,
+  language_code VARCHAR(5) NOT NULL,
+  timezone VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  message_id VARCHAR(255),
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (topic, local_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_topic_deliveries_date ON push_topic_deliveries(local_date, status);
+
+COMMENT ON COLUMN fcm_tokens.topic IS 'Daily horoscope topic the server subscribed this token to (NULL = legacy horoscope_<sign> topic)';
+COMMENT ON COLUMN fcm_tokens.notification_hour IS 'Local hour (0-23) the user wants the daily horoscope push';
+COMMENT ON TABLE push_topic_deliveries IS 'One daily horoscope push per topic and local date';
@@ -0,0 +1,44 @@
+-- ========================================================
+-- 028: DAILY HOROSCOPE QUALITY GATE
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Quality status of each daily horoscope and the admin review
+-- queue for the ones that failed every attempt (horoscopeQualityService)
+--
+-- - daily_horoscopes.quality_status: passed, pending_review (served while
+--   it waits), held (not served until approved), approved or edited
+-- - quality_issues: what the gate found in the stored attempt
+-- - horoscope_reviews: one row per sign, language and date with the issues
+--   of every attempt; approving or editing it updates daily_horoscopes
+-- - Existing rows are considered passed
+-- ========================================================
+
+ALTER TABLE daily_horoscopes
+  ADD COLUMN IF NOT EXISTS quality_status VARCHAR(20) NOT NULL DEFAULT 'passed'
+    CHECK (quality_status IN ('passed', 'pending_review', 'held', 'approved', 'edited')),
+  ADD COLUMN IF NOT EXISTS quality_issues JSONB;
+
+CREATE TABLE IF NOT EXISTS horoscope_reviews (
+  id BIGSERIAL PRIMARY KEY,
+  sign VARCHAR(50) NOT NULL,
+  language_code VARCHAR(10) NOT NULL,
+  date DATE NOT NULL,
+  held BOOLEAN NOT NULL DEFAULT FALSE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'edited')),
+  attempts INTEGER NOT NULL DEFAULT 1,
+  issues JSONB NOT NULL DEFAULT '[]',
+  candidate JSONB NOT NULL,
+  edited_content JSONB,
+  review_note TEXT,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (sign, language_code, date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_horoscope_reviews_status
+  ON horoscope_reviews (status, held, date);
+
+COMMENT ON COLUMN daily_horoscopes.quality_status IS 'Quality gate outcome; held rows are not served until an admin approves them';
+COMMENT ON TABLE horoscope_reviews IS 'Daily horoscopes that failed the quality gate on every attempt, for admin review';
+COMMENT ON COLUMN horoscope_reviews.issues IS 'Issues found in each attempt, oldest first';
@@ -0,0 +1,63 @@
+-- ========================================================
+-- 029: HOROSCOPE CONTENT REVISIONS
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: History of every daily and weekly horoscope write, with
+-- rollback and pins (horoscopeRevisionService)
+--
+-- - horoscope_revisions: one immutable row per write (UPDATE and DELETE
+--   are rejected), numbered per sign, language and date/week, with the
+--   author type (cron, admin, mcp, api, system), model and prompt version
+-- - Revisions are kept when cleanup deletes the served row
+-- - daily_horoscopes / weekly_horoscopes point at their current revision;
+--   pinned rows are only changed by explicit edits and rollbacks
+-- - Rows written before this migration have no revisions until their
+--   next write
+-- ========================================================
+
+CREATE TABLE IF NOT EXISTS horoscope_revisions (
+  id BIGSERIAL PRIMARY KEY,
+  kind VARCHAR(10) NOT NULL CHECK (kind IN ('daily', 'weekly')),
+  sign VARCHAR(50) NOT NULL,
+  language_code VARCHAR(10) NOT NULL,
+  period DATE NOT NULL,
+  revision INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  author_type VARCHAR(10) NOT NULL CHECK (author_type IN ('cron', 'admin', 'mcp', 'api', 'system')),
+  author VARCHAR(255),
+  model VARCHAR(100),
+  prompt_version VARCHAR(50),
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (kind, sign, language_code, period, revision)
+);
+
+CREATE OR REPLACE FUNCTION reject_horoscope_revision_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'horoscope_revisions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_horoscope_revisions_immutable ON horoscope_revisions;
+CREATE TRIGGER trigger_horoscope_revisions_immutable
+  BEFORE UPDATE OR DELETE ON horoscope_revisions
+  FOR EACH ROW
+  EXECUTE FUNCTION reject_horoscope_revision_changes();
+
+ALTER TABLE daily_horoscopes
+  ADD COLUMN IF NOT EXISTS current_revision INTEGER,
+  ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS pinned_by VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMPTZ;
+
+ALTER TABLE weekly_horoscopes
+  ADD COLUMN IF NOT EXISTS current_revision INTEGER,
+  ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS pinned_by VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMPTZ;
+
+COMMENT ON TABLE horoscope_revisions IS 'Immutable history of daily and weekly horoscope content';
+COMMENT ON COLUMN horoscope_revisions.period IS 'date of a daily horoscope, week_start of a weekly one';
+COMMENT ON COLUMN daily_horoscopes.pinned IS 'Pinned content is only replaced by explicit edits and rollbacks';
+COMMENT ON COLUMN weekly_horoscopes.pinned IS 'Pinned content is only replaced by explicit edits and rollbacks';
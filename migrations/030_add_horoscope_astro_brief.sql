@@ -0,0 +1,23 @@
+-- ========================================================
+-- 030: ASTRO BRIEF OF EACH SIGN HOROSCOPE
+-- ========================================================
+-- Created: 2026-10-18
+-- Purpose: Store the computed sky each daily and weekly horoscope was
+-- written from (astroBriefService), so the app can show why it says what
+-- it says
+--
+-- - astro_brief: Sun, Moon (sign and phase), ruling planets, retrogrades
+--   and the exact events of the period (ingresses, stations, aspects,
+--   lunations), each with its solar house for the sign
+-- - NULL for rows written without a brief (mock mode, n8n, fallbacks and
+--   rows from before this migration)
+-- ========================================================
+
+ALTER TABLE daily_horoscopes
+  ADD COLUMN IF NOT EXISTS astro_brief JSONB;
+
+ALTER TABLE weekly_horoscopes
+  ADD COLUMN IF NOT EXISTS astro_brief JSONB;
+
+COMMENT ON COLUMN daily_horoscopes.astro_brief IS 'Sky of the day in solar houses for the sign, fed into the prompt';
+COMMENT ON COLUMN weekly_horoscopes.astro_brief IS 'Sky of the week in solar houses for the sign, fed into the prompt';
@@ -0,0 +1,52 @@
+/**
+ * 📲 PUSH TOPIC MIGRATION RUNNER
+ *
+ * Moves devices registered before localized push topics (fcm_tokens rows
+ * with topic IS NULL, still on horoscope_<sign>) to their
+ * daily_<sign>_<language>_<timezone>_<hour> topic. Requires migration 027.
+ *
+ * Usage: node run-push-topic-migration.js [--dry-run] [--batch-size=500]
+ */
+
+const db = require('./src/config/db');
+const firebaseService = require('./src/services/firebaseService');
+const horoscopePushService = require('./src/services/horoscopePushService');
+
+async function runMigration() {
+  const dryRun = process.argv.includes('--dry-run');
+  const batchArg = process.argv.find(arg => arg.startsWith('--batch-size='));
+  const batchSize = batchArg ? parseInt(batchArg.split('=')[1], 10) : undefined;
+
+  try {
+    console.log(`🔄 Migrating legacy push topic subscriptions${dryRun ? ' (dry run)' : ''}...`);
+
+    await db.testConnection();
+    await firebaseService.initialize();
+
+    const results = await horoscopePushService.migrateLegacySubscriptions({ batchSize, dryRun });
+
+    console.log(`📋 Scanned ${results.scanned} tokens`);
+    console.log(`   - ${dryRun ? 'Would migrate' : 'Migrated'}: ${results.migrated}`);
+    console.log(`   - Skipped (sign unknown): ${results.skipped}`);
+    console.log(`   - Failed: ${results.failed}`);
+    console.log(`🔍 Topics: ${Object.keys(results.topics).length}`);
+    Object.entries(results.topics).forEach(([topic, count]) => {
+      console.log(`   - ${topic}: ${count}`);
+    });
+
+    console.log('\n🎉 Push topic migration completed');
+    process.exit(results.failed > 0 ? 1 : 0);
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+  runMigration();
+}
+
+module.exports = { runMigration };
@@ -252,7 +252,12 @@ loadRoute('/api/admin', './routes/admin', 'Admin routes');
 loadRoute('/api/monitoring', './routes/monitoring', 'Monitoring routes');
 loadRoute('/api/notifications', './routes/notification', 'Notification routes');
 loadRoute('/api/neural-compatibility', './routes/neuralCompatibility', 'Neural Compatibility routes');
+loadRoute('/api/advanced-compatibility', './routes/advancedCompatibility', 'Advanced Compatibility routes');
+loadRoute('/api/personalized-horoscope', './routes/personalizedHoroscope', 'Personalized horoscope and birth chart routes');
 loadRoute('/api/ai-coach', './routes/aiCoach', 'AI Coach real-time chat with horoscopeData');
+loadRoute('/api/streaks', './routes/streaks', 'Streak routes (freezes and repairs)');
+loadRoute('/api/calendar-feeds', './routes/calendarFeeds', 'ICS calendar feed routes');
+loadRoute('/api/timing', './routes/timing', 'Timing and calendar sync routes (Google, Apple, Outlook)');
 loadRoute('/api/ai/goals', './routes/goalPlanner', 'Goal Planner routes (Stellar Premium)');
 loadRoute('/api/generate', './routes/generation', 'Horoscope Generation routes (Admin)');
 
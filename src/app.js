@@ -11,6 +11,7 @@ const logger = require("./services/loggingService");
 const cacheService = require("./services/cacheService");
 const circuitBreaker = require("./services/circuitBreakerService");
 const firebaseService = require("./services/firebaseService");
+const llmService = require("./services/llmService");
 const redisService = require("./services/redisService");
 const voiceAIService = require("./services/voiceAIService");
 
@@ -23,14 +24,20 @@ const monitoringRoutes = require("./routes/monitoring");
 const receiptRoutes = require("./routes/receipts");
 const compatibilityRoutes = require("./routes/compatibility");
 const neuralCompatibilityRoutes = require("./routes/neuralCompatibility");
+const advancedCompatibilityRoutes = require("./routes/advancedCompatibility");
 const aiCoachRoutes = require("./routes/aiCoach");
 const personalizationRoutes = require("./routes/personalization");
+const personalizedHoroscopeRoutes = require("./routes/personalizedHoroscope");
 const goalPlannerRoutes = require("./routes/goalPlanner");
 const voiceAIRoutes = require("./routes/voiceAI");
+const streakRoutes = require("./routes/streaks");
+const calendarFeedRoutes = require("./routes/calendarFeeds");
+const userDataRoutes = require("./routes/userData");
 // Temporarily disabled predictions routes due to middleware issues
 // const predictionsRoutes = require("./routes/predictions");
 // const verifiablePredictionsRoutes = require("./routes/verifiablePredictions");
 // const astrologicalTimingRoutes = require("./routes/astrologicalTiming");
+const timingRoutes = require("./routes/timing");
 // Temporarily disabled MCP routes due to import issues
 // const mcpRoutes = require("./routes/mcp");
 
@@ -299,12 +306,18 @@ app.use("/api/monitoring", monitoringRoutes); // Production monitoring routes
 app.use("/api/receipts", receiptRoutes); // App Store receipt validation (critical for App Store approval)
 app.use("/api/compatibility", endpointLimits.api, compatibilityRoutes);
 app.use("/api/neural-compatibility", neuralCompatibilityRoutes); // Neural-enhanced compatibility analysis with custom rate limiting
+app.use("/api/advanced-compatibility", advancedCompatibilityRoutes); // Synastry, composite/Davison charts and PDF reports
 app.use("/api/ai-coach", aiCoachRoutes); // AI Coach real-time chat functionality with premium validation
 app.use("/api/personalization", personalizationRoutes); // Hiperpersonal horoscope system with Swiss Ephemeris calculations
+app.use("/api/personalized-horoscope", personalizedHoroscopeRoutes); // Birth charts (selectable house system), transits and personalized horoscopes
 app.use("/api/ai/goals", goalPlannerRoutes); // AI-powered Goal Planner for Stellar tier with SMART goals and progress tracking
 app.use("/api/voice", endpointLimits.api, voiceAIRoutes); // Voice AI responses with OpenAI TTS (premium feature)
+app.use("/api/streaks", streakRoutes); // Daily streaks, freezes and repairs
+app.use("/api/calendar-feeds", calendarFeedRoutes); // Tokenized .ics feeds of void Moons, stations, lunations and best days
+app.use("/api/user-data", userDataRoutes); // Memory management and GDPR export/erasure
 // app.use("/api/predictions", predictionsRoutes); // Basic predictions system - temporarily disabled
 // app.use("/api/verifiable-predictions", verifiablePredictionsRoutes); // AI-powered verifiable predictions with astrological timing and accuracy tracking
+app.use("/api/timing", timingRoutes); // Timing recommendations and Google/Apple (CalDAV)/Outlook calendar sync
 // app.use("/api/timing", astrologicalTimingRoutes); // Advanced astrological timing intelligence with planetary hours, lunar cycles, and personalized recommendations
 // Temporarily disabled MCP routes
 // app.use("/api/mcp", mcpRoutes); // Model Context Protocol integration routes // Zodiac compatibility analysis
@@ -373,7 +386,19 @@ app.get('/api/docs', (req, res) => {
         'GET /api/admin/analytics': 'System analytics (requires admin_key)',
         'POST /api/admin/force-weekly': 'Force weekly horoscope generation (requires admin_key)',
         'POST /api/admin/cleanup': 'System cleanup (requires admin_key)',
-        'GET /api/admin/system-status': 'Detailed system status (requires admin_key)'
+        'GET /api/admin/system-status': 'Detailed system status (requires admin_key)',
+        'GET /api/admin/coach-spend': 'AI Coach model spend per tier (requires admin_key)',
+        'GET /api/admin/safety-reviews': 'AI Coach messages flagged by the safety layer (requires admin_key)',
+        'POST /api/admin/safety-reviews/:id': 'Mark a safety flag as reviewed or dismissed (requires admin_key)',
+        'GET /api/admin/horoscope-reviews': 'Daily horoscopes that failed the quality gate (requires admin_key)',
+        'POST /api/admin/horoscope-reviews/:id/approve': 'Approve a reviewed daily horoscope as is (requires admin_key)',
+        'POST /api/admin/horoscope-reviews/:id/edit': 'Replace a reviewed daily horoscope with an edited version (requires admin_key)',
+        'GET /api/admin/horoscope-revisions/:kind/:sign/:language/:period': 'Revision history of a daily or weekly horoscope (requires admin_key)',
+        'GET /api/admin/horoscope-revisions/:kind/:sign/:language/:period/:revision': 'One horoscope revision with its content (requires admin_key)',
+        'GET /api/admin/horoscope-revisions/:kind/:sign/:language/:period/diff': 'Field-level diff between two revisions (requires admin_key)',
+        'POST /api/admin/horoscope-revisions/:kind/:sign/:language/:period/edit': 'Edit a horoscope as a new revision, optionally pinned (requires admin_key)',
+        'POST /api/admin/horoscope-revisions/:kind/:sign/:language/:period/rollback': 'Restore an earlier revision (requires admin_key)',
+        'POST /api/admin/horoscope-revisions/:kind/:sign/:language/:period/pin': 'Pin or unpin a horoscope against scheduled reruns (requires admin_key)'
       },
       mcp: {
         'POST /api/mcp/start': 'Start MCP server (requires admin_key)',
@@ -462,7 +487,8 @@ const server = app.listen(PORT, () => {
     logger.getLogger().info(`🔒 Security: Helmet, Rate limiting, Circuit breakers enabled`);
     logger.getLogger().info(`🔥 Firebase: ${firebaseService.getStatus().initialized ? 'Initialized ✅' : 'Mock mode ⚠️'}`);
     logger.getLogger().info(`💾 Cache: ${cacheService.getStats().mode} mode`);
-    logger.getLogger().info(`🤖 OpenAI: ${process.env.OPENAI_API_KEY ? 'Configured ✅' : 'Not configured ❌'}`);
+    const llmStatus = llmService.getStatus();
+    logger.getLogger().info(`🤖 LLM: ${llmStatus.defaultProvider} (${llmStatus.features.coach.available ? 'Configured ✅' : 'Not configured ❌'})`);
     logger.getLogger().info(`⚡ Features: Automated Daily + Weekly horoscopes with Circuit Breakers`);
     logger.getLogger().info(`🎯 Manual generation: /api/generate endpoints with enhanced reliability`);
 
@@ -0,0 +1,119 @@
+// LLM Provider Configuration
+// Backends and per-feature model routing used by llmService
+
+/**
+ * Provider backends
+ * - openai: OpenAI API (chat, TTS, images, embeddings)
+ * - anthropic: Anthropic Messages API or a compatible server (chat)
+ * - local: OpenAI-compatible local server such as Ollama or llama.cpp (chat, embeddings)
+ * - fixture: deterministic offline responses for tests and development
+ */
+const PROVIDERS = {
+  openai: {
+    type: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    defaultModel: 'gpt-4o-mini',
+    embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+  },
+  anthropic: {
+    type: 'anthropic',
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    apiVersion: '2023-06-01',
+    defaultModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    defaultMaxTokens: 1024, // The Messages API requires max_tokens
+    timeout: 60000
+  },
+  local: {
+    type: 'openai-compatible',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local', // Ollama and llama.cpp ignore the key
+    baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+    defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+    embeddingModel: process.env.LOCAL_EMBEDDING_MODEL || 'nomic-embed-text'
+  },
+  fixture: {
+    type: 'fixture',
+    fixturesPath: process.env.LLM_FIXTURES_PATH, // Optional JSON file: { "<feature>": "<response>" }
+    chunkDelayMs: 0,
+    embeddingDimensions: 256
+  }
+};
+
+/**
+ * Features that call a model. Each routes to LLM_PROVIDER unless LLM_ROUTES
+ * overrides it, e.g.
+ *   LLM_ROUTES='{"coach":"anthropic:claude-3-5-sonnet-latest","timing":{"provider":"local"}}'
+ *
+ * Without a model in the route, OpenAI keeps the model chosen by the caller
+ * and other providers use their defaultModel (embeddingModel for embeddings).
+ */
+const FEATURES = {
+  coach: 'AI Coach chat replies',
+  coach_memory: 'AI Coach memory summaries',
+  memory_extraction: 'AI Coach long-term memory extraction (type, dates, expiry)',
+  coach_followup: 'AI Coach check-ins the day after dated memories',
+  coach_summary: 'AI Coach conversation summaries (long sessions, previous conversations)',
+  horoscope: 'Daily and weekly horoscope generation',
+  horoscope_enhanced: 'Enhanced horoscope generation with circuit breaker',
+  horoscope_personalized: 'Birth-chart personalized horoscopes',
+  goal_planner: 'Goal planner and goal generation SMART goals',
+  prediction: 'Verifiable predictions',
+  timing: 'Astrological timing explanations',
+  notifications: 'Smart notification copy',
+  voice: 'Text-to-speech narration',
+  images: 'Horoscope image generation',
+  embeddings: 'AI Coach memory embeddings for semantic retrieval'
+};
+
+/**
+ * Prices in USD per million tokens, for cost tracking. Models missing here
+ * (local servers, fixtures) are recorded without a cost.
+ */
+const MODEL_PRICING = {
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'claude-3-5-sonnet-latest': { input: 3.00, output: 15.00 },
+  'claude-3-5-haiku-latest': { input: 0.80, output: 4.00 }
+};
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER ||
+  (process.env.NODE_ENV === 'test' ? 'fixture' : 'openai');
+
+/**
+ * Parse LLM_ROUTES: values are "provider", "provider:model" or
+ * { provider, model } objects
+ */
+function parseRoutes(raw) {
+  if (!raw) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    console.warn('⚠️ LLM_ROUTES is not valid JSON, ignoring it:', error.message);
+    return {};
+  }
+
+  const routes = {};
+  for (const [feature, value] of Object.entries(parsed)) {
+    if (typeof value === 'string') {
+      const [provider, ...model] = value.split(':');
+      routes[feature] = { provider, model: model.join(':') || undefined };
+    } else if (value && typeof value === 'object') {
+      routes[feature] = { provider: value.provider, model: value.model };
+    }
+  }
+  return routes;
+}
+
+const ROUTES = parseRoutes(process.env.LLM_ROUTES);
+
+module.exports = {
+  PROVIDERS,
+  FEATURES,
+  MODEL_PRICING,
+  DEFAULT_PROVIDER,
+  ROUTES,
+  parseRoutes
+};
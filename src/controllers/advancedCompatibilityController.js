@@ -7,6 +7,7 @@
  * - Timeline predictions
  * - Matching algorithm
  * - Milestone predictions
+ * - Composite and Davison relationship charts
  * - PDF report generation
  * - User profile management
  *
@@ -16,12 +17,13 @@
 const logger = require('../services/loggingService');
 const compatibilityEngine = require('../services/compatibilityEngine');
 const reportGenerator = require('../services/compatibilityReportGenerator');
+const { HOUSE_SYSTEMS } = require('../services/ephemerisService');
 const db = require('../config/db');
 
 class AdvancedCompatibilityController {
   /**
    * ANALYZE DEEP COMPATIBILITY
-   * POST /api/v2/compatibility/analyze
+   * POST /api/advanced-compatibility/analyze
    *
    * Body:
    * {
@@ -29,6 +31,11 @@ class AdvancedCompatibilityController {
    *   user2: { userId, sunSign, moonSign?, risingSign?, venusSign?, marsSign?, mercurySign?, birthData? },
    *   relationType: 'romantic' | 'friendship' | 'business'
    * }
+   *
+   * birthData: { date: 'YYYY-MM-DD', time: 'HH:mm', latitude, longitude, timezone?, houseSystem? }
+   * When both users send it, compatibility.birthChartAnalysis holds the synastry
+   * (cross-chart aspects, house overlays, key connections, soul mate indicators)
+   * and scores.synastry feeds half of the overall score.
    */
   async analyzeCompatibility(req, res) {
     try {
@@ -106,7 +113,7 @@ class AdvancedCompatibilityController {
 
   /**
    * GET COMPATIBILITY TIMELINE
-   * POST /api/v2/compatibility/timeline
+   * POST /api/advanced-compatibility/timeline
    *
    * Body:
    * {
@@ -159,7 +166,7 @@ class AdvancedCompatibilityController {
 
   /**
    * FIND MATCHES
-   * POST /api/v2/compatibility/matches
+   * POST /api/advanced-compatibility/matches
    *
    * Body:
    * {
@@ -230,7 +237,7 @@ class AdvancedCompatibilityController {
 
   /**
    * PREDICT RELATIONSHIP MILESTONES
-   * POST /api/v2/compatibility/milestones
+   * POST /api/advanced-compatibility/milestones
    *
    * Body:
    * {
@@ -282,19 +289,96 @@ class AdvancedCompatibilityController {
     }
   }
 
+  /**
+   * GET RELATIONSHIP CHARTS
+   * POST /api/advanced-compatibility/relationship-chart
+   *
+   * Body:
+   * {
+   *   user1: { userId, birthData },
+   *   user2: { userId, birthData },
+   *   chartType: 'composite' | 'davison' | 'both',
+   *   houseSystem?: 'placidus' | 'koch' | 'porphyry' | 'equal' | 'whole_sign' | 'regiomontanus' | 'campanus'
+   * }
+   *
+   * Returns chart JSON (planets with sign, degree and house; cusps; angles;
+   * aspects; interpretation sections) ready for the app's chart wheel.
+   */
+  async getRelationshipCharts(req, res) {
+    try {
+      const { user1, user2, chartType = 'both', houseSystem } = req.body;
+
+      if (!['composite', 'davison', 'both'].includes(chartType)) {
+        return res.status(400).json({
+          success: false,
+          error: 'chartType must be composite, davison or both',
+          code: 'INVALID_CHART_TYPE'
+        });
+      }
+
+      if (houseSystem && !HOUSE_SYSTEMS.includes(houseSystem)) {
+        return res.status(400).json({
+          success: false,
+          error: `houseSystem must be one of: ${HOUSE_SYSTEMS.join(', ')}`,
+          code: 'INVALID_HOUSE_SYSTEM'
+        });
+      }
+
+      if (!compatibilityEngine.hasBirthData(user1) || !compatibilityEngine.hasBirthData(user2)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Birth date, time and location are required for both users',
+          code: 'MISSING_BIRTH_DATA'
+        });
+      }
+
+      const subscriptionTier = req.user?.subscriptionTier || 'free';
+      const charts = await compatibilityEngine.calculateRelationshipCharts(user1, user2, { chartType, houseSystem });
+
+      logger.getLogger().info('Relationship charts calculated', {
+        controller: 'advanced_compatibility',
+        chartType,
+        houseSystem: houseSystem || 'default',
+        tier: subscriptionTier
+      });
+
+      res.json({
+        success: true,
+        charts,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      logger.logError(error, {
+        controller: 'advanced_compatibility',
+        endpoint: 'relationship_charts'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Relationship chart calculation failed',
+        code: 'RELATIONSHIP_CHART_ERROR'
+      });
+    }
+  }
+
   /**
    * GENERATE PDF REPORT
-   * POST /api/v2/compatibility/report
+   * POST /api/advanced-compatibility/report
    *
    * Body:
    * {
    *   checkId: 'check_xxx',
-   *   reportType: 'basic' | 'premium' | 'elite'
+   *   reportType: 'basic' | 'premium' | 'elite',
+   *   user1?: { birthData }, user2?: { birthData }
    * }
+   *
+   * With both users' birth data, premium and elite reports include the
+   * composite and Davison chart interpretation.
    */
   async generateReport(req, res) {
     try {
-      const { checkId, reportType = 'premium' } = req.body;
+      const { checkId, reportType = 'premium', user1, user2 } = req.body;
 
       if (!checkId) {
         return res.status(400).json({
@@ -333,6 +417,19 @@ class AdvancedCompatibilityController {
         });
       }
 
+      if (reportType !== 'basic' && compatibilityEngine.hasBirthData(user1) && compatibilityEngine.hasBirthData(user2)) {
+        // The charts are an optional section; a failure should not cost the whole PDF
+        try {
+          compatibility.relationshipCharts = await compatibilityEngine.calculateRelationshipCharts(user1, user2);
+        } catch (error) {
+          logger.logError(error, {
+            controller: 'advanced_compatibility',
+            endpoint: 'generate_report',
+            step: 'relationship_charts'
+          });
+        }
+      }
+
       // Generate PDF report
       const report = await reportGenerator.generateReport(compatibility, reportType);
 
@@ -365,7 +462,7 @@ class AdvancedCompatibilityController {
 
   /**
    * GET USER PROFILE
-   * GET /api/v2/compatibility/profile/:userId
+   * GET /api/advanced-compatibility/profile/:userId
    */
   async getUserProfile(req, res) {
     try {
@@ -410,7 +507,7 @@ class AdvancedCompatibilityController {
 
   /**
    * CREATE/UPDATE USER PROFILE
-   * POST /api/v2/compatibility/profile
+   * POST /api/advanced-compatibility/profile
    *
    * Body:
    * {
@@ -521,7 +618,7 @@ class AdvancedCompatibilityController {
 
   /**
    * GET COMPATIBILITY HISTORY
-   * GET /api/v2/compatibility/history/:userId
+   * GET /api/advanced-compatibility/history/:userId
    */
   async getCompatibilityHistory(req, res) {
     try {
@@ -562,7 +659,7 @@ class AdvancedCompatibilityController {
 
   /**
    * SUBMIT COMPATIBILITY FEEDBACK
-   * POST /api/v2/compatibility/feedback
+   * POST /api/advanced-compatibility/feedback
    *
    * Body:
    * {
@@ -632,7 +729,7 @@ class AdvancedCompatibilityController {
 
   /**
    * GET SERVICE STATUS
-   * GET /api/v2/compatibility/status
+   * GET /api/advanced-compatibility/status
    */
   async getServiceStatus(req, res) {
     try {
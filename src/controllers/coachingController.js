@@ -1,13 +1,35 @@
+const moment = require("moment-timezone");
 const db = require("../config/db");
 const weeklyController = require("./weeklyController");
 const aiCoachService = require("../services/aiCoachService");
+const horoscopeGenerator = require("../services/horoscopeGenerator");
+const localContextService = require("../services/localContextService");
 const logger = require("../services/loggingService");
 const { body, validationResult } = require("express-validator");
 const { normalizeSignName } = require("../utils/signTranslations");
 
+/**
+ * Today's date in the user's timezone (or their country's), falling back
+ * to the server date
+ * @returns {string} YYYY-MM-DD
+ */
+function resolveLocalDate(timezone, country) {
+  if (timezone && moment.tz.zone(timezone)) {
+    return moment().tz(timezone).format("YYYY-MM-DD");
+  }
+
+  if (country) {
+    return moment()
+      .tz(localContextService._getTimezone(String(country).toUpperCase()))
+      .format("YYYY-MM-DD");
+  }
+
+  return moment().format("YYYY-MM-DD");
+}
+
 class CoachingController {
   async getDailyHoroscope(req, res) {
-    const { sign, language, lang, date: requestedDate } = req.query;
+    const { sign, language, lang, date: requestedDate, timezone, country } = req.query;
 
     // Support both 'language' and 'lang' parameters for compatibility
     const languageCode = language || lang;
@@ -15,20 +37,18 @@ class CoachingController {
     // Normalizar el nombre del signo (inglés → español)
     const normalizedSign = normalizeSignName(sign);
 
+    // "Today" is the user's local date, not the server's
+    const date = requestedDate || resolveLocalDate(timezone, country);
+
     try {
-      const query = `
-        SELECT * FROM daily_horoscopes
-        WHERE date = COALESCE($3::date, CURRENT_DATE)
-        AND sign ILIKE $1 AND language_code = $2
-        LIMIT 1;
-      `;
-      const result = await db.query(query, [normalizedSign, languageCode, requestedDate || null]);
+      // Generated on demand (once, under a lock) if the scheduled run hasn't reached it yet
+      const horoscope = await horoscopeGenerator.ensureDailyHoroscope(normalizedSign, languageCode, date);
 
-      if (result.rows.length === 0) {
+      if (!horoscope) {
         return res.status(404).json({ error: "No horoscope found" });
       }
 
-      res.json(result.rows[0]);
+      res.json(horoscope);
     } catch (error) {
       console.error("DB error:", error);
       res.status(500).json({ error: "Internal server error" });
@@ -48,6 +68,7 @@ class CoachingController {
       const query = `
         SELECT * FROM daily_horoscopes
         WHERE date = CURRENT_DATE
+        AND quality_status <> 'held'
         AND ($1::text IS NULL OR language_code = $1)
         AND ($2::text IS NULL OR sign ILIKE $2)
         ORDER BY sign;
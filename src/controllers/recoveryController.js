@@ -1,5 +1,6 @@
 const db = require("../config/db");
 const weeklyController = require("./weeklyController");
+const horoscopeRevisionService = require("../services/horoscopeRevisionService");
 const moment = require('moment');
 
 class RecoveryController {
@@ -48,8 +49,10 @@ class RecoveryController {
   
   /**
    * Generate fallback weekly horoscopes from daily ones
+   * @param {Array} missing - From weeklyController.checkMissingWeeklyHoroscopes
+   * @param {Object} source - Revision author (see horoscopeRevisionService.save)
    */
-  async generateFallbackWeeklies(missing) {
+  async generateFallbackWeeklies(missing, source = { authorType: 'admin', author: 'force-weekly' }) {
     const results = {
       success: 0,
       errors: 0,
@@ -73,26 +76,19 @@ class RecoveryController {
           const weekStart = moment().startOf('isoWeek').format('YYYY-MM-DD');
           const weekEnd = moment().endOf('isoWeek').format('YYYY-MM-DD');
           
-          const insertQuery = `
-            INSERT INTO weekly_horoscopes (sign, language_code, week_start, week_end, content)
-            VALUES ($1, $2, $3, $4, $5)
-            ON CONFLICT (sign, language_code, week_start)
-            DO UPDATE SET content = $5, updated_at = NOW()
-          `;
-          
-          await db.query(insertQuery, [
-            item.sign, 
-            item.language_code, 
-            weekStart, 
-            weekEnd, 
-            weeklyContent
-          ]);
+          const saved = await horoscopeRevisionService.save('weekly', {
+            sign: item.sign,
+            language_code: item.language_code,
+            period: weekStart,
+            content: weeklyContent,
+            fields: { week_end: weekEnd, astro_brief: null }
+          }, source);
           
           results.success++;
           results.details.push({
             sign: item.sign,
             language: item.language_code,
-            status: 'generated_from_daily'
+            status: saved.stored ? 'generated_from_daily' : 'pinned'
           });
           
         } else {
@@ -102,26 +98,19 @@ class RecoveryController {
           const weekStart = moment().startOf('isoWeek').format('YYYY-MM-DD');
           const weekEnd = moment().endOf('isoWeek').format('YYYY-MM-DD');
           
-          const insertQuery = `
-            INSERT INTO weekly_horoscopes (sign, language_code, week_start, week_end, content)
-            VALUES ($1, $2, $3, $4, $5)
-            ON CONFLICT (sign, language_code, week_start)
-            DO UPDATE SET content = $5, updated_at = NOW()
-          `;
-          
-          await db.query(insertQuery, [
-            item.sign, 
-            item.language_code, 
-            weekStart, 
-            weekEnd, 
-            genericContent
-          ]);
+          const saved = await horoscopeRevisionService.save('weekly', {
+            sign: item.sign,
+            language_code: item.language_code,
+            period: weekStart,
+            content: genericContent,
+            fields: { week_end: weekEnd, astro_brief: null }
+          }, source);
           
           results.success++;
           results.details.push({
             sign: item.sign,
             language: item.language_code,
-            status: 'generated_generic'
+            status: saved.stored ? 'generated_generic' : 'pinned'
           });
         }
         
@@ -1,6 +1,9 @@
 const db = require("../config/db");
 const moment = require("moment");
-const OpenAI = require("openai");
+const llmService = require("../services/llmService");
+const horoscopeRevisionService = require("../services/horoscopeRevisionService");
+const horoscopeGenerator = require("../services/horoscopeGenerator");
+const astroBriefService = require("../services/astroBriefService");
 const { normalizeSignName } = require("../utils/signTranslations");
 
 class WeeklyController {
@@ -59,6 +62,7 @@ class WeeklyController {
         week_start: horoscope.week_start,
         week_end: horoscope.week_end,
         content: horoscope.content,
+        astro_brief: horoscope.astro_brief || null,
         generated_at: horoscope.created_at,
         cached: true,
         week_period: `${weekStart} - ${weekEnd}`,
@@ -146,30 +150,24 @@ class WeeklyController {
           continue;
         }
 
-        // Insert or update weekly horoscope
-        const query = `
-          INSERT INTO weekly_horoscopes (sign, language_code, week_start, week_end, content)
-          VALUES ($1, $2, $3, $4, $5)
-          ON CONFLICT (sign, language_code, week_start)
-          DO UPDATE SET 
-            content = $5, 
-            updated_at = NOW(),
-            week_end = $4;
-        `;
-
-        await db.query(query, [
-          sign,
-          language_code,
-          week_start,
-          week_end,
-          content,
-        ]);
+        // Insert or update weekly horoscope (pinned ones keep their edit)
+        const saved = await horoscopeRevisionService.save(
+          "weekly",
+          {
+            sign,
+            language_code,
+            period: week_start,
+            content,
+            fields: { week_end, astro_brief: null },
+          },
+          { authorType: "api", author: "n8n" }
+        );
 
         results.success++;
         results.details.push({
           sign,
           language_code,
-          status: "stored",
+          status: saved.stored ? "stored" : "pinned",
         });
       } catch (error) {
         console.error(
@@ -272,11 +270,6 @@ class WeeklyController {
         }
       }
 
-      // Initialize OpenAI
-      const openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-
       // Use Spanish sign names to match database
       const signs = [
         "Aries",
@@ -332,10 +325,20 @@ class WeeklyController {
             }
             // console.log(`Generating weekly horoscope for ${sign} in ${langName}...`);
 
+            const astroBrief = horoscopeGenerator.getAstroBrief(
+              "weekly",
+              sign,
+              weekStart,
+              weekEnd
+            );
+            const sky = astroBrief
+              ? `\nBase it on the real sky of the week (computed ephemeris, solar houses of ${sign}; events marked ★ matter most) and do not invent other transits:\n${astroBriefService.formatForPrompt(astroBrief)}\n`
+              : "";
+
             const prompt = `Generate a detailed weekly horoscope for ${sign} for the week of ${weekStart} to ${weekEnd}.
 
 Write in ${langName} language.
-
+${sky}
 The horoscope should include:
 - Overview of the week (2-3 sentences)
 - Love & Relationships forecast
@@ -346,7 +349,7 @@ The horoscope should include:
 Write in a warm, insightful, and encouraging tone. Be specific about the week's energy and opportunities.
 Keep the total length around 200-250 words.`;
 
-            const completion = await openai.chat.completions.create({
+            const completion = await llmService.chat("horoscope", {
               model: "gpt-4o-mini",
               messages: [
                 {
@@ -365,24 +368,22 @@ Keep the total length around 200-250 words.`;
 
             const content = completion.choices[0].message.content;
 
-            // Store in database
-            const insertQuery = `
-              INSERT INTO weekly_horoscopes (sign, language_code, week_start, week_end, content)
-              VALUES ($1, $2, $3, $4, $5)
-              ON CONFLICT (sign, language_code, week_start)
-              DO UPDATE SET
-                content = $5,
-                updated_at = NOW(),
-                week_end = $4
-            `;
-
-            await db.query(insertQuery, [
-              sign,
-              langCode,
-              weekStart,
-              weekEnd,
-              content,
-            ]);
+            // Store in database (pinned ones keep their edit)
+            const saved = await horoscopeRevisionService.save(
+              "weekly",
+              {
+                sign,
+                language_code: langCode,
+                period: weekStart,
+                content,
+                fields: { week_end: weekEnd, astro_brief: astroBrief },
+              },
+              {
+                authorType: "admin",
+                author: "weekly/generate",
+                model: completion.model || "gpt-4o-mini",
+              }
+            );
 
             results.success++;
             results.details.push({
@@ -142,7 +142,13 @@ async function registerHoroscopeTools(server) {
         // Registrar uso de herramienta en el sistema de monitoreo
         monitoringController.incrementMcpToolsCalled();
         
-        const result = await recoveryController.forceGenerateMissingWeeklyHoroscopes();
+        const missing = await weeklyController.checkMissingWeeklyHoroscopes();
+        const result = missing.length > 0
+          ? await recoveryController.generateFallbackWeeklies(missing, {
+              authorType: "mcp",
+              author: "forceGenerateMissing"
+            })
+          : { success: 0, errors: 0, details: [], message: "All weekly horoscopes are already available" };
         
         return {
           content: [
@@ -128,6 +128,101 @@ class RateLimitMiddleware {
         );
     }
 
+    /**
+     * Rate limiter for compatibility calculations (synastry, relationship charts)
+     */
+    static compatibilityRateLimit(req, res, next) {
+        const isAuthenticated = !!req.user;
+        const isPremium = req.user?.role === 'premium_user' || 
+                         req.user?.role === 'admin' || 
+                         req.user?.role === 'super_admin';
+
+        let windowMs, maxRequests, identifier;
+
+        if (isPremium) {
+            // Premium users: 200 calculations per hour
+            windowMs = 60 * 60 * 1000;
+            maxRequests = 200;
+            identifier = `compatibility_premium_${req.user.id}`;
+        } else if (isAuthenticated) {
+            // Regular users: 50 calculations per hour
+            windowMs = 60 * 60 * 1000;
+            maxRequests = 50;
+            identifier = `compatibility_user_${req.user.id}`;
+        } else {
+            // Anonymous users: 10 calculations per hour
+            windowMs = 60 * 60 * 1000;
+            maxRequests = 10;
+            identifier = `compatibility_ip_${req.ip}`;
+        }
+
+        return RateLimitMiddleware.applyRateLimit(
+            req, 
+            res, 
+            next, 
+            identifier, 
+            windowMs, 
+            maxRequests,
+            'compatibility_requests'
+        );
+    }
+
+    /**
+     * Rate limiter for PDF report generation (stricter limits)
+     */
+    static reportRateLimit(req, res, next) {
+        const isAuthenticated = !!req.user;
+        const isPremium = req.user?.role === 'premium_user' || 
+                         req.user?.role === 'admin' || 
+                         req.user?.role === 'super_admin';
+
+        let windowMs, maxRequests, identifier;
+
+        if (isPremium) {
+            // Premium users: 20 reports per hour
+            windowMs = 60 * 60 * 1000;
+            maxRequests = 20;
+            identifier = `report_premium_${req.user.id}`;
+        } else if (isAuthenticated) {
+            // Regular users: 5 reports per hour
+            windowMs = 60 * 60 * 1000;
+            maxRequests = 5;
+            identifier = `report_user_${req.user.id}`;
+        } else {
+            // Anonymous users: 1 report per hour
+            windowMs = 60 * 60 * 1000;
+            maxRequests = 1;
+            identifier = `report_ip_${req.ip}`;
+        }
+
+        return RateLimitMiddleware.applyRateLimit(
+            req, 
+            res, 
+            next, 
+            identifier, 
+            windowMs, 
+            maxRequests,
+            'report_requests'
+        );
+    }
+
+    /**
+     * Per-endpoint limiter: maxRequests per windowSeconds for each user (or IP)
+     */
+    static forCategory(category, maxRequests, windowSeconds) {
+        const windowMs = windowSeconds * 1000;
+
+        return (req, res, next) => RateLimitMiddleware.applyRateLimit(
+            req,
+            res,
+            next,
+            `${category}_${req.user?.id || req.ip}`,
+            windowMs,
+            maxRequests,
+            category
+        );
+    }
+
     /**
      * Core rate limiting logic
      */
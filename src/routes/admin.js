@@ -210,6 +210,435 @@ router.get("/system-status", async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/admin/coach-spend
+ * @description AI Coach model spend per tier and model, for tuning the model router
+ * @query {string} admin_key - Admin authentication key (required)
+ * @query {string} from - Start date, ISO 8601 (default: start of the month)
+ * @query {string} to - End date, ISO 8601 (default: now)
+ */
+router.get("/coach-spend", async (req, res) => {
+  const { from, to } = req.query;
+
+  if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+    return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+  }
+
+  try {
+    const modelRouterService = require("../services/modelRouterService");
+    const spend = await modelRouterService.getSpendByTier({ from, to });
+
+    res.json({
+      ...spend,
+      routing: modelRouterService.settings
+    });
+
+  } catch (error) {
+    console.error('Coach spend error:', error);
+    res.status(500).json({
+      error: 'Failed to get AI Coach spend',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/safety-reviews
+ * @description AI Coach messages the safety layer answered with crisis resources
+ * @query {string} admin_key - Admin authentication key (required)
+ * @query {string} status - pending (default), reviewed or dismissed
+ * @query {number} limit - Page size (default: 50, max: 200)
+ */
+router.get("/safety-reviews", async (req, res) => {
+  const { status = 'pending', limit } = req.query;
+
+  if (!['pending', 'reviewed', 'dismissed'].includes(status)) {
+    return res.status(400).json({ error: 'status must be pending, reviewed or dismissed' });
+  }
+
+  try {
+    const safetyService = require("../services/safetyService");
+    const reviews = await safetyService.listReviews({ status, limit: parseInt(limit) || undefined });
+
+    res.json({ status, count: reviews.length, reviews });
+
+  } catch (error) {
+    console.error('Safety reviews error:', error);
+    res.status(500).json({
+      error: 'Failed to get safety reviews',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/safety-reviews/:id
+ * @description Close a safety review
+ * @query {string} admin_key - Admin authentication key (required)
+ * @body {string} status - reviewed or dismissed
+ * @body {string} note - Optional reviewer note
+ */
+router.post("/safety-reviews/:id", async (req, res) => {
+  const { status, note } = req.body || {};
+  const id = parseInt(req.params.id);
+
+  if (!id || !['reviewed', 'dismissed'].includes(status)) {
+    return res.status(400).json({ error: 'A numeric id and status reviewed or dismissed are required' });
+  }
+
+  try {
+    const safetyService = require("../services/safetyService");
+    const review = await safetyService.resolveReview(id, { status, note });
+
+    if (!review) {
+      return res.status(404).json({ error: 'Safety review not found' });
+    }
+
+    res.json({ success: true, review });
+
+  } catch (error) {
+    console.error('Safety review update error:', error);
+    res.status(500).json({
+      error: 'Failed to update safety review',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/horoscope-reviews
+ * @description Daily horoscopes that failed the quality gate on every attempt
+ * @query {string} admin_key - Admin authentication key (required)
+ * @query {string} status - pending (default), approved or edited
+ * @query {boolean} held - true: only horoscopes kept from users, false: only served ones
+ * @query {number} limit - Page size (default: 50, max: 200)
+ */
+router.get("/horoscope-reviews", async (req, res) => {
+  const { status = 'pending', held, limit } = req.query;
+
+  if (!['pending', 'approved', 'edited'].includes(status)) {
+    return res.status(400).json({ error: 'status must be pending, approved or edited' });
+  }
+
+  try {
+    const horoscopeQualityService = require("../services/horoscopeQualityService");
+    const reviews = await horoscopeQualityService.listReviews({
+      status,
+      held: held === undefined ? undefined : held === 'true',
+      limit: parseInt(limit) || undefined
+    });
+
+    res.json({ status, count: reviews.length, reviews });
+
+  } catch (error) {
+    console.error('Horoscope reviews error:', error);
+    res.status(500).json({
+      error: 'Failed to get horoscope reviews',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/horoscope-reviews/:id/approve
+ * @description Approve the stored horoscope as is (held ones start being served)
+ * @query {string} admin_key - Admin authentication key (required)
+ * @body {string} note - Optional reviewer note
+ */
+router.post("/horoscope-reviews/:id/approve", async (req, res) => {
+  const { note } = req.body || {};
+  const id = parseInt(req.params.id);
+
+  if (!id) {
+    return res.status(400).json({ error: 'A numeric id is required' });
+  }
+
+  try {
+    const horoscopeQualityService = require("../services/horoscopeQualityService");
+    const review = await horoscopeQualityService.approveReview(id, { note });
+
+    if (!review) {
+      return res.status(404).json({ error: 'Horoscope review not found' });
+    }
+
+    res.json({ success: true, review });
+
+  } catch (error) {
+    console.error('Horoscope review approve error:', error);
+    res.status(500).json({
+      error: 'Failed to approve horoscope review',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/horoscope-reviews/:id/edit
+ * @description Replace the stored horoscope with an edited version and serve it
+ * @query {string} admin_key - Admin authentication key (required)
+ * @body {Object} content - Full daily horoscope JSON (same fields as generated)
+ * @body {string} note - Optional reviewer note
+ * @body {string} author - Reviewer name, recorded on the content revision
+ */
+router.post("/horoscope-reviews/:id/edit", async (req, res) => {
+  const { content, note, author } = req.body || {};
+  const id = parseInt(req.params.id);
+
+  if (!id || !content || typeof content !== 'object') {
+    return res.status(400).json({ error: 'A numeric id and the edited content are required' });
+  }
+
+  try {
+    const horoscopeQualityService = require("../services/horoscopeQualityService");
+    const review = await horoscopeQualityService.editReview(id, { content, note, author });
+
+    if (!review) {
+      return res.status(404).json({ error: 'Horoscope review not found' });
+    }
+
+    res.json({ success: true, review });
+
+  } catch (error) {
+    if (error.issues) {
+      return res.status(400).json({ error: 'Invalid horoscope', issues: error.issues });
+    }
+
+    console.error('Horoscope review edit error:', error);
+    res.status(500).json({
+      error: 'Failed to edit horoscope review',
+      message: error.message
+    });
+  }
+});
+
+// Kind and key of a horoscope from /horoscope-revisions/:kind/:sign/:language/:period
+function horoscopeRevisionKey(params) {
+  const { toEnglishSign, normalizeSignName } = require("../utils/signTranslations");
+  const { kind, sign, language, period } = params;
+
+  if (!['daily', 'weekly'].includes(kind) || !/^\d{4}-\d{2}-\d{2}$/.test(period)) {
+    return null;
+  }
+
+  // English or Spanish, any case: stored with the Spanish name
+  return { kind, key: { sign: normalizeSignName(toEnglishSign(sign)), language_code: language, period } };
+}
+
+/**
+ * @route GET /api/admin/horoscope-revisions/:kind/:sign/:language/:period
+ * @description Revision history of a daily or weekly horoscope, newest first
+ * @query {string} admin_key - Admin authentication key (required)
+ * @param {string} kind - daily or weekly
+ * @param {string} period - Date (daily) or week start (weekly), YYYY-MM-DD
+ */
+router.get("/horoscope-revisions/:kind/:sign/:language/:period", async (req, res) => {
+  const target = horoscopeRevisionKey(req.params);
+
+  if (!target) {
+    return res.status(400).json({ error: 'kind must be daily or weekly and period YYYY-MM-DD' });
+  }
+
+  try {
+    const horoscopeRevisionService = require("../services/horoscopeRevisionService");
+    const revisions = await horoscopeRevisionService.listRevisions(target.kind, target.key);
+
+    res.json({ ...target, count: revisions.length, revisions });
+
+  } catch (error) {
+    console.error('Horoscope revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to get horoscope revisions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/horoscope-revisions/:kind/:sign/:language/:period/diff
+ * @description Field-by-field changes between two revisions
+ * @query {string} admin_key - Admin authentication key (required)
+ * @query {number} from - Older revision (required)
+ * @query {number} to - Newer revision (required)
+ */
+router.get("/horoscope-revisions/:kind/:sign/:language/:period/diff", async (req, res) => {
+  const target = horoscopeRevisionKey(req.params);
+  const from = parseInt(req.query.from);
+  const to = parseInt(req.query.to);
+
+  if (!target || !from || !to) {
+    return res.status(400).json({ error: 'A valid horoscope and numeric from and to revisions are required' });
+  }
+
+  try {
+    const horoscopeRevisionService = require("../services/horoscopeRevisionService");
+    const diff = await horoscopeRevisionService.diff(target.kind, target.key, from, to);
+
+    if (!diff) {
+      return res.status(404).json({ error: 'Horoscope revision not found' });
+    }
+
+    res.json({ ...target, ...diff });
+
+  } catch (error) {
+    console.error('Horoscope revision diff error:', error);
+    res.status(500).json({
+      error: 'Failed to diff horoscope revisions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/admin/horoscope-revisions/:kind/:sign/:language/:period/:revision
+ * @description One revision with its content
+ * @query {string} admin_key - Admin authentication key (required)
+ */
+router.get("/horoscope-revisions/:kind/:sign/:language/:period/:revision", async (req, res) => {
+  const target = horoscopeRevisionKey(req.params);
+  const revision = parseInt(req.params.revision);
+
+  if (!target || !revision) {
+    return res.status(400).json({ error: 'A valid horoscope and a numeric revision are required' });
+  }
+
+  try {
+    const horoscopeRevisionService = require("../services/horoscopeRevisionService");
+    const found = await horoscopeRevisionService.getRevision(target.kind, target.key, revision);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Horoscope revision not found' });
+    }
+
+    res.json({ ...target, revision: found });
+
+  } catch (error) {
+    console.error('Horoscope revision error:', error);
+    res.status(500).json({
+      error: 'Failed to get horoscope revision',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/horoscope-revisions/:kind/:sign/:language/:period/edit
+ * @description Replace the served content by hand (also when pinned) as a new revision
+ * @query {string} admin_key - Admin authentication key (required)
+ * @body {Object|string} content - Full horoscope (JSON for daily, JSON or text for weekly)
+ * @body {string} note - Optional note
+ * @body {string} author - Editor name
+ * @body {boolean} pin - Also pin it so scheduled runs leave it alone
+ */
+router.post("/horoscope-revisions/:kind/:sign/:language/:period/edit", async (req, res) => {
+  const { content, note, author, pin } = req.body || {};
+  const target = horoscopeRevisionKey(req.params);
+
+  if (!target || !content || (target.kind === 'daily' && typeof content !== 'object')) {
+    return res.status(400).json({ error: 'A valid horoscope and its content are required' });
+  }
+
+  try {
+    if (target.kind === 'daily') {
+      const horoscopeQualityService = require("../services/horoscopeQualityService");
+      const issues = horoscopeQualityService.checkSchema(content);
+      if (issues.length > 0) {
+        return res.status(400).json({ error: 'Invalid horoscope', issues });
+      }
+    }
+
+    const horoscopeRevisionService = require("../services/horoscopeRevisionService");
+    const saved = await horoscopeRevisionService.edit(target.kind, target.key, content, {
+      author,
+      note,
+      pin: pin === true
+    });
+
+    res.json({ success: true, ...target, ...saved });
+
+  } catch (error) {
+    console.error('Horoscope revision edit error:', error);
+    res.status(500).json({
+      error: 'Failed to edit horoscope',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/horoscope-revisions/:kind/:sign/:language/:period/rollback
+ * @description Serve an earlier revision again (also when pinned), recorded as a new revision
+ * @query {string} admin_key - Admin authentication key (required)
+ * @body {number} revision - Revision to restore (required)
+ * @body {string} note - Optional note (default: "Rollback to revision N")
+ * @body {string} author - Who rolled it back
+ * @body {boolean} pin - Also pin it so scheduled runs leave it alone
+ */
+router.post("/horoscope-revisions/:kind/:sign/:language/:period/rollback", async (req, res) => {
+  const { note, author, pin } = req.body || {};
+  const target = horoscopeRevisionKey(req.params);
+  const revision = parseInt((req.body || {}).revision);
+
+  if (!target || !revision) {
+    return res.status(400).json({ error: 'A valid horoscope and a numeric revision are required' });
+  }
+
+  try {
+    const horoscopeRevisionService = require("../services/horoscopeRevisionService");
+    const saved = await horoscopeRevisionService.rollback(target.kind, target.key, revision, {
+      author,
+      note,
+      pin: pin === true
+    });
+
+    if (!saved) {
+      return res.status(404).json({ error: 'Horoscope revision not found' });
+    }
+
+    res.json({ success: true, ...target, restored: revision, ...saved });
+
+  } catch (error) {
+    console.error('Horoscope rollback error:', error);
+    res.status(500).json({
+      error: 'Failed to roll back horoscope',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/admin/horoscope-revisions/:kind/:sign/:language/:period/pin
+ * @description Pin (or unpin) a horoscope: pinned content is only replaced by edits and rollbacks
+ * @query {string} admin_key - Admin authentication key (required)
+ * @body {boolean} pinned - Default true
+ * @body {string} author - Who pinned it
+ */
+router.post("/horoscope-revisions/:kind/:sign/:language/:period/pin", async (req, res) => {
+  const { pinned = true, author } = req.body || {};
+  const target = horoscopeRevisionKey(req.params);
+
+  if (!target || typeof pinned !== 'boolean') {
+    return res.status(400).json({ error: 'A valid horoscope is required and pinned must be a boolean' });
+  }
+
+  try {
+    const horoscopeRevisionService = require("../services/horoscopeRevisionService");
+    const horoscope = await horoscopeRevisionService.setPinned(target.kind, target.key, pinned, { author });
+
+    if (!horoscope) {
+      return res.status(404).json({ error: 'Horoscope not found' });
+    }
+
+    res.json({ success: true, kind: target.kind, horoscope });
+
+  } catch (error) {
+    console.error('Horoscope pin error:', error);
+    res.status(500).json({
+      error: 'Failed to pin horoscope',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route POST /api/admin/test-alert
  * @description Test alert system
@@ -55,6 +55,14 @@ router.post(
   controller.predictMilestones.bind(controller)
 );
 
+// Composite and Davison relationship charts
+router.post(
+  '/relationship-chart',
+  authMiddleware.authenticate,
+  rateLimitMiddleware.compatibilityRateLimit,
+  controller.getRelationshipCharts.bind(controller)
+);
+
 // Generate PDF compatibility report
 router.post(
   '/report',
@@ -109,23 +117,25 @@ router.get('/', (req, res) => {
     description: 'Revolutionary multi-dimensional astrological compatibility analysis',
     endpoints: {
       public: {
-        status: 'GET /api/v2/compatibility/status - Service status and features'
+        status: 'GET /api/advanced-compatibility/status - Service status and features'
       },
       authenticated: {
-        analyze: 'POST /api/v2/compatibility/analyze - Deep compatibility analysis',
-        timeline: 'POST /api/v2/compatibility/timeline - Timeline predictions',
-        matches: 'POST /api/v2/compatibility/matches - Find compatible matches',
-        milestones: 'POST /api/v2/compatibility/milestones - Predict relationship milestones',
-        report: 'POST /api/v2/compatibility/report - Generate PDF report',
-        profile_get: 'GET /api/v2/compatibility/profile/:userId - Get user profile',
-        profile_update: 'POST /api/v2/compatibility/profile - Update user profile',
-        history: 'GET /api/v2/compatibility/history/:userId - Get compatibility history',
-        feedback: 'POST /api/v2/compatibility/feedback - Submit feedback'
+        analyze: 'POST /api/advanced-compatibility/analyze - Deep compatibility analysis',
+        timeline: 'POST /api/advanced-compatibility/timeline - Timeline predictions',
+        matches: 'POST /api/advanced-compatibility/matches - Find compatible matches',
+        milestones: 'POST /api/advanced-compatibility/milestones - Predict relationship milestones',
+        relationship_chart: 'POST /api/advanced-compatibility/relationship-chart - Composite and Davison charts',
+        report: 'POST /api/advanced-compatibility/report - Generate PDF report',
+        profile_get: 'GET /api/advanced-compatibility/profile/:userId - Get user profile',
+        profile_update: 'POST /api/advanced-compatibility/profile - Update user profile',
+        history: 'GET /api/advanced-compatibility/history/:userId - Get compatibility history',
+        feedback: 'POST /api/advanced-compatibility/feedback - Submit feedback'
       }
     },
     features: [
       'Multi-dimensional compatibility (Sun, Moon, Rising, Venus, Mars, Mercury)',
       'Birth chart synastry analysis',
+      'Composite and Davison relationship charts',
       'Real-time timeline predictions',
       'Advanced matching algorithm',
       'Relationship milestone predictions',
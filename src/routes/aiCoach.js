@@ -5,6 +5,7 @@
  * Features:
  * - Start new chat sessions
  * - Send messages and receive AI responses
+ * - Stream AI responses token by token (SSE)
  * - Get chat history
  * - Premium subscription validation
  * - Rate limiting and authentication
@@ -185,6 +186,28 @@ router.post('/chat/start',
   }
 );
 
+// Shared by the JSON and streaming message endpoints
+const messageValidation = [
+  body('sessionId').isUUID().withMessage('Valid session ID required'),
+  body('message').isString().isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be 1-2000 characters'),
+  body('receiptData').optional().isString()
+    .withMessage('Receipt data must be a string'),
+  body('language').optional().isIn(['en', 'es', 'fr', 'de', 'it', 'pt'])
+    .withMessage('Invalid language code'),
+  body('zodiacSign').optional().isString()
+    .withMessage('Zodiac sign must be a string'),
+  body('timezone').optional().isString().isLength({ max: 64 })
+    .withMessage('Timezone must be an IANA timezone name'),
+  body('country').optional().isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code')
+];
+
+const messageErrorStatus = (error) =>
+  error === 'premium_required' ? 402 :
+  error === 'limit_exceeded' ? 429 :
+  error === 'session_not_found' ? 404 : 400;
+
 /**
  * 💬 SEND MESSAGE AND GET AI RESPONSE
  * POST /api/ai-coach/chat/message
@@ -192,23 +215,13 @@ router.post('/chat/start',
 router.post('/chat/message',
   chatRateLimit,
   authenticateUser,
-  [
-    body('sessionId').isUUID().withMessage('Valid session ID required'),
-    body('message').isString().isLength({ min: 1, max: 2000 })
-      .withMessage('Message must be 1-2000 characters'),
-    body('receiptData').optional().isString()
-      .withMessage('Receipt data must be a string'),
-    body('language').optional().isIn(['en', 'es', 'fr', 'de', 'it', 'pt'])
-      .withMessage('Invalid language code'),
-    body('zodiacSign').optional().isString()
-      .withMessage('Zodiac sign must be a string')
-  ],
+  messageValidation,
   validateRequest,
   async (req, res) => {
     const startTime = Date.now();
 
     try {
-      const { sessionId, message, receiptData, premiumTier, language, zodiacSign } = req.body;
+      const { sessionId, message, receiptData, premiumTier, language, zodiacSign, timezone, country } = req.body;
 
       logger.getLogger().info('AI Coach message request', {
         userId: req.userId,
@@ -225,6 +238,8 @@ router.post('/chat/message',
         userAgent: req.get('User-Agent'),
         language,      // 🌍 CRITICAL: Pass language to service on EVERY message
         zodiacSign,    // Also pass zodiacSign if provided
+        timezone,      // Device timezone: streak check-ins use the user's local day
+        country,
       };
 
       const result = await aiCoachService.sendMessage(sessionId, message, req.userId, options);
@@ -232,11 +247,7 @@ router.post('/chat/message',
       const responseTime = Date.now() - startTime;
 
       if (!result.success) {
-        const statusCode = result.error === 'premium_required' ? 402 :
-                          result.error === 'limit_exceeded' ? 429 :
-                          result.error === 'session_not_found' ? 404 : 400;
-
-        return res.status(statusCode).json({
+        return res.status(messageErrorStatus(result.error)).json({
           ...result,
           responseTime,
           timestamp: new Date().toISOString()
@@ -269,6 +280,119 @@ router.post('/chat/message',
   }
 );
 
+/**
+ * 📡 SEND MESSAGE AND STREAM THE AI RESPONSE (Server-Sent Events)
+ * POST /api/ai-coach/chat/message/stream
+ *
+ * Events:
+ * - token: { content } for each text delta
+ * - done:  same payload as POST /chat/message
+ * - error: { error, message } when the reply fails mid-stream
+ *
+ * Failures before the first token (premium, limits, unknown session) are
+ * returned as plain JSON with the same status codes as POST /chat/message.
+ * Closing the connection stops generation; the partial reply is still saved.
+ */
+router.post('/chat/message/stream',
+  chatRateLimit,
+  authenticateUser,
+  messageValidation,
+  validateRequest,
+  async (req, res) => {
+    const startTime = Date.now();
+    const abortController = new AbortController();
+
+    res.on('close', () => {
+      if (!res.writableEnded) abortController.abort();
+    });
+
+    const sendEvent = (event, data) => {
+      if (!res.headersSent) {
+        res.status(200).set({
+          'Content-Type': 'text/event-stream; charset=utf-8',
+          'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression() from buffering
+          Connection: 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+      }
+      if (!res.writableEnded) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    try {
+      const { sessionId, message, receiptData, premiumTier, language, zodiacSign, timezone, country } = req.body;
+
+      logger.getLogger().info('AI Coach streaming message request', {
+        userId: req.userId,
+        sessionId,
+        messageLength: message.length,
+        language,
+        ip: req.ip
+      });
+
+      const result = await aiCoachService.sendMessage(sessionId, message, req.userId, {
+        receiptData,
+        premiumTier,
+        userAgent: req.get('User-Agent'),
+        language,
+        zodiacSign,
+        timezone,
+        country,
+        onToken: (content) => sendEvent('token', { content }),
+        signal: abortController.signal
+      });
+
+      if (abortController.signal.aborted) {
+        return;
+      }
+
+      const responseTime = Date.now() - startTime;
+
+      if (!result.success) {
+        if (!res.headersSent) {
+          return res.status(messageErrorStatus(result.error)).json({
+            ...result,
+            responseTime,
+            timestamp: new Date().toISOString()
+          });
+        }
+        sendEvent('error', { success: false, error: result.error, message: result.message });
+        return res.end();
+      }
+
+      sendEvent('done', {
+        ...result,
+        responseTime,
+        timestamp: new Date().toISOString()
+      });
+      res.end();
+
+    } catch (error) {
+      const responseTime = Date.now() - startTime;
+      logger.logError(error, {
+        context: 'ai_coach_stream_message_route',
+        userId: req.userId,
+        responseTime,
+        ip: req.ip
+      });
+
+      if (!res.headersSent) {
+        return res.status(500).json({
+          success: false,
+          error: 'internal_server_error',
+          message: 'Failed to process message',
+          responseTime,
+          timestamp: new Date().toISOString()
+        });
+      }
+      sendEvent('error', { success: false, error: 'internal_server_error', message: 'Failed to process message' });
+      res.end();
+    }
+  }
+);
+
 /**
  * 📜 GET CHAT HISTORY
  * GET /api/ai-coach/chat/history/:sessionId
@@ -0,0 +1,188 @@
+/**
+ * 📆 CALENDAR FEED ROUTES
+ *
+ * iCalendar subscription feeds for users who do not connect a calendar
+ * account. Features:
+ * - Create, list and revoke personal feeds
+ * - Public `.ics` download behind the secret token
+ *
+ * Feeds include void-of-course Moon periods, retrograde stations, new/full
+ * moons and best days, in the timezone chosen for the feed.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const moment = require('moment-timezone');
+const icsFeedService = require('../services/icsFeedService');
+const astrologicalTimingService = require('../services/astrologicalTimingService');
+const authMiddleware = require('../middleware/auth');
+const logger = require('../services/loggingService');
+const rateLimit = require('express-rate-limit');
+
+// General API rate limit
+const apiRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: {
+    error: 'Too many requests',
+    message: 'Please wait before making more requests'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false }
+});
+
+// Calendar apps poll feeds; keep guessing tokens expensive
+const feedRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false }
+});
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: 'Request validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * POST /api/calendar-feeds
+ * Create a feed; the response carries the only copy of the subscription URL
+ */
+router.post(
+  '/',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    body('timezone').optional().custom(value => Boolean(moment.tz.zone(value))).withMessage('Unknown timezone'),
+    body('activityTypes').optional().isArray({ max: 5 }),
+    body('activityTypes.*').isIn(Object.keys(astrologicalTimingService.bestDayActivities)),
+    body('include').optional().isArray({ min: 1 }),
+    body('include.*').isIn(icsFeedService.eventTypes)
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await icsFeedService.createFeed(req.user.id, {
+        name: req.body.name,
+        timezone: req.body.timezone,
+        activityTypes: req.body.activityTypes,
+        include: req.body.include
+      });
+
+      if (!result.success) {
+        return res.status(result.error === 'feed_limit_reached' ? 409 : 400).json(result);
+      }
+      res.status(201).json(result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'POST /api/calendar-feeds' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create calendar feed'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/calendar-feeds
+ * Active feeds (tokens are not returned)
+ */
+router.get(
+  '/',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  async (req, res) => {
+    try {
+      res.json(await icsFeedService.listFeeds(req.user.id));
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'GET /api/calendar-feeds' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve calendar feeds'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/calendar-feeds/:feedId
+ * Revoke a feed's token
+ */
+router.delete(
+  '/:feedId',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    param('feedId').isUUID().withMessage('Valid feed ID required')
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await icsFeedService.revokeFeed(req.user.id, req.params.feedId);
+
+      res.status(result.success ? 200 : 404).json(result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'DELETE /api/calendar-feeds/:feedId' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke calendar feed'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/calendar-feeds/:token.ics
+ * Public subscription URL; the token is the only credential
+ */
+router.get(
+  '/:token.ics',
+  feedRateLimit,
+  [
+    param('token').matches(/^[A-Za-z0-9_-]{43}$/)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      const calendar = errors.isEmpty() ? await icsFeedService.getCalendarByToken(req.params.token) : null;
+      if (!calendar) {
+        return res.status(404).type('text/plain').send('Calendar feed not found');
+      }
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="cosmic-timing.ics"',
+        'Cache-Control': 'private, max-age=3600',
+        'Last-Modified': new Date(calendar.generatedAt).toUTCString(),
+        ETag: calendar.etag
+      });
+
+      if (req.headers['if-none-match'] === calendar.etag) {
+        return res.status(304).end();
+      }
+      res.send(calendar.body);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'GET /api/calendar-feeds/:token.ics' });
+      res.status(500).type('text/plain').send('Calendar feed unavailable');
+    }
+  }
+);
+
+module.exports = router;
@@ -66,10 +66,10 @@ router.get('/api/docs', (req, res) => {
         'GET /api/coaching/getDailyHoroscope': {
           description: 'Get daily horoscope for zodiac sign',
           public: true,
-          parameters: ['sign (required)', 'language (optional)'],
+          parameters: ['sign (required)', 'language (optional)', 'date (optional, YYYY-MM-DD)', 'timezone (optional, IANA - defines "today")', 'country (optional, used when timezone is missing)'],
           rateLimit: '200/minute',
           responseTime: '<150ms',
-          dataSource: 'database (generated daily at 6 AM)',
+          dataSource: 'database (generated hourly ahead of each timezone\'s midnight; missing rows generated on demand)',
           example: 'curl "http://localhost:3000/api/coaching/getDailyHoroscope?sign=aries&language=en"'
         },
         'GET /api/coaching/getAllHoroscopes': {
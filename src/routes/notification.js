@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const db = require('../config/db');
 const firebaseService = require('../services/firebaseService');
+const horoscopePushService = require('../services/horoscopePushService');
 const logger = require('../services/loggingService');
 
 /**
@@ -10,27 +11,52 @@ const logger = require('../services/loggingService');
  */
 
 // Register FCM token
+// Optional zodiac_sign, language_code, timezone and notification_hour
+// subscribe the device to its localized daily horoscope topic
 router.post('/register-token', async (req, res) => {
   try {
-    const { user_id, fcm_token, device_type, device_id } = req.body;
+    const { user_id, fcm_token, device_type, device_id, zodiac_sign, timezone, notification_hour } = req.body;
+    const language_code = req.body.language_code || req.body.language;
+    const hour = parseInt(notification_hour, 10);
 
     if (!fcm_token) {
       return res.status(400).json({ error: 'FCM token required' });
     }
 
-    await db.query(
-      `INSERT INTO fcm_tokens (user_id, fcm_token, device_type, device_id, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, NOW(), NOW())
+    // A refreshed token is not subscribed to anything yet: clear its topic
+    const result = await db.query(
+      `INSERT INTO fcm_tokens (user_id, fcm_token, device_type, device_id, zodiac_sign, language_code, timezone, notification_hour, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
        ON CONFLICT (device_id)
-       DO UPDATE SET fcm_token = $2, updated_at = NOW()`,
-      [user_id || null, fcm_token, device_type || 'unknown', device_id || fcm_token]
+       DO UPDATE SET
+         fcm_token = $2,
+         zodiac_sign = COALESCE($5, fcm_tokens.zodiac_sign),
+         language_code = COALESCE($6, fcm_tokens.language_code),
+         timezone = COALESCE($7, fcm_tokens.timezone),
+         notification_hour = COALESCE($8, fcm_tokens.notification_hour),
+         topic = CASE WHEN fcm_tokens.fcm_token = $2 THEN fcm_tokens.topic END,
+         updated_at = NOW()
+       RETURNING *`,
+      [
+        user_id || null,
+        fcm_token,
+        device_type || 'unknown',
+        device_id || fcm_token,
+        zodiac_sign || null,
+        language_code || null,
+        timezone || null,
+        hour >= 0 && hour <= 23 ? hour : null
+      ]
     );
 
     logger.getLogger().info(`FCM token registered: ${fcm_token.substring(0, 20)}...`);
 
+    const subscription = await horoscopePushService.syncSubscription(result.rows[0]);
+
     res.json({
       success: true,
-      message: 'FCM token registered successfully'
+      message: 'FCM token registered successfully',
+      topic: subscription.success ? subscription.topic : null
     });
   } catch (error) {
     logger.logError(error, { endpoint: 'register-token' });
@@ -105,6 +131,8 @@ router.delete('/token/:deviceId', async (req, res) => {
       return res.status(404).json({ error: 'Token not found' });
     }
 
+    await horoscopePushService.removeSubscription(result.rows[0]);
+
     logger.getLogger().info(`FCM token deleted: ${deviceId}`);
 
     res.json({
@@ -8,6 +8,7 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const router = express.Router();
 const personalizationService = require('../services/personalizationService');
+const ephemerisService = require('../services/ephemerisService');
 const authService = require('../services/authenticationService');
 const { validateInput, endpointLimits } = require('../middleware/security');
 const db = require('../config/db');
@@ -51,7 +52,8 @@ const requirePremium = async (req, res, next) => {
  * @body {number} birth_longitude - Birth longitude (-180 to 180)
  * @body {number} [birth_elevation] - Elevation in meters (optional)
  * @body {boolean} [verified_birth_time] - User confirms exact birth time (optional)
- * @body {string} [house_system] - Preferred house system (optional)
+ * @body {string} [house_system] - Preferred house system, also accepted as houseSystem (optional):
+ *   placidus, koch, porphyry, equal, whole_sign, regiomontanus, campanus
  * @body {string} [ayanamsa] - Ayanamsa for sidereal calculations (optional)
  */
 router.post('/birth-data', 
@@ -67,7 +69,8 @@ router.post('/birth-data',
         body('birth_longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required (-180 to 180)'),
         body('birth_elevation').optional().isInt({ min: -1000, max: 10000 }).withMessage('Valid elevation in meters'),
         body('verified_birth_time').optional().isBoolean().withMessage('Verified birth time must be boolean'),
-        body('house_system').optional().isIn(['placidus', 'koch', 'campanus', 'regiomontanus', 'equal', 'whole_sign']).withMessage('Invalid house system'),
+        body('house_system').optional().isIn(ephemerisService.HOUSE_SYSTEMS).withMessage('Invalid house system'),
+        body('houseSystem').optional().isIn(ephemerisService.HOUSE_SYSTEMS).withMessage('Invalid house system'),
         body('ayanamsa').optional().isIn(['lahiri', 'raman', 'krishnamurti', 'fagan_bradley']).withMessage('Invalid ayanamsa'),
         validateInput
     ],
@@ -82,6 +85,7 @@ router.post('/birth-data',
             }
 
             const userId = req.user.id;
+            const requestedHouseSystem = req.body.houseSystem || req.body.house_system;
             const birthData = {
                 user_id: userId,
                 birth_date: req.body.birth_date,
@@ -93,7 +97,7 @@ router.post('/birth-data',
                 birth_longitude: parseFloat(req.body.birth_longitude),
                 birth_elevation: req.body.birth_elevation || 0,
                 verified_birth_time: req.body.verified_birth_time || false,
-                house_system: req.body.house_system || 'placidus',
+                house_system: requestedHouseSystem || ephemerisService.DEFAULT_HOUSE_SYSTEM,
                 ayanamsa: req.body.ayanamsa || 'lahiri',
                 tropical_or_sidereal: 'tropical', // Default to tropical
                 data_source: 'user_input',
@@ -111,15 +115,8 @@ router.post('/birth-data',
 
             birthData.utc_birth_datetime = birthMoment.toISOString();
             
-            // Calculate Julian Day Number using personalization service
-            const sweph = require('sweph');
-            birthData.julian_day_number = sweph.julday(
-                birthMoment.year(),
-                birthMoment.month() + 1,
-                birthMoment.date(),
-                birthMoment.hour() + (birthMoment.minute() / 60.0) + (birthMoment.second() / 3600.0),
-                1 // 1 for SE_GREG_CAL
-            );
+            // Calculate Julian Day Number using the shared ephemeris
+            birthData.julian_day_number = ephemerisService.julianDay(birthMoment.toDate());
 
             // Insert or update birth data
             const client = await db.connect();
@@ -176,6 +173,16 @@ router.post('/birth-data',
                     birthDataId = insertResult.rows[0].id;
                 }
 
+                // Remember an explicitly chosen house system as the user's preference
+                if (requestedHouseSystem) {
+                    await client.query(`
+                        INSERT INTO user_horoscope_preferences (user_id, house_system)
+                        VALUES ($1, $2)
+                        ON CONFLICT (user_id) DO UPDATE
+                        SET house_system = EXCLUDED.house_system, updated_at = CURRENT_TIMESTAMP
+                    `, [userId, requestedHouseSystem]);
+                }
+
                 await client.query('COMMIT');
 
                 // Clear cached birth chart
@@ -186,6 +193,7 @@ router.post('/birth-data',
                     success: true,
                     message: 'Birth data saved successfully',
                     birth_data_id: birthDataId,
+                    house_system: birthData.house_system,
                     accuracy_level: birthData.accuracy_level,
                     next_step: 'birth_chart_calculation'
                 });
@@ -212,12 +220,14 @@ router.post('/birth-data',
  * @description Get calculated birth chart for user
  * @access Private (Premium)
  * @param {string} userId - User ID (UUID)
+ * @query {string} [houseSystem] - Cast the chart in this house system instead of the saved preference
  */
 router.get('/birth-chart/:userId',
     authService.requireRole('premium_user'),
     requirePremium,
     [
         param('userId').isUUID().withMessage('Valid user ID required'),
+        query('houseSystem').optional().isIn(ephemerisService.HOUSE_SYSTEMS).withMessage('Invalid house system'),
         validateInput
     ],
     async (req, res) => {
@@ -255,6 +265,15 @@ router.get('/birth-chart/:userId',
 
             const birthData = birthDataResult.rows[0];
 
+            // House system: query override, then saved preference, then the birth data default
+            const preferenceResult = await db.query(
+                'SELECT house_system FROM user_horoscope_preferences WHERE user_id = $1',
+                [userId]
+            );
+            const preferredHouseSystem = preferenceResult.rows[0]?.house_system || birthData.house_system;
+            const houseSystemOverride = req.query.houseSystem && req.query.houseSystem !== preferredHouseSystem;
+            birthData.house_system = req.query.houseSystem || preferredHouseSystem;
+
             // Calculate birth chart using personalization service
             const birthChart = await personalizationService.calculateBirthChart(userId, birthData);
 
@@ -269,7 +288,8 @@ router.get('/birth-chart/:userId',
                     [userId]
                 );
 
-                if (existingChart.rows.length === 0) {
+                // Only the chart in the user's own house system is stored
+                if (existingChart.rows.length === 0 && !houseSystemOverride) {
                     // Insert new birth chart
                     await client.query(`
                         INSERT INTO user_birth_chart (
@@ -311,6 +331,9 @@ router.get('/birth-chart/:userId',
             res.json({
                 success: true,
                 birth_chart: birthChart,
+                house_system: birthChart.chart_metadata.house_system,
+                requested_house_system: birthChart.chart_metadata.requested_house_system,
+                house_system_fallback_reason: birthChart.chart_metadata.house_system_fallback_reason,
                 accuracy_level: birthData.accuracy_level,
                 calculated_at: birthChart.calculation_timestamp
             });
@@ -485,6 +508,7 @@ router.get('/horoscope/:userId',
  * @body {boolean} [include_transits] - Include transit information
  * @body {boolean} [daily_notification] - Enable daily notifications
  * @body {string} [preferred_notification_time] - Preferred notification time
+ * @body {string} [house_system] - Preferred house system for birth charts
  */
 router.put('/preferences/:userId',
     authService.requireRole('premium_user'),
@@ -498,6 +522,7 @@ router.put('/preferences/:userId',
         body('include_transits').optional().isBoolean().withMessage('Include transits must be boolean'),
         body('daily_notification').optional().isBoolean().withMessage('Daily notification must be boolean'),
         body('preferred_notification_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/).withMessage('Invalid notification time format'),
+        body('house_system').optional().isIn(ephemerisService.HOUSE_SYSTEMS).withMessage('Invalid house system'),
         validateInput
     ],
     async (req, res) => {
@@ -530,6 +555,7 @@ router.put('/preferences/:userId',
             if (req.body.include_transits !== undefined) preferences.include_transits = req.body.include_transits;
             if (req.body.daily_notification !== undefined) preferences.daily_notification = req.body.daily_notification;
             if (req.body.preferred_notification_time !== undefined) preferences.preferred_notification_time = req.body.preferred_notification_time;
+            if (req.body.house_system !== undefined) preferences.house_system = req.body.house_system;
 
             // Update or insert preferences
             const client = await db.connect();
@@ -567,8 +593,8 @@ router.put('/preferences/:userId',
                     await client.query(`
                         INSERT INTO user_horoscope_preferences (
                             user_id, focus_areas, detail_level, tone, language_code,
-                            include_transits, daily_notification, preferred_notification_time
-                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                            include_transits, daily_notification, preferred_notification_time, house_system
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
                     `, [
                         userId,
                         JSON.stringify(preferences.focus_areas || ['love', 'career', 'health', 'money']),
@@ -577,12 +603,23 @@ router.put('/preferences/:userId',
                         preferences.language_code || 'en',
                         preferences.include_transits !== undefined ? preferences.include_transits : true,
                         preferences.daily_notification !== undefined ? preferences.daily_notification : true,
-                        preferences.preferred_notification_time || '09:00:00'
+                        preferences.preferred_notification_time || '09:00:00',
+                        preferences.house_system || ephemerisService.DEFAULT_HOUSE_SYSTEM
                     ]);
                 }
 
+                // Stored chart was cast in the previous house system
+                if (preferences.house_system !== undefined) {
+                    await client.query('DELETE FROM user_birth_chart WHERE user_id = $1', [userId]);
+                }
+
                 await client.query('COMMIT');
 
+                if (preferences.house_system !== undefined) {
+                    const redisService = require('../services/redisService');
+                    await redisService.delete(`birth_chart:${userId}`);
+                }
+
                 res.json({
                     success: true,
                     message: 'Preferences updated successfully',
@@ -656,6 +693,7 @@ router.get('/preferences/:userId',
                         include_transits: true,
                         daily_notification: true,
                         preferred_notification_time: '09:00:00',
+                        house_system: ephemerisService.DEFAULT_HOUSE_SYSTEM,
                         is_default: true
                     }
                 });
@@ -678,6 +716,7 @@ router.get('/preferences/:userId',
                         major_transit_alerts: prefs.major_transit_alerts,
                         preferred_notification_time: prefs.preferred_notification_time,
                         notification_timezone: prefs.notification_timezone,
+                        house_system: prefs.house_system || ephemerisService.DEFAULT_HOUSE_SYSTEM,
                         created_at: prefs.created_at,
                         updated_at: prefs.updated_at
                     }
@@ -2,6 +2,7 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const { body, query, validationResult } = require('express-validator');
 const PersonalizedHoroscopeAPI = require('../services/personalizedHoroscopeAPI');
+const { HOUSE_SYSTEMS } = require('../services/ephemerisService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -36,6 +37,7 @@ const validateBirthData = [
   body('birthLocation.latitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
   body('birthLocation.longitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
   body('birthLocation.city').optional().isString().withMessage('City must be a string'),
+  body('houseSystem').optional().isIn(HOUSE_SYSTEMS).withMessage(`houseSystem must be one of: ${HOUSE_SYSTEMS.join(', ')}`),
   body('language').optional().isIn(['en', 'es']).withMessage('Language must be en or es'),
   body('personalizationLevel').optional().isIn(['basic', 'advanced', 'premium']).withMessage('Invalid personalization level'),
 ];
@@ -178,6 +180,7 @@ router.post('/premium',
 /**
  * POST /api/personalized-horoscope/birth-chart
  * Calculate detailed birth chart
+ * Optional houseSystem (default placidus); Placidus/Koch fall back above the polar circles
  */
 router.post('/birth-chart',
   personalizedHoroscopeLimit,
@@ -192,14 +195,15 @@ router.post('/birth-chart',
         });
       }
 
-      const { birthDate, birthTime, birthLocation } = req.body;
+      const { birthDate, birthTime, birthLocation, houseSystem } = req.body;
 
-      logger.info('Calculating birth chart', { birthDate, birthLocation });
+      logger.info('Calculating birth chart', { birthDate, birthLocation, houseSystem });
 
       const birthChart = await personalizedHoroscopeAPI.getOrCalculateBirthChart({
         birthDate,
         birthTime,
         birthLocation,
+        houseSystem,
       });
 
       res.json({
@@ -404,7 +408,7 @@ router.post('/batch',
       logger.info(`Processing batch request for ${requests.length} horoscopes`);
 
       const results = [];
-      const errors = [];
+      const failures = [];
 
       // Process requests in parallel (with concurrency limit)
       const batchPromises = requests.map(async (request, index) => {
@@ -427,12 +431,12 @@ router.post('/batch',
       batchResults.forEach((result, index) => {
         if (result.status === 'fulfilled') {
           if (result.value.error) {
-            errors.push({ index, error: result.value.error });
+            failures.push({ index, error: result.value.error });
           } else {
             results.push(result.value.result);
           }
         } else {
-          errors.push({ index, error: result.reason.message });
+          failures.push({ index, error: result.reason.message });
         }
       });
 
@@ -440,10 +444,10 @@ router.post('/batch',
         success: true,
         data: {
           results,
-          errors,
+          errors: failures,
           totalRequested: requests.length,
           successful: results.length,
-          failed: errors.length,
+          failed: failures.length,
         },
         message: `Batch processing completed: ${results.length}/${requests.length} successful`
       });
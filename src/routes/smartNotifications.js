@@ -190,7 +190,8 @@ router.get('/preferences/:userId', async (req, res) => {
           streak_protection_enabled: true,
           prediction_alerts_enabled: true,
           ai_personalization_enabled: true,
-          optimal_timing_enabled: true
+          optimal_timing_enabled: true,
+          coach_followups_enabled: true
         },
         isDefault: true
       });
@@ -247,15 +248,18 @@ router.put('/preferences/:userId', async (req, res) => {
       're_engagement_enabled',
       'premium_offers_enabled',
       'ai_personalization_enabled',
-      'optimal_timing_enabled'
+      'optimal_timing_enabled',
+      'coach_followups_enabled'
     ];
 
+    const columns = [];
     const updates = [];
     const values = [userId];
     let paramCount = 2;
 
     for (const [key, value] of Object.entries(preferences)) {
       if (allowedFields.includes(key)) {
+        columns.push(key);
         updates.push(`${key} = $${paramCount}`);
         values.push(value);
         paramCount++;
@@ -270,7 +274,7 @@ router.put('/preferences/:userId', async (req, res) => {
     }
 
     const query = `
-      INSERT INTO user_notification_preferences (user_id, ${updates.map((_, i) => allowedFields[i]).join(', ')})
+      INSERT INTO user_notification_preferences (user_id, ${columns.join(', ')})
       VALUES ($1, ${values.slice(1).map((_, i) => `$${i + 2}`).join(', ')})
       ON CONFLICT (user_id) DO UPDATE SET
         ${updates.join(', ')},
@@ -0,0 +1,330 @@
+/**
+ * 🔥 STREAK API ROUTES
+ *
+ * REST API endpoints for daily streaks
+ * Features:
+ * - Current streak with freeze tokens and repair offer
+ * - Streak protection history
+ * - Buy streak freezes with cosmic points
+ * - Repair a broken streak during the repair window
+ * - Leaderboards (global, friends, country, sign; weekly and all-time)
+ * - Leaderboard privacy and follows
+ *
+ * Check-ins themselves happen automatically on AI Coach messages.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const streakService = require('../services/streakService');
+const authMiddleware = require('../middleware/auth');
+const logger = require('../services/loggingService');
+const rateLimit = require('express-rate-limit');
+
+// General API rate limit
+const apiRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: {
+    error: 'Too many requests',
+    message: 'Please wait before making more requests'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false }
+});
+
+// HTTP status for rejected freeze purchases and repairs
+const PROTECTION_ERROR_STATUS = {
+  no_streak: 404,
+  insufficient_points: 402,
+  freeze_limit_reached: 409,
+  repair_unavailable: 409,
+  repair_expired: 410
+};
+
+// Monthly freeze allowance tier of the authenticated user, never the client's
+// word for it: premium accounts (as in auth.requirePremium) get the premium one
+const freezeAllowanceTier = (user) => {
+  const isPremium = ['premium_user', 'admin', 'super_admin'].includes(user.role) ||
+    (user.permissions || []).includes('api:premium');
+  return isPremium ? 'stellar' : 'free';
+};
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: 'Request validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const sendProtectionResult = (res, result) => {
+  if (result.success) {
+    return res.json(result);
+  }
+  res.status(PROTECTION_ERROR_STATUS[result.error] || 500).json(result);
+};
+
+/**
+ * GET /api/streaks/me
+ * Current streak, freeze tokens, repair offer and protection events
+ */
+router.get(
+  '/me',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    query('timezone').optional().isString().isLength({ max: 64 }),
+    query('country').optional().isISO31661Alpha2()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { timezone, country } = req.query;
+      const result = await streakService.getStreak(req.user.id, {
+        timezone,
+        country,
+        tier: freezeAllowanceTier(req.user)
+      });
+
+      res.status(result.success ? 200 : 500).json(result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'GET /api/streaks/me' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve streak'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/streaks/me/protection-history
+ * Freeze and repair events, newest first
+ */
+router.get(
+  '/me/protection-history',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await streakService.getProtectionHistory(req.user.id, req.query.limit || 20);
+
+      res.status(result.success ? 200 : 500).json(result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'GET /api/streaks/me/protection-history' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve protection history'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/streaks/freezes
+ * Buy streak freezes with cosmic points
+ */
+router.post(
+  '/freezes',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    body('quantity').optional().isInt({ min: 1, max: streakService.protection.maxFreezeTokens }).toInt()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await streakService.purchaseFreeze(req.user.id, {
+        quantity: req.body.quantity || 1,
+        source: 'cosmic_points'
+      });
+
+      sendProtectionResult(res, result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'POST /api/streaks/freezes' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to purchase streak freeze'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/streaks/repair
+ * Restore the last broken streak with cosmic points
+ */
+router.post(
+  '/repair',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  async (req, res) => {
+    try {
+      const result = await streakService.repairStreak(req.user.id, { source: 'cosmic_points' });
+
+      sendProtectionResult(res, result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'POST /api/streaks/repair' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to repair streak'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/streaks/leaderboard
+ * Ranked streaks with pagination and the caller's own rank
+ */
+router.get(
+  '/leaderboard',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    query('scope').optional().isIn(streakService.leaderboard.scopes),
+    query('window').optional().isIn(streakService.leaderboard.windows),
+    query('country').optional().isISO31661Alpha2(),
+    query('sign').optional().isIn(streakService.zodiacSigns),
+    query('timezone').optional().isString().isLength({ max: 64 }),
+    query('limit').optional().isInt({ min: 1, max: streakService.leaderboard.maxPageSize }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const { scope, window, country, sign, timezone, limit, offset } = req.query;
+      const result = await streakService.getLeaderboard({
+        userId: req.user.id,
+        scope,
+        window,
+        country,
+        zodiacSign: sign,
+        timezone,
+        limit,
+        offset
+      });
+
+      if (!result.success) {
+        return res.status(result.error === 'leaderboard_failed' ? 500 : 400).json(result);
+      }
+      res.json(result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'GET /api/streaks/leaderboard' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve leaderboard'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/streaks/me/leaderboard
+ * Hide from public leaderboards and/or set the display name
+ */
+router.put(
+  '/me/leaderboard',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    body('optOut').optional().isBoolean().toBoolean(),
+    body('displayName').optional().isString().trim().isLength({ min: 1, max: 100 })
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await streakService.updateLeaderboardSettings(req.user.id, {
+        optOut: req.body.optOut,
+        displayName: req.body.displayName
+      });
+
+      res.status(result.success ? 200 : 500).json(result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'PUT /api/streaks/me/leaderboard' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update leaderboard settings'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/streaks/follows
+ * Follow a user (friends leaderboard)
+ */
+router.post(
+  '/follows',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    body('userId').isUUID().withMessage('Valid user ID required')
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await streakService.followUser(req.user.id, req.body.userId);
+
+      if (!result.success) {
+        return res.status(result.error === 'cannot_follow_self' ? 400 : 500).json(result);
+      }
+      res.status(201).json(result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'POST /api/streaks/follows' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to follow user'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/streaks/follows/:userId
+ * Unfollow a user
+ */
+router.delete(
+  '/follows/:userId',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    param('userId').isUUID().withMessage('Valid user ID required')
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await streakService.unfollowUser(req.user.id, req.params.userId);
+
+      res.status(result.success ? 200 : 500).json(result);
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'DELETE /api/streaks/follows/:userId' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unfollow user'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -146,7 +146,7 @@ const { body, param, query, validationResult } = require('express-validator');
  */
 router.post('/recommendations',
     authMiddleware.authenticate,
-    rateLimitMiddleware.applyRateLimit('timing_recommendations', 20, 60), // 20 requests per minute
+    rateLimitMiddleware.forCategory('timing_recommendations', 20, 60), // 20 requests per minute
     [
         body('activityType')
             .isIn(['business_meeting', 'job_interview', 'first_date', 'contract_signing', 
@@ -289,7 +289,7 @@ router.post('/recommendations',
  */
 router.get('/best-days/:activityType',
     authMiddleware.authenticate,
-    rateLimitMiddleware.applyRateLimit('best_days', 30, 60), // 30 requests per minute
+    rateLimitMiddleware.forCategory('best_days', 30, 60), // 30 requests per minute
     [
         param('activityType')
             .isIn(['business_meeting', 'job_interview', 'first_date', 'contract_signing', 
@@ -376,7 +376,7 @@ router.get('/best-days/:activityType',
  */
 router.get('/avoid',
     authMiddleware.authenticate,
-    rateLimitMiddleware.applyRateLimit('times_to_avoid', 30, 60),
+    rateLimitMiddleware.forCategory('times_to_avoid', 30, 60),
     [
         query('startDate')
             .optional()
@@ -456,7 +456,7 @@ router.get('/avoid',
  */
 router.put('/calendar/sync',
     authMiddleware.authenticate,
-    rateLimitMiddleware.applyRateLimit('calendar_sync', 10, 60), // 10 syncs per minute
+    rateLimitMiddleware.forCategory('calendar_sync', 10, 60), // 10 syncs per minute
     [
         body('provider')
             .isIn(['google', 'apple', 'microsoft'])
@@ -532,7 +532,7 @@ router.put('/calendar/sync',
  */
 router.get('/calendar/events',
     authMiddleware.authenticate,
-    rateLimitMiddleware.applyRateLimit('calendar_events', 30, 60),
+    rateLimitMiddleware.forCategory('calendar_events', 30, 60),
     [
         query('startDate')
             .isISO8601()
@@ -617,7 +617,7 @@ router.get('/calendar/events',
  */
 router.post('/calendar/event',
     authMiddleware.authenticate,
-    rateLimitMiddleware.applyRateLimit('create_calendar_event', 20, 60),
+    rateLimitMiddleware.forCategory('create_calendar_event', 20, 60),
     [
         body('title')
             .isString()
@@ -774,7 +774,7 @@ router.post('/calendar/event',
  */
 router.post('/calendar/conflicts',
     authMiddleware.authenticate,
-    rateLimitMiddleware.applyRateLimit('conflict_detection', 30, 60),
+    rateLimitMiddleware.forCategory('conflict_detection', 30, 60),
     [
         body('start')
             .isISO8601()
@@ -848,7 +848,7 @@ router.post('/calendar/conflicts',
  */
 router.post('/calendar/connect',
     authMiddleware.authenticate,
-    rateLimitMiddleware.applyRateLimit('calendar_connect', 5, 60), // 5 connections per minute
+    rateLimitMiddleware.forCategory('calendar_connect', 5, 60), // 5 connections per minute
     [
         body('provider')
             .isIn(['google', 'apple', 'microsoft'])
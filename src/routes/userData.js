@@ -0,0 +1,251 @@
+/**
+ * 🔐 USER DATA ROUTES
+ *
+ * What the app knows about the user, under their control. Features:
+ * - List, edit, pin and delete AI Coach memories
+ * - Export all personal data (JSON, or ZIP with voice audio)
+ * - Erase all personal data and the account
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const memoryService = require('../services/memoryService');
+const userDataService = require('../services/userDataService');
+const authMiddleware = require('../middleware/auth');
+const logger = require('../services/loggingService');
+const rateLimit = require('express-rate-limit');
+
+// General API rate limit
+const apiRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100,
+  message: {
+    error: 'Too many requests',
+    message: 'Please wait before making more requests'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false }
+});
+
+// Exports read every table; erasure is once per account
+const dataRequestRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: {
+    error: 'Too many requests',
+    message: 'Please wait before requesting your data again'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { trustProxy: false }
+});
+
+// Validation middleware
+const validateRequest = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: 'Request validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * GET /api/user-data/memories
+ * Memories the coach keeps, pinned first
+ */
+router.get(
+  '/memories',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    query('type').optional().isIn(memoryService.memoryTypes),
+    query('includeResolved').optional().isBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('offset').optional().isInt({ min: 0 })
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const memories = await memoryService.getAllMemories(req.user.id, {
+        memoryType: req.query.type,
+        includeResolved: req.query.includeResolved === 'true',
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : 50,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : 0
+      });
+
+      res.json({ success: true, memories });
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'GET /api/user-data/memories' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve memories'
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/user-data/memories/:memoryId
+ * Edit, pin/unpin or resolve a memory
+ */
+router.patch(
+  '/memories/:memoryId',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    param('memoryId').isUUID().withMessage('Valid memory ID required'),
+    body('content').optional().isString().trim().isLength({ min: 1, max: 1000 }),
+    body('memoryType').optional().isIn(memoryService.memoryTypes),
+    body('importance').optional().isInt({ min: 1, max: 10 }),
+    body('subject').optional({ nullable: true }).isString().isLength({ max: 100 }),
+    body('eventDate').optional({ nullable: true }).isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+    body('pinned').optional().isBoolean({ strict: true }),
+    body('resolved').optional().isBoolean({ strict: true })
+  ],
+  validateRequest,
+  async (req, res) => {
+    const fields = ['content', 'memoryType', 'importance', 'subject', 'eventDate', 'pinned', 'resolved'];
+    const changes = Object.fromEntries(
+      fields.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'validation_error',
+        message: `Provide at least one of: ${fields.join(', ')}`
+      });
+    }
+
+    try {
+      const memory = await memoryService.updateMemory(req.user.id, req.params.memoryId, changes);
+
+      if (!memory) {
+        return res.status(404).json({ success: false, error: 'Memory not found' });
+      }
+      res.json({ success: true, memory });
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'PATCH /api/user-data/memories/:memoryId' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update memory'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/user-data/memories/:memoryId
+ * Forget a memory
+ */
+router.delete(
+  '/memories/:memoryId',
+  apiRateLimit,
+  authMiddleware.authenticate,
+  [
+    param('memoryId').isUUID().withMessage('Valid memory ID required')
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const deleted = await memoryService.deleteMemory(req.user.id, req.params.memoryId);
+
+      if (!deleted) {
+        return res.status(404).json({ success: false, error: 'Memory not found' });
+      }
+      res.json({ success: true });
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'DELETE /api/user-data/memories/:memoryId' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete memory'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/user-data/export?format=json|zip
+ * Everything stored about the user
+ */
+router.get(
+  '/export',
+  dataRequestRateLimit,
+  authMiddleware.authenticate,
+  [
+    query('format').optional().isIn(userDataService.exportFormats)
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await userDataService.exportUserData(req.user.id, {
+        format: req.query.format || 'json'
+      });
+
+      if (result.format === 'zip') {
+        res.set({
+          'Content-Type': 'application/zip',
+          'Content-Disposition': `attachment; filename="${result.fileName}"`,
+          'Cache-Control': 'no-store'
+        });
+        return res.send(result.buffer);
+      }
+
+      res.set('Cache-Control', 'no-store');
+      res.json({ success: true, export: result.data });
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'GET /api/user-data/export' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export user data'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/user-data
+ * Erase all personal data and the account. Requires { confirm: "DELETE" }.
+ */
+router.delete(
+  '/',
+  dataRequestRateLimit,
+  authMiddleware.authenticate,
+  [
+    body('confirm').equals('DELETE').withMessage('Send confirm: "DELETE" to erase your data')
+  ],
+  validateRequest,
+  async (req, res) => {
+    try {
+      const result = await userDataService.eraseUserData(req.user.id);
+
+      res.json({
+        success: true,
+        requestId: result.auditId,
+        deleted: result.rows,
+        retained: result.retained,
+        audioFiles: result.audioFiles
+      });
+
+    } catch (error) {
+      logger.logError(error, { endpoint: 'DELETE /api/user-data' });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to erase user data'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -6,7 +6,6 @@
  */
 
 const moment = require('moment-timezone');
-const sweph = require('sweph');
 const astrologicalTimingService = require('./astrologicalTimingService');
 
 class AdvancedTimingAlgorithms {
@@ -20,7 +20,6 @@ if (process.env.NODE_ENV === "production") {
   dotenv.config();
 }
 
-const OpenAI = require("openai");
 // Use Node.js crypto.randomUUID() instead of uuid package (ES module compatibility)
 const { randomUUID } = require("crypto");
 const uuidv4 = randomUUID;
@@ -35,13 +34,17 @@ const retroactivePredictionService = require("./retroactivePredictionService");
 const streakService = require("./streakService");
 const localContextService = require("./localContextService");
 const esotericKnowledge = require("./esotericKnowledge");
+const llmService = require("./llmService");
+const memoryService = require("./memoryService");
+const coachFollowUpService = require("./coachFollowUpService");
+const conversationSummaryService = require("./conversationSummaryService");
+const modelRouterService = require("./modelRouterService");
+const safetyService = require("./safetyService");
+const coachToolsService = require("./coachToolsService");
+const { countTokens, countMessageTokens } = require("../utils/tokenizer");
 
 class AICoachService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
     // AI Coach personas with specialized prompts - PREMIUM QUALITY WITH ESOTERIC KNOWLEDGE
     this.personas = {
       general: {
@@ -243,10 +246,7 @@ QUESTION: "Should I ask for a raise?"
 
     // Configuration
     this.config = {
-      complexModel: "gpt-4o", // Para preguntas complejas
-      simpleModel: "gpt-4o-mini", // Para preguntas simples
       fallbackModel: "gpt-4o-mini", // Fallback
-      maxContextMessages: 3, // Reducido porque usamos memoria
       responseTimeoutMs: 25000, // 25 seconds timeout
       maxRetries: 2,
       cacheExpirationSeconds: 3600, // 1 hour cache for similar questions
@@ -283,63 +283,6 @@ QUESTION: "Should I ask for a raise?"
     };
   }
 
-  /**
-   * 🧠 DETECT MESSAGE COMPLEXITY
-   * Determines if a message is simple or complex to select the appropriate AI model
-   * @private
-   * @param {string} message - User message to analyze
-   * @returns {string} - 'simple' or 'complex'
-   */
-  _detectMessageComplexity(message) {
-    // Retorna: 'simple' o 'complex'
-
-    const simplePatterns = [
-      // Saludos
-      /^(hola|hi|hey|hello|buenos?\s*(días|tardes|noches)|good\s*(morning|afternoon|evening))[\s!?.]*$/i,
-      // Despedidas
-      /^(adiós|adios|bye|chao|chau|hasta\s*luego|see\s*you|goodbye)[\s!?.]*$/i,
-      // Agradecimientos
-      /^(gracias|thanks|thank\s*you|thx|ty|muchas\s*gracias)[\s!?.]*$/i,
-      // Confirmaciones
-      /^(ok|okay|sí|si|yes|no|nope|vale|bien|genial|perfecto|cool|nice)[\s!?.]*$/i,
-      // Preguntas sobre estado
-      /^(cómo\s*estás|how\s*are\s*you|qué\s*tal|what'?s\s*up)[\s!?.]*$/i,
-    ];
-
-    const lowerMessage = message.toLowerCase().trim();
-
-    // Si es muy corto (<15 chars) y matchea pattern simple
-    if (lowerMessage.length < 15) {
-      for (const pattern of simplePatterns) {
-        if (pattern.test(lowerMessage)) {
-          return 'simple';
-        }
-      }
-    }
-
-    // Si tiene menos de 5 palabras y no tiene signos de pregunta complejos
-    const wordCount = lowerMessage.split(/\s+/).length;
-    if (wordCount <= 3 && !lowerMessage.includes('?')) {
-      return 'simple';
-    }
-
-    // Todo lo demás es complejo
-    return 'complex';
-  }
-
-  /**
-   * 🤖 SELECT AI MODEL
-   * Selects the appropriate AI model based on message complexity
-   * @private
-   * @param {string} complexity - Message complexity level ('simple' or 'complex')
-   * @returns {string} - Model name to use
-   */
-  _selectModel(complexity) {
-    return complexity === 'simple'
-      ? this.config.simpleModel
-      : this.config.complexModel;
-  }
-
   /**
    * 🚀 START NEW CHAT SESSION
    * Creates a new chat session for a user with premium validation
@@ -408,6 +351,10 @@ QUESTION: "Should I ask for a raise?"
         };
       }
 
+      // 📜 What the user talked about in their last sessions
+      const previousConversations =
+        await conversationSummaryService.getPreviousConversations(userId);
+
       const sessionData = {
         session_id: sessionId,
         user_id: userId,
@@ -424,6 +371,7 @@ QUESTION: "Should I ask for a raise?"
           persona: persona,
           systemPrompt: this.personas[persona].systemPrompt,
           messageHistory: [],
+          previousConversations,
           userPreferences: options.preferences || {},
         }),
       };
@@ -518,6 +466,10 @@ QUESTION: "Should I ask for a raise?"
    * @param {Object} options - Optional parameters
    * @param {string} [options.zodiacSign] - User's zodiac sign (e.g., 'Leo', 'Aries')
    * @param {string} [options.language] - Language code (e.g., 'es', 'en', 'de', 'fr', 'it', 'pt')
+   * @param {string} [options.timezone] - IANA timezone of the device (defines the streak day)
+   * @param {string} [options.country] - ISO country code (e.g., 'MX', 'AR')
+   * @param {Function} [options.onToken] - Streams the reply: called with each text delta
+   * @param {AbortSignal} [options.signal] - Stops a streamed reply; the partial text is still stored
    *
    * @returns {Promise<Object>} Response object
    * @returns {boolean} return.success - Operation success status
@@ -527,6 +479,7 @@ QUESTION: "Should I ask for a raise?"
    * @returns {string} return.response.messageId - Unique message identifier
    * @returns {string} return.response.model - AI model used (e.g., 'gpt-4-turbo')
    * @returns {number} return.response.tokensUsed - Total tokens consumed
+   * @returns {boolean} return.response.aborted - Stream stopped early by the client
    * @returns {number} return.response.responseTime - Response time in milliseconds
    * @returns {number} return.response.confidenceScore - AI confidence score (0-1)
    * @returns {string} return.response.persona - Active AI persona
@@ -539,6 +492,11 @@ QUESTION: "Should I ask for a raise?"
    * @returns {string} [return.response.horoscopeData.loveFocus] - Love guidance
    * @returns {string} [return.response.horoscopeData.careerFocus] - Career guidance
    * @returns {string} [return.response.horoscopeData.wellnessFocus] - Wellness guidance
+   * @returns {Array<Object>} return.response.cards - Results of the tools the coach called ({ type, data }):
+   *   chart_transits, compatibility, goal, best_days, streak
+   * @returns {Object} [return.response.safety] - Set instead of a coach reply when the message was high risk
+   * @returns {string[]} return.response.safety.categories - 'self_harm', 'abuse', 'medical_emergency'
+   * @returns {Object|null} return.response.safety.resources - Helplines of the user's country (null if unknown)
    * @returns {Object} return.usage - Usage statistics
    * @returns {number} return.usage.remainingMessages - Messages remaining in current period
    * @returns {string} return.usage.resetTime - Usage reset timestamp
@@ -584,6 +542,13 @@ QUESTION: "Should I ask for a raise?"
 
       const sessionData = session.data;
 
+      // 🛟 Safety first: acute risk gets crisis resources instead of the
+      // coach, before any paywall or daily limit can get in the way
+      const safety = safetyService.classify(message);
+      if (safety.riskLevel === "high") {
+        return this._respondToCrisis(sessionData, message, userId, safety, options);
+      }
+
       // Check premium access and usage
       const premiumStatus = await this._validatePremiumAccess(
         userId,
@@ -592,6 +557,16 @@ QUESTION: "Should I ask for a raise?"
       );
       if (!premiumStatus.hasAccess) {
         logger.getLogger().info('Free user attempted to send message to AI Coach', { userId, sessionId });
+
+        // No sales pitch for users who were recently in crisis
+        if (await safetyService.isUpsellSuppressed(userId)) {
+          return {
+            success: false,
+            error: "premium_required",
+            message: "El Cosmic Coach es una función exclusiva Premium.",
+          };
+        }
+
         return {
           success: false,
           error: "premium_required",
@@ -639,11 +614,30 @@ QUESTION: "Should I ask for a raise?"
         timestamp: new Date().toISOString(),
       });
 
+      // 🧠 Long-term memories: extracting, embedding and storing them must
+      // not delay the reply; these calls log and swallow their own errors.
+      // A reply to a proactive follow-up may resolve the followed-up memory.
+      coachFollowUpService.handleReply(userId, message)
+        .then(() => memoryService.detectAndResolve(message, userId))
+        .then(() => memoryService.extractAndStoreMemories(message, userId, {
+          language: options.language || options.languageCode || sessionData.language_code,
+          timezone: options.timezone,
+        }));
+
       // Generate AI response
       // NOTE: Removed circuit breaker wrapper because opossum caches the action function
       // on first call, which caused language contamination between requests (the closure
       // captured the first user's `options` including language). Each request needs fresh options.
-      const aiResponse = await this._generateAIResponse(sessionData, message, options);
+      const aiResponse = await this._generateAIResponse(sessionData, message, {
+        ...options,
+        premiumStatus,
+        safety,
+      });
+
+      if (aiResponse.error === "client_aborted") {
+        logger.getLogger().info("AI Coach stream aborted before first token", { sessionId, userId });
+        return aiResponse;
+      }
 
       if (!aiResponse.success) {
         // Store error message for user feedback
@@ -664,8 +658,13 @@ QUESTION: "Should I ask for a raise?"
       await this._storeMessage(sessionId, "ai", aiResponse.content, {
         model: aiResponse.model,
         tokensUsed: aiResponse.tokensUsed,
+        promptTokens: aiResponse.promptTokens,
+        completionTokens: aiResponse.completionTokens,
         responseTime: aiResponse.responseTime,
         confidenceScore: aiResponse.confidenceScore,
+        streamed: !!options.onToken,
+        aborted: aiResponse.aborted || undefined,
+        cards: aiResponse.cards && aiResponse.cards.length > 0 ? aiResponse.cards : undefined,
         timestamp: new Date().toISOString(),
       });
 
@@ -715,7 +714,12 @@ QUESTION: "Should I ask for a raise?"
       // 🔥 NEW: Check in user for daily streak (gamification)
       // Detect language from options (accept both 'language' and 'languageCode')
       const userLanguage = options.language || options.languageCode || "en";
-      const streakInfo = await streakService.checkIn(userId, userLanguage);
+      const streakInfo = await streakService.checkIn(userId, userLanguage, {
+        timezone: options.timezone,
+        country: options.country || sessionData.country,
+        tier: premiumStatus.tier || options.premiumTier,
+        zodiacSign: options.zodiacSign || sessionData.zodiac_sign,
+      });
 
       const totalResponseTime = Date.now() - startTime;
       logger.getLogger().info("AI Coach message processed successfully", {
@@ -723,6 +727,7 @@ QUESTION: "Should I ask for a raise?"
         userId,
         totalResponseTime,
         aiResponseTime: aiResponse.responseTime,
+        toolCalls: aiResponse.toolCalls,
         streakCheckIn: streakInfo.success,
       });
 
@@ -749,12 +754,15 @@ QUESTION: "Should I ask for a raise?"
           messageId: aiResponse.messageId,
           model: aiResponse.model,
           tokensUsed: aiResponse.tokensUsed,
+          aborted: aiResponse.aborted,
           responseTime: totalResponseTime,
           confidenceScore: aiResponse.confidenceScore,
           persona: sessionData.ai_coach_persona,
           timestamp: new Date().toISOString(),
           // ✨ NEW: Include horoscope data for frontend display
           horoscopeData: aiResponse.horoscopeData,
+          // 🧰 Cards rendered from the tools the coach called
+          cards: aiResponse.cards || [],
           // 🔮 NEW: Prediction metadata for frontend
           hasPredictionCheck: !!predictionCheckMessage,
           hasPredictionFeedback: !!predictionFeedback,
@@ -840,6 +848,8 @@ QUESTION: "Should I ask for a raise?"
           createdAt: sessionInfo.created_at,
           lastActivity: sessionInfo.last_activity,
           totalMessages: sessionInfo.total_messages,
+          // Condensed earlier turns of long sessions (messages are still all listed)
+          summary: sessionInfo.summary || null,
           messages: messages.map((msg) => ({
             id: msg.id,
             type: msg.message_type,
@@ -1085,22 +1095,29 @@ QUESTION: "Should I ask for a raise?"
     }
   }
 
+  /**
+   * 📅 MONTHLY USAGE: complex and simple messages used this month
+   */
+  async _getMonthlyUsage(userId) {
+    const now = new Date();
+    const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const cacheKey = `ai_coach_monthly:${userId}:${monthKey}`;
+
+    const monthlyData = await redisService.get(cacheKey);
+    return monthlyData ? JSON.parse(monthlyData) : {
+      complexUsed: 0,
+      simpleUsed: 0,
+      month: monthKey
+    };
+  }
+
   /**
    * 🎯 CHECK MONTHLY LIMITS (SEPARATE FOR COMPLEX/SIMPLE)
    * Validates if user has available quota for complex or simple messages this month
    */
-  async _checkMonthlyLimits(userId, complexity) {
+  async _checkMonthlyLimits(userId, complexity, usage = null) {
     try {
-      const now = new Date();
-      const monthKey = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-      const cacheKey = `ai_coach_monthly:${userId}:${monthKey}`;
-
-      let monthlyData = await redisService.get(cacheKey);
-      monthlyData = monthlyData ? JSON.parse(monthlyData) : {
-        complexUsed: 0,
-        simpleUsed: 0,
-        month: monthKey
-      };
+      const monthlyData = usage || await this._getMonthlyUsage(userId);
 
       const limits = this.premiumLimits.premium;
 
@@ -1172,6 +1189,86 @@ QUESTION: "Should I ask for a raise?"
     }
   }
 
+  /**
+   * 🛟 PRIVATE: Answer a high-risk message with crisis resources
+   *
+   * Bypasses the persona, the model and everything that counts or sells:
+   * no memories, follow-ups, predictions, streaks or usage. Storing and
+   * flagging are best effort - the resources are returned regardless.
+   */
+  async _respondToCrisis(sessionData, message, userId, safety, options = {}) {
+    const sessionId = sessionData.session_id;
+    const language = options.language || options.languageCode || sessionData.language_code || "en";
+    const country = options.country || sessionData.country ||
+      localContextService.countryFromTimezone(options.timezone);
+    const crisis = safetyService.buildCrisisResponse({
+      categories: safety.categories,
+      country,
+      language,
+    });
+
+    logger.getLogger().warn("🛟 High-risk AI Coach message, answering with crisis resources", {
+      sessionId,
+      userId,
+      categories: safety.categories,
+      country: crisis.resources ? crisis.resources.country : null,
+    });
+
+    let userMessageId = null;
+    let messageId = null;
+    try {
+      userMessageId = await this._storeMessage(sessionId, "user", message, {
+        userAgent: options.userAgent,
+        safety: { riskLevel: safety.riskLevel, categories: safety.categories },
+        timestamp: new Date().toISOString(),
+      });
+      messageId = await this._storeMessage(sessionId, "ai", crisis.content, {
+        model: "safety_protocol",
+        safety: true,
+        streamed: !!options.onToken,
+        timestamp: new Date().toISOString(),
+      });
+      await this._updateConversationContext(sessionId, message, crisis.content);
+    } catch (error) {
+      logger.logError(error, { context: "safety_response", sessionId, userId });
+    }
+
+    // The review flag must not depend on the messages being stored
+    try {
+      await safetyService.flagSession({
+        userId,
+        sessionId,
+        messageId: userMessageId,
+        assessment: safety,
+        country: crisis.resources ? crisis.resources.country : null,
+        language,
+      });
+    } catch (error) {
+      logger.logError(error, { context: "safety_flag", sessionId, userId });
+    }
+
+    if (options.onToken) {
+      options.onToken(crisis.content);
+    }
+
+    return {
+      success: true,
+      response: {
+        content: crisis.content,
+        sessionId,
+        messageId,
+        model: "safety_protocol",
+        persona: sessionData.ai_coach_persona,
+        timestamp: new Date().toISOString(),
+        safety: {
+          riskLevel: safety.riskLevel,
+          categories: safety.categories,
+          resources: crisis.resources,
+        },
+      },
+    };
+  }
+
   /**
    * 🗃️ PRIVATE: Get and validate session
    */
@@ -1226,7 +1323,7 @@ QUESTION: "Should I ask for a raise?"
   }
 
   /**
-   * 🤖 PRIVATE: Generate AI response using OpenAI
+   * 🤖 PRIVATE: Generate AI response via llmService (OpenAI by default)
    * ✨ NEW: Now includes personalized astrological data
    */
   async _generateAIResponse(sessionData, userMessage, options = {}) {
@@ -1235,8 +1332,7 @@ QUESTION: "Should I ask for a raise?"
     try {
       // 🔥🔥🔥 DIC-07-2025 STEP-BY-STEP DEBUG 🔥🔥🔥
       console.log('🚀 [STEP 1] _generateAIResponse STARTED');
-      console.log('🔑 OpenAI API Key exists:', !!process.env.OPENAI_API_KEY);
-      console.log('🔑 OpenAI API Key length:', process.env.OPENAI_API_KEY?.length || 0);
+      console.log('🔑 LLM available for coach:', llmService.isAvailable('coach'));
       console.log('📝 ai_coach_persona:', sessionData.ai_coach_persona);
 
       const persona = this.personas[sessionData.ai_coach_persona];
@@ -1303,10 +1399,9 @@ QUESTION: "Should I ask for a raise?"
         summary: localContextService.getContextSummary(localContext),
       });
 
-      // Build conversation history for context
-      const recentMessages = conversationContext.messageHistory || [];
-      const contextMessages = recentMessages.slice(
-        -this.config.maxContextMessages
+      // Build conversation history for context (older turns are in the session summary)
+      const contextMessages = conversationSummaryService.recentHistory(
+        conversationContext.messageHistory
       );
 
       // Build final system prompt with all enhancements
@@ -1353,6 +1448,22 @@ FAILURE TO RESPOND IN ${langName.toUpperCase()} IS A CRITICAL ERROR.
         finalSystemPrompt += localContextPrompt;
       }
 
+      // 🧠 Long-term memories ranked by relevance to this message
+      const memoryContext = await memoryService.getRelevantMemories(
+        sessionData.user_id,
+        userMessage,
+        language
+      );
+      if (memoryContext) {
+        finalSystemPrompt += memoryContext;
+      }
+
+      // 📜 Earlier turns of this session and the user's previous sessions
+      finalSystemPrompt += conversationSummaryService.buildPromptSection(
+        sessionData.summary,
+        conversationContext.previousConversations
+      );
+
       // 🔮 ESOTERIC KNOWLEDGE: Detect topics and add specialized knowledge
       const detectedTopics = esotericKnowledge.detectTopics(userMessage, contextMessages);
       if (detectedTopics.length > 0) {
@@ -1432,7 +1543,9 @@ their question, and today's specific cosmic energies.
 ${language === 'es' ? '🇪🇸 Toda tu respuesta DEBE estar en español.' : ''}${language === 'en' ? '🇬🇧 Your entire response MUST be in English.' : ''}${language === 'it' ? '🇮🇹 Tutta la tua risposta DEVE essere in italiano.' : ''}${language === 'fr' ? '🇫🇷 Toute ta réponse DOIT être en français.' : ''}${language === 'de' ? '🇩🇪 Deine gesamte Antwort MUSS auf Deutsch sein.' : ''}${language === 'pt' ? '🇧🇷 Toda a sua resposta DEVE estar em português.' : ''}`;
 
       // 🚨 Crisis intervention notice (if detected)
-      if (emotionalState.hasCrisisIndicators) {
+      const safetyConcern =
+        options.safety && options.safety.categories.includes("self_harm");
+      if (emotionalState.hasCrisisIndicators || safetyConcern) {
         const crisisNotice =
           language === "es"
             ? `
@@ -1702,21 +1815,34 @@ FOCUS: 100% immediate safety, 0% astrology.`;
         },
       ];
       // 🎯 AGENTE 4: Check monthly limits BEFORE calling OpenAI
-      // 🎯 AGENTE 4: Check monthly limits BEFORE calling OpenAI
-      // 🧠 AGENTE 2: Detectar complejidad del mensaje y seleccionar modelo
-      const complexity = this._detectMessageComplexity(userMessage);
-      const selectedModel = this._selectModel(complexity);
+      // 🧭 Model and reply length from persona, topics, emotional state,
+      // tier, remaining monthly budget and conversation length
       const userId = sessionData.user_id;
-
-      logger.getLogger().info('🤖 AI Model selected', {
-        complexity,
-        model: selectedModel,
-        messageLength: userMessage.length,
-        userId
+      const monthlyUsage = await this._getMonthlyUsage(userId).catch((usageError) => {
+        logger.logError(usageError, { context: 'get_monthly_usage', userId });
+        return null;
+      });
+      const route = modelRouterService.route({
+        message: userMessage,
+        persona: sessionData.ai_coach_persona,
+        personaMaxTokens: persona.maxTokens,
+        topics: detectedTopics,
+        emotionalState,
+        tier: modelRouterService.tierOf(options.premiumStatus),
+        monthlyUsage: monthlyUsage && {
+          ...monthlyUsage,
+          complexLimit: this.premiumLimits.premium.complexMessages,
+        },
+        conversationLength:
+          (sessionData.summarized_messages || 0) +
+          (conversationContext.messageHistory || []).length,
+        messages,
       });
+      const complexity = route.complexity;
+      const selectedModel = route.model;
 
       console.log('📊 [STEP 10] Checking monthly limits for userId:', userId);
-      const monthlyCheck = await this._checkMonthlyLimits(userId, complexity);
+      const monthlyCheck = await this._checkMonthlyLimits(userId, complexity, monthlyUsage);
       console.log('📊 [STEP 11] Monthly check result:', monthlyCheck.allowed);
       if (!monthlyCheck.allowed) {
         return {
@@ -1728,26 +1854,58 @@ FOCUS: 100% immediate safety, 0% astrology.`;
       }
 
       console.log('🤖 [STEP 12] Calling OpenAI with model:', selectedModel);
-      console.log('🤖 [STEP 12b] this.openai exists:', !!this.openai);
       console.log('🌍🌍🌍 [LANGUAGE-FINAL-CHECK] language variable =', language);
       console.log('🌍🌍🌍 [LANGUAGE-FINAL-CHECK] finalLangEnforcement =', finalLangEnforcement?.content?.substring(0, 50));
       console.log('🌍🌍🌍 [LANGUAGE-FINAL-CHECK] messages count =', messages.length);
       console.log('🌍🌍🌍 [LANGUAGE-FINAL-CHECK] last system msg role =', messages[messages.length - 2]?.role);
       console.log('🌍🌍🌍 [LANGUAGE-FINAL-CHECK] finalSystemPrompt first 300 chars =', finalSystemPrompt.substring(0, 300));
       console.log('🌍🌍🌍 [LANGUAGE-FINAL-CHECK] userMessageWithLang =', userMessageWithLang.substring(0, 100));
-      const completion = await this.openai.chat.completions.create({
+      const completionParams = {
         model: selectedModel,
         messages: messages,
-        max_tokens: persona.maxTokens,
+        max_tokens: route.maxTokens,
         temperature: 0.7,
         presence_penalty: 0.6,
         frequency_penalty: 0.3,
-      });
+      };
+
+      // 🧰 Tools let the coach look up and act on the user's data; a crisis
+      // reply stays focused on the person, without tools
+      const toolContext = coachToolsService.isEnabled() &&
+        !emotionalState.hasCrisisIndicators && !safetyConcern
+        ? {
+            userId,
+            sessionId: sessionData.session_id,
+            zodiacSign: options.zodiacSign || sessionData.zodiac_sign,
+            language,
+            timezone: options.timezone,
+            country: options.country || sessionData.country,
+            tier: (options.premiumStatus && options.premiumStatus.tier) || options.premiumTier,
+            invocations: [],
+          }
+        : null;
+      if (toolContext) {
+        completionParams.tools = coachToolsService.definitions();
+        completionParams.tool_choice = "auto";
+      }
+
+      const completion = await this._completeWithTools(completionParams, options, toolContext);
 
       const response = completion.choices[0].message.content;
       const tokensUsed = completion.usage.total_tokens;
       const responseTime = Date.now() - startTime;
 
+      if (completion.aborted && !response) {
+        return {
+          success: false,
+          error: "client_aborted",
+          message: "Client disconnected before the response started",
+        };
+      }
+
+      // 💰 Actual tokens and cost of the routed reply
+      modelRouterService.recordUsage(route, completion.usage, completion.model || selectedModel);
+
       // 🎯 AGENTE 4: Increment monthly usage AFTER successful response
       await this._incrementMonthlyUsage(userId, complexity);
       // 📉 Decrement daily balance
@@ -1757,10 +1915,17 @@ FOCUS: 100% immediate safety, 0% astrology.`;
         success: true,
         content: response,
         model: selectedModel,
+        complexity,
         tokensUsed,
+        promptTokens: completion.usage.prompt_tokens,
+        completionTokens: completion.usage.completion_tokens,
         responseTime,
         confidenceScore: 0.85, // Default confidence score
         messageId: completion.id,
+        aborted: !!completion.aborted,
+        // 🧰 Structured results of the tools the coach called
+        cards: completion.cards || [],
+        toolCalls: (completion.toolCalls || []).length,
         // 🌍 DEBUG: Include language used for debugging
         languageUsed: language,
         languageFromOptions: options.language,
@@ -1833,7 +1998,7 @@ FOCUS: 100% immediate safety, 0% astrology.`;
             ? `[Respond in ${fallbackLangName} only]\n\n${userMessage}`
             : userMessage;
 
-          const fallbackCompletion = await this.openai.chat.completions.create({
+          const fallbackCompletion = await llmService.chat("coach", {
             model: this.config.fallbackModel,
             messages: [
               { role: "system", content: fallbackLangPrefix + fallbackPrompt },
@@ -1881,6 +2046,144 @@ FOCUS: 100% immediate safety, 0% astrology.`;
     }
   }
 
+  /**
+   * 📡 PRIVATE: Stream a chat completion
+   * Forwards each content delta to options.onToken and returns a
+   * completion-shaped object, so callers handle both modes the same way.
+   * If options.signal aborts (client disconnected) the partial text is kept
+   * and flagged as aborted; token counts then come from the tokenizer because
+   * providers only report usage in the final chunk.
+   */
+  async _streamCompletion(params, options) {
+    let id = null;
+    let content = "";
+    let finishReason = null;
+    let usage = null;
+    let aborted = false;
+    const toolCalls = [];
+
+    try {
+      const stream = await llmService.chat(
+        "coach",
+        { ...params, stream: true, stream_options: { include_usage: true } },
+        { signal: options.signal }
+      );
+
+      for await (const chunk of stream) {
+        id = id || chunk.id;
+        if (chunk.usage) usage = chunk.usage;
+
+        const choice = chunk.choices && chunk.choices[0];
+        if (!choice) continue;
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+
+        const delta = choice.delta && choice.delta.content;
+        if (delta) {
+          content += delta;
+          options.onToken(delta);
+        }
+
+        // Tool calls arrive in fragments keyed by index
+        for (const fragment of (choice.delta && choice.delta.tool_calls) || []) {
+          const call = toolCalls[fragment.index] ||
+            (toolCalls[fragment.index] = { id: null, type: "function", function: { name: "", arguments: "" } });
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function && fragment.function.name) call.function.name += fragment.function.name;
+          if (fragment.function && fragment.function.arguments) call.function.arguments += fragment.function.arguments;
+        }
+      }
+    } catch (error) {
+      if (!options.signal || !options.signal.aborted) throw error;
+      aborted = true;
+    }
+
+    if (!usage) {
+      const promptTokens = countMessageTokens(params.messages, params.model);
+      const toolCallText = toolCalls
+        .filter(Boolean)
+        .map((call) => call.function.name + call.function.arguments)
+        .join("");
+      const completionTokens = countTokens(content + toolCallText, params.model);
+      usage = {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        estimated: true,
+      };
+    }
+
+    const message = { content };
+    if (toolCalls.length > 0 && !aborted) message.tool_calls = toolCalls.filter(Boolean);
+
+    return {
+      id: id || `stream-${uuidv4()}`,
+      choices: [{ message, finish_reason: finishReason }],
+      usage,
+      aborted,
+    };
+  }
+
+  /**
+   * 🧰 PRIVATE: Completion with tool calls
+   *
+   * Runs the tools the model asks for and calls it again with the results,
+   * up to coachToolsService.settings.maxRounds; the last round may not
+   * request tools. Usage adds up across rounds. Without a tool context this
+   * is a single plain (or streamed) completion.
+   *
+   * @returns {Promise<Object>} Final completion, plus `cards` and `toolCalls`
+   */
+  async _completeWithTools(params, options, toolContext) {
+    // 📡 Streaming requests push tokens to options.onToken as they arrive
+    const complete = (completionParams) => (options.onToken
+      ? this._streamCompletion(completionParams, options)
+      : llmService.chat("coach", completionParams));
+
+    let completion = await complete(params);
+    if (!toolContext) return completion;
+
+    const messages = [...params.messages];
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    const addUsage = (turn) => {
+      for (const key of Object.keys(usage)) usage[key] += (turn.usage && turn.usage[key]) || 0;
+      if (turn.usage && turn.usage.estimated) usage.estimated = true;
+    };
+    const cards = [];
+    // Text the model wrote before calling tools was already streamed
+    let leadIn = "";
+
+    addUsage(completion);
+    for (let round = 1; ; round++) {
+      const message = completion.choices[0].message;
+      if (completion.aborted || !message.tool_calls || message.tool_calls.length === 0) break;
+
+      if (message.content) {
+        leadIn += `${message.content}\n\n`;
+        if (options.onToken) options.onToken("\n\n");
+      }
+
+      const results = await coachToolsService.executeAll(message.tool_calls, toolContext);
+      cards.push(...results.filter((result) => result.card).map((result) => result.card));
+      messages.push(
+        { role: "assistant", content: message.content || null, tool_calls: message.tool_calls },
+        ...results.map((result) => result.message)
+      );
+
+      const lastRound = round >= coachToolsService.settings.maxRounds;
+      completion = await complete({ ...params, messages, tool_choice: lastRound ? "none" : "auto" });
+      addUsage(completion);
+    }
+
+    const finalMessage = completion.choices[0].message;
+    return {
+      ...completion,
+      choices: [{ ...completion.choices[0], message: { ...finalMessage, content: leadIn + (finalMessage.content || "") } }],
+      usage,
+      cards,
+      toolCalls: toolContext.invocations,
+    };
+  }
+
   /**
    * 🤖 GENERATE DAILY HOROSCOPE WITH AI (Fallback when DB is empty)
    *
@@ -1957,8 +2260,8 @@ Rispondi SOLO con JSON: {"energy_level":"...","lucky_colors":"...","favorable_ti
 
       const prompt = prompts[language] || prompts.en; // Fallback to English if language not supported
 
-      // Call OpenAI with JSON mode
-      const completion = await this.openai.chat.completions.create({
+      // Call the model with JSON mode
+      const completion = await llmService.chat("horoscope", {
         model: "gpt-4o-mini",
         messages: [
           {
@@ -2130,6 +2433,7 @@ Rispondi SOLO con JSON: {"energy_level":"...","lucky_colors":"...","favorable_ti
         WHERE date = CURRENT_DATE
           AND sign ILIKE $1
           AND language_code = $2
+          AND quality_status <> 'held'
         LIMIT 1
       `;
 
@@ -2854,7 +3158,7 @@ TONO: Comprensivo, empoderador, orientado a la acción. Como un coach que lo ent
         ? JSON.parse(rawContext || "{}")
         : (rawContext || {});
 
-      // Update message history (keep last N messages)
+      // Update message history
       if (!context.messageHistory) context.messageHistory = [];
 
       context.messageHistory.push(
@@ -2862,13 +3166,6 @@ TONO: Comprensivo, empoderador, orientado a la acción. Como un coach que lo ent
         { role: "assistant", content: aiResponse }
       );
 
-      // Keep only recent messages for context
-      if (context.messageHistory.length > this.config.maxContextMessages * 2) {
-        context.messageHistory = context.messageHistory.slice(
-          -this.config.maxContextMessages * 2
-        );
-      }
-
       // Update in database
       const updateQuery =
         "UPDATE chat_sessions SET conversation_context = $1 WHERE session_id = $2";
@@ -2884,6 +3181,12 @@ TONO: Comprensivo, empoderador, orientado a la acción. Como un coach que lo ent
           conversation_context: JSON.stringify(context),
         })
       );
+
+      // 📜 Over the token budget: older turns go into the session summary.
+      // The summary call is slow, so it runs after the response is sent
+      if (conversationSummaryService.needsCompaction(context)) {
+        this._compactConversation(sessionId);
+      }
     } catch (error) {
       logger.logError(error, {
         context: "update_conversation_context",
@@ -2892,6 +3195,24 @@ TONO: Comprensivo, empoderador, orientado a la acción. Como un coach que lo ent
     }
   }
 
+  /**
+   * 📜 PRIVATE: Summarize older turns of a long session (background)
+   */
+  async _compactConversation(sessionId) {
+    try {
+      const compacted = await conversationSummaryService.compactSession(sessionId);
+      if (compacted) {
+        // The cached session would still carry the uncompacted history
+        await redisService.delete(`ai_coach_session:${sessionId}`);
+      }
+    } catch (error) {
+      logger.logError(error, {
+        context: "compact_conversation",
+        sessionId,
+      });
+    }
+  }
+
   /**
    * 📈 PRIVATE: Update usage statistics
    */
@@ -3066,7 +3387,7 @@ Return ONLY a valid JSON object with this structure:
   "recentContext": "..."
 }`;
 
-      const completion = await this.openai.chat.completions.create({
+      const completion = await llmService.chat("coach_memory", {
         model: "gpt-4o-mini", // Cost-efficient model for summaries
         messages: [
           {
@@ -3237,13 +3558,15 @@ Return ONLY a valid JSON object with this structure:
       config: {
         defaultModel: this.config.defaultModel,
         fallbackModel: this.config.fallbackModel,
-        maxContextMessages: this.config.maxContextMessages,
+        complexModel: modelRouterService.settings.complexModel,
+        simpleModel: modelRouterService.settings.simpleModel,
+        historyTokenBudget: conversationSummaryService.settings.historyTokenBudget,
       },
       limits: {
         free: this.premiumLimits.free,
         premium: this.premiumLimits.premium,
       },
-      openaiConfigured: !!process.env.OPENAI_API_KEY,
+      llmConfigured: llmService.isAvailable("coach"),
     };
   }
 
@@ -3370,23 +3693,14 @@ Return ONLY a valid JSON object with this structure:
       // Test Redis connection
       await redisService.ping();
 
-      // Test OpenAI connection if key is available
-      let openaiStatus = "not_configured";
-      if (process.env.OPENAI_API_KEY) {
-        try {
-          await this.openai.models.list();
-          openaiStatus = "connected";
-        } catch (error) {
-          openaiStatus = "error";
-        }
-      }
+      const llmStatus = llmService.getStatus().features.coach;
 
       return {
         healthy: true,
         components: {
           database: "connected",
           redis: "connected",
-          openai: openaiStatus,
+          llm: llmStatus.available ? `configured (${llmStatus.provider})` : "not_configured",
         },
         timestamp: new Date().toISOString(),
       };
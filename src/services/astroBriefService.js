@@ -0,0 +1,459 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 🔭 ASTRO BRIEF SERVICE - THE REAL SKY BEHIND EACH SIGN HOROSCOPE
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * Computes the sky of a day (UTC) or an ISO week with ephemerisService and
+ * turns it into a structured brief per sign:
+ * - Sky: Sun to Pluto positions, Moon sign and phase, and the exact events
+ *   of the period: ingresses (Moon's too for a day), retrograde/direct
+ *   stations, exact major aspects between Sun..Pluto and lunations, each
+ *   timed by bisection between samples
+ * - Brief: the sky in solar-house framing (the sign's own sign is the 1st
+ *   house), with its ruling planets; events touching a ruler or the 1st
+ *   house are marked as focus
+ *
+ * horoscopeGenerator feeds the brief into the daily/weekly prompts and
+ * stores it as astro_brief next to the content (migration 030), so the app
+ * can show why a horoscope says what it says.
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const moment = require('moment');
+const ephemerisService = require('./ephemerisService');
+const { SIGN_TRANSLATIONS, toEnglishSign } = require('../utils/signTranslations');
+
+const { ZODIAC_SIGNS, PLANETS, ASPECTS, MAJOR_ASPECTS } = ephemerisService;
+
+const ASPECT_BODIES = PLANETS.filter(body => body !== 'moon');
+const STATION_BODIES = PLANETS.filter(body => body !== 'sun' && body !== 'moon');
+
+// Ruling planets, as in the generator's sign traits
+const RULERS = {
+  aries: ['mars'],
+  taurus: ['venus'],
+  gemini: ['mercury'],
+  cancer: ['moon'],
+  leo: ['sun'],
+  virgo: ['mercury'],
+  libra: ['venus'],
+  scorpio: ['pluto', 'mars'],
+  sagittarius: ['jupiter'],
+  capricorn: ['saturn'],
+  aquarius: ['uranus', 'saturn'],
+  pisces: ['neptune', 'jupiter']
+};
+
+const HOUSE_TOPICS = {
+  1: 'self and appearance',
+  2: 'money and values',
+  3: 'communication and surroundings',
+  4: 'home and family',
+  5: 'creativity, romance and play',
+  6: 'work routine and health',
+  7: 'partnerships',
+  8: 'shared resources and transformation',
+  9: 'travel, study and beliefs',
+  10: 'career and reputation',
+  11: 'friends and community',
+  12: 'rest and inner life'
+};
+
+// Sun-Moon elongation of each lunation
+const LUNATIONS = { 0: 'newMoon', 90: 'firstQuarter', 180: 'fullMoon', 270: 'lastQuarter' };
+
+// Each phase starts at its lunation (as astrologicalTimingService.getLunarPhaseFromAngle)
+const MOON_PHASES = [
+  'newMoon', 'waxingCrescent', 'firstQuarter', 'waxingGibbous',
+  'fullMoon', 'waningGibbous', 'lastQuarter', 'waningCrescent'
+];
+
+// Names used in the (Spanish) prompts
+const PROMPT_NAMES = {
+  bodies: {
+    sun: 'Sol', moon: 'Luna', mercury: 'Mercurio', venus: 'Venus', mars: 'Marte',
+    jupiter: 'Júpiter', saturn: 'Saturno', uranus: 'Urano', neptune: 'Neptuno', pluto: 'Plutón'
+  },
+  aspects: {
+    conjunction: 'conjunción', sextile: 'sextil', square: 'cuadratura', trine: 'trígono', opposition: 'oposición'
+  },
+  phases: {
+    newMoon: 'Luna nueva', waxingCrescent: 'Luna creciente', firstQuarter: 'cuarto creciente',
+    waxingGibbous: 'Luna gibosa creciente', fullMoon: 'Luna llena', waningGibbous: 'Luna gibosa menguante',
+    lastQuarter: 'cuarto menguante', waningCrescent: 'Luna menguante'
+  },
+  houses: {
+    1: 'identidad e imagen', 2: 'dinero y valores', 3: 'comunicación y entorno', 4: 'hogar y familia',
+    5: 'creatividad, romance y juego', 6: 'rutina de trabajo y salud', 7: 'pareja y socios',
+    8: 'recursos compartidos y transformación', 9: 'viajes, estudios y creencias', 10: 'carrera y reputación',
+    11: 'amistades y comunidad', 12: 'descanso y mundo interior'
+  }
+};
+
+// Signed difference to - from, in (-180, 180]
+const delta = (to, from) => {
+  const difference = ((to - from) % 360 + 360) % 360;
+  return difference > 180 ? difference - 360 : difference;
+};
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class AstroBriefService {
+  constructor() {
+    this.version = 1;
+    this.settings = {
+      sampleHours: 6,        // Events are searched between samples this far apart
+      precisionMinutes: 1,   // Bisection stops at this resolution
+      maxEvents: 8,          // Events kept in a sign's brief (focus first)
+      cacheSize: 16          // Skies kept in memory (one per day or week)
+    };
+
+    // Every sign and language of a period shares the same sky
+    this.cache = new Map();
+  }
+
+  /**
+   * ========================================================
+   * BRIEFS
+   * ========================================================
+   */
+
+  /**
+   * Brief of a sign for one day
+   *
+   * @param {string} sign - Any language or case (Tauro, taurus...)
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object} See buildBrief
+   */
+  getDailyBrief(sign, date) {
+    return this.buildBrief(this.getDailySky(date), sign);
+  }
+
+  /**
+   * Brief of a sign for an ISO week
+   *
+   * @param {string} sign
+   * @param {string} weekStart - YYYY-MM-DD
+   * @param {string} weekEnd - YYYY-MM-DD (included)
+   */
+  getWeeklyBrief(sign, weekStart, weekEnd) {
+    return this.buildBrief(this.getWeeklySky(weekStart, weekEnd), sign);
+  }
+
+  /**
+   * The sky of a period from one sign's point of view (solar houses)
+   *
+   * @param {Object} sky - From getDailySky / getWeeklySky
+   * @param {string} sign
+   * @returns {Object} { version, kind, period, sign, framing, rulers, sun, moon,
+   *   retrogrades, events[], houses[], source }
+   */
+  buildBrief(sky, sign) {
+    const key = this.signKey(sign);
+    const rulers = RULERS[key];
+    const house = (name) => this.solarHouse(name, key);
+
+    const events = sky.events
+      .map((event) => {
+        const houses = (event.signs || [event.to || event.sign]).map(house);
+        const bodies = event.bodies || [event.body];
+        return {
+          ...event,
+          houses,
+          focus: bodies.some(body => rulers.includes(body)) || houses.includes(1)
+        };
+      })
+      .sort((a, b) => (b.focus - a.focus) || a.at.localeCompare(b.at))
+      .slice(0, this.settings.maxEvents);
+
+    const placed = (body) => ({ body, ...sky.positions[body], house: house(sky.positions[body].sign) });
+
+    return {
+      version: this.version,
+      kind: sky.kind,
+      period: sky.period,
+      sign: key,
+      framing: 'solar_houses',
+      rulers: rulers.map(placed),
+      sun: placed('sun'),
+      moon: { ...placed('moon'), phase: sky.moon.phase, illumination: sky.moon.illumination },
+      retrogrades: STATION_BODIES.filter(body => sky.positions[body].retrograde).map(placed),
+      events,
+      houses: [...new Set(events.flatMap(event => event.houses))].map(number => ({ house: number, topic: HOUSE_TOPICS[number] })),
+      source: sky.source
+    };
+  }
+
+  /**
+   * Brief as prompt lines (Spanish, like the generator prompts)
+   * Focus events are starred.
+   */
+  formatForPrompt(brief) {
+    const names = PROMPT_NAMES;
+    const sign = (name) => SIGN_TRANSLATIONS[name];
+    const house = (number) => `casa ${number}: ${names.houses[number]}`;
+    const placement = ({ body, sign: name, house: number, retrograde }, { flagRetrograde = true } = {}) =>
+      `${names.bodies[body]} en ${sign(name)}${retrograde && flagRetrograde ? ' retrógrado' : ''} (${house(number)})`;
+    const when = (at) => (brief.kind === 'daily' ? `${at.slice(11, 16)} UTC` : at.slice(0, 10));
+
+    const describe = (event) => {
+      switch (event.type) {
+        case 'ingress':
+          return `${names.bodies[event.body]} entra en ${sign(event.to)} (${house(event.houses[0])})`;
+        case 'station':
+          return `${names.bodies[event.body]} estaciona ${event.direction === 'retrograde' ? 'retrógrado' : 'directo'} en ${sign(event.sign)} (${house(event.houses[0])})`;
+        case 'aspect':
+          return `${names.bodies[event.bodies[0]]} en ${names.aspects[event.aspect]} exacta con ${names.bodies[event.bodies[1]]} (${event.houses[0] === event.houses[1] ? house(event.houses[0]) : `casas ${event.houses.join(' y ')}`})`;
+        case 'lunation':
+          return `${names.phases[event.phase]} en ${sign(event.sign)} (${house(event.houses[0])})`;
+        default:
+          return event.type;
+      }
+    };
+
+    const lines = [
+      `- ${placement(brief.sun)}`,
+      `- ${placement(brief.moon)}, fase: ${names.phases[brief.moon.phase]}`,
+      `- Regente${brief.rulers.length > 1 ? 's' : ''}: ${brief.rulers.map(ruler => placement(ruler)).join('; ')}`
+    ];
+
+    if (brief.events.length > 0) {
+      lines.push('- Eventos exactos:');
+      for (const event of brief.events) {
+        lines.push(`  ${event.focus ? '★' : '•'} ${when(event.at)}: ${describe(event)}`);
+      }
+    } else {
+      lines.push('- Sin eventos exactos en el periodo: apóyate en la Luna y el regente');
+    }
+
+    if (brief.retrogrades.length > 0) {
+      lines.push(`- Retrógrados: ${brief.retrogrades.map(body => placement(body, { flagRetrograde: false })).join('; ')}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Solar house of a sign for the brief's sign (its own sign is the 1st)
+   */
+  solarHouse(name, signKey) {
+    return ((ZODIAC_SIGNS.indexOf(name) - ZODIAC_SIGNS.indexOf(signKey) + 12) % 12) + 1;
+  }
+
+  /**
+   * English lowercase key (ZODIAC_SIGNS) of a sign in any language or case
+   */
+  signKey(sign) {
+    const key = String(toEnglishSign(sign) || '').toLowerCase();
+    if (!RULERS[key]) {
+      throw new Error(`Unknown zodiac sign: ${sign}`);
+    }
+    return key;
+  }
+
+  /**
+   * ========================================================
+   * SKY
+   * ========================================================
+   */
+
+  /**
+   * The sky of a UTC day, with the Moon's ingresses
+   * @param {string} date - YYYY-MM-DD
+   */
+  getDailySky(date) {
+    const start = moment.utc(date, 'YYYY-MM-DD', true);
+    if (!start.isValid()) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+
+    return this._cached(`daily:${date}`, () => this.computeSky(start.toDate(), start.clone().add(1, 'day').toDate(), {
+      kind: 'daily',
+      period: { start: date, end: date },
+      moonIngresses: true
+    }));
+  }
+
+  /**
+   * The sky of a week (Moon ingresses left out: lunations instead)
+   * @param {string} weekStart - YYYY-MM-DD
+   * @param {string} weekEnd - YYYY-MM-DD (included)
+   */
+  getWeeklySky(weekStart, weekEnd) {
+    const start = moment.utc(weekStart, 'YYYY-MM-DD', true);
+    const end = moment.utc(weekEnd, 'YYYY-MM-DD', true);
+    if (!start.isValid() || !end.isValid() || end.isBefore(start)) {
+      throw new Error(`Invalid week: ${weekStart} to ${weekEnd}`);
+    }
+
+    return this._cached(`weekly:${weekStart}:${weekEnd}`, () => this.computeSky(start.toDate(), end.clone().add(1, 'day').toDate(), {
+      kind: 'weekly',
+      period: { start: weekStart, end: weekEnd },
+      moonIngresses: false
+    }));
+  }
+
+  /**
+   * Positions at the middle of [start, end) and every exact event in it
+   *
+   * @returns {Object} { kind, period, positions: {body: {sign, degree, retrograde}},
+   *   moon: {phase, illumination}, events[], source }
+   */
+  computeSky(start, end, { kind, period, moonIngresses = false }) {
+    const startJd = ephemerisService.julianDay(start);
+    const endJd = ephemerisService.julianDay(end);
+    const count = Math.max(1, Math.round((endJd - startJd) * 24 / this.settings.sampleHours));
+
+    const samples = [];
+    for (let i = 0; i <= count; i++) {
+      const julianDay = startJd + (endJd - startJd) * i / count;
+      samples.push({ julianDay, positions: ephemerisService.calculatePositions(julianDay, { bodies: PLANETS }) });
+    }
+
+    const events = [];
+    for (let i = 1; i < samples.length; i++) {
+      events.push(...this._eventsBetween(samples[i - 1], samples[i], { moonIngresses }));
+    }
+    // An event exactly on a sample boundary is found on both sides
+    const unique = [...new Map(events.map(event => [JSON.stringify({ ...event, at: event.at.slice(0, 15) }), event])).values()];
+
+    const middle = ephemerisService.calculatePositions((startJd + endJd) / 2, { bodies: PLANETS });
+    const elongation = ephemerisService.normalize(middle.moon.longitude - middle.sun.longitude);
+
+    return {
+      kind,
+      period,
+      positions: Object.fromEntries(PLANETS.map(body => [body, {
+        sign: middle[body].sign,
+        degree: round(middle[body].degree),
+        retrograde: middle[body].retrograde
+      }])),
+      moon: {
+        phase: MOON_PHASES[Math.floor(elongation / 45) % 8],
+        illumination: round((1 - Math.cos(elongation * Math.PI / 180)) / 2, 2)
+      },
+      events: unique.sort((a, b) => a.at.localeCompare(b.at)),
+      source: middle.sun.source
+    };
+  }
+
+  _eventsBetween(from, to, { moonIngresses }) {
+    const events = [];
+    const longitude = (body, julianDay) => ephemerisService.calculateBody(body, julianDay).longitude;
+
+    // Ingresses
+    for (const body of PLANETS) {
+      if (body === 'moon' && !moonIngresses) continue;
+      const before = from.positions[body].sign;
+      const after = to.positions[body].sign;
+      if (before !== after) {
+        const at = this._bisect(from.julianDay, to.julianDay, jd => ephemerisService.getSign(longitude(body, jd)) === before);
+        events.push({ type: 'ingress', body, from: before, to: after, at: this._iso(at) });
+      }
+    }
+
+    // Stations (the speed changes sign)
+    for (const body of STATION_BODIES) {
+      const before = Math.sign(from.positions[body].speed);
+      if (before !== Math.sign(to.positions[body].speed)) {
+        const at = this._bisect(from.julianDay, to.julianDay, jd => Math.sign(ephemerisService.calculateBody(body, jd).speed) === before);
+        events.push({
+          type: 'station',
+          body,
+          direction: before > 0 ? 'retrograde' : 'direct',
+          sign: ephemerisService.getSign(longitude(body, at)),
+          at: this._iso(at)
+        });
+      }
+    }
+
+    // Exact major aspects between Sun..Pluto
+    for (let i = 0; i < ASPECT_BODIES.length; i++) {
+      for (let j = i + 1; j < ASPECT_BODIES.length; j++) {
+        const first = ASPECT_BODIES[i];
+        const second = ASPECT_BODIES[j];
+        const separation = (jd, positions) => delta(
+          positions ? positions[second].longitude : longitude(second, jd),
+          positions ? positions[first].longitude : longitude(first, jd)
+        );
+
+        for (const aspect of MAJOR_ASPECTS) {
+          const { angle } = ASPECTS[aspect];
+          for (const target of angle === 0 || angle === 180 ? [angle] : [angle, -angle]) {
+            const at = this._crossing(from, to, (jd, positions) => delta(separation(jd, positions), target));
+            if (at !== null) {
+              events.push({
+                type: 'aspect',
+                bodies: [first, second],
+                aspect,
+                signs: [ephemerisService.getSign(longitude(first, at)), ephemerisService.getSign(longitude(second, at))],
+                at: this._iso(at)
+              });
+            }
+          }
+        }
+      }
+    }
+
+    // Lunations
+    for (const [elongation, phase] of Object.entries(LUNATIONS)) {
+      const at = this._crossing(from, to, (jd, positions) => delta(
+        delta(positions ? positions.moon.longitude : longitude('moon', jd), positions ? positions.sun.longitude : longitude('sun', jd)),
+        Number(elongation)
+      ));
+      if (at !== null) {
+        events.push({ type: 'lunation', phase, sign: ephemerisService.getSign(longitude('moon', at)), at: this._iso(at) });
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * When an angular distance to a target goes through zero between two
+   * samples, or null. Far from the target the difference wraps at ±180,
+   * which is not a crossing.
+   */
+  _crossing(from, to, offset) {
+    const before = offset(from.julianDay, from.positions);
+    const after = offset(to.julianDay, to.positions);
+    if (Math.sign(before) === Math.sign(after) || Math.abs(before) > 45 || Math.abs(after) > 45) {
+      return null;
+    }
+    return this._bisect(from.julianDay, to.julianDay, jd => Math.sign(offset(jd)) === Math.sign(before));
+  }
+
+  /**
+   * Moment between two Julian Days where `unchanged` stops being true
+   */
+  _bisect(startJd, endJd, unchanged) {
+    const precision = this.settings.precisionMinutes / 1440;
+    let low = startJd;
+    let high = endJd;
+    while (high - low > precision) {
+      const middle = (low + high) / 2;
+      if (unchanged(middle)) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return (low + high) / 2;
+  }
+
+  _iso(julianDay) {
+    return moment.utc(ephemerisService.dateFromJulianDay(julianDay)).startOf('minute').toISOString();
+  }
+
+  _cached(key, compute) {
+    if (!this.cache.has(key)) {
+      if (this.cache.size >= this.settings.cacheSize) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(key, compute());
+    }
+    return this.cache.get(key);
+  }
+}
+
+module.exports = new AstroBriefService();
@@ -16,19 +16,15 @@
  * - Eclipse season guidance
  */
 
-const OpenAI = require('openai');
 const moment = require('moment-timezone');
-const sweph = require('sweph');
+const ephemerisService = require('./ephemerisService');
 const db = require('../config/db');
 const redisService = require('./redisService');
+const llmService = require('./llmService');
 const logger = require('../utils/logger');
 
 class AstrologicalTimingService {
     constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-        });
-
         // Timing configuration
         this.config = {
             cacheDuration: 1800, // 30 minutes cache for timing calculations
@@ -36,8 +32,17 @@ class AstrologicalTimingService {
             maxRecommendations: 10, // Maximum timing recommendations per request
             lookAheadDays: 30, // How many days to analyze for optimal timing
             voidMoonThreshold: 3, // Hours of void moon to avoid for important decisions
+            stationSearchDays: 800, // Covers the longest gap between stations (Mars)
+            bestDaysLimit: 5
         };
 
+        // Bodies whose aspects to the Moon end a void-of-course period
+        this.voidMoonPlanets = ['sun', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'];
+        this.majorAspectAngles = [0, 60, 90, 120, 180, 240, 270, 300];
+
+        // Next station per planet, reused while it is still ahead
+        this.stationCache = new Map();
+
         // Planetary influences for different activities
         this.planetaryInfluences = {
             mercury: {
@@ -210,6 +215,20 @@ class AstrologicalTimingService {
             }
         };
 
+        // /api/timing/best-days activity types -> activity templates
+        this.bestDayActivities = {
+            business_meeting: 'business',
+            job_interview: 'business',
+            first_date: 'relationships',
+            contract_signing: 'legal',
+            surgery_scheduling: 'health',
+            travel_booking: 'travel',
+            investment_decision: 'financial',
+            important_conversation: 'relationships',
+            creative_project_launch: 'creative',
+            property_purchase: 'home'
+        };
+
         console.log('🕰️ Astrological Timing Intelligence Service initialized');
     }
 
@@ -544,7 +563,7 @@ class AstrologicalTimingService {
     }
 
     /**
-     * Calculate planetary positions using Swiss Ephemeris
+     * Calculate planetary positions using the shared ephemeris
      */
     async calculatePlanetaryPositions(julianDay) {
         const positions = {};
@@ -552,19 +571,16 @@ class AstrologicalTimingService {
 
         for (const planet of planets) {
             try {
-                const planetId = this.getPlanetId(planet);
-                const result = sweph.calc_ut(julianDay, planetId, sweph.SEFLG_SWIEPH);
-
-                if (!result.error) {
-                    positions[planet] = {
-                        longitude: result.xx[0],
-                        latitude: result.xx[1],
-                        distance: result.xx[2],
-                        speed: result.xx[3],
-                        sign: this.getZodiacSign(result.xx[0]),
-                        degree: result.xx[0] % 30
-                    };
-                }
+                const result = ephemerisService.calculateBody(planet, julianDay);
+
+                positions[planet] = {
+                    longitude: result.longitude,
+                    latitude: result.latitude,
+                    distance: result.distance,
+                    speed: result.speed,
+                    sign: this.getZodiacSign(result.longitude),
+                    degree: result.degree
+                };
             } catch (error) {
                 logger.warn(`⚠️ Failed to calculate position for ${planet}:`, error);
             }
@@ -579,15 +595,8 @@ class AstrologicalTimingService {
     async calculateLunarInformation(julianDay, timezone) {
         try {
             // Get Moon position
-            const moonResult = sweph.calc_ut(julianDay, sweph.SE_MOON, sweph.SEFLG_SWIEPH);
-            const sunResult = sweph.calc_ut(julianDay, sweph.SE_SUN, sweph.SEFLG_SWIEPH);
-
-            if (moonResult.error || sunResult.error) {
-                throw new Error('Failed to calculate lunar positions');
-            }
-
-            const moonLongitude = moonResult.xx[0];
-            const sunLongitude = sunResult.xx[0];
+            const moonLongitude = ephemerisService.calculateBody('moon', julianDay).longitude;
+            const sunLongitude = ephemerisService.calculateBody('sun', julianDay).longitude;
 
             // Calculate lunar phase
             const phaseAngle = (moonLongitude - sunLongitude + 360) % 360;
@@ -621,16 +630,13 @@ class AstrologicalTimingService {
 
         for (const planet of planets) {
             try {
-                const planetId = this.getPlanetId(planet);
-                const result = sweph.calc_ut(julianDay, planetId, sweph.SEFLG_SWIEPH);
-
-                if (!result.error) {
-                    retrogradeStatus[planet] = {
-                        isRetrograde: result.xx[3] < 0, // Negative speed indicates retrograde
-                        speed: result.xx[3],
-                        stationaryDate: await this.calculateNextStationaryDate(planet, julianDay)
-                    };
-                }
+                const result = ephemerisService.calculateBody(planet, julianDay);
+
+                retrogradeStatus[planet] = {
+                    isRetrograde: result.retrograde,
+                    speed: result.speed,
+                    stationaryDate: await this.calculateNextStationaryDate(planet, julianDay)
+                };
             } catch (error) {
                 logger.warn(`⚠️ Failed to check retrograde status for ${planet}:`, error);
             }
@@ -650,10 +656,10 @@ class AstrologicalTimingService {
             for (let j = i + 1; j < planets.length; j++) {
                 const planet1 = planets[i];
                 const planet2 = planets[j];
-                const pos1 = planetaryPositions[planet1].longitude;
-                const pos2 = planetaryPositions[planet2].longitude;
+                const pos1 = planetaryPositions[planet1];
+                const pos2 = planetaryPositions[planet2];
 
-                const aspect = this.calculateAspectBetween(pos1, pos2);
+                const aspect = this.calculateAspectBetween(pos1.longitude, pos2.longitude, pos1.speed, pos2.speed);
                 if (aspect && aspect.strength > 0.5) {
                     aspects.push({
                         planet1,
@@ -732,20 +738,14 @@ class AstrologicalTimingService {
     async calculateVoidMoonPeriods(julianDay, timezone) {
         try {
             const voidPeriods = [];
-            const moonResult = sweph.calc_ut(julianDay, sweph.SE_MOON, sweph.SEFLG_SWIEPH);
-
-            if (moonResult.error) {
-                return [];
-            }
-
-            const moonLongitude = moonResult.xx[0];
+            const moonLongitude = ephemerisService.calculateBody('moon', julianDay).longitude;
             const moonSign = Math.floor(moonLongitude / 30);
 
             // Calculate when Moon makes its last aspect in current sign
             const lastAspectTime = await this.calculateLastAspectInSign(julianDay, moonSign);
 
             // Calculate when Moon enters next sign
-            const nextSignEntry = await this.calculateMoonSignEntry(julianDay, moonSign + 1);
+            const nextSignEntry = await this.calculateMoonSignEntry(julianDay, (moonSign + 1) % 12);
 
             if (lastAspectTime && nextSignEntry) {
                 const voidStart = moment(lastAspectTime);
@@ -928,11 +928,11 @@ Provide a 3-paragraph explanation:
     }
 
     /**
-     * Call OpenAI for timing explanations
+     * Call the LLM for timing explanations
      */
     async callOpenAIForTimingExplanation(prompt) {
         try {
-            const response = await this.openai.chat.completions.create({
+            const response = await llmService.chat('timing', {
                 model: 'gpt-4',
                 messages: [
                     { role: 'system', content: prompt.system },
@@ -952,7 +952,7 @@ Provide a 3-paragraph explanation:
             };
 
         } catch (error) {
-            logger.warn('⚠️ OpenAI explanation generation failed, using fallback:', error);
+            logger.warn('⚠️ LLM explanation generation failed, using fallback:', error);
             return this.generateFallbackExplanation(prompt);
         }
     }
@@ -960,37 +960,7 @@ Provide a 3-paragraph explanation:
     // HELPER METHODS
 
     dateToJulianDay(date) {
-        const year = date.getFullYear();
-        const month = date.getMonth() + 1;
-        const day = date.getDate();
-        const hour = date.getHours();
-        const minute = date.getMinutes();
-        const second = date.getSeconds();
-
-        const a = Math.floor((14 - month) / 12);
-        const y = year + 4800 - a;
-        const m = month + 12 * a - 3;
-
-        const jdn = day + Math.floor((153 * m + 2) / 5) + 365 * y +
-                   Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
-
-        return jdn + (hour - 12) / 24.0 + minute / 1440.0 + second / 86400.0;
-    }
-
-    getPlanetId(planetName) {
-        const planetIds = {
-            sun: sweph.SE_SUN,
-            moon: sweph.SE_MOON,
-            mercury: sweph.SE_MERCURY,
-            venus: sweph.SE_VENUS,
-            mars: sweph.SE_MARS,
-            jupiter: sweph.SE_JUPITER,
-            saturn: sweph.SE_SATURN,
-            uranus: sweph.SE_URANUS,
-            neptune: sweph.SE_NEPTUNE,
-            pluto: sweph.SE_PLUTO
-        };
-        return planetIds[planetName];
+        return ephemerisService.julianDay(date);
     }
 
     getZodiacSign(longitude) {
@@ -1016,31 +986,19 @@ Provide a 3-paragraph explanation:
         return { name: 'waningCrescent', illumination: (360 - phaseAngle) / 180 };
     }
 
-    calculateAspectBetween(pos1, pos2) {
-        const angle = Math.abs(pos2 - pos1);
-        const normalizedAngle = angle > 180 ? 360 - angle : angle;
-        
-        const aspectDefinitions = [
-            { name: 'conjunction', angle: 0, orb: 8 },
-            { name: 'sextile', angle: 60, orb: 6 },
-            { name: 'square', angle: 90, orb: 8 },
-            { name: 'trine', angle: 120, orb: 8 },
-            { name: 'opposition', angle: 180, orb: 8 }
-        ];
-        
-        for (const aspectDef of aspectDefinitions) {
-            const orb = Math.abs(normalizedAngle - aspectDef.angle);
-            if (orb <= aspectDef.orb) {
-                return {
-                    type: aspectDef.name,
-                    orb,
-                    strength: (aspectDef.orb - orb) / aspectDef.orb,
-                    isApplying: pos2 > pos1
-                };
-            }
+    calculateAspectBetween(pos1, pos2, speed1, speed2) {
+        const aspect = ephemerisService.findAspect(pos1, pos2, { speed1, speed2 });
+
+        if (!aspect) {
+            return null;
         }
-        
-        return null;
+
+        return {
+            type: aspect.aspect,
+            orb: aspect.orb,
+            strength: aspect.strength,
+            isApplying: aspect.applying === true
+        };
     }
 
     async getUserBirthData(userId) {
@@ -1248,21 +1206,304 @@ Provide a 3-paragraph explanation:
         return null;
     }
 
+    /**
+     * Next moment the planet's longitude speed changes sign, as an ISO string
+     */
     async calculateNextStationaryDate(planet, julianDay) {
-        // Placeholder - would calculate when planet stations (goes direct/retrograde)
-        return null;
+        const cached = this.stationCache.get(planet);
+        if (cached && julianDay >= cached.fromJd && julianDay < cached.stationJd) {
+            return ephemerisService.dateFromJulianDay(cached.stationJd).toISOString();
+        }
+
+        const speed = jd => ephemerisService.calculateBody(planet, jd).speed;
+        const stationJd = this.findSignChange(speed, julianDay, julianDay + this.config.stationSearchDays, 1);
+        if (stationJd === null) return null;
+
+        this.stationCache.set(planet, { fromJd: julianDay, stationJd });
+        return ephemerisService.dateFromJulianDay(stationJd).toISOString();
     }
 
+    /**
+     * Last exact major aspect the Moon makes while in its current sign
+     */
     async calculateLastAspectInSign(julianDay, moonSign) {
-        // Placeholder - would calculate last aspect Moon makes before leaving sign
-        return null;
+        const entryJd = this.findMoonSignBoundary(julianDay, moonSign, -1);
+        const exitJd = this.findMoonSignBoundary(julianDay, moonSign, 1);
+        if (entryJd === null || exitJd === null) return null;
+
+        let lastAspectJd = null;
+        for (const planet of this.voidMoonPlanets) {
+            for (const angle of this.majorAspectAngles) {
+                const separation = jd => this.signedAngle(
+                    ephemerisService.calculateBody('moon', jd).longitude -
+                    ephemerisService.calculateBody(planet, jd).longitude - angle
+                );
+
+                // Hourly steps; the Moon gains at most ~0.6 degrees an hour on any planet
+                let jd = exitJd;
+                let after = separation(jd);
+                while (jd > entryJd && (lastAspectJd === null || jd > lastAspectJd)) {
+                    const previousJd = Math.max(entryJd, jd - 1 / 24);
+                    const before = separation(previousJd);
+                    if (before <= 0 && after > 0 && after - before < 30) {
+                        const exactJd = this.bisectJulianDay(separation, previousJd, jd);
+                        if (lastAspectJd === null || exactJd > lastAspectJd) lastAspectJd = exactJd;
+                        break;
+                    }
+                    jd = previousJd;
+                    after = before;
+                }
+            }
+        }
+
+        // A Moon that perfects no aspect is void for the whole sign
+        return ephemerisService.dateFromJulianDay(lastAspectJd === null ? entryJd : lastAspectJd).toISOString();
     }
 
+    /**
+     * When the Moon enters the next sign
+     */
     async calculateMoonSignEntry(julianDay, nextSign) {
-        // Placeholder - would calculate when Moon enters next sign
+        const currentSign = (nextSign + 11) % 12;
+        const entryJd = this.findMoonSignBoundary(julianDay, currentSign, 1);
+
+        return entryJd === null ? null : ephemerisService.dateFromJulianDay(entryJd).toISOString();
+    }
+
+    // EPHEMERIS SEARCH HELPERS
+
+    /**
+     * Angle folded into (-180, 180]
+     */
+    signedAngle(degrees) {
+        const folded = ((degrees % 360) + 360) % 360;
+        return folded > 180 ? folded - 360 : folded;
+    }
+
+    /**
+     * Refine a sign change of `fn` between two Julian Days (to about a minute)
+     */
+    bisectJulianDay(fn, startJd, endJd, precisionDays = 1 / 1440) {
+        let low = startJd;
+        let high = endJd;
+        const lowNegative = fn(low) <= 0;
+
+        while (high - low > precisionDays) {
+            const mid = (low + high) / 2;
+            if ((fn(mid) <= 0) === lowNegative) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+
+    /**
+     * First sign change of `fn` after startJd, scanning in fixed steps
+     */
+    findSignChange(fn, startJd, endJd, stepDays) {
+        let previousJd = startJd;
+        let previous = fn(previousJd);
+
+        for (let jd = startJd + stepDays; jd <= endJd; jd += stepDays) {
+            const value = fn(jd);
+            if ((previous <= 0) !== (value <= 0)) {
+                return this.bisectJulianDay(fn, previousJd, jd);
+            }
+            previousJd = jd;
+            previous = value;
+        }
+
+        return null;
+    }
+
+    /**
+     * When the Moon entered (direction -1) or leaves (direction 1) a sign
+     */
+    findMoonSignBoundary(julianDay, sign, direction) {
+        const boundary = direction > 0 ? ((sign + 1) % 12) * 30 : sign * 30;
+        const offset = jd => this.signedAngle(ephemerisService.calculateBody('moon', jd).longitude - boundary);
+
+        // A sign takes the Moon 2-3 days, so four days always reach the boundary
+        const step = 2 / 24;
+        let jd = julianDay;
+        let current = offset(jd);
+        for (let i = 0; i < 48; i++) {
+            const nextJd = jd + direction * step;
+            const next = offset(nextJd);
+            if ((current <= 0) !== (next <= 0) && Math.abs(current - next) < 90) {
+                return direction > 0
+                    ? this.bisectJulianDay(offset, jd, nextJd)
+                    : this.bisectJulianDay(offset, nextJd, jd);
+            }
+            jd = nextJd;
+            current = next;
+        }
+
         return null;
     }
 
+    /**
+     * Void-of-course Moon periods overlapping a date range
+     */
+    async getVoidMoonPeriodsInRange(startDate, endDate, timezone = 'UTC') {
+        const endJd = this.dateToJulianDay(moment(endDate).toDate());
+        const periods = [];
+        let julianDay = this.dateToJulianDay(moment(startDate).toDate());
+
+        while (julianDay < endJd) {
+            const moonSign = this.getZodiacSign(ephemerisService.calculateBody('moon', julianDay).longitude);
+            periods.push(...await this.calculateVoidMoonPeriods(julianDay, timezone));
+
+            const nextEntry = await this.calculateMoonSignEntry(julianDay, (moonSign + 1) % 12);
+            if (!nextEntry) break;
+            julianDay = this.dateToJulianDay(new Date(nextEntry)) + 1 / 1440;
+        }
+
+        return periods.filter(period =>
+            moment(period.endTime).isAfter(startDate) && moment(period.startTime).isBefore(endDate)
+        );
+    }
+
+    /**
+     * Retrograde and direct stations within a date range
+     */
+    async getRetrogradeStations(startDate, endDate, planets = null) {
+        const startJd = this.dateToJulianDay(moment(startDate).toDate());
+        const endJd = this.dateToJulianDay(moment(endDate).toDate());
+        const retrogradeStatus = await this.calculateRetrogradeStatus(startJd);
+        const stations = [];
+
+        for (const [planet, status] of Object.entries(retrogradeStatus)) {
+            if (planets && !planets.includes(planet)) continue;
+
+            let stationDate = status.stationaryDate;
+            let isRetrograde = status.isRetrograde;
+            while (stationDate && this.dateToJulianDay(new Date(stationDate)) < endJd) {
+                const stationJd = this.dateToJulianDay(new Date(stationDate));
+                const longitude = ephemerisService.calculateBody(planet, stationJd).longitude;
+
+                stations.push({
+                    planet,
+                    type: isRetrograde ? 'direct' : 'retrograde',
+                    time: stationDate,
+                    longitude,
+                    degree: Math.floor(longitude % 30),
+                    sign: this.getZodiacSignName(this.getZodiacSign(longitude))
+                });
+
+                isRetrograde = !isRetrograde;
+                stationDate = await this.calculateNextStationaryDate(planet, stationJd + 1);
+            }
+        }
+
+        return stations.sort((a, b) => a.time.localeCompare(b.time));
+    }
+
+    /**
+     * New and full moons within a date range
+     */
+    async getLunations(startDate, endDate) {
+        const startJd = this.dateToJulianDay(moment(startDate).toDate());
+        const endJd = this.dateToJulianDay(moment(endDate).toDate());
+        const elongation = jd => ephemerisService.calculateBody('moon', jd).longitude -
+            ephemerisService.calculateBody('sun', jd).longitude;
+        const lunations = [];
+
+        for (const [type, angle] of [['new_moon', 0], ['full_moon', 180]]) {
+            const offset = jd => this.signedAngle(elongation(jd) - angle);
+
+            for (let jd = startJd; jd < endJd; jd += 1) {
+                const before = offset(jd);
+                const after = offset(Math.min(jd + 1, endJd));
+                if (before <= 0 && after > 0 && after - before < 90) {
+                    const exactJd = this.bisectJulianDay(offset, jd, Math.min(jd + 1, endJd));
+                    const moonLongitude = ephemerisService.calculateBody('moon', exactJd).longitude;
+
+                    lunations.push({
+                        type,
+                        time: ephemerisService.dateFromJulianDay(exactJd).toISOString(),
+                        longitude: moonLongitude,
+                        degree: Math.floor(moonLongitude % 30),
+                        sign: this.getZodiacSignName(this.getZodiacSign(moonLongitude))
+                    });
+                }
+            }
+        }
+
+        return lunations.sort((a, b) => a.time.localeCompare(b.time));
+    }
+
+    /**
+     * Best days for an activity type, rated 0-1 on the user's local days.
+     * Callers rating several activities over one range can pass the range's
+     * void Moon periods in `voidPeriods` instead of having them recomputed.
+     */
+    async getBestDays(activityType, { dateRange, timezone = 'UTC', limit = this.config.bestDaysLimit, voidPeriods = null } = {}) {
+        const template = this.activityTemplates[this.bestDayActivities[activityType]];
+        if (!template) {
+            throw new Error(`Unknown activity type: ${activityType}`);
+        }
+
+        const zone = moment.tz.zone(timezone) ? timezone : 'UTC';
+        const start = moment.tz(dateRange?.start || moment(), zone).startOf('day');
+        const end = dateRange?.end
+            ? moment.tz(dateRange.end, zone).endOf('day')
+            : start.clone().add(this.config.lookAheadDays, 'days');
+
+        const periods = voidPeriods || await this.getVoidMoonPeriodsInRange(start.toISOString(), end.toISOString(), zone);
+        const dayRulers = ['sun', 'moon', 'mars', 'mercury', 'jupiter', 'venus', 'saturn'];
+        const days = [];
+
+        for (const day = start.clone(); day.isBefore(end); day.add(1, 'day')) {
+            const noonJd = this.dateToJulianDay(day.clone().hour(12).toDate());
+            const moonLongitude = ephemerisService.calculateBody('moon', noonJd).longitude;
+            const sunLongitude = ephemerisService.calculateBody('sun', noonJd).longitude;
+            const lunarPhase = this.getLunarPhaseFromAngle((moonLongitude - sunLongitude + 360) % 360).name;
+
+            const retrogrades = template.avoidRetrograde.filter(planet =>
+                ephemerisService.calculateBody(planet, noonJd).retrograde
+            );
+
+            // Void Moon hours during the local working day (08:00-20:00)
+            const workStart = day.clone().hour(8);
+            const workEnd = day.clone().hour(20);
+            const voidMoonHours = periods.reduce((hours, period) => {
+                const overlapStart = moment.max(workStart, moment(period.startTime));
+                const overlapEnd = moment.min(workEnd, moment(period.endTime));
+                return hours + Math.max(0, overlapEnd.diff(overlapStart, 'hours', true));
+            }, 0);
+
+            const dayRuler = dayRulers[day.day()];
+            let score = 0.5;
+            if (template.bestLunarPhases.includes(lunarPhase)) score += 0.2;
+            if (template.favorablePlanets.includes(dayRuler)) score += 0.1;
+            score -= 0.25 * retrogrades.length;
+            score -= 0.2 * (voidMoonHours / 12);
+
+            days.push({
+                date: day.format('YYYY-MM-DD'),
+                rating: Math.round(Math.max(0, Math.min(1, score)) * 100) / 100,
+                lunarPhase,
+                dayOfWeek: day.format('dddd'),
+                dayRuler,
+                retrogrades,
+                voidMoonHours: Math.round(voidMoonHours * 10) / 10
+            });
+        }
+
+        return {
+            activityType,
+            timezone: zone,
+            dateRange: { start: start.format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') },
+            bestDays: days
+                .sort((a, b) => b.rating - a.rating || a.date.localeCompare(b.date))
+                .slice(0, limit)
+        };
+    }
+
     getVoidMoonSignificance(duration) {
         if (duration < 1) return 'minor';
         if (duration < 6) return 'moderate';
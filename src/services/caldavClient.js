@@ -0,0 +1,425 @@
+/**
+ * CALDAV CLIENT
+ *
+ * Minimal CalDAV (RFC 4791) client used for Apple Calendar (iCloud) sync
+ * Features:
+ * - PROPFIND discovery: principal -> calendar home -> calendars
+ * - REPORT calendar-query for events in a date range
+ * - REPORT calendar-multiget for changed resources
+ * - PUT/DELETE of iCalendar VEVENTs guarded by ETags
+ * - ETag-based incremental sync
+ *
+ * Works against any CalDAV server; for local testing point `serverUrl`
+ * at a Radicale instance (e.g. http://localhost:5232/).
+ */
+
+const axios = require('axios');
+const { buildICalendar, parseICalendar, formatUtc } = require('../utils/icalendar');
+
+const DAV_NAMESPACES = 'xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:cs="http://calendarserver.org/ns/" xmlns:ical="http://apple.com/ns/ical/"';
+const MULTIGET_BATCH_SIZE = 100;
+
+class CalDAVClient {
+    constructor({ serverUrl, username, password, timeout = 15000 } = {}) {
+        if (!serverUrl) {
+            throw new Error('CalDAV serverUrl is required');
+        }
+
+        this.serverUrl = serverUrl.endsWith('/') ? serverUrl : `${serverUrl}/`;
+        this.auth = username ? { username, password } : undefined;
+        this.timeout = timeout;
+    }
+
+    /**
+     * Discover the user's event calendars
+     */
+    async discoverCalendars() {
+        const principalUrl = await this.findPrincipal();
+        const homeUrl = await this.findCalendarHome(principalUrl);
+
+        const responses = await this.propfind(homeUrl, `
+            <d:prop>
+                <d:resourcetype/>
+                <d:displayname/>
+                <cs:getctag/>
+                <d:sync-token/>
+                <c:supported-calendar-component-set/>
+                <c:calendar-timezone/>
+                <ical:calendar-color/>
+            </d:prop>`, 1);
+
+        return responses
+            .filter(response => {
+                const resourceType = response.props.resourcetype;
+                if (!resourceType || !findChild(resourceType, 'calendar')) return false;
+
+                // Servers that omit the component set accept VEVENTs
+                const components = response.props['supported-calendar-component-set'];
+                return !components || findAll(components, 'comp').some(comp => comp.attributes.name === 'VEVENT');
+            })
+            .map(response => ({
+                url: response.href,
+                displayName: textOf(response.props.displayname) || null,
+                ctag: textOf(response.props.getctag) || null,
+                syncToken: textOf(response.props['sync-token']) || null,
+                color: textOf(response.props['calendar-color']) || null,
+                timezone: extractTimezoneId(textOf(response.props['calendar-timezone']))
+            }));
+    }
+
+    async findPrincipal() {
+        const [response] = await this.propfind(this.serverUrl, '<d:prop><d:current-user-principal/></d:prop>', 0);
+        const href = response && findChild(response.props['current-user-principal'], 'href');
+
+        return href ? this.resolve(textOf(href)) : this.serverUrl;
+    }
+
+    async findCalendarHome(principalUrl) {
+        const [response] = await this.propfind(principalUrl, '<d:prop><c:calendar-home-set/></d:prop>', 0);
+        const href = response && findChild(response.props['calendar-home-set'], 'href');
+
+        return href ? this.resolve(textOf(href)) : principalUrl;
+    }
+
+    /**
+     * Fetch events whose occurrences overlap the given range
+     */
+    async fetchEvents(calendarUrl, { start, end } = {}) {
+        const responses = await this.report(calendarUrl, `
+            <c:calendar-query ${DAV_NAMESPACES}>
+                <d:prop>
+                    <d:getetag/>
+                    ${this.calendarDataProp(start, end)}
+                </d:prop>
+                ${this.timeRangeFilter(start, end)}
+            </c:calendar-query>`);
+
+        return this.eventsFromResponses(responses);
+    }
+
+    /**
+     * Map of href -> ETag for every event in the range
+     */
+    async fetchEtags(calendarUrl, { start, end } = {}) {
+        const responses = await this.report(calendarUrl, `
+            <c:calendar-query ${DAV_NAMESPACES}>
+                <d:prop><d:getetag/></d:prop>
+                ${this.timeRangeFilter(start, end)}
+            </c:calendar-query>`);
+
+        const etags = {};
+        for (const response of responses) {
+            if (response.props.getetag) {
+                etags[response.href] = textOf(response.props.getetag);
+            }
+        }
+        return etags;
+    }
+
+    /**
+     * Fetch specific event resources by href
+     */
+    async multiget(calendarUrl, hrefs, { start, end } = {}) {
+        const events = [];
+
+        for (let i = 0; i < hrefs.length; i += MULTIGET_BATCH_SIZE) {
+            const batch = hrefs.slice(i, i + MULTIGET_BATCH_SIZE);
+            const responses = await this.report(calendarUrl, `
+                <c:calendar-multiget ${DAV_NAMESPACES}>
+                    <d:prop>
+                        <d:getetag/>
+                        ${this.calendarDataProp(start, end)}
+                    </d:prop>
+                    ${batch.map(href => `<d:href>${escapeXml(new URL(href).pathname)}</d:href>`).join('')}
+                </c:calendar-multiget>`);
+
+            events.push(...this.eventsFromResponses(responses));
+        }
+
+        return events;
+    }
+
+    /**
+     * ETag-based incremental sync
+     *
+     * Compares the server's ETags against the ones from the previous run and
+     * only downloads resources that are new or changed.
+     */
+    async syncEvents(calendarUrl, { start, end, etags: previous = {} } = {}) {
+        const current = await this.fetchEtags(calendarUrl, { start, end });
+
+        const created = [];
+        const updated = [];
+        for (const [href, etag] of Object.entries(current)) {
+            if (!(href in previous)) {
+                created.push(href);
+            } else if (previous[href] !== etag) {
+                updated.push(href);
+            }
+        }
+        const deleted = Object.keys(previous).filter(href => !(href in current));
+
+        const changed = [...created, ...updated];
+        const events = changed.length > 0
+            ? await this.multiget(calendarUrl, changed, { start, end })
+            : [];
+
+        return {
+            events,
+            created,
+            updated,
+            deleted,
+            unchanged: Object.keys(current).length - changed.length,
+            etags: current
+        };
+    }
+
+    /**
+     * Create or update an event
+     *
+     * New events are written with If-None-Match: * so an existing resource is
+     * never overwritten; updates require the ETag last seen for the resource.
+     */
+    async putEvent(calendarUrl, event, { href, etag } = {}) {
+        const uid = event.uid;
+        if (!uid) {
+            throw new Error('CalDAV events require a uid');
+        }
+
+        const target = href ? this.resolve(href) : this.resolve(`${encodeURIComponent(uid)}.ics`, calendarUrl);
+        const headers = { 'Content-Type': 'text/calendar; charset=utf-8' };
+        if (etag) {
+            headers['If-Match'] = etag;
+        } else {
+            headers['If-None-Match'] = '*';
+        }
+
+        const response = await this.request('PUT', target, { headers, body: buildICalendar(event) });
+
+        return {
+            href: target,
+            etag: response.headers.etag || null,
+            created: response.status === 201
+        };
+    }
+
+    async deleteEvent(href, etag) {
+        await this.request('DELETE', this.resolve(href), {
+            headers: etag ? { 'If-Match': etag } : {}
+        });
+    }
+
+    // REQUEST HELPERS
+
+    async propfind(url, props, depth) {
+        const response = await this.request('PROPFIND', url, {
+            depth,
+            body: `<?xml version="1.0" encoding="utf-8"?><d:propfind ${DAV_NAMESPACES}>${props}</d:propfind>`
+        });
+
+        return this.parseMultistatus(response.data);
+    }
+
+    async report(url, body) {
+        const response = await this.request('REPORT', url, {
+            depth: 1,
+            body: `<?xml version="1.0" encoding="utf-8"?>${body}`
+        });
+
+        return this.parseMultistatus(response.data);
+    }
+
+    async request(method, url, { headers = {}, body, depth } = {}) {
+        const requestHeaders = { ...headers };
+        if (body && !requestHeaders['Content-Type']) {
+            requestHeaders['Content-Type'] = 'application/xml; charset=utf-8';
+        }
+        if (depth !== undefined) {
+            requestHeaders.Depth = String(depth);
+        }
+
+        const response = await axios({
+            method,
+            url,
+            data: body,
+            headers: requestHeaders,
+            auth: this.auth,
+            timeout: this.timeout,
+            responseType: 'text',
+            transformResponse: [data => data],
+            validateStatus: () => true
+        });
+
+        if (response.status >= 400) {
+            const error = new Error(`CalDAV ${method} ${url} failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response;
+    }
+
+    parseMultistatus(xml) {
+        const root = parseXml(xml || '');
+
+        return findAll(root, 'response').map(response => {
+            const props = {};
+            for (const propstat of findAll(response, 'propstat')) {
+                const status = textOf(findChild(propstat, 'status'));
+                if (status && !/\s2\d\d\s/.test(`${status} `)) continue;
+
+                const prop = findChild(propstat, 'prop');
+                for (const child of prop ? prop.children : []) {
+                    props[child.name] = child;
+                }
+            }
+
+            return {
+                href: this.resolve(textOf(findChild(response, 'href'))),
+                status: textOf(findChild(response, 'status')) || null,
+                props
+            };
+        });
+    }
+
+    eventsFromResponses(responses) {
+        const events = [];
+
+        for (const response of responses) {
+            if (!response.props['calendar-data']) continue;
+
+            const etag = textOf(response.props.getetag) || null;
+            for (const event of parseICalendar(textOf(response.props['calendar-data']))) {
+                events.push({
+                    ...event,
+                    id: event.recurrenceId ? `${response.href}#${event.recurrenceId}` : response.href,
+                    href: response.href,
+                    etag
+                });
+            }
+        }
+
+        return events;
+    }
+
+    calendarDataProp(start, end) {
+        // Ask the server to expand recurring events into single instances
+        if (!start || !end) return '<c:calendar-data/>';
+
+        return `<c:calendar-data><c:expand start="${formatUtc(start)}" end="${formatUtc(end)}"/></c:calendar-data>`;
+    }
+
+    timeRangeFilter(start, end) {
+        const range = [
+            start ? `start="${formatUtc(start)}"` : '',
+            end ? `end="${formatUtc(end)}"` : ''
+        ].filter(Boolean).join(' ');
+
+        return `
+            <c:filter>
+                <c:comp-filter name="VCALENDAR">
+                    <c:comp-filter name="VEVENT">${range ? `<c:time-range ${range}/>` : ''}</c:comp-filter>
+                </c:comp-filter>
+            </c:filter>`;
+    }
+
+    resolve(href, base = this.serverUrl) {
+        return new URL(href, base).toString();
+    }
+}
+
+// XML HELPERS
+// Namespace prefixes are dropped: DAV, CalDAV and CalendarServer element
+// names do not collide, and servers disagree on which prefixes they use.
+
+function parseXml(xml) {
+    const root = { name: '#document', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<(\/?)([^\s/>]+)([^>]*?)(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = tokens.exec(xml)) !== null) {
+        const [, cdata, closing, tagName, rawAttributes, selfClosing, text] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (text !== undefined) {
+            current.text += decodeXml(text);
+        } else if (tagName) {
+            const name = localName(tagName);
+            if (closing) {
+                if (stack.length > 1) stack.pop();
+                continue;
+            }
+
+            const node = { name, attributes: parseAttributes(rawAttributes), children: [], text: '' };
+            current.children.push(node);
+            if (!selfClosing) stack.push(node);
+        }
+    }
+
+    return root;
+}
+
+function parseAttributes(raw) {
+    const attributes = {};
+    const pattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = pattern.exec(raw || '')) !== null) {
+        attributes[localName(match[1])] = decodeXml(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+function localName(name) {
+    return name.split(':').pop().toLowerCase();
+}
+
+function decodeXml(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function findChild(node, name) {
+    return node ? node.children.find(child => child.name === name) : undefined;
+}
+
+function findAll(node, name, results = []) {
+    if (!node) return results;
+    for (const child of node.children) {
+        if (child.name === name) results.push(child);
+        findAll(child, name, results);
+    }
+    return results;
+}
+
+function textOf(node) {
+    if (!node) return '';
+    return (node.text + node.children.map(textOf).join('')).trim();
+}
+
+function extractTimezoneId(vtimezone) {
+    const match = /^TZID[^:]*:(.+)$/m.exec(vtimezone || '');
+    return match ? match[1].trim() : null;
+}
+
+module.exports = CalDAVClient;
+module.exports.parseXml = parseXml;
+module.exports.buildICalendar = buildICalendar;
+module.exports.parseICalendar = parseICalendar;
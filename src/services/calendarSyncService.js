@@ -5,13 +5,14 @@
  * Provides two-way synchronization and conflict detection
  */
 
-const { google } = require('googleapis');
-const { Client } = require('node-caldav');
-const { Client: MicrosoftGraphClient } = require('@azure/msal-node');
 const db = require('../config/db');
 const redisService = require('./redisService');
 const moment = require('moment-timezone');
 const crypto = require('crypto');
+const CalDAVClient = require('./caldavClient');
+const MicrosoftGraphClient = require('./microsoftGraphClient');
+const { toGraphDateTime } = require('./microsoftGraphClient');
+const oauth2Service = require('./oauth2Service');
 
 class CalendarSyncService {
     constructor() {
@@ -29,8 +30,8 @@ class CalendarSyncService {
             
             // Apple Calendar (CalDAV)
             apple: {
-                serverUrl: 'https://caldav.icloud.com',
-                principals: '/principals/'
+                serverUrl: process.env.APPLE_CALDAV_URL || 'https://caldav.icloud.com',
+                syncWindowDays: 30
             },
             
             // Microsoft Outlook/Exchange
@@ -38,10 +39,14 @@ class CalendarSyncService {
                 clientId: process.env.MICROSOFT_CLIENT_ID,
                 clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
                 authority: 'https://login.microsoftonline.com/common',
+                graphUrl: process.env.MICROSOFT_GRAPH_URL || 'https://graph.microsoft.com/v1.0',
                 scopes: [
                     'https://graph.microsoft.com/calendars.readwrite',
-                    'https://graph.microsoft.com/user.read'
-                ]
+                    'https://graph.microsoft.com/user.read',
+                    'offline_access'
+                ],
+                tokenRefreshMarginSeconds: 120,
+                syncWindowWeeks: 5 // delta window starts on Monday, so at least 4 weeks ahead
             },
             
             // Sync settings
@@ -392,10 +397,22 @@ class CalendarSyncService {
 
     // GOOGLE CALENDAR METHODS
 
+    /**
+     * Load googleapis on first use so Apple and Outlook sync work without it
+     */
+    loadGoogleApis() {
+        try {
+            return require('googleapis');
+        } catch (error) {
+            throw new Error('Google Calendar sync requires the googleapis package');
+        }
+    }
+
     /**
      * Initialize Google Calendar connection
      */
     async initializeGoogleCalendar(userId, credentials) {
+        const { google } = this.loadGoogleApis();
         const oauth2Client = new google.auth.OAuth2(
             this.config.google.clientId,
             this.config.google.clientSecret,
@@ -424,6 +441,7 @@ class CalendarSyncService {
      * Sync Google Calendar
      */
     async syncGoogleCalendar(userId, connection, options) {
+        const { google } = this.loadGoogleApis();
         const oauth2Client = new google.auth.OAuth2(
             this.config.google.clientId,
             this.config.google.clientSecret,
@@ -475,6 +493,7 @@ class CalendarSyncService {
      * Create Google Calendar event
      */
     async createGoogleEvent(connection, eventData) {
+        const { google } = this.loadGoogleApis();
         const oauth2Client = new google.auth.OAuth2(
             this.config.google.clientId,
             this.config.google.clientSecret,
@@ -510,20 +529,49 @@ class CalendarSyncService {
 
     // APPLE CALENDAR (CalDAV) METHODS
 
+    /**
+     * CalDAV client for an Apple connection
+     *
+     * The server always comes from APPLE_CALDAV_URL (iCloud by default; a
+     * self-hosted server such as Radicale in development). Credentials name
+     * no other host: the server would otherwise send authenticated requests
+     * wherever a user asks.
+     */
+    createCalDAVClient(credentials) {
+        const serverUrl = this.config.apple.serverUrl;
+        if (credentials.serverUrl && !this.isConfiguredCalDAVServer(credentials.serverUrl)) {
+            throw new Error('CalDAV server not allowed; only the configured server can be used');
+        }
+
+        return new CalDAVClient({
+            serverUrl,
+            username: credentials.username,
+            password: credentials.password // App-specific password
+        });
+    }
+
+    /**
+     * Whether a URL is on the configured CalDAV server
+     */
+    isConfiguredCalDAVServer(url) {
+        try {
+            return new URL(url).origin === new URL(this.config.apple.serverUrl).origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Initialize Apple Calendar connection
      */
     async initializeAppleCalendar(userId, credentials) {
-        const caldavClient = new Client({
-            serverUrl: this.config.apple.serverUrl,
-            credentials: {
-                username: credentials.username,
-                password: credentials.password // App-specific password
-            }
-        });
+        const caldavClient = this.createCalDAVClient(credentials);
 
         // Discover calendars
-        const calendars = await caldavClient.fetchCalendars();
+        const calendars = await caldavClient.discoverCalendars();
+        if (calendars.length === 0) {
+            throw new Error('No CalDAV calendars found for this account');
+        }
 
         const connectionId = crypto.randomUUID();
 
@@ -538,39 +586,103 @@ class CalendarSyncService {
 
     /**
      * Sync Apple Calendar
+     *
+     * Only resources whose ETag changed since the last sync are downloaded;
+     * the ETags seen are kept per calendar in the connection's sync_state.
      */
     async syncAppleCalendar(userId, connection, options) {
         const syncResults = {
             eventsRead: 0,
             eventsCreated: 0,
             eventsUpdated: 0,
+            eventsDeleted: 0,
+            eventsUnchanged: 0,
             errors: []
         };
 
-        try {
-            // This would implement CalDAV sync
-            // Simplified for this implementation
-            console.log('📅 Apple Calendar sync - simplified implementation');
-            
-            return syncResults;
+        const caldavClient = this.createCalDAVClient(connection.credentials);
+        const range = {
+            start: options.startDate || new Date(),
+            end: options.endDate || new Date(Date.now() + this.config.apple.syncWindowDays * 24 * 60 * 60 * 1000)
+        };
 
-        } catch (error) {
-            syncResults.errors.push(error.message);
-            throw error;
+        const syncState = connection.sync_state || {};
+        const nextState = {};
+
+        for (const calendar of connection.calendars || []) {
+            const previous = syncState[calendar.url] || {};
+
+            try {
+                const result = await caldavClient.syncEvents(calendar.url, {
+                    ...range,
+                    etags: previous.etags || {}
+                });
+
+                for (const event of result.events) {
+                    await this.storeExternalEvent(userId, 'apple', { ...event, calendarUrl: calendar.url });
+                }
+                for (const href of result.deleted) {
+                    await this.deleteExternalEvents(userId, 'apple', href);
+                }
+
+                syncResults.eventsRead += result.events.length;
+                syncResults.eventsCreated += result.created.length;
+                syncResults.eventsUpdated += result.updated.length;
+                syncResults.eventsDeleted += result.deleted.length;
+                syncResults.eventsUnchanged += result.unchanged;
+
+                nextState[calendar.url] = { etags: result.etags, syncedAt: new Date().toISOString() };
+
+            } catch (error) {
+                // Keep the old ETags so the next run retries this calendar
+                syncResults.errors.push(`${calendar.displayName || calendar.url}: ${error.message}`);
+                if (previous.etags) nextState[calendar.url] = previous;
+            }
         }
+
+        await this.storeSyncState(connection, nextState);
+
+        if (syncResults.errors.length > 0 && syncResults.errors.length === (connection.calendars || []).length) {
+            throw new Error(`Apple Calendar sync failed: ${syncResults.errors.join('; ')}`);
+        }
+
+        return syncResults;
     }
 
     /**
      * Create Apple Calendar event
      */
     async createAppleEvent(connection, eventData) {
-        // This would implement CalDAV event creation
-        // Simplified for this implementation
-        console.log('📅 Apple Calendar event creation - simplified implementation');
-        
+        const caldavClient = this.createCalDAVClient(connection.credentials);
+        const calendars = connection.calendars || [];
+        const calendar = calendars.find(c => c.url === connection.primary_calendar_id) || calendars[0];
+        if (!calendar) {
+            throw new Error('No CalDAV calendar available for event creation');
+        }
+
+        const category = this.eventCategories[eventData.category];
+        const event = {
+            uid: crypto.randomUUID(),
+            title: `${category?.prefix || ''} ${eventData.title}`.trim(),
+            description: eventData.description,
+            location: eventData.location,
+            start: eventData.start,
+            end: eventData.end,
+            categories: eventData.category ? [eventData.category] : [],
+            properties: {
+                'X-ZODIAC-CATEGORY': eventData.category || '',
+                'X-ZODIAC-METADATA': JSON.stringify(eventData.metadata || {})
+            }
+        };
+
+        const { href, etag } = await caldavClient.putEvent(calendar.url, event);
+
         return {
-            id: crypto.randomUUID(),
-            title: eventData.title,
+            id: href,
+            uid: event.uid,
+            etag,
+            calendarUrl: calendar.url,
+            title: event.title,
             start: eventData.start,
             end: eventData.end,
             provider: 'apple'
@@ -579,58 +691,206 @@ class CalendarSyncService {
 
     // MICROSOFT CALENDAR METHODS
 
+    /**
+     * Access token for a Microsoft connection, refreshed through the
+     * OAuth2 service when it is about to expire (or when `force` is set)
+     */
+    async getMicrosoftAccessToken(connection, { force = false } = {}) {
+        const credentials = connection.credentials || {};
+        const margin = this.config.microsoft.tokenRefreshMarginSeconds * 1000;
+        const expiresAt = credentials.expires_at ? new Date(credentials.expires_at).getTime() : null;
+
+        if (!force && credentials.access_token && (!expiresAt || expiresAt - margin > Date.now())) {
+            return credentials.access_token;
+        }
+        if (!credentials.refresh_token) {
+            throw new Error('Microsoft calendar token expired and no refresh token is available');
+        }
+
+        const tokens = await oauth2Service.refreshAccessToken(
+            'microsoft',
+            credentials.refresh_token,
+            this.config.microsoft.scopes
+        );
+
+        connection.credentials = {
+            ...credentials,
+            access_token: tokens.access_token,
+            refresh_token: tokens.refresh_token,
+            expires_at: tokens.expires_at
+        };
+
+        // Brand-new connections are stored by initializeCalendarConnection
+        if (connection.user_id) {
+            await this.updateConnectionCredentials(connection);
+        }
+
+        return connection.credentials.access_token;
+    }
+
+    /**
+     * Run a Graph call, refreshing the token once if Graph rejects it
+     */
+    async withMicrosoftClient(connection, operation) {
+        const createClient = accessToken => new MicrosoftGraphClient({
+            accessToken,
+            baseUrl: this.config.microsoft.graphUrl
+        });
+
+        const accessToken = await this.getMicrosoftAccessToken(connection);
+        try {
+            return await operation(createClient(accessToken));
+        } catch (error) {
+            if (error.status !== 401 || !connection.credentials.refresh_token) throw error;
+
+            const refreshedToken = await this.getMicrosoftAccessToken(connection, { force: true });
+            return await operation(createClient(refreshedToken));
+        }
+    }
+
     /**
      * Initialize Microsoft Calendar connection
+     *
+     * Credentials are the tokens from the Microsoft OAuth2 flow:
+     * { access_token, refresh_token, expires_in | expires_at }
      */
     async initializeMicrosoftCalendar(userId, credentials) {
+        const connection = {
+            credentials: {
+                access_token: credentials.access_token,
+                refresh_token: credentials.refresh_token,
+                expires_at: credentials.expires_at ||
+                    (credentials.expires_in ? Date.now() + credentials.expires_in * 1000 : null)
+            }
+        };
+
+        const calendars = await this.withMicrosoftClient(connection, client => client.getCalendars());
+
         const connectionId = crypto.randomUUID();
 
-        // In a full implementation, you would use Microsoft Graph SDK
         return {
             connectionId,
-            credentials,
+            credentials: connection.credentials,
             provider: 'microsoft',
-            calendars: []
+            calendars
+        };
+    }
+
+    /**
+     * Delta window for Microsoft sync
+     *
+     * calendarView delta links are bound to the range they were created for,
+     * so the range only moves once a week and the link is reused until then.
+     */
+    getMicrosoftSyncWindow(options = {}) {
+        if (options.startDate && options.endDate) {
+            return {
+                start: moment.utc(options.startDate).toISOString(),
+                end: moment.utc(options.endDate).toISOString()
+            };
+        }
+
+        const start = moment.utc().startOf('isoWeek');
+        return {
+            start: start.toISOString(),
+            end: start.clone().add(this.config.microsoft.syncWindowWeeks, 'weeks').toISOString()
         };
     }
 
     /**
      * Sync Microsoft Calendar
+     *
+     * Uses the calendarView delta link stored in the connection's sync_state;
+     * without one (or when Graph expires it) a full round runs and the stored
+     * events for the connection are replaced.
      */
     async syncMicrosoftCalendar(userId, connection, options) {
         const syncResults = {
             eventsRead: 0,
             eventsCreated: 0,
             eventsUpdated: 0,
+            eventsDeleted: 0,
+            deltaSync: false,
             errors: []
         };
 
-        try {
-            // This would implement Microsoft Graph API sync
-            // Simplified for this implementation
-            console.log('📅 Microsoft Calendar sync - simplified implementation');
-            
-            return syncResults;
+        const window = this.getMicrosoftSyncWindow(options);
+        const previous = connection.sync_state || {};
+        const canUseDelta = Boolean(previous.deltaLink) &&
+            previous.window && previous.window.start === window.start && previous.window.end === window.end;
 
+        let result;
+        try {
+            result = await this.withMicrosoftClient(connection, client => client.getCalendarViewDelta({
+                ...window,
+                deltaLink: canUseDelta ? previous.deltaLink : null
+            }));
+            syncResults.deltaSync = canUseDelta;
         } catch (error) {
-            syncResults.errors.push(error.message);
-            throw error;
+            // 410 Gone: the delta token expired, start over with a full round
+            if (!canUseDelta || error.status !== 410) {
+                syncResults.errors.push(error.message);
+                throw error;
+            }
+            result = await this.withMicrosoftClient(connection, client => client.getCalendarViewDelta(window));
+        }
+
+        if (!syncResults.deltaSync) {
+            await this.clearExternalEvents(userId, 'microsoft');
+        }
+
+        for (const event of result.events) {
+            await this.storeExternalEvent(userId, 'microsoft', event);
         }
+        for (const eventId of result.removed) {
+            await this.deleteExternalEvents(userId, 'microsoft', eventId);
+        }
+
+        syncResults.eventsRead = result.events.length;
+        syncResults.eventsUpdated = syncResults.deltaSync ? result.events.length : 0;
+        syncResults.eventsCreated = syncResults.deltaSync ? 0 : result.events.length;
+        syncResults.eventsDeleted = result.removed.length;
+
+        await this.storeSyncState(connection, {
+            deltaLink: result.deltaLink,
+            window,
+            syncedAt: new Date().toISOString()
+        });
+
+        return syncResults;
     }
 
     /**
      * Create Microsoft Calendar event
      */
     async createMicrosoftEvent(connection, eventData) {
-        // This would implement Microsoft Graph API event creation
-        // Simplified for this implementation
-        console.log('📅 Microsoft Calendar event creation - simplified implementation');
-        
+        const calendars = connection.calendars || [];
+        const calendar = calendars.find(c => c.id === connection.primary_calendar_id) ||
+            calendars.find(c => c.isDefault);
+
+        const category = this.eventCategories[eventData.category];
+        const event = {
+            subject: `${category?.prefix || ''} ${eventData.title}`.trim(),
+            body: {
+                contentType: 'text',
+                content: eventData.description || ''
+            },
+            start: toGraphDateTime(eventData.start),
+            end: toGraphDateTime(eventData.end),
+            location: eventData.location ? { displayName: eventData.location } : undefined,
+            attendees: (eventData.attendees || []).map(attendee => ({
+                emailAddress: { address: attendee.email || attendee },
+                type: 'required'
+            })),
+            categories: category ? [category.description] : []
+        };
+
+        const created = await this.withMicrosoftClient(connection, client =>
+            client.createEvent(event, calendar ? calendar.id : null)
+        );
+
         return {
-            id: crypto.randomUUID(),
-            title: eventData.title,
-            start: eventData.start,
-            end: eventData.end,
+            ...created,
             provider: 'microsoft'
         };
     }
@@ -663,12 +923,7 @@ class CalendarSyncService {
 
         if (result.rows.length === 0) return null;
 
-        const connection = result.rows[0];
-        return {
-            ...connection,
-            credentials: JSON.parse(connection.credentials),
-            calendars: JSON.parse(connection.calendar_list)
-        };
+        return this.formatConnection(result.rows[0]);
     }
 
     async getUserCalendarConnections(userId) {
@@ -678,11 +933,35 @@ class CalendarSyncService {
             ORDER BY is_primary DESC, created_at ASC
         `, [userId]);
 
-        return result.rows.map(connection => ({
+        return result.rows.map(connection => this.formatConnection(connection));
+    }
+
+    formatConnection(connection) {
+        // JSONB columns come back parsed, TEXT columns as strings
+        const parse = (value, fallback) => (typeof value === 'string' ? JSON.parse(value) : value || fallback);
+
+        return {
             ...connection,
-            credentials: JSON.parse(connection.credentials),
-            calendars: JSON.parse(connection.calendar_list)
-        }));
+            credentials: parse(connection.credentials, {}),
+            calendars: parse(connection.calendar_list, []),
+            sync_state: parse(connection.sync_state, {})
+        };
+    }
+
+    async updateConnectionCredentials(connection) {
+        await db.query(`
+            UPDATE calendar_connections
+            SET credentials = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND provider = $2
+        `, [connection.user_id, connection.provider, JSON.stringify(connection.credentials)]);
+    }
+
+    async storeSyncState(connection, syncState) {
+        await db.query(`
+            UPDATE calendar_connections
+            SET sync_state = $3, last_sync_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = $1 AND provider = $2
+        `, [connection.user_id, connection.provider, JSON.stringify(syncState)]);
     }
 
     async storeCalendarEvent(userId, event, timingRecommendation) {
@@ -710,6 +989,21 @@ class CalendarSyncService {
         `, [userId, provider, event.id, JSON.stringify(event)]);
     }
 
+    async clearExternalEvents(userId, provider) {
+        await db.query(`
+            DELETE FROM external_calendar_events
+            WHERE user_id = $1 AND provider = $2
+        `, [userId, provider]);
+    }
+
+    async deleteExternalEvents(userId, provider, eventId) {
+        // Expanded CalDAV recurrences are stored as `${href}#${recurrenceId}`
+        await db.query(`
+            DELETE FROM external_calendar_events
+            WHERE user_id = $1 AND provider = $2 AND (event_id = $3 OR event_id LIKE $4)
+        `, [userId, provider, eventId, `${eventId.replace(/[\\%_]/g, '\\$&')}#%`]);
+    }
+
     async logSyncActivity(userId, provider, result, success = true) {
         await db.query(`
             INSERT INTO calendar_sync_log (
@@ -797,9 +1091,25 @@ class CalendarSyncService {
     }
 
     async getCalendarEvents(connection, startDate, endDate) {
-        // This would fetch events from the specific provider
-        // Simplified for this implementation
-        return [];
+        switch (connection.provider.toLowerCase()) {
+            case 'apple': {
+                const caldavClient = this.createCalDAVClient(connection.credentials);
+                const events = [];
+                for (const calendar of connection.calendars || []) {
+                    const calendarEvents = await caldavClient.fetchEvents(calendar.url, { start: startDate, end: endDate });
+                    events.push(...calendarEvents.map(event => ({ ...event, calendarName: calendar.displayName })));
+                }
+                return events;
+            }
+            case 'outlook':
+            case 'microsoft':
+                return await this.withMicrosoftClient(connection, client =>
+                    client.getCalendarView(startDate, endDate)
+                );
+            default:
+                // Other providers are not read live yet
+                return [];
+        }
     }
 }
 
@@ -0,0 +1,432 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 💬 COACH FOLLOW-UP SERVICE
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * Proactive check-ins about dated memories. The day after an interview,
+ * surgery or exam (milestone and life_event memories with an event_date)
+ * the coach writes a short message in the persona of the user's latest
+ * session and it is pushed as a COACH_FOLLOWUP notification through
+ * smartNotificationEngine, which applies opt-outs, quiet hours and
+ * frequency limits.
+ *
+ * - Runs hourly (cronJobs); a memory is due between followUpHour and
+ *   lastHour local time on the day after its event
+ * - Blocked by quiet hours or frequency limits → deferred, retried next run
+ * - Blocked by an opt-out → skipped for good
+ * - Sent messages are added to the coach session; the user's next chat
+ *   message is treated as the reply and can resolve the memory
+ *   (memoryService.detectAndResolve)
+ *
+ * Tracking: coach_followups (migration 021), one row per memory
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const db = require('../config/db');
+const logger = require('./loggingService');
+const moment = require('moment-timezone');
+const llmService = require('./llmService');
+const memoryService = require('./memoryService');
+
+// Blocking reasons from smartNotificationEngine that mean "do not send at all"
+const OPT_OUT_REASONS = ['notifications_disabled', 'notification_type_disabled'];
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian'
+};
+
+// Used when no model is available; subject falls back to "your big day"
+const FALLBACK_MESSAGES = {
+  en: { generic: 'your big day', write: s => `How did ${s} go yesterday? I'd love to hear how it went.` },
+  es: { generic: 'tu gran día', write: s => `¿Cómo te fue ayer con ${s}? Me encantaría saber cómo salió.` },
+  pt: { generic: 'o seu grande dia', write: s => `Como foi ${s} ontem? Adoraria saber como correu.` },
+  fr: { generic: 'ton grand jour', write: s => `Comment s'est passé ${s} hier ? J'aimerais savoir comment ça s'est passé.` },
+  de: { generic: 'dein großer Tag', write: s => `Wie lief ${s} gestern? Ich würde gern hören, wie es war.` },
+  it: { generic: 'il tuo grande giorno', write: s => `Com'è andato ${s} ieri? Mi piacerebbe sapere com'è andata.` }
+};
+
+class CoachFollowUpService {
+  constructor() {
+    this.settings = {
+      memoryTypes: ['milestone', 'life_event'],
+      followUpHour: 10,          // Earliest local hour on the day after the event
+      lastHour: 20,              // From this local hour the follow-up is dropped
+      defaultTimezone: 'America/New_York', // Same default as smartNotificationEngine
+      batchSize: 200,
+      replyWindowDays: 3,        // A chat message within this window is the reply
+      staleClaimMinutes: 60,     // A 'sending' row older than this was interrupted
+      model: 'gpt-4o-mini',
+      maxLength: 220             // Push body characters
+    };
+  }
+
+  /**
+   * Send every follow-up due this hour. At most one per user per run; the
+   * rest wait for the next run.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<Object>} Counts: due, sent, deferred, skipped, failed
+   */
+  async processDueFollowUps(now = new Date()) {
+    const results = { due: 0, sent: 0, deferred: 0, skipped: 0, failed: 0 };
+
+    try {
+      const due = await this.findDueFollowUps(now);
+      results.due = due.length;
+
+      const usersThisRun = new Set();
+      for (const memory of due) {
+        if (usersThisRun.has(memory.user_id)) continue;
+        usersThisRun.add(memory.user_id);
+
+        const outcome = await this.sendFollowUp(memory);
+        if (outcome) results[outcome.status]++;
+      }
+
+      logger.getLogger().info('💬 Coach follow-ups processed', results);
+    } catch (error) {
+      logger.logError(error, { service: 'coach_followup', operation: 'process_due_follow_ups' });
+    }
+
+    return results;
+  }
+
+  /**
+   * Unresolved milestone and life_event memories whose event was yesterday
+   * in the user's timezone, within the local sending hours, and not yet
+   * followed up (or deferred last time).
+   *
+   * The local day and hour are checked in SQL so that the batch LIMIT only
+   * counts rows that are due; unknown timezones use defaultTimezone.
+   */
+  async findDueFollowUps(now = new Date()) {
+    const result = await db.query(
+      `WITH zones AS MATERIALIZED (SELECT name FROM pg_timezone_names)
+       SELECT
+         m.id,
+         m.user_id,
+         m.memory_type,
+         m.content,
+         m.subject,
+         TO_CHAR(m.event_date, 'YYYY-MM-DD') as event_date,
+         tz.timezone,
+         COALESCE(cs.language_code, unp.language, 'en') as language,
+         cs.session_id,
+         cs.ai_coach_persona as persona
+       FROM user_memories m
+       LEFT JOIN user_notification_preferences unp ON unp.user_id = m.user_id
+       LEFT JOIN zones z ON z.name = COALESCE(unp.timezone, m.metadata->>'timezone')
+       CROSS JOIN LATERAL (
+         SELECT COALESCE(z.name, $5) as timezone,
+                $2::TIMESTAMPTZ AT TIME ZONE COALESCE(z.name, $5) as local_now
+       ) tz
+       LEFT JOIN LATERAL (
+         SELECT session_id, ai_coach_persona, language_code
+         FROM chat_sessions
+         WHERE user_id = m.user_id::text AND is_active = true
+         ORDER BY last_activity DESC
+         LIMIT 1
+       ) cs ON true
+       LEFT JOIN coach_followups f ON f.memory_id = m.id
+       WHERE m.resolved = false
+         AND m.memory_type = ANY($1)
+         AND m.event_date = tz.local_now::DATE - 1
+         AND EXTRACT(HOUR FROM tz.local_now) >= $6
+         AND EXTRACT(HOUR FROM tz.local_now) < $7
+         AND (m.expires_at IS NULL OR m.expires_at > NOW())
+         AND (
+           f.id IS NULL
+           OR f.status = 'deferred'
+           OR (f.status = 'sending' AND f.updated_at < NOW() - make_interval(mins => $3))
+         )
+       ORDER BY m.importance DESC, m.event_date
+       LIMIT $4`,
+      [
+        this.settings.memoryTypes,
+        now.toISOString(),
+        this.settings.staleClaimMinutes,
+        this.settings.batchSize,
+        this.settings.defaultTimezone,
+        this.settings.followUpHour,
+        this.settings.lastHour
+      ]
+    );
+
+    // isDue mirrors the SQL for zones PostgreSQL and moment disagree on
+    return result.rows
+      .map(row => ({ ...row, timezone: this._timezone(row.timezone) }))
+      .filter(row => this.isDue(row, now));
+  }
+
+  /**
+   * Due on the day after event_date, from followUpHour until lastHour,
+   * in the memory's timezone
+   */
+  isDue(memory, now = new Date()) {
+    const local = moment(now).tz(this._timezone(memory.timezone));
+    const yesterday = local.clone().subtract(1, 'day').format('YYYY-MM-DD');
+
+    return memory.event_date === yesterday &&
+      local.hour() >= this.settings.followUpHour &&
+      local.hour() < this.settings.lastHour;
+  }
+
+  /**
+   * Write and push one follow-up, recording the outcome
+   *
+   * @param {Object} memory - Row from findDueFollowUps
+   * @returns {Promise<Object|null>} { id, status, reason }, null when
+   *   another run is already sending it
+   */
+  async sendFollowUp(memory) {
+    const claim = await this._claim(memory);
+    if (!claim) return null;
+
+    try {
+      // Deferred follow-ups keep the message written the first time
+      const message = claim.message || await this.writeMessage(memory);
+      const coach = this._persona(memory.persona);
+
+      // Loaded lazily: the engine schedules its own cron jobs when constructed
+      const smartNotificationEngine = require('./smartNotificationEngine');
+      const result = await smartNotificationEngine.sendSmartNotification(
+        memory.user_id,
+        'COACH_FOLLOWUP',
+        { followUpId: claim.id, sessionId: memory.session_id },
+        {
+          sendImmediately: true, // Timing is decided by the sending hours above
+          content: { title: coach.name.split(' - ')[0], body: message }
+        }
+      );
+
+      if (result.success) {
+        await this._addToSession(memory, message, claim.id);
+        return this._finish(claim.id, memory, {
+          status: 'sent',
+          message,
+          notificationId: result.notificationId
+        });
+      }
+
+      const status = !result.blocked
+        ? 'failed'
+        : OPT_OUT_REASONS.includes(result.reason) ? 'skipped' : 'deferred';
+
+      return this._finish(claim.id, memory, {
+        status,
+        message,
+        reason: result.reason || result.error
+      });
+
+    } catch (error) {
+      logger.logError(error, {
+        service: 'coach_followup',
+        operation: 'send_follow_up',
+        memoryId: memory.id
+      });
+      return this._finish(claim.id, memory, { status: 'failed', reason: error.message });
+    }
+  }
+
+  /**
+   * Check-in message in the persona's voice and the user's language. Falls
+   * back to a template when no model is available or the reply is empty.
+   */
+  async writeMessage(memory) {
+    const language = LANGUAGE_NAMES[memory.language] ? memory.language : 'en';
+
+    if (!llmService.isAvailable('coach_followup')) {
+      return this.fallbackMessage(memory, language);
+    }
+
+    try {
+      const completion = await llmService.chat('coach_followup', {
+        model: this.settings.model,
+        messages: [
+          { role: 'system', content: this._persona(memory.persona).systemPrompt },
+          { role: 'system', content: this._followUpPrompt(language) },
+          {
+            role: 'user',
+            content: JSON.stringify({
+              type: memory.memory_type,
+              what_they_told_you: memory.content,
+              subject: memory.subject || null,
+              date: memory.event_date
+            })
+          }
+        ],
+        temperature: 0.7,
+        max_tokens: 120
+      });
+
+      const text = (completion.choices[0].message.content || '')
+        .trim()
+        .replace(/^["“]+|["”]+$/g, '');
+
+      if (!text) return this.fallbackMessage(memory, language);
+      return text.length > this.settings.maxLength
+        ? `${text.slice(0, this.settings.maxLength - 1).trimEnd()}…`
+        : text;
+
+    } catch (error) {
+      logger.logError(error, {
+        service: 'coach_followup',
+        operation: 'write_message',
+        memoryId: memory.id
+      });
+      return this.fallbackMessage(memory, language);
+    }
+  }
+
+  fallbackMessage(memory, language = 'en') {
+    const template = FALLBACK_MESSAGES[language] || FALLBACK_MESSAGES.en;
+    return template.write(memory.subject || template.generic);
+  }
+
+  /**
+   * Treat a chat message as the reply to the user's open follow-up, if
+   * any, and resolve the memory when the reply reports how it went.
+   *
+   * @param {string} userId
+   * @param {string} message - The user's chat message
+   * @returns {Promise<Object|null>} { followUpId, memoryId, resolved }, or
+   *   null when no follow-up is awaiting a reply
+   */
+  async handleReply(userId, message) {
+    try {
+      const result = await db.query(
+        `UPDATE coach_followups
+         SET replied_at = NOW(), reply = $2, updated_at = NOW()
+         WHERE id = (
+           SELECT id FROM coach_followups
+           WHERE user_id = $1
+             AND status = 'sent'
+             AND replied_at IS NULL
+             AND sent_at > NOW() - make_interval(days => $3)
+           ORDER BY sent_at DESC
+           LIMIT 1
+         )
+         RETURNING id, memory_id`,
+        [userId, message.substring(0, 1000), this.settings.replyWindowDays]
+      );
+
+      if (result.rows.length === 0) return null;
+
+      const { id: followUpId, memory_id: memoryId } = result.rows[0];
+      const resolved = await memoryService.detectAndResolve(message, userId, { memory: { id: memoryId } });
+
+      if (resolved) {
+        await db.query(
+          `UPDATE coach_followups SET status = 'resolved', updated_at = NOW() WHERE id = $1`,
+          [followUpId]
+        );
+      }
+
+      logger.getLogger().info('💬 Coach follow-up replied', { userId, followUpId, memoryId, resolved });
+      return { followUpId, memoryId, resolved };
+
+    } catch (error) {
+      logger.logError(error, { service: 'coach_followup', operation: 'handle_reply', userId });
+      return null;
+    }
+  }
+
+  /**
+   * Take the follow-up for this run. The unique memory_id makes concurrent
+   * runs (several instances) send it once.
+   */
+  async _claim(memory) {
+    const result = await db.query(
+      `INSERT INTO coach_followups (memory_id, user_id, status)
+       VALUES ($1, $2, 'sending')
+       ON CONFLICT (memory_id) DO UPDATE
+         SET status = 'sending', attempts = coach_followups.attempts + 1, updated_at = NOW()
+         WHERE coach_followups.status = 'deferred'
+           OR (coach_followups.status = 'sending'
+             AND coach_followups.updated_at < NOW() - make_interval(mins => $3))
+       RETURNING id, message`,
+      [memory.id, memory.user_id, this.settings.staleClaimMinutes]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async _finish(followUpId, memory, { status, message = null, reason = null, notificationId = null }) {
+    await db.query(
+      `UPDATE coach_followups
+       SET status = $2::VARCHAR,
+         message = COALESCE($3, message),
+         reason = $4,
+         notification_id = $5,
+         session_id = $6,
+         persona = $7,
+         sent_at = CASE WHEN $2::VARCHAR = 'sent' THEN NOW() ELSE sent_at END,
+         updated_at = NOW()
+       WHERE id = $1`,
+      [
+        followUpId,
+        status,
+        message,
+        reason ? String(reason).substring(0, 100) : null,
+        notificationId || null,
+        memory.session_id || null,
+        memory.persona || null
+      ]
+    );
+
+    return { id: followUpId, status, reason };
+  }
+
+  /**
+   * Show the check-in in the coach chat so the conversation continues from it
+   */
+  async _addToSession(memory, message, followUpId) {
+    if (!memory.session_id) return;
+
+    try {
+      await db.query(
+        `INSERT INTO chat_messages (session_id, message_type, content, metadata)
+         VALUES ($1, 'ai', $2, $3)`,
+        [
+          memory.session_id,
+          message,
+          JSON.stringify({ followUpId, memoryId: memory.id, timestamp: new Date().toISOString() })
+        ]
+      );
+    } catch (error) {
+      // The push went out; a missing chat line is not worth a retry
+      logger.logError(error, {
+        service: 'coach_followup',
+        operation: 'add_to_session',
+        sessionId: memory.session_id
+      });
+    }
+  }
+
+  _followUpPrompt(language) {
+    return `## PROACTIVE FOLLOW-UP
+The user told you about something that happened yesterday (details in the next message). Write the check-in you send them today as a push notification:
+- One or two short sentences, at most ${this.settings.maxLength} characters
+- Ask how it went, warmly and specifically, referring to what they told you
+- Do not assume how it went; no advice, no horoscope reading
+- Write in ${LANGUAGE_NAMES[language]}
+- Reply with the message text only`;
+  }
+
+  _persona(key) {
+    // Loaded lazily: aiCoachService requires this service for replies
+    const { personas } = require('./aiCoachService');
+    return personas[key] || personas.general;
+  }
+
+  _timezone(timezone) {
+    return timezone && moment.tz.zone(timezone) ? timezone : this.settings.defaultTimezone;
+  }
+}
+
+module.exports = new CoachFollowUpService();
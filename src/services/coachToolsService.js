@@ -0,0 +1,458 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 🧰 COACH TOOLS SERVICE - AI COACH FUNCTION CALLING
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * Tools the AI Coach model can call to work with the user's real data:
+ * - get_chart_and_transits: natal placements (user_birth_data) and today's
+ *   transits with their tightest aspects to the chart
+ * - check_compatibility: sign compatibility with a named sign
+ * - create_goal: a SMART goal plan via goalPlannerService.generateGoals
+ * - find_best_days: best days for an activity via astrologicalTimingService
+ * - record_streak_checkin: today's streak check-in via streakService
+ *
+ * Every call is validated against the tool's parameter schema, returns a
+ * structured card for the app (response.cards) plus a compact JSON result
+ * for the model, and is audited in coach_tool_invocations (migration 026)
+ * whatever the outcome.
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const moment = require('moment-timezone');
+const db = require('../config/db');
+const logger = require('./loggingService');
+const ephemerisService = require('./ephemerisService');
+const compatibilityEngine = require('./compatibilityEngine');
+const goalPlannerService = require('./goalPlannerService');
+const astrologicalTimingService = require('./astrologicalTimingService');
+const streakService = require('./streakService');
+const { toEnglishSign } = require('../utils/signTranslations');
+
+const { ZODIAC_SIGNS, PLANETS, MAJOR_ASPECTS } = ephemerisService;
+
+// Natal points that transits are aspected to
+const NATAL_POINTS = ['sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'ascendant', 'midheaven'];
+
+const rejection = (message) => Object.assign(new Error(message), { rejected: true });
+
+const toSign = (sign) => {
+  const english = sign && String(toEnglishSign(sign)).toLowerCase();
+  return ZODIAC_SIGNS.includes(english) ? english : null;
+};
+
+class CoachToolsService {
+  constructor() {
+    this.settings = {
+      enabled: process.env.COACH_TOOLS_ENABLED !== 'false',
+      maxRounds: 2, // Model calls that may request tools before it has to answer
+      maxCallsPerReply: 4,
+      transitOrb: 2,
+      maxTransitAspects: 6,
+      bestDaysLimit: 3,
+      bestDaysWindow: 30, // Days searched when the model gives no end date
+      maxBestDaysRange: 90
+    };
+
+    this.tools = {
+      get_chart_and_transits: {
+        description: "Look up the user's natal chart (if their birth data is on file) and today's planetary transits with the tightest aspects to the chart. Use it before interpreting what the sky means for the user right now.",
+        parameters: { type: 'object', properties: {}, required: [] },
+        run: (args, context) => this._chartAndTransits(context)
+      },
+      check_compatibility: {
+        description: "Check astrological compatibility between the user's sun sign and another sign.",
+        parameters: {
+          type: 'object',
+          properties: {
+            sign: { type: 'string', enum: ZODIAC_SIGNS, description: 'The other person\'s sun sign, in English' },
+            relationType: { type: 'string', enum: ['romantic', 'friendship', 'business'] }
+          },
+          required: ['sign']
+        },
+        run: (args, context) => this._compatibility(args, context)
+      },
+      create_goal: {
+        description: 'Create and save a SMART goal plan for the user. Only call it when the user asks for a goal or agrees to set one.',
+        parameters: {
+          type: 'object',
+          properties: {
+            objective: { type: 'string', description: 'What the user wants to achieve, in their words' },
+            focusArea: { type: 'string', enum: ['career', 'relationships', 'wellness', 'personal_growth'] },
+            timeframe: { type: 'string', enum: ['weekly', 'monthly', 'quarterly'] },
+            emotionalState: { type: 'string', description: 'How the user feels about it, e.g. motivated, anxious' }
+          },
+          required: ['objective', 'focusArea']
+        },
+        run: (args, context) => this._createGoal(args, context)
+      },
+      find_best_days: {
+        description: 'Find the astrologically best upcoming days for an activity, in the user\'s timezone.',
+        parameters: {
+          type: 'object',
+          properties: {
+            activityType: { type: 'string', enum: Object.keys(astrologicalTimingService.bestDayActivities) },
+            startDate: { type: 'string', description: 'YYYY-MM-DD, defaults to today' },
+            endDate: { type: 'string', description: 'YYYY-MM-DD, defaults to 30 days ahead, at most 90 days after the start' }
+          },
+          required: ['activityType']
+        },
+        run: (args, context) => this._bestDays(args, context)
+      },
+      record_streak_checkin: {
+        description: "Record today's daily check-in for the user's streak and report the streak. Use it when the user asks about or wants to keep their streak.",
+        parameters: { type: 'object', properties: {}, required: [] },
+        run: (args, context) => this._streakCheckIn(context)
+      }
+    };
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  /**
+   * Tool definitions in the OpenAI `tools` format
+   *
+   * @returns {Array<Object>}
+   */
+  definitions() {
+    return Object.entries(this.tools).map(([name, tool]) => ({
+      type: 'function',
+      function: { name, description: tool.description, parameters: tool.parameters }
+    }));
+  }
+
+  /**
+   * Run the tool calls of one model turn, in order
+   *
+   * @param {Array<Object>} toolCalls - message.tool_calls from the completion
+   * @param {Object} context - userId, sessionId, zodiacSign, language, timezone,
+   *   country, tier; `invocations` collects the calls of the whole reply
+   * @returns {Promise<Array<{toolCallId: string, name: string, status: string, card: Object|null, message: Object}>>}
+   */
+  async executeAll(toolCalls, context) {
+    const results = [];
+    for (const toolCall of toolCalls) {
+      results.push(await this.execute(toolCall, context));
+    }
+    return results;
+  }
+
+  /**
+   * Validate, run and audit a single tool call. Never throws: failures are
+   * reported to the model in the tool message.
+   */
+  async execute(toolCall, context) {
+    const startTime = Date.now();
+    const name = toolCall.function && toolCall.function.name;
+    const invocations = context.invocations || (context.invocations = []);
+    let args = {};
+    let status = 'success';
+    let card = null;
+    let error = null;
+    let result;
+
+    try {
+      if (invocations.length >= this.settings.maxCallsPerReply) {
+        throw rejection(`Tool call limit reached (${this.settings.maxCallsPerReply} per reply)`);
+      }
+
+      const tool = this.tools[name];
+      if (!tool) {
+        throw rejection(`Unknown tool: ${name}`);
+      }
+
+      try {
+        args = JSON.parse(toolCall.function.arguments || '{}');
+      } catch (parseError) {
+        throw rejection('Arguments are not valid JSON');
+      }
+      this._validate(tool.parameters, args);
+
+      card = await tool.run(args, context);
+      result = card.data;
+
+    } catch (toolError) {
+      status = toolError.rejected ? 'rejected' : 'error';
+      error = toolError.message;
+      result = {
+        error: toolError.rejected ? toolError.message : 'The tool is unavailable right now; answer without it.'
+      };
+
+      if (!toolError.rejected) {
+        logger.logError(toolError, { service: 'coach_tools', tool: name, userId: context.userId });
+      }
+    }
+
+    const durationMs = Date.now() - startTime;
+    invocations.push({ tool: name, status, durationMs });
+
+    await this._audit({ context, toolCall, name, args, status, card, error, durationMs });
+
+    return {
+      toolCallId: toolCall.id,
+      name,
+      status,
+      card,
+      message: { role: 'tool', tool_call_id: toolCall.id, content: JSON.stringify(result) }
+    };
+  }
+
+  /**
+   * Required properties, types and enums of a tool's parameter schema
+   */
+  _validate(schema, args) {
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      throw rejection('Arguments must be an object');
+    }
+
+    for (const key of schema.required || []) {
+      if (args[key] === undefined || args[key] === null || args[key] === '') {
+        throw rejection(`Missing argument: ${key}`);
+      }
+    }
+
+    for (const [key, value] of Object.entries(args)) {
+      const property = schema.properties[key];
+      if (!property) {
+        throw rejection(`Unknown argument: ${key}`);
+      }
+      if (property.type === 'string' && typeof value !== 'string') {
+        throw rejection(`${key} must be a string`);
+      }
+      if (property.enum && !property.enum.includes(value)) {
+        throw rejection(`${key} must be one of: ${property.enum.join(', ')}`);
+      }
+    }
+  }
+
+  async _audit({ context, toolCall, name, args, status, card, error, durationMs }) {
+    try {
+      await db.query(
+        `INSERT INTO coach_tool_invocations
+           (user_id, session_id, tool_call_id, tool, arguments, status, card, error, duration_ms)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          String(context.userId),
+          context.sessionId || null,
+          toolCall.id || null,
+          String(name || 'unknown').slice(0, 50),
+          JSON.stringify(args),
+          status,
+          card ? JSON.stringify(card) : null,
+          error,
+          durationMs
+        ]
+      );
+    } catch (auditError) {
+      logger.logError(auditError, { service: 'coach_tools', operation: 'audit', tool: name });
+    }
+  }
+
+  /**
+   * 🪐 Natal chart (when birth data is on file) and today's transits
+   */
+  async _chartAndTransits(context) {
+    const now = new Date();
+    const transits = ephemerisService.calculatePositions(ephemerisService.julianDay(now), { bodies: PLANETS });
+
+    const birthData = await astrologicalTimingService.getUserBirthData(context.userId);
+    const birthUser = birthData && {
+      birthData: {
+        date: birthData.birth_date,
+        time: birthData.birth_time,
+        latitude: birthData.latitude,
+        longitude: birthData.longitude,
+        timezone: birthData.timezone
+      }
+    };
+    const chart = birthUser && compatibilityEngine.hasBirthData(birthUser)
+      ? await compatibilityEngine.calculateBirthChart(birthUser)
+      : null;
+
+    const aspects = [];
+    if (chart) {
+      const orbs = Object.fromEntries(MAJOR_ASPECTS.map(aspect => [aspect, this.settings.transitOrb]));
+      for (const [transitPlanet, transit] of Object.entries(transits)) {
+        for (const natalPoint of NATAL_POINTS) {
+          const natal = chart.planets[natalPoint];
+          const aspect = natal && ephemerisService.findAspect(transit.longitude, natal.longitude, { orbs });
+          if (aspect) {
+            aspects.push({
+              transit: transitPlanet,
+              natal: natalPoint,
+              aspect: aspect.aspect,
+              orb: Math.round(aspect.orb * 10) / 10
+            });
+          }
+        }
+      }
+      aspects.sort((a, b) => a.orb - b.orb);
+    }
+
+    return {
+      type: 'chart_transits',
+      data: {
+        date: now.toISOString().split('T')[0],
+        hasBirthChart: Boolean(chart),
+        sunSign: chart ? chart.planets.sun.sign : toSign(context.zodiacSign),
+        moonSign: chart ? chart.planets.moon.sign : null,
+        risingSign: chart ? chart.planets.ascendant.sign : null,
+        natal: chart
+          ? PLANETS.map(planet => ({
+            planet,
+            sign: chart.planets[planet].sign,
+            house: chart.planets[planet].house,
+            retrograde: chart.planets[planet].retrograde
+          }))
+          : [],
+        transits: Object.entries(transits).map(([planet, position]) => ({
+          planet,
+          sign: position.sign,
+          degree: Math.floor(position.degree),
+          retrograde: position.retrograde
+        })),
+        aspects: aspects.slice(0, this.settings.maxTransitAspects)
+      }
+    };
+  }
+
+  /**
+   * 💞 Sun sign compatibility with another sign
+   */
+  async _compatibility(args, context) {
+    const userSign = toSign(context.zodiacSign);
+    const otherSign = toSign(args.sign);
+    if (!userSign) {
+      throw rejection("The user's sign is unknown; ask them for it first");
+    }
+
+    const relationType = args.relationType || 'romantic';
+    const score = compatibilityEngine.calculateSignCompatibility(userSign, otherSign, 'sun');
+
+    return {
+      type: 'compatibility',
+      data: {
+        userSign,
+        otherSign,
+        relationType,
+        score,
+        rating: compatibilityEngine.getCompatibilityRating(score),
+        elements: {
+          user: compatibilityEngine.getElement(userSign),
+          other: compatibilityEngine.getElement(otherSign)
+        },
+        recommendations: compatibilityEngine.generateRecommendations(score, [], [], relationType).slice(0, 3)
+      }
+    };
+  }
+
+  /**
+   * 🎯 SMART goal plan, saved to premium_goals
+   */
+  async _createGoal(args, context) {
+    const zodiacSign = toSign(context.zodiacSign);
+    if (!zodiacSign) {
+      throw rejection("The user's sign is unknown; ask them for it first");
+    }
+
+    const timeframe = args.timeframe || 'monthly';
+    const { goalId, goal } = await goalPlannerService.generateGoals({
+      userId: context.userId,
+      zodiacSign,
+      objective: args.objective,
+      emotionalState: args.emotionalState || 'motivated',
+      focusArea: args.focusArea,
+      timeframe,
+      languageCode: context.language
+    });
+
+    return {
+      type: 'goal',
+      data: {
+        goalId,
+        title: goal.mainGoal ? goal.mainGoal.title : args.objective,
+        focusArea: args.focusArea,
+        timeframe,
+        keyActions: goal.weeklyFocus ? goal.weeklyFocus.keyActions || [] : [],
+        microHabits: (goal.microHabits || []).map(habit => habit.habit),
+        motivationalMessage: goal.motivationalMessage || null
+      }
+    };
+  }
+
+  /**
+   * 📅 Best upcoming days for an activity
+   */
+  async _bestDays(args, context) {
+    const dates = [args.startDate, args.endDate].filter(Boolean);
+    if (dates.some(date => !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()))) {
+      throw rejection('startDate and endDate must be YYYY-MM-DD dates');
+    }
+
+    // Each day is rated on the ephemeris, so the range is always bounded:
+    // it starts today in the user's timezone unless the model gives a start
+    const timezone = moment.tz.zone(context.timezone || '') ? context.timezone : 'UTC';
+    const start = args.startDate || moment.tz(timezone).format('YYYY-MM-DD');
+    if (args.endDate && args.endDate < start) {
+      throw rejection('The date range must run forward');
+    }
+
+    const dayAfter = days => moment.utc(start).add(days, 'days').format('YYYY-MM-DD');
+    const lastDay = dayAfter(this.settings.maxBestDaysRange);
+    const end = args.endDate || dayAfter(this.settings.bestDaysWindow);
+    const dateRange = { start, end: end < lastDay ? end : lastDay };
+
+    const result = await astrologicalTimingService.getBestDays(args.activityType, {
+      dateRange,
+      timezone,
+      limit: this.settings.bestDaysLimit
+    });
+
+    return {
+      type: 'best_days',
+      data: {
+        activityType: result.activityType,
+        timezone: result.timezone,
+        dateRange: result.dateRange,
+        days: result.bestDays.map(day => ({
+          date: day.date,
+          dayOfWeek: day.dayOfWeek,
+          rating: day.rating,
+          lunarPhase: day.lunarPhase,
+          retrogrades: day.retrogrades
+        }))
+      }
+    };
+  }
+
+  /**
+   * 🔥 Today's streak check-in
+   */
+  async _streakCheckIn(context) {
+    const streak = await streakService.checkIn(context.userId, context.language, {
+      timezone: context.timezone,
+      country: context.country,
+      tier: context.tier,
+      zodiacSign: context.zodiacSign
+    });
+    if (!streak.success) {
+      throw new Error(streak.error || 'check_in_failed');
+    }
+
+    return {
+      type: 'streak',
+      data: {
+        currentStreak: streak.current_streak,
+        longestStreak: streak.longest_streak,
+        alreadyCheckedIn: Boolean(streak.already_checked_in),
+        pointsEarned: streak.cosmic_points_earned,
+        totalPoints: streak.total_cosmic_points,
+        milestone: streak.milestone || null,
+        localDate: streak.local_date
+      }
+    };
+  }
+}
+
+module.exports = new CoachToolsService();
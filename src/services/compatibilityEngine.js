@@ -17,7 +17,8 @@
 
 const logger = require('./loggingService');
 const db = require('../config/db');
-const swisseph = require('swisseph');
+const ephemerisService = require('./ephemerisService');
+const moment = require('moment-timezone');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
@@ -72,6 +73,37 @@ class CompatibilityEngine {
       opposition: { orb: 8, score: 60, nature: 'tension' }
     };
 
+    // Chart points compared in synastry and how much each counts
+    this.synastryWeights = {
+      sun: 10,
+      moon: 10,
+      venus: 9,
+      mars: 8,
+      ascendant: 8,
+      mercury: 6,
+      saturn: 6,
+      midheaven: 5,
+      jupiter: 5,
+      north_node: 5,
+      uranus: 3,
+      neptune: 3,
+      pluto: 3
+    };
+
+    // Slow planets sit in the same sign for whole age groups, so their
+    // aspects to each other say nothing about this particular couple
+    this.generationalPlanets = ['uranus', 'neptune', 'pluto'];
+
+    // Conjunctions with these blend easily; with anything else they are intense
+    this.softConjunctionPoints = ['sun', 'moon', 'mercury', 'venus', 'jupiter', 'ascendant', 'midheaven', 'north_node'];
+
+    // Houses where a partner's personal planets point to attraction and bonding
+    this.relationshipHouses = [1, 5, 7, 8];
+    this.personalPlanets = ['sun', 'moon', 'venus', 'mars'];
+
+    // Share of the overall score taken from synastry when both birth charts exist
+    this.synastryBlend = 0.5;
+
     this.initializeEngine();
   }
 
@@ -80,12 +112,10 @@ class CompatibilityEngine {
    */
   async initializeEngine() {
     try {
-      // Set Swiss Ephemeris path
-      swisseph.swe_set_ephe_path(__dirname + '/../../ephe');
-
       logger.getLogger().info('Compatibility Engine initialized', {
         service: 'compatibility_engine',
-        version: this.version
+        version: this.version,
+        ephemeris: ephemerisService.getStatus().backend
       });
     } catch (error) {
       logger.logError(error, {
@@ -132,7 +162,7 @@ class CompatibilityEngine {
         : null;
 
       // Calculate weighted overall score
-      const overallScore = this.calculateWeightedScore({
+      let overallScore = this.calculateWeightedScore({
         sun: sunCompatibility,
         moon: moonCompatibility,
         rising: risingCompatibility,
@@ -147,6 +177,12 @@ class CompatibilityEngine {
         birthChartAnalysis = await this.analyzeBirthChartSynastry(user1, user2);
       }
 
+      // Actual chart contacts outweigh sign-level generalities when both charts are known
+      if (birthChartAnalysis) {
+        overallScore = overallScore * (1 - this.synastryBlend) +
+          birthChartAnalysis.synastryScore * this.synastryBlend;
+      }
+
       // Generate insights
       const strengths = this.identifyStrengths({
         sun: sunCompatibility,
@@ -164,6 +200,12 @@ class CompatibilityEngine {
         mercury: mercuryCompatibility
       }, relationType);
 
+      if (birthChartAnalysis) {
+        const addUnique = (list, items) => items.forEach(item => !list.includes(item) && list.push(item));
+        addUnique(strengths, birthChartAnalysis.keyConnections.slice(0, 3).map(c => c.description));
+        addUnique(challenges, birthChartAnalysis.challengingAspects.slice(0, 3).map(c => c.description));
+      }
+
       const recommendations = this.generateRecommendations(
         overallScore, strengths, challenges, relationType
       );
@@ -199,6 +241,7 @@ class CompatibilityEngine {
           venus: venusCompatibility,
           mars: marsCompatibility,
           mercury: mercuryCompatibility,
+          synastry: birthChartAnalysis ? birthChartAnalysis.synastryScore : null,
           emotional: moonCompatibility ? Math.round(moonCompatibility * 0.9) : null,
           communication: mercuryCompatibility ? Math.round(mercuryCompatibility * 0.95) : null,
           intimacy: venusCompatibility && marsCompatibility
@@ -557,8 +600,9 @@ class CompatibilityEngine {
       // Analyze house overlays
       const houseOverlays = this.analyzeHouseOverlays(chart1, chart2);
 
-      // Calculate composite chart
-      const compositeChart = this.calculateCompositeChart(chart1, chart2);
+      // Relationship charts
+      const compositeChart = this.calculateCompositeChart(chart1, chart2, { houseSystem: chart1.requestedHouseSystem });
+      const davisonChart = this.calculateDavisonChart(chart1, chart2, { houseSystem: chart1.requestedHouseSystem });
 
       // Overall synastry score
       const synastryScore = this.calculateSynastryScore(interAspects, houseOverlays);
@@ -568,6 +612,7 @@ class CompatibilityEngine {
         interAspects,
         houseOverlays,
         compositeChart,
+        davisonChart,
         keyConnections: this.identifyKeyConnections(interAspects),
         challengingAspects: this.identifyChallengingAspects(interAspects),
         soulMateIndicators: this.checkSoulMateIndicators(interAspects, houseOverlays),
@@ -811,7 +856,38 @@ class CompatibilityEngine {
    * HELPER: Check if birth data available
    */
   hasBirthData(user) {
-    return user.birthDate && user.birthTime && user.birthLocation;
+    return this.getBirthData(user) !== null;
+  }
+
+  /**
+   * HELPER: Normalize birth data
+   * Accepts `birthData: { date, time, latitude, longitude, timezone }`, top-level
+   * birthDate/birthTime/birthLocation, or a user_compatibility_profiles row.
+   * Birth time is required: without it houses and angles are meaningless.
+   */
+  getBirthData(user) {
+    const nested = user.birthData || {};
+    const location = user.birthLocation || {};
+
+    const date = nested.date || nested.birthDate || user.birthDate || user.birth_date;
+    const time = nested.time || nested.birthTime || user.birthTime || user.birth_time;
+    const latitude = parseFloat(nested.latitude ?? location.latitude ?? user.birth_location_lat);
+    const longitude = parseFloat(nested.longitude ?? location.longitude ?? user.birth_location_lng);
+
+    if (!date || !time || !Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+      return null;
+    }
+
+    return {
+      date: date instanceof Date ? date.toISOString().split('T')[0] : String(date).split('T')[0],
+      time: typeof time === 'object'
+        ? `${String(time.hour ?? 12).padStart(2, '0')}:${String(time.minute ?? 0).padStart(2, '0')}`
+        : String(time),
+      latitude,
+      longitude,
+      timezone: nested.timezone || location.timezone || user.birth_timezone || 'UTC',
+      houseSystem: nested.houseSystem || user.houseSystem || user.house_system
+    };
   }
 
   /**
@@ -962,47 +1038,528 @@ class CompatibilityEngine {
   }
 
   /**
-   * MOCK/PLACEHOLDER METHODS
-   * These would be fully implemented with real astrological calculations
+   * SYNASTRY
+   * Cross-chart aspects, house overlays and the weighted synastry score
    */
 
   async calculateBirthChart(user) {
-    // Would use Swiss Ephemeris for real planetary positions
-    return { planets: {}, houses: {}, ascendant: user.risingSign };
+    const birth = this.getBirthData(user);
+    if (!birth) {
+      throw new Error('Birth date, time and location are required for a birth chart');
+    }
+
+    const birthMoment = moment.tz(
+      `${birth.date} ${birth.time}`,
+      ['YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm'],
+      birth.timezone
+    );
+    if (!birthMoment.isValid()) {
+      throw new Error(`Invalid birth date or time: ${birth.date} ${birth.time}`);
+    }
+
+    const julianDay = ephemerisService.julianDay(birthMoment.toDate());
+    const bodies = Object.keys(this.synastryWeights).filter(point => ephemerisService.BODIES.includes(point));
+    const positions = ephemerisService.calculatePositions(julianDay, { bodies });
+    const houses = ephemerisService.calculateHouses(julianDay, birth.latitude, birth.longitude, birth.houseSystem);
+
+    const planets = {};
+    for (const [name, position] of Object.entries(positions)) {
+      planets[name] = {
+        longitude: position.longitude,
+        speed: position.speed,
+        sign: position.sign,
+        retrograde: position.retrograde,
+        house: ephemerisService.assignHouse(position.longitude, houses.cusps)
+      };
+    }
+
+    // Angles take part in synastry like planets
+    planets.ascendant = { longitude: houses.ascendant, speed: 0, sign: ephemerisService.getSign(houses.ascendant), house: 1 };
+    planets.midheaven = { longitude: houses.midheaven, speed: 0, sign: ephemerisService.getSign(houses.midheaven), house: 10 };
+
+    return {
+      julianDay,
+      planets,
+      houses: houses.cusps,
+      houseSystem: houses.system,
+      requestedHouseSystem: houses.requestedSystem,
+      ascendant: houses.ascendant,
+      midheaven: houses.midheaven,
+      location: { latitude: birth.latitude, longitude: birth.longitude }
+    };
   }
 
+  /**
+   * Aspects from every point in chart1 to every point in chart2.
+   * Orbs come from this.aspectScores; generational pairs are skipped.
+   */
   calculateInterAspects(chart1, chart2) {
-    return [];
+    const aspects = [];
+    const aspectNames = Object.keys(this.aspectScores);
+    const orbs = Object.fromEntries(aspectNames.map(name => [name, this.aspectScores[name].orb]));
+
+    for (const [point1, position1] of Object.entries(chart1.planets)) {
+      for (const [point2, position2] of Object.entries(chart2.planets)) {
+        if (this.generationalPlanets.includes(point1) && this.generationalPlanets.includes(point2)) {
+          continue;
+        }
+
+        const aspect = ephemerisService.findAspect(position1.longitude, position2.longitude, {
+          aspects: aspectNames,
+          orbs
+        });
+        if (!aspect) continue;
+
+        aspects.push({
+          planet1: point1,
+          planet2: point2,
+          aspect: aspect.aspect,
+          orb: Math.round(aspect.orb * 100) / 100,
+          exact: aspect.exact,
+          strength: Math.round(aspect.strength * 1000) / 1000,
+          nature: this.getSynastryAspectNature(point1, point2, aspect.aspect),
+          weight: (this.synastryWeights[point1] || 1) * (this.synastryWeights[point2] || 1) / 100
+        });
+      }
+    }
+
+    return aspects.sort((a, b) => b.weight * b.strength - a.weight * a.strength);
   }
 
+  getSynastryAspectNature(point1, point2, aspect) {
+    if (aspect !== 'conjunction') {
+      return this.aspectScores[aspect].nature;
+    }
+
+    const soft = this.softConjunctionPoints.includes(point1) && this.softConjunctionPoints.includes(point2);
+    return soft ? 'harmonious' : 'intense';
+  }
+
+  /**
+   * Which of each person's planets fall in the other's houses
+   */
   analyzeHouseOverlays(chart1, chart2) {
-    return {};
+    const overlay = (guest, host) => {
+      const placements = {};
+      for (const [point, position] of Object.entries(guest.planets)) {
+        if (point === 'ascendant' || point === 'midheaven') continue;
+        placements[point] = ephemerisService.assignHouse(position.longitude, host.houses);
+      }
+      return placements;
+    };
+
+    const user1InUser2Houses = overlay(chart1, chart2);
+    const user2InUser1Houses = overlay(chart2, chart1);
+
+    const highlights = [];
+    const collect = (placements, guest, host) => {
+      for (const house of this.relationshipHouses) {
+        const planets = this.personalPlanets.filter(planet => placements[planet] === house);
+        if (planets.length > 0) {
+          highlights.push({ guest, host, house, planets, theme: this.getHouseTheme(house) });
+        }
+      }
+    };
+    collect(user1InUser2Houses, 'user1', 'user2');
+    collect(user2InUser1Houses, 'user2', 'user1');
+
+    return { user1InUser2Houses, user2InUser1Houses, highlights };
   }
 
-  calculateCompositeChart(chart1, chart2) {
-    return {};
+  getHouseTheme(house) {
+    const themes = {
+      1: 'identity and first impressions',
+      5: 'romance, play and creativity',
+      7: 'partnership and commitment',
+      8: 'intimacy and shared resources'
+    };
+    return themes[house];
   }
 
+  /**
+   * Weighted synastry score (0-100).
+   * Each aspect counts by the weight of both points and how exact it is;
+   * harmonious contacts raise the score, squares and oppositions lower it,
+   * intense conjunctions add chemistry with some friction. Personal planets
+   * in relationship houses add up to 10 points.
+   */
   calculateSynastryScore(interAspects, houseOverlays) {
-    return 75;
+    let harmony = 0;
+    let tension = 0;
+
+    for (const aspect of interAspects) {
+      const impact = aspect.weight * aspect.strength;
+      switch (aspect.nature) {
+        case 'harmonious':
+          harmony += impact;
+          break;
+        case 'intense':
+          harmony += impact * 0.6;
+          tension += impact * 0.4;
+          break;
+        case 'tension':
+          tension += impact * 0.6;
+          break;
+        default:
+          tension += impact;
+      }
+    }
+
+    // Damping keeps a handful of weak contacts close to neutral
+    const aspectScore = 50 + 50 * (harmony - tension) / (harmony + tension + 2);
+    const overlayBonus = Math.min(10, (houseOverlays.highlights || [])
+      .reduce((sum, highlight) => sum + highlight.planets.length * 2, 0));
+
+    return Math.round(Math.min(100, Math.max(0, aspectScore + overlayBonus)));
   }
 
   identifyKeyConnections(interAspects) {
-    return [];
+    const descriptions = {
+      'moon-sun': 'Sun-Moon contact: one partner\'s core self meets the other\'s emotional needs',
+      'mars-venus': 'Venus-Mars contact: strong romantic and physical attraction',
+      'moon-moon': 'Moon-Moon contact: instinctive emotional understanding',
+      'sun-venus': 'Sun-Venus contact: genuine affection and admiration',
+      'moon-venus': 'Moon-Venus contact: tenderness and emotional warmth',
+      'mercury-mercury': 'Mercury-Mercury contact: easy conversation and shared thinking',
+      'ascendant-sun': 'Sun-Ascendant contact: immediate recognition and vitality',
+      'ascendant-moon': 'Moon-Ascendant contact: feeling at home with each other',
+      'ascendant-venus': 'Venus-Ascendant contact: natural attraction to each other\'s presence',
+      'jupiter-sun': 'Sun-Jupiter contact: mutual encouragement and generosity',
+      'moon-north_node': 'Moon-Node contact: a sense of familiarity and shared purpose',
+      'north_node-sun': 'Sun-Node contact: a relationship that feels meant to be'
+    };
+
+    const seen = new Set();
+    return interAspects
+      .filter(aspect => ['harmonious', 'intense'].includes(aspect.nature) && aspect.orb <= 5)
+      .map(aspect => ({ aspect, key: [aspect.planet1, aspect.planet2].sort().join('-') }))
+      .filter(({ key }) => descriptions[key] && !seen.has(key) && seen.add(key))
+      .slice(0, 8)
+      .map(({ aspect, key }) => ({
+        planet1: aspect.planet1,
+        planet2: aspect.planet2,
+        aspect: aspect.aspect,
+        orb: aspect.orb,
+        description: descriptions[key]
+      }));
   }
 
   identifyChallengingAspects(interAspects) {
-    return [];
+    const descriptions = {
+      saturn: 'Saturn contact: commitment and responsibility, but also restriction to work through',
+      pluto: 'Pluto contact: powerful intensity that can turn into control issues',
+      mars: 'Mars contact: friction and arguments that need healthy outlets',
+      uranus: 'Uranus contact: excitement alongside unpredictability',
+      neptune: 'Neptune contact: idealization that can blur expectations'
+    };
+
+    return interAspects
+      .filter(aspect => ['challenging', 'tension'].includes(aspect.nature) ||
+        (aspect.nature === 'intense' && (descriptions[aspect.planet1] || descriptions[aspect.planet2])))
+      .filter(aspect => aspect.orb <= 6)
+      .slice(0, 5)
+      .map(aspect => {
+        const difficult = [aspect.planet1, aspect.planet2].find(point => descriptions[point]);
+        return {
+          planet1: aspect.planet1,
+          planet2: aspect.planet2,
+          aspect: aspect.aspect,
+          orb: aspect.orb,
+          description: difficult
+            ? descriptions[difficult]
+            : `${this.formatPoint(aspect.planet1)} ${aspect.aspect} ${this.formatPoint(aspect.planet2)}: different needs that ask for compromise`
+        };
+      });
   }
 
+  /**
+   * Traditional "soul mate" signatures found in the real aspects and overlays
+   */
   checkSoulMateIndicators(interAspects, houseOverlays) {
-    return [];
+    const indicators = [];
+    const between = (pointA, pointB, aspects, maxOrb) => interAspects.find(aspect =>
+      aspects.includes(aspect.aspect) && aspect.orb <= maxOrb &&
+      ((aspect.planet1 === pointA && aspect.planet2 === pointB) ||
+       (aspect.planet1 === pointB && aspect.planet2 === pointA))
+    );
+
+    const checks = [
+      ['sun', 'moon', ['conjunction', 'trine', 'opposition'], 5, 'Sun-Moon union', 'The classic marriage aspect: your core selves and emotional needs fit together'],
+      ['venus', 'mars', ['conjunction', 'trine', 'opposition'], 5, 'Venus-Mars attraction', 'Lasting romantic and physical magnetism'],
+      ['moon', 'moon', ['conjunction', 'trine'], 5, 'Moon harmony', 'You feel emotionally safe with each other'],
+      ['north_node', 'sun', ['conjunction'], 3, 'Karmic Node connection', 'The Node ties this relationship to each other\'s life direction'],
+      ['north_node', 'moon', ['conjunction'], 3, 'Karmic Node connection', 'The Node ties this relationship to each other\'s emotional growth'],
+      ['north_node', 'venus', ['conjunction'], 3, 'Karmic Node connection', 'The Node ties this relationship to each other\'s capacity for love'],
+      ['saturn', 'venus', ['trine', 'sextile'], 4, 'Saturn commitment', 'Steady support that helps love last'],
+      ['ascendant', 'sun', ['conjunction', 'opposition'], 5, 'Ascendant link', 'An instant recognition of each other']
+    ];
+
+    for (const [pointA, pointB, aspects, maxOrb, indicator, description] of checks) {
+      const match = between(pointA, pointB, aspects, maxOrb);
+      if (match && !indicators.some(existing => existing.indicator === indicator)) {
+        indicators.push({ indicator, description, planet1: match.planet1, planet2: match.planet2, aspect: match.aspect, orb: match.orb });
+      }
+    }
+
+    for (const highlight of houseOverlays.highlights || []) {
+      if (highlight.house === 7 && highlight.planets.some(planet => ['sun', 'moon', 'venus'].includes(planet))) {
+        indicators.push({
+          indicator: 'Seventh house overlay',
+          description: `${highlight.guest}'s ${highlight.planets.map(p => this.formatPoint(p)).join(' and ')} in ${highlight.host}'s house of partnership`,
+          house: 7,
+          planets: highlight.planets
+        });
+      }
+    }
+
+    return indicators;
   }
 
   interpretSynastry(score, aspects) {
-    return 'Strong synastry connection';
+    const harmonious = aspects.filter(aspect => aspect.nature === 'harmonious').length;
+    const difficult = aspects.filter(aspect => ['challenging', 'tension'].includes(aspect.nature)).length;
+
+    let summary;
+    if (score >= 80) summary = 'Exceptional synastry: your charts support each other in many ways.';
+    else if (score >= 65) summary = 'Strong synastry with a good balance of ease and growth.';
+    else if (score >= 50) summary = 'Mixed synastry: real connection alongside areas that need effort.';
+    else summary = 'Challenging synastry: the relationship will ask for patience and conscious work.';
+
+    return `${summary} ${harmonious} harmonious and ${difficult} challenging contacts between your charts.`;
+  }
+
+  formatPoint(point) {
+    return point
+      .split('_')
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join(' ');
   }
 
+  /**
+   * RELATIONSHIP CHARTS
+   * Composite (midpoints) and Davison (time/space midpoint) charts
+   */
+
+  /**
+   * Composite and Davison charts for two users with birth data
+   */
+  async calculateRelationshipCharts(user1, user2, { chartType = 'both', houseSystem } = {}) {
+    const chart1 = await this.calculateBirthChart(user1);
+    const chart2 = await this.calculateBirthChart(user2);
+    const options = { houseSystem: houseSystem || chart1.requestedHouseSystem };
+
+    const charts = {};
+    if (chartType === 'composite' || chartType === 'both') {
+      charts.composite = this.calculateCompositeChart(chart1, chart2, options);
+    }
+    if (chartType === 'davison' || chartType === 'both') {
+      charts.davison = this.calculateDavisonChart(chart1, chart2, options);
+    }
+
+    return charts;
+  }
+
+  /**
+   * Midpoint composite chart.
+   * Each point is the nearer midpoint of the two natal positions. Houses are
+   * derived from the composite MC at the mean birth latitude, so the angles
+   * and cusps stay consistent with each other.
+   */
+  calculateCompositeChart(chart1, chart2, { houseSystem } = {}) {
+    const julianDay = (chart1.julianDay + chart2.julianDay) / 2;
+    const latitude = (chart1.location.latitude + chart2.location.latitude) / 2;
+
+    const positions = {};
+    for (const [point, position1] of Object.entries(chart1.planets)) {
+      const position2 = chart2.planets[point];
+      if (!position2 || point === 'ascendant' || point === 'midheaven') continue;
+      positions[point] = { longitude: this.midpoint(position1.longitude, position2.longitude) };
+    }
+
+    const midheaven = this.midpoint(chart1.midheaven, chart2.midheaven);
+    const houses = ephemerisService.calculateHouses(julianDay, latitude, 0, houseSystem, {
+      armc: ephemerisService.armcFromMidheaven(midheaven, julianDay)
+    });
+
+    return this.buildRelationshipChart('composite', positions, houses, {
+      method: 'midpoint',
+      referenceLatitude: latitude
+    });
+  }
+
+  /**
+   * Davison chart: a real chart cast for the midpoint in time and space
+   */
+  calculateDavisonChart(chart1, chart2, { houseSystem } = {}) {
+    const julianDay = (chart1.julianDay + chart2.julianDay) / 2;
+    const latitude = (chart1.location.latitude + chart2.location.latitude) / 2;
+    const longitude = ephemerisService.normalize(this.midpoint(
+      ephemerisService.normalize(chart1.location.longitude),
+      ephemerisService.normalize(chart2.location.longitude)
+    ) + 180) - 180;
+
+    const bodies = Object.keys(chart1.planets).filter(point => ephemerisService.BODIES.includes(point));
+    const positions = ephemerisService.calculatePositions(julianDay, { bodies });
+    const houses = ephemerisService.calculateHouses(julianDay, latitude, longitude, houseSystem);
+
+    return this.buildRelationshipChart('davison', positions, houses, {
+      dateTime: ephemerisService.dateFromJulianDay(julianDay).toISOString(),
+      location: {
+        latitude: Math.round(latitude * 10000) / 10000,
+        longitude: Math.round(longitude * 10000) / 10000
+      }
+    });
+  }
+
+  buildRelationshipChart(type, positions, houses, details) {
+    const planets = {};
+    for (const [point, position] of Object.entries(positions)) {
+      planets[point] = {
+        longitude: position.longitude,
+        sign: ephemerisService.getSign(position.longitude),
+        degree: position.longitude % 30,
+        house: ephemerisService.assignHouse(position.longitude, houses.cusps),
+        ...(position.retrograde !== undefined && { retrograde: position.retrograde })
+      };
+    }
+
+    const chart = {
+      type,
+      ...details,
+      houseSystem: houses.system,
+      requestedHouseSystem: houses.requestedSystem,
+      houseSystemFallbackReason: houses.fallbackReason,
+      planets,
+      houses: houses.cusps,
+      angles: {
+        ascendant: houses.ascendant,
+        midheaven: houses.midheaven,
+        descendant: houses.descendant,
+        ic: houses.ic
+      },
+      aspects: ephemerisService.calculateAspects(positions).map(aspect => ({
+        planet1: aspect.planet1,
+        planet2: aspect.planet2,
+        aspect: aspect.aspect,
+        orb: Math.round(aspect.orb * 100) / 100,
+        exact: aspect.exact,
+        strength: Math.round(aspect.strength * 1000) / 1000
+      }))
+    };
+
+    chart.interpretation = this.interpretRelationshipChart(chart);
+    return chart;
+  }
+
+  /**
+   * Nearer midpoint of two longitudes
+   */
+  midpoint(longitude1, longitude2) {
+    const diff = ephemerisService.normalize(longitude2 - longitude1);
+    const half = diff > 180 ? (diff - 360) / 2 : diff / 2;
+    return ephemerisService.normalize(longitude1 + half);
+  }
+
+  /**
+   * Plain-language reading of a composite or Davison chart
+   */
+  interpretRelationshipChart(chart) {
+    const signName = sign => sign.charAt(0).toUpperCase() + sign.slice(1);
+    const placement = point => chart.planets[point]
+      ? `${signName(chart.planets[point].sign)} in the ${this.ordinal(chart.planets[point].house)} house`
+      : null;
+
+    const sections = [];
+
+    if (chart.planets.sun) {
+      sections.push({
+        title: 'Purpose of the relationship',
+        placement: placement('sun'),
+        text: `Together you shine through ${this.getHouseFocus(chart.planets.sun.house)}, and express who you are as a couple in ${signName(chart.planets.sun.sign)} fashion.`
+      });
+    }
+    if (chart.planets.moon) {
+      sections.push({
+        title: 'Emotional climate',
+        placement: placement('moon'),
+        text: `You feel most secure as a pair through ${this.getHouseFocus(chart.planets.moon.house)}; the ${signName(chart.planets.moon.sign)} Moon sets the mood you create at home.`
+      });
+    }
+    if (chart.planets.venus) {
+      sections.push({
+        title: 'How you love',
+        placement: placement('venus'),
+        text: `Affection flows most easily through ${this.getHouseFocus(chart.planets.venus.house)}, shown in ${signName(chart.planets.venus.sign)} fashion.`
+      });
+    }
+
+    sections.push({
+      title: 'How others see you',
+      placement: `${signName(ephemerisService.getSign(chart.angles.ascendant))} Ascendant`,
+      text: `Others first notice the ${signName(ephemerisService.getSign(chart.angles.ascendant))} qualities you show as a couple.`
+    });
+
+    // House holding the most planets is where the relationship puts its energy
+    const houseCounts = {};
+    for (const position of Object.values(chart.planets)) {
+      houseCounts[position.house] = (houseCounts[position.house] || 0) + 1;
+    }
+    const [focusHouse, focusCount] = Object.entries(houseCounts).sort((a, b) => b[1] - a[1])[0] || [];
+    if (focusCount >= 3) {
+      sections.push({
+        title: 'Where your energy goes',
+        placement: `${focusCount} planets in the ${this.ordinal(Number(focusHouse))} house`,
+        text: `Much of your shared energy is invested in ${this.getHouseFocus(Number(focusHouse))}.`
+      });
+    }
+
+    const keyAspects = chart.aspects
+      .filter(aspect => ['sun', 'moon', 'venus', 'mars'].includes(aspect.planet1) || ['sun', 'moon', 'venus', 'mars'].includes(aspect.planet2))
+      .sort((a, b) => b.strength - a.strength)
+      .slice(0, 3)
+      .map(aspect => {
+        const nature = ['trine', 'sextile'].includes(aspect.aspect)
+          ? 'flows naturally'
+          : ['square', 'opposition'].includes(aspect.aspect) ? 'asks for conscious effort' : 'is strongly fused';
+        return `${this.formatPoint(aspect.planet1)} ${aspect.aspect} ${this.formatPoint(aspect.planet2)}: this part of your bond ${nature}.`;
+      });
+
+    if (keyAspects.length > 0) {
+      sections.push({ title: 'Key dynamics', placement: null, text: keyAspects.join(' ') });
+    }
+
+    return sections;
+  }
+
+  getHouseFocus(house) {
+    const focus = {
+      1: 'a shared identity and doing things side by side',
+      2: 'building security and shared values',
+      3: 'conversation, ideas and everyday connection',
+      4: 'home, family and private life',
+      5: 'romance, fun and creativity',
+      6: 'daily routines and looking after each other',
+      7: 'partnership and commitment',
+      8: 'intimacy, trust and shared resources',
+      9: 'travel, learning and a common philosophy',
+      10: 'shared goals and your public life',
+      11: 'friendship, community and future plans',
+      12: 'a private, spiritual bond'
+    };
+    return focus[house];
+  }
+
+  ordinal(number) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = number >= 11 && number <= 13 ? 'th' : suffixes[number % 10] || 'th';
+    return `${number}${suffix}`;
+  }
+
+  /**
+   * PLACEHOLDER METHODS
+   * These would be fully implemented with real astrological calculations
+   */
+
   async analyzeWeeklyCompatibility(user1, user2, baseScore) {
     return {
       score: baseScore + (Math.random() * 10 - 5),
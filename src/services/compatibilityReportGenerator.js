@@ -83,6 +83,11 @@ class CompatibilityReportGenerator {
       if (reportType === 'premium' || reportType === 'elite') {
         await this.generateStrengthsAndChallenges(doc, compatibility);
         await this.generateRecommendations(doc, compatibility);
+
+        const relationshipCharts = this.getRelationshipCharts(compatibility);
+        if (relationshipCharts) {
+          await this.generateRelationshipChartInterpretation(doc, relationshipCharts);
+        }
       }
 
       if (reportType === 'elite' && compatibility.birthChartAnalysis) {
@@ -482,6 +487,67 @@ class CompatibilityReportGenerator {
       });
   }
 
+  /**
+   * GENERATE RELATIONSHIP CHART PAGE
+   * Composite and Davison chart interpretation (premium and elite)
+   */
+  async generateRelationshipChartInterpretation(doc, relationshipCharts) {
+    doc.addPage();
+
+    doc.fontSize(24)
+      .fillColor(this.colors.primary)
+      .font('Helvetica-Bold')
+      .text('Your Relationship Chart');
+
+    doc.moveDown(1);
+
+    doc.fontSize(14)
+      .fillColor(this.colors.lightText)
+      .font('Helvetica-Oblique')
+      .text('The chart of the relationship itself, beyond your two birth charts');
+
+    const titles = {
+      composite: 'Composite Chart (midpoints)',
+      davison: 'Davison Chart (midpoint in time and space)'
+    };
+
+    for (const [type, chart] of Object.entries(relationshipCharts)) {
+      if (!chart || !chart.interpretation) continue;
+
+      doc.moveDown(2);
+
+      doc.fontSize(16)
+        .fillColor(this.colors.secondary)
+        .font('Helvetica-Bold')
+        .text(titles[type] || type);
+
+      const keyPlacements = ['sun', 'moon', 'venus']
+        .filter(point => chart.planets[point])
+        .map(point => `${this.capitalizeSign(point)} in ${this.capitalizeSign(chart.planets[point].sign)}`);
+
+      doc.fontSize(11)
+        .fillColor(this.colors.lightText)
+        .font('Helvetica')
+        .text(keyPlacements.join('  •  '));
+
+      doc.moveDown(1);
+
+      chart.interpretation.forEach(section => {
+        doc.fontSize(12)
+          .fillColor(this.colors.primary)
+          .font('Helvetica-Bold')
+          .text(section.placement ? `${section.title} (${section.placement})` : section.title);
+
+        doc.fontSize(11)
+          .fillColor(this.colors.text)
+          .font('Helvetica')
+          .text(section.text, { align: 'justify' });
+
+        doc.moveDown(0.5);
+      });
+    }
+  }
+
   /**
    * GENERATE BIRTH CHART ANALYSIS PAGE
    */
@@ -670,6 +736,22 @@ class CompatibilityReportGenerator {
     }
   }
 
+  /**
+   * HELPER: Composite/Davison charts attached to a compatibility check
+   */
+  getRelationshipCharts(compatibility) {
+    if (compatibility.relationshipCharts) {
+      return compatibility.relationshipCharts;
+    }
+
+    const analysis = compatibility.birthChartAnalysis;
+    if (analysis && (analysis.compositeChart || analysis.davisonChart)) {
+      return { composite: analysis.compositeChart, davison: analysis.davisonChart };
+    }
+
+    return null;
+  }
+
   /**
    * HELPER: Capitalize sign
    */
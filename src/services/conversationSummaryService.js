@@ -0,0 +1,342 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 📜 CONVERSATION SUMMARY SERVICE
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * Keeps long AI Coach sessions inside the model's context:
+ * - Rolling summary: once the raw turns in conversation_context exceed
+ *   historyTokenBudget, the older ones are merged into the session summary
+ *   and only the most recent turns (recentTokenBudget) stay verbatim
+ * - Previous conversations: when a new session starts, the user's last
+ *   session is condensed into a closing summary; the latest closing
+ *   summaries go into the new session's context
+ *
+ * Budgets are counted with the model tokenizer (utils/tokenizer). Turns are
+ * only removed from the history once a summary of them has been written;
+ * the prompt still only carries the turns that fit the budget.
+ *
+ * Storage: chat_sessions.summary / closing_summary (migration 023)
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const db = require('../config/db');
+const logger = require('./loggingService');
+const llmService = require('./llmService');
+const { countTokens, countMessageTokens } = require('../utils/tokenizer');
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian'
+};
+
+const parseContext = (raw) => (typeof raw === 'string' ? JSON.parse(raw || '{}') : (raw || {}));
+
+class ConversationSummaryService {
+  constructor() {
+    this.settings = {
+      historyTokenBudget: 1500,  // Raw turns kept in conversation_context
+      recentTokenBudget: 600,    // Raw turns left after a compaction
+      summaryMaxTokens: 300,
+      previousSessions: 3,       // Closing summaries given to a new session
+      previousSessionMaxAgeDays: 60,
+      minClosingMessages: 4,     // Shorter sessions get no closing summary
+      model: 'gpt-4o-mini'
+    };
+  }
+
+  /**
+   * Tokens of a message history as sent to the model
+   */
+  historyTokens(messages) {
+    return countMessageTokens(messages || [], this.settings.model);
+  }
+
+  needsCompaction(context) {
+    return this.historyTokens(context.messageHistory) > this.settings.historyTokenBudget;
+  }
+
+  /**
+   * Split a history into the turns to summarize and the recent tail that
+   * stays verbatim. The tail fits recentTokenBudget, keeps at least the last
+   * exchange and starts with a user message.
+   *
+   * @returns {{older: Array, recent: Array}}
+   */
+  splitHistory(messages) {
+    let start = messages.length;
+    let tokens = 0;
+
+    while (start > 0) {
+      const cost = this.historyTokens([messages[start - 1]]);
+      if (messages.length - start >= 2 && tokens + cost > this.settings.recentTokenBudget) break;
+      tokens += cost;
+      start--;
+    }
+    while (start < messages.length - 1 && messages[start].role !== 'user') start++;
+
+    return { older: messages.slice(0, start), recent: messages.slice(start) };
+  }
+
+  /**
+   * Most recent turns that fit the history budget, for the prompt. Guards
+   * the prompt when compaction has not caught up yet.
+   */
+  recentHistory(messages, budget = this.settings.historyTokenBudget) {
+    const history = messages || [];
+    let start = history.length;
+    let tokens = 0;
+
+    while (start > 0) {
+      const cost = this.historyTokens([history[start - 1]]);
+      if (tokens + cost > budget) break;
+      tokens += cost;
+      start--;
+    }
+    return history.slice(start);
+  }
+
+  /**
+   * Merge turns into a running summary
+   *
+   * @param {Array<{role: string, content: string}>} messages - Turns to condense
+   * @param {Object} [options]
+   * @param {string} [options.previousSummary] - Summary the turns continue
+   * @param {string} [options.language='en']
+   * @returns {Promise<string|null>} Summary, or null without a model
+   */
+  async summarize(messages, options = {}) {
+    if (messages.length === 0 || !llmService.isAvailable('coach_summary')) {
+      return null;
+    }
+
+    const language = LANGUAGE_NAMES[options.language] || LANGUAGE_NAMES.en;
+    const words = Math.round(this.settings.summaryMaxTokens * 0.6);
+
+    try {
+      const completion = await llmService.chat('coach_summary', {
+        model: this.settings.model,
+        messages: [
+          {
+            role: 'system',
+            content: `You keep the running summary of a conversation between a user and their astrology life coach.
+Merge the previous summary (if any) and the new turns into one summary of at most ${words} words, written in ${language}.
+Keep what the user shared about their life (people, events, dates, feelings, decisions), what they asked, the advice given and anything they plan to do.
+Drop greetings, filler and generic astrology. Refer to the user as "the user". Return only the summary.`
+          },
+          {
+            role: 'user',
+            content: JSON.stringify({
+              previous_summary: options.previousSummary || null,
+              new_turns: messages.map(({ role, content }) => ({ role, content }))
+            })
+          }
+        ],
+        temperature: 0.3,
+        max_tokens: this.settings.summaryMaxTokens
+      });
+
+      const summary = (completion.choices[0].message.content || '').trim();
+      return summary || null;
+
+    } catch (error) {
+      logger.logError(error, { service: 'conversation_summary', operation: 'summarize' });
+      return null;
+    }
+  }
+
+  /**
+   * Condense the older turns of a session once its history is over budget.
+   * Messages appended while the summary was written are kept: the update
+   * only goes through if the summarized turns are still at the head of the
+   * history.
+   *
+   * @param {string} sessionId
+   * @returns {Promise<Object|null>} { summary, summarizedMessages, context }, or null if nothing changed
+   */
+  async compactSession(sessionId) {
+    const result = await db.query(
+      'SELECT conversation_context, summary, language_code FROM chat_sessions WHERE session_id = $1',
+      [sessionId]
+    );
+    if (result.rows.length === 0) return null;
+
+    const session = result.rows[0];
+    const context = parseContext(session.conversation_context);
+    if (!this.needsCompaction(context)) return null;
+
+    const { older } = this.splitHistory(context.messageHistory);
+    if (older.length === 0) return null;
+
+    const summary = await this.summarize(older, {
+      previousSummary: session.summary,
+      language: session.language_code
+    });
+
+    // Without a summary the older turns stay in the history for the next try
+    if (!summary) {
+      logger.getLogger().warn('📜 Conversation not compacted, no summary was written', { sessionId });
+      return null;
+    }
+
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(
+        'SELECT conversation_context FROM chat_sessions WHERE session_id = $1 FOR UPDATE',
+        [sessionId]
+      );
+      const current = parseContext(locked.rows[0] && locked.rows[0].conversation_context);
+      const history = current.messageHistory || [];
+
+      const unchanged = older.every((message, index) =>
+        history[index] && history[index].role === message.role && history[index].content === message.content
+      );
+      if (!unchanged) {
+        await client.query('ROLLBACK');
+        return null; // Compacted concurrently
+      }
+
+      current.messageHistory = history.slice(older.length);
+      await client.query(
+        `UPDATE chat_sessions
+         SET conversation_context = $2,
+             summary = $3,
+             summarized_messages = summarized_messages + $4,
+             summary_updated_at = NOW()
+         WHERE session_id = $1`,
+        [sessionId, JSON.stringify(current), summary, older.length]
+      );
+
+      await client.query('COMMIT');
+
+      logger.getLogger().info('📜 Conversation compacted', {
+        sessionId,
+        summarizedMessages: older.length,
+        remainingMessages: current.messageHistory.length
+      });
+
+      return { summary, summarizedMessages: older.length, context: current };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Closing summaries of the user's latest sessions, most recent first.
+   * Called before a new session is created; the latest session is
+   * summarized now if it has no closing summary or was resumed since.
+   *
+   * @param {string} userId
+   * @returns {Promise<Array<{sessionId, date, persona, summary}>>}
+   */
+  async getPreviousConversations(userId) {
+    try {
+      const result = await db.query(
+        `SELECT session_id, ai_coach_persona, language_code, last_activity,
+                conversation_context, summary, closing_summary, closing_summary_at
+         FROM chat_sessions
+         WHERE user_id = $1
+           AND last_activity > NOW() - ($2 || ' days')::INTERVAL
+         ORDER BY last_activity DESC
+         LIMIT $3`,
+        [userId, String(this.settings.previousSessionMaxAgeDays), this.settings.previousSessions]
+      );
+
+      const sessions = result.rows;
+      if (sessions.length > 0) {
+        const latest = sessions[0];
+        const stale = !latest.closing_summary_at ||
+          new Date(latest.closing_summary_at) < new Date(latest.last_activity);
+        if (stale) {
+          latest.closing_summary = await this.writeClosingSummary(latest) || latest.closing_summary;
+        }
+      }
+
+      return sessions
+        .filter(session => session.closing_summary)
+        .map(session => ({
+          sessionId: session.session_id,
+          date: new Date(session.last_activity).toISOString().split('T')[0],
+          persona: session.ai_coach_persona,
+          summary: session.closing_summary
+        }));
+
+    } catch (error) {
+      logger.logError(error, { service: 'conversation_summary', operation: 'previous_conversations', userId });
+      return [];
+    }
+  }
+
+  /**
+   * Condense a whole session (rolling summary plus remaining turns) and store it
+   *
+   * @returns {Promise<string|null>}
+   */
+  async writeClosingSummary(session) {
+    const history = parseContext(session.conversation_context).messageHistory || [];
+    if (!session.summary && history.length < this.settings.minClosingMessages) {
+      return null;
+    }
+
+    const closingSummary = history.length > 0
+      ? await this.summarize(history, { previousSummary: session.summary, language: session.language_code })
+      : session.summary;
+    if (!closingSummary) return null;
+
+    await db.query(
+      `UPDATE chat_sessions
+       SET closing_summary = $2, closing_summary_at = NOW()
+       WHERE session_id = $1`,
+      [session.session_id, closingSummary]
+    );
+    return closingSummary;
+  }
+
+  /**
+   * System prompt section with the session summary and previous conversations
+   *
+   * @param {string|null} summary - Rolling summary of this session
+   * @param {Array} previousConversations - From getPreviousConversations
+   * @returns {string} Empty when there is nothing to add
+   */
+  buildPromptSection(summary, previousConversations = []) {
+    let section = '';
+
+    if (previousConversations.length > 0) {
+      section += '\n\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
+      section += '🗂️ PREVIOUS CONVERSATIONS (most recent first):\n';
+      section += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
+      for (const conversation of previousConversations) {
+        section += `[${conversation.date}] ${conversation.summary}\n\n`;
+      }
+      section += 'Pick up naturally where it helps; do not recap these unprompted.\n';
+    }
+
+    if (summary) {
+      section += '\n\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n';
+      section += '📜 EARLIER IN THIS CONVERSATION:\n';
+      section += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
+      section += `${summary}\n`;
+    }
+
+    return section;
+  }
+
+  /**
+   * Tokens of a piece of text, for callers budgeting prompts
+   */
+  countTokens(text) {
+    return countTokens(text, this.settings.model);
+  }
+}
+
+module.exports = new ConversationSummaryService();
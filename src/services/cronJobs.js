@@ -14,7 +14,7 @@ class CronJobsService {
   init() {
     console.log('🕐 Initializing cron jobs...');
     
-    // Daily horoscope generation - Every day at 6:00 AM
+    // Daily horoscope generation - Hourly, ahead of every timezone's midnight
     this.scheduleDailyGeneration();
     
     // Weekly horoscope generation - Every Monday at 5:30 AM (30 min before daily)
@@ -29,24 +29,37 @@ class CronJobsService {
     // Analytics cleanup - Every Sunday at 3:00 AM
     this.scheduleAnalyticsCleanup();
 
+    // ICS calendar feed refresh - Every day at 4:00 AM
+    this.scheduleCalendarFeedRefresh();
+
+    // Coach follow-ups the day after dated memories - Every hour
+    this.scheduleCoachFollowUps();
+
+    // Localized daily horoscope pushes at each user's local hour - Every 15 minutes
+    this.scheduleHoroscopePushes();
+
     console.log(`✅ Cron jobs initialized for ${this.isProduction ? 'PRODUCTION' : 'DEVELOPMENT'} environment`);
     this.logScheduledJobs();
   }
 
   /**
    * Schedule daily horoscope generation
-   * Runs every day at 00:00 (midnight)
+   * Runs hourly and only fills in missing rows, so each date is stored
+   * before midnight in the easternmost timezone (UTC+14)
    */
   scheduleDailyGeneration() {
-    const job = cron.schedule('0 0 * * *', async () => {
-      console.log('🌟 Starting scheduled daily horoscope generation...');
-      
+    const job = cron.schedule('5 * * * *', async () => {
       try {
         const startTime = Date.now();
-        const results = await horoscopeGenerator.generateDailyHoroscopes();
+        const results = await horoscopeGenerator.generateRollingDailyHoroscopes();
         const duration = Date.now() - startTime;
-        
-        const message = `Daily horoscopes generated: ${results.success} success, ${results.errors} errors in ${Math.round(duration/1000)}s`;
+
+        // Most runs find every live date already stored
+        if (results.success === 0 && results.errors === 0) {
+          return;
+        }
+
+        const message = `Daily horoscopes generated for ${results.dates.join(', ')}: ${results.success} success, ${results.errors} errors in ${Math.round(duration/1000)}s`;
         console.log(`✅ ${message}`);
         
         // Send alert if there were errors
@@ -97,7 +110,7 @@ class CronJobsService {
     // Start job only in production or if explicitly enabled
     if (this.isProduction || process.env.ENABLE_CRON_JOBS === 'true') {
       job.start();
-      console.log('📅 Daily generation cron job started (00:00 midnight daily)');
+      console.log('📅 Daily generation cron job started (hourly at :05, rolling across timezones)');
     } else {
       console.log('📅 Daily generation cron job created but not started (development mode)');
     }
@@ -262,6 +275,109 @@ class CronJobsService {
     }
   }
 
+  /**
+   * Schedule regeneration of ICS calendar feeds
+   * Runs daily at 4:00 AM; feeds nobody fetched in 30 days are skipped
+   */
+  scheduleCalendarFeedRefresh() {
+    const job = cron.schedule('0 4 * * *', async () => {
+      console.log('📆 Starting scheduled calendar feed refresh...');
+
+      try {
+        // Loaded lazily: the feed pulls in the timing service and ephemeris
+        const icsFeedService = require('./icsFeedService');
+        const results = await icsFeedService.regenerateActiveFeeds();
+        console.log(`✅ Calendar feeds refreshed: ${results.regenerated} regenerated, ${results.errors} errors`);
+      } catch (error) {
+        console.error('❌ Calendar feed refresh failed:', error);
+        await monitoringController.logError(
+          'calendar_feed_refresh_failure',
+          error.message,
+          error.stack
+        );
+      }
+    }, {
+      scheduled: false,
+      timezone: process.env.TZ || 'America/New_York'
+    });
+
+    this.jobs.set('calendarFeedRefresh', job);
+
+    if (this.isProduction || process.env.ENABLE_CRON_JOBS === 'true') {
+      job.start();
+      console.log('📆 Calendar feed refresh cron job started (4:00 AM daily)');
+    }
+  }
+
+  /**
+   * Schedule proactive coach follow-ups
+   * Runs hourly; each user gets theirs during local daytime hours
+   */
+  scheduleCoachFollowUps() {
+    const job = cron.schedule('15 * * * *', async () => {
+      try {
+        // Loaded lazily: sending pulls in the coach and the notification engine
+        const coachFollowUpService = require('./coachFollowUpService');
+        const results = await coachFollowUpService.processDueFollowUps();
+        if (results.due > 0) {
+          console.log(`✅ Coach follow-ups: ${results.sent} sent, ${results.deferred} deferred, ${results.skipped} skipped, ${results.failed} failed`);
+        }
+      } catch (error) {
+        console.error('❌ Coach follow-ups failed:', error);
+        await monitoringController.logError(
+          'coach_followups_failure',
+          error.message,
+          error.stack
+        );
+      }
+    }, {
+      scheduled: false,
+      timezone: process.env.TZ || 'America/New_York'
+    });
+
+    this.jobs.set('coachFollowUps', job);
+
+    if (this.isProduction || process.env.ENABLE_CRON_JOBS === 'true') {
+      job.start();
+      console.log('💬 Coach follow-ups cron job started (hourly at :15)');
+    }
+  }
+
+  /**
+   * Schedule localized daily horoscope pushes
+   * Runs every 15 minutes so half- and quarter-hour timezones are covered;
+   * each topic is pushed once per local day during its chosen hour
+   */
+  scheduleHoroscopePushes() {
+    const job = cron.schedule('*/15 * * * *', async () => {
+      try {
+        // Loaded lazily: pulls in Firebase and the horoscope generator
+        const horoscopePushService = require('./horoscopePushService');
+        const results = await horoscopePushService.processDueBuckets();
+        if (results.due > 0) {
+          console.log(`✅ Horoscope pushes: ${results.sent} sent, ${results.skipped} skipped, ${results.failed} failed`);
+        }
+      } catch (error) {
+        console.error('❌ Horoscope pushes failed:', error);
+        await monitoringController.logError(
+          'horoscope_push_failure',
+          error.message,
+          error.stack
+        );
+      }
+    }, {
+      scheduled: false,
+      timezone: process.env.TZ || 'America/New_York'
+    });
+
+    this.jobs.set('horoscopePushes', job);
+
+    if (this.isProduction || process.env.ENABLE_CRON_JOBS === 'true') {
+      job.start();
+      console.log('📲 Horoscope push cron job started (every 15 minutes)');
+    }
+  }
+
   /**
    * Manual trigger for daily generation (admin endpoint)
    */
@@ -329,11 +445,14 @@ class CronJobsService {
   logScheduledJobs() {
     console.log('\n📋 Scheduled Jobs Summary:');
     console.log('═══════════════════════════');
-    console.log('🌟 Daily Generation:    6:00 AM (daily) → serve from DB rest of day');
+    console.log('🌟 Daily Generation:    Hourly at :05 (missing dates, ahead of UTC+14 midnight) → serve from DB');
     console.log('📅 Weekly Generation:   5:30 AM (Mondays) → serve from DB rest of week');
     console.log('❤️ Health Checks:       Every 10 minutes');
     console.log('🧹 Data Cleanup:        2:00 AM (daily)');
     console.log('📊 Analytics Cleanup:   3:00 AM (Sundays)');
+    console.log('📆 Calendar Feeds:      4:00 AM (daily)');
+    console.log('💬 Coach Follow-ups:    Hourly at :15 (day after dated memories)');
+    console.log('📲 Horoscope Pushes:    Every 15 minutes (each topic at its local hour)');
     console.log('═══════════════════════════');
     console.log('💡 Efficiency Model:');
     console.log('   • Generate ONCE → Serve MANY times from database');
@@ -1,10 +1,10 @@
-const OpenAI = require('openai');
 const moment = require('moment');
 const db = require('../config/db');
 const logger = require('./loggingService');
 const cacheService = require('./cacheService');
 const circuitBreaker = require('./circuitBreakerService');
 const firebaseService = require('./firebaseService');
+const llmService = require('./llmService');
 
 /**
  * 🔮 ENHANCED HOROSCOPE GENERATOR - PRODUCTION READY
@@ -12,10 +12,6 @@ const firebaseService = require('./firebaseService');
  */
 class EnhancedHoroscopeGeneratorService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
     this.signs = [
       'Aries', 'Tauro', 'Géminis', 'Cáncer', 'Leo', 'Virgo',
       'Libra', 'Escorpio', 'Sagitario', 'Capricornio', 'Acuario', 'Piscis'
@@ -378,7 +374,7 @@ Tone: inspiring, detailed, practical. Maximum 200 words.
         date 
       });
 
-      const completion = await this.openai.chat.completions.create({
+      const completion = await llmService.chat('horoscope_enhanced', {
         model: "gpt-4",
         messages: [
           {
@@ -433,7 +429,7 @@ Tone: inspiring, detailed, practical. Maximum 200 words.
         weekEnd 
       });
 
-      const completion = await this.openai.chat.completions.create({
+      const completion = await llmService.chat('horoscope_enhanced', {
         model: "gpt-4",
         messages: [
           {
@@ -575,12 +571,12 @@ Tone: inspiring, detailed, practical. Maximum 200 words.
   }
 
   /**
-   * Test OpenAI connection with circuit breaker
+   * Test the LLM provider connection with circuit breaker
    */
   async testOpenAIConnection() {
     try {
       const result = await circuitBreaker.executeOpenAI(async () => {
-        const completion = await this.openai.chat.completions.create({
+        const completion = await llmService.chat('horoscope_enhanced', {
           model: "gpt-4",
           messages: [
             {
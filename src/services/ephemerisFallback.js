@@ -0,0 +1,404 @@
+/**
+ * 🌌 EPHEMERIS FALLBACK - PURE JAVASCRIPT POSITIONS
+ *
+ * Used by ephemerisService when the native `sweph` binding cannot be loaded
+ * (missing build toolchain, unsupported platform) or does not have the data
+ * file for a body (Chiron needs seas_18.se1).
+ *
+ * Methods:
+ * - Sun and planets: JPL "Approximate Positions of the Planets" Keplerian
+ *   elements (Standish, valid 1800-2050), rotated from J2000 to the mean
+ *   equinox of date. Typical error: < 0.05° inner planets, < 0.3° Jupiter
+ *   through Pluto.
+ * - Moon: Meeus, Astronomical Algorithms ch. 47, main periodic terms.
+ *   Typical error: < 0.05° in longitude.
+ * - True node and mean Lilith (mean lunar apogee): Meeus ch. 47 and 50.
+ * - Chiron: fixed osculating elements around the 1996 perihelion. Typical
+ *   error: < 1° between 1950 and 2050, degrading outside that range.
+ *
+ * Nutation and aberration (< 0.01°) are ignored. Speeds are numerical
+ * derivatives, so retrograde flags agree with Swiss Ephemeris except within
+ * a few hours of a station.
+ */
+
+const DEG = Math.PI / 180;
+const J2000 = 2451545.0;
+
+// a (AU), e, I, L, long. perihelion, long. node — value and rate per Julian century
+const PLANET_ELEMENTS = {
+  mercury: [
+    [0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+    [0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081]
+  ],
+  venus: [
+    [0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+    [0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418]
+  ],
+  earth: [
+    [1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+    [0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0]
+  ],
+  mars: [
+    [1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+    [0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343]
+  ],
+  jupiter: [
+    [5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+    [-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106]
+  ],
+  saturn: [
+    [9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+    [-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794]
+  ],
+  uranus: [
+    [19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+    [-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589]
+  ],
+  neptune: [
+    [30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+    [0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.00508664]
+  ],
+  pluto: [
+    [39.48211675, 0.24882730, 17.14001206, 238.92903833, 224.06891629, 110.30393684],
+    [-0.00031596, 0.00005170, 0.00004818, 145.20780515, -0.04062942, -0.01183482]
+  ]
+};
+
+// Chiron osculating elements (J2000 ecliptic), perihelion passage 1996-02-14
+const CHIRON_ELEMENTS = {
+  a: 13.648,
+  e: 0.3826,
+  i: 6.93,
+  node: 209.37,
+  argPerihelion: 339.47,
+  perihelionJd: 2450128.5
+};
+
+// Meeus table 47.A: [D, M, M', F, Σl coefficient, Σr coefficient]
+const MOON_LONGITUDE_TERMS = [
+  [0, 0, 1, 0, 6288774, -20905355],
+  [2, 0, -1, 0, 1274027, -3699111],
+  [2, 0, 0, 0, 658314, -2955968],
+  [0, 0, 2, 0, 213618, -569925],
+  [0, 1, 0, 0, -185116, 48888],
+  [0, 0, 0, 2, -114332, -3149],
+  [2, 0, -2, 0, 58793, 246158],
+  [2, -1, -1, 0, 57066, -152138],
+  [2, 0, 1, 0, 53322, -170733],
+  [2, -1, 0, 0, 45758, -204586],
+  [0, 1, -1, 0, -40923, -129620],
+  [1, 0, 0, 0, -34720, 108743],
+  [0, 1, 1, 0, -30383, 104755],
+  [2, 0, 0, -2, 15327, 10321],
+  [0, 0, 1, 2, -12528, 0],
+  [0, 0, 1, -2, 10980, 79661],
+  [4, 0, -1, 0, 10675, -34782],
+  [0, 0, 3, 0, 10034, -23210],
+  [4, 0, -2, 0, 8548, -21636],
+  [2, 1, -1, 0, -7888, 24208],
+  [2, 1, 0, 0, -6766, 30824],
+  [1, 0, -1, 0, -5163, -8379],
+  [1, 1, 0, 0, 4987, -16675],
+  [2, -1, 1, 0, 4036, -12831],
+  [2, 0, 2, 0, 3994, -10445],
+  [4, 0, 0, 0, 3861, -11650],
+  [2, 0, -3, 0, 3665, 14403],
+  [0, 1, -2, 0, -2689, -7003],
+  [2, 0, -1, 2, -2602, 0],
+  [2, -1, -2, 0, 2390, 10056],
+  [1, 0, 1, 0, -2348, 6322],
+  [2, -2, 0, 0, 2236, -9884],
+  [0, 1, 2, 0, -2120, 5751],
+  [0, 2, 0, 0, -2069, 0],
+  [2, -2, -1, 0, 2048, -4950],
+  [2, 0, 1, -2, -1773, 4130],
+  [2, 0, 0, 2, -1595, 0],
+  [4, -1, -1, 0, 1215, -3958],
+  [0, 0, 2, 2, -1110, 0],
+  [3, 0, -1, 0, -892, 3258],
+  [2, 1, 1, 0, -810, 2616],
+  [4, -1, -2, 0, 759, -1897],
+  [0, 2, -1, 0, -713, -2117],
+  [2, 2, -1, 0, -700, 2354],
+  [2, 1, -2, 0, 691, 0],
+  [2, -1, 0, -2, 596, 0],
+  [4, 0, 1, 0, 549, -1423],
+  [0, 0, 4, 0, 537, -1117],
+  [4, -1, 0, 0, 520, -1571],
+  [1, 0, -2, 0, -487, -1739]
+];
+
+// Meeus table 47.B: [D, M, M', F, Σb coefficient]
+const MOON_LATITUDE_TERMS = [
+  [0, 0, 0, 1, 5128122],
+  [0, 0, 1, 1, 280602],
+  [0, 0, 1, -1, 277693],
+  [2, 0, 0, -1, 173237],
+  [2, 0, -1, 1, 55413],
+  [2, 0, -1, -1, 46271],
+  [2, 0, 0, 1, 32573],
+  [0, 0, 2, 1, 17198],
+  [2, 0, 1, -1, 9266],
+  [0, 0, 2, -1, 8822],
+  [2, -1, 0, -1, 8216],
+  [2, 0, -2, -1, 4324],
+  [2, 0, 1, 1, 4200],
+  [2, 1, 0, -1, -3359],
+  [2, -1, -1, 1, 2463],
+  [2, -1, 0, 1, 2211],
+  [2, -1, -1, -1, 2065],
+  [0, 1, -1, -1, -1870],
+  [4, 0, -1, -1, 1828],
+  [0, 1, 0, 1, -1794]
+];
+
+const SPEED_STEP_DAYS = 0.25;
+
+class EphemerisFallback {
+  /**
+   * Geocentric ecliptic position of a body at a Julian Day (UT).
+   * Returns { longitude, latitude, distance, speed } or null for unknown bodies.
+   */
+  calculate(body, julianDay) {
+    const position = this.calculateInstant(body, julianDay);
+    if (!position) return null;
+
+    const before = this.calculateInstant(body, julianDay - SPEED_STEP_DAYS);
+    const after = this.calculateInstant(body, julianDay + SPEED_STEP_DAYS);
+
+    return {
+      ...position,
+      speed: this.signedDifference(after.longitude, before.longitude) / (2 * SPEED_STEP_DAYS)
+    };
+  }
+
+  calculateInstant(body, julianDay) {
+    const T = this.centuriesSinceJ2000(julianDay);
+
+    switch (body) {
+      case 'sun':
+        return this.sunPosition(T);
+      case 'moon':
+        return this.moonPosition(T);
+      case 'north_node':
+        return { longitude: this.trueNodeLongitude(T), latitude: 0, distance: 0.002569 };
+      case 'south_node':
+        return { longitude: this.normalize(this.trueNodeLongitude(T) + 180), latitude: 0, distance: 0.002569 };
+      case 'lilith':
+        return this.meanLilithPosition(T);
+      case 'chiron':
+        return this.geocentricFromHeliocentric(this.chironHeliocentric(julianDay), T);
+      default:
+        if (PLANET_ELEMENTS[body] && body !== 'earth') {
+          return this.geocentricFromHeliocentric(this.planetHeliocentric(body, T), T);
+        }
+        return null;
+    }
+  }
+
+  /**
+   * Julian centuries of Terrestrial Time since J2000.0
+   */
+  centuriesSinceJ2000(julianDayUt) {
+    return (julianDayUt + this.deltaT(julianDayUt) / 86400 - J2000) / 36525;
+  }
+
+  /**
+   * ΔT = TT - UT in seconds (Espenak & Meeus polynomials, 1900-2150)
+   */
+  deltaT(julianDayUt) {
+    const year = 2000 + (julianDayUt - J2000) / 365.25;
+
+    if (year >= 2005 && year < 2050) {
+      const t = year - 2000;
+      return 62.92 + 0.32217 * t + 0.005589 * t * t;
+    }
+    if (year >= 1986 && year < 2005) {
+      const t = year - 2000;
+      return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * t ** 3 + 0.000651814 * t ** 4;
+    }
+    if (year >= 1961 && year < 1986) {
+      const t = year - 1975;
+      return 45.45 + 1.067 * t - t * t / 260 - t ** 3 / 718;
+    }
+    if (year >= 1941 && year < 1961) {
+      const t = year - 1950;
+      return 29.07 + 0.407 * t - t * t / 233 + t ** 3 / 2547;
+    }
+    if (year >= 2050 && year < 2150) {
+      return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+    }
+
+    const u = (year - 1820) / 100;
+    return -20 + 32 * u * u;
+  }
+
+  planetHeliocentric(body, T) {
+    const [base, rate] = PLANET_ELEMENTS[body];
+    const [a, e, inclination, meanLongitude, longPerihelion, node] = base.map((value, i) => value + rate[i] * T);
+
+    const argPerihelion = longPerihelion - node;
+    const meanAnomaly = this.normalize(meanLongitude - longPerihelion);
+
+    return this.keplerToEcliptic({ a, e, inclination, node, argPerihelion, meanAnomaly });
+  }
+
+  chironHeliocentric(julianDay) {
+    const { a, e, i, node, argPerihelion, perihelionJd } = CHIRON_ELEMENTS;
+    const periodDays = 365.25 * Math.pow(a, 1.5);
+    const meanAnomaly = this.normalize(360 * (julianDay - perihelionJd) / periodDays);
+
+    return this.keplerToEcliptic({ a, e, inclination: i, node, argPerihelion, meanAnomaly });
+  }
+
+  /**
+   * Heliocentric J2000 ecliptic rectangular coordinates from orbital elements
+   */
+  keplerToEcliptic({ a, e, inclination, node, argPerihelion, meanAnomaly }) {
+    const M = meanAnomaly * DEG;
+    let E = M + e * Math.sin(M);
+    for (let iteration = 0; iteration < 15; iteration++) {
+      const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+      E -= delta;
+      if (Math.abs(delta) < 1e-10) break;
+    }
+
+    const xOrbit = a * (Math.cos(E) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    const w = argPerihelion * DEG;
+    const o = node * DEG;
+    const inc = inclination * DEG;
+
+    const cosW = Math.cos(w), sinW = Math.sin(w);
+    const cosO = Math.cos(o), sinO = Math.sin(o);
+    const cosI = Math.cos(inc), sinI = Math.sin(inc);
+
+    return {
+      x: (cosW * cosO - sinW * sinO * cosI) * xOrbit + (-sinW * cosO - cosW * sinO * cosI) * yOrbit,
+      y: (cosW * sinO + sinW * cosO * cosI) * xOrbit + (-sinW * sinO + cosW * cosO * cosI) * yOrbit,
+      z: (sinW * sinI) * xOrbit + (cosW * sinI) * yOrbit
+    };
+  }
+
+  geocentricFromHeliocentric(helio, T) {
+    const earth = this.planetHeliocentric('earth', T);
+    return this.toEclipticOfDate(helio.x - earth.x, helio.y - earth.y, helio.z - earth.z, T);
+  }
+
+  sunPosition(T) {
+    const earth = this.planetHeliocentric('earth', T);
+    return this.toEclipticOfDate(-earth.x, -earth.y, -earth.z, T);
+  }
+
+  toEclipticOfDate(x, y, z, T) {
+    const distance = Math.sqrt(x * x + y * y + z * z);
+    return {
+      longitude: this.normalize(Math.atan2(y, x) / DEG + this.precessionInLongitude(T)),
+      latitude: Math.asin(z / distance) / DEG,
+      distance
+    };
+  }
+
+  /**
+   * General precession in longitude from J2000 (degrees)
+   */
+  precessionInLongitude(T) {
+    return 1.396971 * T + 0.0003086 * T * T;
+  }
+
+  lunarArguments(T) {
+    return {
+      Lp: 218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T ** 3 / 538841 - T ** 4 / 65194000,
+      D: 297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T ** 3 / 545868 - T ** 4 / 113065000,
+      M: 357.5291092 + 35999.0502909 * T - 0.0001536 * T * T + T ** 3 / 24490000,
+      Mp: 134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T ** 3 / 69699 - T ** 4 / 14712000,
+      F: 93.2720950 + 483202.0175233 * T - 0.0036539 * T * T - T ** 3 / 3526000 + T ** 4 / 863310000,
+      E: 1 - 0.002516 * T - 0.0000074 * T * T
+    };
+  }
+
+  moonPosition(T) {
+    const { Lp, D, M, Mp, F, E } = this.lunarArguments(T);
+    const eccentricityFactor = (m) => (Math.abs(m) === 2 ? E * E : Math.abs(m) === 1 ? E : 1);
+
+    let sumL = 0;
+    let sumR = 0;
+    for (const [d, m, mp, f, l, r] of MOON_LONGITUDE_TERMS) {
+      const argument = (d * D + m * M + mp * Mp + f * F) * DEG;
+      const factor = eccentricityFactor(m);
+      sumL += l * factor * Math.sin(argument);
+      sumR += r * factor * Math.cos(argument);
+    }
+
+    let sumB = 0;
+    for (const [d, m, mp, f, b] of MOON_LATITUDE_TERMS) {
+      sumB += b * eccentricityFactor(m) * Math.sin((d * D + m * M + mp * Mp + f * F) * DEG);
+    }
+
+    const A1 = (119.75 + 131.849 * T) * DEG;
+    const A2 = (53.09 + 479264.290 * T) * DEG;
+    const A3 = (313.45 + 481266.484 * T) * DEG;
+
+    sumL += 3958 * Math.sin(A1) + 1962 * Math.sin((Lp - F) * DEG) + 318 * Math.sin(A2);
+    sumB += -2235 * Math.sin(Lp * DEG) + 382 * Math.sin(A3) +
+      175 * Math.sin(A1 - F * DEG) + 175 * Math.sin(A1 + F * DEG) +
+      127 * Math.sin((Lp - Mp) * DEG) - 115 * Math.sin((Lp + Mp) * DEG);
+
+    return {
+      longitude: this.normalize(Lp + sumL / 1e6),
+      latitude: sumB / 1e6,
+      distance: (385000.56 + sumR / 1000) / 149597870.7
+    };
+  }
+
+  meanNodeLongitude(T) {
+    return this.normalize(125.0445479 - 1934.1362891 * T + 0.0020754 * T * T + T ** 3 / 467441 - T ** 4 / 60616000);
+  }
+
+  trueNodeLongitude(T) {
+    const { D, M, Mp, F } = this.lunarArguments(T);
+    const correction =
+      -1.4979 * Math.sin(2 * (D - F) * DEG) -
+      0.1500 * Math.sin(M * DEG) -
+      0.1226 * Math.sin(2 * D * DEG) +
+      0.1176 * Math.sin(2 * F * DEG) -
+      0.0801 * Math.sin(2 * (Mp - F) * DEG);
+
+    return this.normalize(this.meanNodeLongitude(T) + correction);
+  }
+
+  /**
+   * Mean lunar apogee ("Black Moon Lilith"), projected from the lunar orbit
+   * onto the ecliptic like Swiss Ephemeris SE_MEAN_APOG.
+   */
+  meanLilithPosition(T) {
+    const perigee = 83.3532465 + 4069.0137287 * T - 0.0103200 * T * T - T ** 3 / 80053 + T ** 4 / 18999000;
+    const apogeeInOrbit = (perigee + 180) * DEG;
+    const node = this.meanNodeLongitude(T) * DEG;
+    const inclination = 5.1453964 * DEG;
+
+    const u = apogeeInOrbit - node;
+    const longitude = node / DEG + Math.atan2(Math.sin(u) * Math.cos(inclination), Math.cos(u)) / DEG;
+
+    return {
+      longitude: this.normalize(longitude),
+      latitude: Math.asin(Math.sin(u) * Math.sin(inclination)) / DEG,
+      distance: 0.002710
+    };
+  }
+
+  normalize(degrees) {
+    return ((degrees % 360) + 360) % 360;
+  }
+
+  /**
+   * Shortest signed arc from `from` to `to`, in (-180, 180]
+   */
+  signedDifference(to, from) {
+    const diff = this.normalize(to - from);
+    return diff > 180 ? diff - 360 : diff;
+  }
+}
+
+module.exports = new EphemerisFallback();
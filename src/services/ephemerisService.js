@@ -0,0 +1,395 @@
+/**
+ * 🪐 EPHEMERIS SERVICE
+ *
+ * Single source of planetary positions for the whole backend. Every service
+ * that needs a longitude, a retrograde flag or an aspect goes through here so
+ * charts agree regardless of which endpoint the app calls.
+ *
+ * Backends:
+ * - Swiss Ephemeris (`sweph` native binding) when it loads. Uses the data
+ *   files in SWISS_EPH_PATH and falls back to the built-in Moshier ephemeris
+ *   for the planets when the files are missing.
+ * - Pure JavaScript fallback (ephemerisFallback) when the binding fails to
+ *   load, when EPHEMERIS_FORCE_FALLBACK=true, or per body when Swiss
+ *   Ephemeris cannot compute it (Chiron without seas_18.se1).
+ *
+ * Bodies: sun, moon, mercury, venus, mars, jupiter, saturn, uranus, neptune,
+ * pluto, north_node (true node), south_node, chiron, lilith (mean apogee).
+ * All longitudes are geocentric, tropical, in degrees [0, 360).
+ *
+ * Houses: placidus, koch, porphyry, equal, whole_sign, regiomontanus,
+ * campanus (see houseSystems.js for the pure JS implementation).
+ */
+
+const fallback = require('./ephemerisFallback');
+const houseSystems = require('./houseSystems');
+const logger = require('./loggingService');
+
+const { HOUSE_SYSTEMS, POLAR_UNSAFE_SYSTEMS } = houseSystems;
+
+const BODIES = [
+  'sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn',
+  'uranus', 'neptune', 'pluto', 'north_node', 'south_node', 'chiron', 'lilith'
+];
+
+const PLANETS = BODIES.slice(0, 10);
+
+const ZODIAC_SIGNS = [
+  'aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo',
+  'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces'
+];
+
+const ASPECTS = {
+  conjunction: { angle: 0, orb: 8 },
+  sextile: { angle: 60, orb: 6 },
+  square: { angle: 90, orb: 8 },
+  trine: { angle: 120, orb: 8 },
+  quincunx: { angle: 150, orb: 3 },
+  opposition: { angle: 180, orb: 8 }
+};
+
+const MAJOR_ASPECTS = ['conjunction', 'sextile', 'square', 'trine', 'opposition'];
+
+// Swiss Ephemeris body IDs (constants.js in the sweph package)
+const SWEPH_BODY_IDS = {
+  sun: 'SE_SUN',
+  moon: 'SE_MOON',
+  mercury: 'SE_MERCURY',
+  venus: 'SE_VENUS',
+  mars: 'SE_MARS',
+  jupiter: 'SE_JUPITER',
+  saturn: 'SE_SATURN',
+  uranus: 'SE_URANUS',
+  neptune: 'SE_NEPTUNE',
+  pluto: 'SE_PLUTO',
+  north_node: 'SE_TRUE_NODE',
+  chiron: 'SE_CHIRON',
+  lilith: 'SE_MEAN_APOG'
+};
+
+const DEFAULT_HOUSE_SYSTEM = 'placidus';
+
+// Swiss Ephemeris house system letters (swe_houses hsys)
+const SWEPH_HOUSE_CODES = {
+  placidus: 'P',
+  koch: 'K',
+  porphyry: 'O',
+  equal: 'A',
+  whole_sign: 'W',
+  regiomontanus: 'R',
+  campanus: 'C'
+};
+
+const POLAR_FALLBACK_SYSTEMS = ['porphyry', 'whole_sign'];
+
+class EphemerisService {
+  constructor() {
+    this.config = {
+      ephePath: process.env.SWISS_EPH_PATH || './ephemeris',
+      forceFallback: process.env.EPHEMERIS_FORCE_FALLBACK === 'true',
+      polarFallbackSystem: POLAR_FALLBACK_SYSTEMS.includes(process.env.HOUSE_POLAR_FALLBACK)
+        ? process.env.HOUSE_POLAR_FALLBACK
+        : 'porphyry'
+    };
+
+    this.swe = null;
+    this.backend = 'fallback';
+    this.fallbackBodies = new Set();
+
+    this.initialize();
+  }
+
+  /**
+   * Load the native Swiss Ephemeris binding if available
+   */
+  initialize() {
+    if (this.config.forceFallback) {
+      logger.getLogger().info('Ephemeris: fallback forced by EPHEMERIS_FORCE_FALLBACK');
+      return;
+    }
+
+    try {
+      const sweph = require('sweph');
+      sweph.set_ephe_path(this.config.ephePath);
+
+      const test = sweph.calc_ut(2451545.0, sweph.constants.SE_SUN, this.getSwephFlags(sweph));
+      if (test.flag < 0) {
+        throw new Error(test.error || 'test calculation failed');
+      }
+
+      this.swe = sweph;
+      this.backend = 'swisseph';
+    } catch (error) {
+      logger.getLogger().warn('Ephemeris: Swiss Ephemeris unavailable, using pure JS fallback', {
+        error: error.message
+      });
+    }
+  }
+
+  getSwephFlags(sweph = this.swe) {
+    return sweph.constants.SEFLG_SWIEPH | sweph.constants.SEFLG_SPEED;
+  }
+
+  /**
+   * Julian Day (UT) for a Date, ISO string, timestamp or moment
+   */
+  julianDay(date) {
+    const time = date instanceof Date ? date.getTime() : new Date(date.valueOf()).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date for Julian Day conversion: ${date}`);
+    }
+    return time / 86400000 + 2440587.5;
+  }
+
+  dateFromJulianDay(julianDay) {
+    return new Date(Math.round((julianDay - 2440587.5) * 86400000));
+  }
+
+  /**
+   * Position of a single body at a Julian Day (UT)
+   */
+  calculateBody(body, julianDay) {
+    if (body === 'south_node') {
+      const north = this.calculateBody('north_node', julianDay);
+      return this.buildPosition(
+        {
+          longitude: fallback.normalize(north.longitude + 180),
+          latitude: -north.latitude,
+          distance: north.distance,
+          speed: north.speed
+        },
+        north.source
+      );
+    }
+
+    if (!BODIES.includes(body)) {
+      throw new Error(`Unknown ephemeris body: ${body}`);
+    }
+
+    if (this.swe) {
+      const native = this.calculateNative(body, julianDay);
+      if (native) return this.buildPosition(native, 'swisseph');
+    }
+
+    return this.buildPosition(fallback.calculate(body, julianDay), 'fallback');
+  }
+
+  calculateNative(body, julianDay) {
+    try {
+      const result = this.swe.calc_ut(julianDay, this.swe.constants[SWEPH_BODY_IDS[body]], this.getSwephFlags());
+      if (result.flag < 0) {
+        throw new Error(result.error || 'calculation failed');
+      }
+
+      const [longitude, latitude, distance, speed] = result.data;
+      return { longitude, latitude, distance, speed };
+    } catch (error) {
+      if (!this.fallbackBodies.has(body)) {
+        this.fallbackBodies.add(body);
+        logger.getLogger().warn(`Ephemeris: Swiss Ephemeris failed for ${body}, using fallback`, {
+          error: error.message
+        });
+      }
+      return null;
+    }
+  }
+
+  buildPosition({ longitude, latitude, distance, speed }, source) {
+    return {
+      longitude,
+      latitude,
+      distance,
+      speed,
+      retrograde: speed < 0,
+      sign: this.getSign(longitude),
+      degree: longitude % 30,
+      source
+    };
+  }
+
+  /**
+   * Positions of several bodies at a Julian Day (UT), keyed by body name
+   */
+  calculatePositions(julianDay, { bodies = BODIES } = {}) {
+    const positions = {};
+    for (const body of bodies) {
+      positions[body] = this.calculateBody(body, julianDay);
+    }
+    return positions;
+  }
+
+  getSign(longitude) {
+    return ZODIAC_SIGNS[this.getSignIndex(longitude)];
+  }
+
+  getSignIndex(longitude) {
+    return Math.floor(fallback.normalize(longitude) / 30) % 12;
+  }
+
+  normalize(degrees) {
+    return fallback.normalize(degrees);
+  }
+
+  /**
+   * Aspect formed between two longitudes, or null.
+   *
+   * Options:
+   * - aspects: aspect names to test (default: the five major aspects)
+   * - orbs: per-aspect orb overrides, e.g. { trine: 6 }
+   * - speed1 / speed2: daily speeds, needed to tell applying from separating
+   */
+  findAspect(longitude1, longitude2, { aspects = MAJOR_ASPECTS, orbs = {}, speed1, speed2 } = {}) {
+    const separation = fallback.signedDifference(longitude2, longitude1);
+    const distance = Math.abs(separation);
+
+    let best = null;
+    for (const name of aspects) {
+      const definition = ASPECTS[name];
+      if (!definition) continue;
+
+      const maxOrb = orbs[name] ?? definition.orb;
+      const orb = Math.abs(distance - definition.angle);
+      if (orb <= maxOrb && (!best || orb < best.orb)) {
+        best = { aspect: name, angle: definition.angle, orb, maxOrb };
+      }
+    }
+
+    if (!best) return null;
+
+    let applying = null;
+    if (Number.isFinite(speed1) && Number.isFinite(speed2)) {
+      // Rate of change of the angular distance; applying when the orb shrinks
+      const distanceRate = Math.sign(separation || 1) * (speed2 - speed1);
+      applying = (distance - best.angle) * distanceRate < 0;
+    }
+
+    return {
+      aspect: best.aspect,
+      angle: best.angle,
+      orb: best.orb,
+      exact: best.orb < 1,
+      applying,
+      strength: best.maxOrb > 0 ? (best.maxOrb - best.orb) / best.maxOrb : 1
+    };
+  }
+
+  /**
+   * All aspects between pairs of bodies in a positions map
+   */
+  calculateAspects(positions, options = {}) {
+    const aspects = [];
+    const names = Object.keys(positions);
+
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const first = positions[names[i]];
+        const second = positions[names[j]];
+        const aspect = this.findAspect(first.longitude, second.longitude, {
+          ...options,
+          speed1: first.speed,
+          speed2: second.speed
+        });
+
+        if (aspect) {
+          aspects.push({ planet1: names[i], planet2: names[j], ...aspect });
+        }
+      }
+    }
+
+    return aspects;
+  }
+
+  /**
+   * House cusps and angles for a moment and place.
+   *
+   * Placidus and Koch are undefined above the polar circles; there the chart
+   * is cast in config.polarFallbackSystem and `fallbackReason` says why.
+   * Returns { system, requestedSystem, fallbackReason, cusps[12], ascendant,
+   * midheaven, descendant, ic, vertex, eastPoint, armc, obliquity, source }.
+   *
+   * Pass `armc` to cast houses for a given sidereal time instead of a moment
+   * (derived composite houses); longitude is then ignored.
+   */
+  calculateHouses(julianDay, latitude, longitude, houseSystem = DEFAULT_HOUSE_SYSTEM, { armc } = {}) {
+    const requestedSystem = houseSystem || DEFAULT_HOUSE_SYSTEM;
+    if (!HOUSE_SYSTEMS.includes(requestedSystem)) {
+      throw new Error(`Unsupported house system: ${requestedSystem}`);
+    }
+
+    let system = requestedSystem;
+    let fallbackReason = null;
+    if (POLAR_UNSAFE_SYSTEMS.includes(system) && houseSystems.isPolar(latitude, houseSystems.obliquity(julianDay))) {
+      system = this.config.polarFallbackSystem;
+      fallbackReason = 'polar_latitude';
+    }
+
+    const native = this.swe && armc === undefined && this.calculateNativeHouses(julianDay, latitude, longitude, system);
+    const houses = native ||
+      { ...houseSystems.calculate(julianDay, latitude, longitude, system, { armc }), source: 'fallback' };
+
+    return { system, requestedSystem, fallbackReason, ...houses };
+  }
+
+  calculateNativeHouses(julianDay, latitude, longitude, system) {
+    try {
+      const result = this.swe.houses(julianDay, latitude, longitude, SWEPH_HOUSE_CODES[system]);
+      if (result.flag < 0) {
+        throw new Error(result.error || 'house calculation failed');
+      }
+
+      const [ascendant, midheaven, armc, vertex, eastPoint] = result.data.points;
+      return {
+        cusps: result.data.houses.slice(0, 12),
+        ascendant,
+        midheaven,
+        descendant: fallback.normalize(ascendant + 180),
+        ic: fallback.normalize(midheaven + 180),
+        vertex,
+        eastPoint,
+        armc,
+        obliquity: houseSystems.obliquity(julianDay),
+        source: 'swisseph'
+      };
+    } catch (error) {
+      logger.getLogger().warn('Ephemeris: Swiss Ephemeris house calculation failed, using fallback', {
+        system,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * ARMC that puts `midheaven` on the MC at a Julian Day's obliquity
+   */
+  armcFromMidheaven(midheaven, julianDay) {
+    return houseSystems.armcFromMidheaven(midheaven, houseSystems.obliquity(julianDay));
+  }
+
+  /**
+   * House number (1-12) of a longitude given twelve cusps
+   */
+  assignHouse(longitude, cusps) {
+    return houseSystems.houseOf(fallback.normalize(longitude), cusps);
+  }
+
+  getStatus() {
+    return {
+      backend: this.backend,
+      ephePath: this.config.ephePath,
+      fallbackBodies: [...this.fallbackBodies],
+      bodies: BODIES,
+      houseSystems: HOUSE_SYSTEMS,
+      polarFallbackSystem: this.config.polarFallbackSystem
+    };
+  }
+}
+
+module.exports = new EphemerisService();
+module.exports.HOUSE_SYSTEMS = HOUSE_SYSTEMS;
+module.exports.DEFAULT_HOUSE_SYSTEM = DEFAULT_HOUSE_SYSTEM;
+module.exports.BODIES = BODIES;
+module.exports.PLANETS = PLANETS;
+module.exports.ZODIAC_SIGNS = ZODIAC_SIGNS;
+module.exports.ASPECTS = ASPECTS;
+module.exports.MAJOR_ASPECTS = MAJOR_ASPECTS;
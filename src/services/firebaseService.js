@@ -286,19 +286,20 @@ class FirebaseService {
   }
 
   /**
-   * Send daily horoscope notifications
+   * Send daily horoscope notifications to the legacy horoscope_<sign> topics
+   * Devices on localized topics get theirs from horoscopePushService at
+   * their chosen local hour.
    */
   async sendDailyHoroscopeNotifications(horoscopes) {
+    // Loaded lazily: horoscopePushService requires this service
+    const horoscopePushService = require('./horoscopePushService');
     const results = [];
     
     for (const horoscope of horoscopes) {
       try {
         const result = await this.sendTopicNotification(
-          `horoscope_${horoscope.sign.toLowerCase()}`,
-          {
-            title: `🌟 Your Daily ${horoscope.sign} Horoscope`,
-            body: horoscope.content.substring(0, 100) + '...',
-          },
+          horoscopePushService.legacyTopicFor(horoscope.sign),
+          horoscopePushService.buildNotification(horoscope),
           {
             type: 'daily_horoscope',
             sign: horoscope.sign,
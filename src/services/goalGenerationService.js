@@ -1,15 +1,10 @@
-const OpenAI = require('openai');
+const llmService = require('./llmService');
 
 /**
  * Goal Generation Service
- * Generates SMART goals using OpenAI based on zodiac sign and user input
+ * Generates SMART goals with the LLM based on zodiac sign and user input
  */
 class GoalGenerationService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-  }
 
   /**
    * Generate a complete SMART goal with AI
@@ -25,7 +20,7 @@ class GoalGenerationService {
     const prompt = this._buildPrompt({ zodiacSign, objective, focusArea, timeframe, emotionalState });
 
     try {
-      const completion = await this.openai.chat.completions.create({
+      const completion = await llmService.chat('goal_planner', {
         model: 'gpt-4',
         messages: [
           {
@@ -54,13 +49,13 @@ class GoalGenerationService {
       // Validate and return
       return this._validateAndFormat(goalData);
     } catch (error) {
-      console.error('Error generating goal with OpenAI:', error);
+      console.error('Error generating goal with LLM:', error);
       throw new Error(`Failed to generate goal: ${error.message}`);
     }
   }
 
   /**
-   * Build the OpenAI prompt
+   * Build the goal prompt
    */
   _buildPrompt({ zodiacSign, objective, focusArea, timeframe, emotionalState }) {
     const timeframeMap = {
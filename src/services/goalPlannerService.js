@@ -18,19 +18,15 @@ if (process.env.NODE_ENV === "production") {
   dotenv.config();
 }
 
-const OpenAI = require("openai");
 const { randomUUID } = require("crypto");
 const db = require("../config/db");
 const logger = require("./loggingService");
 const circuitBreaker = require("./circuitBreakerService");
 const { normalizeSignName } = require("../utils/signTranslations");
+const llmService = require("./llmService");
 
 class GoalPlannerService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
     this.config = {
       model: "gpt-4-turbo-preview",
       fallbackModel: "gpt-3.5-turbo",
@@ -134,8 +130,8 @@ class GoalPlannerService {
         languageCode,
       });
 
-      // Call OpenAI directly (circuit breaker adds complexity for initial testing)
-      const completion = await this.openai.chat.completions.create({
+      // Call the model directly (circuit breaker adds complexity for initial testing)
+      const completion = await llmService.chat("goal_planner", {
         model: this.config.model,
         messages: [
           {
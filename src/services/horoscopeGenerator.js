@@ -1,19 +1,17 @@
-const OpenAI = require('openai');
 const moment = require('moment');
 const db = require('../config/db');
+const llmService = require('./llmService');
+const redisService = require('./redisService');
+const horoscopeQualityService = require('./horoscopeQualityService');
+const horoscopeRevisionService = require('./horoscopeRevisionService');
+const astroBriefService = require('./astroBriefService');
 
 class HoroscopeGeneratorService {
   constructor() {
-    // Initialize OpenAI only if API key is available
-    if (process.env.OPENAI_API_KEY && process.env.OPENAI_API_KEY !== 'your_openai_api_key_here') {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-      this.enabled = true;
-    } else {
-      console.warn('⚠️  OpenAI API key not configured - running in mock mode');
-      this.openai = null;
-      this.enabled = false;
+    // Use the LLM only if a provider is configured for horoscopes
+    this.enabled = llmService.isAvailable('horoscope');
+    if (!this.enabled) {
+      console.warn('⚠️  LLM provider not configured - running in mock mode');
     }
     
     this.signs = [
@@ -30,6 +28,26 @@ class HoroscopeGeneratorService {
       { code: 'pt', name: 'português' }
     ];
 
+    // Rolling generation: every date that is (or will be within leadHours)
+    // "today" somewhere between UTC-12 and UTC+14 must be in the database
+    this.rolling = {
+      leadHours: parseInt(process.env.DAILY_GENERATION_LEAD_HOURS, 10) || 6,
+      westmostOffsetHours: -12,
+      eastmostOffsetHours: 14,
+      lockTtlSeconds: 120,
+      lockRetryDelayMs: 250,
+      lockMaxRetries: 80
+    };
+
+    // On-demand generations in flight in this process, by sign/language/date
+    this.pendingGenerations = new Map();
+
+    // Recorded with each content revision; bump when getDailyPrompt/getWeeklyPrompt change
+    this.promptVersions = {
+      daily: 'daily.v2',
+      weekly: 'weekly.v2'
+    };
+
     // Biorhythm phases for personalized horoscopes
     this.biorhythmPhases = [
       { code: 'high', name: 'Peak Energy', description: 'User is in high energy phase - focus on action and achievement' },
@@ -38,20 +56,7 @@ class HoroscopeGeneratorService {
     ];
 
     // Frases genéricas prohibidas (para validación de calidad)
-    this.genericPhrases = [
-      'today is a good day',
-      'hoy es un buen día',
-      'you will have success',
-      'tendrás éxito',
-      'be positive',
-      'sé positivo',
-      'good luck',
-      'buena suerte',
-      'trust yourself',
-      'confía en ti',
-      'follow your heart',
-      'sigue tu corazón'
-    ];
+    this.genericPhrases = horoscopeQualityService.genericPhrases;
   }
 
   /**
@@ -67,7 +72,7 @@ class HoroscopeGeneratorService {
       details: []
     };
 
-    // Clean old daily horoscopes (keep yesterday, today, tomorrow)
+    // Clean old daily horoscopes (keep the repetition check's history)
     await this.cleanOldDailyHoroscopes();
 
     // Generate for today and tomorrow
@@ -77,15 +82,15 @@ class HoroscopeGeneratorService {
         // Para cada signo, generar todos los idiomas en serie
         for (const language of this.languages) {
           try {
-            const horoscope = await this.generateDailyHoroscope(sign, language, date);
-            await this.storeDailyHoroscope(horoscope);
+            const horoscope = await this.generateReviewedDailyHoroscope(sign, language, date);
 
             results.success++;
             results.details.push({
               sign,
               language: language.code,
               date,
-              status: 'generated'
+              status: 'generated',
+              quality: horoscope.quality_status
             });
 
             // Small delay between languages for same sign
@@ -113,6 +118,186 @@ class HoroscopeGeneratorService {
     return results;
   }
 
+  /**
+   * Dates that are "today" somewhere on Earth now, plus the ones that
+   * start within the lead time in the easternmost timezone
+   *
+   * @param {Date} now - Reference instant
+   * @returns {string[]} YYYY-MM-DD dates, oldest first
+   */
+  getLiveDates(now = new Date()) {
+    const { leadHours, westmostOffsetHours, eastmostOffsetHours } = this.rolling;
+    const first = moment.utc(now).utcOffset(westmostOffsetHours * 60);
+    const last = moment.utc(now).add(leadHours, 'hours').utcOffset(eastmostOffsetHours * 60);
+
+    const dates = [];
+    for (const day = moment(first.format('YYYY-MM-DD'), 'YYYY-MM-DD'); day.format('YYYY-MM-DD') <= last.format('YYYY-MM-DD'); day.add(1, 'day')) {
+      dates.push(day.format('YYYY-MM-DD'));
+    }
+    return dates;
+  }
+
+  /**
+   * Generate the daily horoscopes missing for every live date
+   * Runs hourly so each date is ready before midnight in UTC+14; rows
+   * that already exist are never regenerated. Each row is generated under
+   * the same lock as the on-demand backfill, so the two never race.
+   *
+   * @param {Date} now - Reference instant
+   */
+  async generateRollingDailyHoroscopes(now = new Date()) {
+    const dates = this.getLiveDates(now);
+    const results = {
+      success: 0,
+      errors: 0,
+      skipped: 0,
+      dates,
+      details: []
+    };
+
+    // Keep the days before the westernmost "today" the repetition check compares against
+    const { repetitionDays } = horoscopeQualityService.settings;
+    await this.cleanOldDailyHoroscopes(moment(dates[0], 'YYYY-MM-DD').subtract(repetitionDays, 'days').format('YYYY-MM-DD'));
+
+    for (const date of dates) {
+      const existing = await db.query(
+        'SELECT DISTINCT sign, language_code FROM daily_horoscopes WHERE date = $1',
+        [date]
+      );
+      const stored = new Set(existing.rows.map(row => `${row.sign}:${row.language_code}`));
+
+      const signPromises = this.signs.map(async (sign) => {
+        for (const language of this.languages) {
+          if (stored.has(`${sign}:${language.code}`)) {
+            results.skipped++;
+            continue;
+          }
+
+          try {
+            const { horoscope } = await this._generateShared(sign, language, date, { authorType: 'cron', author: 'rolling schedule' });
+
+            // Stored by an on-demand backfill or another instance meanwhile
+            if (!horoscope) {
+              results.skipped++;
+              continue;
+            }
+
+            results.success++;
+            results.details.push({ sign, language: language.code, date, status: 'generated', quality: horoscope.quality_status });
+
+            await this.delay(100);
+          } catch (error) {
+            console.error(`Error generating daily horoscope for ${sign} ${language.code} (${date}):`, error.message);
+            results.errors++;
+            results.details.push({ sign, language: language.code, date, status: 'error', error: error.message });
+          }
+        }
+      });
+
+      await Promise.all(signPromises);
+    }
+
+    return results;
+  }
+
+  /**
+   * Get a stored daily horoscope, generating it on demand when missing
+   * Only live dates are generated. Concurrent requests share one
+   * generation: in-process through pendingGenerations, across instances
+   * through a Redis lock (waiters re-read the row once it is released).
+   * Rows held by the quality gate are not served, nor regenerated.
+   *
+   * @param {string} sign - Sign as stored (Spanish name, any case)
+   * @param {string} languageCode - Language code
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Object|null>} daily_horoscopes row, or null
+   */
+  async ensureDailyHoroscope(sign, languageCode, date) {
+    const existing = await this.findDailyHoroscope(sign, languageCode, date);
+    if (existing) {
+      return this.servable(existing);
+    }
+
+    const canonicalSign = this.signs.find(name => name.toLowerCase() === String(sign || '').toLowerCase());
+    const language = this.languages.find(lang => lang.code === languageCode);
+    if (!canonicalSign || !language || !this.getLiveDates().includes(date)) {
+      return null;
+    }
+
+    const { row } = await this._generateShared(canonicalSign, language, date, { authorType: 'system', author: 'on-demand backfill' });
+    return this.servable(row);
+  }
+
+  /**
+   * Find a stored daily horoscope
+   */
+  async findDailyHoroscope(sign, languageCode, date) {
+    const result = await db.query(`
+      SELECT * FROM daily_horoscopes
+      WHERE date = $3::date
+      AND sign ILIKE $1 AND language_code = $2
+      LIMIT 1
+    `, [sign, languageCode, date]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * A stored daily horoscope, unless the quality gate holds it for review
+   */
+  servable(row) {
+    return row && row.quality_status !== 'held' ? row : null;
+  }
+
+  /**
+   * One generation per sign, language and date in this process, shared by
+   * the hourly job and on-demand requests
+   */
+  _generateShared(sign, language, date, source) {
+    const key = `${sign}:${language.code}:${date}`;
+    if (!this.pendingGenerations.has(key)) {
+      const pending = this._generateLocked(sign, language, date, source)
+        .finally(() => this.pendingGenerations.delete(key));
+      this.pendingGenerations.set(key, pending);
+    }
+
+    return this.pendingGenerations.get(key);
+  }
+
+  /**
+   * Generate and store one daily horoscope under the cross-instance lock
+   *
+   * @returns {Promise<{row: Object|null, horoscope: Object|null}>} The stored
+   *   row, and the generated horoscope when this call wrote it
+   */
+  async _generateLocked(sign, language, date, source) {
+    const { lockTtlSeconds, lockRetryDelayMs, lockMaxRetries } = this.rolling;
+    const lockName = `daily_horoscope:${sign}:${language.code}:${date}`;
+    const lock = await redisService.acquireLock(lockName, lockTtlSeconds, lockRetryDelayMs, lockMaxRetries);
+
+    // Another instance held the lock until we gave up: use whatever it stored
+    if (!lock.acquired && lock.reason === 'Max retries exceeded') {
+      return { row: await this.findDailyHoroscope(sign, language.code, date), horoscope: null };
+    }
+
+    try {
+      // The previous holder may have stored it while we waited
+      const stored = await this.findDailyHoroscope(sign, language.code, date);
+      if (stored) {
+        return { row: stored, horoscope: null };
+      }
+
+      console.log(`🌟 Generating missing daily horoscope (${source.author}): ${sign} ${language.code} (${date})`);
+      const horoscope = await this.generateReviewedDailyHoroscope(sign, language, date, source);
+
+      return { row: await this.findDailyHoroscope(sign, language.code, date), horoscope };
+    } finally {
+      if (lock.acquired) {
+        await redisService.releaseLock(lockName, lock.lockValue);
+      }
+    }
+  }
+
   /**
    * Generate weekly horoscopes for all signs and languages
    */
@@ -167,16 +352,81 @@ class HoroscopeGeneratorService {
     return results;
   }
 
+  /**
+   * Generate a daily horoscope through the quality gate and store it
+   * Failing attempts are regenerated with their issues as feedback, up to
+   * maxRegenerations times; then the best attempt (servable ones first,
+   * then fewest issues) is stored held or pending review and queued for
+   * an admin. Mock mode skips the gate.
+   *
+   * @param {Object} [source] - Revision author, see storeDailyHoroscope
+   * @returns {Promise<Object>} The stored horoscope, with quality_status
+   */
+  async generateReviewedDailyHoroscope(sign, language, date, source = {}) {
+    const quality = horoscopeQualityService.settings;
+
+    if (!this.enabled || !quality.enabled) {
+      const horoscope = await this.generateDailyHoroscope(sign, language, date);
+      await this.storeDailyHoroscope(horoscope, source);
+      return { ...horoscope, quality_status: 'passed' };
+    }
+
+    const attempts = [];
+    let best = null;
+    let feedback = [];
+
+    for (let attempt = 0; attempt <= quality.maxRegenerations; attempt++) {
+      const horoscope = await this.generateDailyHoroscope(sign, language, date, feedback);
+      const review = await horoscopeQualityService.evaluate(horoscope);
+      attempts.push(review.issues);
+
+      if (review.passed) {
+        const passed = { ...horoscope, quality_status: 'passed' };
+        await this.storeDailyHoroscope(passed, source);
+        return passed;
+      }
+
+      console.warn(`⚠️ Quality gate rejected daily ${sign} ${language.code} (${date}), attempt ${attempt + 1}:`, review.issues.map(issue => issue.message));
+
+      const better = !best
+        || (best.review.held && !review.held)
+        || (best.review.held === review.held && review.issues.length < best.review.issues.length);
+      if (better) {
+        best = { horoscope, review };
+      }
+      feedback = review.issues.map(issue => issue.message);
+    }
+
+    const reviewed = {
+      ...best.horoscope,
+      quality_status: best.review.held ? 'held' : 'pending_review',
+      quality_issues: best.review.issues
+    };
+    const saved = await this.storeDailyHoroscope(reviewed, source);
+    // A pinned row kept its edited content: nothing to review
+    if (saved.stored) {
+      await horoscopeQualityService.enqueueReview(reviewed, { held: best.review.held, attempts });
+    }
+
+    return reviewed;
+  }
+
   /**
    * Generate single daily horoscope using OpenAI with retry logic
+   * @param {string[]} [feedback] - Issues the quality gate found in the previous attempt
    */
-  async generateDailyHoroscope(sign, language, date) {
-    // Return mock data if OpenAI is not enabled
-    if (!this.enabled || !this.openai) {
+  async generateDailyHoroscope(sign, language, date, feedback = []) {
+    // Return mock data if no LLM provider is configured
+    if (!this.enabled) {
       return this.getMockDailyHoroscope(sign, language, date);
     }
 
-    const prompt = this.getDailyPrompt(sign, language.name, date);
+    const astroBrief = this.getAstroBrief('daily', sign, date);
+    const prompt = this.getDailyPrompt(sign, language.name, date, astroBrief);
+    let request = `Generate daily horoscope for ${sign} in ${language.name} for ${date}`;
+    if (feedback.length > 0) {
+      request += `\n\nYour previous version was rejected. Fix these issues:\n- ${feedback.join('\n- ')}`;
+    }
     const maxRetries = 3;
     let lastError = null;
 
@@ -184,33 +434,28 @@ class HoroscopeGeneratorService {
       try {
         // // console.log(`📝 Generating daily ${sign} ${language.code} (attempt ${attempt}/${maxRetries})`);
 
-        const response = await this.openai.chat.completions.create({
+        const response = await llmService.chat('horoscope', {
           model: 'gpt-4o-mini', // gpt-4o-mini: más rápido y barato, soporta json_object
           messages: [
             { role: 'system', content: prompt },
-            { role: 'user', content: `Generate daily horoscope for ${sign} in ${language.name} for ${date}` }
+            { role: 'user', content: request }
           ],
           temperature: 0.8,
           max_tokens: 800,
           response_format: { type: 'json_object' }
         });
 
+        // Quality is checked by generateReviewedDailyHoroscope
         const content = JSON.parse(response.choices[0].message.content);
 
-        // Validar calidad del contenido
-        const validation = this.validateHoroscopeQuality(content, sign);
-        if (!validation.valid) {
-          console.warn(`⚠️ Quality issues in daily ${sign} ${language.code}:`, validation.issues);
-          // Continuar de todos modos, pero loggear
-        } else {
-          // // console.log(`✅ Daily ${sign} ${language.code} generated with high quality`);
-        }
-
         return {
           sign,
           language_code: language.code,
           date,
-          content
+          content,
+          astro_brief: astroBrief,
+          model: response.model || 'gpt-4o-mini',
+          prompt_version: this.promptVersions.daily
         };
 
       } catch (error) {
@@ -238,12 +483,13 @@ class HoroscopeGeneratorService {
    * Generate single weekly horoscope using OpenAI with retry logic
    */
   async generateWeeklyHoroscope(sign, language, weekStart, weekEnd) {
-    // Return mock data if OpenAI is not enabled
-    if (!this.enabled || !this.openai) {
+    // Return mock data if no LLM provider is configured
+    if (!this.enabled) {
       return this.getMockWeeklyHoroscope(sign, language, weekStart, weekEnd);
     }
 
-    const prompt = this.getWeeklyPrompt(sign, language.name, weekStart, weekEnd);
+    const astroBrief = this.getAstroBrief('weekly', sign, weekStart, weekEnd);
+    const prompt = this.getWeeklyPrompt(sign, language.name, weekStart, weekEnd, astroBrief);
     const maxRetries = 3;
     let lastError = null;
 
@@ -251,7 +497,7 @@ class HoroscopeGeneratorService {
       try {
         // // console.log(`📅 Generating weekly ${sign} ${language.code} (attempt ${attempt}/${maxRetries})`);
 
-        const response = await this.openai.chat.completions.create({
+        const response = await llmService.chat('horoscope', {
           model: 'gpt-4o-mini', // gpt-4o-mini: más rápido y barato, soporta json_object
           messages: [
             { role: 'system', content: prompt },
@@ -278,7 +524,10 @@ class HoroscopeGeneratorService {
           language_code: language.code,
           week_start: weekStart,
           week_end: weekEnd,
-          content
+          content,
+          astro_brief: astroBrief,
+          model: response.model || 'gpt-4o-mini',
+          prompt_version: this.promptVersions.weekly
         };
 
       } catch (error) {
@@ -302,6 +551,41 @@ class HoroscopeGeneratorService {
     throw lastError;
   }
 
+  /**
+   * The sign's astro brief for a prompt (see astroBriefService)
+   * Null if the sky cannot be computed: the prompt then goes without it.
+   *
+   * @param {'daily'|'weekly'} kind
+   * @param {string} sign
+   * @param {...string} period - date, or weekStart and weekEnd
+   */
+  getAstroBrief(kind, sign, ...period) {
+    try {
+      return kind === 'daily'
+        ? astroBriefService.getDailyBrief(sign, ...period)
+        : astroBriefService.getWeeklyBrief(sign, ...period);
+    } catch (error) {
+      console.error(`❌ Astro brief failed for ${kind} ${sign}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Prompt section with the real sky of the period
+   */
+  getAstroBriefSection(sign, astroBrief, label) {
+    if (!astroBrief) {
+      return '';
+    }
+
+    return `
+🔭 CIELO REAL ${label} (efemérides calculadas, en casas solares de ${sign}):
+${astroBriefService.formatForPrompt(astroBrief)}
+
+Basa tu interpretación en este cielo: nombra al menos uno de sus eventos (prioriza los marcados con ★) y el área de vida de su casa. No inventes tránsitos que no estén en la lista.
+`;
+  }
+
   /**
    * Validate horoscope content quality
    * Returns { valid: boolean, issues: string[] }
@@ -344,7 +628,7 @@ class HoroscopeGeneratorService {
   /**
    * Daily horoscope prompt (based on your original)
    */
-  getDailyPrompt(sign, languageName, date) {
+  getDailyPrompt(sign, languageName, date, astroBrief = null) {
     // Características astrológicas profundas por signo
     const signTraits = {
       'Aries': 'elemento Fuego, planeta Marte, cualidades: valentía, liderazgo, impulsividad, energía pionera, necesidad de acción',
@@ -365,7 +649,7 @@ class HoroscopeGeneratorService {
 
 📌 CONTEXTO ASTROLÓGICO ESPECIALIZADO PARA ${sign.toUpperCase()}:
 ${signTraits[sign] || signTraits['Aries']}
-
+${this.getAstroBriefSection(sign, astroBrief, `DEL ${date}`)}
 Tu tarea: Generar un coaching diario **altamente personalizado** para ${sign} en idioma ${languageName}, fecha ${date}.
 
 ⭐ PRINCIPIOS ASTROLÓGICOS A CONSIDERAR:
@@ -390,7 +674,7 @@ Responde SOLO con este JSON (sin texto adicional):
   "language_code": "CODIGO_IDIOMA_CORRECTO",
   "date": "${date}",
   "coaching_focus": "2-4 palabras tema del día conectado a naturaleza de ${sign}",
-  "ai_insight": "15-25 palabras sobre tránsito astrológico actual relevante para ${sign}",
+  "ai_insight": "15-25 palabras sobre el tránsito real del día más relevante para ${sign}",
   "content": "80-120 palabras de coaching ESPECÍFICO para ${sign}, mencionando sus cualidades naturales y cómo usarlas hoy. NO genérico.",
   "rating": "entero 3-5 basado en energía planetaria del día para ${sign}",
   "lucky_numbers": [int, int, int],
@@ -404,7 +688,7 @@ Responde SOLO con este JSON (sin texto adicional):
   /**
    * Weekly horoscope prompt (ENHANCED with astrological context)
    */
-  getWeeklyPrompt(sign, languageName, weekStart, weekEnd) {
+  getWeeklyPrompt(sign, languageName, weekStart, weekEnd, astroBrief = null) {
     // Reutilizar definiciones astrológicas del prompt diario
     const signTraits = {
       'Aries': 'Fuego/Marte: liderazgo natural, energía pionera, impulso competitivo, coraje en desafíos',
@@ -427,7 +711,7 @@ Responde SOLO con este JSON (sin texto adicional):
 ${signTraits[sign] || signTraits['Aries']}
 
 CONTEXTO TEMPORAL: Semana ${weekStart} a ${weekEnd}
-
+${this.getAstroBriefSection(sign, astroBrief, 'DE LA SEMANA')}
 🌟 TU MISIÓN: Crear predicción semanal ALTAMENTE PERSONALIZADA para ${sign} en ${languageName}.
 
 ⚡ ENFOQUE ASTROLÓGICO PROFESIONAL:
@@ -473,7 +757,7 @@ Responde SOLO con JSON (sin texto antes/después):
 ### Instrucciones específicas:
 
 - "weekly_theme": 3 a 5 palabras que capturen la esencia de la semana
-- "cosmic_overview": análisis astrológico breve (25-35 palabras)
+- "cosmic_overview": análisis astrológico breve de los tránsitos reales de la semana (25-35 palabras)
 - "general": predicción general detallada (120-150 palabras)
 - "love": relaciones y romance (80-100 palabras)
 - "health": bienestar físico y mental (60-80 palabras)  
@@ -494,53 +778,62 @@ Tu salida debe ser **solo** ese JSON.`;
   }
 
   /**
-   * Store daily horoscope in database
+   * Store daily horoscope in database, as a new content revision
+   * Pinned rows are left as they are.
+   *
+   * @param {Object} [source] - Revision author (default: the cron jobs)
+   * @returns {Promise<{stored: boolean, pinned: boolean, revision: number|null}>}
    */
-  async storeDailyHoroscope(horoscope) {
-    const query = `
-      INSERT INTO daily_horoscopes (sign, language_code, date, content)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (sign, language_code, date) 
-      DO UPDATE SET content = $4, updated_at = NOW()
-    `;
-    
-    await db.query(query, [
-      horoscope.sign,
-      horoscope.language_code,
-      horoscope.date,
-      JSON.stringify(horoscope.content)
-    ]);
+  async storeDailyHoroscope(horoscope, source = {}) {
+    return horoscopeRevisionService.save('daily', {
+      sign: horoscope.sign,
+      language_code: horoscope.language_code,
+      period: horoscope.date,
+      content: JSON.stringify(horoscope.content),
+      fields: {
+        quality_status: horoscope.quality_status || 'passed',
+        quality_issues: horoscope.quality_issues || null,
+        astro_brief: horoscope.astro_brief || null
+      }
+    }, {
+      authorType: 'cron',
+      model: this.enabled ? horoscope.model : 'mock',
+      promptVersion: horoscope.prompt_version,
+      ...source
+    });
   }
 
   /**
-   * Store weekly horoscope in database
+   * Store weekly horoscope in database, as a new content revision
+   * Pinned rows are left as they are.
+   *
+   * @param {Object} [source] - Revision author (default: the cron jobs)
    */
-  async storeWeeklyHoroscope(horoscope) {
-    const query = `
-      INSERT INTO weekly_horoscopes (sign, language_code, week_start, week_end, content)
-      VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (sign, language_code, week_start)
-      DO UPDATE SET content = $5, updated_at = NOW(), week_end = $4
-    `;
-    
-    await db.query(query, [
-      horoscope.sign,
-      horoscope.language_code,
-      horoscope.week_start,
-      horoscope.week_end,
-      JSON.stringify(horoscope.content)
-    ]);
+  async storeWeeklyHoroscope(horoscope, source = {}) {
+    return horoscopeRevisionService.save('weekly', {
+      sign: horoscope.sign,
+      language_code: horoscope.language_code,
+      period: horoscope.week_start,
+      content: JSON.stringify(horoscope.content),
+      fields: { week_end: horoscope.week_end, astro_brief: horoscope.astro_brief || null }
+    }, {
+      authorType: 'cron',
+      model: this.enabled ? horoscope.model : 'mock',
+      promptVersion: horoscope.prompt_version,
+      ...source
+    });
   }
 
   /**
-   * Clean old daily horoscopes (keep yesterday, today, and tomorrow only)
+   * Clean old daily horoscopes (keep the last repetitionDays days for the quality gate)
+   * @param {string} [beforeDate] - Delete rows before this YYYY-MM-DD instead
    */
-  async cleanOldDailyHoroscopes() {
+  async cleanOldDailyHoroscopes(beforeDate = null) {
     try {
       const result = await db.query(`
         DELETE FROM daily_horoscopes
-        WHERE date < CURRENT_DATE - INTERVAL '1 day'
-      `);
+        WHERE date < COALESCE($1::date, CURRENT_DATE - $2::int)
+      `, [beforeDate, horoscopeQualityService.settings.repetitionDays]);
       // // console.log(`🧹 Cleaned ${result.rowCount} old daily horoscopes`);
     } catch (error) {
       console.error('Error cleaning old daily horoscopes:', error);
@@ -731,13 +1024,13 @@ Tu salida debe ser **solo** ese JSON.`;
    * Generate single horoscope with biorhythm phase context
    */
   async generateDailyHoroscopeWithPhase(sign, language, date, phase) {
-    if (!this.enabled || !this.openai) {
+    if (!this.enabled) {
       return this.getMockDailyHoroscopeWithPhase(sign, language, date, phase);
     }
 
     const prompt = this.getDailyPromptWithBiorhythm(sign, language.name, date, phase);
 
-    const response = await this.openai.chat.completions.create({
+    const response = await llmService.chat('horoscope', {
       model: 'gpt-4o-mini',
       messages: [
         { role: 'system', content: prompt },
@@ -763,13 +1056,13 @@ Tu salida debe ser **solo** ese JSON.`;
    * Translate horoscope using GPT-3.5-turbo (cheaper model)
    */
   async translateHoroscope(horoscope, targetLanguage) {
-    if (!this.enabled || !this.openai) {
+    if (!this.enabled) {
       return { ...horoscope, language_code: targetLanguage.code };
     }
 
     const contentToTranslate = JSON.stringify(horoscope.content);
 
-    const response = await this.openai.chat.completions.create({
+    const response = await llmService.chat('horoscope', {
       model: 'gpt-3.5-turbo', // Cheaper model for translations
       messages: [
         {
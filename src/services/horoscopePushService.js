@@ -0,0 +1,456 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 📲 DAILY HOROSCOPE PUSH SERVICE
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * Daily horoscope pushes in the user's language, at the local hour they
+ * chose. Each device is subscribed (server side, from its fcm_tokens row)
+ * to one FCM topic per sign, language and timezone bucket:
+ *
+ *   daily_<sign>_<language>_<timezone>_<hour>
+ *   e.g. daily_leo_es_america.mexico_city_08
+ *
+ * - Runs every 15 minutes (cronJobs); a bucket is due during its hour in
+ *   its timezone, and push_topic_deliveries keeps it to one send per
+ *   local date (failed sends are retried on the next run)
+ * - Title and body come from that day's stored horoscope in the bucket's
+ *   language, generated on demand if the hourly job hasn't reached it
+ * - Tokens registered before this (topic IS NULL) stay on the legacy
+ *   horoscope_<sign> topics until migrateLegacySubscriptions moves them
+ *   (run-push-topic-migration.js)
+ *
+ * Tables: fcm_tokens, push_topic_deliveries (migration 027)
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const db = require('../config/db');
+const logger = require('./loggingService');
+const moment = require('moment-timezone');
+const firebaseService = require('./firebaseService');
+const horoscopeGenerator = require('./horoscopeGenerator');
+const { normalizeSignName, toEnglishSign } = require('../utils/signTranslations');
+
+const SIGN_NAMES = {
+  en: {
+    aries: 'Aries', taurus: 'Taurus', gemini: 'Gemini', cancer: 'Cancer', leo: 'Leo', virgo: 'Virgo',
+    libra: 'Libra', scorpio: 'Scorpio', sagittarius: 'Sagittarius', capricorn: 'Capricorn', aquarius: 'Aquarius', pisces: 'Pisces'
+  },
+  es: {
+    aries: 'Aries', taurus: 'Tauro', gemini: 'Géminis', cancer: 'Cáncer', leo: 'Leo', virgo: 'Virgo',
+    libra: 'Libra', scorpio: 'Escorpio', sagittarius: 'Sagitario', capricorn: 'Capricornio', aquarius: 'Acuario', pisces: 'Piscis'
+  },
+  pt: {
+    aries: 'Áries', taurus: 'Touro', gemini: 'Gêmeos', cancer: 'Câncer', leo: 'Leão', virgo: 'Virgem',
+    libra: 'Libra', scorpio: 'Escorpião', sagittarius: 'Sagitário', capricorn: 'Capricórnio', aquarius: 'Aquário', pisces: 'Peixes'
+  },
+  fr: {
+    aries: 'Bélier', taurus: 'Taureau', gemini: 'Gémeaux', cancer: 'Cancer', leo: 'Lion', virgo: 'Vierge',
+    libra: 'Balance', scorpio: 'Scorpion', sagittarius: 'Sagittaire', capricorn: 'Capricorne', aquarius: 'Verseau', pisces: 'Poissons'
+  },
+  de: {
+    aries: 'Widder', taurus: 'Stier', gemini: 'Zwillinge', cancer: 'Krebs', leo: 'Löwe', virgo: 'Jungfrau',
+    libra: 'Waage', scorpio: 'Skorpion', sagittarius: 'Schütze', capricorn: 'Steinbock', aquarius: 'Wassermann', pisces: 'Fische'
+  },
+  it: {
+    aries: 'Ariete', taurus: 'Toro', gemini: 'Gemelli', cancer: 'Cancro', leo: 'Leone', virgo: 'Vergine',
+    libra: 'Bilancia', scorpio: 'Scorpione', sagittarius: 'Sagittario', capricorn: 'Capricorno', aquarius: 'Acquario', pisces: 'Pesci'
+  }
+};
+
+const TITLES = {
+  en: sign => `🌟 Your horoscope for today, ${sign}`,
+  es: sign => `🌟 Tu horóscopo de hoy, ${sign}`,
+  pt: sign => `🌟 Seu horóscopo de hoje, ${sign}`,
+  fr: sign => `🌟 Ton horoscope du jour, ${sign}`,
+  de: sign => `🌟 Dein Tageshoroskop, ${sign}`,
+  it: sign => `🌟 Il tuo oroscopo di oggi, ${sign}`
+};
+
+class HoroscopePushService {
+  constructor() {
+    this.settings = {
+      defaultLanguage: 'en',     // Legacy topic pushes were English
+      defaultTimezone: 'America/New_York', // Same default as smartNotificationEngine
+      defaultHour: 8,
+      maxBodyLength: 140,
+      maxAttempts: 3,            // Sends per topic and day, failures included
+      topicBatchSize: 1000,      // FCM limit per subscribe/unsubscribe call
+      migrationBatchSize: 500
+    };
+  }
+
+  /**
+   * ========================================================
+   * TOPICS
+   * ========================================================
+   */
+
+  /**
+   * Resolve a device's push preferences, filling in the defaults
+   *
+   * @param {Object} preferences - { zodiacSign, language, timezone, hour }
+   * @returns {Object|null} { sign, language, timezone, hour, topic }, null
+   *   when the sign is unknown
+   */
+  resolveBucket({ zodiacSign, language, timezone, hour } = {}) {
+    const sign = String(toEnglishSign(String(zodiacSign || '')) || '').toLowerCase();
+    if (!SIGN_NAMES.en[sign]) {
+      return null;
+    }
+
+    const localHour = parseInt(hour, 10);
+    const bucket = {
+      sign,
+      language: TITLES[language] ? language : this.settings.defaultLanguage,
+      timezone: timezone && moment.tz.zone(timezone) ? timezone : this.settings.defaultTimezone,
+      hour: localHour >= 0 && localHour <= 23 ? localHour : this.settings.defaultHour
+    };
+    bucket.topic = this.topicFor(bucket);
+
+    return bucket;
+  }
+
+  /**
+   * FCM topic of a bucket. Topic names allow [a-zA-Z0-9-_.~%] only.
+   */
+  topicFor({ sign, language, timezone, hour }) {
+    const zone = timezone.toLowerCase().replace(/\//g, '.').replace(/[^a-z0-9\-_.~%]/g, '~');
+    return `daily_${sign}_${language}_${zone}_${String(hour).padStart(2, '0')}`;
+  }
+
+  /**
+   * Topic the pre-bucket app subscribed to for a sign
+   */
+  legacyTopicFor(sign) {
+    return `horoscope_${String(normalizeSignName(sign)).toLowerCase()}`;
+  }
+
+  /**
+   * Move a registered device to the topic of its current preferences
+   * Unsubscribes it from its previous topic (or the legacy one) and
+   * stores the new topic on the row.
+   *
+   * @param {Object} token - fcm_tokens row
+   * @returns {Promise<Object>} { success, topic, changed }
+   */
+  async syncSubscription(token) {
+    const bucket = this.resolveBucket({
+      zodiacSign: token.zodiac_sign,
+      language: token.language_code,
+      timezone: token.timezone,
+      hour: token.notification_hour
+    });
+
+    if (!bucket) {
+      return { success: false, reason: 'unknown_sign' };
+    }
+    if (bucket.topic === token.topic) {
+      return { success: true, topic: bucket.topic, changed: false };
+    }
+
+    const subscribed = await firebaseService.subscribeToTopic([token.fcm_token], bucket.topic);
+    if (!subscribed.success) {
+      return { success: false, reason: subscribed.error };
+    }
+
+    await firebaseService.unsubscribeFromTopic([token.fcm_token], token.topic || this.legacyTopicFor(bucket.sign));
+    await db.query(
+      'UPDATE fcm_tokens SET topic = $2, topic_subscribed_at = NOW() WHERE id = $1',
+      [token.id, bucket.topic]
+    );
+
+    return { success: true, topic: bucket.topic, changed: true };
+  }
+
+  /**
+   * Unsubscribe a device that is being removed
+   */
+  async removeSubscription(token) {
+    if (token && token.topic) {
+      await firebaseService.unsubscribeFromTopic([token.fcm_token], token.topic);
+    }
+  }
+
+  /**
+   * ========================================================
+   * SCHEDULED DELIVERY
+   * ========================================================
+   */
+
+  /**
+   * Push every bucket whose delivery hour it is in its timezone
+   *
+   * @param {Date} [now]
+   * @returns {Promise<Object>} Counts: due, sent, failed, skipped
+   */
+  async processDueBuckets(now = new Date()) {
+    const results = { due: 0, sent: 0, failed: 0, skipped: 0 };
+
+    try {
+      const buckets = await this.findDueBuckets(now);
+      results.due = buckets.length;
+
+      for (const bucket of buckets) {
+        const outcome = await this.sendBucket(bucket, now);
+        if (outcome) results[outcome.status]++;
+      }
+
+      if (results.due > 0) {
+        logger.getLogger().info('📲 Daily horoscope pushes processed', results);
+      }
+    } catch (error) {
+      logger.logError(error, { service: 'horoscope_push', operation: 'process_due_buckets' });
+    }
+
+    return results;
+  }
+
+  /**
+   * Subscribed buckets whose delivery hour is the current local hour
+   */
+  async findDueBuckets(now = new Date()) {
+    const result = await db.query(
+      `SELECT topic, zodiac_sign, language_code, timezone, notification_hour, COUNT(*) AS devices
+       FROM fcm_tokens
+       WHERE topic IS NOT NULL
+       GROUP BY topic, zodiac_sign, language_code, timezone, notification_hour`
+    );
+
+    const due = [];
+    for (const row of result.rows) {
+      const bucket = this.resolveBucket({
+        zodiacSign: row.zodiac_sign,
+        language: row.language_code,
+        timezone: row.timezone,
+        hour: row.notification_hour
+      });
+
+      // Rows whose preferences changed after subscribing wait for syncSubscription
+      if (!bucket || bucket.topic !== row.topic) continue;
+
+      if (moment(now).tz(bucket.timezone).hour() === bucket.hour) {
+        due.push({ ...bucket, devices: parseInt(row.devices, 10) });
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Push one bucket's horoscope for its local date, once
+   *
+   * @param {Object} bucket - From findDueBuckets
+   * @param {Date} [now]
+   * @returns {Promise<Object|null>} { status, messageId }, null when this
+   *   date was already pushed
+   */
+  async sendBucket(bucket, now = new Date()) {
+    const localDate = moment(now).tz(bucket.timezone).format('YYYY-MM-DD');
+    const claim = await this._claim(bucket, localDate);
+    if (!claim) return null;
+
+    try {
+      const horoscope = await horoscopeGenerator.ensureDailyHoroscope(
+        normalizeSignName(bucket.sign),
+        bucket.language,
+        localDate
+      );
+
+      if (!horoscope) {
+        return this._finish(claim.id, { status: 'skipped', error: 'no_horoscope' });
+      }
+
+      const result = await firebaseService.sendTopicNotification(
+        bucket.topic,
+        this.buildNotification(horoscope, bucket.language, bucket.sign),
+        {
+          type: 'daily_horoscope',
+          sign: bucket.sign,
+          language: bucket.language,
+          date: localDate
+        }
+      );
+
+      return this._finish(claim.id, result.success
+        ? { status: 'sent', messageId: result.messageId }
+        : { status: 'failed', error: result.error });
+    } catch (error) {
+      logger.logError(error, { service: 'horoscope_push', operation: 'send_bucket', topic: bucket.topic });
+      return this._finish(claim.id, { status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Localized title and body from a stored daily horoscope
+   *
+   * @param {Object} horoscope - daily_horoscopes row (or generator output)
+   * @param {string} [language] - Defaults to the row's language_code
+   * @param {string} [sign] - Defaults to the row's sign
+   * @returns {Object} { title, body }
+   */
+  buildNotification(horoscope, language = horoscope.language_code, sign = horoscope.sign) {
+    const lang = TITLES[language] ? language : this.settings.defaultLanguage;
+    const key = String(toEnglishSign(String(sign || '')) || '').toLowerCase();
+    const signName = SIGN_NAMES[lang][key] || sign;
+
+    let content = horoscope.content;
+    if (typeof content === 'string') {
+      try {
+        content = JSON.parse(content);
+      } catch (error) {
+        // Plain text content
+      }
+    }
+
+    const text = typeof content === 'string'
+      ? content
+      : (content && (content.ai_insight || content.content || content.general)) || '';
+
+    return {
+      title: TITLES[lang](signName),
+      body: this._truncate(String(text).replace(/\s+/g, ' ').trim())
+    };
+  }
+
+  /**
+   * ========================================================
+   * LEGACY SUBSCRIPTIONS
+   * ========================================================
+   */
+
+  /**
+   * Move tokens still on the legacy horoscope_<sign> topics to their
+   * bucket topic. Sign and timezone fall back to the user's streak row;
+   * language, timezone and hour fall back to the defaults.
+   *
+   * @param {Object} [options] - { batchSize, dryRun }
+   * @returns {Promise<Object>} Counts: scanned, migrated, skipped, failed,
+   *   and topics (tokens per new topic)
+   */
+  async migrateLegacySubscriptions({ batchSize = this.settings.migrationBatchSize, dryRun = false } = {}) {
+    const results = { scanned: 0, migrated: 0, skipped: 0, failed: 0, topics: {} };
+    let lastId = 0;
+
+    for (;;) {
+      const batch = await db.query(
+        `SELECT f.id, f.fcm_token, f.zodiac_sign, f.language_code, f.timezone, f.notification_hour,
+                s.zodiac_sign AS streak_sign, s.timezone AS streak_timezone
+         FROM fcm_tokens f
+         LEFT JOIN user_streaks s ON s.user_id::text = f.user_id::text
+         WHERE f.topic IS NULL AND f.id > $1
+         ORDER BY f.id
+         LIMIT $2`,
+        [lastId, batchSize]
+      );
+      if (batch.rows.length === 0) break;
+
+      lastId = batch.rows[batch.rows.length - 1].id;
+      results.scanned += batch.rows.length;
+
+      // Group by destination so each topic takes one subscribe call per batch
+      const groups = new Map();
+      for (const row of batch.rows) {
+        const bucket = this.resolveBucket({
+          zodiacSign: row.zodiac_sign || row.streak_sign,
+          language: row.language_code,
+          timezone: row.timezone || row.streak_timezone,
+          hour: row.notification_hour
+        });
+
+        if (!bucket) {
+          results.skipped++;
+          continue;
+        }
+        if (!groups.has(bucket.topic)) groups.set(bucket.topic, { bucket, rows: [] });
+        groups.get(bucket.topic).rows.push(row);
+      }
+
+      for (const { bucket, rows } of groups.values()) {
+        results.topics[bucket.topic] = (results.topics[bucket.topic] || 0) + rows.length;
+        if (dryRun) {
+          results.migrated += rows.length;
+          continue;
+        }
+
+        const moved = await this._moveTokens(rows, bucket);
+        results.migrated += moved;
+        results.failed += rows.length - moved;
+      }
+
+      if (batch.rows.length < batchSize) break;
+    }
+
+    logger.getLogger().info('📲 Legacy push topic migration finished', { ...results, topics: Object.keys(results.topics).length, dryRun });
+    return results;
+  }
+
+  /**
+   * Subscribe a group of legacy tokens to their bucket topic, store the
+   * resolved preferences and drop the legacy topic
+   * @returns {Promise<number>} Tokens moved
+   */
+  async _moveTokens(rows, bucket) {
+    let moved = 0;
+
+    for (let i = 0; i < rows.length; i += this.settings.topicBatchSize) {
+      const chunk = rows.slice(i, i + this.settings.topicBatchSize);
+      const tokens = chunk.map(row => row.fcm_token);
+
+      const subscribed = await firebaseService.subscribeToTopic(tokens, bucket.topic);
+      if (!subscribed.success) continue;
+
+      await firebaseService.unsubscribeFromTopic(tokens, this.legacyTopicFor(bucket.sign));
+      await db.query(
+        `UPDATE fcm_tokens
+         SET zodiac_sign = $2, language_code = $3, timezone = $4, notification_hour = $5,
+             topic = $6, topic_subscribed_at = NOW()
+         WHERE id = ANY($1)`,
+        [chunk.map(row => row.id), bucket.sign, bucket.language, bucket.timezone, bucket.hour, bucket.topic]
+      );
+      moved += chunk.length;
+    }
+
+    return moved;
+  }
+
+  /**
+   * Claim the push of a topic for a local date. A failed push can be
+   * claimed again until maxAttempts.
+   */
+  async _claim(bucket, localDate) {
+    const result = await db.query(
+      `INSERT INTO push_topic_deliveries (topic, local_date, zodiac_sign, language_code, timezone)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (topic, local_date) DO UPDATE
+         SET status = 'pending', attempts = push_topic_deliveries.attempts + 1, updated_at = NOW()
+         WHERE push_topic_deliveries.status = 'failed'
+           AND push_topic_deliveries.attempts < $6
+       RETURNING id`,
+      [bucket.topic, localDate, bucket.sign, bucket.language, bucket.timezone, this.settings.maxAttempts]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  async _finish(id, { status, messageId = null, error = null }) {
+    await db.query(
+      `UPDATE push_topic_deliveries
+       SET status = $2, message_id = $3, error = $4, updated_at = NOW()
+       WHERE id = $1`,
+      [id, status, messageId, error]
+    );
+
+    return { id, status, messageId };
+  }
+
+  _truncate(text) {
+    const max = this.settings.maxBodyLength;
+    if (text.length <= max) return text;
+
+    const cut = text.slice(0, max - 1);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${(lastSpace > max / 2 ? cut.slice(0, lastSpace) : cut).replace(/[\s,.;:]+$/, '')}…`;
+  }
+}
+
+module.exports = new HoroscopePushService();
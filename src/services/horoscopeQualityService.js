@@ -0,0 +1,527 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 🔎 HOROSCOPE QUALITY SERVICE - DAILY HOROSCOPE QUALITY GATE
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * Every generated daily horoscope goes through these stages before it is
+ * stored (horoscopeGenerator.generateReviewedDailyHoroscope):
+ * - schema: the fields the app renders, with their types and lengths
+ * - language: the text is written in the requested language (stopwords)
+ * - safety: no crisis topics (safetyService.classify), fatalistic
+ *   predictions, medical advice or financial guarantees
+ * - tone: none of the generic phrases that fit any sign
+ * - repetition: not a rewrite of the same sign's last repetitionDays days
+ * - cross_sign: not a near-duplicate of another sign's horoscope that day
+ *
+ * Failing horoscopes are regenerated (with the issues fed back to the
+ * model) up to maxRegenerations times. If every attempt fails, the best
+ * one is stored and queued for an admin (horoscope_reviews, migration 028):
+ * - held: it failed a holdStages stage and is not served until approved
+ * - pending_review: it is served while it waits for a look
+ *
+ * Stages are configured with HOROSCOPE_QUALITY_STAGES (comma separated);
+ * HOROSCOPE_QUALITY_GATE=false turns the gate off.
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const moment = require('moment');
+const db = require('../config/db');
+const logger = require('./loggingService');
+const safetyService = require('./safetyService');
+const horoscopeRevisionService = require('./horoscopeRevisionService');
+
+const ALL_STAGES = ['schema', 'language', 'safety', 'tone', 'repetition', 'cross_sign'];
+
+// Fields of the daily prompt's JSON the app relies on
+const DAILY_SCHEMA = {
+  coaching_focus: { type: 'string', minWords: 1, maxWords: 8 },
+  ai_insight: { type: 'string', minWords: 8, maxWords: 45 },
+  content: { type: 'string', minWords: 60, maxWords: 160 },
+  rating: { type: 'integer', min: 1, max: 5 },
+  lucky_numbers: { type: 'array', items: 'integer', minItems: 1, maxItems: 5 },
+  lucky_colors: { type: 'array', items: 'string', minItems: 1, maxItems: 3 },
+  advice: { type: 'string', minWords: 4, maxWords: 30 }
+};
+
+// Fields compared for repetition and near-duplicates
+const TEXT_FIELDS = ['coaching_focus', 'ai_insight', 'content', 'advice'];
+
+// Frequent function words, matched on lower-case tokens (accents kept)
+const STOPWORDS = {
+  en: ['the', 'and', 'you', 'your', 'to', 'of', 'is', 'with', 'for', 'today', 'this', 'that', 'are', 'will', 'it', 'on', 'be', 'can', 'what'],
+  es: ['el', 'los', 'las', 'y', 'tu', 'tus', 'con', 'para', 'hoy', 'es', 'una', 'por', 'del', 'te', 'lo', 'más', 'que', 'se', 'su'],
+  pt: ['o', 'os', 'e', 'em', 'você', 'seu', 'sua', 'com', 'para', 'hoje', 'é', 'uma', 'do', 'da', 'não', 'mais', 'no', 'na', 'ao', 'que'],
+  fr: ['le', 'les', 'et', 'tu', 'ton', 'ta', 'tes', 'avec', 'pour', 'aujourd', 'est', 'une', 'du', 'des', 'pas', 'à', 'vous', 'votre', 'sur'],
+  de: ['der', 'die', 'das', 'und', 'du', 'dein', 'deine', 'mit', 'für', 'heute', 'ist', 'ein', 'eine', 'nicht', 'zu', 'den', 'dich', 'dir', 'auf', 'sich'],
+  it: ['il', 'gli', 'di', 'che', 'e', 'tu', 'tuo', 'tua', 'con', 'per', 'oggi', 'è', 'una', 'del', 'della', 'non', 'ti', 'più', 'sei', 'lo']
+};
+
+// Patterns match normalized text: lower case, no accents, straight apostrophes
+const SAFETY_PATTERNS = {
+  fatalistic: [
+    /\byou (will|are going to) (die|lose everything|fail)\b|\b(doomed|cursed)\b|\b(disaster|tragedy|catastrophe) (awaits|is coming)\b/,
+    /\b(vas a morir|lo perderas todo|estas condenad[oa]|estas maldit[oa])\b|\b(desastre|tragedia|catastrofe) (te espera|se acerca)\b/,
+    /\b(voce vai morrer|vai perder tudo|esta condenad[oa]|esta amaldicoad[oa])\b|\b(desastre|tragedia|catastrofe) (te espera|se aproxima)\b/,
+    /\b(tu vas mourir|tu vas tout perdre|tu es condamne|tu es maudit)\b|\b(desastre|tragedie|catastrophe) (t'attend|approche)\b/,
+    /\b(du wirst sterben|du wirst alles verlieren|du bist verflucht|du bist verdammt)\b|\b(katastrophe|tragodie) (erwartet dich|naht)\b/,
+    /\b(morirai|perderai tutto|sei condannat[oa]|sei maledett[oa])\b|\b(disastro|tragedia|catastrofe) (ti aspetta|si avvicina)\b/
+  ],
+  medical: [
+    /\b(stop|skip|quit) (taking )?(your )?(medication|medicine|meds|pills|treatment|therapy)\b|\b(cures?|heals?) (your )?(cancer|illness|disease|depression)\b/,
+    /\b(deja|abandona|suspende) (de tomar )?(tu |tus |la |el )?(medicacion|medicamentos?|pastillas|tratamiento|terapia)\b/,
+    /\b(pare|abandone|suspenda) (de tomar )?(o |a |seu |sua |seus )?(medicacao|medicamentos?|remedios?|tratamento|terapia)\b/,
+    /\b(arrete|abandonne) (de prendre )?(ton |ta |tes )?(medicaments?|traitement|therapie)\b/,
+    /\b(setze?|hor auf mit) (deine[mn]? )?(medikamente|behandlung|therapie)( ab)?\b/,
+    /\b(smetti|interrompi|sospendi) (di prendere )?(i |il |la |tuoi |tua )?(farmaci|medicine|cura|terapia)\b/
+  ],
+  financial: [
+    /\bguaranteed (profits?|returns?|money|win|wealth)\b|\b(invest|bet|gamble) (all|everything|your savings)\b/,
+    /\b(ganancias?|dinero) garantizad[oa]s?\b|\b(invierte|apuesta) (todo|tus ahorros)\b/,
+    /\b(lucros?|dinheiro|ganhos?) garantid[oa]s?\b|\b(invista|aposte) (tudo|suas economias)\b/,
+    /\b(profits?|gains?|argent) garantis?\b|\b(investis|parie) (tout|tes economies)\b/,
+    /\bgarantierte[nr]? (gewinne?|rendite|geld)\b|\b(investiere|setze) (alles|deine ersparnisse)\b/,
+    /\b(guadagni|profitti|soldi) garantit[io]\b|\b(investi|scommetti) (tutto|i tuoi risparmi)\b/
+  ]
+};
+
+// Phrases that would fit any sign, in the languages the prompt has used them
+const GENERIC_PHRASES = [
+  'today is a good day',
+  'hoy es un buen día',
+  'you will have success',
+  'tendrás éxito',
+  'be positive',
+  'sé positivo',
+  'good luck',
+  'buena suerte',
+  'trust yourself',
+  'confía en ti',
+  'follow your heart',
+  'sigue tu corazón'
+];
+
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u2018\u2019\u00b4`]/g, "'")
+  .replace(/\s+/g, ' ');
+
+const countWords = (text) => String(text).trim().split(/\s+/).filter(Boolean).length;
+
+const isInteger = (value) => value !== '' && value !== null && Number.isInteger(Number(value));
+
+class HoroscopeQualityService {
+  constructor() {
+    const stages = (process.env.HOROSCOPE_QUALITY_STAGES || ALL_STAGES.join(','))
+      .split(',')
+      .map(stage => stage.trim())
+      .filter(stage => ALL_STAGES.includes(stage));
+
+    this.settings = {
+      enabled: process.env.HOROSCOPE_QUALITY_GATE !== 'false',
+      stages,
+      maxRegenerations: parseInt(process.env.HOROSCOPE_MAX_REGENERATIONS, 10) || 2,
+      holdStages: ['schema', 'language', 'safety'], // Not served until an admin approves
+      repetitionDays: 7,
+      repetitionThreshold: 0.4,  // Jaccard similarity of word trigrams
+      crossSignThreshold: 0.4,
+      minLanguageHits: 5,        // Stopwords needed to call the language
+      reviewPageSize: 50
+    };
+    this.genericPhrases = GENERIC_PHRASES;
+  }
+
+  /**
+   * ========================================================
+   * EVALUATION
+   * ========================================================
+   */
+
+  /**
+   * Run the configured stages on a generated daily horoscope
+   *
+   * @param {Object} horoscope - Generator output: sign, language_code, date, content
+   * @returns {Promise<{passed: boolean, held: boolean, issues: Array<{stage: string, code: string, message: string}>}>}
+   */
+  async evaluate(horoscope) {
+    const content = this._parse(horoscope.content);
+    const issues = [];
+
+    for (const stage of this.settings.stages) {
+      try {
+        issues.push(...await this._runStage(stage, horoscope, content));
+      } catch (error) {
+        // A stage that cannot run (e.g. the database is down) doesn't block the horoscope
+        logger.logError(error, { service: 'horoscope_quality', stage, sign: horoscope.sign });
+      }
+    }
+
+    return {
+      passed: issues.length === 0,
+      held: issues.some(issue => this.settings.holdStages.includes(issue.stage)),
+      issues
+    };
+  }
+
+  async _runStage(stage, horoscope, content) {
+    switch (stage) {
+      case 'schema':
+        return this.checkSchema(content);
+      case 'language':
+        return this.checkLanguage(content, horoscope.language_code);
+      case 'safety':
+        return this.checkSafety(content);
+      case 'tone':
+        return this.checkTone(content);
+      case 'repetition':
+        return this.checkRepetition(horoscope, content);
+      case 'cross_sign':
+        return this.checkCrossSign(horoscope, content);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Fields, types and lengths of the daily horoscope JSON
+   */
+  checkSchema(content) {
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      return [this._issue('schema', 'not_an_object', 'The horoscope must be a JSON object')];
+    }
+
+    const issues = [];
+    for (const [field, rule] of Object.entries(DAILY_SCHEMA)) {
+      const value = content[field];
+
+      if (value === undefined || value === null || value === '') {
+        issues.push(this._issue('schema', 'missing_field', `Missing field "${field}"`));
+        continue;
+      }
+
+      if (rule.type === 'string') {
+        if (typeof value !== 'string') {
+          issues.push(this._issue('schema', 'invalid_type', `"${field}" must be a string`));
+          continue;
+        }
+        const words = countWords(value);
+        if (words < rule.minWords || words > rule.maxWords) {
+          issues.push(this._issue('schema', 'invalid_length', `"${field}" has ${words} words, expected ${rule.minWords}-${rule.maxWords}`));
+        }
+      } else if (rule.type === 'integer') {
+        // The prompt shows the rating in quotes, so numeric strings are accepted
+        if (!isInteger(value) || Number(value) < rule.min || Number(value) > rule.max) {
+          issues.push(this._issue('schema', 'invalid_value', `"${field}" must be an integer from ${rule.min} to ${rule.max}`));
+        }
+      } else if (rule.type === 'array') {
+        const validItems = Array.isArray(value) && value.every(item =>
+          rule.items === 'integer' ? isInteger(item) : typeof item === 'string' && item.trim() !== '');
+        if (!validItems || value.length < rule.minItems || value.length > rule.maxItems) {
+          issues.push(this._issue('schema', 'invalid_value', `"${field}" must be a list of ${rule.minItems}-${rule.maxItems} ${rule.items}s`));
+        }
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Language the text is written in, by stopword frequency
+   *
+   * @returns {{language: string|null, hits: number}} null when too few stopwords matched
+   */
+  detectLanguage(text) {
+    const tokens = String(text || '').toLowerCase().match(/\p{L}+/gu) || [];
+    const scores = {};
+
+    for (const [language, words] of Object.entries(STOPWORDS)) {
+      const set = new Set(words);
+      scores[language] = tokens.filter(token => set.has(token)).length;
+    }
+
+    const [language, hits] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+    return { language: hits >= this.settings.minLanguageHits ? language : null, hits };
+  }
+
+  checkLanguage(content, languageCode) {
+    if (!STOPWORDS[languageCode]) {
+      return [];
+    }
+
+    const { language } = this.detectLanguage(this._text(content));
+    if (language === languageCode) {
+      return [];
+    }
+    return [this._issue('language', 'wrong_language', language
+      ? `Written in "${language}" instead of "${languageCode}"`
+      : `Could not confirm the text is in "${languageCode}"`)];
+  }
+
+  checkSafety(content) {
+    const text = this._text(content);
+    const issues = [];
+
+    const crisis = safetyService.classify(text);
+    if (crisis.riskLevel !== 'none') {
+      issues.push(this._issue('safety', 'crisis_topic', `Mentions ${crisis.categories.join(', ')}`));
+    }
+
+    const normalized = normalize(text);
+    for (const [code, patterns] of Object.entries(SAFETY_PATTERNS)) {
+      const match = patterns.map(pattern => pattern.exec(normalized)).find(Boolean);
+      if (match) {
+        issues.push(this._issue('safety', code, `Unsafe wording: "${match[0]}"`));
+      }
+    }
+    return issues;
+  }
+
+  checkTone(content) {
+    const text = this._text(content).toLowerCase();
+    return this.genericPhrases
+      .filter(phrase => text.includes(phrase))
+      .map(phrase => this._issue('tone', 'generic_phrase', `Generic phrase: "${phrase}"`));
+  }
+
+  async checkRepetition(horoscope, content) {
+    const result = await db.query(
+      `SELECT date, content FROM daily_horoscopes
+       WHERE sign ILIKE $1 AND language_code = $2
+       AND date < $3::date AND date >= $3::date - $4::int`,
+      [horoscope.sign, horoscope.language_code, horoscope.date, this.settings.repetitionDays]
+    );
+
+    return this._similarTo(content, result.rows, this.settings.repetitionThreshold)
+      .map(({ row, similarity }) => this._issue('repetition', 'repeats_previous_day',
+        `${Math.round(similarity * 100)}% similar to ${this._formatDate(row.date)}`));
+  }
+
+  async checkCrossSign(horoscope, content) {
+    const result = await db.query(
+      `SELECT sign, content FROM daily_horoscopes
+       WHERE date = $1::date AND language_code = $2 AND sign NOT ILIKE $3`,
+      [horoscope.date, horoscope.language_code, horoscope.sign]
+    );
+
+    return this._similarTo(content, result.rows, this.settings.crossSignThreshold)
+      .map(({ row, similarity }) => this._issue('cross_sign', 'duplicates_other_sign',
+        `${Math.round(similarity * 100)}% similar to ${row.sign} on the same day`));
+  }
+
+  /**
+   * Jaccard similarity of the word trigrams of two texts (0-1)
+   */
+  similarity(a, b) {
+    const shinglesA = this._shingles(a);
+    const shinglesB = this._shingles(b);
+    if (shinglesA.size === 0 || shinglesB.size === 0) {
+      return 0;
+    }
+
+    let shared = 0;
+    shinglesA.forEach(shingle => {
+      if (shinglesB.has(shingle)) shared++;
+    });
+    return shared / (shinglesA.size + shinglesB.size - shared);
+  }
+
+  _similarTo(content, rows, threshold) {
+    const text = this._text(content);
+    return rows
+      .map(row => ({ row, similarity: this.similarity(text, this._text(this._parse(row.content))) }))
+      .filter(({ similarity }) => similarity >= threshold);
+  }
+
+  _shingles(text) {
+    const tokens = normalize(text).match(/\p{L}+|\p{N}+/gu) || [];
+    const shingles = new Set();
+    for (let i = 0; i + 3 <= tokens.length; i++) {
+      shingles.add(tokens.slice(i, i + 3).join(' '));
+    }
+    return shingles;
+  }
+
+  _text(content) {
+    if (!content || typeof content !== 'object') {
+      return String(content || '');
+    }
+    return TEXT_FIELDS
+      .map(field => content[field])
+      .filter(value => typeof value === 'string')
+      .join('\n');
+  }
+
+  _parse(content) {
+    if (typeof content !== 'string') {
+      return content;
+    }
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return content;
+    }
+  }
+
+  _issue(stage, code, message) {
+    return { stage, code, message };
+  }
+
+  _formatDate(date) {
+    // pg returns DATE columns as local midnight
+    return date instanceof Date ? moment(date).format('YYYY-MM-DD') : String(date).slice(0, 10);
+  }
+
+  /**
+   * ========================================================
+   * REVIEW QUEUE
+   * ========================================================
+   */
+
+  /**
+   * Queue a horoscope that failed every attempt for an admin
+   * A later failure for the same sign, language and date replaces it.
+   *
+   * @param {Object} horoscope - The stored attempt
+   * @param {Object} review
+   * @param {boolean} review.held - Whether it is kept from users until approved
+   * @param {Array<Object[]>} review.attempts - Issues of each attempt
+   */
+  async enqueueReview(horoscope, { held, attempts }) {
+    const result = await db.query(
+      `INSERT INTO horoscope_reviews (sign, language_code, date, held, attempts, issues, candidate)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (sign, language_code, date) DO UPDATE SET
+         held = EXCLUDED.held, attempts = EXCLUDED.attempts, issues = EXCLUDED.issues,
+         candidate = EXCLUDED.candidate, status = 'pending', edited_content = NULL,
+         review_note = NULL, reviewed_at = NULL, updated_at = NOW()
+       RETURNING id`,
+      [
+        horoscope.sign,
+        horoscope.language_code,
+        horoscope.date,
+        held,
+        attempts.length,
+        JSON.stringify(attempts),
+        JSON.stringify(horoscope.content)
+      ]
+    );
+
+    logger.getLogger().warn('Daily horoscope queued for review', {
+      sign: horoscope.sign,
+      language: horoscope.language_code,
+      date: horoscope.date,
+      held,
+      issues: attempts[attempts.length - 1].map(issue => issue.code)
+    });
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Reviews by status, oldest first
+   *
+   * @param {Object} [options]
+   * @param {'pending'|'approved'|'edited'} [options.status='pending']
+   * @param {boolean} [options.held] - Only held (or only served) horoscopes
+   * @param {number} [options.limit]
+   */
+  async listReviews(options = {}) {
+    const status = options.status || 'pending';
+    const limit = Math.min(options.limit || this.settings.reviewPageSize, 200);
+
+    const result = await db.query(
+      `SELECT id, sign, language_code, date, held, status, attempts, issues, candidate,
+              edited_content, review_note, reviewed_at, created_at
+       FROM horoscope_reviews
+       WHERE status = $1 AND ($2::boolean IS NULL OR held = $2)
+       ORDER BY held DESC, date ASC, created_at ASC
+       LIMIT $3`,
+      [status, typeof options.held === 'boolean' ? options.held : null, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Approve the stored candidate as is; held horoscopes start being served
+   *
+   * @param {number} reviewId
+   * @param {Object} [options]
+   * @param {string} [options.note]
+   * @returns {Promise<Object|null>} The review, or null if it does not exist
+   */
+  async approveReview(reviewId, { note } = {}) {
+    return this._resolve(reviewId, { status: 'approved', note, content: null });
+  }
+
+  /**
+   * Replace the candidate with an admin's edit and approve it
+   * The edit must still pass the schema stage.
+   *
+   * @param {number} reviewId
+   * @param {Object} edit
+   * @param {Object} edit.content - Full daily horoscope JSON
+   * @param {string} [edit.note]
+   * @param {string} [edit.author] - Recorded on the new content revision
+   * @returns {Promise<Object|null>} The review, or null if it does not exist
+   */
+  async editReview(reviewId, { content, note, author }) {
+    const issues = this.checkSchema(content);
+    if (issues.length > 0) {
+      const error = new Error(`Invalid horoscope: ${issues.map(issue => issue.message).join('; ')}`);
+      error.issues = issues;
+      throw error;
+    }
+
+    return this._resolve(reviewId, { status: 'edited', note, content, author });
+  }
+
+  async _resolve(reviewId, { status, note, content, author }) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `UPDATE horoscope_reviews
+         SET status = $2, edited_content = $3, review_note = $4, reviewed_at = NOW(), updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, sign, language_code, to_char(date, 'YYYY-MM-DD') AS date, held, status, edited_content, review_note, reviewed_at`,
+        [reviewId, status, content ? JSON.stringify(content) : null, note || null]
+      );
+      const review = result.rows[0];
+
+      if (review && content) {
+        // Edits are new content: record a revision (and replace a pinned row too)
+        await horoscopeRevisionService.save('daily', {
+          sign: review.sign,
+          language_code: review.language_code,
+          period: review.date,
+          content,
+          fields: { quality_status: status }
+        }, {
+          authorType: 'admin',
+          author: author || 'admin',
+          note: note || `Review ${review.id}`,
+          overridePin: true
+        }, client);
+      } else if (review) {
+        await client.query(
+          `UPDATE daily_horoscopes d
+           SET quality_status = r.status, updated_at = NOW()
+           FROM horoscope_reviews r
+           WHERE r.id = $1 AND d.sign = r.sign AND d.language_code = r.language_code AND d.date = r.date`,
+          [review.id]
+        );
+      }
+
+      await client.query('COMMIT');
+      return review || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new HoroscopeQualityService();
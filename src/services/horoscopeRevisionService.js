@@ -0,0 +1,323 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 🗂️ HOROSCOPE REVISION SERVICE - CONTENT HISTORY, ROLLBACK AND PINS
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * Every write of daily_horoscopes / weekly_horoscopes content goes through
+ * save, which stores the row and an immutable revision in one statement:
+ * - horoscope_revisions keeps each version with its author (cron, admin,
+ *   mcp, api or system), model, prompt version and note; rows outlive the
+ *   horoscope itself (cleanup only deletes the served copy)
+ * - The served row points at its current_revision
+ * - Pinned rows are skipped by every write except explicit edits and
+ *   rollbacks (overridePin), so a scheduled rerun or bulk regeneration
+ *   never overwrites a human edit
+ * - diff compares two revisions field by field; rollback stores an old
+ *   revision again as a new one
+ *
+ * Tables: horoscope_revisions, pinned/current_revision columns (migration 029)
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const moment = require('moment');
+const db = require('../config/db');
+const logger = require('./loggingService');
+
+// Served table, period column and the extra columns (with their types) each kind may write
+const KINDS = {
+  daily: { table: 'daily_horoscopes', period: 'date', columns: { quality_status: 'text', quality_issues: 'jsonb', astro_brief: 'jsonb' } },
+  weekly: { table: 'weekly_horoscopes', period: 'week_start', columns: { week_end: 'date', astro_brief: 'jsonb' } }
+};
+
+const AUTHOR_TYPES = ['cron', 'admin', 'mcp', 'api', 'system'];
+
+const toText = (content) => (typeof content === 'string' ? content : JSON.stringify(content));
+
+class HoroscopeRevisionService {
+  constructor() {
+    this.kinds = Object.keys(KINDS);
+    this.authorTypes = AUTHOR_TYPES;
+    this.settings = {
+      maxRevisionsListed: 100
+    };
+  }
+
+  /**
+   * ========================================================
+   * WRITES
+   * ========================================================
+   */
+
+  /**
+   * Store a horoscope and record it as a new revision
+   * Pinned rows are left alone unless source.overridePin is set.
+   *
+   * @param {'daily'|'weekly'} kind
+   * @param {Object} entry
+   * @param {string} entry.sign
+   * @param {string} entry.language_code
+   * @param {string} entry.period - date (daily) or week_start (weekly), YYYY-MM-DD
+   * @param {Object|string} entry.content
+   * @param {Object} [entry.fields] - Extra columns of the kind (quality_status, week_end...)
+   * @param {Object} source
+   * @param {string} source.authorType - cron, admin, mcp, api or system
+   * @param {string} [source.author] - Who or what: admin name, tool, job
+   * @param {string} [source.model]
+   * @param {string} [source.promptVersion]
+   * @param {string} [source.note]
+   * @param {boolean} [source.overridePin=false]
+   * @param {Object} [client] - Run inside the caller's transaction (default: its own)
+   * @returns {Promise<{stored: boolean, pinned: boolean, revision: number|null}>}
+   */
+  async save(kind, entry, source, client = null) {
+    const config = this._kind(kind);
+    if (!AUTHOR_TYPES.includes(source.authorType)) {
+      throw new Error(`Invalid revision author type: ${source.authorType}`);
+    }
+
+    if (!client) {
+      const connection = await db.connect();
+      try {
+        await connection.query('BEGIN');
+        const saved = await this.save(kind, entry, source, connection);
+        await connection.query('COMMIT');
+        return saved;
+      } catch (error) {
+        await connection.query('ROLLBACK');
+        throw error;
+      } finally {
+        connection.release();
+      }
+    }
+
+    // The next revision is MAX + 1: writers of the same horoscope take turns
+    // until commit, so concurrent saves never number the same revision
+    await client.query(
+      'SELECT pg_advisory_xact_lock(hashtext($1))',
+      [`horoscope_revision:${kind}:${entry.sign}:${entry.language_code}:${entry.period}`]
+    );
+
+    const fields = Object.entries(entry.fields || {}).filter(([column]) => config.columns[column]);
+    const columns = fields.map(([column]) => column);
+    const values = fields.map(([, value]) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value));
+    const extraParams = columns.map((column, i) => `$${12 + i}::${config.columns[column]}`);
+
+    const result = await client.query(
+      `WITH next AS (
+         SELECT COALESCE(MAX(revision), 0) + 1 AS revision
+         FROM horoscope_revisions
+         WHERE kind = $5 AND sign = $1 AND language_code = $2 AND period = $3::date
+       ), stored AS (
+         INSERT INTO ${config.table} (sign, language_code, ${config.period}, content, current_revision${columns.map(column => `, ${column}`).join('')})
+         SELECT $1, $2, $3::date, $4, next.revision${extraParams.map(param => `, ${param}`).join('')} FROM next
+         ON CONFLICT (sign, language_code, ${config.period})
+         DO UPDATE SET content = EXCLUDED.content, current_revision = EXCLUDED.current_revision,${columns.map(column => ` ${column} = EXCLUDED.${column},`).join('')} updated_at = NOW()
+         WHERE NOT ${config.table}.pinned OR $11::boolean
+         RETURNING current_revision
+       )
+       INSERT INTO horoscope_revisions (kind, sign, language_code, period, revision, content, author_type, author, model, prompt_version, note)
+       SELECT $5, $1, $2, $3::date, stored.current_revision, $4, $6, $7, $8, $9, $10 FROM stored
+       RETURNING revision`,
+      [
+        entry.sign,
+        entry.language_code,
+        entry.period,
+        toText(entry.content),
+        kind,
+        source.authorType,
+        source.author || null,
+        source.model || null,
+        source.promptVersion || null,
+        source.note || null,
+        Boolean(source.overridePin),
+        ...values
+      ]
+    );
+
+    const revision = result.rows[0] ? result.rows[0].revision : null;
+    if (!revision) {
+      logger.getLogger().info('Pinned horoscope left unchanged', {
+        kind,
+        sign: entry.sign,
+        language: entry.language_code,
+        period: entry.period,
+        authorType: source.authorType
+      });
+    }
+
+    return { stored: Boolean(revision), pinned: !revision, revision };
+  }
+
+  /**
+   * Replace a horoscope's content by hand (overrides the pin)
+   *
+   * @param {'daily'|'weekly'} kind
+   * @param {{sign: string, language_code: string, period: string}} key
+   * @param {Object|string} content
+   * @param {Object} [options]
+   * @param {string} [options.author]
+   * @param {string} [options.note]
+   * @param {boolean} [options.pin] - Also pin it against reruns
+   */
+  async edit(kind, key, content, { author, note, pin } = {}) {
+    const result = await this.save(kind, { ...key, content, fields: this._manualFields(kind, key) }, {
+      authorType: 'admin',
+      author: author || 'admin',
+      note,
+      overridePin: true
+    });
+
+    if (pin) {
+      await this.setPinned(kind, key, true, { author });
+    }
+    return result;
+  }
+
+  /**
+   * Serve an earlier revision again, recorded as a new revision
+   *
+   * @param {'daily'|'weekly'} kind
+   * @param {{sign: string, language_code: string, period: string}} key
+   * @param {number} revision - Revision to restore
+   * @param {Object} [options] - Same as edit
+   * @returns {Promise<Object|null>} Save result, or null if the revision does not exist
+   */
+  async rollback(kind, key, revision, { author, note, pin } = {}) {
+    const target = await this.getRevision(kind, key, revision);
+    if (!target) {
+      return null;
+    }
+
+    return this.edit(kind, key, target.content, {
+      author,
+      note: note || `Rollback to revision ${revision}`,
+      pin
+    });
+  }
+
+  /**
+   * Pin or unpin a horoscope
+   *
+   * @returns {Promise<Object|null>} The row's key and pin state, or null if it does not exist
+   */
+  async setPinned(kind, key, pinned, { author } = {}) {
+    const config = this._kind(kind);
+    const result = await db.query(
+      `UPDATE ${config.table}
+       SET pinned = $4, pinned_by = CASE WHEN $4 THEN $5 END, pinned_at = CASE WHEN $4 THEN NOW() END
+       WHERE sign = $1 AND language_code = $2 AND ${config.period} = $3::date
+       RETURNING sign, language_code, to_char(${config.period}, 'YYYY-MM-DD') AS period, current_revision, pinned, pinned_by, pinned_at`,
+      [key.sign, key.language_code, key.period, pinned, author || 'admin']
+    );
+    return result.rows[0] || null;
+  }
+
+  // Hand-written content is approved as is, and a weekly row may need re-creating
+  _manualFields(kind, key) {
+    if (kind === 'daily') {
+      return { quality_status: 'edited', quality_issues: null };
+    }
+    return { week_end: moment(key.period, 'YYYY-MM-DD').add(6, 'days').format('YYYY-MM-DD') };
+  }
+
+  /**
+   * ========================================================
+   * HISTORY
+   * ========================================================
+   */
+
+  /**
+   * Revisions of one horoscope, newest first (without content)
+   */
+  async listRevisions(kind, key) {
+    this._kind(kind);
+    const result = await db.query(
+      `SELECT revision, author_type, author, model, prompt_version, note, created_at
+       FROM horoscope_revisions
+       WHERE kind = $1 AND sign = $2 AND language_code = $3 AND period = $4::date
+       ORDER BY revision DESC
+       LIMIT $5`,
+      [kind, key.sign, key.language_code, key.period, this.settings.maxRevisionsListed]
+    );
+    return result.rows;
+  }
+
+  /**
+   * One revision with its content (parsed when it is JSON)
+   */
+  async getRevision(kind, key, revision) {
+    this._kind(kind);
+    const result = await db.query(
+      `SELECT revision, content, author_type, author, model, prompt_version, note, created_at
+       FROM horoscope_revisions
+       WHERE kind = $1 AND sign = $2 AND language_code = $3 AND period = $4::date AND revision = $5`,
+      [kind, key.sign, key.language_code, key.period, revision]
+    );
+
+    const row = result.rows[0];
+    return row ? { ...row, content: this._parse(row.content) } : null;
+  }
+
+  /**
+   * Field-by-field changes between two revisions
+   * Plain-text content (some weekly rows) is compared as a single field.
+   *
+   * @returns {Promise<Object|null>} null if either revision does not exist
+   */
+  async diff(kind, key, fromRevision, toRevision) {
+    const [from, to] = await Promise.all([
+      this.getRevision(kind, key, fromRevision),
+      this.getRevision(kind, key, toRevision)
+    ]);
+    if (!from || !to) {
+      return null;
+    }
+
+    return {
+      from: this._summary(from),
+      to: this._summary(to),
+      changes: this.diffContent(from.content, to.content)
+    };
+  }
+
+  /**
+   * @returns {Array<{field: string, change: 'added'|'removed'|'changed', before: *, after: *}>}
+   */
+  diffContent(before, after) {
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const a = isObject(before) ? before : { content: before };
+    const b = isObject(after) ? after : { content: after };
+
+    return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+      .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+      .map(field => ({
+        field,
+        change: !(field in a) ? 'added' : !(field in b) ? 'removed' : 'changed',
+        before: field in a ? a[field] : null,
+        after: field in b ? b[field] : null
+      }));
+  }
+
+  _summary(revision) {
+    const { content, ...metadata } = revision;
+    return metadata;
+  }
+
+  _parse(content) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return content;
+    }
+  }
+
+  _kind(kind) {
+    const config = KINDS[kind];
+    if (!config) {
+      throw new Error(`Invalid horoscope kind: ${kind}`);
+    }
+    return config;
+  }
+}
+
+module.exports = new HoroscopeRevisionService();
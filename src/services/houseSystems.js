@@ -0,0 +1,287 @@
+/**
+ * 🏠 HOUSE SYSTEMS - PURE JAVASCRIPT HOUSE CUSPS AND ANGLES
+ *
+ * Computes Ascendant, MC, Vertex, East Point and the twelve house cusps for
+ * the systems the app offers. Used by ephemerisService when the native Swiss
+ * Ephemeris binding is not available; the formulas follow swehouse.c so both
+ * backends agree to within nutation (< 0.01°).
+ *
+ * Placidus and Koch are undefined inside the polar circles (|latitude| >=
+ * 90° - obliquity, about 66.56°): some ecliptic degrees never rise or set.
+ * Callers get a PolarHouseSystemError there and decide on a fallback.
+ */
+
+const DEG = Math.PI / 180;
+
+const HOUSE_SYSTEMS = ['placidus', 'koch', 'porphyry', 'equal', 'whole_sign', 'regiomontanus', 'campanus'];
+
+// Systems that need every ecliptic degree to rise and set
+const POLAR_UNSAFE_SYSTEMS = ['placidus', 'koch'];
+
+class PolarHouseSystemError extends Error {
+  constructor(system, latitude) {
+    super(`${system} houses are undefined at latitude ${latitude.toFixed(2)}°`);
+    this.name = 'PolarHouseSystemError';
+    this.system = system;
+    this.latitude = latitude;
+  }
+}
+
+class HouseSystems {
+  /**
+   * Mean obliquity of the ecliptic (Meeus 22.2), degrees
+   */
+  obliquity(julianDay) {
+    const T = (julianDay - 2451545.0) / 36525;
+    return 23.439291111 - 0.0130041667 * T - 1.6389e-7 * T * T + 5.0361e-7 * T * T * T;
+  }
+
+  /**
+   * Right ascension of the MC (local sidereal time) in degrees
+   */
+  armc(julianDay, longitude) {
+    const T = (julianDay - 2451545.0) / 36525;
+    const gmst = 280.46061837 + 360.98564736629 * (julianDay - 2451545.0) +
+      0.000387933 * T * T - T * T * T / 38710000;
+    return this.normalize(gmst + longitude);
+  }
+
+  /**
+   * ARMC at which a given ecliptic longitude culminates (inverse of the MC)
+   */
+  armcFromMidheaven(midheaven, obliquity) {
+    const mc = midheaven * DEG;
+    return this.normalize(Math.atan2(Math.sin(mc) * Math.cos(obliquity * DEG), Math.cos(mc)) / DEG);
+  }
+
+  isPolar(latitude, obliquity) {
+    return Math.abs(latitude) >= 90 - obliquity;
+  }
+
+  /**
+   * Cusps and angles for a moment and place.
+   * `armc` and `obliquity` may be supplied (e.g. from Swiss Ephemeris).
+   */
+  calculate(julianDay, latitude, longitude, system = 'placidus', { armc, obliquity } = {}) {
+    if (!HOUSE_SYSTEMS.includes(system)) {
+      throw new Error(`Unsupported house system: ${system}`);
+    }
+
+    const eps = obliquity ?? this.obliquity(julianDay);
+    const ramc = armc ?? this.armc(julianDay, longitude);
+
+    if (POLAR_UNSAFE_SYSTEMS.includes(system) && this.isPolar(latitude, eps)) {
+      throw new PolarHouseSystemError(system, latitude);
+    }
+
+    const angles = this.calculateAngles(ramc, latitude, eps);
+    const cusps = this.calculateCusps(system, ramc, latitude, eps, angles);
+
+    return { cusps, ...angles, armc: ramc, obliquity: eps };
+  }
+
+  calculateAngles(ramc, latitude, eps) {
+    const ascendant = this.obliqueAscendant(ramc + 90, latitude, eps);
+    const midheaven = this.obliqueAscendant(ramc, 0, eps);
+    const vertexPole = latitude >= 0 ? 90 - latitude : -90 - latitude;
+
+    return {
+      ascendant,
+      midheaven,
+      descendant: this.normalize(ascendant + 180),
+      ic: this.normalize(midheaven + 180),
+      vertex: this.obliqueAscendant(ramc - 90, vertexPole, eps),
+      eastPoint: this.obliqueAscendant(ramc + 90, 0, eps)
+    };
+  }
+
+  /**
+   * Twelve cusp longitudes, index 0 = house 1
+   */
+  calculateCusps(system, ramc, latitude, eps, angles) {
+    const { ascendant, midheaven } = angles;
+
+    switch (system) {
+      case 'whole_sign': {
+        const first = Math.floor(ascendant / 30) * 30;
+        return Array.from({ length: 12 }, (_, i) => this.normalize(first + i * 30));
+      }
+      case 'equal':
+        return Array.from({ length: 12 }, (_, i) => this.normalize(ascendant + i * 30));
+      case 'porphyry':
+        return this.porphyryCusps(ascendant, midheaven);
+      case 'placidus':
+        return this.quadrantCusps(ascendant, midheaven, this.placidusIntermediates(ramc, latitude, eps));
+      case 'koch':
+        return this.quadrantCusps(ascendant, midheaven, this.kochIntermediates(ramc, latitude, eps));
+      case 'regiomontanus':
+        return this.quadrantCusps(ascendant, midheaven, this.regiomontanusIntermediates(ramc, latitude, eps));
+      case 'campanus':
+        return this.quadrantCusps(ascendant, midheaven, this.campanusIntermediates(ramc, latitude, eps));
+      default:
+        throw new Error(`Unsupported house system: ${system}`);
+    }
+  }
+
+  /**
+   * Build all twelve cusps from the angles and cusps 11, 12, 2 and 3
+   */
+  quadrantCusps(ascendant, midheaven, { c11, c12, c2, c3 }) {
+    const cusps = new Array(12);
+    cusps[0] = ascendant;
+    cusps[1] = c2;
+    cusps[2] = c3;
+    cusps[3] = this.normalize(midheaven + 180);
+    cusps[9] = midheaven;
+    cusps[10] = c11;
+    cusps[11] = c12;
+
+    for (const house of [1, 2, 3, 10, 11, 12]) {
+      cusps[(house + 5) % 12] = this.normalize(cusps[house - 1] + 180);
+    }
+
+    return cusps;
+  }
+
+  porphyryCusps(ascendant, midheaven) {
+    const ic = this.normalize(midheaven + 180);
+    const lowerArc = this.normalize(ic - ascendant);
+    const upperArc = this.normalize(ascendant - midheaven);
+
+    return this.quadrantCusps(ascendant, midheaven, {
+      c2: this.normalize(ascendant + lowerArc / 3),
+      c3: this.normalize(ascendant + 2 * lowerArc / 3),
+      c11: this.normalize(midheaven + upperArc / 3),
+      c12: this.normalize(midheaven + 2 * upperArc / 3)
+    });
+  }
+
+  /**
+   * Placidus: trisect each point's own diurnal/nocturnal semi-arc.
+   * Iterates on the right ascension of the cusp until it converges.
+   */
+  placidusIntermediates(ramc, latitude, eps) {
+    const tanLatitude = Math.tan(latitude * DEG);
+
+    const solve = (fraction, nocturnal) => {
+      let ra = nocturnal ? ramc + 180 - fraction * 90 : ramc + fraction * 90;
+
+      for (let iteration = 0; iteration < 100; iteration++) {
+        const longitude = this.obliqueAscendant(ra, 0, eps);
+        const declination = Math.asin(Math.sin(eps * DEG) * Math.sin(longitude * DEG));
+        const ascensionalDifference = Math.asin(
+          Math.max(-1, Math.min(1, tanLatitude * Math.tan(declination)))
+        ) / DEG;
+
+        const next = nocturnal
+          ? ramc + 180 - fraction * (90 - ascensionalDifference)
+          : ramc + fraction * (90 + ascensionalDifference);
+
+        const delta = Math.abs(this.signedDifference(next, ra));
+        ra = next;
+        if (delta < 1e-9) break;
+      }
+
+      return this.obliqueAscendant(ra, 0, eps);
+    };
+
+    return {
+      c11: solve(1 / 3, false),
+      c12: solve(2 / 3, false),
+      c2: solve(2 / 3, true),
+      c3: solve(1 / 3, true)
+    };
+  }
+
+  /**
+   * Koch: trisect the MC's semi-arc and project with the birthplace pole
+   */
+  kochIntermediates(ramc, latitude, eps) {
+    const mcDeclination = Math.asin(Math.sin(eps * DEG) * Math.sin(this.obliqueAscendant(ramc, 0, eps) * DEG));
+    const ad3 = Math.asin(Math.tan(latitude * DEG) * Math.tan(mcDeclination)) / DEG / 3;
+
+    return {
+      c11: this.obliqueAscendant(ramc + 30 - 2 * ad3, latitude, eps),
+      c12: this.obliqueAscendant(ramc + 60 - ad3, latitude, eps),
+      c2: this.obliqueAscendant(ramc + 120 + ad3, latitude, eps),
+      c3: this.obliqueAscendant(ramc + 150 + 2 * ad3, latitude, eps)
+    };
+  }
+
+  /**
+   * Regiomontanus: equal divisions of the celestial equator
+   */
+  regiomontanusIntermediates(ramc, latitude, eps) {
+    const tanLatitude = Math.tan(latitude * DEG);
+    const pole1 = Math.atan(tanLatitude * 0.5) / DEG;
+    const pole2 = Math.atan(tanLatitude * Math.cos(30 * DEG)) / DEG;
+
+    return {
+      c11: this.obliqueAscendant(ramc + 30, pole1, eps),
+      c12: this.obliqueAscendant(ramc + 60, pole2, eps),
+      c2: this.obliqueAscendant(ramc + 120, pole2, eps),
+      c3: this.obliqueAscendant(ramc + 150, pole1, eps)
+    };
+  }
+
+  /**
+   * Campanus: equal divisions of the prime vertical
+   */
+  campanusIntermediates(ramc, latitude, eps) {
+    const sinLatitude = Math.sin(latitude * DEG);
+    const cosLatitude = Math.max(Math.cos(latitude * DEG), 1e-12);
+    const pole1 = Math.asin(sinLatitude / 2) / DEG;
+    const pole2 = Math.asin(Math.sqrt(3) / 2 * sinLatitude) / DEG;
+    const offset1 = Math.atan(Math.sqrt(3) / cosLatitude) / DEG;
+    const offset2 = Math.atan(1 / Math.sqrt(3) / cosLatitude) / DEG;
+
+    return {
+      c11: this.obliqueAscendant(ramc + 90 - offset1, pole1, eps),
+      c12: this.obliqueAscendant(ramc + 90 - offset2, pole2, eps),
+      c2: this.obliqueAscendant(ramc + 90 + offset2, pole2, eps),
+      c3: this.obliqueAscendant(ramc + 90 + offset1, pole1, eps)
+    };
+  }
+
+  /**
+   * Ecliptic longitude rising at oblique ascension `x` for pole height `pole`
+   * (swehouse.c Asc1). x = ARMC + 90 and pole = latitude gives the Ascendant.
+   */
+  obliqueAscendant(x, pole, eps) {
+    const xr = x * DEG;
+    const longitude = Math.atan2(
+      Math.sin(xr),
+      Math.cos(xr) * Math.cos(eps * DEG) - Math.tan(pole * DEG) * Math.sin(eps * DEG)
+    ) / DEG;
+    return this.normalize(longitude);
+  }
+
+  /**
+   * House (1-12) containing a longitude, given twelve cusps
+   */
+  houseOf(longitude, cusps) {
+    for (let i = 0; i < 12; i++) {
+      const start = cusps[i];
+      const end = cusps[(i + 1) % 12];
+      const span = this.normalize(end - start);
+      if (this.normalize(longitude - start) < span) {
+        return i + 1;
+      }
+    }
+    return 1;
+  }
+
+  normalize(degrees) {
+    return ((degrees % 360) + 360) % 360;
+  }
+
+  signedDifference(to, from) {
+    const diff = this.normalize(to - from);
+    return diff > 180 ? diff - 360 : diff;
+  }
+}
+
+module.exports = new HouseSystems();
+module.exports.HOUSE_SYSTEMS = HOUSE_SYSTEMS;
+module.exports.POLAR_UNSAFE_SYSTEMS = POLAR_UNSAFE_SYSTEMS;
+module.exports.PolarHouseSystemError = PolarHouseSystemError;
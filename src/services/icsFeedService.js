@@ -0,0 +1,328 @@
+/**
+ * ICS FEED SERVICE
+ *
+ * Per-user iCalendar subscription feeds for users who do not connect a
+ * calendar account. Each feed lives behind a secret token in the URL.
+ * Features:
+ * - Void-of-course Moon periods
+ * - Retrograde and direct stations
+ * - New and full moons
+ * - Best days for the user's chosen activities
+ * - Dates computed in the feed's timezone
+ * - Generated calendars stored and refreshed on a schedule; stale ones
+ *   are served as stored and rebuilt in the background
+ * - Token revocation
+ *
+ * Only a SHA-256 hash of each token is stored.
+ */
+
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const db = require('../config/db');
+const astrologicalTimingService = require('./astrologicalTimingService');
+const { buildCalendar } = require('../utils/icalendar');
+const logger = require('../utils/logger');
+
+class IcsFeedService {
+    constructor() {
+        this.config = {
+            publicBaseUrl: process.env.PUBLIC_API_URL || process.env.API_BASE_URL || '',
+            lookBackDays: 7,
+            lookAheadDays: 60,
+            refreshHours: 24, // Stored calendars older than this are rebuilt after being served
+            activeFeedDays: 30, // Scheduled refresh skips feeds nobody fetched lately
+            maxFeedsPerUser: 5,
+            publishedTtl: 'PT12H'
+        };
+
+        this.eventTypes = ['void_moon', 'retrograde_stations', 'lunations', 'best_days'];
+        this.defaultActivityTypes = ['business_meeting', 'important_conversation'];
+
+        // Feeds with a background rebuild in flight
+        this.refreshing = new Set();
+    }
+
+    /**
+     * Create a feed and return its token (shown only once)
+     */
+    async createFeed(userId, { name, timezone = 'UTC', activityTypes, include } = {}) {
+        if (!moment.tz.zone(timezone)) {
+            return { success: false, error: 'invalid_timezone' };
+        }
+
+        const activeFeeds = await db.query(
+            'SELECT COUNT(*)::int AS count FROM calendar_feeds WHERE user_id = $1 AND revoked_at IS NULL',
+            [userId]
+        );
+        if (activeFeeds.rows[0].count >= this.config.maxFeedsPerUser) {
+            return { success: false, error: 'feed_limit_reached', limit: this.config.maxFeedsPerUser };
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const result = await db.query(`
+            INSERT INTO calendar_feeds (user_id, token_hash, token_hint, name, timezone, activity_types, include_events)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `, [
+            userId,
+            this.hashToken(token),
+            token.slice(0, 6),
+            name || 'Cosmic Timing',
+            timezone,
+            activityTypes && activityTypes.length > 0 ? activityTypes : this.defaultActivityTypes,
+            include && include.length > 0 ? include : this.eventTypes
+        ]);
+
+        logger.info('📆 ICS feed created', { userId, feedId: result.rows[0].id });
+
+        return {
+            success: true,
+            feed: this.formatFeed(result.rows[0]),
+            token,
+            url: this.feedUrl(token)
+        };
+    }
+
+    async listFeeds(userId) {
+        const result = await db.query(`
+            SELECT * FROM calendar_feeds
+            WHERE user_id = $1 AND revoked_at IS NULL
+            ORDER BY created_at DESC
+        `, [userId]);
+
+        return { success: true, feeds: result.rows.map(row => this.formatFeed(row)) };
+    }
+
+    /**
+     * Revoke a feed; its URL stops working immediately
+     */
+    async revokeFeed(userId, feedId) {
+        const result = await db.query(`
+            UPDATE calendar_feeds
+            SET revoked_at = NOW(), ics_body = NULL
+            WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+            RETURNING id
+        `, [feedId, userId]);
+
+        if (result.rows.length === 0) {
+            return { success: false, error: 'feed_not_found' };
+        }
+
+        logger.info('📆 ICS feed revoked', { userId, feedId });
+        return { success: true, feedId };
+    }
+
+    /**
+     * Calendar for a feed token, or null for unknown and revoked tokens.
+     * Only a feed that was never generated is built inline.
+     */
+    async getCalendarByToken(token) {
+        if (!token) return null;
+
+        const result = await db.query(
+            'SELECT * FROM calendar_feeds WHERE token_hash = $1 AND revoked_at IS NULL',
+            [this.hashToken(token)]
+        );
+        const feed = result.rows[0];
+        if (!feed) return null;
+
+        let calendar;
+        if (!feed.ics_body || !feed.generated_at) {
+            calendar = await this.regenerateFeed(feed);
+        } else {
+            calendar = { body: feed.ics_body, generatedAt: new Date(feed.generated_at).toISOString() };
+            if (moment().diff(moment(feed.generated_at), 'hours', true) >= this.config.refreshHours) {
+                this.refreshInBackground(feed);
+            }
+        }
+
+        await db.query(`
+            UPDATE calendar_feeds
+            SET last_accessed_at = NOW(), access_count = access_count + 1
+            WHERE id = $1
+        `, [feed.id]);
+
+        return {
+            ...calendar,
+            etag: `"${crypto.createHash('sha1').update(calendar.body).digest('hex')}"`
+        };
+    }
+
+    async regenerateFeed(feed) {
+        const body = await this.generateCalendar(feed);
+        const result = await db.query(`
+            UPDATE calendar_feeds
+            SET ics_body = $2, generated_at = NOW()
+            WHERE id = $1
+            RETURNING generated_at
+        `, [feed.id, body]);
+
+        const generatedAt = result.rows[0] ? result.rows[0].generated_at : new Date();
+        return { body, generatedAt: new Date(generatedAt).toISOString() };
+    }
+
+    /**
+     * Rebuild a stale feed without holding up the request that found it
+     */
+    refreshInBackground(feed) {
+        if (this.refreshing.has(feed.id)) return;
+
+        this.refreshing.add(feed.id);
+        this.regenerateFeed(feed)
+            .catch(error => {
+                logger.error('❌ ICS feed background refresh failed', { feedId: feed.id, error: error.message });
+            })
+            .finally(() => this.refreshing.delete(feed.id));
+    }
+
+    /**
+     * Scheduled refresh of feeds that are still being fetched
+     */
+    async regenerateActiveFeeds() {
+        const result = await db.query(`
+            SELECT * FROM calendar_feeds
+            WHERE revoked_at IS NULL
+              AND (last_accessed_at IS NULL OR last_accessed_at > NOW() - ($1 || ' days')::interval)
+        `, [String(this.config.activeFeedDays)]);
+
+        const summary = { regenerated: 0, errors: 0 };
+        for (const feed of result.rows) {
+            try {
+                await this.regenerateFeed(feed);
+                summary.regenerated++;
+            } catch (error) {
+                summary.errors++;
+                logger.error('❌ ICS feed regeneration failed', { feedId: feed.id, error: error.message });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Build the VCALENDAR text for a feed
+     */
+    async generateCalendar(feed, now = new Date()) {
+        const timezone = moment.tz.zone(feed.timezone) ? feed.timezone : 'UTC';
+        const include = new Set(feed.include_events || this.eventTypes);
+        const start = moment.tz(now, timezone).startOf('day').subtract(this.config.lookBackDays, 'days');
+        const end = moment.tz(now, timezone).startOf('day').add(this.config.lookAheadDays, 'days');
+        const localTime = time => moment.tz(time, timezone).format('ddd D MMM HH:mm');
+
+        const events = [];
+        const activityTypes = include.has('best_days') ? feed.activity_types || [] : [];
+
+        // One void Moon search for the whole feed, shared by every best-days rating
+        const voidPeriods = include.has('void_moon') || activityTypes.length > 0
+            ? await astrologicalTimingService.getVoidMoonPeriodsInRange(start.toISOString(), end.clone().endOf('day').toISOString(), timezone)
+            : [];
+
+        if (include.has('void_moon')) {
+            const periods = voidPeriods.filter(period => moment(period.startTime).isBefore(end));
+            for (const period of periods) {
+                events.push({
+                    uid: `void-moon-${moment.utc(period.startTime).format('YYYYMMDDTHHmm')}@zodiac-app`,
+                    title: `☽ Void of Course Moon (${period.sign})`,
+                    description: `${localTime(period.startTime)} – ${localTime(period.endTime)} (${timezone})\n` +
+                        `${period.duration.toFixed(1)} hours, ${period.significance}. Avoid starting important matters.`,
+                    start: period.startTime,
+                    end: period.endTime,
+                    categories: ['Void Moon'],
+                    transparent: true
+                });
+            }
+        }
+
+        if (include.has('retrograde_stations')) {
+            const stations = await astrologicalTimingService.getRetrogradeStations(start.toISOString(), end.toISOString());
+            for (const station of stations) {
+                const planet = station.planet.charAt(0).toUpperCase() + station.planet.slice(1);
+                events.push({
+                    uid: `station-${station.planet}-${station.type}-${moment.utc(station.time).format('YYYYMMDD')}@zodiac-app`,
+                    title: `${planet} stations ${station.type} ${station.type === 'retrograde' ? '℞' : 'D'}`,
+                    description: `${planet} stations ${station.type} at ${station.degree}° ${station.sign}, ` +
+                        `${localTime(station.time)} (${timezone}).`,
+                    start: moment.tz(station.time, timezone).format('YYYY-MM-DD'),
+                    allDay: true,
+                    categories: ['Retrograde'],
+                    transparent: true
+                });
+            }
+        }
+
+        if (include.has('lunations')) {
+            const lunations = await astrologicalTimingService.getLunations(start.toISOString(), end.toISOString());
+            for (const lunation of lunations) {
+                const label = lunation.type === 'new_moon' ? '🌑 New Moon' : '🌕 Full Moon';
+                events.push({
+                    uid: `${lunation.type.replace('_', '-')}-${moment.utc(lunation.time).format('YYYYMMDD')}@zodiac-app`,
+                    title: `${label} in ${lunation.sign}`,
+                    description: `${label} at ${lunation.degree}° ${lunation.sign}, ${localTime(lunation.time)} (${timezone}).`,
+                    start: moment.tz(lunation.time, timezone).format('YYYY-MM-DD'),
+                    allDay: true,
+                    categories: ['Moon Phase'],
+                    transparent: true
+                });
+            }
+        }
+
+        if (activityTypes.length > 0) {
+            for (const activityType of activityTypes) {
+                const result = await astrologicalTimingService.getBestDays(activityType, {
+                    dateRange: { start: moment.tz(now, timezone).format('YYYY-MM-DD'), end: end.format('YYYY-MM-DD') },
+                    timezone,
+                    voidPeriods
+                });
+                const activity = activityType.replace(/_/g, ' ');
+
+                for (const day of result.bestDays) {
+                    events.push({
+                        uid: `best-day-${activityType}-${day.date.replace(/-/g, '')}-${feed.id}@zodiac-app`,
+                        title: `✨ Best day: ${activity.charAt(0).toUpperCase()}${activity.slice(1)}`,
+                        description: `Rating ${Math.round(day.rating * 100)}%. ${day.dayOfWeek}, ${day.lunarPhase} Moon` +
+                            (day.voidMoonHours > 0 ? `, ${day.voidMoonHours}h void Moon during the day.` : '.'),
+                        start: day.date,
+                        allDay: true,
+                        categories: ['Best Days'],
+                        transparent: true
+                    });
+                }
+            }
+        }
+
+        return buildCalendar(events, {
+            properties: {
+                'X-WR-CALNAME': feed.name || 'Cosmic Timing',
+                'X-WR-TIMEZONE': timezone,
+                'X-PUBLISHED-TTL': this.config.publishedTtl,
+                'REFRESH-INTERVAL;VALUE=DURATION': this.config.publishedTtl
+            }
+        });
+    }
+
+    // HELPER METHODS
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    feedUrl(token) {
+        return `${this.config.publicBaseUrl}/api/calendar-feeds/${token}.ics`;
+    }
+
+    formatFeed(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            timezone: row.timezone,
+            activityTypes: row.activity_types,
+            include: row.include_events,
+            tokenHint: row.token_hint,
+            generatedAt: row.generated_at,
+            lastAccessedAt: row.last_accessed_at,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = new IcsFeedService();
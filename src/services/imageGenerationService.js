@@ -21,23 +21,19 @@
  * - Universe ($9.99): Unlimited generations
  */
 
-const OpenAI = require('openai');
 const { randomUUID } = require('crypto');
 const db = require('../config/db');
 const redisService = require('./redisService');
 const receiptValidationService = require('./receiptValidationService');
 const logger = require('./loggingService');
 const circuitBreaker = require('./circuitBreakerService');
+const llmService = require('./llmService');
 const moment = require('moment-timezone');
 const sharp = require('sharp');
 const fs = require('fs').promises;
 
 class ImageGenerationService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
     // Image generation models
     this.models = {
       dalle3_hd: {
@@ -414,7 +410,7 @@ class ImageGenerationService {
       }
 
       const response = await circuitBreaker.execute(
-        async () => await this.openai.images.generate(requestParams),
+        async () => await llmService.image('images', requestParams),
         'dalle_generation'
       );
 
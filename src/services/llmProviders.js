@@ -0,0 +1,575 @@
+/**
+ * 🧩 LLM PROVIDERS
+ *
+ * Backends behind llmService. Every provider takes and returns the OpenAI
+ * chat completion shape ({ choices: [{ message }], usage }) so callers do
+ * not change when a feature is routed elsewhere. Streams yield OpenAI-style
+ * chunks ({ choices: [{ delta }] }, final chunk carries usage).
+ *
+ * Tool calling uses the OpenAI shape too: `tools` / `tool_choice` in the
+ * request, `message.tool_calls` (or `delta.tool_calls` when streaming) in the
+ * reply and `role: 'tool'` messages carrying the results.
+ *
+ * Providers:
+ * - OpenAIProvider: OpenAI API (chat, speech, image, embedding)
+ * - OpenAICompatibleProvider: Ollama / llama.cpp servers (chat, embedding)
+ * - AnthropicProvider: Anthropic Messages API or compatible servers (chat)
+ * - FixtureProvider: deterministic offline responses
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const OpenAI = require('openai');
+const { countTokens, countMessageTokens } = require('../utils/tokenizer');
+
+const messageText = (content) => {
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return content || '';
+};
+
+const parseArguments = (raw) => {
+  if (raw && typeof raw === 'object') return raw;
+  try {
+    return JSON.parse(raw || '{}');
+  } catch (error) {
+    return {};
+  }
+};
+
+const toBlocks = (content) => (typeof content === 'string'
+  ? (content ? [{ type: 'text', text: content }] : [])
+  : content);
+
+// Usage for providers that do not report it, counted with the model's tokenizer
+const estimateUsage = (messages, content, model) => {
+  const promptTokens = countMessageTokens(messages, model);
+  const completionTokens = countTokens(content, model);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+};
+
+const unsupported = (provider, capability) => Object.assign(
+  new Error(`LLM provider "${provider}" does not support ${capability}`),
+  { code: 'unsupported_capability', status: 400 }
+);
+
+/**
+ * OpenAI API through the official SDK
+ */
+class OpenAIProvider {
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+    this.capabilities = ['chat', 'speech', 'image', 'embedding'];
+    this.keepsCallerModel = true;
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(this.settings.apiKey) && this.settings.apiKey !== 'your_openai_api_key_here';
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.settings.apiKey,
+        baseURL: this.settings.baseURL
+      });
+    }
+    return this.client;
+  }
+
+  async chat(params, { signal } = {}) {
+    return this.getClient().chat.completions.create(params, signal ? { signal } : undefined);
+  }
+
+  async speech(params, { signal } = {}) {
+    const response = await this.getClient().audio.speech.create(params, signal ? { signal } : undefined);
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async image(params, { signal } = {}) {
+    return this.getClient().images.generate(params, signal ? { signal } : undefined);
+  }
+
+  async embed(params, { signal } = {}) {
+    // The SDK asks for base64 by default and decodes it, which breaks on
+    // compatible servers that always answer with float arrays
+    return this.getClient().embeddings.create(
+      { encoding_format: 'float', ...params },
+      signal ? { signal } : undefined
+    );
+  }
+}
+
+/**
+ * OpenAI-compatible local servers (Ollama, llama.cpp, vLLM)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(name, settings = {}) {
+    super(name, settings);
+    this.capabilities = ['chat', 'embedding'];
+    this.keepsCallerModel = false; // gpt-* model names mean nothing to a local server
+  }
+
+  isConfigured() {
+    return Boolean(this.settings.baseURL);
+  }
+
+  async chat(params, options = {}) {
+    // Local servers reject OpenAI-only tuning parameters inconsistently
+    const { presence_penalty, frequency_penalty, ...rest } = params;
+    return super.chat(rest, options);
+  }
+
+  async speech() {
+    throw unsupported(this.name, 'speech');
+  }
+
+  async image() {
+    throw unsupported(this.name, 'image');
+  }
+}
+
+/**
+ * Anthropic Messages API (or any server implementing it)
+ */
+class AnthropicProvider {
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+    this.capabilities = ['chat'];
+    this.keepsCallerModel = false;
+  }
+
+  isConfigured() {
+    return Boolean(this.settings.apiKey);
+  }
+
+  /**
+   * Convert OpenAI chat params to a Messages API request body
+   */
+  toRequestBody(params) {
+    const system = [];
+    const messages = [];
+
+    for (const message of params.messages) {
+      const text = messageText(message.content);
+      if (message.role === 'system') {
+        system.push(text);
+        continue;
+      }
+
+      let role = message.role === 'assistant' ? 'assistant' : 'user';
+      let content = text;
+
+      // Tool calls and results travel as content blocks
+      if (message.role === 'tool') {
+        role = 'user';
+        content = [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: text }];
+      } else if (message.role === 'assistant' && message.tool_calls && message.tool_calls.length > 0) {
+        content = [
+          ...toBlocks(text),
+          ...message.tool_calls.map(call => ({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function.name,
+            input: parseArguments(call.function.arguments)
+          }))
+        ];
+      }
+
+      const previous = messages[messages.length - 1];
+      // The Messages API requires alternating roles
+      if (previous && previous.role === role) {
+        previous.content = typeof previous.content === 'string' && typeof content === 'string'
+          ? `${previous.content}\n\n${content}`
+          : [...toBlocks(previous.content), ...toBlocks(content)];
+      } else {
+        messages.push({ role, content });
+      }
+    }
+
+    if (params.response_format && params.response_format.type === 'json_object') {
+      system.push('Respond with a single valid JSON object and nothing else.');
+    }
+
+    const body = {
+      model: params.model,
+      messages,
+      max_tokens: params.max_tokens || params.max_completion_tokens || this.settings.defaultMaxTokens
+    };
+    if (system.length > 0) body.system = system.join('\n\n');
+    if (params.temperature !== undefined) body.temperature = Math.min(params.temperature, 1);
+    if (params.top_p !== undefined) body.top_p = params.top_p;
+    if (params.stop) body.stop_sequences = [].concat(params.stop);
+    if (params.stream) body.stream = true;
+
+    if (params.tools && params.tools.length > 0) {
+      body.tools = params.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+      }));
+
+      const choice = params.tool_choice;
+      if (choice === 'none') body.tool_choice = { type: 'none' };
+      else if (choice === 'required') body.tool_choice = { type: 'any' };
+      else if (choice && choice.function) body.tool_choice = { type: 'tool', name: choice.function.name };
+    }
+
+    return body;
+  }
+
+  mapStopReason(reason) {
+    return {
+      end_turn: 'stop',
+      stop_sequence: 'stop',
+      max_tokens: 'length',
+      tool_use: 'tool_calls'
+    }[reason] || reason || null;
+  }
+
+  /**
+   * Give API errors the status/code fields callers already check for OpenAI
+   */
+  toError(error) {
+    const status = error.response && error.response.status;
+    const data = error.response && error.response.data;
+    const apiError = data && data.error;
+    const wrapped = new Error(apiError && apiError.message ? apiError.message : error.message);
+    wrapped.status = status;
+    wrapped.code = status === 429 ? 'rate_limit_exceeded'
+      : status === 529 ? 'model_overloaded'
+        : (apiError && apiError.type) || error.code;
+    wrapped.provider = this.name;
+    return wrapped;
+  }
+
+  async request(body, { signal, stream = false } = {}) {
+    try {
+      return await axios.post(`${this.settings.baseURL.replace(/\/$/, '')}/v1/messages`, body, {
+        headers: {
+          'x-api-key': this.settings.apiKey,
+          'anthropic-version': this.settings.apiVersion,
+          'content-type': 'application/json'
+        },
+        timeout: this.settings.timeout,
+        responseType: stream ? 'stream' : 'json',
+        signal
+      });
+    } catch (error) {
+      if (axios.isCancel(error)) throw error;
+      throw this.toError(error);
+    }
+  }
+
+  async chat(params, options = {}) {
+    const body = this.toRequestBody(params);
+
+    if (params.stream) {
+      const response = await this.request(body, { signal: options.signal, stream: true });
+      return this.streamChunks(response.data, body.model);
+    }
+
+    const { data } = await this.request(body, options);
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = (data.content || [])
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+    const usage = data.usage || {};
+
+    const message = { role: 'assistant', content };
+    if (toolCalls.length > 0) message.tool_calls = toolCalls;
+
+    return {
+      id: data.id,
+      object: 'chat.completion',
+      model: data.model || body.model,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: this.mapStopReason(data.stop_reason)
+      }],
+      usage: {
+        prompt_tokens: usage.input_tokens || 0,
+        completion_tokens: usage.output_tokens || 0,
+        total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      }
+    };
+  }
+
+  /**
+   * Translate Messages API server-sent events into OpenAI-style chunks
+   */
+  async *streamChunks(stream, model) {
+    let id = null;
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let buffer = '';
+    // Content block index -> OpenAI tool call index
+    const toolIndexes = new Map();
+
+    for await (const piece of stream) {
+      buffer += piece.toString('utf8');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+        if (!dataLine) continue;
+        const event = JSON.parse(dataLine.slice(5).trim());
+
+        if (event.type === 'message_start') {
+          id = event.message.id;
+          inputTokens = (event.message.usage && event.message.usage.input_tokens) || 0;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield { id, model, choices: [{ index: 0, delta: { content: event.delta.text }, finish_reason: null }] };
+        } else if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+          toolIndexes.set(event.index, toolIndexes.size);
+          const toolCall = {
+            index: toolIndexes.get(event.index),
+            id: event.content_block.id,
+            type: 'function',
+            function: { name: event.content_block.name, arguments: '' }
+          };
+          yield { id, model, choices: [{ index: 0, delta: { tool_calls: [toolCall] }, finish_reason: null }] };
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+          const toolCall = { index: toolIndexes.get(event.index), function: { arguments: event.delta.partial_json } };
+          yield { id, model, choices: [{ index: 0, delta: { tool_calls: [toolCall] }, finish_reason: null }] };
+        } else if (event.type === 'message_delta') {
+          outputTokens = (event.usage && event.usage.output_tokens) || outputTokens;
+          yield { id, model, choices: [{ index: 0, delta: {}, finish_reason: this.mapStopReason(event.delta.stop_reason) }] };
+        } else if (event.type === 'error') {
+          throw this.toError({ message: event.error.message, response: { status: 500, data: event } });
+        }
+      }
+    }
+
+    yield {
+      id,
+      model,
+      choices: [],
+      usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens, total_tokens: inputTokens + outputTokens }
+    };
+  }
+
+  async speech() {
+    throw unsupported(this.name, 'speech');
+  }
+
+  async image() {
+    throw unsupported(this.name, 'image');
+  }
+
+  async embed() {
+    throw unsupported(this.name, 'embedding');
+  }
+}
+
+/**
+ * Deterministic offline provider
+ *
+ * Fixtures are keyed by feature; a fixture is a string, an object (sent as
+ * JSON) or a function (params, feature) returning either. When the request
+ * offers tools, `{ tool_calls: [{ name, arguments }] }` answers with tool
+ * calls instead. Without a fixture the reply is derived from a hash of the
+ * request, so identical requests always get identical replies.
+ */
+class FixtureProvider {
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+    this.capabilities = ['chat', 'speech', 'image', 'embedding'];
+    this.keepsCallerModel = true;
+    this.fixtures = new Map();
+
+    if (settings.fixturesPath) {
+      const fixtures = JSON.parse(fs.readFileSync(settings.fixturesPath, 'utf8'));
+      Object.entries(fixtures).forEach(([feature, response]) => this.setFixture(feature, response));
+    }
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  setFixture(feature, response) {
+    this.fixtures.set(feature, response);
+  }
+
+  clearFixtures() {
+    this.fixtures.clear();
+  }
+
+  requestHash(value) {
+    return crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+  }
+
+  replyFor(params, feature) {
+    let fixture = this.fixtures.has(feature) ? this.fixtures.get(feature) : this.fixtures.get('*');
+    if (typeof fixture === 'function') fixture = fixture(params, feature);
+    if (fixture && Array.isArray(fixture.tool_calls) && params.tools) {
+      return fixture;
+    }
+    if (fixture !== undefined && fixture !== null) {
+      return typeof fixture === 'string' ? fixture : JSON.stringify(fixture);
+    }
+
+    const hash = this.requestHash(params.messages);
+    if (params.response_format && params.response_format.type === 'json_object') {
+      return JSON.stringify({ fixture: true, feature, hash });
+    }
+    return `Fixture reply for ${feature} (${hash}).`;
+  }
+
+  async chat(params, { feature = 'default', signal } = {}) {
+    const reply = this.replyFor(params, feature);
+    const id = `fixture-${this.requestHash([feature, params.messages])}`;
+    const model = params.model || 'fixture';
+
+    if (typeof reply !== 'string') {
+      const toolCalls = reply.tool_calls.map((call, index) => ({
+        id: call.id || `call_${this.requestHash([id, index])}`,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+        }
+      }));
+      const usage = estimateUsage(params.messages, JSON.stringify(toolCalls), params.model);
+
+      if (params.stream) {
+        return this.streamChunks({ id, model, content: '', toolCalls, usage, signal });
+      }
+      return {
+        id,
+        object: 'chat.completion',
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content: null, tool_calls: toolCalls }, finish_reason: 'tool_calls' }],
+        usage
+      };
+    }
+
+    const content = reply;
+    const usage = estimateUsage(params.messages, content, params.model);
+
+    if (params.stream) {
+      return this.streamChunks({ id, model, content, usage, signal });
+    }
+
+    return {
+      id,
+      object: 'chat.completion',
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage
+    };
+  }
+
+  async *streamChunks({ id, model, content, toolCalls, usage, signal }) {
+    // Word-sized chunks, keeping the trailing whitespace with each word
+    const pieces = content.match(/\S+\s*|\s+/g) || [];
+
+    for (const piece of pieces) {
+      if (this.settings.chunkDelayMs) {
+        await new Promise(resolve => setTimeout(resolve, this.settings.chunkDelayMs));
+      }
+      if (signal && signal.aborted) {
+        throw Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+      }
+      yield { id, model, choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] };
+    }
+
+    if (toolCalls) {
+      const delta = { tool_calls: toolCalls.map((call, index) => ({ index, ...call })) };
+      yield { id, model, choices: [{ index: 0, delta, finish_reason: null }] };
+    }
+
+    yield { id, model, choices: [{ index: 0, delta: {}, finish_reason: toolCalls ? 'tool_calls' : 'stop' }] };
+    yield { id, model, choices: [], usage };
+  }
+
+  async speech(params) {
+    // Not playable audio: a stable stand-in so callers can cache and store it
+    return Buffer.from(`FIXTURE-AUDIO:${this.requestHash(params)}`);
+  }
+
+  async image(params) {
+    const hash = this.requestHash(params);
+    return {
+      created: 0,
+      data: Array.from({ length: params.n || 1 }, (value, index) => ({
+        url: `https://fixtures.invalid/images/${hash}-${index}.png`,
+        revised_prompt: params.prompt
+      }))
+    };
+  }
+
+  async embed(params) {
+    const inputs = Array.isArray(params.input) ? params.input : [params.input];
+    const tokens = inputs.reduce((sum, text) => sum + countTokens(text), 0);
+    return {
+      object: 'list',
+      model: params.model || 'fixture-embedding',
+      data: inputs.map((text, index) => ({ object: 'embedding', index, embedding: this.embedText(text) })),
+      usage: { prompt_tokens: tokens, total_tokens: tokens }
+    };
+  }
+
+  embedText(text) {
+    // Hashed bag of words: texts sharing words point the same way, unrelated
+    // texts are close to orthogonal
+    const dimensions = this.settings.embeddingDimensions || 256;
+    const vector = new Array(dimensions).fill(0);
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+      const digest = crypto.createHash('sha1').update(word).digest();
+      const slot = digest.readUInt32BE(0) % dimensions;
+      vector[slot] += digest[4] & 1 ? 1 : -1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  }
+}
+
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  fixture: FixtureProvider
+};
+
+function createProvider(name, settings) {
+  const Provider = PROVIDER_TYPES[settings.type];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider type "${settings.type}" for "${name}"`);
+  }
+  return new Provider(name, settings);
+}
+
+module.exports = {
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  FixtureProvider,
+  createProvider,
+  estimateUsage
+};
@@ -0,0 +1,169 @@
+/**
+ * 🧠 LLM SERVICE
+ *
+ * Single entry point for model calls. Features ask for a completion by
+ * feature name and the configured route decides the provider and model
+ * (see src/config/llm.js). Features:
+ * - Chat completions, streamed or not, in the OpenAI response shape
+ * - Text-to-speech, image generation and embeddings where the provider
+ *   supports them
+ * - Per-feature provider/model routing (LLM_PROVIDER, LLM_ROUTES)
+ * - Deterministic fixture provider for tests and offline development
+ */
+
+const llmConfig = require('../config/llm');
+const { createProvider } = require('./llmProviders');
+
+// Features that need something other than chat from their provider
+const FEATURE_CAPABILITIES = {
+  voice: 'speech',
+  images: 'image',
+  embeddings: 'embedding'
+};
+
+class LLMService {
+  constructor(config = llmConfig) {
+    this.providerSettings = config.PROVIDERS;
+    this.features = config.FEATURES;
+    this.defaultProvider = config.DEFAULT_PROVIDER;
+    this.routes = { ...config.ROUTES };
+    this.providers = new Map();
+  }
+
+  /**
+   * Provider instance by name (created on first use)
+   */
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      const settings = this.providerSettings[name];
+      if (!settings) {
+        throw Object.assign(new Error(`Unknown LLM provider "${name}"`), { code: 'unknown_provider' });
+      }
+      this.providers.set(name, createProvider(name, settings));
+    }
+    return this.providers.get(name);
+  }
+
+  /**
+   * Provider and model for a feature; requestedModel is the caller's choice
+   * and modelKey the provider setting used when neither route nor caller
+   * picks one
+   */
+  resolve(feature, requestedModel, modelKey = 'defaultModel') {
+    const route = this.routes[feature] || {};
+    const provider = this.getProvider(route.provider || this.defaultProvider);
+    const model = route.model ||
+      (provider.keepsCallerModel && requestedModel) ||
+      this.providerSettings[provider.name][modelKey];
+
+    return { provider, model };
+  }
+
+  /**
+   * Whether a feature can call its provider (configured and capable)
+   */
+  isAvailable(feature, capability = 'chat') {
+    try {
+      const { provider } = this.resolve(feature);
+      return provider.isConfigured() && provider.capabilities.includes(capability);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  ensureCapability(feature, provider, capability) {
+    if (!provider.capabilities.includes(capability)) {
+      throw Object.assign(
+        new Error(`Feature "${feature}" is routed to "${provider.name}", which does not support ${capability}`),
+        { code: 'unsupported_capability', status: 400 }
+      );
+    }
+    if (!provider.isConfigured()) {
+      throw Object.assign(
+        new Error(`LLM provider "${provider.name}" is not configured`),
+        { code: 'llm_not_configured', status: 503 }
+      );
+    }
+  }
+
+  /**
+   * Chat completion. Takes OpenAI chat params and returns an OpenAI-shaped
+   * completion, or an async iterable of chunks when params.stream is set.
+   */
+  async chat(feature, params, options = {}) {
+    const { provider, model } = this.resolve(feature, params.model);
+    this.ensureCapability(feature, provider, 'chat');
+
+    return provider.chat({ ...params, model }, { ...options, feature });
+  }
+
+  /**
+   * Text-to-speech; resolves to an audio Buffer
+   */
+  async speech(feature, params, options = {}) {
+    const { provider, model } = this.resolve(feature, params.model);
+    this.ensureCapability(feature, provider, 'speech');
+
+    return provider.speech({ ...params, model }, { ...options, feature });
+  }
+
+  /**
+   * Image generation; resolves to { data: [{ url | b64_json, revised_prompt }] }
+   */
+  async image(feature, params, options = {}) {
+    const { provider, model } = this.resolve(feature, params.model);
+    this.ensureCapability(feature, provider, 'image');
+
+    return provider.image({ ...params, model }, { ...options, feature });
+  }
+
+  /**
+   * Embeddings; resolves to { model, data: [{ index, embedding }], usage }
+   */
+  async embed(feature, params, options = {}) {
+    const { provider, model } = this.resolve(feature, params.model, 'embeddingModel');
+    this.ensureCapability(feature, provider, 'embedding');
+
+    return provider.embed({ ...params, model }, { ...options, feature });
+  }
+
+  /**
+   * Override a feature's route at runtime (null restores the default)
+   */
+  setRoute(feature, route) {
+    if (route) {
+      this.routes[feature] = route;
+    } else {
+      delete this.routes[feature];
+    }
+  }
+
+  /**
+   * Canned reply for a feature on the fixture provider ('*' matches all)
+   */
+  setFixture(feature, response) {
+    this.getProvider('fixture').setFixture(feature, response);
+  }
+
+  clearFixtures() {
+    this.getProvider('fixture').clearFixtures();
+  }
+
+  getStatus() {
+    const features = {};
+    for (const feature of Object.keys(this.features)) {
+      const route = this.routes[feature] || {};
+      const providerName = route.provider || this.defaultProvider;
+      features[feature] = {
+        provider: providerName,
+        model: route.model || null,
+        available: this.isAvailable(feature, FEATURE_CAPABILITIES[feature] || 'chat')
+      };
+    }
+
+    return { defaultProvider: this.defaultProvider, features };
+  }
+}
+
+module.exports = new LLMService();
+module.exports.LLMService = LLMService;
@@ -17,6 +17,13 @@
 
 const logger = require('./loggingService');
 
+const SUPPORTED_COUNTRIES = [
+  'AR', 'MX', 'ES', 'CO', 'CL', 'BR', 'US', 'GB',
+  'PE', 'UY', 'VE', 'CR', 'PY', 'BO', 'EC',
+  'GT', 'HN', 'NI', 'SV', 'PA', 'CU', 'DO', 'PR',
+  'AU', 'NZ', 'ZA', 'FR', 'DE', 'IT', 'PT'
+];
+
 class LocalContextService {
 
   /**
@@ -640,12 +647,251 @@ class LocalContextService {
       'PA': 'Panamá',
       'CU': 'Cuba',
       'DO': 'República Dominicana',
-      'PR': 'Puerto Rico'
+      'PR': 'Puerto Rico',
+      'AU': 'Australia',
+      'NZ': 'New Zealand',
+      'ZA': 'South Africa',
+      'FR': 'France',
+      'DE': 'Deutschland',
+      'IT': 'Italia',
+      'PT': 'Portugal'
     };
 
     return names[country] || country;
   }
 
+  /**
+   * Country for a device timezone, when the app did not send one
+   *
+   * @param {string} timezone - IANA timezone (e.g., 'America/Mexico_City')
+   * @returns {string|null} ISO country code, or null if not a supported country
+   */
+  countryFromTimezone(timezone) {
+    if (!timezone) return null;
+
+    const country = SUPPORTED_COUNTRIES.find(code => this._getTimezone(code) === timezone);
+    return country || null;
+  }
+
+  /**
+   * Crisis helplines and emergency number for a country
+   * Used by the AI Coach safety layer (safetyService) instead of a reply
+   *
+   * @param {string} country - ISO 3166-1 alpha-2 country code
+   * @returns {Object|null} { country, countryName, emergency, suicide, abuse } or null if unknown
+   *
+   * @example
+   * getCrisisResources('AR');
+   * // Returns: {
+   * //   country: 'AR',
+   * //   countryName: 'Argentina',
+   * //   emergency: '911',
+   * //   suicide: [{ name: 'Centro de Asistencia al Suicida', phone: '135', hours: '24/7' }, ...],
+   * //   abuse: [{ name: 'Línea 144', phone: '144', hours: '24/7' }]
+   * // }
+   */
+  getCrisisResources(country) {
+    const resources = this._getCrisisResources()[country];
+    if (!resources) return null;
+
+    return {
+      country,
+      countryName: this._getCountryName(country),
+      emergency: resources.emergency,
+      suicide: resources.suicide || [],
+      abuse: resources.abuse || []
+    };
+  }
+
+  /**
+   * Crisis resources by country
+   * Suicide lines match the AI Coach crisis protocol; abuse lines are listed
+   * only where a national line exists
+   * @private
+   */
+  _getCrisisResources() {
+    return {
+      'AR': {
+        emergency: '911',
+        suicide: [
+          { name: 'Centro de Asistencia al Suicida', phone: '135', hours: '24/7' },
+          { name: 'Centro de Asistencia al Suicida', phone: '0800-345-1435', hours: '24/7' }
+        ],
+        abuse: [{ name: 'Línea 144', phone: '144', hours: '24/7' }]
+      },
+      'MX': {
+        emergency: '911',
+        suicide: [{ name: 'Línea de la Vida', phone: '800 911 2000', hours: '24/7' }]
+      },
+      'ES': {
+        emergency: '112',
+        suicide: [
+          { name: 'Línea 024', phone: '024', hours: '24/7' },
+          { name: 'Teléfono de la Esperanza', phone: '717 003 717', hours: '24/7' }
+        ],
+        abuse: [{ name: 'Teléfono 016', phone: '016', hours: '24/7' }]
+      },
+      'CO': {
+        emergency: '123',
+        suicide: [{ name: 'Línea Nacional', phone: '106', hours: '24/7' }],
+        abuse: [{ name: 'Línea 155', phone: '155', hours: '24/7' }]
+      },
+      'CL': {
+        emergency: '131',
+        suicide: [
+          { name: 'Línea Libre', phone: '*4141', hours: '24/7' },
+          { name: 'Salud Responde', phone: '600 360 7777', hours: '24/7' }
+        ],
+        abuse: [{ name: 'Fono Orientación', phone: '1455', hours: '24/7' }]
+      },
+      'BR': {
+        emergency: '192',
+        suicide: [{ name: 'CVV', phone: '188', hours: '24/7' }],
+        abuse: [{ name: 'Central de Atendimento à Mulher', phone: '180', hours: '24/7' }]
+      },
+      'US': {
+        emergency: '911',
+        suicide: [
+          { name: '988 Suicide & Crisis Lifeline', phone: '988', hours: '24/7' },
+          { name: 'Crisis Text Line', phone: 'Text HOME to 741741', hours: '24/7' }
+        ],
+        abuse: [{ name: 'National Domestic Violence Hotline', phone: '1-800-799-7233', hours: '24/7' }]
+      },
+      'GB': {
+        emergency: '999',
+        suicide: [
+          { name: 'Samaritans', phone: '116 123', hours: '24/7' },
+          { name: 'Shout', phone: 'Text SHOUT to 85258', hours: '24/7' }
+        ],
+        abuse: [{ name: 'National Domestic Abuse Helpline', phone: '0808 2000 247', hours: '24/7' }]
+      },
+      'PE': {
+        emergency: '105',
+        suicide: [{ name: 'Línea 113 Salud', phone: '113', hours: '24/7' }],
+        abuse: [{ name: 'Línea 100', phone: '100', hours: '24/7' }]
+      },
+      'UY': {
+        emergency: '911',
+        suicide: [
+          { name: 'Línea de Prevención del Suicidio', phone: '*8483', hours: '24/7' },
+          { name: 'Línea de Prevención del Suicidio', phone: '0800-0767', hours: '24/7' }
+        ],
+        abuse: [{ name: 'Servicio de Atención a Mujeres', phone: '0800 4141', hours: '24/7' }]
+      },
+      'VE': {
+        emergency: '171',
+        suicide: [{ name: 'PSIQUE', phone: '0800-774-7830' }]
+      },
+      'CR': {
+        emergency: '911',
+        suicide: [{ name: 'Línea Aquí Estoy', phone: '2272-3774' }]
+      },
+      'PY': {
+        emergency: '911',
+        suicide: [
+          { name: 'Fono Ayuda', phone: '147', hours: '24/7' },
+          { name: 'Línea 141', phone: '141' }
+        ]
+      },
+      'BO': {
+        emergency: '110',
+        suicide: [{ name: 'Línea Familiar', phone: '800-10-0104' }]
+      },
+      'EC': {
+        emergency: '911',
+        suicide: [{ name: 'Salud Mental', phone: '1800-274-996' }]
+      },
+      'GT': {
+        emergency: '110',
+        suicide: [{ name: 'Línea en Crisis', phone: '502-2485-4681' }]
+      },
+      'HN': {
+        emergency: '911',
+        suicide: [{ name: 'Línea Crisis', phone: '2558-0908' }]
+      },
+      'NI': {
+        emergency: '118',
+        suicide: [{ name: 'Teléfono de la Esperanza', phone: '2289-4011' }]
+      },
+      'SV': {
+        emergency: '911',
+        suicide: [{ name: 'ASALCO', phone: '2527-9393' }]
+      },
+      'PA': {
+        emergency: '911',
+        suicide: [{ name: 'CONASALUD', phone: '169' }]
+      },
+      'CU': {
+        emergency: '106',
+        suicide: [{ name: 'Línea de Ayuda', phone: '+53-7-838-2783' }]
+      },
+      'DO': {
+        emergency: '911',
+        suicide: [{ name: 'Línea Vida', phone: '809-200-1202' }]
+      },
+      'PR': {
+        emergency: '911',
+        suicide: [
+          { name: 'Línea PAS', phone: '1-800-981-0023', hours: '24/7' },
+          { name: '988 Suicide & Crisis Lifeline', phone: '988', hours: '24/7' }
+        ]
+      },
+      'AU': {
+        emergency: '000',
+        suicide: [
+          { name: 'Lifeline', phone: '13 11 14', hours: '24/7' },
+          { name: 'Beyond Blue', phone: '1300 22 4636', hours: '24/7' }
+        ],
+        abuse: [{ name: '1800RESPECT', phone: '1800 737 732', hours: '24/7' }]
+      },
+      'NZ': {
+        emergency: '111',
+        suicide: [
+          { name: 'Need to Talk? (call or text)', phone: '1737', hours: '24/7' },
+          { name: 'Lifeline', phone: '0800 543 354', hours: '24/7' }
+        ],
+        abuse: [{ name: 'Family Violence Information Line', phone: '0800 456 450' }]
+      },
+      'ZA': {
+        emergency: '10111',
+        suicide: [
+          { name: 'SADAG', phone: '0800 567 567', hours: '24/7' },
+          { name: 'LifeLine', phone: '0800 12 13 14', hours: '24/7' }
+        ],
+        abuse: [{ name: 'GBV Command Centre', phone: '0800 428 428', hours: '24/7' }]
+      },
+      'FR': {
+        emergency: '112',
+        suicide: [
+          { name: 'Numéro national de prévention du suicide', phone: '3114', hours: '24/7' },
+          { name: 'SOS Amitié', phone: '09 72 39 40 50', hours: '24/7' }
+        ],
+        abuse: [{ name: 'Violences Femmes Info', phone: '3919', hours: '24/7' }]
+      },
+      'DE': {
+        emergency: '112',
+        suicide: [{ name: 'TelefonSeelsorge', phone: '0800 111 0 111', hours: '24/7' }],
+        abuse: [{ name: 'Hilfetelefon Gewalt gegen Frauen', phone: '116 016', hours: '24/7' }]
+      },
+      'IT': {
+        emergency: '112',
+        suicide: [
+          { name: 'Telefono Amico', phone: '02 2327 2327' },
+          { name: 'Telefono Amico', phone: '800 86 00 22' }
+        ],
+        abuse: [{ name: 'Numero antiviolenza e stalking', phone: '1522', hours: '24/7' }]
+      },
+      'PT': {
+        emergency: '112',
+        suicide: [
+          { name: 'SOS Voz Amiga', phone: '+351 213 544 545' },
+          { name: 'SOS Voz Amiga', phone: '800 202 669' }
+        ],
+        abuse: [{ name: 'Linha de Apoio à Vítima de Violência Doméstica', phone: '800 202 148', hours: '24/7' }]
+      }
+    };
+  }
+
   /**
    * Get localized month name
    * @private
@@ -787,14 +1033,7 @@ class LocalContextService {
    * @returns {boolean} True if valid
    */
   isValidCountry(country) {
-    const validCountries = [
-      'AR', 'MX', 'ES', 'CO', 'CL', 'BR', 'US', 'GB',
-      'PE', 'UY', 'VE', 'CR', 'PY', 'BO', 'EC',
-      'GT', 'HN', 'NI', 'SV', 'PA', 'CU', 'DO', 'PR',
-      'AU', 'NZ', 'ZA', 'FR', 'DE', 'IT', 'PT'
-    ];
-
-    return validCountries.includes(country);
+    return SUPPORTED_COUNTRIES.includes(country);
   }
 }
 
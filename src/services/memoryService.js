@@ -15,10 +15,14 @@
  * Users report: "It remembers my life! It feels like a real friend."
  *
  * KEY FEATURES:
- * - Automatic memory extraction from user messages
+ * - Structured memory extraction by the LLM (type, subject, dates,
+ *   sentiment, importance, expiry), keyword patterns as offline fallback
+ * - Relative dates ("next Friday") resolved to calendar dates
  * - Intelligent importance scoring
  * - Resolution tracking for ongoing situations
- * - Contextual memory retrieval
+ * - Semantic memory retrieval (embeddings blended with importance and recency)
+ * - Near-duplicate detection on embeddings
+ * - User editing and pinning (pinned memories always reach the coach)
  * - Multilingual support (ES, EN, PT, FR, DE, IT)
  *
  * CREATED: 2025-01-23
@@ -28,9 +32,80 @@
 
 const db = require('../config/db');
 const logger = require('./loggingService');
+const moment = require('moment-timezone');
+const llmService = require('./llmService');
+const { cosineSimilarity, detectVectorStore } = require('./memoryVectorStore');
+const { findDateMentions, startOfToday } = require('../utils/relativeDates');
+
+const MEMORY_TYPES = ['life_event', 'goal', 'challenge', 'person', 'emotion', 'milestone'];
+const SENTIMENTS = ['positive', 'negative', 'neutral', 'mixed'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Memory fields shown to the user (getAllMemories, updateMemory)
+const MEMORY_LIST_COLUMNS = `
+  id,
+  memory_type,
+  content,
+  importance,
+  subject,
+  sentiment,
+  TO_CHAR(event_date, 'YYYY-MM-DD') as event_date,
+  expires_at,
+  pinned,
+  mentioned_at,
+  resolved,
+  resolution_note,
+  resolved_at,
+  metadata`;
+
+// How it went, in a reply to a coach follow-up ("it went well", "salió mal").
+// Only checked against the memory being followed up.
+const OUTCOME_PATTERNS = [
+  /\b(went|was|turned out) (really |very |so )?(well|great|fine|good|ok|okay|badly|bad|terrible|awful)\b/,
+  /\b(passed|failed|aced|nailed it|didn'?t pass|didn'?t get (it|the job)|it'?s over|all done)\b/,
+  /(salió|fue|me fue) (muy |super )?(bien|mal|genial|perfecto|fatal)/,
+  /(aprobé|reprobé|suspendí|ya pasó|todo salió)/,
+  /(foi|correu) (muito )?(bem|mal|ótimo)/,
+  /(passei|reprovei|deu certo|deu errado)/,
+  /(s'est|ça s'est) (très )?(bien|mal) passé/,
+  /(j'ai réussi|j'ai raté|c'est fait)/,
+  /(lief|war|ging) (sehr |richtig )?(gut|schlecht|super)/,
+  /(bestanden|durchgefallen|geschafft)/,
+  /(è andat[oa]|andata) (molto )?(bene|male)/,
+  /(superato|bocciato|ce l'ho fatta)/
+];
 
 class MemoryService {
   constructor() {
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    // SEMANTIC RETRIEVAL SETTINGS
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    this.retrieval = {
+      limit: 5,               // Memories included in the AI context
+      candidateLimit: 50,     // Nearest memories considered for ranking
+      minSimilarity: 0.2,     // Below this a memory is off-topic for the message
+      duplicateSimilarity: 0.9, // Same type and at least this close = same memory
+      recencyHalfLifeDays: 30,
+      weights: { similarity: 0.6, importance: 0.25, recency: 0.15 }
+    };
+
+    // Detected on first use (see getVectorStore); null = no embedding column
+    this.vectorStore = undefined;
+
+    // Types the extractor and users may assign
+    this.memoryTypes = MEMORY_TYPES;
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    // LLM EXTRACTION SETTINGS
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    this.extraction = {
+      model: 'gpt-4o-mini',
+      maxPerMessage: 3,
+      minMessageLength: 12,     // Shorter messages ("ok", "thanks!") hold nothing to remember
+      expiryDaysAfterEvent: 14, // Dated memories stay long enough to follow up
+      defaultExpiryDays: { emotion: 30 } // Undated moods fade
+    };
+
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
     // MEMORY EXTRACTION PATTERNS (Multilingual)
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -245,98 +320,110 @@ class MemoryService {
    * 🎯 EXTRACT AND STORE MEMORIES
    * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
    *
-   * Analyzes user message for important topics and stores them as memories
+   * Extracts structured memories from a user message and stores them. The
+   * LLM does the extraction; the keyword patterns take over when the model
+   * is unavailable or its reply is unusable. Relative dates are resolved
+   * in the user's timezone.
    *
    * @param {string} userMessage - The user's message content
    * @param {string} userId - UUID of the user
+   * @param {Object} options - { language, timezone, now }
    * @returns {Promise<number>} Number of new memories extracted
    */
-  async extractAndStoreMemories(userMessage, userId) {
+  async extractAndStoreMemories(userMessage, userId, options = {}) {
     try {
-      const lowerMessage = userMessage.toLowerCase();
-      const memories = [];
-
-      // Scan message for each memory type
-      for (const [type, config] of Object.entries(this.patterns)) {
-        for (const keyword of config.keywords) {
-          if (lowerMessage.includes(keyword.toLowerCase())) {
-            // Extract the sentence containing the keyword
-            const sentences = userMessage.split(/[.!?¡¿]/);
-            const relevantSentence = sentences.find(s =>
-              s.toLowerCase().includes(keyword.toLowerCase())
-            );
+      const context = {
+        now: options.now || new Date(),
+        timezone: options.timezone,
+        language: options.language
+      };
 
-            if (relevantSentence && relevantSentence.trim().length > 10) {
-              memories.push({
-                type,
-                content: relevantSentence.trim(),
-                importance: config.importance,
-                keyword // For metadata
-              });
-              break; // Only extract once per type per message
-            }
-          }
-        }
+      let memories = await this._extractWithLLM(userMessage, context);
+      if (memories === null) {
+        memories = this._extractWithKeywords(userMessage, context);
       }
 
+      if (memories.length === 0) {
+        return 0;
+      }
+
+      // Embed all extracted memories in one call; without embeddings the
+      // text-based duplicate check below is used instead
+      const embedded = await this._embed(memories.map(memory => memory.content));
+      const store = embedded ? await this.getVectorStore() : null;
+
       // Store unique memories in database
       let stored = 0;
-      for (const memory of memories) {
+      for (const [index, memory] of memories.entries()) {
         try {
-          // Check if similar memory already exists (avoid duplicates)
-          const checkQuery = `
-            SELECT id FROM user_memories
-            WHERE user_id = $1
-              AND memory_type = $2
-              AND resolved = false
-              AND (
-                content ILIKE $3
-                OR similarity(content, $4) > 0.7
-              )
-            LIMIT 1
+          const embedding = store ? embedded.vectors[index] : null;
+
+          if (embedding) {
+            const duplicate = await this._findNearDuplicate(store, userId, memory, embedding, embedded.model);
+            if (duplicate) {
+              await this._touchMemory(duplicate.id, memory);
+
+              logger.getLogger().info('🧠 Near-duplicate memory refreshed', {
+                userId,
+                memoryId: duplicate.id,
+                type: memory.type,
+                similarity: Number(duplicate.similarity.toFixed(3))
+              });
+              continue;
+            }
+          } else if (await this._hasSimilarText(userId, memory)) {
+            continue;
+          }
+
+          // Store new memory
+          const insertQuery = `
+            INSERT INTO user_memories (
+              user_id,
+              memory_type,
+              content,
+              importance,
+              subject,
+              sentiment,
+              event_date,
+              expires_at,
+              metadata
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING id
           `;
 
-          const existing = await db.query(checkQuery, [
+          const inserted = await db.query(insertQuery, [
             userId,
             memory.type,
-            `%${memory.content.substring(0, 30)}%`,
-            memory.content
+            memory.content,
+            memory.importance,
+            memory.subject,
+            memory.sentiment,
+            memory.eventDate,
+            memory.expiresAt,
+            JSON.stringify({
+              keyword: memory.keyword,
+              dates: memory.dates,
+              timezone: context.timezone,
+              extracted_at: new Date().toISOString(),
+              source: memory.source
+            })
           ]);
 
-          if (existing.rows.length === 0) {
-            // Store new memory
-            const insertQuery = `
-              INSERT INTO user_memories (
-                user_id,
-                memory_type,
-                content,
-                importance,
-                metadata
-              ) VALUES ($1, $2, $3, $4, $5)
-              RETURNING id
-            `;
-
-            await db.query(insertQuery, [
-              userId,
-              memory.type,
-              memory.content,
-              memory.importance,
-              JSON.stringify({
-                keyword: memory.keyword,
-                extracted_at: new Date().toISOString(),
-                source: 'auto_extraction'
-              })
-            ]);
-
-            stored++;
-
-            logger.getLogger().info('🧠 New memory extracted and stored', {
-              userId,
-              type: memory.type,
-              importance: memory.importance,
-              contentPreview: memory.content.substring(0, 50)
-            });
+          if (embedding) {
+            await store.save(inserted.rows[0].id, embedding, embedded.model);
           }
+
+          stored++;
+
+          logger.getLogger().info('🧠 New memory extracted and stored', {
+            userId,
+            type: memory.type,
+            importance: memory.importance,
+            source: memory.source,
+            eventDate: memory.eventDate,
+            embedded: Boolean(embedding),
+            contentPreview: memory.content.substring(0, 50)
+          });
         } catch (error) {
           logger.logError(error, {
             context: 'store_individual_memory',
@@ -362,12 +449,172 @@ class MemoryService {
     }
   }
 
+  /**
+   * Structured extraction by the "memory_extraction" LLM route
+   * @returns {Promise<Array|null>} Normalized memories, or null to fall back to keywords
+   */
+  async _extractWithLLM(message, context) {
+    if (!llmService.isAvailable('memory_extraction')) {
+      return null;
+    }
+    if ((message || '').trim().length < this.extraction.minMessageLength) {
+      return [];
+    }
+
+    try {
+      const today = startOfToday(context.timezone, context.now);
+      const completion = await llmService.chat('memory_extraction', {
+        model: this.extraction.model,
+        messages: [
+          { role: 'system', content: this._extractionPrompt(today) },
+          { role: 'user', content: message }
+        ],
+        response_format: { type: 'json_object' },
+        temperature: 0,
+        max_tokens: 600
+      });
+
+      const text = (completion.choices[0].message.content || '')
+        .trim()
+        .replace(/^```(?:json)?\s*|\s*```$/g, '');
+      const parsed = JSON.parse(text);
+      if (!parsed || !Array.isArray(parsed.memories)) {
+        throw new Error('Memory extraction reply has no memories array');
+      }
+
+      return parsed.memories
+        .map(raw => this._normalizeExtracted(raw, context))
+        .filter(Boolean)
+        .slice(0, this.extraction.maxPerMessage);
+    } catch (error) {
+      logger.logError(error, { context: 'llm_memory_extraction' });
+      return null;
+    }
+  }
+
+  _extractionPrompt(today) {
+    return `You extract long-term memories from a user's message to their life coach.
+Today is ${today.format('dddd YYYY-MM-DD')} in the user's timezone.
+
+Return JSON {"memories": [...]} with one entry per fact worth remembering weeks from now:
+- type: ${MEMORY_TYPES.join(' | ')}
+- content: one short sentence in the user's language
+- subject: who or what it is about, 1-4 words (e.g. "job interview", "mother")
+- dates: every date the fact refers to, as {"text": the exact words from the message, "date": "YYYY-MM-DD" resolved against today}
+- sentiment: ${SENTIMENTS.join(' | ')}
+- importance: 1-10 (10 death or serious illness, 7-9 major events and goals, 4-6 ongoing challenges, 1-3 minor)
+- expires_at: "YYYY-MM-DD" after which it is no longer worth bringing up, or null while it stays relevant
+
+Skip small talk, questions about astrology and passing moods. Return {"memories": []} when there is nothing to remember.`;
+  }
+
+  /**
+   * Validate one LLM memory. Date phrases are re-resolved locally and the
+   * model's date is only used for phrases the resolver does not know
+   * (e.g. "March 3rd").
+   */
+  _normalizeExtracted(raw, context) {
+    if (!raw || !MEMORY_TYPES.includes(raw.type) || typeof raw.content !== 'string' || !raw.content.trim()) {
+      return null;
+    }
+
+    const dates = (Array.isArray(raw.dates) ? raw.dates : [])
+      .map(mention => {
+        const text = typeof mention === 'string' ? mention : mention && mention.text;
+        const [local] = text ? findDateMentions(text, context) : [];
+        if (local) return { text, date: local.date, precision: local.precision };
+
+        const date = mention && ISO_DATE.test(mention.date) ? mention.date : null;
+        return date ? { text: text || date, date, precision: 'day' } : null;
+      })
+      .filter(Boolean);
+
+    const importance = Math.round(Number(raw.importance));
+
+    return this._finalizeMemory({
+      type: raw.type,
+      content: raw.content.trim().substring(0, 500),
+      subject: typeof raw.subject === 'string' && raw.subject.trim() ? raw.subject.trim().substring(0, 100) : null,
+      sentiment: SENTIMENTS.includes(raw.sentiment) ? raw.sentiment : null,
+      importance: importance >= 1 && importance <= 10 ? importance : this.patterns[raw.type].importance,
+      dates,
+      expiresOn: ISO_DATE.test(raw.expires_at) ? raw.expires_at : null,
+      source: 'llm_extraction'
+    }, context);
+  }
+
+  /**
+   * Offline fallback: keyword patterns, one memory per type
+   */
+  _extractWithKeywords(userMessage, context) {
+    const lowerMessage = userMessage.toLowerCase();
+    const memories = [];
+
+    // Scan message for each memory type
+    for (const [type, config] of Object.entries(this.patterns)) {
+      for (const keyword of config.keywords) {
+        if (lowerMessage.includes(keyword.toLowerCase())) {
+          // Extract the sentence containing the keyword
+          const sentences = userMessage.split(/[.!?¡¿]/);
+          const relevantSentence = sentences.find(s =>
+            s.toLowerCase().includes(keyword.toLowerCase())
+          );
+
+          if (relevantSentence && relevantSentence.trim().length > 10) {
+            memories.push(this._finalizeMemory({
+              type,
+              content: relevantSentence.trim(),
+              subject: null,
+              sentiment: null,
+              importance: config.importance,
+              dates: findDateMentions(relevantSentence, context),
+              expiresOn: null,
+              keyword, // For metadata
+              source: 'auto_extraction'
+            }, context));
+            break; // Only extract once per type per message
+          }
+        }
+      }
+    }
+
+    return memories;
+  }
+
+  /**
+   * Event date (first upcoming date, else the latest one) and expiry.
+   * Without an explicit expiry, dated memories expire expiryDaysAfterEvent
+   * after the event and some undated types after defaultExpiryDays.
+   */
+  _finalizeMemory({ expiresOn: explicitExpiry, ...memory }, context) {
+    const today = startOfToday(context.timezone, context.now);
+    const todayDate = today.format('YYYY-MM-DD');
+    const sorted = memory.dates.map(mention => mention.date).sort();
+    const eventDate = sorted.find(date => date >= todayDate) || sorted[sorted.length - 1] || null;
+
+    let expiresOn = explicitExpiry;
+    if (!expiresOn && eventDate && eventDate >= todayDate) {
+      expiresOn = moment.utc(eventDate).add(this.extraction.expiryDaysAfterEvent, 'days').format('YYYY-MM-DD');
+    } else if (!expiresOn && this.extraction.defaultExpiryDays[memory.type]) {
+      expiresOn = today.clone().add(this.extraction.defaultExpiryDays[memory.type], 'days').format('YYYY-MM-DD');
+    }
+
+    return {
+      ...memory,
+      eventDate,
+      // End of the expiry day in the user's timezone
+      expiresAt: expiresOn ? moment.tz(expiresOn, today.tz()).endOf('day').toISOString() : null
+    };
+  }
+
   /**
    * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
    * 💭 GET RELEVANT MEMORIES
    * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
    *
-   * Retrieves relevant memories to include in AI context
+   * Retrieves the memories most relevant to the current message: semantic
+   * similarity blended with importance and recency decay. Without a message
+   * or embeddings, falls back to importance and recency alone.
    *
    * @param {string} userId - UUID of the user
    * @param {string} currentMessage - Current user message (for relevance)
@@ -376,31 +623,14 @@ class MemoryService {
    */
   async getRelevantMemories(userId, currentMessage = '', language = 'en') {
     try {
-      // Get unresolved memories sorted by importance
-      const query = `
-        SELECT
-          id,
-          memory_type,
-          content,
-          importance,
-          mentioned_at,
-          EXTRACT(DAY FROM NOW() - mentioned_at)::INT as days_ago,
-          metadata
-        FROM user_memories
-        WHERE user_id = $1
-          AND resolved = false
-        ORDER BY importance DESC, mentioned_at DESC
-        LIMIT 5
-      `;
-
-      const result = await db.query(query, [userId]);
+      const memories = await this.rankMemories(userId, currentMessage);
 
-      if (result.rows.length === 0) {
+      if (memories.length === 0) {
         return null; // No memories to include
       }
 
       // Update last_referenced timestamp
-      const memoryIds = result.rows.map(m => m.id);
+      const memoryIds = memories.map(m => m.id);
       await db.query(
         `UPDATE user_memories
          SET last_referenced = NOW()
@@ -520,13 +750,14 @@ class MemoryService {
       memoryContext += `🧠 ${t.title}:\n`;
       memoryContext += '━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n';
 
-      for (const mem of result.rows) {
+      for (const mem of memories) {
         const daysAgo = parseInt(mem.days_ago);
         const timeStr = daysAgo === 0 ? t.today :
                         daysAgo === 1 ? t.yesterday :
                         `${daysAgo} ${t.daysAgo}`;
 
-        memoryContext += `[${mem.memory_type.toUpperCase()}] ${mem.content}\n`;
+        const eventStr = mem.event_date ? ` 📅 ${mem.event_date}` : '';
+        memoryContext += `[${mem.memory_type.toUpperCase()}] ${mem.content}${eventStr}\n`;
         memoryContext += `   (${t.mentioned} ${timeStr}, ${t.importance}: ${mem.importance}/10)\n\n`;
       }
 
@@ -538,7 +769,8 @@ class MemoryService {
 
       logger.getLogger().info('💭 Retrieved memories for AI context', {
         userId,
-        count: result.rows.length,
+        count: memories.length,
+        semantic: memories.some(m => m.similarity !== undefined),
         language
       });
 
@@ -553,6 +785,218 @@ class MemoryService {
     }
   }
 
+  /**
+   * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+   * 🧭 RANK MEMORIES
+   * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+   *
+   * Scores unresolved memories against the current message:
+   *   score = 0.6 × similarity + 0.25 × importance/10 + 0.15 × recency
+   * where recency halves every 30 days. Memories below minSimilarity are
+   * dropped so an unrelated memory never fills a slot. Memories the user
+   * pinned are always kept and listed first. Without a message,
+   * embeddings or a vector store, only importance and recency are scored.
+   *
+   * @param {string} userId - UUID of the user
+   * @param {string} currentMessage - Current user message
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>} Memory rows with score (and similarity when semantic)
+   */
+  async rankMemories(userId, currentMessage = '', { limit = this.retrieval.limit } = {}) {
+    const message = (currentMessage || '').trim();
+    const embedded = message ? await this._embed([message]) : null;
+    const store = embedded ? await this.getVectorStore() : null;
+
+    let candidates;
+    if (store) {
+      const [queryEmbedding] = embedded.vectors;
+      candidates = await store.search(userId, queryEmbedding, {
+        model: embedded.model,
+        limit: this.retrieval.candidateLimit
+      });
+      await this._embedMissing(store, candidates, queryEmbedding, embedded.model);
+      candidates = candidates.filter(memory =>
+        memory.pinned || memory.similarity >= this.retrieval.minSimilarity
+      );
+    } else {
+      const result = await db.query(
+        `SELECT
+           id,
+           memory_type,
+           content,
+           importance,
+           subject,
+           TO_CHAR(event_date, 'YYYY-MM-DD') as event_date,
+           pinned,
+           mentioned_at,
+           EXTRACT(DAY FROM NOW() - mentioned_at)::INT as days_ago,
+           metadata
+         FROM user_memories
+         WHERE user_id = $1
+           AND resolved = false
+           AND (pinned OR expires_at IS NULL OR expires_at > NOW())
+         ORDER BY pinned DESC, importance DESC, mentioned_at DESC
+         LIMIT $2`,
+        [userId, this.retrieval.candidateLimit]
+      );
+      candidates = result.rows;
+    }
+
+    // Pinned memories come first whatever the message is about
+    return candidates
+      .map(memory => ({ ...memory, score: this._scoreMemory(memory) }))
+      .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Blended relevance score; rows without a similarity property are scored
+   * on importance and recency only
+   */
+  _scoreMemory(memory) {
+    const { weights, recencyHalfLifeDays } = this.retrieval;
+    const importance = (Number(memory.importance) || 5) / 10;
+    const daysAgo = Math.max(0, Number(memory.days_ago) || 0);
+    const recency = Math.pow(0.5, daysAgo / recencyHalfLifeDays);
+
+    if (memory.similarity === undefined) {
+      return (weights.importance * importance + weights.recency * recency) /
+        (weights.importance + weights.recency);
+    }
+
+    return weights.similarity * memory.similarity +
+      weights.importance * importance +
+      weights.recency * recency;
+  }
+
+  /**
+   * Vector store matching the database (pgvector or in-process cosine),
+   * detected once. Null until migration 019 adds the embedding column.
+   */
+  async getVectorStore() {
+    if (this.vectorStore === undefined) {
+      try {
+        this.vectorStore = await detectVectorStore(db);
+        logger.getLogger().info('🧭 Memory vector store selected', {
+          store: this.vectorStore ? this.vectorStore.name : 'none'
+        });
+      } catch (error) {
+        logger.logError(error, { context: 'detect_memory_vector_store' });
+        return null; // Not cached, so the next call retries
+      }
+    }
+    return this.vectorStore;
+  }
+
+  /**
+   * Swap the vector store (any object with save() and search())
+   */
+  setVectorStore(store) {
+    this.vectorStore = store;
+  }
+
+  /**
+   * Embed texts through the "embeddings" LLM route
+   * @returns {Promise<{model: string, vectors: number[][]}|null>} null when unavailable
+   */
+  async _embed(texts) {
+    if (!llmService.isAvailable('embeddings', 'embedding')) {
+      return null;
+    }
+
+    try {
+      const response = await llmService.embed('embeddings', { input: texts });
+      const vectors = [...response.data]
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+
+      return { model: response.model, vectors };
+    } catch (error) {
+      logger.logError(error, { context: 'embed_memories', count: texts.length });
+      return null;
+    }
+  }
+
+  /**
+   * Memories stored before embeddings existed (or embedded with another
+   * model) have no similarity yet: embed them now so they can be ranked,
+   * and save the vectors in the background
+   */
+  async _embedMissing(store, candidates, queryEmbedding, model) {
+    const missing = candidates.filter(memory => memory.similarity === null).slice(0, 20);
+    if (missing.length === 0) return;
+
+    const embedded = await this._embed(missing.map(memory => memory.content));
+    if (!embedded) return;
+
+    missing.forEach((memory, index) => {
+      memory.similarity = cosineSimilarity(queryEmbedding, embedded.vectors[index]);
+    });
+
+    Promise.all(missing.map((memory, index) => store.save(memory.id, embedded.vectors[index], model)))
+      .catch(error => logger.logError(error, { context: 'backfill_memory_embeddings' }));
+  }
+
+  /**
+   * Closest unresolved memory of the same type when it is a near duplicate
+   */
+  async _findNearDuplicate(store, userId, memory, embedding, model) {
+    const [closest] = await store.search(userId, embedding, {
+      model,
+      memoryType: memory.type,
+      limit: 1
+    });
+
+    if (closest && closest.similarity !== null && closest.similarity >= this.retrieval.duplicateSimilarity) {
+      return closest;
+    }
+    return null;
+  }
+
+  /**
+   * A repeated mention refreshes the existing memory instead of adding a row;
+   * new dates (a rescheduled interview) replace the old ones
+   */
+  async _touchMemory(memoryId, memory) {
+    await db.query(
+      `UPDATE user_memories
+       SET mentioned_at = NOW(),
+           mention_count = mention_count + 1,
+           importance = GREATEST(importance, $2),
+           event_date = COALESCE($3::DATE, event_date),
+           expires_at = COALESCE($4::TIMESTAMPTZ, expires_at)
+       WHERE id = $1`,
+      [memoryId, memory.importance, memory.eventDate, memory.expiresAt]
+    );
+  }
+
+  /**
+   * Text-based duplicate check used when embeddings are unavailable
+   */
+  async _hasSimilarText(userId, memory) {
+    const checkQuery = `
+      SELECT id FROM user_memories
+      WHERE user_id = $1
+        AND memory_type = $2
+        AND resolved = false
+        AND (pinned OR expires_at IS NULL OR expires_at > NOW())
+        AND (
+          content ILIKE $3
+          OR similarity(content, $4) > 0.7
+        )
+      LIMIT 1
+    `;
+
+    const existing = await db.query(checkQuery, [
+      userId,
+      memory.type,
+      `%${memory.content.substring(0, 30)}%`,
+      memory.content
+    ]);
+
+    return existing.rows.length > 0;
+  }
+
   /**
    * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
    * ✅ RESOLVE MEMORY
@@ -613,13 +1057,17 @@ class MemoryService {
    * 🔍 DETECT RESOLUTION IN MESSAGE
    * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
    *
-   * Detects if user is reporting resolution of a previous issue/goal
+   * Detects if user is reporting resolution of a previous issue/goal.
+   * With options.memory the message replies to a follow-up about that
+   * memory, so any reported outcome resolves it.
    *
    * @param {string} message - User's message
    * @param {string} userId - UUID of the user
-   * @returns {Promise<void>}
+   * @param {Object} [options]
+   * @param {Object} [options.memory] - Followed-up memory ({ id })
+   * @returns {Promise<boolean>} True if a memory was resolved
    */
-  async detectAndResolve(message, userId) {
+  async detectAndResolve(message, userId, { memory = null } = {}) {
     try {
       const lowerMessage = message.toLowerCase();
 
@@ -651,6 +1099,18 @@ class MemoryService {
         { pattern: /(superato|passato).*(esame|colloquio)/, type: 'milestone' }
       ];
 
+      if (memory) {
+        const reportsOutcome = [...resolutionPatterns.map(r => r.pattern), ...OUTCOME_PATTERNS]
+          .some(pattern => pattern.test(lowerMessage));
+
+        return reportsOutcome && this._resolveMemoryById(
+          userId,
+          memory.id,
+          `Follow-up reply: ${message.substring(0, 100)}`
+        );
+      }
+
+      let resolved = false;
       for (const { pattern, type } of resolutionPatterns) {
         if (pattern.test(lowerMessage)) {
           // Get recent memories of this type
@@ -676,25 +1136,51 @@ class MemoryService {
 
             if (overlap.length >= 2) {
               // Found likely match - resolve it
-              await this.resolveMemory(
+              resolved = await this.resolveMemory(
                 userId,
                 memory.content.substring(0, 30),
                 `Auto-resolved: ${message.substring(0, 100)}`
-              );
+              ) || resolved;
               break;
             }
           }
         }
       }
 
+      return resolved;
+
     } catch (error) {
       logger.logError(error, {
         context: 'detect_and_resolve',
         userId
       });
+      return false;
     }
   }
 
+  /**
+   * Resolve one memory by id (follow-up replies)
+   */
+  async _resolveMemoryById(userId, memoryId, resolution) {
+    const result = await db.query(
+      `UPDATE user_memories
+       SET resolved = true, resolution_note = $3, resolved_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND resolved = false
+       RETURNING id, memory_type`,
+      [memoryId, userId, resolution]
+    );
+
+    if (result.rows.length === 0) return false;
+
+    logger.getLogger().info('✅ Memory resolved', {
+      userId,
+      memoryId,
+      type: result.rows[0].memory_type,
+      resolution
+    });
+    return true;
+  }
+
   /**
    * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
    * 📊 GET MEMORY STATS
@@ -757,26 +1243,20 @@ class MemoryService {
       const limit = options.limit || 50;
       const offset = options.offset || 0;
       const includeResolved = options.includeResolved || false;
+      const memoryType = options.memoryType || null;
 
       const query = `
         SELECT
-          id,
-          memory_type,
-          content,
-          importance,
-          mentioned_at,
-          resolved,
-          resolution_note,
-          resolved_at,
-          metadata
+          ${MEMORY_LIST_COLUMNS}
         FROM user_memories
         WHERE user_id = $1
           ${includeResolved ? '' : 'AND resolved = false'}
-        ORDER BY importance DESC, mentioned_at DESC
+          AND ($4::VARCHAR IS NULL OR memory_type = $4)
+        ORDER BY pinned DESC, importance DESC, mentioned_at DESC
         LIMIT $2 OFFSET $3
       `;
 
-      const result = await db.query(query, [userId, limit, offset]);
+      const result = await db.query(query, [userId, limit, offset, memoryType]);
 
       return result.rows;
 
@@ -830,6 +1310,85 @@ class MemoryService {
     }
   }
 
+  /**
+   * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+   * ✏️ UPDATE MEMORY
+   * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+   *
+   * User edits to a memory. Editing the content drops its embedding so
+   * retrieval re-embeds the new text; pinning keeps the memory in every
+   * coach conversation.
+   *
+   * @param {string} userId - UUID of the user
+   * @param {string} memoryId - UUID of the memory
+   * @param {Object} changes - Any of content, memoryType, importance,
+   *   subject, eventDate (YYYY-MM-DD or null), pinned, resolved
+   * @returns {Promise<Object|null>} Updated memory, null if not found
+   */
+  async updateMemory(userId, memoryId, changes = {}) {
+    const assignments = [];
+    const values = [memoryId, userId];
+    const set = (column, value) => {
+      values.push(value);
+      assignments.push(`${column} = $${values.length}`);
+    };
+
+    if (changes.content !== undefined) {
+      set('content', String(changes.content).trim());
+      if (await this.getVectorStore()) {
+        assignments.push('embedding = NULL', 'embedding_model = NULL');
+      }
+    }
+    if (changes.memoryType !== undefined) {
+      if (!MEMORY_TYPES.includes(changes.memoryType)) {
+        throw new Error(`Unknown memory type: ${changes.memoryType}`);
+      }
+      set('memory_type', changes.memoryType);
+    }
+    if (changes.importance !== undefined) {
+      set('importance', Math.min(10, Math.max(1, Math.round(Number(changes.importance)))));
+    }
+    if (changes.subject !== undefined) {
+      set('subject', changes.subject ? String(changes.subject).slice(0, 100) : null);
+    }
+    if (changes.eventDate !== undefined) {
+      if (changes.eventDate !== null && !ISO_DATE.test(changes.eventDate)) {
+        throw new Error(`Invalid event date: ${changes.eventDate}`);
+      }
+      set('event_date', changes.eventDate);
+    }
+    if (changes.pinned !== undefined) {
+      set('pinned', Boolean(changes.pinned));
+    }
+    if (changes.resolved !== undefined) {
+      const resolved = Boolean(changes.resolved);
+      set('resolved', resolved);
+      set('resolution_note', resolved ? 'Resolved by user' : null);
+      assignments.push(resolved ? 'resolved_at = NOW()' : 'resolved_at = NULL');
+    }
+
+    if (assignments.length === 0) {
+      throw new Error('No memory fields to update');
+    }
+
+    const result = await db.query(
+      `UPDATE user_memories
+       SET ${assignments.join(", ")}
+       WHERE id = $1 AND user_id = $2
+       RETURNING ${MEMORY_LIST_COLUMNS}`,
+      values
+    );
+
+    if (result.rows.length === 0) return null;
+
+    logger.getLogger().info('✏️ Memory updated', {
+      userId,
+      memoryId,
+      fields: Object.keys(changes)
+    });
+    return result.rows[0];
+  }
+
   /**
    * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
    * 🧪 HEALTH CHECK
@@ -840,9 +1399,13 @@ class MemoryService {
       // Test database connection
       await db.query('SELECT COUNT(*) FROM user_memories');
 
+      const store = await this.getVectorStore();
+
       return {
         healthy: true,
         service: 'MemoryService',
+        vectorStore: store ? store.name : 'none',
+        embeddings: llmService.isAvailable('embeddings', 'embedding'),
         timestamp: new Date().toISOString()
       };
 
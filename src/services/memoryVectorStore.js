@@ -0,0 +1,167 @@
+/**
+ * 🧭 MEMORY VECTOR STORE
+ *
+ * Similarity search over user_memories embeddings (migration 019). Two
+ * interchangeable backends share one interface:
+ * - PgVectorStore: embedding is a pgvector column, ranked in SQL with <=>
+ * - CosineVectorStore: embedding is REAL[], ranked in process
+ *
+ * Searches skip resolved and expired memories; pinned memories never expire.
+ *
+ * Store interface:
+ * - save(memoryId, embedding, model)
+ * - search(userId, embedding, { model, memoryType, limit }) → memory rows
+ *   with similarity (null when the row has no embedding for that model)
+ *
+ * Vectors from different embedding models are never compared; rows carry
+ * embedding_model and only matching rows get a similarity.
+ */
+
+const MEMORY_COLUMNS = `
+  id,
+  memory_type,
+  content,
+  importance,
+  subject,
+  sentiment,
+  TO_CHAR(event_date, 'YYYY-MM-DD') as event_date,
+  mentioned_at,
+  mention_count,
+  pinned,
+  EXTRACT(DAY FROM NOW() - mentioned_at)::INT as days_ago,
+  metadata`;
+
+/**
+ * Cosine similarity of two equal-length vectors (0 when either is empty)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * pgvector-backed store
+ */
+class PgVectorStore {
+  constructor(db) {
+    this.db = db;
+    this.name = 'pgvector';
+  }
+
+  toVectorLiteral(embedding) {
+    return `[${embedding.join(',')}]`;
+  }
+
+  async save(memoryId, embedding, model) {
+    await this.db.query(
+      `UPDATE user_memories
+       SET embedding = $2::vector, embedding_model = $3
+       WHERE id = $1`,
+      [memoryId, this.toVectorLiteral(embedding), model]
+    );
+  }
+
+  async search(userId, embedding, { model, memoryType = null, limit = 50 } = {}) {
+    const result = await this.db.query(
+      `SELECT ${MEMORY_COLUMNS},
+         CASE WHEN embedding_model = $3
+           THEN 1 - (embedding <=> $2::vector)
+         END as similarity
+       FROM user_memories
+       WHERE user_id = $1
+         AND resolved = false
+         AND (pinned OR expires_at IS NULL OR expires_at > NOW())
+         AND ($4::VARCHAR IS NULL OR memory_type = $4)
+       ORDER BY similarity DESC NULLS LAST, importance DESC, mentioned_at DESC
+       LIMIT $5`,
+      [userId, this.toVectorLiteral(embedding), model, memoryType, limit]
+    );
+
+    return result.rows.map(row => ({
+      ...row,
+      similarity: row.similarity === null ? null : Number(row.similarity)
+    }));
+  }
+}
+
+/**
+ * REAL[]-backed store ranked in process, for databases without pgvector.
+ * Users hold tens of memories, so scanning a user's rows stays cheap.
+ */
+class CosineVectorStore {
+  constructor(db, { maxScan = 500 } = {}) {
+    this.db = db;
+    this.name = 'cosine';
+    this.maxScan = maxScan;
+  }
+
+  async save(memoryId, embedding, model) {
+    await this.db.query(
+      `UPDATE user_memories
+       SET embedding = $2::REAL[], embedding_model = $3
+       WHERE id = $1`,
+      [memoryId, embedding, model]
+    );
+  }
+
+  async search(userId, embedding, { model, memoryType = null, limit = 50 } = {}) {
+    const result = await this.db.query(
+      `SELECT ${MEMORY_COLUMNS},
+         CASE WHEN embedding_model = $2 THEN embedding END as embedding
+       FROM user_memories
+       WHERE user_id = $1
+         AND resolved = false
+         AND (pinned OR expires_at IS NULL OR expires_at > NOW())
+         AND ($3::VARCHAR IS NULL OR memory_type = $3)
+       ORDER BY mentioned_at DESC
+       LIMIT $4`,
+      [userId, model, memoryType, this.maxScan]
+    );
+
+    return result.rows
+      .map(({ embedding: stored, ...row }) => ({
+        ...row,
+        similarity: stored ? cosineSimilarity(embedding, stored.map(Number)) : null
+      }))
+      .sort((a, b) =>
+        (b.similarity ?? -Infinity) - (a.similarity ?? -Infinity) ||
+        b.importance - a.importance
+      )
+      .slice(0, limit);
+  }
+}
+
+/**
+ * Store matching the embedding column's type, or null when migration 019
+ * has not run
+ */
+async function detectVectorStore(db) {
+  const result = await db.query(
+    `SELECT udt_name
+     FROM information_schema.columns
+     WHERE table_name = 'user_memories' AND column_name = 'embedding'`
+  );
+
+  const columnType = result.rows[0] && result.rows[0].udt_name;
+  if (columnType === 'vector') return new PgVectorStore(db);
+  if (columnType === '_float4') return new CosineVectorStore(db);
+  return null;
+}
+
+module.exports = {
+  PgVectorStore,
+  CosineVectorStore,
+  cosineSimilarity,
+  detectVectorStore
+};
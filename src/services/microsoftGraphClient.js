@@ -0,0 +1,194 @@
+/**
+ * MICROSOFT GRAPH CALENDAR CLIENT
+ *
+ * Thin wrapper over the Graph REST API for Outlook calendars
+ * Features:
+ * - Calendar list and /me/calendarView reads (paged via @odata.nextLink)
+ * - calendarView delta queries returning a deltaLink for the next sync
+ * - Event creation
+ *
+ * Times are requested in UTC (Prefer: outlook.timezone) so events from
+ * different mailboxes compare directly. `baseUrl` can point at a mock server.
+ */
+
+const axios = require('axios');
+const moment = require('moment-timezone');
+
+const GRAPH_DATE_TIME = 'YYYY-MM-DDTHH:mm:ss';
+
+class MicrosoftGraphClient {
+    constructor({ accessToken, baseUrl = 'https://graph.microsoft.com/v1.0', timeout = 15000, maxPages = 50 } = {}) {
+        if (!accessToken) {
+            throw new Error('Microsoft Graph access token is required');
+        }
+
+        this.accessToken = accessToken;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.timeout = timeout;
+        this.maxPages = maxPages;
+    }
+
+    async getCalendars() {
+        const calendars = await this.getAllPages('/me/calendars', {
+            $select: 'id,name,color,isDefaultCalendar,canEdit'
+        });
+
+        return calendars.map(calendar => ({
+            id: calendar.id,
+            displayName: calendar.name,
+            color: calendar.color || null,
+            isDefault: Boolean(calendar.isDefaultCalendar),
+            canEdit: calendar.canEdit !== false
+        }));
+    }
+
+    /**
+     * Events (with recurring instances expanded) in the date range
+     */
+    async getCalendarView(start, end) {
+        const events = await this.getAllPages('/me/calendarView', {
+            startDateTime: moment.utc(start).toISOString(),
+            endDateTime: moment.utc(end).toISOString(),
+            $orderby: 'start/dateTime'
+        });
+
+        return events.map(normalizeEvent);
+    }
+
+    /**
+     * Incremental calendarView sync
+     *
+     * Without a deltaLink this runs the initial round for the range; with one
+     * it returns only what changed since that link was issued. Removed events
+     * come back in `removed` as Graph ids.
+     */
+    async getCalendarViewDelta({ start, end, deltaLink } = {}) {
+        let url = deltaLink || this.buildUrl('/me/calendarView/delta', {
+            startDateTime: moment.utc(start).toISOString(),
+            endDateTime: moment.utc(end).toISOString()
+        });
+
+        const events = [];
+        const removed = [];
+
+        for (let page = 0; page < this.maxPages; page++) {
+            const data = await this.request('GET', url);
+
+            for (const item of data.value || []) {
+                if (item['@removed']) {
+                    removed.push(item.id);
+                } else {
+                    events.push(normalizeEvent(item));
+                }
+            }
+
+            if (data['@odata.deltaLink']) {
+                return { events, removed, deltaLink: data['@odata.deltaLink'] };
+            }
+            if (!data['@odata.nextLink']) break;
+            url = data['@odata.nextLink'];
+        }
+
+        throw new Error('Microsoft Graph delta query did not return a deltaLink');
+    }
+
+    async createEvent(event, calendarId = null) {
+        const path = calendarId ? `/me/calendars/${encodeURIComponent(calendarId)}/events` : '/me/events';
+        const created = await this.request('POST', this.buildUrl(path), event);
+
+        return normalizeEvent(created);
+    }
+
+    // REQUEST HELPERS
+
+    async getAllPages(path, params) {
+        let url = this.buildUrl(path, params);
+        const items = [];
+
+        for (let page = 0; page < this.maxPages && url; page++) {
+            const data = await this.request('GET', url);
+            items.push(...(data.value || []));
+            url = data['@odata.nextLink'];
+        }
+
+        return items;
+    }
+
+    buildUrl(path, params = {}) {
+        const url = new URL(`${this.baseUrl}${path}`);
+        for (const [key, value] of Object.entries(params)) {
+            url.searchParams.set(key, value);
+        }
+        return url.toString();
+    }
+
+    async request(method, url, data) {
+        const response = await axios({
+            method,
+            url,
+            data,
+            headers: {
+                Authorization: `Bearer ${this.accessToken}`,
+                Prefer: 'outlook.timezone="UTC"',
+                ...(data ? { 'Content-Type': 'application/json' } : {})
+            },
+            timeout: this.timeout,
+            validateStatus: () => true
+        });
+
+        if (response.status >= 400) {
+            const graphError = response.data && response.data.error;
+            const error = new Error(`Microsoft Graph ${method} failed with status ${response.status}${graphError ? `: ${graphError.code}` : ''}`);
+            error.status = response.status;
+            error.code = graphError ? graphError.code : undefined;
+            throw error;
+        }
+
+        return response.data;
+    }
+}
+
+function toUtcIso(dateTimeTimeZone) {
+    if (!dateTimeTimeZone || !dateTimeTimeZone.dateTime) return null;
+
+    const { dateTime, timeZone } = dateTimeTimeZone;
+    const zone = timeZone && moment.tz.zone(timeZone) ? timeZone : 'UTC';
+    return moment.tz(dateTime, zone).toISOString();
+}
+
+/**
+ * Graph event -> the provider-neutral shape used by calendarSyncService
+ */
+function normalizeEvent(event) {
+    return {
+        id: event.id,
+        title: event.subject || '',
+        description: event.bodyPreview || null,
+        location: event.location ? event.location.displayName || null : null,
+        start: toUtcIso(event.start),
+        end: toUtcIso(event.end),
+        allDay: Boolean(event.isAllDay),
+        status: event.isCancelled ? 'cancelled' : (event.showAs === 'tentative' ? 'tentative' : 'confirmed'),
+        categories: event.categories || [],
+        seriesMasterId: event.seriesMasterId || null,
+        webLink: event.webLink || null,
+        lastModified: event.lastModifiedDateTime || null
+    };
+}
+
+/**
+ * `{ dateTime, timeZone }` in the form Graph expects (no UTC offset)
+ */
+function toGraphDateTime(value, timeZone = 'UTC') {
+    const input = value && typeof value === 'object' && !(value instanceof Date) ? value : { dateTime: value, timeZone };
+    const zone = input.timeZone && moment.tz.zone(input.timeZone) ? input.timeZone : 'UTC';
+
+    return {
+        dateTime: moment.tz(input.dateTime, zone).format(GRAPH_DATE_TIME),
+        timeZone: zone
+    };
+}
+
+module.exports = MicrosoftGraphClient;
+module.exports.normalizeEvent = normalizeEvent;
+module.exports.toGraphDateTime = toGraphDateTime;
@@ -0,0 +1,335 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 🧭 MODEL ROUTER SERVICE
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * Picks the model and max_tokens for each AI Coach reply. Every signal adds
+ * to a score; replies scoring complexThreshold or more get the complex model:
+ * - Message: small talk and acknowledgements pull the score down, long
+ *   questions push it up
+ * - Persona: specialised coaches lean towards the complex model
+ * - Esoteric topics (esotericKnowledge.detectTopics) need more knowledge
+ * - Emotional state: users needing support get the better model, and crisis
+ *   messages always do
+ * - Conversation length: deep conversations keep more nuance
+ * - Tier: free users stay on the simple model
+ * - Monthly budget: with few complex messages left the threshold rises, and
+ *   once they are used up replies fall back to the simple model
+ *
+ * Each decision is logged with its estimated cost; recordUsage stores the
+ * actual tokens and cost (ai_coach_model_usage, migration 024) and
+ * getSpendByTier aggregates them for tuning these settings.
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const db = require('../config/db');
+const logger = require('./loggingService');
+const { MODEL_PRICING } = require('../config/llm');
+const { countMessageTokens } = require('../utils/tokenizer');
+
+const SMALL_TALK_PATTERNS = [
+  /^(hola|hi|hey|hello|buenos?\s*(días|tardes|noches)|good\s*(morning|afternoon|evening))[\s!?.]*$/i,
+  /^(adiós|adios|bye|chao|chau|hasta\s*luego|see\s*you|goodbye)[\s!?.]*$/i,
+  /^(gracias|thanks|thank\s*you|thx|ty|muchas\s*gracias)[\s!?.]*$/i,
+  /^(ok|okay|sí|si|yes|no|nope|vale|bien|genial|perfecto|cool|nice)[\s!?.]*$/i,
+  /^(cómo\s*estás|how\s*are\s*you|qué\s*tal|what'?s\s*up)[\s!?.]*$/i
+];
+
+class ModelRouterService {
+  constructor() {
+    this.settings = {
+      complexModel: 'gpt-4o',
+      simpleModel: 'gpt-4o-mini',
+      complexThreshold: 2,
+      simpleMaxTokens: 150,      // Enough for small talk
+      supportExtraTokens: 100,   // Room for an empathetic reply
+      longMessageWords: 40,
+      longConversationMessages: 8,
+      budgetReserveRatio: 0.2,   // Below this share of complex messages left...
+      budgetReservePenalty: 2,   // ...the threshold rises by this much
+      personaWeights: {
+        general: 0,
+        spiritual: 1,
+        career: 1,
+        relationship: 1,
+        wellness: 0,
+        motivational: 0
+      },
+      maxTopicPoints: 2,
+      tiers: {
+        stellar: { allowComplex: true, maxTokens: 500 },
+        premium: { allowComplex: true, maxTokens: 450 },
+        free: { allowComplex: false, maxTokens: 250 }
+      }
+    };
+  }
+
+  /**
+   * Tier of a premium status from aiCoachService._validatePremiumAccess
+   */
+  tierOf(premiumStatus = {}) {
+    if (premiumStatus.tier && this.settings.tiers[premiumStatus.tier]) {
+      return premiumStatus.tier;
+    }
+    return premiumStatus.isPremium ? 'premium' : 'free';
+  }
+
+  /**
+   * Small talk the simple model handles as well as any
+   */
+  isSmallTalk(message) {
+    const text = message.toLowerCase().trim();
+    if (text.length < 15 && SMALL_TALK_PATTERNS.some(pattern => pattern.test(text))) {
+      return true;
+    }
+    return text.split(/\s+/).length <= 3 && !text.includes('?');
+  }
+
+  /**
+   * Choose the model and max_tokens for a reply
+   *
+   * @param {Object} signals
+   * @param {string} signals.message - User message
+   * @param {string} [signals.persona='general']
+   * @param {number} [signals.personaMaxTokens] - The persona's reply length
+   * @param {string[]} [signals.topics] - Esoteric topics detected
+   * @param {Object} [signals.emotionalState] - From _detectEmotionalState
+   * @param {string} [signals.tier='free']
+   * @param {Object} [signals.monthlyUsage] - { complexUsed, complexLimit }
+   * @param {number} [signals.conversationLength] - Messages so far, summarized ones included
+   * @param {Array} [signals.messages] - Prompt messages, for the cost estimate
+   * @returns {Object} { model, maxTokens, complexity, score, threshold, tier, reasons, estimatedCostUsd }
+   */
+  route(signals) {
+    const {
+      message,
+      persona = 'general',
+      topics = [],
+      emotionalState = {},
+      monthlyUsage = {},
+      conversationLength = 0,
+      messages
+    } = signals;
+    const settings = this.settings;
+    const tier = settings.tiers[signals.tier] ? signals.tier : 'free';
+    const tierPolicy = settings.tiers[tier];
+    const reasons = [];
+    let score = 0;
+    let threshold = settings.complexThreshold;
+
+    if (this.isSmallTalk(message)) {
+      score -= 3;
+      reasons.push('small_talk');
+    } else {
+      score += 1;
+      if (message.trim().split(/\s+/).length >= settings.longMessageWords) {
+        score += 1;
+        reasons.push('long_message');
+      }
+    }
+
+    const personaWeight = settings.personaWeights[persona] || 0;
+    if (personaWeight) {
+      score += personaWeight;
+      reasons.push(`persona:${persona}`);
+    }
+
+    if (topics.length > 0) {
+      score += Math.min(topics.length, settings.maxTopicPoints);
+      reasons.push(`esoteric_topics:${topics.join(',')}`);
+    }
+
+    const crisis = Boolean(emotionalState.hasCrisisIndicators);
+    if (crisis) {
+      reasons.push('crisis');
+    } else if (emotionalState.needsExtraSupport) {
+      score += 2;
+      reasons.push('emotional_support');
+    }
+
+    if (conversationLength >= settings.longConversationMessages) {
+      score += 1;
+      reasons.push('long_conversation');
+    }
+
+    // Monthly budget of complex messages
+    const complexLeft = monthlyUsage.complexLimit
+      ? monthlyUsage.complexLimit - (monthlyUsage.complexUsed || 0)
+      : null;
+    const budgetExhausted = complexLeft !== null && complexLeft <= 0;
+    if (budgetExhausted) {
+      reasons.push('complex_budget_exhausted');
+    } else if (complexLeft !== null && complexLeft / monthlyUsage.complexLimit < settings.budgetReserveRatio) {
+      threshold += settings.budgetReservePenalty;
+      reasons.push('complex_budget_low');
+    }
+
+    if (!tierPolicy.allowComplex) {
+      reasons.push(`tier:${tier}`);
+    }
+
+    const complex = tierPolicy.allowComplex && !budgetExhausted && (crisis || score >= threshold);
+    const complexity = complex ? 'complex' : 'simple';
+    const model = complex ? settings.complexModel : settings.simpleModel;
+
+    let maxTokens = signals.personaMaxTokens || tierPolicy.maxTokens;
+    if (complexity === 'simple' && reasons.includes('small_talk')) {
+      maxTokens = Math.min(maxTokens, settings.simpleMaxTokens);
+    }
+    if (crisis || emotionalState.needsExtraSupport) {
+      maxTokens += settings.supportExtraTokens;
+    }
+    maxTokens = Math.min(maxTokens, tierPolicy.maxTokens);
+
+    const decision = {
+      model,
+      maxTokens,
+      complexity,
+      score,
+      threshold,
+      tier,
+      persona,
+      reasons,
+      // Upper bound: the full prompt plus a reply of max_tokens
+      estimatedCostUsd: messages
+        ? this.costOf(model, countMessageTokens(messages, model), maxTokens)
+        : null
+    };
+
+    logger.getLogger().info('🧭 AI Coach model routed', decision);
+    return decision;
+  }
+
+  /**
+   * Price of a model; dated snapshots (gpt-4o-2024-08-06) use their alias's
+   */
+  pricingFor(model) {
+    if (!model) return null;
+    if (MODEL_PRICING[model]) return MODEL_PRICING[model];
+
+    const alias = Object.keys(MODEL_PRICING)
+      .sort((a, b) => b.length - a.length)
+      .find(name => model.startsWith(`${name}-`));
+    return alias ? MODEL_PRICING[alias] : null;
+  }
+
+  /**
+   * Cost in USD of a call, or null for models without a price
+   */
+  costOf(model, promptTokens, completionTokens) {
+    const pricing = this.pricingFor(model);
+    if (!pricing) return null;
+
+    const cost = (promptTokens * pricing.input + completionTokens * pricing.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  /**
+   * Store the tokens and cost of a routed reply. Never throws: a reply is
+   * not failed because its bookkeeping did.
+   *
+   * @param {Object} decision - From route()
+   * @param {Object} usage - { prompt_tokens, completion_tokens }
+   * @param {string} [model] - Model that answered, when a provider route replaced the routed one
+   * @returns {Promise<number|null>} Cost in USD
+   */
+  async recordUsage(decision, usage = {}, model = decision.model) {
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const costUsd = this.costOf(model, promptTokens, completionTokens);
+
+    logger.getLogger().info('💰 AI Coach reply cost', {
+      tier: decision.tier,
+      model,
+      complexity: decision.complexity,
+      promptTokens,
+      completionTokens,
+      costUsd
+    });
+
+    try {
+      await db.query(
+        `INSERT INTO ai_coach_model_usage
+           (tier, persona, complexity, model, max_tokens, score, reasons, prompt_tokens, completion_tokens, cost_usd)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          decision.tier,
+          decision.persona,
+          decision.complexity,
+          model,
+          decision.maxTokens,
+          decision.score,
+          JSON.stringify(decision.reasons),
+          promptTokens,
+          completionTokens,
+          costUsd
+        ]
+      );
+    } catch (error) {
+      logger.logError(error, { service: 'model_router', operation: 'record_usage' });
+    }
+
+    return costUsd;
+  }
+
+  /**
+   * Spend per tier, with a breakdown per model
+   *
+   * @param {Object} [options]
+   * @param {Date|string} [options.from] - Defaults to the start of the current month
+   * @param {Date|string} [options.to] - Defaults to now
+   * @returns {Promise<Object>} { from, to, tiers: { [tier]: { replies, complexShare, costUsd, ... models } } }
+   */
+  async getSpendByTier(options = {}) {
+    const now = new Date();
+    const from = options.from ? new Date(options.from) : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = options.to ? new Date(options.to) : now;
+
+    const result = await db.query(
+      `SELECT tier, model,
+              COUNT(*)::INTEGER AS replies,
+              COUNT(*) FILTER (WHERE complexity = 'complex')::INTEGER AS complex_replies,
+              COALESCE(SUM(prompt_tokens), 0)::BIGINT AS prompt_tokens,
+              COALESCE(SUM(completion_tokens), 0)::BIGINT AS completion_tokens,
+              COALESCE(SUM(cost_usd), 0)::FLOAT AS cost_usd,
+              COUNT(*) FILTER (WHERE cost_usd IS NULL)::INTEGER AS unpriced_replies
+       FROM ai_coach_model_usage
+       WHERE created_at >= $1 AND created_at < $2
+       GROUP BY tier, model
+       ORDER BY tier, model`,
+      [from, to]
+    );
+
+    const tiers = {};
+    for (const row of result.rows) {
+      const tier = tiers[row.tier] || (tiers[row.tier] = {
+        replies: 0,
+        complexReplies: 0,
+        costUsd: 0,
+        models: {}
+      });
+      const cost = Number(row.cost_usd);
+
+      tier.replies += row.replies;
+      tier.complexReplies += row.complex_replies;
+      tier.costUsd += cost;
+      tier.models[row.model] = {
+        replies: row.replies,
+        promptTokens: Number(row.prompt_tokens),
+        completionTokens: Number(row.completion_tokens),
+        costUsd: cost,
+        unpricedReplies: row.unpriced_replies
+      };
+    }
+
+    for (const tier of Object.values(tiers)) {
+      tier.costUsd = Math.round(tier.costUsd * 1e6) / 1e6;
+      tier.complexShare = tier.replies ? tier.complexReplies / tier.replies : 0;
+      tier.costPerReplyUsd = tier.replies ? Math.round((tier.costUsd / tier.replies) * 1e6) / 1e6 : 0;
+    }
+
+    return { from: from.toISOString(), to: to.toISOString(), tiers };
+  }
+}
+
+module.exports = new ModelRouterService();
@@ -384,6 +384,58 @@ class OAuth2Service {
     }
   }
 
+  /**
+   * Exchange a refresh token for a new access token
+   */
+  async refreshAccessToken(provider, refreshToken, scopes = []) {
+    const providerConfig = this.providers[provider];
+    if (!providerConfig) {
+      throw new Error(`Unsupported OAuth2 provider: ${provider}`);
+    }
+
+    const tokenParams = {
+      grant_type: 'refresh_token',
+      client_id: providerConfig.client_id,
+      client_secret: providerConfig.client_secret,
+      refresh_token: refreshToken
+    };
+
+    if (scopes.length > 0) {
+      tokenParams.scope = scopes.join(' ');
+    }
+
+    try {
+      const response = await axios.post(providerConfig.token_endpoint, tokenParams, {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json',
+          'User-Agent': 'Zodiac-OAuth2-Client/1.0'
+        },
+        timeout: 10000
+      });
+
+      if (!response.data.access_token) {
+        throw new Error('No access token received from provider');
+      }
+
+      return {
+        ...response.data,
+        // Providers that do not rotate refresh tokens omit it from the response
+        refresh_token: response.data.refresh_token || refreshToken,
+        expires_at: response.data.expires_in ? Date.now() + (response.data.expires_in * 1000) : null
+      };
+
+    } catch (error) {
+      if (error.response) {
+        console.error('Token refresh failed:', error.response.data);
+        const refreshError = new Error(`Token refresh failed: ${error.response.data.error_description || error.response.data.error}`);
+        refreshError.code = error.response.data.error;
+        throw refreshError;
+      }
+      throw error.message === 'No access token received from provider' ? error : new Error('Token refresh request failed');
+    }
+  }
+
   /**
    * Validate OpenID Connect ID token
    */
@@ -1,11 +1,11 @@
 /**
  * PERSONALIZED HOROSCOPE SERVICE
  * 
- * Advanced astrological calculation service using Swiss Ephemeris
+ * Advanced astrological calculation service using the shared ephemeris
  * Provides hiperpersonal horoscopes based on exact birth time and location
  */
 
-const sweph = require('sweph');
+const ephemerisService = require('./ephemerisService');
 const moment = require('moment-timezone');
 const redisService = require('./redisService');
 const db = require('../config/db');
@@ -13,8 +13,6 @@ const db = require('../config/db');
 class PersonalizationService {
     constructor() {
         this.config = {
-            // Swiss Ephemeris configuration
-            swissEphPath: process.env.SWISS_EPH_PATH || './ephemeris', // Path to ephemeris files
             defaultHouseSystem: 'placidus',
             defaultAyanamsa: 'lahiri',
             
@@ -39,61 +37,11 @@ class PersonalizationService {
             transitCacheDuration: 3600, // 1 hour for current transits
         };
 
-        // Planet constants from Swiss Ephemeris
-        this.planets = {
-            sun: sweph.SE_SUN,
-            moon: sweph.SE_MOON,
-            mercury: sweph.SE_MERCURY,
-            venus: sweph.SE_VENUS,
-            mars: sweph.SE_MARS,
-            jupiter: sweph.SE_JUPITER,
-            saturn: sweph.SE_SATURN,
-            uranus: sweph.SE_URANUS,
-            neptune: sweph.SE_NEPTUNE,
-            pluto: sweph.SE_PLUTO,
-            north_node: sweph.SE_TRUE_NODE,
-            south_node: sweph.SE_TRUE_NODE, // Will subtract 180 degrees
-            chiron: sweph.SE_CHIRON,
-            ascendant: sweph.SE_ASC,
-            midheaven: sweph.SE_MC
-        };
-
-        // House system constants
-        this.houseSystems = {
-            placidus: 'P',
-            koch: 'K',
-            campanus: 'C',
-            regiomontanus: 'R',
-            equal: 'A',
-            whole_sign: 'W'
-        };
-
-        // Initialize Swiss Ephemerus
-        this.initializeSwissEphemeris();
-        
-        // // console.log('🌟 Personalization Service initialized with Swiss Ephemeris');
-    }
-
-    /**
-     * Initialize Swiss Ephemeris
-     */
-    initializeSwissEphemeris() {
-        try {
-            // Set ephemeris path
-            sweph.set_ephe_path(this.config.swissEphPath);
-
-            // Simple test calculation - just check if sweph is available
-            const testJD = sweph.julday(2024, 1, 1, 12.0, 1); // 1 for SE_GREG_CAL
+        // Bodies calculated for every chart (see ephemerisService)
+        this.planets = ephemerisService.BODIES;
 
-            if (testJD && testJD > 0) {
-                // // console.log('✅ Swiss Ephemeris initialized successfully');
-            } else {
-                console.warn('⚠️ Swiss Ephemeris test failed - using fallback');
-            }
-        } catch (error) {
-            console.error('❌ Swiss Ephemeris initialization error:', error.message);
-            console.warn('⚠️ Will use fallback calculation methods');
-        }
+        // Supported house systems (see houseSystems.js)
+        this.houseSystems = ephemerisService.HOUSE_SYSTEMS;
     }
 
     /**
@@ -103,9 +51,11 @@ class PersonalizationService {
         const cacheKey = `birth_chart:${userId}`;
         
         try {
-            // Check cache first
+            const houseSystem = this.resolveHouseSystem(birthData.house_system);
+
+            // Check cache first; a chart cast in another house system is recalculated
             const cachedChart = await redisService.get(cacheKey);
-            if (cachedChart) {
+            if (cachedChart && cachedChart.chart_metadata?.requested_house_system === houseSystem) {
                 // // console.log('📊 Retrieved birth chart from cache for user:', userId);
                 return cachedChart;
             }
@@ -119,7 +69,12 @@ class PersonalizationService {
             const planetaryPositions = await this.calculatePlanetaryPositions(julianDay);
             
             // Calculate house cusps and important points
-            const houses = await this.calculateHouses(julianDay, birthData);
+            const houses = await this.calculateHouses(julianDay, { ...birthData, house_system: houseSystem });
+
+            // Place each body in its house
+            for (const position of Object.values(planetaryPositions)) {
+                position.house = ephemerisService.assignHouse(position.longitude, houses.cusps);
+            }
             
             // Calculate aspects between planets
             const aspects = this.calculateAspects(planetaryPositions);
@@ -133,12 +88,16 @@ class PersonalizationService {
                 house_cusps: houses.cusps,
                 ascendant: houses.ascendant,
                 midheaven: houses.midheaven,
-                descendant: (houses.ascendant + 180) % 360,
-                ic: (houses.midheaven + 180) % 360,
+                descendant: houses.descendant,
+                ic: houses.ic,
+                vertex: houses.vertex,
+                east_point: houses.eastPoint,
                 aspects: aspects,
                 calculation_timestamp: new Date().toISOString(),
                 chart_metadata: {
-                    house_system: birthData.house_system || this.config.defaultHouseSystem,
+                    house_system: houses.system,
+                    requested_house_system: houses.requestedSystem,
+                    house_system_fallback_reason: houses.fallbackReason,
                     ayanamsa: birthData.ayanamsa || this.config.defaultAyanamsa,
                     coordinates: {
                         latitude: birthData.birth_latitude,
@@ -241,12 +200,7 @@ class PersonalizationService {
             birthData.birth_timezone
         ).utc();
 
-        const year = birthMoment.year();
-        const month = birthMoment.month() + 1; // moment.js months are 0-indexed
-        const day = birthMoment.date();
-        const hour = birthMoment.hour() + (birthMoment.minute() / 60.0) + (birthMoment.second() / 3600.0);
-
-        return sweph.julday(year, month, day, hour, 1); // 1 for SE_GREG_CAL
+        return ephemerisService.julianDay(birthMoment.toDate());
     }
 
     /**
@@ -254,41 +208,19 @@ class PersonalizationService {
      */
     async calculatePlanetaryPositions(julianDay) {
         const positions = {};
-        
-        try {
-            // Calculate positions for all major planets
-            for (const [planetName, planetId] of Object.entries(this.planets)) {
-                if (planetName === 'south_node') {
-                    // South node is 180 degrees opposite to north node
-                    const northNodeResult = sweph.calc_ut(julianDay, this.planets.north_node, sweph.SEFLG_SWIEPH);
-                    if (!northNodeResult.error) {
-                        positions[planetName] = (northNodeResult.longitude + 180) % 360;
-                    }
-                    continue;
-                }
-
-                if (planetName === 'ascendant' || planetName === 'midheaven') {
-                    // These are calculated separately in houses calculation
-                    continue;
-                }
 
-                const result = sweph.calc_ut(julianDay, planetId, sweph.SEFLG_SWIEPH);
-                if (result.error) {
-                    console.warn(`⚠️ Error calculating ${planetName}:`, result.error);
-                    continue;
-                }
+        try {
+            const bodies = ephemerisService.calculatePositions(julianDay, { bodies: this.planets });
 
+            for (const [planetName, result] of Object.entries(bodies)) {
                 positions[planetName] = {
                     longitude: result.longitude,
                     latitude: result.latitude,
                     distance: result.distance,
-                    longitude_speed: result.longitudeSpeed,
-                    latitude_speed: result.latitudeSpeed,
-                    distance_speed: result.distanceSpeed,
-                    house: Math.floor(result.longitude / 30) + 1, // Simple house calculation
-                    sign: this.getZodiacSign(result.longitude),
-                    degree: result.longitude % 30,
-                    retrograde: result.longitudeSpeed < 0
+                    longitude_speed: result.speed,
+                    sign: result.sign,
+                    degree: result.degree,
+                    retrograde: result.retrograde
                 };
             }
 
@@ -304,37 +236,25 @@ class PersonalizationService {
      */
     async calculateHouses(julianDay, birthData) {
         try {
-            const houseSystem = this.houseSystems[birthData.house_system] || this.houseSystems.placidus;
-            
-            const result = sweph.houses(
+            return ephemerisService.calculateHouses(
                 julianDay,
-                birthData.birth_latitude,
-                birthData.birth_longitude,
-                houseSystem
+                parseFloat(birthData.birth_latitude),
+                parseFloat(birthData.birth_longitude),
+                this.resolveHouseSystem(birthData.house_system)
             );
-
-            if (result.error) {
-                console.warn('⚠️ Error calculating houses:', result.error);
-                throw new Error('House calculation failed');
-            }
-
-            return {
-                cusps: result.houses, // Array of 12 house cusps
-                ascendant: result.ascendant,
-                midheaven: result.midheaven,
-                armc: result.armc, // Ascendant Right Ascension of Midheaven
-                vertex: result.vertex,
-                equasc: result.equasc,
-                coasc1: result.coasc1,
-                coasc2: result.coasc2,
-                polasc: result.polasc
-            };
         } catch (error) {
             console.error('❌ Error calculating houses:', error);
             throw error;
         }
     }
 
+    /**
+     * Supported house system name, or the configured default
+     */
+    resolveHouseSystem(houseSystem) {
+        return this.houseSystems.includes(houseSystem) ? houseSystem : this.config.defaultHouseSystem;
+    }
+
     /**
      * Calculate aspects between planets
      */
@@ -346,10 +266,15 @@ class PersonalizationService {
             for (let j = i + 1; j < planetNames.length; j++) {
                 const planet1 = planetNames[i];
                 const planet2 = planetNames[j];
-                const pos1 = planetaryPositions[planet1].longitude;
-                const pos2 = planetaryPositions[planet2].longitude;
+                const pos1 = planetaryPositions[planet1];
+                const pos2 = planetaryPositions[planet2];
 
-                const aspectInfo = this.calculateAspectBetweenPlanets(pos1, pos2);
+                const aspectInfo = this.calculateAspectBetweenPlanets(
+                    pos1.longitude,
+                    pos2.longitude,
+                    pos1.longitude_speed,
+                    pos2.longitude_speed
+                );
                 if (aspectInfo) {
                     aspects.push({
                         planet1,
@@ -382,14 +307,8 @@ class PersonalizationService {
             }
 
             // Calculate Julian Day for the transit date
-            const transitMoment = moment(date).utc().hour(12); // Noon UTC
-            const julianDay = sweph.julday(
-                transitMoment.year(),
-                transitMoment.month() + 1,
-                transitMoment.date(),
-                transitMoment.hour(),
-                1 // 1 for SE_GREG_CAL
-            );
+            const transitMoment = moment(date).utc().hour(12).startOf('hour'); // Noon UTC
+            const julianDay = ephemerisService.julianDay(transitMoment.toDate());
 
             // Calculate current planetary positions
             const transits = await this.calculatePlanetaryPositions(julianDay);
@@ -414,7 +333,9 @@ class PersonalizationService {
             for (const [natalPlanet, natalData] of Object.entries(natalPositions)) {
                 const aspectInfo = this.calculateAspectBetweenPlanets(
                     transitData.longitude,
-                    natalData.longitude
+                    natalData.longitude,
+                    transitData.longitude_speed,
+                    0 // natal points are fixed; only the transiting body moves
                 );
 
                 if (aspectInfo) {
@@ -438,33 +359,25 @@ class PersonalizationService {
     /**
      * Calculate aspect between two planetary positions
      */
-    calculateAspectBetweenPlanets(pos1, pos2) {
-        const diff = Math.abs(pos1 - pos2);
-        const angle = Math.min(diff, 360 - diff);
-
-        const aspectTypes = [
-            { name: 'conjunction', angle: 0, orb: this.config.aspectOrb.conjunction },
-            { name: 'opposition', angle: 180, orb: this.config.aspectOrb.opposition },
-            { name: 'trine', angle: 120, orb: this.config.aspectOrb.trine },
-            { name: 'square', angle: 90, orb: this.config.aspectOrb.square },
-            { name: 'sextile', angle: 60, orb: this.config.aspectOrb.sextile },
-            { name: 'quincunx', angle: 150, orb: this.config.aspectOrb.quincunx }
-        ];
-
-        for (const aspectType of aspectTypes) {
-            const orb = Math.abs(angle - aspectType.angle);
-            if (orb <= aspectType.orb) {
-                return {
-                    aspect: aspectType.name,
-                    orb: orb,
-                    exact: orb < 1,
-                    applying: false, // Would need speed calculations for this
-                    strength: (aspectType.orb - orb) / aspectType.orb // 1 = exact, 0 = at orb limit
-                };
-            }
+    calculateAspectBetweenPlanets(pos1, pos2, speed1, speed2) {
+        const aspectInfo = ephemerisService.findAspect(pos1, pos2, {
+            aspects: ['conjunction', 'opposition', 'trine', 'square', 'sextile', 'quincunx'],
+            orbs: this.config.aspectOrb,
+            speed1,
+            speed2
+        });
+
+        if (!aspectInfo) {
+            return null;
         }
 
-        return null;
+        return {
+            aspect: aspectInfo.aspect,
+            orb: aspectInfo.orb,
+            exact: aspectInfo.exact,
+            applying: aspectInfo.applying === true,
+            strength: aspectInfo.strength // 1 = exact, 0 = at orb limit
+        };
     }
 
     /**
@@ -539,9 +452,7 @@ class PersonalizationService {
      * Get zodiac sign from longitude
      */
     getZodiacSign(longitude) {
-        const signs = ['aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo', 
-                     'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces'];
-        return signs[Math.floor(longitude / 30)];
+        return ephemerisService.getSign(longitude);
     }
 
     /**
@@ -827,7 +738,7 @@ class PersonalizationService {
         return {
             service: 'PersonalizationService',
             status: 'active',
-            swiss_ephemeris: 'initialized',
+            ephemeris: ephemerisService.getStatus().backend,
             features: [
                 'birth_chart_calculation',
                 'daily_personalized_horoscopes',
@@ -1,6 +1,7 @@
-const OpenAI = require('openai');
 const axios = require('axios');
 const logger = require('../utils/logger');
+const ephemerisService = require('./ephemerisService');
+const llmService = require('./llmService');
 
 /**
  * 🤖 PERSONALIZED HOROSCOPE API SERVICE
@@ -19,10 +20,6 @@ const logger = require('../utils/logger');
  */
 class PersonalizedHoroscopeAPI {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    
     // Cache for birth charts and recent horoscopes
     this.birthChartCache = new Map();
     this.horoscopeCache = new Map();
@@ -35,8 +32,15 @@ class PersonalizedHoroscopeAPI {
       qualityScores: [],
     };
     
-    // Swiss Ephemeris integration (would require actual Swiss Ephemeris library)
-    this.ephemeris = null; // Initialize ephemeris calculator
+    // Shared ephemeris (Swiss Ephemeris with pure JS fallback)
+    this.ephemeris = ephemerisService;
+
+    // Display names used in prompts and serialized charts
+    this.bodyNames = {
+      sun: 'Sun', moon: 'Moon', mercury: 'Mercury', venus: 'Venus', mars: 'Mars',
+      jupiter: 'Jupiter', saturn: 'Saturn', uranus: 'Uranus', neptune: 'Neptune', pluto: 'Pluto',
+      north_node: 'NorthNode', south_node: 'SouthNode', chiron: 'Chiron', lilith: 'Lilith',
+    };
   }
 
   /**
@@ -147,14 +151,19 @@ class PersonalizedHoroscopeAPI {
   /**
    * Calculate or retrieve cached birth chart
    */
-  async getOrCalculateBirthChart({ birthDate, birthTime, birthLocation }) {
-    const cacheKey = `${birthDate}_${birthTime?.hour || 12}:${birthTime?.minute || 0}_${birthLocation.latitude}_${birthLocation.longitude}`;
+  async getOrCalculateBirthChart({
+    birthDate,
+    birthTime,
+    birthLocation,
+    houseSystem = ephemerisService.DEFAULT_HOUSE_SYSTEM,
+  }) {
+    const cacheKey = `${birthDate}_${birthTime?.hour || 12}:${birthTime?.minute || 0}_${birthLocation.latitude}_${birthLocation.longitude}_${houseSystem}`;
     
     if (this.birthChartCache.has(cacheKey)) {
       return this.birthChartCache.get(cacheKey);
     }
 
-    logger.info('Calculating new birth chart', { birthDate, birthLocation });
+    logger.info('Calculating new birth chart', { birthDate, birthLocation, houseSystem });
 
     try {
       // Convert birth data to Julian Day
@@ -162,30 +171,38 @@ class PersonalizedHoroscopeAPI {
         new Date(`${birthDate}T${birthTime?.hour || 12}:${birthTime?.minute || 0}:00`)
       );
 
-      // Calculate planetary positions using Swiss Ephemeris (simplified implementation)
+      // Calculate planetary positions using the shared ephemeris
       const planetaryPositions = await this.calculatePlanetaryPositions(
         julianDay,
         birthLocation
       );
 
-      // Calculate house cusps using Placidus system
-      const houseCusps = await this.calculateHouseCusps(
-        julianDay,
-        birthLocation,
-        planetaryPositions
-      );
+      // Calculate house cusps and angles in the requested house system
+      const houses = this.calculateHouses(julianDay, birthLocation, houseSystem);
+      const houseCusps = this.calculateHouseCusps(houses);
 
       // Calculate aspects between planets
       const aspects = this.calculateAspects(planetaryPositions);
 
       // Assign planets to houses
-      const planetHouses = this.assignPlanetsToHouses(planetaryPositions, houseCusps);
+      const planetHouses = this.assignPlanetsToHouses(planetaryPositions, houses.cusps);
 
       const birthChart = {
         birthDateTime: new Date(`${birthDate}T${birthTime?.hour || 12}:${birthTime?.minute || 0}:00`),
         birthLocation,
         planetaryPositions,
+        houseSystem: houses.system,
+        requestedHouseSystem: houses.requestedSystem,
+        houseSystemFallbackReason: houses.fallbackReason,
         houseCusps,
+        angles: {
+          ascendant: houses.ascendant,
+          midheaven: houses.midheaven,
+          descendant: houses.descendant,
+          ic: houses.ic,
+          vertex: houses.vertex,
+          eastPoint: houses.eastPoint,
+        },
         aspects,
         planetHouses,
         calculatedAt: new Date(),
@@ -223,7 +240,7 @@ class PersonalizedHoroscopeAPI {
           // Skip fast planets transiting themselves
           if (this.shouldSkipTransit(currentPlanet, natalPlanet)) continue;
 
-          const aspect = this.calculateAspectBetween(currentPos, natalPos);
+          const aspect = this.calculateAspectBetween(currentPos, natalPos, { natalSecond: true });
           
           if (aspect && aspect.strength > 0.6) {
             transits.push({
@@ -604,11 +621,11 @@ IMPORTANTE: Asegúrate de que cada párrafo contenga referencias específicas a
   }
 
   /**
-   * Call OpenAI API with the personalized prompt
+   * Call the LLM with the personalized prompt
    */
   async callOpenAI(prompt, language) {
     try {
-      const response = await this.openai.chat.completions.create({
+      const response = await llmService.chat('horoscope_personalized', {
         model: 'gpt-4',
         messages: [
           { role: 'system', content: prompt.systemPrompt },
@@ -622,7 +639,7 @@ IMPORTANTE: Asegúrate de que cada párrafo contenga referencias específicas a
       return response.choices[0].message.content;
 
     } catch (error) {
-      logger.error('OpenAI API call failed', error);
+      logger.error('LLM call failed', error);
       
       // Fallback to mock personalized response
       return this.generateMockPersonalizedResponse(prompt, language);
@@ -733,94 +750,41 @@ The most significant transit directly activates your natal configuration, enhanc
   // HELPER METHODS
 
   calculateJulianDay(date) {
-    const year = date.getFullYear();
-    const month = date.getMonth() + 1;
-    const day = date.getDate();
-    const hour = date.getHours();
-    const minute = date.getMinutes();
-    const second = date.getSeconds();
-
-    const a = Math.floor((14 - month) / 12);
-    const y = year + 4800 - a;
-    const m = month + 12 * a - 3;
-
-    const jdn = day + Math.floor((153 * m + 2) / 5) + 365 * y +
-               Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
-
-    return jdn + (hour - 12) / 24.0 + minute / 1440.0 + second / 86400.0;
+    return this.ephemeris.julianDay(date);
   }
 
   async calculatePlanetaryPositions(julianDay, location) {
-    // Simplified planetary calculation - in production use Swiss Ephemeris
-    const t = (julianDay - 2451545.0) / 36525.0;
-    
-    return {
-      Sun: { longitude: this.calculateSunLongitude(t), latitude: 0, distance: 1 },
-      Moon: { longitude: this.calculateMoonLongitude(t), latitude: 0, distance: 60 },
-      Mercury: { longitude: (252.25 + 149472.67 * t) % 360, latitude: 0, distance: 0.39 },
-      Venus: { longitude: (181.98 + 58517.82 * t) % 360, latitude: 0, distance: 0.72 },
-      Mars: { longitude: (-4.55 + 19140.30 * t) % 360, latitude: 0, distance: 1.52 },
-      Jupiter: { longitude: (34.40 + 3034.75 * t) % 360, latitude: 0, distance: 5.20 },
-      Saturn: { longitude: (49.95 + 1222.49 * t) % 360, latitude: 0, distance: 9.54 },
-      Uranus: { longitude: (313.24 + 428.48 * t) % 360, latitude: 0, distance: 19.19 },
-      Neptune: { longitude: (-55.12 + 218.46 * t) % 360, latitude: 0, distance: 30.07 },
-      Pluto: { longitude: (238.93 + 145.21 * t) % 360, latitude: 0, distance: 39.48 },
-    };
-  }
+    const positions = this.ephemeris.calculatePositions(julianDay);
+
+    const planetaryPositions = {};
+    for (const [body, position] of Object.entries(positions)) {
+      planetaryPositions[this.bodyNames[body]] = {
+        longitude: position.longitude,
+        latitude: position.latitude,
+        distance: position.distance,
+        speed: position.speed,
+        retrograde: position.retrograde,
+      };
+    }
 
-  calculateSunLongitude(t) {
-    const l0 = 280.46646 + 36000.76983 * t + 0.0003032 * t * t;
-    const m = 357.52911 + 35999.05029 * t - 0.0001537 * t * t;
-    const mRad = m * Math.PI / 180;
-    
-    const c = (1.914602 - 0.004817 * t - 0.000014 * t * t) * Math.sin(mRad) +
-              (0.019993 - 0.000101 * t) * Math.sin(2 * mRad) +
-              0.000289 * Math.sin(3 * mRad);
-    
-    return (l0 + c) % 360.0;
+    return planetaryPositions;
   }
 
-  calculateMoonLongitude(t) {
-    const l = 218.3164477 + 481267.88123421 * t - 0.0015786 * t * t;
-    const d = 297.8501921 + 445267.1114034 * t - 0.0018819 * t * t;
-    const m = 357.5291092 + 35999.0502909 * t - 0.0001536 * t * t;
-    const mPrime = 134.9633964 + 477198.8675055 * t + 0.0087414 * t * t;
-    
-    const dRad = d * Math.PI / 180;
-    const mRad = m * Math.PI / 180;
-    const mPrimeRad = mPrime * Math.PI / 180;
-    
-    const correction = 6.288774 * Math.sin(mPrimeRad) +
-                      1.274027 * Math.sin(2 * dRad - mPrimeRad) +
-                      0.658314 * Math.sin(2 * dRad);
-    
-    return (l + correction) % 360.0;
+  calculateHouses(julianDay, location, houseSystem) {
+    return this.ephemeris.calculateHouses(julianDay, location.latitude, location.longitude, houseSystem);
   }
 
-  async calculateHouseCusps(julianDay, location, planetaryPositions) {
-    // Simplified house calculation - in production use proper algorithm
-    const ascendant = this.calculateAscendant(julianDay, location);
-    
+  /**
+   * House cusps keyed by house number (1-12)
+   */
+  calculateHouseCusps(houses) {
     const cusps = {};
-    for (let i = 1; i <= 12; i++) {
-      cusps[i] = (ascendant + (i - 1) * 30) % 360;
-    }
-    
+    houses.cusps.forEach((cusp, index) => {
+      cusps[index + 1] = cusp;
+    });
     return cusps;
   }
 
-  calculateAscendant(julianDay, location) {
-    // Simplified ascendant calculation
-    const lst = this.calculateLocalSiderealTime(julianDay, location);
-    return (lst * 15) % 360;
-  }
-
-  calculateLocalSiderealTime(julianDay, location) {
-    const t = (julianDay - 2451545.0) / 36525.0;
-    const gst = 280.46061837 + 360.98564736629 * (julianDay - 2451545.0) + 0.000387933 * t * t;
-    return ((gst + location.longitude) / 15) % 24;
-  }
-
   calculateAspects(planetaryPositions) {
     const aspects = [];
     const planets = Object.keys(planetaryPositions);
@@ -845,61 +809,36 @@ The most significant transit directly activates your natal configuration, enhanc
     return aspects;
   }
 
-  calculateAspectBetween(pos1, pos2) {
-    const angle = Math.abs(pos2.longitude - pos1.longitude);
-    const normalizedAngle = angle > 180 ? 360 - angle : angle;
-    
-    const aspectDefinitions = [
-      { name: 'Conjunction', angle: 0, orb: 8 },
-      { name: 'Sextile', angle: 60, orb: 6 },
-      { name: 'Square', angle: 90, orb: 8 },
-      { name: 'Trine', angle: 120, orb: 8 },
-      { name: 'Opposition', angle: 180, orb: 8 },
-    ];
-    
-    for (const aspectDef of aspectDefinitions) {
-      const orb = Math.abs(normalizedAngle - aspectDef.angle);
-      if (orb <= aspectDef.orb) {
-        return {
-          type: aspectDef.name,
-          orb,
-          strength: (aspectDef.orb - orb) / aspectDef.orb,
-          isApplying: pos2.longitude > pos1.longitude,
-        };
-      }
-    }
-    
-    return null;
+  /**
+   * Aspect between two positions. With natalSecond, pos2 is a natal point:
+   * it does not move, so only pos1's speed decides applying or separating.
+   */
+  calculateAspectBetween(pos1, pos2, { natalSecond = false } = {}) {
+    const aspect = this.ephemeris.findAspect(pos1.longitude, pos2.longitude, {
+      speed1: pos1.speed,
+      speed2: natalSecond ? 0 : pos2.speed,
+    });
+
+    if (!aspect) return null;
+
+    return {
+      type: aspect.aspect.charAt(0).toUpperCase() + aspect.aspect.slice(1),
+      orb: aspect.orb,
+      strength: aspect.strength,
+      isApplying: aspect.applying === true,
+    };
   }
 
-  assignPlanetsToHouses(planetaryPositions, houseCusps) {
+  assignPlanetsToHouses(planetaryPositions, cusps) {
     const planetHouses = {};
     
     for (const [planet, position] of Object.entries(planetaryPositions)) {
-      let house = 1;
-      for (let h = 1; h <= 12; h++) {
-        const currentCusp = houseCusps[h];
-        const nextCusp = houseCusps[h === 12 ? 1 : h + 1];
-        
-        if (this.isInHouse(position.longitude, currentCusp, nextCusp)) {
-          house = h;
-          break;
-        }
-      }
-      planetHouses[planet] = house;
+      planetHouses[planet] = this.ephemeris.assignHouse(position.longitude, cusps);
     }
     
     return planetHouses;
   }
 
-  isInHouse(longitude, cusp1, cusp2) {
-    if (cusp1 <= cusp2) {
-      return longitude >= cusp1 && longitude < cusp2;
-    } else {
-      return longitude >= cusp1 || longitude < cusp2;
-    }
-  }
-
   shouldSkipTransit(transitingPlanet, natalPlanet) {
     const fastPlanets = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars'];
     return fastPlanets.includes(transitingPlanet) && transitingPlanet === natalPlanet;
@@ -914,8 +853,8 @@ The most significant transit directly activates your natal configuration, enhanc
   }
 
   calculateTransitTiming(currentPos, natalPos, planet, aspect, targetDate) {
-    // Simplified timing calculation
-    const planetSpeed = this.getPlanetaryDailySpeed(planet);
+    // Linear extrapolation from the transiting body's current daily motion
+    const planetSpeed = Math.abs(currentPos.speed) || this.getPlanetaryDailySpeed(planet);
     const daysToExact = Math.round(aspect.orb / planetSpeed);
     
     return {
@@ -1152,7 +1091,11 @@ The most significant transit directly activates your natal configuration, enhanc
       birthDateTime: birthChart.birthDateTime,
       birthLocation: birthChart.birthLocation,
       planetaryPositions: birthChart.planetaryPositions,
+      houseSystem: birthChart.houseSystem,
+      requestedHouseSystem: birthChart.requestedHouseSystem,
+      houseSystemFallbackReason: birthChart.houseSystemFallbackReason,
       houseCusps: birthChart.houseCusps,
+      angles: birthChart.angles,
       aspects: birthChart.aspects.slice(0, 10), // Limit aspects for response size
       planetHouses: birthChart.planetHouses,
       calculatedAt: birthChart.calculatedAt,
@@ -2,14 +2,14 @@
  * VERIFIABLE PREDICTIONS SERVICE
  * 
  * Generates specific, testable astrological predictions with 48-hour verification system
- * Integrates with Swiss Ephemeris for accurate astrological calculations
+ * Integrates with the shared ephemeris for accurate astrological calculations
  */
 
 const db = require('../config/db');
 const personalizationService = require('./personalizationService');
 const redisService = require('./redisService');
 const moment = require('moment-timezone');
-const sweph = require('sweph');
+const ephemerisService = require('./ephemerisService');
 
 class PredictionService {
     constructor() {
@@ -215,7 +215,7 @@ class PredictionService {
     async calculateCurrentTransits(birthData) {
         try {
             const now = moment().utc();
-            const julianDay = sweph.julday(now.year(), now.month() + 1, now.date(), now.hour() + now.minute()/60.0, 1);
+            const julianDay = ephemerisService.julianDay(now.toDate());
             
             const transits = {};
             const aspects = [];
@@ -224,33 +224,30 @@ class PredictionService {
             const planets = ['sun', 'moon', 'mercury', 'venus', 'mars', 'jupiter', 'saturn', 'uranus', 'neptune', 'pluto'];
             
             for (const planet of planets) {
-                const planetId = this.getPlanetId(planet);
-                const result = sweph.calc_ut(julianDay, planetId, sweph.SEFLG_SWIEPH);
-                
-                if (!result.error) {
-                    transits[planet] = {
-                        longitude: result.xx[0],
-                        latitude: result.xx[1],
-                        distance: result.xx[2],
-                        speed: result.xx[3],
-                        house: this.calculateHouse(result.xx[0], birthData)
-                    };
-
-                    // Calculate aspects to natal planets
-                    if (birthData.birthChart && birthData.birthChart[planet]) {
-                        const natalPosition = birthData.birthChart[planet].longitude;
-                        const aspectInfo = this.calculateAspect(result.xx[0], natalPosition);
-                        
-                        if (aspectInfo.aspect) {
-                            aspects.push({
-                                transitPlanet: planet,
-                                natalPlanet: planet,
-                                aspect: aspectInfo.aspect,
-                                orb: aspectInfo.orb,
-                                strength: aspectInfo.strength,
-                                applying: result.xx[3] > 0 ? 'applying' : 'separating'
-                            });
-                        }
+                const result = ephemerisService.calculateBody(planet, julianDay);
+
+                transits[planet] = {
+                    longitude: result.longitude,
+                    latitude: result.latitude,
+                    distance: result.distance,
+                    speed: result.speed,
+                    house: this.calculateHouse(result.longitude, birthData)
+                };
+
+                // Calculate aspects to natal planets
+                if (birthData.birthChart && birthData.birthChart[planet]) {
+                    const natalPosition = birthData.birthChart[planet].longitude;
+                    const aspectInfo = this.calculateAspect(result.longitude, natalPosition, result.speed);
+
+                    if (aspectInfo.aspect) {
+                        aspects.push({
+                            transitPlanet: planet,
+                            natalPlanet: planet,
+                            aspect: aspectInfo.aspect,
+                            orb: aspectInfo.orb,
+                            strength: aspectInfo.strength,
+                            applying: aspectInfo.applying ? 'applying' : 'separating'
+                        });
                     }
                 }
             }
@@ -692,46 +689,23 @@ class PredictionService {
         return result.rows[0]?.premium_only || false;
     }
 
-    getPlanetId(planetName) {
-        const planetIds = {
-            sun: sweph.SE_SUN,
-            moon: sweph.SE_MOON,
-            mercury: sweph.SE_MERCURY,
-            venus: sweph.SE_VENUS,
-            mars: sweph.SE_MARS,
-            jupiter: sweph.SE_JUPITER,
-            saturn: sweph.SE_SATURN,
-            uranus: sweph.SE_URANUS,
-            neptune: sweph.SE_NEPTUNE,
-            pluto: sweph.SE_PLUTO
-        };
-        return planetIds[planetName];
-    }
-
-    calculateAspect(position1, position2) {
-        const diff = Math.abs(position1 - position2);
-        const normalizedDiff = diff > 180 ? 360 - diff : diff;
-        
-        const aspects = {
-            conjunction: { angle: 0, orb: 8 },
-            opposition: { angle: 180, orb: 8 },
-            trine: { angle: 120, orb: 6 },
-            square: { angle: 90, orb: 6 },
-            sextile: { angle: 60, orb: 4 }
-        };
+    calculateAspect(position1, position2, speed1) {
+        const aspectInfo = ephemerisService.findAspect(position1, position2, {
+            orbs: { sextile: 4, square: 6, trine: 6 },
+            speed1,
+            speed2: 0 // Natal positions are fixed
+        });
 
-        for (const [aspectName, aspectData] of Object.entries(aspects)) {
-            const orb = Math.abs(normalizedDiff - aspectData.angle);
-            if (orb <= aspectData.orb) {
-                return {
-                    aspect: aspectName,
-                    orb: orb,
-                    strength: (aspectData.orb - orb) / aspectData.orb
-                };
-            }
+        if (!aspectInfo) {
+            return { aspect: null, orb: 0, strength: 0, applying: false };
         }
 
-        return { aspect: null, orb: 0, strength: 0 };
+        return {
+            aspect: aspectInfo.aspect,
+            orb: aspectInfo.orb,
+            strength: aspectInfo.strength,
+            applying: aspectInfo.applying === true
+        };
     }
 
     calculateLunarPhase(moonLongitude, sunLongitude) {
@@ -790,7 +764,7 @@ class PredictionService {
     }
 
     getFallbackTransits() {
-        // Simplified fallback when Swiss Ephemeris fails
+        // Simplified fallback when the ephemeris fails
         return {
             planets: {},
             aspects: [],
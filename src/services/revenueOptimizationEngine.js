@@ -21,6 +21,7 @@
 
 const db = require('../config/db');
 const logger = require('./loggingService');
+const safetyService = require('./safetyService');
 
 class RevenueOptimizationEngine {
   constructor() {
@@ -483,6 +484,11 @@ class RevenueOptimizationEngine {
         return null;
       }
 
+      // Don't offer to users who were recently in crisis
+      if (await safetyService.isUpsellSuppressed(userId)) {
+        return null;
+      }
+
       // Strategy 1: Feature-based offers
       if (userProfile.mostUsedFeatures.includes('compatibility')) {
         return {
@@ -589,6 +595,10 @@ class RevenueOptimizationEngine {
         return { offer: false, reason: 'Already premium - no cannibalization' };
       }
 
+      if (await safetyService.isUpsellSuppressed(userId)) {
+        return { offer: false, reason: 'Recent safety flag - no sales pitch' };
+      }
+
       if (userProfile.daysActive < 1) {
         return { offer: false, reason: 'Too new - let them explore first' };
       }
@@ -1079,6 +1089,11 @@ class RevenueOptimizationEngine {
     try {
       const userProfile = await this.analyzeUser(userId);
 
+      // Users flagged by the coach safety layer get no discount pitch
+      if (await safetyService.isUpsellSuppressed(userId)) {
+        return { action: 'suppressed', reason: 'recent_safety_flag' };
+      }
+
       if (churnPrediction.riskLevel === 'high') {
         // AGGRESSIVE INTERVENTION
         const offer = {
@@ -0,0 +1,454 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 🛟 SAFETY SERVICE - AI COACH CRISIS LAYER
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * Runs on every AI Coach message before a reply is generated:
+ * - classify: rates acute risk in the supported languages
+ *   - high: first-person suicidal ideation or self-harm, abuse happening to
+ *     the user, or a medical emergency
+ *   - elevated: the topics come up without a first-person risk (or negated,
+ *     "I would never...") - the coach replies with its crisis protocol
+ * - buildCrisisResponse: on high risk the coach persona is bypassed and the
+ *   user gets a fixed, localized message with the helplines of their country
+ *   (localContextService.getCrisisResources)
+ * - flagSession: queues the message for human review (coach_safety_events,
+ *   migration 025) and marks the session
+ * - isUpsellSuppressed: no upgrade offers or paywall copy for users flagged
+ *   in the last upsellSuppressionDays
+ *
+ * The classifier is deliberately pattern-based: it must answer instantly
+ * and keep working when no model is reachable.
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const db = require('../config/db');
+const logger = require('./loggingService');
+const localContextService = require('./localContextService');
+
+// Patterns match normalized text: lower case, no accents, straight apostrophes
+const HIGH_RISK_PATTERNS = {
+  self_harm: [
+    // en
+    /\b(kill|killing|hurt|hurting|cut|cutting) myself\b/,
+    /\b(end|ending|take|taking) my (own )?life\b/,
+    /\bi (really )?(want|wanna) to die\b|\bi wanna die\b/,
+    /\b(commit|committing) suicide\b|\bi('m| am) (feeling )?suicidal\b|\bsuicide note\b/,
+    /\b(don't|do not) want to (live|be alive|wake up)\b/,
+    /\bi (just |really |only )?want (it|this|everything|it all) (all )?to (end|be over)\b/,
+    /\bbetter off dead\b|\bno reason to (live|go on)\b|\bend it all\b/,
+    // es
+    /\b(matarme|suicidarme|quitarme la vida|hacerme dano|cortarme las venas)\b/,
+    /\b(me )?quiero morir(me)?\b|\bno quiero (seguir )?vivir\b/,
+    /\b(acabar|terminar) con (mi vida|todo)\b|\bmejor muert[oa]\b/,
+    // pt
+    /\b(me matar|me suicidar|tirar (a )?minha (propria )?vida|me machucar|cortar os pulsos)\b/,
+    /\bquero morrer\b|\bnao quero (mais )?viver\b|\bacabar com (a )?minha vida\b/,
+    // fr
+    /\b(me tuer|me suicider|mettre fin a mes jours|me faire du mal|me scarifier)\b/,
+    /\bje veux mourir\b|\benvie de mourir\b|\bje ne veux plus vivre\b/,
+    // de
+    /\b(mich umbringen|mich toten|mir das leben nehmen|mich ritzen|mich selbst verletzen)\b/,
+    /\bich will sterben\b|\bwill nicht mehr leben\b/,
+    // it
+    /\b(uccidermi|suicidarmi|togliermi la vita|farmi del male|tagliarmi le vene)\b/,
+    /\bvoglio morire\b|\bnon voglio piu vivere\b/,
+    // Ideation in any language
+    /\b(suicidal (thoughts|ideation)|pensamientos suicidas|pensamentos suicidas|pensees suicidaires|suizidgedanken|selbstmordgedanken|pensieri suicidi)\b/
+  ],
+  abuse: [
+    // en
+    /\b(he|she|they|my (husband|wife|partner|boyfriend|girlfriend|ex|dad|father|mom|mother|stepdad|stepfather|stepmom)) (hits|beats|chokes|strangles|abuses|rapes|hit|beat|choked|abused|raped) me\b/,
+    /\b(being|been|was|got) (abused|raped|sexually assaulted|beaten up)\b/,
+    /\b(threatened|threatening|threatens|going|gonna) to kill me\b/,
+    /\bafraid (he|she|they)('ll| will| is going to| are going to) (kill|hurt) me\b/,
+    // es
+    /\bme (pega|golpea|maltrata|viola|violo|golpeo|pego|ahorca|ahorco)\b/,
+    /\babus(a|o) de mi\b|\b(amenazo|amenaza) con matarme\b|\bme va a matar\b/,
+    // pt
+    /\bme (bate|agride|bateu|agrediu|estuprou|violentou)\b/,
+    /\babus(a|ou) de mim\b|\bameac(a|ou) me matar\b|\bvai me matar\b/,
+    // fr
+    /\b(il|elle) me (frappe|bat|viole)\b|\bm'a (frappee?|battue?|violee?)\b/,
+    /\bmenace de me tuer\b|\bva me tuer\b/,
+    // de
+    /\b(er|sie) (schlagt|schlug|vergewaltigt|missbraucht|wurgt) mich\b/,
+    /\bhat mich (geschlagen|vergewaltigt|missbraucht)\b|\b(droht|drohte) mich umzubringen\b|\bwird mich umbringen\b/,
+    // it
+    /\bmi (picchia|picchiava|ha picchiat[oa]|ha violentat[oa]|violenta|maltratta)\b/,
+    /\babusa di me\b|\bminaccia(to)? di uccidermi\b|\bmi uccidera\b/
+  ],
+  medical_emergency: [
+    // en
+    /\b(took|taken|swallowed) (too many|a lot of|all (my|the)|a bottle of) (pills|tablets|meds|medication)\b/,
+    /\boverdos(e|ed|ing)\b/,
+    /\bi can't breathe\b|\bchest pain\b/,
+    /\b(having|had) a (heart attack|stroke|seizure)\b/,
+    /\b(bleeding|bleeds) (a lot|heavily|badly)\b|\bwon't stop bleeding\b/,
+    /\b(passed out|is unconscious|not breathing)\b/,
+    // es
+    /\b(tome|me tome|trague) (muchas|todas las|demasiadas) (pastillas|pildoras)\b|\bsobredosis\b/,
+    /\bno puedo respirar\b|\bdolor (en el|de) pecho\b/,
+    /\b(estoy teniendo|me esta dando|me dio) un (infarto|derrame)\b/,
+    /\bsangrando mucho\b|\bno (para|deja) de sangrar\b|\b(esta|quedo) inconsciente\b|\bno respira\b/,
+    // pt
+    /\b(tomei|engoli) (muitos|todos os|varios) (comprimidos|remedios)\b/,
+    /\bnao consigo respirar\b|\bdor no peito\b/,
+    /\b(estou tendo|tive) um (infarto|avc|derrame)\b|\bsangrando muito\b|\b(esta|ficou) inconsciente\b/,
+    // fr
+    /\b(j'ai pris|avale) trop de (medicaments|cachets|pilules)\b|\bsurdose\b/,
+    /\bje (n'arrive|ne peux) (pas|plus) (a )?respirer\b|\bdouleur (a|dans) la poitrine\b/,
+    /\b(crise cardiaque|je saigne beaucoup|inconsciente?)\b/,
+    // de
+    /\b(zu viele|alle) tabletten (genommen|geschluckt)\b|\buberdosis\b/,
+    /\bich kann nicht (mehr )?atmen\b|\b(bekomme|kriege) keine luft\b|\bbrustschmerzen\b/,
+    /\b(herzinfarkt|schlaganfall|bewusstlos)\b|\bblute (stark|sehr)\b/,
+    // it
+    /\bho preso troppe (pillole|pastiglie|medicine)\b/,
+    /\bnon riesco a respirare\b|\bdolore al petto\b/,
+    /\b(ho|sto avendo) un (infarto|ictus)\b|\bsanguino molto\b|\b(svenut[oa]|incosciente)\b/
+  ]
+};
+
+const ELEVATED_PATTERNS = {
+  self_harm: [
+    /\bsuicid/,
+    /\bself[- ]?harm|\bautolesi|\bselbstverletz|\bautomutil|\bautolesionis/
+  ],
+  abuse: [
+    /\b(domestic|sexual) (violence|abuse)\b|\babusive (relationship|partner)\b/,
+    /\bviolencia (domestica|de genero|sexual)\b|\bmaltrato\b/,
+    /\bviolences? conjugales?\b|\bhausliche gewalt\b|\bviolenza domestica\b/
+  ]
+};
+
+// Everyday idioms built on high-risk words ("quiero morirme de risa"),
+// removed before matching so they cannot trigger the crisis response
+const IDIOMS = [
+  // en
+  /\b(dying|die|died|dead) (of|from|with) (laughter|laughing|embarrassment|boredom|curiosity)\b/g,
+  /\b(kill|killing|killed) myself laughing\b/g,
+  // es
+  /\bmori(r|rme|rte|rse)? de (la )?(risa|hambre|sueno|ganas|calor|frio|verguenza|aburrimiento|envidia|curiosidad|amor|ternura)\b/g,
+  /\bmuert[oa]s? de (la )?(risa|hambre|sueno|ganas|calor|frio|verguenza|aburrimiento|envidia|curiosidad)\b/g,
+  // pt
+  /\bmorr(er|endo|i) de (rir|fome|sono|vontade|calor|frio|vergonha|tedio|inveja|curiosidade|saudade)\b/g,
+  // fr
+  /\bmour(ir|ais|ait) de (rire|faim|froid|chaud|honte|ennui|envie|curiosite)\b/g,
+  // de
+  /\bsterben vor (lachen|langeweile|hunger|neugier|scham)\b/g,
+  // it
+  /\bmori(re|rei|vo)? (dal|dalle|di) (ridere|risate|fame|sonno|caldo|freddo|vergogna|noia|curiosita)\b/g
+];
+
+// A negation just before a high-risk phrase ("I would never hurt myself")
+const NEGATION = /\b(never|nunca|jamas|jamais|niemals|nie|mai)\b[^.!?]{0,20}$/;
+
+const MESSAGES = {
+  en: {
+    self_harm: "I'm really glad you told me, and I'm so sorry you're carrying this much pain. You deserve support from someone trained to help right now, and they are there for you:",
+    abuse: "Thank you for trusting me with this. What is happening to you is not okay, and it is not your fault. Your safety comes first, and there are people who can help you right now:",
+    medical_emergency: 'This sounds like a medical emergency. Please call {emergency} now, or ask someone near you to call for you.',
+    medical_emergency_unknown: 'This sounds like a medical emergency. Please call your local emergency number now, or ask someone near you to call for you.',
+    emergency: 'If you are in immediate danger, call {emergency}.',
+    emergency_unknown: 'If you are in immediate danger, call your local emergency number.',
+    unknown_country: "Tell me which country you're in and I'll share the right numbers. You can also find a free, confidential helpline near you at https://findahelpline.com",
+    closing: "You're not alone, and reaching out takes strength. I'm here with you if you want to keep talking."
+  },
+  es: {
+    self_harm: 'Gracias por contármelo, y siento mucho que estés cargando con tanto dolor. Mereces el apoyo de alguien preparado para ayudarte ahora mismo, y están ahí para ti:',
+    abuse: 'Gracias por confiarme esto. Lo que te está pasando no está bien y no es tu culpa. Tu seguridad es lo primero, y hay personas que pueden ayudarte ahora mismo:',
+    medical_emergency: 'Esto parece una emergencia médica. Por favor llama al {emergency} ahora, o pide a alguien cerca de ti que llame.',
+    medical_emergency_unknown: 'Esto parece una emergencia médica. Por favor llama ahora al número de emergencias de tu país, o pide a alguien cerca de ti que llame.',
+    emergency: 'Si estás en peligro inmediato, llama al {emergency}.',
+    emergency_unknown: 'Si estás en peligro inmediato, llama al número de emergencias de tu país.',
+    unknown_country: 'Dime en qué país estás y te daré los números correctos. También puedes encontrar una línea de ayuda gratuita y confidencial en https://findahelpline.com',
+    closing: 'No estás solo/a, y pedir ayuda es un acto de valentía. Sigo aquí contigo si quieres seguir hablando.'
+  },
+  pt: {
+    self_harm: 'Obrigado por me contar, e sinto muito que você esteja carregando tanta dor. Você merece o apoio de alguém preparado para ajudar agora mesmo, e essas pessoas estão aí para você:',
+    abuse: 'Obrigado por confiar isso a mim. O que está acontecendo com você não está certo e não é culpa sua. Sua segurança vem primeiro, e há pessoas que podem ajudar agora mesmo:',
+    medical_emergency: 'Isso parece uma emergência médica. Por favor ligue para {emergency} agora, ou peça a alguém perto de você para ligar.',
+    medical_emergency_unknown: 'Isso parece uma emergência médica. Por favor ligue agora para o número de emergência do seu país, ou peça a alguém perto de você para ligar.',
+    emergency: 'Se você estiver em perigo imediato, ligue para {emergency}.',
+    emergency_unknown: 'Se você estiver em perigo imediato, ligue para o número de emergência do seu país.',
+    unknown_country: 'Me diga em que país você está e eu passo os números certos. Você também encontra uma linha de apoio gratuita e confidencial em https://findahelpline.com',
+    closing: 'Você não está sozinho(a), e pedir ajuda é um ato de coragem. Continuo aqui com você se quiser continuar conversando.'
+  },
+  fr: {
+    self_harm: "Merci de me l'avoir dit, et je suis vraiment désolé que tu portes autant de douleur. Tu mérites le soutien de personnes formées pour t'aider, dès maintenant, et elles sont là pour toi :",
+    abuse: "Merci de me faire confiance. Ce qui t'arrive n'est pas normal et ce n'est pas de ta faute. Ta sécurité passe avant tout, et des personnes peuvent t'aider dès maintenant :",
+    medical_emergency: "Cela ressemble à une urgence médicale. Appelle le {emergency} maintenant, ou demande à quelqu'un près de toi d'appeler.",
+    medical_emergency_unknown: "Cela ressemble à une urgence médicale. Appelle maintenant le numéro d'urgence de ton pays, ou demande à quelqu'un près de toi d'appeler.",
+    emergency: 'Si tu es en danger immédiat, appelle le {emergency}.',
+    emergency_unknown: "Si tu es en danger immédiat, appelle le numéro d'urgence de ton pays.",
+    unknown_country: "Dis-moi dans quel pays tu te trouves et je te donnerai les bons numéros. Tu peux aussi trouver une ligne d'écoute gratuite et confidentielle sur https://findahelpline.com",
+    closing: "Tu n'es pas seul(e), et demander de l'aide demande du courage. Je reste là si tu veux continuer à parler."
+  },
+  de: {
+    self_harm: 'Danke, dass du es mir erzählst, und es tut mir sehr leid, dass du so viel Schmerz trägst. Du verdienst jetzt Unterstützung von Menschen, die dafür ausgebildet sind, und sie sind für dich da:',
+    abuse: 'Danke, dass du mir das anvertraust. Was dir passiert, ist nicht in Ordnung, und es ist nicht deine Schuld. Deine Sicherheit geht vor, und es gibt Menschen, die dir jetzt helfen können:',
+    medical_emergency: 'Das klingt nach einem medizinischen Notfall. Bitte ruf jetzt die {emergency} an oder bitte jemanden in deiner Nähe, anzurufen.',
+    medical_emergency_unknown: 'Das klingt nach einem medizinischen Notfall. Bitte ruf jetzt den Notruf deines Landes an oder bitte jemanden in deiner Nähe, anzurufen.',
+    emergency: 'Wenn du in unmittelbarer Gefahr bist, ruf die {emergency} an.',
+    emergency_unknown: 'Wenn du in unmittelbarer Gefahr bist, ruf den Notruf deines Landes an.',
+    unknown_country: 'Sag mir, in welchem Land du bist, dann gebe ich dir die richtigen Nummern. Eine kostenlose, vertrauliche Hilfe in deiner Nähe findest du auch unter https://findahelpline.com',
+    closing: 'Du bist nicht allein, und sich Hilfe zu holen erfordert Mut. Ich bin weiter für dich da, wenn du reden möchtest.'
+  },
+  it: {
+    self_harm: 'Grazie per avermelo detto, e mi dispiace davvero che tu stia portando così tanto dolore. Meriti il sostegno di persone preparate ad aiutarti adesso, e sono lì per te:',
+    abuse: 'Grazie per esserti fidato/a di me. Quello che ti sta succedendo non va bene e non è colpa tua. La tua sicurezza viene prima di tutto, e ci sono persone che possono aiutarti adesso:',
+    medical_emergency: 'Sembra un’emergenza medica. Chiama subito il {emergency}, o chiedi a qualcuno vicino a te di chiamare.',
+    medical_emergency_unknown: 'Sembra un’emergenza medica. Chiama subito il numero di emergenza del tuo paese, o chiedi a qualcuno vicino a te di chiamare.',
+    emergency: 'Se sei in pericolo immediato, chiama il {emergency}.',
+    emergency_unknown: 'Se sei in pericolo immediato, chiama il numero di emergenza del tuo paese.',
+    unknown_country: 'Dimmi in che paese ti trovi e ti darò i numeri giusti. Puoi anche trovare una linea di ascolto gratuita e riservata su https://findahelpline.com',
+    closing: 'Non sei solo/a, e chiedere aiuto richiede coraggio. Sono qui con te se vuoi continuare a parlare.'
+  }
+};
+
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[\u2018\u2019\u00b4`]/g, "'")
+  .replace(/\s+/g, ' ');
+
+class SafetyService {
+  constructor() {
+    this.settings = {
+      upsellSuppressionDays: 14,
+      reviewPageSize: 50
+    };
+    this.categories = Object.keys(HIGH_RISK_PATTERNS);
+  }
+
+  /**
+   * Rate the acute risk of a message
+   *
+   * @param {string} message - User message
+   * @param {Object} [options]
+   * @param {Object} [options.emotionalState] - From aiCoachService._detectEmotionalState; its crisis keywords count as elevated
+   * @returns {{riskLevel: 'none'|'elevated'|'high', categories: string[], matched: string[]}}
+   */
+  classify(message, options = {}) {
+    const text = IDIOMS.reduce((remaining, idiom) => remaining.replace(idiom, ' '), normalize(message));
+    const high = new Set();
+    const elevated = new Set();
+    const matched = [];
+
+    for (const [category, patterns] of Object.entries(HIGH_RISK_PATTERNS)) {
+      for (const pattern of patterns) {
+        const match = pattern.exec(text);
+        if (!match) continue;
+
+        matched.push(match[0]);
+        if (NEGATION.test(text.slice(0, match.index))) {
+          elevated.add(category);
+        } else {
+          high.add(category);
+        }
+      }
+    }
+
+    for (const [category, patterns] of Object.entries(ELEVATED_PATTERNS)) {
+      const match = patterns.map(pattern => pattern.exec(text)).find(Boolean);
+      if (match && !high.has(category)) {
+        elevated.add(category);
+        matched.push(match[0]);
+      }
+    }
+
+    if (options.emotionalState && options.emotionalState.hasCrisisIndicators && !high.has('self_harm')) {
+      elevated.add('self_harm');
+    }
+
+    if (high.size > 0) {
+      return { riskLevel: 'high', categories: [...high], matched: [...new Set(matched)] };
+    }
+    if (elevated.size > 0) {
+      return { riskLevel: 'elevated', categories: [...elevated], matched: [...new Set(matched)] };
+    }
+    return { riskLevel: 'none', categories: [], matched: [] };
+  }
+
+  /**
+   * Crisis message shown instead of a coach reply
+   *
+   * @param {Object} params
+   * @param {string[]} params.categories - From classify
+   * @param {string} [params.country] - ISO country code; without it the user is asked for it
+   * @param {string} [params.language='en']
+   * @returns {{content: string, resources: Object|null}}
+   */
+  buildCrisisResponse({ categories, country, language }) {
+    const text = MESSAGES[language] || MESSAGES.en;
+    const resources = country ? localContextService.getCrisisResources(country) : null;
+    const fill = (template) => template.replace('{emergency}', resources.emergency);
+    const parts = [];
+
+    if (categories.includes('medical_emergency')) {
+      parts.push(resources ? fill(text.medical_emergency) : text.medical_emergency_unknown);
+    }
+
+    const supportCategory = ['self_harm', 'abuse'].find(category => categories.includes(category));
+    if (supportCategory) {
+      parts.push(text[supportCategory]);
+
+      if (resources) {
+        // Without a national abuse line, crisis lines still listen
+        const lines = supportCategory === 'abuse' && resources.abuse.length > 0
+          ? resources.abuse
+          : resources.suicide;
+        parts.push(lines.map(line => `• ${line.name}: ${line.phone}${line.hours ? ` (${line.hours})` : ''}`).join('\n'));
+      }
+    }
+
+    if (!resources) {
+      parts.push(text.unknown_country);
+    }
+    if (supportCategory) {
+      parts.push(resources ? fill(text.emergency) : text.emergency_unknown);
+    }
+    parts.push(text.closing);
+
+    return { content: parts.join('\n\n'), resources };
+  }
+
+  /**
+   * Queue a high-risk message for review and mark its session
+   *
+   * @param {Object} params
+   * @param {string} params.userId
+   * @param {string} params.sessionId
+   * @param {number} [params.messageId] - Stored user message
+   * @param {Object} params.assessment - From classify
+   * @param {string} [params.country]
+   * @param {string} [params.language]
+   * @returns {Promise<number>} Event id
+   */
+  async flagSession({ userId, sessionId, messageId, assessment, country, language }) {
+    const client = await db.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `INSERT INTO coach_safety_events
+           (user_id, session_id, message_id, risk_level, categories, matched, country, language)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [
+          userId,
+          sessionId,
+          messageId || null,
+          assessment.riskLevel,
+          assessment.categories,
+          assessment.matched,
+          country || null,
+          language || null
+        ]
+      );
+
+      await client.query(
+        'UPDATE chat_sessions SET flagged_for_review_at = NOW() WHERE session_id = $1',
+        [sessionId]
+      );
+
+      await client.query('COMMIT');
+
+      logger.getLogger().warn('🛟 AI Coach session flagged for safety review', {
+        eventId: result.rows[0].id,
+        sessionId,
+        categories: assessment.categories,
+        country
+      });
+
+      return result.rows[0].id;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Whether upgrade offers should be held back from a recently flagged user
+   *
+   * @param {string} userId
+   * @returns {Promise<boolean>}
+   */
+  async isUpsellSuppressed(userId) {
+    if (!userId) return false;
+
+    try {
+      const result = await db.query(
+        `SELECT EXISTS (
+           SELECT 1 FROM coach_safety_events
+           WHERE user_id = $1
+             AND risk_level = 'high'
+             AND created_at > NOW() - ($2 || ' days')::INTERVAL
+         ) AS suppressed`,
+        [String(userId), String(this.settings.upsellSuppressionDays)]
+      );
+      return Boolean(result.rows[0] && result.rows[0].suppressed);
+    } catch (error) {
+      logger.logError(error, { service: 'safety', operation: 'upsell_suppression', userId });
+      return false;
+    }
+  }
+
+  /**
+   * Safety events for review, oldest first
+   *
+   * @param {Object} [options]
+   * @param {string} [options.status='pending']
+   * @param {number} [options.limit]
+   * @returns {Promise<Array>}
+   */
+  async listReviews(options = {}) {
+    const status = options.status || 'pending';
+    const limit = Math.min(options.limit || this.settings.reviewPageSize, 200);
+
+    const result = await db.query(
+      `SELECT e.id, e.user_id, e.session_id, e.risk_level, e.categories, e.matched,
+              e.country, e.language, e.status, e.review_note, e.reviewed_at, e.created_at,
+              m.content AS message
+       FROM coach_safety_events e
+       LEFT JOIN chat_messages m ON m.id = e.message_id
+       WHERE e.status = $1
+       ORDER BY e.created_at ASC
+       LIMIT $2`,
+      [status, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Close a review
+   *
+   * @param {number} eventId
+   * @param {Object} review
+   * @param {'reviewed'|'dismissed'} review.status
+   * @param {string} [review.note]
+   * @returns {Promise<Object|null>} The event, or null if it does not exist
+   */
+  async resolveReview(eventId, { status, note }) {
+    if (!['reviewed', 'dismissed'].includes(status)) {
+      throw new Error(`Invalid review status: ${status}`);
+    }
+
+    const result = await db.query(
+      `UPDATE coach_safety_events
+       SET status = $2, review_note = $3, reviewed_at = NOW()
+       WHERE id = $1
+       RETURNING id, status, review_note, reviewed_at`,
+      [eventId, status, note || null]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = new SafetyService();
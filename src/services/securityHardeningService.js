@@ -702,7 +702,11 @@ class SecurityHardeningService {
     if (!process.env.CONSENT_MANAGEMENT_ENABLED) {
       issues.push('Consent management not enabled');
     }
-    
+
+    // Check data export and erasure cover every table holding user data
+    const userDataService = require('./userDataService');
+    issues.push(...await userDataService.verifyWiring());
+
     return {
       compliant: issues.length === 0,
       issues: issues,
@@ -33,17 +33,12 @@ const logger = require('./loggingService');
 const redisService = require('./redisService');
 const firebaseService = require('./firebaseService');
 const streakService = require('./streakService');
-const OpenAI = require('openai');
+const llmService = require('./llmService');
 const moment = require('moment-timezone');
 const cron = require('node-cron');
 
 class SmartNotificationEngine {
   constructor() {
-    // OpenAI for content generation
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-
     // Notification types with intelligence profiles
     this.notificationTypes = {
       // Daily horoscope - personalized cosmic guidance
@@ -134,9 +129,31 @@ class SmartNotificationEngine {
         optimalHours: [11, 12, 18, 19],
         requiresPersonalization: true,
         abTestEnabled: true
+      },
+
+      // Coach follow-up - check-in the day after a dated memory
+      COACH_FOLLOWUP: {
+        id: 'coach_followup',
+        priority: 7,
+        maxPerDay: 1,
+        optimalHours: [10, 11, 18, 19],
+        requiresPersonalization: false, // Written by the coach persona
+        abTestEnabled: false
       }
     };
 
+    // user_notification_preferences columns that switch a type off
+    this.typePreferenceColumns = {
+      daily_horoscope: 'daily_horoscope_enabled',
+      streak_protection: 'streak_protection_enabled',
+      prediction_alert: 'prediction_alerts_enabled',
+      compatibility_update: 'compatibility_updates_enabled',
+      moon_phase: 'moon_phase_enabled',
+      re_engagement: 're_engagement_enabled',
+      premium_offer: 'premium_offers_enabled',
+      coach_followup: 'coach_followups_enabled'
+    };
+
     // Anti-spam configuration
     this.spamPreventionConfig = {
       maxNotificationsPerDay: 3,
@@ -170,7 +187,7 @@ class SmartNotificationEngine {
 
     logger.getLogger().info('Smart Notification Engine initialized', {
       types: Object.keys(this.notificationTypes).length,
-      aiEnabled: !!process.env.OPENAI_API_KEY
+      aiEnabled: llmService.isAvailable('notifications')
     });
   }
 
@@ -219,6 +236,8 @@ class SmartNotificationEngine {
    * @param {string} notificationType - Type from notificationTypes
    * @param {Object} context - Context data for personalization
    * @param {Object} options - Override options
+   * @param {boolean} options.sendImmediately - Skip send time optimization
+   * @param {Object} options.content - Pre-written { title, body } used instead of generated copy
    */
   async sendSmartNotification(userId, notificationType, context = {}, options = {}) {
     try {
@@ -264,13 +283,15 @@ class SmartNotificationEngine {
       );
 
       // STEP 4: Generate personalized content
-      const notification = await this.generatePersonalizedNotification(
-        userId,
-        notificationType,
-        context,
-        userProfile,
-        behaviorPatterns
-      );
+      const notification = options.content
+        ? { title: options.content.title, body: options.content.body, generated: 'provided' }
+        : await this.generatePersonalizedNotification(
+          userId,
+          notificationType,
+          context,
+          userProfile,
+          behaviorPatterns
+        );
 
       // STEP 5: A/B test variant selection (if enabled)
       if (notifConfig.abTestEnabled && this.abTestConfig.enabled) {
@@ -518,7 +539,7 @@ class SmartNotificationEngine {
   async generatePersonalizedNotification(userId, notificationType, context, userProfile, behaviorPatterns) {
     try {
       // Check if AI is enabled and available
-      if (!this.openai || !process.env.OPENAI_API_KEY) {
+      if (!llmService.isAvailable('notifications')) {
         return this.generateFallbackNotification(notificationType, context, userProfile);
       }
 
@@ -537,7 +558,7 @@ class SmartNotificationEngine {
       // Generate personalized content with GPT-4
       const prompt = this.buildAIPrompt(notificationType, aiContext, context);
 
-      const completion = await this.openai.chat.completions.create({
+      const completion = await llmService.chat('notifications', {
         model: 'gpt-4',
         messages: [{
           role: 'system',
@@ -900,6 +921,20 @@ class SmartNotificationEngine {
         ];
         baseNotif.data.offerId = context.offerId;
         break;
+
+      case 'coach_followup':
+        baseNotif.actions = [
+          {
+            id: 'reply_coach',
+            title: 'Reply',
+            deepLink: context.sessionId
+              ? `cosmiccoach://coach/${context.sessionId}`
+              : 'cosmiccoach://coach'
+          }
+        ];
+        baseNotif.data.followUpId = context.followUpId;
+        baseNotif.data.sessionId = context.sessionId || null;
+        break;
     }
 
     // Add platform-specific configurations
@@ -1190,7 +1225,18 @@ class SmartNotificationEngine {
         };
       }
 
-      return result.rows[0];
+      // Rows are snake_case; the spam rules read camelCase
+      const row = result.rows[0];
+      const disabledTypes = Object.entries(this.typePreferenceColumns)
+        .filter(([, column]) => row[column] === false)
+        .map(([typeId]) => typeId);
+
+      return {
+        ...row,
+        enabled: row.enabled !== false,
+        disabledTypes: [...(row.disabled_types || []), ...disabledTypes],
+        customQuietHours: row.custom_quiet_hours || null
+      };
     } catch (error) {
       logger.logError(error, { operation: 'get_notification_preferences', userId });
       return { enabled: true };
@@ -1278,7 +1324,7 @@ class SmartNotificationEngine {
         FROM user_streaks us
         JOIN users u ON us.user_id = u.id
         WHERE us.current_streak > 0
-          AND us.last_check_in < CURRENT_DATE
+          AND us.last_check_in < (NOW() AT TIME ZONE COALESCE(us.timezone, 'UTC'))::date
           AND NOT EXISTS (
             SELECT 1 FROM smart_notifications sn
             WHERE sn.user_id = us.user_id
@@ -1331,7 +1377,7 @@ class SmartNotificationEngine {
       service: 'SmartNotificationEngine',
       version: '1.0.0',
       status: 'operational',
-      aiEnabled: !!this.openai,
+      aiEnabled: llmService.isAvailable('notifications'),
       stats: this.stats,
       notificationTypes: Object.keys(this.notificationTypes).length,
       spamPrevention: this.spamPreventionConfig,
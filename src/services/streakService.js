@@ -7,11 +7,13 @@
  * Impact: Expected +800% retention through FOMO and habit formation
  *
  * Features:
- * - Daily check-in tracking
+ * - Daily check-in tracking (in the user's local day)
  * - Streak calculation (current & longest)
  * - Milestone rewards system
  * - Cosmic points accumulation
  * - Badge management
+ * - Streak protection: freeze tokens, paid repairs, monthly allowances
+ * - Leaderboards: global, friends, country and sign; weekly and all-time
  *
  * Created: 2025-01-23
  * ========================================================
@@ -26,8 +28,10 @@ if (process.env.NODE_ENV === 'production') {
   dotenv.config();
 }
 
+const moment = require('moment-timezone');
 const db = require('../config/db');
 const logger = require('./loggingService');
+const localContextService = require('./localContextService');
 
 class StreakService {
   constructor() {
@@ -101,45 +105,118 @@ class StreakService {
 
     // Points awarded per check-in
     this.pointsPerCheckIn = 10;
+
+    // Day boundary when neither the client nor the user's row gives a timezone
+    this.defaultTimezone = 'UTC';
+
+    // Streak protection: a freeze covers one missed day and is spent
+    // automatically; after a break the old streak can be repaired (paid)
+    // during a grace window
+    this.protection = {
+      maxFreezeTokens: 5,
+      earnFreezeEveryDays: 7,
+      freezeCostPoints: 100,
+      repairCostPoints: 250,
+      repairWindowHours: parseInt(process.env.STREAK_REPAIR_WINDOW_HOURS, 10) || 48,
+      monthlyFreezeAllowance: {
+        free: 0,
+        cosmic: 1,
+        stellar: 3
+      }
+    };
+
+    // Leaderboards
+    this.leaderboard = {
+      scopes: ['global', 'friends', 'country', 'sign'],
+      windows: ['all_time', 'weekly'],
+      weeklyDays: 7,
+      maxPageSize: 100
+    };
+
+    this.zodiacSigns = [
+      'aries', 'taurus', 'gemini', 'cancer', 'leo', 'virgo',
+      'libra', 'scorpio', 'sagittarius', 'capricorn', 'aquarius', 'pisces'
+    ];
   }
 
   /**
    * ========================================================
    * CHECK IN USER FOR TODAY
    * ========================================================
-   * Main method to process daily check-in
+   * Main method to process daily check-in. "Today" is the calendar day in
+   * the user's timezone, so an evening check-in in Mexico City counts for
+   * that evening's date rather than the next UTC day.
    *
    * @param {string} userId - UUID of the user
    * @param {string} language - 'es' or 'en' (default: 'es')
+   * @param {Object} options - Optional parameters
+   * @param {string} [options.timezone] - IANA timezone sent by the client (e.g. 'America/Mexico_City')
+   * @param {string} [options.country] - ISO country code, used when no timezone is known
+   * @param {string} [options.tier] - Subscription tier ('free', 'cosmic', 'stellar') for the monthly freeze allowance
+   * @param {string} [options.zodiacSign] - Sun sign, stored for the sign leaderboard
    * @returns {Object} Updated streak information
    */
-  async checkIn(userId, language = 'es') {
+  async checkIn(userId, language = 'es', options = {}) {
     try {
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-
-      logger.getLogger().info('Processing streak check-in', { userId, today });
-
       // Get or create streak record
       let streak = await db.query(
         'SELECT * FROM user_streaks WHERE user_id = $1',
         [userId]
       );
 
+      const timezone = this._resolveTimezone(streak.rows[0], options);
+      const now = new Date();
+      const today = this._localDate(now, timezone); // YYYY-MM-DD format
+
+      const country = this._normalizeCountry(options.country);
+      const zodiacSign = this._normalizeSign(options.zodiacSign);
+
+      logger.getLogger().info('Processing streak check-in', { userId, today, timezone });
+
       // CASE 1: First time user - create new record
       if (streak.rows.length === 0) {
+        const newStreak = { freeze_tokens: 0, freeze_allowance_month: null };
+        const freezesGranted = this._applyMonthlyAllowance(newStreak, options.tier, today);
+
         await db.query(
           `INSERT INTO user_streaks (
             user_id,
             current_streak,
             longest_streak,
             last_check_in,
+            last_check_in_at,
+            timezone,
             total_check_ins,
             cosmic_points,
             milestones_achieved,
-            badges
-          ) VALUES ($1, 1, 1, $2, 1, $3, '[]'::jsonb, '[]'::jsonb)`,
-          [userId, today, this.pointsPerCheckIn]
+            badges,
+            freeze_tokens,
+            freeze_allowance_month,
+            country,
+            zodiac_sign
+          ) VALUES ($1, 1, 1, $2, $3, $4, 1, $5, '[]'::jsonb, '[]'::jsonb, $6, $7, $8, $9)`,
+          [
+            userId,
+            today,
+            now,
+            timezone,
+            this.pointsPerCheckIn,
+            newStreak.freeze_tokens,
+            newStreak.freeze_allowance_month,
+            country,
+            zodiacSign
+          ]
         );
+        await this._recordCheckInDay(userId, today, this.pointsPerCheckIn);
+
+        if (freezesGranted > 0) {
+          await this._recordProtectionEvent(userId, 'freeze_granted', {
+            tokensDelta: freezesGranted,
+            streakValue: 1,
+            eventDate: today,
+            source: options.tier
+          });
+        }
 
         logger.getLogger().info('First streak check-in created', { userId, streak: 1 });
 
@@ -153,12 +230,17 @@ class StreakService {
           total_cosmic_points: this.pointsPerCheckIn,
           total_check_ins: 1,
           milestone: null,
+          freeze_tokens: newStreak.freeze_tokens,
+          freezes_used: 0,
+          repair: null,
+          timezone,
+          local_date: today,
           message: this._getStreakMessage(1, true, null, language, true)
         };
       }
 
       streak = streak.rows[0];
-      const lastCheckIn = streak.last_check_in;
+      const lastCheckIn = this._lastCheckInDate(streak, timezone);
 
       // CASE 2: Already checked in today
       if (lastCheckIn === today) {
@@ -173,6 +255,11 @@ class StreakService {
           total_cosmic_points: streak.cosmic_points,
           total_check_ins: streak.total_check_ins,
           milestone: null,
+          freeze_tokens: streak.freeze_tokens || 0,
+          freezes_used: 0,
+          repair: this._repairOffer(streak, now),
+          timezone,
+          local_date: today,
           message: language === 'es'
             ? `🔥 Ya te registraste hoy. Racha actual: ${streak.current_streak} días`
             : `🔥 Already checked in today. Current streak: ${streak.current_streak} days`
@@ -180,29 +267,54 @@ class StreakService {
       }
 
       // CASE 3: Calculate if streak continues or breaks
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const yesterdayStr = yesterday.toISOString().split('T')[0];
+      streak.freeze_tokens = streak.freeze_tokens || 0;
+      const freezesGranted = this._applyMonthlyAllowance(streak, options.tier, today);
+      const missedDates = this._missedDates(lastCheckIn, today);
 
       let newStreak;
       let streakBroken = false;
+      let freezesUsed = 0;
+      let freezesEarned = 0;
+      let repairableStreak = streak.repairable_streak || null;
+      let repairAvailableUntil = streak.repair_available_until || null;
 
-      if (lastCheckIn === yesterdayStr) {
+      if (missedDates.length === 0) {
         // Streak continues!
         newStreak = streak.current_streak + 1;
         logger.getLogger().info('Streak continues', { userId, newStreak });
+      } else if (missedDates.length <= streak.freeze_tokens) {
+        // Missed days are covered by freezes
+        freezesUsed = missedDates.length;
+        streak.freeze_tokens -= freezesUsed;
+        newStreak = streak.current_streak + 1;
+        logger.getLogger().info('Streak protected by freezes', { userId, newStreak, freezesUsed });
       } else {
         // Streak broken, start over
         newStreak = 1;
         streakBroken = true;
+
+        // The old streak can be repaired during the grace window
+        if (streak.current_streak > 1) {
+          repairableStreak = streak.current_streak;
+          repairAvailableUntil = new Date(now.getTime() + this.protection.repairWindowHours * 60 * 60 * 1000);
+        }
+
         logger.getLogger().info('Streak broken, restarting', {
           userId,
           previousStreak: streak.current_streak,
           lastCheckIn,
-          today
+          today,
+          freezeTokens: streak.freeze_tokens,
+          missedDays: missedDates.length
         });
       }
 
+      // Consistency earns freezes
+      if (newStreak % this.protection.earnFreezeEveryDays === 0 && streak.freeze_tokens < this.protection.maxFreezeTokens) {
+        freezesEarned = 1;
+        streak.freeze_tokens += 1;
+      }
+
       // Check if this is a new personal record
       const isNewRecord = newStreak > streak.longest_streak;
 
@@ -237,21 +349,69 @@ class StreakService {
          SET current_streak = $1,
              longest_streak = GREATEST(longest_streak, $1),
              last_check_in = $2,
+             last_check_in_at = $3,
+             timezone = $4,
              total_check_ins = total_check_ins + 1,
-             cosmic_points = cosmic_points + $3,
-             milestones_achieved = $4,
-             badges = $5,
+             cosmic_points = cosmic_points + $5,
+             milestones_achieved = $6,
+             badges = $7,
+             freeze_tokens = $8,
+             freeze_allowance_month = $9,
+             repairable_streak = $10,
+             repair_available_until = $11,
+             country = COALESCE($13, country),
+             zodiac_sign = COALESCE($14, zodiac_sign),
              updated_at = NOW()
-         WHERE user_id = $6`,
+         WHERE user_id = $12`,
         [
           newStreak,
           today,
+          now,
+          timezone,
           pointsToAward,
           JSON.stringify(updatedMilestones),
           JSON.stringify(updatedBadges),
-          userId
+          streak.freeze_tokens,
+          streak.freeze_allowance_month || null,
+          repairableStreak,
+          repairAvailableUntil,
+          userId,
+          country,
+          zodiacSign
         ]
       );
+      await this._recordCheckInDay(userId, today, pointsToAward);
+
+      // Protection history
+      if (freezesGranted > 0) {
+        await this._recordProtectionEvent(userId, 'freeze_granted', {
+          tokensDelta: freezesGranted,
+          streakValue: streak.current_streak,
+          eventDate: today,
+          source: options.tier
+        });
+      }
+      for (const missedDate of missedDates.slice(0, freezesUsed)) {
+        await this._recordProtectionEvent(userId, 'freeze_used', {
+          tokensDelta: -1,
+          streakValue: newStreak,
+          eventDate: missedDate
+        });
+      }
+      if (streakBroken) {
+        await this._recordProtectionEvent(userId, 'streak_broken', {
+          streakValue: streak.current_streak,
+          eventDate: today,
+          metadata: { missedDays: missedDates.length, repairAvailableUntil }
+        });
+      }
+      if (freezesEarned > 0) {
+        await this._recordProtectionEvent(userId, 'freeze_earned', {
+          tokensDelta: freezesEarned,
+          streakValue: newStreak,
+          eventDate: today
+        });
+      }
 
       const newLongestStreak = isNewRecord ? newStreak : streak.longest_streak;
       const newTotalPoints = streak.cosmic_points + pointsToAward;
@@ -277,7 +437,16 @@ class StreakService {
         total_check_ins: newTotalCheckIns,
         milestone: milestone,
         badges: updatedBadges,
-        message: this._getStreakMessage(newStreak, isNewRecord, milestone, language, false, streakBroken)
+        freeze_tokens: streak.freeze_tokens,
+        freezes_used: freezesUsed,
+        freezes_earned: freezesEarned,
+        repair: this._repairOffer({ repairable_streak: repairableStreak, repair_available_until: repairAvailableUntil }, now),
+        timezone,
+        local_date: today,
+        message: this._getStreakMessage(newStreak, isNewRecord, milestone, language, false, streakBroken, {
+          freezesUsed,
+          repairableStreak: streakBroken ? repairableStreak : null
+        })
       };
 
     } catch (error) {
@@ -297,12 +466,15 @@ class StreakService {
    * ========================================================
    * GET USER STREAK INFORMATION
    * ========================================================
-   * Retrieve current streak data for a user
+   * Retrieve current streak data for a user. A streak whose missed days
+   * (user's local day) exceed the available freezes is reported as 0.
+   * Includes freeze tokens, any open repair offer and the protection history.
    *
    * @param {string} userId - UUID of the user
+   * @param {Object} options - Same timezone/tier options as checkIn
    * @returns {Object} Streak information
    */
-  async getStreak(userId) {
+  async getStreak(userId, options = {}) {
     try {
       const result = await db.query(
         'SELECT * FROM user_streaks WHERE user_id = $1',
@@ -321,25 +493,44 @@ class StreakService {
           badges: [],
           milestones_achieved: [],
           has_checked_in_today: false,
+          freeze_tokens: 0,
+          max_freeze_tokens: this.protection.maxFreezeTokens,
+          monthly_freeze_allowance: this.protection.monthlyFreezeAllowance[options.tier] || 0,
+          repair: null,
+          protection_events: [],
           next_milestone: this._getNextMilestone(0)
         };
       }
 
       const streak = result.rows[0];
-      const today = new Date().toISOString().split('T')[0];
-      const hasCheckedInToday = streak.last_check_in === today;
+      const timezone = this._resolveTimezone(streak, options);
+      const today = this._localDate(new Date(), timezone);
+      const lastCheckIn = this._lastCheckInDate(streak, timezone);
+      const hasCheckedInToday = lastCheckIn === today;
+      const freezeTokens = streak.freeze_tokens || 0;
+      const missedDays = this._missedDates(lastCheckIn, today).length;
+      const currentStreak = lastCheckIn && missedDays <= freezeTokens ? streak.current_streak : 0;
+      const history = await this.getProtectionHistory(userId);
 
       return {
         success: true,
-        current_streak: streak.current_streak,
+        current_streak: currentStreak,
         longest_streak: streak.longest_streak,
-        last_check_in: streak.last_check_in,
+        last_check_in: lastCheckIn,
         total_check_ins: streak.total_check_ins,
         cosmic_points: streak.cosmic_points,
         badges: streak.badges || [],
         milestones_achieved: streak.milestones_achieved || [],
         has_checked_in_today: hasCheckedInToday,
-        next_milestone: this._getNextMilestone(streak.current_streak),
+        freeze_tokens: freezeTokens,
+        freezes_pending: currentStreak > 0 ? missedDays : 0,
+        max_freeze_tokens: this.protection.maxFreezeTokens,
+        monthly_freeze_allowance: this.protection.monthlyFreezeAllowance[options.tier] || 0,
+        repair: this._repairOffer(streak, new Date()),
+        protection_events: history.events || [],
+        timezone,
+        local_date: today,
+        next_milestone: this._getNextMilestone(currentStreak),
         created_at: streak.created_at,
         updated_at: streak.updated_at
       };
@@ -357,40 +548,282 @@ class StreakService {
 
   /**
    * ========================================================
-   * GET LEADERBOARD
+   * PURCHASE STREAK FREEZES
    * ========================================================
-   * Get top users by current streak
+   * Add freeze tokens paid with cosmic points, or granted after an
+   * in-app purchase has been validated (source 'purchase')
    *
-   * @param {number} limit - Number of users to return (default: 10)
-   * @returns {Object} Leaderboard data
+   * @param {string} userId - UUID of the user
+   * @param {Object} options - Optional parameters
+   * @param {number} [options.quantity=1] - Number of freezes
+   * @param {string} [options.source='cosmic_points'] - 'cosmic_points' or 'purchase'
+   * @param {string} [options.transactionId] - Store transaction for 'purchase'
+   * @returns {Object} Updated freeze balance
    */
-  async getLeaderboard(limit = 10) {
+  async purchaseFreeze(userId, { quantity = 1, source = 'cosmic_points', transactionId = null } = {}) {
     try {
+      const cost = source === 'cosmic_points' ? quantity * this.protection.freezeCostPoints : 0;
+
       const result = await db.query(
-        `SELECT
-          us.user_id,
-          us.current_streak,
-          us.longest_streak,
-          us.total_check_ins,
-          us.cosmic_points,
-          us.badges,
-          u.email
-         FROM user_streaks us
-         JOIN users u ON us.user_id = u.id
-         WHERE us.current_streak > 0
-         ORDER BY us.current_streak DESC, us.cosmic_points DESC
-         LIMIT $1`,
-        [limit]
+        `UPDATE user_streaks
+         SET freeze_tokens = freeze_tokens + $2,
+             cosmic_points = cosmic_points - $3,
+             updated_at = NOW()
+         WHERE user_id = $1
+           AND cosmic_points >= $3
+           AND freeze_tokens + $2 <= $4
+         RETURNING freeze_tokens, cosmic_points, current_streak`,
+        [userId, quantity, cost, this.protection.maxFreezeTokens]
+      );
+
+      if (result.rows.length === 0) {
+        return this._protectionRejection(userId, 'purchase_freeze', { quantity, cost });
+      }
+
+      const updated = result.rows[0];
+      await this._recordProtectionEvent(userId, 'freeze_purchased', {
+        tokensDelta: quantity,
+        streakValue: updated.current_streak,
+        costPoints: cost,
+        source,
+        metadata: transactionId ? { transactionId } : {}
+      });
+
+      logger.getLogger().info('Streak freezes purchased', { userId, quantity, source, cost });
+
+      return {
+        success: true,
+        freeze_tokens: updated.freeze_tokens,
+        cosmic_points_spent: cost,
+        total_cosmic_points: updated.cosmic_points
+      };
+
+    } catch (error) {
+      logger.logError(error, { context: 'purchase_streak_freeze', userId });
+
+      return {
+        success: false,
+        error: 'purchase_freeze_failed',
+        message: 'Failed to purchase streak freeze'
+      };
+    }
+  }
+
+  /**
+   * ========================================================
+   * REPAIR BROKEN STREAK
+   * ========================================================
+   * Restore the streak lost in the last break while the repair window is
+   * open. Days checked in since the break are added on top.
+   *
+   * @param {string} userId - UUID of the user
+   * @param {Object} options - Optional parameters
+   * @param {string} [options.source='cosmic_points'] - 'cosmic_points' or 'purchase'
+   * @param {string} [options.transactionId] - Store transaction for 'purchase'
+   * @returns {Object} Restored streak
+   */
+  async repairStreak(userId, { source = 'cosmic_points', transactionId = null } = {}) {
+    try {
+      const cost = source === 'cosmic_points' ? this.protection.repairCostPoints : 0;
+
+      const result = await db.query(
+        `UPDATE user_streaks
+         SET current_streak = current_streak + repairable_streak,
+             longest_streak = GREATEST(longest_streak, current_streak + repairable_streak),
+             cosmic_points = cosmic_points - $2,
+             repairable_streak = NULL,
+             repair_available_until = NULL,
+             updated_at = NOW()
+         WHERE user_id = $1
+           AND repairable_streak > 0
+           AND repair_available_until > NOW()
+           AND cosmic_points >= $2
+         RETURNING current_streak, longest_streak, cosmic_points`,
+        [userId, cost]
+      );
+
+      if (result.rows.length === 0) {
+        return this._protectionRejection(userId, 'repair_streak', { cost });
+      }
+
+      const updated = result.rows[0];
+      await this._recordProtectionEvent(userId, 'streak_repaired', {
+        streakValue: updated.current_streak,
+        costPoints: cost,
+        source,
+        metadata: transactionId ? { transactionId } : {}
+      });
+
+      logger.getLogger().info('Streak repaired', { userId, streak: updated.current_streak, source, cost });
+
+      return {
+        success: true,
+        current_streak: updated.current_streak,
+        longest_streak: updated.longest_streak,
+        cosmic_points_spent: cost,
+        total_cosmic_points: updated.cosmic_points,
+        next_milestone: this._getNextMilestone(updated.current_streak)
+      };
+
+    } catch (error) {
+      logger.logError(error, { context: 'repair_streak', userId });
+
+      return {
+        success: false,
+        error: 'repair_failed',
+        message: 'Failed to repair streak'
+      };
+    }
+  }
+
+  /**
+   * ========================================================
+   * GET PROTECTION HISTORY
+   * ========================================================
+   * Freeze and repair events, newest first
+   *
+   * @param {string} userId - UUID of the user
+   * @param {number} limit - Number of events to return (default: 20)
+   * @returns {Object} Protection events
+   */
+  async getProtectionHistory(userId, limit = 20) {
+    try {
+      const result = await db.query(
+        `SELECT event_type, tokens_delta, streak_value, event_date, cost_points, source, metadata, created_at
+         FROM streak_protection_events
+         WHERE user_id = $1
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2`,
+        [userId, limit]
+      );
+
+      return {
+        success: true,
+        events: result.rows
+      };
+
+    } catch (error) {
+      logger.logError(error, { context: 'get_streak_protection_history', userId });
+
+      return {
+        success: false,
+        error: 'protection_history_failed',
+        events: []
+      };
+    }
+  }
+
+  /**
+   * ========================================================
+   * GET LEADERBOARD
+   * ========================================================
+   * Ranked streaks for one board. Users who opted out are left off the
+   * global, country and sign boards; on the friends board they only show
+   * to people they follow back.
+   *
+   * All-time boards rank by current streak, weekly boards by check-ins in
+   * the last 7 local days (ties: current streak, then points). As in
+   * getStreak, a streak whose missed local days exceed the user's freezes
+   * counts as 0, so broken streaks drop off the all-time boards.
+   *
+   * @param {Object|number} options - Board options (a number is read as `limit`)
+   * @param {string} [options.userId] - Viewer, required for 'friends' and my_rank
+   * @param {string} [options.scope='global'] - 'global' | 'friends' | 'country' | 'sign'
+   * @param {string} [options.window='all_time'] - 'all_time' | 'weekly'
+   * @param {string} [options.country] - ISO country code (defaults to the viewer's)
+   * @param {string} [options.zodiacSign] - Sign (defaults to the viewer's)
+   * @param {string} [options.timezone] - Viewer's timezone for the weekly window
+   * @param {number} [options.limit=10] - Page size
+   * @param {number} [options.offset=0] - Page offset
+   * @returns {Object} Leaderboard page, pagination and the viewer's rank
+   */
+  async getLeaderboard(options = {}) {
+    if (typeof options === 'number') {
+      options = { limit: options };
+    }
+
+    const {
+      userId = null,
+      scope = 'global',
+      window = 'all_time',
+      timezone
+    } = options;
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), this.leaderboard.maxPageSize);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+    try {
+      if (!this.leaderboard.scopes.includes(scope) || !this.leaderboard.windows.includes(window)) {
+        return {
+          success: false,
+          error: 'invalid_leaderboard',
+          message: `scope must be one of ${this.leaderboard.scopes.join(', ')} and window one of ${this.leaderboard.windows.join(', ')}`
+        };
+      }
+
+      let viewer = null;
+      if (userId) {
+        const viewerResult = await db.query('SELECT * FROM user_streaks WHERE user_id = $1', [userId]);
+        viewer = viewerResult.rows[0] || null;
+      }
+
+      if (scope === 'friends' && !userId) {
+        return { success: false, error: 'user_required', message: 'The friends leaderboard needs a user' };
+      }
+
+      const country = this._normalizeCountry(options.country) || (viewer && viewer.country) || null;
+      const zodiacSign = this._normalizeSign(options.zodiacSign) || (viewer && viewer.zodiac_sign) || null;
+
+      if ((scope === 'country' && !country) || (scope === 'sign' && !zodiacSign)) {
+        return {
+          success: false,
+          error: scope === 'country' ? 'country_required' : 'sign_required',
+          message: `The ${scope} leaderboard needs a ${scope === 'country' ? 'country' : 'zodiac sign'}`
+        };
+      }
+
+      const today = this._localDate(new Date(), this._resolveTimezone(viewer, { timezone }));
+      const since = moment(today, 'YYYY-MM-DD').subtract(this.leaderboard.weeklyDays - 1, 'days').format('YYYY-MM-DD');
+      const { sql, params } = this._leaderboardQuery({ scope, window, userId, country, zodiacSign, since });
+
+      const page = await db.query(
+        `${sql}
+         SELECT * FROM ranked
+         ORDER BY rank, user_id
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
       );
 
+      let myRank = null;
+      if (userId) {
+        const mine = await db.query(`${sql} SELECT * FROM ranked WHERE user_id = $${params.length + 1}`, [...params, userId]);
+        myRank = mine.rows[0] ? this._formatLeaderboardEntry(mine.rows[0]) : null;
+      }
+
+      const total = page.rows.length > 0
+        ? parseInt(page.rows[0].total, 10)
+        : (await db.query(`${sql} SELECT COUNT(*)::int AS total FROM ranked`, params)).rows[0].total;
+
       return {
         success: true,
-        leaderboard: result.rows,
-        total_users: result.rows.length
+        scope,
+        window,
+        country: scope === 'country' ? country : undefined,
+        zodiac_sign: scope === 'sign' ? zodiacSign : undefined,
+        since: window === 'weekly' ? since : undefined,
+        leaderboard: page.rows.map(row => this._formatLeaderboardEntry(row)),
+        total_users: page.rows.length,
+        pagination: {
+          limit,
+          offset,
+          total,
+          has_more: offset + page.rows.length < total
+        },
+        my_rank: myRank,
+        hidden_from_public: viewer ? !!viewer.leaderboard_opt_out : false
       };
 
     } catch (error) {
-      logger.logError(error, { context: 'get_leaderboard' });
+      logger.logError(error, { context: 'get_leaderboard', scope, window, userId });
 
       return {
         success: false,
@@ -400,6 +833,465 @@ class StreakService {
     }
   }
 
+  /**
+   * ========================================================
+   * UPDATE LEADERBOARD SETTINGS
+   * ========================================================
+   * Opt out of public boards and/or set the name shown on boards
+   *
+   * @param {string} userId - UUID of the user
+   * @param {Object} settings - { optOut, displayName }
+   * @returns {Object} Current settings
+   */
+  async updateLeaderboardSettings(userId, { optOut, displayName } = {}) {
+    try {
+      const result = await db.query(
+        `INSERT INTO user_streaks (user_id, leaderboard_opt_out, display_name)
+         VALUES ($1, COALESCE($2, FALSE), $3)
+         ON CONFLICT (user_id) DO UPDATE
+         SET leaderboard_opt_out = COALESCE($2, user_streaks.leaderboard_opt_out),
+             display_name = COALESCE($3, user_streaks.display_name),
+             updated_at = NOW()
+         RETURNING leaderboard_opt_out, display_name`,
+        [userId, typeof optOut === 'boolean' ? optOut : null, displayName || null]
+      );
+
+      logger.getLogger().info('Leaderboard settings updated', { userId, optOut });
+
+      return {
+        success: true,
+        leaderboard_opt_out: result.rows[0].leaderboard_opt_out,
+        display_name: result.rows[0].display_name
+      };
+
+    } catch (error) {
+      logger.logError(error, { context: 'update_leaderboard_settings', userId });
+
+      return {
+        success: false,
+        error: 'leaderboard_settings_failed',
+        message: 'Failed to update leaderboard settings'
+      };
+    }
+  }
+
+  /**
+   * ========================================================
+   * FOLLOW / UNFOLLOW
+   * ========================================================
+   * Follow relationships define the friends leaderboard
+   *
+   * @param {string} followerId - UUID of the user who follows
+   * @param {string} followeeId - UUID of the user being followed
+   * @returns {Object} Result
+   */
+  async followUser(followerId, followeeId) {
+    if (followerId === followeeId) {
+      return { success: false, error: 'cannot_follow_self', message: 'Users cannot follow themselves' };
+    }
+
+    try {
+      await db.query(
+        `INSERT INTO user_follows (follower_id, followee_id)
+         VALUES ($1, $2)
+         ON CONFLICT (follower_id, followee_id) DO NOTHING`,
+        [followerId, followeeId]
+      );
+
+      return { success: true, following: true };
+
+    } catch (error) {
+      logger.logError(error, { context: 'follow_user', followerId, followeeId });
+
+      return { success: false, error: 'follow_failed', message: 'Failed to follow user' };
+    }
+  }
+
+  async unfollowUser(followerId, followeeId) {
+    try {
+      await db.query(
+        'DELETE FROM user_follows WHERE follower_id = $1 AND followee_id = $2',
+        [followerId, followeeId]
+      );
+
+      return { success: true, following: false };
+
+    } catch (error) {
+      logger.logError(error, { context: 'unfollow_user', followerId, followeeId });
+
+      return { success: false, error: 'unfollow_failed', message: 'Failed to unfollow user' };
+    }
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: LEADERBOARD QUERY
+   * ========================================================
+   * Builds the `WITH ... ranked AS (...)` prefix shared by the page,
+   * my-rank and count queries
+   *
+   * @param {Object} board - { scope, window, userId, country, zodiacSign, since }
+   * @returns {Object} { sql, params }
+   */
+  _leaderboardQuery({ scope, window, userId, country, zodiacSign, since }) {
+    const params = [since];
+    const conditions = [];
+
+    if (scope === 'friends') {
+      params.push(userId);
+      const viewer = `$${params.length}`;
+      conditions.push(`(
+        us.user_id = ${viewer}
+        OR (
+          us.user_id IN (SELECT followee_id FROM user_follows WHERE follower_id = ${viewer})
+          AND (
+            NOT us.leaderboard_opt_out
+            OR EXISTS (SELECT 1 FROM user_follows f WHERE f.follower_id = us.user_id AND f.followee_id = ${viewer})
+          )
+        )
+      )`);
+    } else {
+      conditions.push('NOT us.leaderboard_opt_out');
+    }
+
+    if (scope === 'country') {
+      params.push(country);
+      conditions.push(`us.country = $${params.length}`);
+    }
+
+    if (scope === 'sign') {
+      params.push(zodiacSign);
+      conditions.push(`us.zodiac_sign = $${params.length}`);
+    }
+
+    // Stored current_streak is only reset on the next check-in; missed local
+    // days beyond the freeze balance mean the streak is already broken
+    const liveStreak = `CASE
+            WHEN us.last_check_in IS NOT NULL
+             AND (NOW() AT TIME ZONE COALESCE(us.timezone, 'UTC'))::date - us.last_check_in - 1 <= COALESCE(us.freeze_tokens, 0)
+            THEN us.current_streak
+            ELSE 0
+          END`;
+
+    const weekly = window === 'weekly';
+    conditions.push(weekly ? 'COALESCE(w.check_ins, 0) > 0' : `${liveStreak} > 0`);
+
+    const order = weekly
+      ? `COALESCE(w.check_ins, 0) DESC, ${liveStreak} DESC, COALESCE(w.points, 0) DESC`
+      : `${liveStreak} DESC, us.cosmic_points DESC`;
+
+    const sql = `WITH ranked AS (
+        SELECT
+          us.user_id,
+          us.display_name,
+          us.country,
+          us.zodiac_sign,
+          ${liveStreak} AS current_streak,
+          us.longest_streak,
+          us.total_check_ins,
+          us.cosmic_points,
+          us.badges,
+          COALESCE(w.check_ins, 0) AS weekly_check_ins,
+          COALESCE(w.points, 0) AS weekly_points,
+          COALESCE(spe.freezes_used, 0) AS freezes_used,
+          COALESCE(spe.repairs, 0) AS repairs,
+          RANK() OVER (ORDER BY ${order}) AS rank,
+          COUNT(*) OVER () AS total
+        FROM user_streaks us
+        LEFT JOIN (
+          SELECT user_id, COUNT(*)::int AS check_ins, SUM(points_earned)::int AS points
+          FROM streak_check_ins
+          WHERE check_in_date >= $1
+          GROUP BY user_id
+        ) w ON w.user_id = us.user_id
+        LEFT JOIN (
+          SELECT user_id,
+                 COUNT(*) FILTER (WHERE event_type = 'freeze_used')::int AS freezes_used,
+                 COUNT(*) FILTER (WHERE event_type = 'streak_repaired')::int AS repairs
+          FROM streak_protection_events
+          GROUP BY user_id
+        ) spe ON spe.user_id = us.user_id
+        WHERE ${conditions.join('\n          AND ')}
+      )`;
+
+    return { sql, params };
+  }
+
+  _formatLeaderboardEntry(row) {
+    return {
+      rank: parseInt(row.rank, 10),
+      user_id: row.user_id,
+      display_name: row.display_name,
+      country: row.country,
+      zodiac_sign: row.zodiac_sign,
+      current_streak: row.current_streak,
+      longest_streak: row.longest_streak,
+      total_check_ins: row.total_check_ins,
+      cosmic_points: row.cosmic_points,
+      badges: row.badges || [],
+      weekly_check_ins: row.weekly_check_ins,
+      weekly_points: row.weekly_points,
+      freezes_used: row.freezes_used,
+      repairs: row.repairs
+    };
+  }
+
+  _normalizeCountry(country) {
+    return country && /^[a-z]{2}$/i.test(country) ? country.toUpperCase() : null;
+  }
+
+  _normalizeSign(sign) {
+    const normalized = sign ? String(sign).toLowerCase() : null;
+    return this.zodiacSigns.includes(normalized) ? normalized : null;
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: RECORD CHECK-IN DAY
+   * ========================================================
+   * One row per local check-in day, used by the weekly leaderboards
+   */
+  async _recordCheckInDay(userId, checkInDate, pointsEarned) {
+    await db.query(
+      `INSERT INTO streak_check_ins (user_id, check_in_date, points_earned)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, check_in_date) DO NOTHING`,
+      [userId, checkInDate, pointsEarned]
+    );
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: RESOLVE TIMEZONE
+   * ========================================================
+   * Timezone that defines the user's day: the one stored on the streak
+   * row, then the one sent by the client, then the country's timezone.
+   *
+   * A different client timezone replaces the stored one only once the
+   * user's stored local day has no check-in yet; switching earlier would
+   * open a new calendar day and earn a second check-in on the same day.
+   *
+   * @param {Object} streak - user_streaks row (may be undefined)
+   * @param {Object} options - { timezone, country }
+   * @returns {string} IANA timezone
+   */
+  _resolveTimezone(streak, { timezone, country } = {}) {
+    const requested = timezone && moment.tz.zone(timezone) ? timezone : null;
+
+    if (streak && streak.timezone && moment.tz.zone(streak.timezone)) {
+      if (!requested || requested === streak.timezone) {
+        return streak.timezone;
+      }
+
+      const checkedInToday = this._lastCheckInDate(streak, streak.timezone) === this._localDate(new Date(), streak.timezone);
+      return checkedInToday ? streak.timezone : requested;
+    }
+
+    if (requested) {
+      return requested;
+    }
+
+    if (country) {
+      return localContextService._getTimezone(String(country).toUpperCase());
+    }
+
+    return this.defaultTimezone;
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: LOCAL DATE
+   * ========================================================
+   * @param {Date|string} instant - Moment in time
+   * @param {string} timezone - IANA timezone
+   * @returns {string} YYYY-MM-DD in that timezone
+   */
+  _localDate(instant, timezone) {
+    return moment(instant).tz(timezone).format('YYYY-MM-DD');
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: LAST CHECK-IN DATE
+   * ========================================================
+   * Local date of the last check-in as YYYY-MM-DD.
+   *
+   * Rows written before timezone support (timezone IS NULL) hold a UTC
+   * date; their last_check_in_at (backfilled by migration 013) is
+   * re-read in the user's timezone instead.
+   *
+   * @param {Object} streak - user_streaks row
+   * @param {string} timezone - Resolved IANA timezone
+   * @returns {string|null} YYYY-MM-DD or null
+   */
+  _lastCheckInDate(streak, timezone) {
+    if (!streak.timezone && streak.last_check_in_at) {
+      return this._localDate(streak.last_check_in_at, timezone);
+    }
+
+    const lastCheckIn = streak.last_check_in;
+    if (!lastCheckIn) {
+      return null;
+    }
+
+    // node-postgres parses DATE columns as local midnight
+    return lastCheckIn instanceof Date
+      ? moment(lastCheckIn).format('YYYY-MM-DD')
+      : String(lastCheckIn).slice(0, 10);
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: MISSED DATES
+   * ========================================================
+   * Local days with no check-in between the last check-in and today
+   *
+   * @param {string|null} lastCheckIn - YYYY-MM-DD
+   * @param {string} today - YYYY-MM-DD
+   * @returns {Array<string>} YYYY-MM-DD dates, oldest first
+   */
+  _missedDates(lastCheckIn, today) {
+    if (!lastCheckIn || lastCheckIn >= today) {
+      return [];
+    }
+
+    const dates = [];
+    const day = moment(lastCheckIn, 'YYYY-MM-DD').add(1, 'day');
+    const end = moment(today, 'YYYY-MM-DD');
+
+    while (day.isBefore(end)) {
+      dates.push(day.format('YYYY-MM-DD'));
+      day.add(1, 'day');
+    }
+
+    return dates;
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: APPLY MONTHLY FREEZE ALLOWANCE
+   * ========================================================
+   * Premium tiers receive freezes once per local calendar month, capped
+   * at maxFreezeTokens. Mutates the streak row.
+   *
+   * @param {Object} streak - user_streaks row
+   * @param {string} tier - Subscription tier
+   * @param {string} today - YYYY-MM-DD
+   * @returns {number} Freezes granted
+   */
+  _applyMonthlyAllowance(streak, tier, today) {
+    const allowance = this.protection.monthlyFreezeAllowance[tier] || 0;
+    const month = today.slice(0, 7);
+
+    if (allowance === 0 || streak.freeze_allowance_month === month) {
+      return 0;
+    }
+
+    const granted = Math.max(0, Math.min(allowance, this.protection.maxFreezeTokens - streak.freeze_tokens));
+    streak.freeze_tokens += granted;
+    streak.freeze_allowance_month = month;
+
+    return granted;
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: REPAIR OFFER
+   * ========================================================
+   * @param {Object} streak - Row with repairable_streak and repair_available_until
+   * @param {Date} now - Current time
+   * @returns {Object|null} Open repair offer or null
+   */
+  _repairOffer(streak, now) {
+    if (!streak.repairable_streak || !streak.repair_available_until) {
+      return null;
+    }
+
+    const expiresAt = new Date(streak.repair_available_until);
+    if (expiresAt <= now) {
+      return null;
+    }
+
+    return {
+      streak: streak.repairable_streak,
+      expires_at: expiresAt.toISOString(),
+      cost_points: this.protection.repairCostPoints
+    };
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: RECORD PROTECTION EVENT
+   * ========================================================
+   * @param {string} userId - UUID of the user
+   * @param {string} eventType - freeze_granted | freeze_earned | freeze_purchased | freeze_used | streak_broken | streak_repaired
+   * @param {Object} details - tokensDelta, streakValue, eventDate, costPoints, source, metadata
+   */
+  async _recordProtectionEvent(userId, eventType, {
+    tokensDelta = 0,
+    streakValue = null,
+    eventDate = null,
+    costPoints = 0,
+    source = null,
+    metadata = {}
+  } = {}) {
+    await db.query(
+      `INSERT INTO streak_protection_events (
+        user_id,
+        event_type,
+        tokens_delta,
+        streak_value,
+        event_date,
+        cost_points,
+        source,
+        metadata
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [userId, eventType, tokensDelta, streakValue, eventDate, costPoints, source, JSON.stringify(metadata)]
+    );
+  }
+
+  /**
+   * ========================================================
+   * PRIVATE: PROTECTION REJECTION
+   * ========================================================
+   * Explain why a freeze purchase or repair was not applied
+   *
+   * @param {string} userId - UUID of the user
+   * @param {string} action - 'purchase_freeze' or 'repair_streak'
+   * @param {Object} details - { quantity, cost }
+   * @returns {Object} Error result
+   */
+  async _protectionRejection(userId, action, { quantity = 0, cost = 0 } = {}) {
+    const result = await db.query(
+      'SELECT * FROM user_streaks WHERE user_id = $1',
+      [userId]
+    );
+    const streak = result.rows[0];
+
+    let error;
+    if (!streak) {
+      error = 'no_streak';
+    } else if (action === 'repair_streak' && !this._repairOffer(streak, new Date())) {
+      error = streak.repairable_streak ? 'repair_expired' : 'repair_unavailable';
+    } else if (action === 'purchase_freeze' && streak.freeze_tokens + quantity > this.protection.maxFreezeTokens) {
+      error = 'freeze_limit_reached';
+    } else if (streak.cosmic_points < cost) {
+      error = 'insufficient_points';
+    } else {
+      error = `${action}_rejected`;
+    }
+
+    logger.getLogger().info('Streak protection request rejected', { userId, action, error });
+
+    return {
+      success: false,
+      error,
+      freeze_tokens: streak ? streak.freeze_tokens : 0,
+      total_cosmic_points: streak ? streak.cosmic_points : 0,
+      cost_points: cost
+    };
+  }
+
   /**
    * ========================================================
    * PRIVATE: CHECK MILESTONE
@@ -468,10 +1360,13 @@ class StreakService {
    * @param {string} language - 'es' or 'en'
    * @param {boolean} isFirstTime - Is this user's first check-in?
    * @param {boolean} streakBroken - Was the streak broken?
+   * @param {Object} protection - { freezesUsed, repairableStreak }
    * @returns {string} Formatted message
    */
-  _getStreakMessage(streak, isNewRecord, milestone, language = 'es', isFirstTime = false, streakBroken = false) {
+  _getStreakMessage(streak, isNewRecord, milestone, language = 'es', isFirstTime = false, streakBroken = false, protection = {}) {
     let msg = '';
+    const { freezesUsed = 0, repairableStreak = null } = protection;
+    const repairHours = this.protection.repairWindowHours;
 
     if (language === 'es') {
       // First time user
@@ -484,6 +1379,14 @@ class StreakService {
       // Streak broken
       if (streakBroken) {
         msg = '💔 Tu racha se rompió, pero cada día es un nuevo comienzo.\n';
+        if (repairableStreak) {
+          msg += `🛠️ Puedes reparar tu racha de ${repairableStreak} días durante las próximas ${repairHours} horas.\n`;
+        }
+      }
+
+      // Freezes covered missed days
+      if (freezesUsed > 0) {
+        msg += `🧊 Usamos ${freezesUsed} protector${freezesUsed > 1 ? 'es' : ''} de racha para cubrir los días que faltaste.\n`;
       }
 
       // Current streak
@@ -521,6 +1424,13 @@ class StreakService {
 
       if (streakBroken) {
         msg = '💔 Your streak was broken, but every day is a fresh start.\n';
+        if (repairableStreak) {
+          msg += `🛠️ You can repair your ${repairableStreak}-day streak within the next ${repairHours} hours.\n`;
+        }
+      }
+
+      if (freezesUsed > 0) {
+        msg += `🧊 ${freezesUsed} streak freeze${freezesUsed > 1 ? 's' : ''} covered the day${freezesUsed > 1 ? 's' : ''} you missed.\n`;
       }
 
       msg += `🔥 Current streak: ${streak} day${streak > 1 ? 's' : ''}`;
@@ -562,6 +1472,8 @@ class StreakService {
       version: '1.0.0',
       milestones_count: Object.keys(this.milestones).length,
       points_per_check_in: this.pointsPerCheckIn,
+      default_timezone: this.defaultTimezone,
+      protection: this.protection,
       available_milestones: Object.keys(this.milestones).map(Number).sort((a, b) => a - b)
     };
   }
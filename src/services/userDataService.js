@@ -0,0 +1,511 @@
+/**
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ * 🔐 USER DATA SERVICE
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ *
+ * GDPR data subject requests across every subsystem:
+ * - Export (Art. 15/20): every row held about the user, as JSON or as a
+ *   ZIP archive that also contains their generated voice audio
+ * - Erasure (Art. 17): deletes the same rows in one transaction, then the
+ *   audio files and cached copies in Redis
+ *
+ * Both go through DATA_SOURCES, so a table added to the registry is
+ * exported and erased alike. verifyWiring() flags tables with a user
+ * column that the registry does not cover; securityHardeningService runs
+ * it as part of the GDPR compliance check.
+ *
+ * Every request is audited in data_privacy_requests (migration 022) under
+ * a SHA-256 of the user id, so the record survives the erasure.
+ * ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const db = require('../config/db');
+const logger = require('./loggingService');
+const redisService = require('./redisService');
+const voiceAIService = require('./voiceAIService');
+const { createZipArchive } = require('../utils/zipArchive');
+
+/**
+ * Tables holding user data, children before parents (the erasure order).
+ *
+ * - column: the user column (default user_id)
+ * - parent: rows are found through a parent table, e.g. chat messages
+ *   through the user's sessions
+ * - label: name in the export when a table is listed twice
+ * - omit: columns never exported (secrets, embeddings)
+ * - retain: exported but not erased (legal retention of payment records)
+ *
+ * Tables that do not exist in this deployment are skipped.
+ */
+const DATA_SOURCES = [
+  // AI Coach
+  { section: 'coach', table: 'chat_messages', parent: { table: 'chat_sessions', key: 'session_id' } },
+  { section: 'coach', table: 'coach_followups' },
+  { section: 'coach', table: 'coach_safety_events' },
+  { section: 'coach', table: 'coach_tool_invocations' },
+  { section: 'coach', table: 'chat_sessions' },
+  { section: 'coach', table: 'user_memories', omit: ['embedding'] },
+  { section: 'coach', table: 'coach_conversation_analytics' },
+  { section: 'coach', table: 'coach_conversations' },
+  { section: 'coach', table: 'coach_user_preferences' },
+
+  // Goals
+  { section: 'goals', table: 'goal_micro_habits', parent: { table: 'goals', key: 'goal_id' } },
+  { section: 'goals', table: 'goal_milestones', parent: { table: 'goals', key: 'goal_id' } },
+  { section: 'goals', table: 'goal_obstacles', parent: { table: 'goals', key: 'goal_id' } },
+  { section: 'goals', table: 'goal_checkins', parent: { table: 'goals', key: 'goal_id' } },
+  { section: 'goals', table: 'goals' },
+  { section: 'goals', table: 'goal_check_ins' },
+  { section: 'goals', table: 'premium_goals' },
+
+  // Streaks
+  { section: 'streaks', table: 'streak_check_ins' },
+  { section: 'streaks', table: 'streak_protection_events' },
+  { section: 'streaks', table: 'user_follows', column: 'follower_id', label: 'following' },
+  { section: 'streaks', table: 'user_follows', column: 'followee_id', label: 'followers' },
+  { section: 'streaks', table: 'user_streaks' },
+
+  // Predictions
+  { section: 'predictions', table: 'prediction_feedback' },
+  { section: 'predictions', table: 'prediction_analytics' },
+  { section: 'predictions', table: 'prediction_generation_log' },
+  { section: 'predictions', table: 'verifiable_predictions' },
+  { section: 'predictions', table: 'predictions' },
+  { section: 'predictions', table: 'user_prediction_analytics' },
+  { section: 'predictions', table: 'user_prediction_preferences' },
+
+  // Timing and calendars
+  { section: 'calendar', table: 'timing_verification' },
+  { section: 'calendar', table: 'timing_recommendations' },
+  { section: 'calendar', table: 'timing_analytics' },
+  { section: 'calendar', table: 'timing_calculation_queue' },
+  { section: 'calendar', table: 'user_timing_preferences' },
+  { section: 'calendar', table: 'calendar_sync_log' },
+  { section: 'calendar', table: 'external_calendar_events' },
+  { section: 'calendar', table: 'calendar_events' },
+  { section: 'calendar', table: 'calendar_connections', omit: ['access_token_encrypted', 'refresh_token_encrypted'] },
+  { section: 'calendar', table: 'calendar_feeds', omit: ['token_hash'] },
+
+  // Notifications
+  { section: 'notifications', table: 'notification_analytics' },
+  { section: 'notifications', table: 'scheduled_notifications' },
+  { section: 'notifications', table: 'smart_notifications' },
+  { section: 'notifications', table: 'user_notification_preferences' },
+  { section: 'notifications', table: 'fcm_tokens' },
+
+  // Images and voice
+  { section: 'media', table: 'image_share_events' },
+  { section: 'media', table: 'image_download_events' },
+  { section: 'media', table: 'image_favorites' },
+  { section: 'media', table: 'image_generation_stats' },
+  { section: 'media', table: 'generated_images' },
+  { section: 'media', table: 'voice_audio_files' },
+
+  // Activity and experiments
+  { section: 'activity', table: 'user_activity_logs' },
+  { section: 'activity', table: 'ab_events' },
+  { section: 'activity', table: 'ab_user_assignments' },
+
+  // Subscriptions: payment records are kept for tax and accounting law
+  { section: 'subscriptions', table: 'subscription_cancellations', retain: true },
+  { section: 'subscriptions', table: 'subscription_renewals', retain: true },
+  { section: 'subscriptions', table: 'premium_feature_usage' },
+  { section: 'subscriptions', table: 'receipt_validations', retain: true },
+  { section: 'subscriptions', table: 'user_subscriptions', retain: true },
+
+  // Profile
+  { section: 'profile', table: 'personalized_horoscopes' },
+  { section: 'profile', table: 'user_horoscope_preferences' },
+  { section: 'profile', table: 'user_birth_chart' },
+  { section: 'profile', table: 'user_birth_data' },
+  { section: 'profile', table: 'users', column: 'id', omit: ['password_hash'] }
+];
+
+// Columns that identify the user; verifyWiring() expects every table with one in DATA_SOURCES
+const USER_COLUMNS = ['user_id', 'follower_id', 'followee_id'];
+
+// Account fields in the Redis user record that are never exported
+const SECRET_FIELDS = ['password', 'passwordHash', 'password_hash', 'refreshToken', 'mfaSecret'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class UserDataService {
+  constructor() {
+    this.exportFormats = ['json', 'zip'];
+    this.dataSources = DATA_SOURCES;
+  }
+
+  /**
+   * Export everything held about a user
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {string} [options.format='json'] - 'json' or 'zip'
+   * @returns {Promise<Object>} { format, data } for JSON, { format, fileName, buffer } for ZIP
+   */
+  async exportUserData(userId, options = {}) {
+    const format = options.format || 'json';
+    if (!this.exportFormats.includes(format)) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const auditId = await this._startAudit(userId, 'export');
+
+    try {
+      const exportedAt = new Date();
+      const sections = await this._collectRows(userId);
+      const audioFiles = await voiceAIService.getUserAudioFiles(userId).catch(error => {
+        logger.logError(error, { service: 'userData', method: 'exportUserData', step: 'audio' });
+        return [];
+      });
+
+      const data = {
+        userId,
+        exportedAt: exportedAt.toISOString(),
+        account: await this._getCachedAccount(userId),
+        sections
+      };
+      const summary = { format, rows: this._countRows(sections), audioFiles: audioFiles.length };
+
+      if (format === 'json') {
+        await this._finishAudit(auditId, 'completed', summary);
+        return { format, data };
+      }
+
+      const entries = [];
+      const includedAudio = [];
+      for (const file of audioFiles) {
+        try {
+          entries.push({ name: `audio/${file.file_name}`, data: await fs.readFile(file.path) });
+          includedAudio.push(file.file_name);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      }
+
+      const manifest = {
+        userId,
+        exportedAt: data.exportedAt,
+        sections: Object.fromEntries(
+          Object.entries(sections).map(([section, tables]) => [
+            section,
+            Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.length]))
+          ])
+        ),
+        audio: includedAudio
+      };
+
+      entries.unshift(
+        { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+        { name: 'account.json', data: JSON.stringify(data.account, null, 2) },
+        ...Object.entries(sections).map(([section, tables]) => ({
+          name: `data/${section}.json`,
+          data: JSON.stringify(tables, null, 2)
+        }))
+      );
+
+      const buffer = createZipArchive(entries, exportedAt);
+      await this._finishAudit(auditId, 'completed', { ...summary, audioFiles: includedAudio.length, bytes: buffer.length });
+
+      return {
+        format,
+        fileName: `cosmic-coach-export-${exportedAt.toISOString().split('T')[0]}.zip`,
+        buffer
+      };
+
+    } catch (error) {
+      await this._finishAudit(auditId, 'failed', {}, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Erase a user's data everywhere. Database rows go in one transaction; if
+   * it fails nothing is deleted and the audit record is marked failed.
+   *
+   * @param {string} userId
+   * @returns {Promise<Object>} Summary: rows per table, retained tables, files and cache keys removed
+   */
+  async eraseUserData(userId) {
+    const auditId = await this._startAudit(userId, 'erasure');
+    const summary = { rows: {}, retained: [], audioFiles: 0, cacheKeys: 0 };
+
+    let audioFiles = [];
+    let sessionIds = [];
+
+    try {
+      const columns = await this._getUserColumns();
+      const client = await db.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        // Read before the rows that point to them are gone
+        audioFiles = await this._getErasableAudioFiles(client, userId, columns);
+        sessionIds = await this._getSessionIds(client, userId, columns);
+
+        for (const source of DATA_SOURCES) {
+          const match = this._buildMatch(source, userId, columns);
+          if (!match) continue;
+
+          if (source.retain) {
+            summary.retained.push(source.table);
+            continue;
+          }
+
+          const result = await client.query(`DELETE FROM ${source.table} WHERE ${match}`, [String(userId)]);
+          const name = this._sourceName(source);
+          summary.rows[name] = (summary.rows[name] || 0) + result.rowCount;
+        }
+
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      summary.audioFiles = await voiceAIService.deleteAudioFiles(audioFiles);
+      summary.cacheKeys = await this._clearCache(userId, sessionIds);
+
+      await this._finishAudit(auditId, 'completed', summary);
+
+      logger.getLogger().info('🔐 User data erased', {
+        auditId,
+        tables: Object.keys(summary.rows).length,
+        audioFiles: summary.audioFiles
+      });
+
+      return { auditId, ...summary };
+
+    } catch (error) {
+      logger.logError(error, { service: 'userData', method: 'eraseUserData', auditId });
+      await this._finishAudit(auditId, 'failed', summary, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that export and erasure cover the database and are reachable
+   *
+   * @returns {Promise<string[]>} Issues; empty when wired correctly
+   */
+  async verifyWiring() {
+    const issues = [];
+
+    try {
+      const columns = await this._getUserColumns();
+
+      if (!columns.has('data_privacy_requests')) {
+        issues.push('Data privacy audit table (data_privacy_requests) missing');
+      }
+
+      const covered = new Set(DATA_SOURCES.map(source => source.table));
+      for (const [table, tableColumns] of columns) {
+        if (covered.has(table)) continue;
+        if (USER_COLUMNS.some(column => tableColumns.has(column))) {
+          issues.push(`User data in ${table} is not covered by export/erasure`);
+        }
+      }
+    } catch (error) {
+      issues.push(`Could not inspect database for user data: ${error.message}`);
+    }
+
+    // Required here: the routes module requires this service
+    const routes = require('../routes/userData').stack
+      .filter(layer => layer.route)
+      .map(layer => `${Object.keys(layer.route.methods).join(',')} ${layer.route.path}`);
+    if (!routes.includes('get /export')) {
+      issues.push('Data export endpoint not registered');
+    }
+    if (!routes.includes('delete /')) {
+      issues.push('Data erasure endpoint not registered');
+    }
+
+    return issues;
+  }
+
+  /**
+   * Rows per section and table
+   */
+  async _collectRows(userId) {
+    const columns = await this._getUserColumns();
+    const sections = {};
+
+    for (const source of DATA_SOURCES) {
+      const match = this._buildMatch(source, userId, columns);
+      if (!match) continue;
+
+      const result = await db.query(`SELECT * FROM ${source.table} WHERE ${match}`, [String(userId)]);
+      const omit = source.omit || [];
+      const rows = result.rows.map(row =>
+        Object.fromEntries(Object.entries(row).filter(([column]) => !omit.includes(column)))
+      );
+
+      sections[source.section] = sections[source.section] || {};
+      sections[source.section][this._sourceName(source)] = rows;
+    }
+
+    return sections;
+  }
+
+  /**
+   * WHERE clause matching the user's rows in a source ($1 = user id), or
+   * null when the table does not exist or the id cannot match its column
+   */
+  _buildMatch(source, userId, columns) {
+    const column = source.column || 'user_id';
+
+    if (source.parent) {
+      const parentColumns = columns.get(source.parent.table);
+      if (!columns.has(source.table) || !parentColumns ||
+          !this._isCompatible(parentColumns.get(column), userId)) {
+        return null;
+      }
+      return `${source.parent.key} IN (SELECT ${source.parent.key} FROM ${source.parent.table} WHERE ${column} = $1)`;
+    }
+
+    const tableColumns = columns.get(source.table);
+    if (!tableColumns || !this._isCompatible(tableColumns.get(column), userId)) {
+      return null;
+    }
+    return `${column} = $1`;
+  }
+
+  // UUID and integer user columns cannot hold other kinds of id
+  _isCompatible(dataType, userId) {
+    if (!dataType) return false;
+    if (dataType === 'uuid') return UUID_PATTERN.test(String(userId));
+    if (['integer', 'bigint', 'smallint'].includes(dataType)) return /^\d+$/.test(String(userId));
+    return true;
+  }
+
+  _sourceName(source) {
+    return source.label ? `${source.table}.${source.label}` : source.table;
+  }
+
+  _countRows(sections) {
+    return Object.values(sections).reduce(
+      (total, tables) => total + Object.values(tables).reduce((sum, rows) => sum + rows.length, 0),
+      0
+    );
+  }
+
+  /**
+   * Columns of every table (not view) in the current schema: Map<table, Map<column, data_type>>
+   */
+  async _getUserColumns() {
+    const result = await db.query(
+      `SELECT c.table_name, c.column_name, c.data_type
+       FROM information_schema.columns c
+       JOIN information_schema.tables t
+         ON t.table_schema = c.table_schema AND t.table_name = c.table_name
+       WHERE c.table_schema = current_schema()
+         AND t.table_type = 'BASE TABLE'`
+    );
+
+    const tables = new Map();
+    for (const row of result.rows) {
+      if (!tables.has(row.table_name)) tables.set(row.table_name, new Map());
+      tables.get(row.table_name).set(row.column_name, row.data_type);
+    }
+    return tables;
+  }
+
+  /**
+   * Personal audio files of the user. Horoscope, meditation and affirmation
+   * audio is shared content, and a file another user also owns stays.
+   */
+  async _getErasableAudioFiles(client, userId, columns) {
+    if (!columns.has('voice_audio_files')) return [];
+
+    const result = await client.query(
+      `SELECT file_name FROM voice_audio_files mine
+       WHERE mine.user_id = $1
+         AND mine.content_type = 'personalized'
+         AND NOT EXISTS (
+           SELECT 1 FROM voice_audio_files other
+           WHERE other.file_name = mine.file_name AND other.user_id <> $1
+         )`,
+      [String(userId)]
+    );
+    return result.rows.map(row => row.file_name);
+  }
+
+  async _getSessionIds(client, userId, columns) {
+    if (!columns.has('chat_sessions')) return [];
+
+    const result = await client.query(
+      'SELECT session_id FROM chat_sessions WHERE user_id = $1',
+      [String(userId)]
+    );
+    return result.rows.map(row => row.session_id);
+  }
+
+  /**
+   * Account record kept by the auth services in Redis, without secrets
+   */
+  async _getCachedAccount(userId) {
+    const account = await redisService.get(`user:${userId}`);
+    if (!account || typeof account !== 'object') return null;
+
+    return Object.fromEntries(Object.entries(account).filter(([field]) => !SECRET_FIELDS.includes(field)));
+  }
+
+  /**
+   * Delete the user's keys in the Redis cache
+   *
+   * @returns {Promise<number>} Keys deleted
+   */
+  async _clearCache(userId, sessionIds) {
+    const now = new Date();
+    const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    const keys = [
+      `user:${userId}`,
+      `ai_coach_memory:${userId}`,
+      `ai_coach_balance:${userId}`,
+      `ai_coach_monthly:${userId}:${month}`,
+      `behavior_patterns:${userId}`,
+      `last_app_open:${userId}`,
+      ...sessionIds.map(sessionId => `ai_coach_session:${sessionId}`)
+    ];
+
+    let deleted = 0;
+    for (const key of keys) {
+      if (await redisService.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  _hashUserId(userId) {
+    return crypto.createHash('sha256').update(String(userId)).digest('hex');
+  }
+
+  async _startAudit(userId, requestType) {
+    const result = await db.query(
+      `INSERT INTO data_privacy_requests (user_id_hash, request_type, status)
+       VALUES ($1, $2, 'started')
+       RETURNING id`,
+      [this._hashUserId(userId), requestType]
+    );
+    return result.rows[0].id;
+  }
+
+  async _finishAudit(auditId, status, summary, error = null) {
+    try {
+      await db.query(
+        `UPDATE data_privacy_requests
+         SET status = $2, summary = $3, error = $4, completed_at = NOW()
+         WHERE id = $1`,
+        [auditId, status, JSON.stringify(summary), error ? error.message : null]
+      );
+    } catch (auditError) {
+      logger.logError(auditError, { service: 'userData', method: '_finishAudit', auditId, status });
+    }
+  }
+}
+
+module.exports = new UserDataService();
@@ -13,20 +13,16 @@
  * - Real-time accuracy improvement through feedback learning
  */
 
-const OpenAI = require('openai');
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/db');
 const redisService = require('./redisService');
 const logger = require('./loggingService');
 const circuitBreaker = require('./circuitBreakerService');
 const personalizedHoroscopeAPI = require('./personalizedHoroscopeAPI');
+const llmService = require('./llmService');
 
 class VerifiablePredictionService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
     // Prediction categories with specific measurable outcomes
     this.predictionCategories = {
       communication: {
@@ -406,7 +402,7 @@ Make it specific, realistic, and astrologically-timed!`;
    */
   async callOpenAIForPrediction(prompt) {
     try {
-      const completion = await this.openai.chat.completions.create({
+      const completion = await llmService.chat('prediction', {
         model: 'gpt-4-turbo-preview',
         messages: [
           { role: 'system', content: prompt.systemPrompt },
@@ -422,7 +418,7 @@ Make it specific, realistic, and astrologically-timed!`;
       return {
         success: true,
         content: completion.choices[0].message.content,
-        model: 'gpt-4-turbo-preview',
+        model: completion.model,
         tokensUsed: completion.usage.total_tokens
       };
 
@@ -1314,7 +1310,7 @@ Make it specific, realistic, and astrologically-timed!`;
         weights: this.accuracySystem.weights,
         learningRate: this.accuracySystem.learningRate
       },
-      openaiConfigured: !!process.env.OPENAI_API_KEY
+      llmConfigured: llmService.isAvailable('prediction')
     };
   }
 
@@ -1329,23 +1325,14 @@ Make it specific, realistic, and astrologically-timed!`;
       // Test Redis connection  
       await redisService.ping();
       
-      // Test OpenAI connection
-      let openaiStatus = 'not_configured';
-      if (process.env.OPENAI_API_KEY) {
-        try {
-          await this.openai.models.list();
-          openaiStatus = 'connected';
-        } catch {
-          openaiStatus = 'error';
-        }
-      }
+      const llmStatus = llmService.getStatus().features.prediction;
       
       return {
         healthy: true,
         components: {
           database: 'connected',
           redis: 'connected', 
-          openai: openaiStatus,
+          llm: llmStatus.available ? `configured (${llmStatus.provider})` : 'not_configured',
           personalizedHoroscope: 'available'
         },
         timestamp: new Date().toISOString()
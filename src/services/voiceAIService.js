@@ -13,9 +13,10 @@
  * - Cost optimization strategies
  */
 
-const OpenAI = require('openai');
+const llmService = require('./llmService');
 const logger = require('./loggingService');
 const redisService = require('./redisService');
+const db = require('../config/db');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
@@ -23,7 +24,6 @@ const { Readable } = require('stream');
 
 class VoiceAIService {
   constructor() {
-    this.openai = null;
     this.initialized = false;
 
     // Voice personality configurations
@@ -111,17 +111,11 @@ class VoiceAIService {
     }
 
     try {
-      const apiKey = process.env.OPENAI_API_KEY;
-
-      if (!apiKey) {
-        logger.getLogger().warn('OpenAI API key not configured - Voice AI disabled');
+      if (!llmService.isAvailable('voice', 'speech')) {
+        logger.getLogger().warn('No text-to-speech provider configured - Voice AI disabled');
         return;
       }
 
-      this.openai = new OpenAI({
-        apiKey: apiKey
-      });
-
       // Ensure local storage directory exists
       if (this.storageConfig.local.enabled) {
         await fs.mkdir(this.storageConfig.local.basePath, { recursive: true });
@@ -162,6 +156,7 @@ class VoiceAIService {
         if (cached) {
           this.costMetrics.cacheHitRate++;
           logger.getLogger().info('Voice AI cache hit', { cacheKey, voice });
+          await this.recordAudioFile(userId, cacheKey, contentType);
 
           return {
             audioUrl: cached.url,
@@ -185,6 +180,7 @@ class VoiceAIService {
 
       // Save audio to storage
       const audioUrl = await this.saveAudioToStorage(audioBuffer, cacheKey, userId);
+      await this.recordAudioFile(userId, cacheKey, contentType);
 
       // Calculate duration and cost
       const duration = this.estimateDuration(cleanedText);
@@ -396,20 +392,16 @@ class VoiceAIService {
   }
 
   /**
-   * Call OpenAI TTS API
+   * Call the text-to-speech provider (OpenAI by default)
    */
   async callOpenAITTS(text, voiceConfig) {
-    const response = await this.openai.audio.speech.create({
+    return llmService.speech('voice', {
       model: voiceConfig.model,
       voice: voiceConfig.voice,
       input: text,
       speed: voiceConfig.speed,
       response_format: 'mp3'
     });
-
-    // Convert response to buffer
-    const buffer = Buffer.from(await response.arrayBuffer());
-    return buffer;
   }
 
   /**
@@ -435,6 +427,68 @@ class VoiceAIService {
     throw new Error('No storage backend configured');
   }
 
+  /**
+   * Record that an audio file was generated for a user, so it can be
+   * exported and erased with the rest of their data
+   */
+  async recordAudioFile(userId, cacheKey, contentType) {
+    if (!userId) return;
+
+    try {
+      await db.query(
+        `INSERT INTO voice_audio_files (user_id, file_name, content_type)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (user_id, file_name) DO NOTHING`,
+        [String(userId), `${cacheKey}.mp3`, contentType]
+      );
+    } catch (error) {
+      logger.logError(error, { method: 'recordAudioFile', userId, cacheKey });
+    }
+  }
+
+  /**
+   * Audio files generated for a user, with their path on local storage
+   */
+  async getUserAudioFiles(userId) {
+    const result = await db.query(
+      `SELECT file_name, content_type, created_at
+       FROM voice_audio_files
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [String(userId)]
+    );
+
+    return result.rows.map(row => ({
+      ...row,
+      path: path.join(this.storageConfig.local.basePath, path.basename(row.file_name))
+    }));
+  }
+
+  /**
+   * Delete audio files from storage along with their cached metadata.
+   * Missing files are ignored.
+   *
+   * @returns {Promise<number>} Number of files removed
+   */
+  async deleteAudioFiles(fileNames) {
+    let removed = 0;
+
+    for (const fileName of fileNames) {
+      const safeName = path.basename(fileName);
+
+      try {
+        await fs.unlink(path.join(this.storageConfig.local.basePath, safeName));
+        removed++;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      await redisService.delete(`voice:${safeName.replace(/\.mp3$/, '')}`);
+    }
+
+    return removed;
+  }
+
   /**
    * Get cached audio metadata
    */
@@ -717,7 +771,7 @@ Carry these cosmic truths with you today.
    */
   ensureInitialized() {
     if (!this.initialized) {
-      throw new Error('Voice AI Service not initialized - check OpenAI API key');
+      throw new Error('Voice AI Service not initialized - check the text-to-speech provider (OPENAI_API_KEY)');
     }
   }
 
@@ -0,0 +1,250 @@
+/**
+ * iCalendar (RFC 5545) helpers
+ *
+ * Building and parsing of VEVENTs shared by the CalDAV client and the
+ * public ICS feeds.
+ */
+
+const moment = require('moment-timezone');
+
+const ICAL_DATE_TIME = 'YYYYMMDD[T]HHmmss';
+
+function formatUtc(date) {
+    return moment.utc(date).format(`${ICAL_DATE_TIME}[Z]`);
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Lines longer than 75 octets are folded (RFC 5545 §3.1)
+function foldLine(line) {
+    const chunks = [];
+    let remaining = line;
+    let limit = 75;
+
+    while (Buffer.byteLength(remaining) > limit) {
+        let cut = limit;
+        while (Buffer.byteLength(remaining.slice(0, cut)) > limit) cut--;
+        chunks.push(remaining.slice(0, cut));
+        remaining = remaining.slice(cut);
+        limit = 74; // continuation lines start with a space
+    }
+    chunks.push(remaining);
+
+    return chunks.join('\r\n ');
+}
+
+function toEventMoment(value, timeZone) {
+    if (value && typeof value === 'object' && !(value instanceof Date) && !moment.isMoment(value)) {
+        return toEventMoment(value.dateTime || value.date, value.timeZone || timeZone);
+    }
+    if (typeof value === 'string' && !/(Z|[+-]\d\d:?\d\d)$/.test(value) && timeZone && moment.tz.zone(timeZone)) {
+        return moment.tz(value, timeZone);
+    }
+    return moment.utc(value);
+}
+
+function formatDate(value) {
+    return moment.utc(moment.isMoment(value) ? value.format('YYYY-MM-DD') : value, 'YYYY-MM-DD').format('YYYYMMDD');
+}
+
+/**
+ * VEVENT lines for one event
+ *
+ * `start`/`end` accept ISO strings, Dates or Google-style
+ * `{ dateTime, timeZone }` objects; times are written in UTC. All-day
+ * events take `YYYY-MM-DD` dates and end on the following day by default.
+ */
+function buildEventLines(event) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatUtc(event.timestamp || new Date())}`
+    ];
+
+    if (event.allDay) {
+        const end = event.end || moment.utc(formatDate(event.start), 'YYYYMMDD').add(1, 'day').format('YYYY-MM-DD');
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+    } else {
+        lines.push(
+            `DTSTART:${formatUtc(toEventMoment(event.start, event.timeZone))}`,
+            `DTEND:${formatUtc(toEventMoment(event.end || event.start, event.timeZone))}`
+        );
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.title || '')}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.categories && event.categories.length > 0) {
+        lines.push(`CATEGORIES:${event.categories.map(escapeText).join(',')}`);
+    }
+    if (event.status) lines.push(`STATUS:${event.status.toUpperCase()}`);
+    if (event.transparent) lines.push('TRANSP:TRANSPARENT');
+    for (const [name, value] of Object.entries(event.properties || {})) {
+        lines.push(`${name.toUpperCase()}:${escapeText(value)}`);
+    }
+
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build a VCALENDAR from a list of events
+ *
+ * `properties` become calendar-level properties (X-WR-CALNAME and friends).
+ */
+function buildCalendar(events, { properties = {} } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Zodiac App//Optimal Timing//EN',
+        'CALSCALE:GREGORIAN'
+    ];
+
+    for (const [name, value] of Object.entries(properties)) {
+        const [propertyName, ...params] = name.split(';');
+        lines.push([propertyName.toUpperCase(), ...params].join(';') + `:${value}`);
+    }
+    for (const event of events) {
+        lines.push(...buildEventLines(event));
+    }
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a VCALENDAR containing one VEVENT
+ */
+function buildICalendar(event) {
+    return buildCalendar([event]);
+}
+
+function parseProperty(line) {
+    let inQuotes = false;
+    let separator = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            separator = i;
+            break;
+        }
+    }
+    if (separator === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, separator).split(';');
+    const params = {};
+    for (const param of rawParams) {
+        const [key, ...value] = param.split('=');
+        params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+function parseDateProperty(property, fallbackZone) {
+    if (!property) return null;
+
+    const { value, params } = property;
+    if (params.VALUE === 'DATE' || /^\d{8}$/.test(value)) {
+        return { moment: moment.tz(value, 'YYYYMMDD', fallbackZone || 'UTC'), allDay: true };
+    }
+    if (value.endsWith('Z')) {
+        return { moment: moment.utc(value, `${ICAL_DATE_TIME}[Z]`), allDay: false };
+    }
+
+    // Unknown TZIDs (e.g. Windows zone names) are read as UTC
+    const zone = params.TZID && moment.tz.zone(params.TZID) ? params.TZID : (fallbackZone || 'UTC');
+    return { moment: moment.tz(value, ICAL_DATE_TIME, zone), allDay: false };
+}
+
+/**
+ * Parse the VEVENTs of an iCalendar object
+ */
+function parseICalendar(text, { timeZone } = {}) {
+    const lines = (text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+    let nested = 0;
+
+    for (const line of lines) {
+        const property = parseProperty(line);
+        if (!property) continue;
+
+        if (property.name === 'BEGIN') {
+            if (property.value === 'VEVENT' && !current) {
+                current = {};
+            } else if (current) {
+                nested++; // VALARM and friends
+            }
+            continue;
+        }
+        if (property.name === 'END') {
+            if (current && nested > 0) {
+                nested--;
+            } else if (current && property.value === 'VEVENT') {
+                events.push(current);
+                current = null;
+            }
+            continue;
+        }
+        if (current && nested === 0 && !(property.name in current)) {
+            current[property.name] = property;
+        }
+    }
+
+    return events.map(properties => {
+        const value = name => (properties[name] ? unescapeText(properties[name].value) : null);
+        const start = parseDateProperty(properties.DTSTART, timeZone);
+        let end = parseDateProperty(properties.DTEND, timeZone);
+
+        if (!end && start) {
+            const duration = properties.DURATION ? moment.duration(properties.DURATION.value) : null;
+            end = {
+                moment: duration
+                    ? start.moment.clone().add(duration)
+                    : start.moment.clone().add(start.allDay ? 1 : 0, 'day'),
+                allDay: start.allDay
+            };
+        }
+
+        const recurrenceId = parseDateProperty(properties['RECURRENCE-ID'], timeZone);
+
+        return {
+            uid: value('UID'),
+            title: value('SUMMARY') || '',
+            description: value('DESCRIPTION'),
+            location: value('LOCATION'),
+            start: start ? start.moment.toISOString() : null,
+            end: end ? end.moment.toISOString() : null,
+            allDay: start ? start.allDay : false,
+            status: (value('STATUS') || 'confirmed').toLowerCase(),
+            categories: properties.CATEGORIES
+                ? properties.CATEGORIES.value.split(/(?<!\\),/).map(unescapeText)
+                : [],
+            recurrenceId: recurrenceId ? recurrenceId.moment.toISOString() : null,
+            recurrenceRule: value('RRULE'),
+            lastModified: properties['LAST-MODIFIED']
+                ? parseDateProperty(properties['LAST-MODIFIED']).moment.toISOString()
+                : null
+        };
+    });
+}
+
+module.exports = {
+    formatUtc,
+    escapeText,
+    buildEventLines,
+    buildCalendar,
+    buildICalendar,
+    parseICalendar
+};
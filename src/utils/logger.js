@@ -0,0 +1,6 @@
+/**
+ * Shared winston logger for modules that log directly (middleware, timing
+ * services). Same instance as loggingService.logger.
+ */
+
+module.exports = require('../services/loggingService').logger;
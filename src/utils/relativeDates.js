@@ -0,0 +1,271 @@
+/**
+ * 📅 RELATIVE DATES UTILITY
+ * Resolves date phrases in user messages ("next Friday", "mañana",
+ * "dans 3 jours", "nächste Woche") to calendar dates in the user's timezone
+ *
+ * Rules:
+ * - A bare weekday ("Friday", "this Friday") is its next occurrence, today
+ *   included; "next Friday" skips today
+ * - "next week/month/year" resolves to the first day of that period, with
+ *   precision 'week' / 'month' / 'year' so callers know it is approximate
+ * - ISO dates (2026-03-14) pass through
+ *
+ * Languages: en, es, pt, fr, de, it. Matching ignores case and accents.
+ */
+
+const moment = require('moment-timezone');
+
+const VOCABULARY = {
+  en: {
+    today: ['today', 'tonight', 'this evening'],
+    tomorrow: ['tomorrow'],
+    dayAfterTomorrow: ['the day after tomorrow', 'day after tomorrow'],
+    yesterday: ['yesterday'],
+    weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'],
+    thisPrefix: ['this', 'on'],
+    nextPrefix: ['next', 'this coming'],
+    nextSuffix: [],
+    inPrefix: ['in'],
+    numbers: [[], ['a', 'an', 'one'], ['two', 'a couple of'], ['three'], ['four'], ['five'], ['six'], ['seven'], ['eight'], ['nine'], ['ten']],
+    units: { day: ['days', 'day'], week: ['weeks', 'week'], month: ['months', 'month'], year: ['years', 'year'] },
+    nextPeriod: { week: ['next week'], month: ['next month'], year: ['next year'] }
+  },
+  es: {
+    today: ['hoy', 'esta noche', 'esta tarde'],
+    // "mañana" is also "morning": not after esta/la/por la/de la
+    tomorrow: ['(?<!(?:esta|la) )manana'],
+    dayAfterTomorrow: ['pasado manana'],
+    yesterday: ['ayer'],
+    weekdays: ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'],
+    thisPrefix: ['este', 'el'],
+    nextPrefix: ['el proximo', 'la proxima', 'proximo', 'proxima'],
+    nextSuffix: ['que viene'],
+    inPrefix: ['dentro de', 'en'],
+    numbers: [[], ['un', 'una', 'uno'], ['dos'], ['tres'], ['cuatro'], ['cinco'], ['seis'], ['siete'], ['ocho'], ['nueve'], ['diez']],
+    units: { day: ['dias', 'dia'], week: ['semanas', 'semana'], month: ['meses', 'mes'], year: ['anos', 'ano'] },
+    nextPeriod: {
+      week: ['la proxima semana', 'la semana que viene', 'proxima semana', 'semana que viene'],
+      month: ['el proximo mes', 'el mes que viene', 'proximo mes', 'mes que viene'],
+      year: ['el proximo ano', 'el ano que viene', 'proximo ano', 'ano que viene']
+    }
+  },
+  pt: {
+    today: ['hoje a noite', 'hoje', 'esta noite'],
+    tomorrow: ['(?<!(?:de|pela|esta) )amanha'],
+    dayAfterTomorrow: ['depois de amanha'],
+    yesterday: ['ontem'],
+    weekdays: ['domingo', 'segunda-feira', 'terca-feira', 'quarta-feira', 'quinta-feira', 'sexta-feira', 'sabado'],
+    thisPrefix: ['esta', 'este', 'nesta', 'neste', 'na', 'no'],
+    nextPrefix: ['na proxima', 'no proximo', 'proxima', 'proximo'],
+    nextSuffix: ['que vem'],
+    inPrefix: ['daqui a', 'em'],
+    numbers: [[], ['um', 'uma'], ['dois', 'duas'], ['tres'], ['quatro'], ['cinco'], ['seis'], ['sete'], ['oito'], ['nove'], ['dez']],
+    units: { day: ['dias', 'dia'], week: ['semanas', 'semana'], month: ['meses', 'mes'], year: ['anos', 'ano'] },
+    nextPeriod: {
+      week: ['na proxima semana', 'proxima semana', 'semana que vem'],
+      month: ['no proximo mes', 'proximo mes', 'mes que vem'],
+      year: ['no proximo ano', 'proximo ano', 'ano que vem']
+    }
+  },
+  fr: {
+    today: ['aujourd\'hui', 'aujourd’hui', 'ce soir'],
+    tomorrow: ['(?<!apres-)demain'],
+    dayAfterTomorrow: ['apres-demain', 'apres demain'],
+    yesterday: ['hier'],
+    weekdays: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+    thisPrefix: ['ce'],
+    nextPrefix: [],
+    nextSuffix: ['prochain', 'qui vient'],
+    inPrefix: ['dans'],
+    numbers: [[], ['un', 'une'], ['deux'], ['trois'], ['quatre'], ['cinq'], ['six'], ['sept'], ['huit'], ['neuf'], ['dix']],
+    units: { day: ['jours', 'jour'], week: ['semaines', 'semaine'], month: ['mois'], year: ['annees', 'annee', 'ans', 'an'] },
+    nextPeriod: {
+      week: ['la semaine prochaine', 'semaine prochaine'],
+      month: ['le mois prochain', 'mois prochain'],
+      year: ['l\'annee prochaine', 'l’annee prochaine', 'l\'an prochain', 'l’an prochain', 'annee prochaine']
+    }
+  },
+  de: {
+    today: ['heute abend', 'heute'],
+    // "Morgen" is also "morning": not after heute/guten/am/jeden
+    tomorrow: ['(?<!(?:heute|guten|am|jeden) )morgen(?! fruh)', 'morgen fruh'],
+    dayAfterTomorrow: ['ubermorgen'],
+    yesterday: ['gestern'],
+    weekdays: ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag'],
+    thisPrefix: ['diesen', 'am'],
+    nextPrefix: ['nachsten', 'nachster', 'nachste', 'kommenden', 'kommender', 'am nachsten', 'am kommenden'],
+    nextSuffix: [],
+    inPrefix: ['in'],
+    numbers: [[], ['einem', 'einer', 'ein', 'eine'], ['zwei'], ['drei'], ['vier'], ['funf'], ['sechs'], ['sieben'], ['acht'], ['neun'], ['zehn']],
+    units: { day: ['tagen', 'tage', 'tag'], week: ['wochen', 'woche'], month: ['monaten', 'monate', 'monat'], year: ['jahren', 'jahre', 'jahr'] },
+    nextPeriod: {
+      week: ['nachste woche', 'nachsten woche', 'kommende woche'],
+      month: ['nachsten monat', 'nachster monat', 'kommenden monat'],
+      year: ['nachstes jahr', 'nachsten jahr', 'kommendes jahr']
+    }
+  },
+  it: {
+    today: ['oggi', 'stasera', 'stanotte'],
+    tomorrow: ['domani'],
+    dayAfterTomorrow: ['dopodomani', 'dopo domani'],
+    yesterday: ['ieri'],
+    weekdays: ['domenica', 'lunedi', 'martedi', 'mercoledi', 'giovedi', 'venerdi', 'sabato'],
+    thisPrefix: ['questo', 'questa'],
+    nextPrefix: ['il prossimo', 'la prossima', 'prossimo', 'prossima'],
+    nextSuffix: ['prossimo', 'prossima'],
+    inPrefix: ['tra', 'fra'],
+    numbers: [[], ['un', 'uno', 'una'], ['due'], ['tre'], ['quattro'], ['cinque'], ['sei'], ['sette'], ['otto'], ['nove'], ['dieci']],
+    units: { day: ['giorni', 'giorno'], week: ['settimane', 'settimana'], month: ['mesi', 'mese'], year: ['anni', 'anno'] },
+    nextPeriod: {
+      week: ['la prossima settimana', 'prossima settimana', 'settimana prossima'],
+      month: ['il prossimo mese', 'prossimo mese', 'mese prossimo'],
+      year: ['il prossimo anno', 'prossimo anno', 'anno prossimo']
+    }
+  }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(VOCABULARY);
+
+/**
+ * Lowercase and strip accents one UTF-16 unit at a time, so indices into
+ * the folded text are valid indices into the original
+ */
+function fold(text) {
+  return String(text || '').split('').map(char => char.normalize('NFD')[0].toLowerCase()).join('');
+}
+
+// Phrases may contain regex lookbehinds (see es/de "tomorrow"); plain words are escaped
+const alternation = (phrases) => phrases
+  .map(phrase => (/[(?<]/.test(phrase) ? phrase : phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+  .join('|');
+
+const wordRegex = (pattern) => new RegExp(`(?<![\\p{L}\\p{N}])(?:${pattern})(?![\\p{L}\\p{N}])`, 'gu');
+
+/**
+ * Matching rules for one language: { regex, resolve(match, today) → { date, precision } }
+ */
+function buildRules(vocabulary) {
+  const rules = [];
+  const offset = (days) => (match, today) => ({ date: today.clone().add(days, 'days'), precision: 'day' });
+
+  rules.push({ regex: wordRegex(alternation(vocabulary.dayAfterTomorrow)), resolve: offset(2) });
+  rules.push({ regex: wordRegex(alternation(vocabulary.tomorrow)), resolve: offset(1) });
+  rules.push({ regex: wordRegex(alternation(vocabulary.today)), resolve: offset(0) });
+  rules.push({ regex: wordRegex(alternation(vocabulary.yesterday)), resolve: offset(-1) });
+
+  // Weekdays with optional "this"/"next" prefix and "next" suffix
+  const weekdays = alternation(vocabulary.weekdays);
+  const prefixes = [...vocabulary.nextPrefix, ...vocabulary.thisPrefix];
+  const prefix = prefixes.length ? `(?:(${alternation(prefixes)}) )?` : '()';
+  const suffix = vocabulary.nextSuffix.length ? `(?: (${alternation(vocabulary.nextSuffix)}))?` : '()';
+  rules.push({
+    regex: wordRegex(`${prefix}(${weekdays})${suffix}`),
+    resolve: (match, today) => {
+      const weekday = vocabulary.weekdays.indexOf(match[2]);
+      const skipToday = Boolean(match[3]) || (match[1] && vocabulary.nextPrefix.includes(match[1]));
+      let days = (weekday - today.day() + 7) % 7;
+      if (days === 0 && skipToday) days = 7;
+      return { date: today.clone().add(days, 'days'), precision: 'day' };
+    }
+  });
+
+  // "in N days/weeks/months/years"
+  const numberWords = vocabulary.numbers.flat();
+  const units = Object.values(vocabulary.units).flat();
+  rules.push({
+    regex: wordRegex(`(?:${alternation(vocabulary.inPrefix)}) (\\d{1,3}|${alternation(numberWords)}) (${alternation(units)})`),
+    resolve: (match, today) => {
+      const amount = /^\d+$/.test(match[1])
+        ? Number(match[1])
+        : vocabulary.numbers.findIndex(words => words.includes(match[1]));
+      const unit = Object.keys(vocabulary.units).find(key => vocabulary.units[key].includes(match[2]));
+      return { date: today.clone().add(amount, `${unit}s`), precision: 'day' };
+    }
+  });
+
+  // "next week/month/year"
+  for (const [unit, phrases] of Object.entries(vocabulary.nextPeriod)) {
+    rules.push({
+      regex: wordRegex(alternation(phrases)),
+      resolve: (match, today) => ({
+        date: today.clone().add(1, `${unit}s`).startOf(unit === 'week' ? 'isoWeek' : unit),
+        precision: unit
+      })
+    });
+  }
+
+  return rules;
+}
+
+const RULES = Object.fromEntries(SUPPORTED_LANGUAGES.map(language => [language, buildRules(VOCABULARY[language])]));
+
+const ISO_RULE = {
+  regex: /(?<!\d)(\d{4})-(\d{2})-(\d{2})(?!\d)/g,
+  resolve: (match, today) => {
+    const date = moment.tz(match[0], 'YYYY-MM-DD', true, today.tz());
+    return date.isValid() ? { date, precision: 'day' } : null;
+  }
+};
+
+/**
+ * Start of "today" for a timezone (UTC when missing or unknown)
+ */
+function startOfToday(timezone, now = new Date()) {
+  const zone = timezone && moment.tz.zone(timezone) ? timezone : 'UTC';
+  return moment.tz(now, zone).startOf('day');
+}
+
+/**
+ * Every date phrase in a text
+ *
+ * @param {string} text - Message text
+ * @param {Object} options - { now, timezone, language } (all languages when language is unknown)
+ * @returns {Array<{text: string, date: string, precision: string}>} In order of appearance
+ */
+function findDateMentions(text, { now = new Date(), timezone, language } = {}) {
+  const folded = fold(text);
+  const today = startOfToday(timezone, now);
+  const languages = SUPPORTED_LANGUAGES.includes(language) ? [language] : SUPPORTED_LANGUAGES;
+  const rules = [ISO_RULE, ...languages.flatMap(code => RULES[code])];
+
+  const matches = [];
+  for (const rule of rules) {
+    for (const match of folded.matchAll(rule.regex)) {
+      const resolved = rule.resolve(match, today);
+      if (resolved) {
+        matches.push({ start: match.index, end: match.index + match[0].length, ...resolved });
+      }
+    }
+  }
+
+  // Longest match wins where phrases overlap ("pasado mañana" over "mañana")
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const mentions = [];
+  let lastEnd = -1;
+  for (const match of matches) {
+    if (match.start < lastEnd) continue;
+    mentions.push({
+      text: String(text).slice(match.start, match.end),
+      date: match.date.format('YYYY-MM-DD'),
+      precision: match.precision
+    });
+    lastEnd = match.end;
+  }
+
+  return mentions;
+}
+
+/**
+ * Date for a single phrase ("next Friday"), or null when it is not a date
+ */
+function resolveDatePhrase(phrase, options = {}) {
+  const [mention] = findDateMentions(phrase, options);
+  return mention ? mention.date : null;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  findDateMentions,
+  resolveDatePhrase,
+  startOfToday
+};
@@ -0,0 +1,113 @@
+/**
+ * 🔢 TOKENIZER UTILITY
+ * Token counts for prompts, completions and conversation budgets
+ *
+ * Uses OpenAI's BPE encodings (js-tiktoken): o200k_base for the gpt-4o
+ * family, cl100k_base for gpt-4 and gpt-3.5. Models of other providers
+ * (Anthropic, local) are counted with o200k_base, which is close enough for
+ * budgeting but not exact billing.
+ *
+ * Encodings are loaded on first use; special-token markers in user text are
+ * counted as plain text.
+ */
+
+const { Tiktoken, getEncodingNameForModel } = require('js-tiktoken/lite');
+
+const RANKS = {
+  o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base')
+};
+
+const DEFAULT_ENCODING = 'o200k_base';
+
+// Chat framing per the OpenAI cookbook: each message costs 3 tokens (4 with
+// a name) on top of its content, and 3 more prime the assistant reply
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_NAME = 1;
+const REPLY_PRIMING_TOKENS = 3;
+
+const encoders = new Map();
+
+function encodingName(model) {
+  if (!model) return DEFAULT_ENCODING;
+
+  try {
+    const name = getEncodingNameForModel(model);
+    return RANKS[name] ? name : DEFAULT_ENCODING;
+  } catch (error) {
+    return DEFAULT_ENCODING; // Not an OpenAI model
+  }
+}
+
+function getEncoder(model) {
+  const name = encodingName(model);
+  if (!encoders.has(name)) {
+    encoders.set(name, new Tiktoken(RANKS[name]()));
+  }
+  return encoders.get(name);
+}
+
+function contentText(content) {
+  if (Array.isArray(content)) {
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+  }
+  return content || '';
+}
+
+function encode(text, model) {
+  return getEncoder(model).encode(contentText(text), [], []);
+}
+
+/**
+ * Tokens in a piece of text
+ *
+ * @param {string} text
+ * @param {string} [model] - Model name; selects the encoding
+ * @returns {number}
+ */
+function countTokens(text, model) {
+  return text ? encode(text, model).length : 0;
+}
+
+// Tool calls an assistant message asked for, counted as name plus arguments
+function toolCallTokens(toolCalls, model) {
+  return (toolCalls || []).reduce((total, call) =>
+    total + countTokens(call.function.name, model) + countTokens(call.function.arguments, model), 0);
+}
+
+/**
+ * Prompt tokens of a chat request, including per-message framing
+ *
+ * @param {Array<{role: string, content: string, name?: string, tool_calls?: Array}>} messages
+ * @param {string} [model]
+ * @returns {number}
+ */
+function countMessageTokens(messages, model) {
+  if (!messages || messages.length === 0) return 0;
+
+  return messages.reduce((total, message) =>
+    total + TOKENS_PER_MESSAGE + countTokens(message.content, model) +
+      toolCallTokens(message.tool_calls, model) + (message.name ? TOKENS_PER_NAME : 0),
+  REPLY_PRIMING_TOKENS);
+}
+
+/**
+ * Cut text to at most maxTokens tokens
+ *
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {string} [model]
+ * @returns {string}
+ */
+function truncateToTokens(text, maxTokens, model) {
+  const tokens = encode(text, model);
+  if (tokens.length <= maxTokens) return contentText(text);
+  return getEncoder(model).decode(tokens.slice(0, Math.max(0, maxTokens)));
+}
+
+module.exports = {
+  countTokens,
+  countMessageTokens,
+  truncateToTokens,
+  encodingName
+};
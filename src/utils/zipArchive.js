@@ -0,0 +1,160 @@
+/**
+ * 🗜️ ZIP ARCHIVE UTILITY
+ * Builds ZIP archives in memory for user data exports
+ *
+ * Writes the classic PKZIP layout (local headers, central directory, end
+ * record) with DEFLATE compression from zlib. No ZIP64: exports are well
+ * below the 4 GB / 65535 entry limits.
+ */
+
+const zlib = require('zlib');
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const VERSION = 20; // 2.0: deflate
+const UTF8_FLAG = 0x0800;
+const DEFLATE = 8;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time fields (local time, 2-second resolution, from 1980)
+function dosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive
+ *
+ * @param {Array<{name: string, data: Buffer|string}>} entries - Files to add;
+ *   names may contain forward slashes for folders
+ * @param {Date} [modifiedAt] - Modification time for every entry
+ * @returns {Buffer} The archive
+ */
+function createZipArchive(entries, modifiedAt = new Date()) {
+  const { time, date } = dosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name.replace(/^\/+/, ''), 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(DEFLATE, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(VERSION, 4);
+    central.writeUInt16LE(VERSION, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(DEFLATE, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Read the entries of an archive written by createZipArchive
+ *
+ * @param {Buffer} archive
+ * @returns {Array<{name: string, data: Buffer}>}
+ */
+function readZipArchive(archive) {
+  const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = archive.readUInt16LE(endOffset + 10);
+  let pointer = archive.readUInt32LE(endOffset + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (archive.readUInt32LE(pointer) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = archive.readUInt16LE(pointer + 10);
+    const checksum = archive.readUInt32LE(pointer + 16);
+    const compressedSize = archive.readUInt32LE(pointer + 20);
+    const nameLength = archive.readUInt16LE(pointer + 28);
+    const extraLength = archive.readUInt16LE(pointer + 30);
+    const commentLength = archive.readUInt16LE(pointer + 32);
+    const localOffset = archive.readUInt32LE(pointer + 42);
+    const name = archive.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+
+    const dataStart = localOffset + 30 +
+      archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const raw = archive.subarray(dataStart, dataStart + compressedSize);
+    const data = method === DEFLATE ? zlib.inflateRawSync(raw) : Buffer.from(raw);
+
+    if (crc32(data) !== checksum) {
+      throw new Error(`CRC mismatch for ${name}`);
+    }
+
+    entries.push({ name, data });
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+module.exports = {
+  createZipArchive,
+  readZipArchive,
+  crc32
+};
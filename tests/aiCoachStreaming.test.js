@@ -0,0 +1,224 @@
+/**
+ * 🧪 AI COACH STREAMING - SERVER-SENT EVENTS TESTS
+ *
+ * Streams a fixture-provider completion through sendMessage and through the
+ * POST /api/ai-coach/chat/message/stream route, covering token delivery,
+ * post-processing once the stream completes and client disconnects.
+ *
+ * Run: npm test tests/aiCoachStreaming.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../src/services/redisService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn().mockResolvedValue('OK')
+}));
+
+const http = require('http');
+const express = require('express');
+const aiCoachService = require('../src/services/aiCoachService');
+const llmService = require('../src/services/llmService');
+const retroactivePredictionService = require('../src/services/retroactivePredictionService');
+const streakService = require('../src/services/streakService');
+const localContextService = require('../src/services/localContextService');
+const memoryService = require('../src/services/memoryService');
+const coachFollowUpService = require('../src/services/coachFollowUpService');
+const aiCoachRoutes = require('../src/routes/aiCoach');
+
+const SESSION_ID = '0f7c2b5e-3c1d-4a8e-9b6f-2d4e6a8c0b1d';
+const REPLY = 'The Moon favors you.';
+// The fixture provider streams word-sized chunks
+const TOKENS = ['The ', 'Moon ', 'favors ', 'you.'];
+
+describe('📡 AI Coach streaming', () => {
+  let chat;
+  let spies;
+
+  beforeEach(() => {
+    llmService.setFixture('coach', REPLY);
+    chat = jest.spyOn(llmService, 'chat');
+
+    const session = { session_id: SESSION_ID, user_id: 'user-1', ai_coach_persona: 'general', conversation_context: {} };
+    spies = {
+      session: jest.spyOn(aiCoachService, '_getAndValidateSession').mockResolvedValue({ success: true, data: session }),
+      premium: jest.spyOn(aiCoachService, '_validatePremiumAccess').mockResolvedValue({ hasAccess: true, isPremium: true }),
+      daily: jest.spyOn(aiCoachService, '_checkDailyUsage').mockResolvedValue({ allowed: true, limit: 100, used: 1 }),
+      horoscope: jest.spyOn(aiCoachService, '_getDailyHoroscope').mockResolvedValue(null),
+      prompt: jest.spyOn(aiCoachService, '_buildAstrologicalPrompt').mockResolvedValue('You are Stella.'),
+      monthly: jest.spyOn(aiCoachService, '_checkMonthlyLimits').mockResolvedValue({ allowed: true }),
+      incrementMonthly: jest.spyOn(aiCoachService, '_incrementMonthlyUsage').mockResolvedValue(),
+      decrementBalance: jest.spyOn(aiCoachService, '_decrementBalance').mockResolvedValue(),
+      store: jest.spyOn(aiCoachService, '_storeMessage').mockResolvedValue(1),
+      context: jest.spyOn(aiCoachService, '_updateConversationContext').mockResolvedValue(),
+      usageStats: jest.spyOn(aiCoachService, '_updateUsageStats').mockResolvedValue(),
+      count: jest.spyOn(aiCoachService, '_getSessionMessageCount').mockResolvedValue(2)
+    };
+    jest.spyOn(localContextService, 'getLocalContext').mockResolvedValue({});
+    jest.spyOn(localContextService, 'buildContextPrompt').mockReturnValue('');
+    jest.spyOn(localContextService, 'getContextSummary').mockReturnValue('');
+    jest.spyOn(retroactivePredictionService, 'detectsPredictionFeedback').mockReturnValue(false);
+    jest.spyOn(retroactivePredictionService, 'extractPredictions').mockResolvedValue();
+    jest.spyOn(streakService, 'checkIn').mockResolvedValue({ success: true });
+    jest.spyOn(memoryService, 'getRelevantMemories').mockResolvedValue(null);
+    jest.spyOn(memoryService, 'detectAndResolve').mockResolvedValue();
+    jest.spyOn(memoryService, 'extractAndStoreMemories').mockResolvedValue(0);
+    jest.spyOn(coachFollowUpService, 'handleReply').mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Service', () => {
+    test('forwards each delta and post-processes the complete reply', async () => {
+      const tokens = [];
+      const result = await aiCoachService.sendMessage(SESSION_ID, 'How is my week?', 'user-1', {
+        onToken: token => tokens.push(token)
+      });
+
+      expect(result.success).toBe(true);
+      expect(tokens).toEqual(TOKENS);
+      expect(result.response.content).toBe(REPLY);
+      expect(chat.mock.calls[0][0]).toBe('coach');
+      expect(chat.mock.calls[0][1]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+
+      const metadata = spies.store.mock.calls.find(([, type]) => type === 'ai')[3];
+      expect(metadata).toMatchObject({ streamed: true, completionTokens: 5 });
+      expect(metadata.tokensUsed).toBe(metadata.promptTokens + metadata.completionTokens);
+      expect(result.response.tokensUsed).toBe(metadata.tokensUsed);
+      expect(spies.context).toHaveBeenCalledWith(SESSION_ID, 'How is my week?', REPLY);
+      expect(spies.usageStats).toHaveBeenCalledWith('user-1', true);
+      expect(spies.incrementMonthly).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps the partial reply with estimated tokens when aborted', async () => {
+      const controller = new AbortController();
+      const result = await aiCoachService.sendMessage(SESSION_ID, 'Tell me more', 'user-1', {
+        signal: controller.signal,
+        onToken: token => {
+          if (token === 'Moon ') controller.abort();
+        }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.response.content).toBe('The Moon ');
+      expect(result.response.aborted).toBe(true);
+
+      const metadata = spies.store.mock.calls.find(([, type]) => type === 'ai')[3];
+      expect(metadata.aborted).toBe(true);
+      expect(metadata.completionTokens).toBe(3);
+      expect(metadata.tokensUsed).toBeGreaterThan(metadata.completionTokens);
+      expect(spies.decrementBalance).toHaveBeenCalledTimes(1);
+    });
+
+    test('stores no reply and charges nothing when the client leaves before the first token', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      const result = await aiCoachService.sendMessage(SESSION_ID, 'Hello?', 'user-1', {
+        signal: controller.signal,
+        onToken: () => {}
+      });
+
+      expect(result).toMatchObject({ success: false, error: 'client_aborted' });
+      expect(spies.store.mock.calls.map(([, type]) => type)).toEqual(['user']);
+      expect(spies.incrementMonthly).not.toHaveBeenCalled();
+    });
+
+    test('non-streaming requests are unchanged', async () => {
+      const result = await aiCoachService.sendMessage(SESSION_ID, 'How is my week?', 'user-1', {});
+
+      expect(result.response.content).toBe(REPLY);
+      expect(chat.mock.calls[0][1].stream).toBeUndefined();
+    });
+  });
+
+  describe('Route', () => {
+    let server;
+    let port;
+
+    beforeAll(done => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/ai-coach', aiCoachRoutes);
+      server = app.listen(0, () => {
+        port = server.address().port;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    const postStream = (body, onData) => new Promise((resolve, reject) => {
+      const req = http.request({
+        port,
+        method: 'POST',
+        path: '/api/ai-coach/chat/message/stream',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer test-token-123' }
+      }, res => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          raw += chunk;
+          if (onData) onData(raw, req);
+        });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, raw }));
+        res.on('close', () => resolve({ status: res.statusCode, headers: res.headers, raw }));
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify(body));
+    });
+
+    const parseEvents = raw => raw.split('\n\n').filter(Boolean).map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+
+    test('streams token events followed by done', async () => {
+      const { status, headers, raw } = await postStream({ sessionId: SESSION_ID, message: 'How is my week?' });
+      const events = parseEvents(raw);
+
+      expect(status).toBe(200);
+      expect(headers['content-type']).toContain('text/event-stream');
+      expect(events.filter(e => e.event === 'token').map(e => e.data.content)).toEqual(TOKENS);
+      expect(events[events.length - 1]).toMatchObject({
+        event: 'done',
+        data: { success: true, response: { content: REPLY } }
+      });
+    });
+
+    test('answers with JSON status codes before streaming starts', async () => {
+      spies.premium.mockResolvedValue({ hasAccess: false });
+
+      const { status, headers, raw } = await postStream({ sessionId: SESSION_ID, message: 'Hi' });
+
+      expect(status).toBe(402);
+      expect(headers['content-type']).toContain('application/json');
+      expect(JSON.parse(raw).error).toBe('premium_required');
+    });
+
+    test('client disconnect aborts generation and still saves the partial reply', async () => {
+      const fixtureSettings = llmService.getProvider('fixture').settings;
+      fixtureSettings.chunkDelayMs = 30;
+      const stored = new Promise(resolve => {
+        spies.store.mockImplementation(async (sessionId, type, content, metadata) => {
+          if (type === 'ai') resolve({ content, metadata });
+          return 1;
+        });
+      });
+
+      await postStream({ sessionId: SESSION_ID, message: 'Tell me everything' }, (raw, req) => {
+        if (raw.includes('event: token')) req.destroy();
+      });
+      const { content, metadata } = await stored;
+      fixtureSettings.chunkDelayMs = 0;
+
+      expect(content.length).toBeLessThan(REPLY.length);
+      expect(metadata.aborted).toBe(true);
+      expect(chat.mock.calls[0][2].signal.aborted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * 🧪 ASTRO BRIEF - TRANSIT-DRIVEN SIGN HOROSCOPES
+ *
+ * The sky of a day or week computed from the ephemeris (ingresses,
+ * stations, exact aspects and lunations of October 2026), its solar-house
+ * brief per sign, and how the generator feeds it into the prompt and
+ * stores it next to the content.
+ *
+ * Run: npm test tests/astroBrief.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/services/redisService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn().mockResolvedValue('OK'),
+  acquireLock: jest.fn().mockResolvedValue({ acquired: false, reason: 'Redis not connected' }),
+  releaseLock: jest.fn()
+}));
+
+const astroBriefService = require('../src/services/astroBriefService');
+const horoscopeGenerator = require('../src/services/horoscopeGenerator');
+const horoscopeRevisionService = require('../src/services/horoscopeRevisionService');
+const llmService = require('../src/services/llmService');
+
+// Minutes between an event and a reference time (both backends agree within a few)
+const minutesFrom = (at, reference) => Math.abs(new Date(at) - new Date(reference)) / 60000;
+
+describe('🔭 Astro Brief', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sky', () => {
+    test('finds the exact events of a day', () => {
+      const sky = astroBriefService.getDailySky('2026-10-24');
+
+      const station = sky.events.find(event => event.type === 'station');
+      expect(station).toMatchObject({ body: 'mercury', direction: 'retrograde', sign: 'scorpio' });
+      expect(minutesFrom(station.at, '2026-10-24T07:10:00Z')).toBeLessThan(60);
+      expect(sky.events).toContainEqual(expect.objectContaining({ type: 'aspect', bodies: ['sun', 'venus'], aspect: 'conjunction' }));
+      expect(sky.positions.venus).toMatchObject({ sign: 'scorpio', retrograde: true });
+      expect(sky.moon.phase).toBe('waxingGibbous');
+    });
+
+    test('times lunations and ingresses', () => {
+      const fullMoon = astroBriefService.getDailySky('2026-10-26').events.find(event => event.type === 'lunation');
+      expect(fullMoon).toMatchObject({ phase: 'fullMoon', sign: 'taurus' });
+      expect(minutesFrom(fullMoon.at, '2026-10-26T04:12:00Z')).toBeLessThan(30);
+
+      expect(astroBriefService.getDailySky('2026-06-30').events)
+        .toContainEqual(expect.objectContaining({ type: 'ingress', body: 'jupiter', from: 'cancer', to: 'leo' }));
+    });
+
+    test('lists a week in time order, without Moon ingresses', () => {
+      const sky = astroBriefService.getWeeklySky('2026-10-19', '2026-10-25');
+
+      expect(sky.period).toEqual({ start: '2026-10-19', end: '2026-10-25' });
+      expect(sky.events).toContainEqual(expect.objectContaining({ type: 'ingress', body: 'sun', to: 'scorpio' }));
+      expect(sky.events.filter(event => event.body === 'moon')).toEqual([]);
+      expect(sky.events.map(event => event.at)).toEqual([...sky.events.map(event => event.at)].sort());
+    });
+
+    test('computes each period once', () => {
+      expect(astroBriefService.getDailySky('2026-10-24')).toBe(astroBriefService.getDailySky('2026-10-24'));
+    });
+
+    test('rejects invalid periods', () => {
+      expect(() => astroBriefService.getDailySky('24/10/2026')).toThrow('Invalid date');
+      expect(() => astroBriefService.getWeeklySky('2026-10-25', '2026-10-19')).toThrow('Invalid week');
+    });
+  });
+
+  describe('brief', () => {
+    test('frames the sky in solar houses around the sign and its ruler', () => {
+      const brief = astroBriefService.getDailyBrief('Géminis', '2026-10-24');
+
+      expect(brief).toMatchObject({ kind: 'daily', sign: 'gemini', framing: 'solar_houses' });
+      expect(brief.sun).toMatchObject({ sign: 'scorpio', house: 6 });
+      expect(brief.rulers).toEqual([expect.objectContaining({ body: 'mercury', retrograde: true, house: 6 })]);
+      expect(brief.events[0]).toMatchObject({ type: 'station', body: 'mercury', houses: [6], focus: true });
+      expect(brief.houses).toContainEqual({ house: 6, topic: 'work routine and health' });
+    });
+
+    test('accepts signs in English or Spanish, any case', () => {
+      expect(astroBriefService.signKey('Escorpio')).toBe('scorpio');
+      expect(astroBriefService.signKey('PISCES')).toBe('pisces');
+      expect(() => astroBriefService.signKey('Ofiuco')).toThrow('Unknown zodiac sign');
+    });
+
+    test('renders prompt lines with the focus events starred', () => {
+      const lines = astroBriefService.formatForPrompt(astroBriefService.getDailyBrief('Géminis', '2026-10-24'));
+
+      expect(lines).toContain('- Regente: Mercurio en Escorpio retrógrado (casa 6: rutina de trabajo y salud)');
+      expect(lines).toMatch(/★ 07:\d\d UTC: Mercurio estaciona retrógrado en Escorpio/);
+      expect(lines).toContain('Sol en conjunción exacta con Venus (casa 6');
+    });
+  });
+
+  describe('generator', () => {
+    let chat;
+
+    beforeEach(() => {
+      jest.replaceProperty(horoscopeGenerator, 'enabled', true);
+      chat = jest.spyOn(llmService, 'chat').mockResolvedValue({
+        model: 'gpt-4o-mini',
+        choices: [{ message: { content: '{"content":"Hoy"}' } }]
+      });
+    });
+
+    test('feeds the day\'s sky into the prompt and returns the brief', async () => {
+      const horoscope = await horoscopeGenerator.generateDailyHoroscope('Géminis', { code: 'es', name: 'español' }, '2026-10-24');
+
+      const system = chat.mock.calls[0][1].messages[0].content;
+      expect(system).toContain('CIELO REAL DEL 2026-10-24');
+      expect(system).toContain('Mercurio estaciona retrógrado en Escorpio');
+      expect(horoscope.astro_brief).toMatchObject({ sign: 'gemini', period: { start: '2026-10-24', end: '2026-10-24' } });
+      expect(horoscope.prompt_version).toBe('daily.v2');
+    });
+
+    test('feeds the week\'s sky into the weekly prompt', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const horoscope = await horoscopeGenerator.generateWeeklyHoroscope('Piscis', { code: 'es', name: 'español' }, '2026-10-19', '2026-10-25');
+
+      expect(chat.mock.calls[0][1].messages[0].content).toContain('CIELO REAL DE LA SEMANA');
+      expect(horoscope.astro_brief).toMatchObject({ kind: 'weekly', sign: 'pisces' });
+    });
+
+    test('writes the prompt without the sky when it cannot be computed', async () => {
+      jest.spyOn(astroBriefService, 'getDailyBrief').mockImplementation(() => { throw new Error('ephemeris down'); });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const horoscope = await horoscopeGenerator.generateDailyHoroscope('Leo', { code: 'es', name: 'español' }, '2026-10-24');
+
+      expect(chat.mock.calls[0][1].messages[0].content).not.toContain('CIELO REAL');
+      expect(horoscope.astro_brief).toBeNull();
+    });
+
+    test('stores the brief next to the content', async () => {
+      const save = jest.spyOn(horoscopeRevisionService, 'save').mockResolvedValue({ stored: true, pinned: false, revision: 1 });
+      const astroBrief = astroBriefService.getDailyBrief('Leo', '2026-10-24');
+
+      await horoscopeGenerator.storeDailyHoroscope({ sign: 'Leo', language_code: 'es', date: '2026-10-24', content: {}, astro_brief: astroBrief });
+
+      expect(save.mock.calls[0][1].fields.astro_brief).toBe(astroBrief);
+    });
+  });
+});
@@ -0,0 +1,451 @@
+/**
+ * 🧪 CALDAV CLIENT - APPLE CALENDAR SYNC TESTS
+ *
+ * Runs the CalDAV client against an in-process stand-in server that speaks
+ * the subset of CalDAV Radicale and iCloud use: PROPFIND discovery,
+ * calendar-query and calendar-multiget REPORTs, and ETag-guarded PUTs.
+ * The same client can be pointed at a real Radicale (http://localhost:5232/).
+ *
+ * Run: npm test tests/caldavClient.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+
+const http = require('http');
+const CalDAVClient = require('../src/services/caldavClient');
+const { buildICalendar, parseICalendar } = require('../src/services/caldavClient');
+
+const AUTH = `Basic ${Buffer.from('alice:app-password').toString('base64')}`;
+
+const vevent = ({ uid, summary, start, end, extra = [] }) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `DTSTART${start}`,
+  `DTEND${end}`,
+  `SUMMARY:${summary}`,
+  ...extra,
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'DESCRIPTION:Alarm text',
+  'END:VALARM',
+  'END:VEVENT',
+  'END:VCALENDAR',
+  ''
+].join('\r\n');
+
+/**
+ * Minimal CalDAV server: one principal with an event calendar and a task list
+ */
+function createStandInServer() {
+  const state = {
+    requests: [],
+    etagCounter: 0,
+    calendars: {
+      '/alice/personal/': { displayName: 'Personal', components: ['VEVENT'], events: {} },
+      '/alice/tasks/': { displayName: 'Reminders', components: ['VTODO'], events: {} }
+    }
+  };
+
+  const nextEtag = () => `"etag-${++state.etagCounter}"`;
+  state.putEvent = (path, ical) => {
+    const calendarPath = path.slice(0, path.lastIndexOf('/') + 1);
+    state.calendars[calendarPath].events[path] = { ical, etag: nextEtag() };
+  };
+
+  const multistatus = responses => `<?xml version="1.0"?>
+    <D:multistatus xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav" xmlns:CS="http://calendarserver.org/ns/">
+      ${responses.map(({ href, props }) => `
+        <D:response>
+          <D:href>${href}</D:href>
+          <D:propstat><D:prop>${props}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat>
+        </D:response>`).join('')}
+    </D:multistatus>`;
+
+  const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+  const eventProps = (event, withData) => `<D:getetag>${event.etag}</D:getetag>` +
+    (withData ? `<C:calendar-data>${escape(event.ical)}</C:calendar-data>` : '');
+
+  const inRange = (ical, body) => {
+    const range = /time-range start="(\w+)" end="(\w+)"/.exec(body);
+    if (!range) return true;
+    const [event] = parseICalendar(ical);
+    const toIso = value => value.replace(/(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z/, '$1-$2-$3T$4:$5:$6Z');
+    return event.start < toIso(range[2]) && event.end > toIso(range[1]);
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      state.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      if (req.headers.authorization !== AUTH) {
+        res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="Radicale"' });
+        return res.end();
+      }
+
+      const send = xml => {
+        res.writeHead(207, { 'Content-Type': 'application/xml; charset=utf-8' });
+        res.end(xml);
+      };
+
+      if (req.method === 'PROPFIND' && body.includes('current-user-principal')) {
+        return send(multistatus([{ href: req.url, props: '<D:current-user-principal><D:href>/alice/</D:href></D:current-user-principal>' }]));
+      }
+      if (req.method === 'PROPFIND' && body.includes('calendar-home-set')) {
+        return send(multistatus([{ href: req.url, props: '<C:calendar-home-set><D:href>/alice/</D:href></C:calendar-home-set>' }]));
+      }
+      if (req.method === 'PROPFIND' && req.headers.depth === '1') {
+        return send(multistatus([
+          { href: '/alice/', props: '<D:resourcetype><D:collection/></D:resourcetype>' },
+          ...Object.entries(state.calendars).map(([href, calendar]) => ({
+            href,
+            props: `<D:resourcetype><D:collection/><C:calendar/></D:resourcetype>
+              <D:displayname>${calendar.displayName}</D:displayname>
+              <CS:getctag>ctag-${state.etagCounter}</CS:getctag>
+              <C:supported-calendar-component-set>${calendar.components.map(c => `<C:comp name="${c}"/>`).join('')}</C:supported-calendar-component-set>`
+          }))
+        ]));
+      }
+
+      const calendar = state.calendars[req.url];
+      if (req.method === 'REPORT' && calendar && body.includes('calendar-multiget')) {
+        const hrefs = [...body.matchAll(/<d:href>([^<]+)<\/d:href>/g)].map(match => match[1]);
+        return send(multistatus(hrefs.filter(href => calendar.events[href]).map(href => ({
+          href,
+          props: eventProps(calendar.events[href], true)
+        }))));
+      }
+      if (req.method === 'REPORT' && calendar) {
+        const withData = body.includes('calendar-data');
+        return send(multistatus(Object.entries(calendar.events)
+          .filter(([, event]) => inRange(event.ical, body))
+          .map(([href, event]) => ({ href, props: eventProps(event, withData) }))));
+      }
+
+      if (req.method === 'PUT') {
+        const calendarPath = req.url.slice(0, req.url.lastIndexOf('/') + 1);
+        const existing = state.calendars[calendarPath] && state.calendars[calendarPath].events[req.url];
+        if ((req.headers['if-none-match'] === '*' && existing) ||
+            (req.headers['if-match'] && (!existing || existing.etag !== req.headers['if-match']))) {
+          res.writeHead(412);
+          return res.end();
+        }
+        state.putEvent(req.url, body);
+        res.writeHead(existing ? 204 : 201, { ETag: state.calendars[calendarPath].events[req.url].etag });
+        return res.end();
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  return { server, state };
+}
+
+describe('📅 CalDAV Client', () => {
+  let server;
+  let state;
+  let baseUrl;
+  let client;
+
+  beforeEach(async () => {
+    ({ server, state } = createStandInServer());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/`;
+    client = new CalDAVClient({ serverUrl: baseUrl, username: 'alice', password: 'app-password' });
+
+    state.putEvent('/alice/personal/launch.ics', vevent({
+      uid: 'launch',
+      summary: 'Product launch\\, phase 1',
+      start: ';TZID=America/New_York:20261020T090000',
+      end: ';TZID=America/New_York:20261020T100000'
+    }));
+    state.putEvent('/alice/personal/retreat.ics', vevent({
+      uid: 'retreat',
+      summary: 'Retreat',
+      start: ';VALUE=DATE:20261025',
+      end: ';VALUE=DATE:20261027'
+    }));
+    state.putEvent('/alice/personal/old.ics', vevent({
+      uid: 'old',
+      summary: 'Last year',
+      start: ':20251020T090000Z',
+      end: ':20251020T100000Z'
+    }));
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const range = { start: '2026-10-18T00:00:00Z', end: '2026-11-18T00:00:00Z' };
+
+  describe('Discovery', () => {
+    test('follows principal and calendar home to the event calendars', async () => {
+      const calendars = await client.discoverCalendars();
+
+      expect(calendars).toEqual([
+        expect.objectContaining({
+          url: `${baseUrl}alice/personal/`,
+          displayName: 'Personal',
+          ctag: 'ctag-3'
+        })
+      ]);
+      expect(state.requests.map(r => `${r.method} ${r.url} ${r.headers.depth}`)).toEqual([
+        'PROPFIND / 0',
+        'PROPFIND /alice/ 0',
+        'PROPFIND /alice/ 1'
+      ]);
+    });
+
+    test('surfaces authentication failures with the HTTP status', async () => {
+      const badClient = new CalDAVClient({ serverUrl: baseUrl, username: 'alice', password: 'wrong' });
+
+      await expect(badClient.discoverCalendars()).rejects.toMatchObject({ status: 401 });
+    });
+  });
+
+  describe('calendar-query', () => {
+    test('returns parsed events overlapping the date range', async () => {
+      const events = await client.fetchEvents(`${baseUrl}alice/personal/`, range);
+      const byUid = Object.fromEntries(events.map(event => [event.uid, event]));
+
+      expect(Object.keys(byUid).sort()).toEqual(['launch', 'retreat']);
+      expect(byUid.launch).toMatchObject({
+        id: `${baseUrl}alice/personal/launch.ics`,
+        etag: '"etag-1"',
+        title: 'Product launch, phase 1',
+        start: '2026-10-20T13:00:00.000Z',
+        end: '2026-10-20T14:00:00.000Z',
+        allDay: false,
+        status: 'confirmed'
+      });
+      expect(byUid.retreat).toMatchObject({ allDay: true, start: '2026-10-25T00:00:00.000Z' });
+
+      const report = state.requests.find(r => r.method === 'REPORT');
+      expect(report.body).toContain('<c:time-range start="20261018T000000Z" end="20261118T000000Z"/>');
+    });
+  });
+
+  describe('PUT', () => {
+    const event = {
+      uid: 'timing-1',
+      title: '[Optimal Timing] Sign the lease',
+      description: 'Confidence: 85%\nMoon trine Venus',
+      start: { dateTime: '2026-10-21T10:00:00', timeZone: 'Europe/Madrid' },
+      end: { dateTime: '2026-10-21T11:00:00', timeZone: 'Europe/Madrid' }
+    };
+
+    test('creates a new resource guarded by If-None-Match', async () => {
+      const result = await client.putEvent(`${baseUrl}alice/personal/`, event);
+
+      expect(result).toEqual({ href: `${baseUrl}alice/personal/timing-1.ics`, etag: '"etag-4"', created: true });
+
+      const put = state.requests.find(r => r.method === 'PUT');
+      expect(put.headers['if-none-match']).toBe('*');
+      expect(put.headers['content-type']).toContain('text/calendar');
+
+      const [stored] = parseICalendar(put.body);
+      expect(stored).toMatchObject({
+        uid: 'timing-1',
+        title: '[Optimal Timing] Sign the lease',
+        description: 'Confidence: 85%\nMoon trine Venus',
+        start: '2026-10-21T08:00:00.000Z',
+        end: '2026-10-21T09:00:00.000Z'
+      });
+    });
+
+    test('refuses to overwrite without the current ETag', async () => {
+      const created = await client.putEvent(`${baseUrl}alice/personal/`, event);
+
+      await expect(client.putEvent(`${baseUrl}alice/personal/`, event)).rejects.toMatchObject({ status: 412 });
+      await expect(client.putEvent(`${baseUrl}alice/personal/`, event, { href: created.href, etag: '"stale"' }))
+        .rejects.toMatchObject({ status: 412 });
+
+      const updated = await client.putEvent(`${baseUrl}alice/personal/`, { ...event, title: 'Moved' }, created);
+      expect(updated).toMatchObject({ created: false, etag: '"etag-5"' });
+    });
+  });
+
+  describe('ETag incremental sync', () => {
+    const calendarUrl = () => `${baseUrl}alice/personal/`;
+
+    test('downloads only new and changed resources', async () => {
+      const first = await client.syncEvents(calendarUrl(), range);
+      expect(first.created).toHaveLength(2);
+      expect(first.events.map(e => e.uid).sort()).toEqual(['launch', 'retreat']);
+
+      state.requests = [];
+      const second = await client.syncEvents(calendarUrl(), { ...range, etags: first.etags });
+      expect(second).toMatchObject({ events: [], created: [], updated: [], deleted: [], unchanged: 2 });
+      expect(state.requests.filter(r => r.body.includes('calendar-multiget'))).toHaveLength(0);
+
+      state.putEvent('/alice/personal/launch.ics', vevent({
+        uid: 'launch',
+        summary: 'Launch moved',
+        start: ':20261022T090000Z',
+        end: ':20261022T100000Z'
+      }));
+      delete state.calendars['/alice/personal/'].events['/alice/personal/retreat.ics'];
+
+      state.requests = [];
+      const third = await client.syncEvents(calendarUrl(), { ...range, etags: second.etags });
+      expect(third.updated).toEqual([`${baseUrl}alice/personal/launch.ics`]);
+      expect(third.deleted).toEqual([`${baseUrl}alice/personal/retreat.ics`]);
+      expect(third.events).toEqual([expect.objectContaining({ title: 'Launch moved' })]);
+
+      const multiget = state.requests.find(r => r.body.includes('calendar-multiget'));
+      expect(multiget.body).toContain('<d:href>/alice/personal/launch.ics</d:href>');
+      expect(multiget.body).not.toContain('retreat.ics');
+    });
+  });
+
+  describe('iCalendar', () => {
+    test('folds long lines and round-trips escaped text', () => {
+      const description = 'Venus enters Scorpio; deepen commitments, review shared finances. '.repeat(3).trim();
+      const ical = buildICalendar({
+        uid: 'fold',
+        title: 'Fold test',
+        description,
+        start: '2026-10-21T10:00:00Z',
+        end: '2026-10-21T11:00:00Z'
+      });
+
+      expect(ical.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+      expect(parseICalendar(ical)[0].description).toBe(description);
+    });
+
+    test('ignores properties of nested components', () => {
+      const [event] = parseICalendar(vevent({
+        uid: 'nested',
+        summary: 'Standup',
+        start: ':20261020T090000Z',
+        end: ':20261020T091500Z'
+      }));
+
+      expect(event.description).toBeNull();
+    });
+  });
+});
+
+describe('🍎 Calendar Sync Service - Apple provider', () => {
+  let server;
+  let state;
+  let connection;
+  let calendarSyncService;
+  let db;
+
+  beforeEach(async () => {
+    ({ server, state } = createStandInServer());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/`;
+
+    // The service only talks to the server configured in APPLE_CALDAV_URL
+    process.env.APPLE_CALDAV_URL = baseUrl;
+    jest.isolateModules(() => {
+      db = require('../src/config/db');
+      calendarSyncService = require('../src/services/calendarSyncService');
+    });
+
+    state.putEvent('/alice/personal/launch.ics', vevent({
+      uid: 'launch',
+      summary: 'Product launch',
+      start: ':20261020T090000Z',
+      end: ':20261020T100000Z'
+    }));
+
+    connection = {
+      user_id: 'user-1',
+      provider: 'apple',
+      credentials: { username: 'alice', password: 'app-password' },
+      calendars: [{ url: `${baseUrl}alice/personal/`, displayName: 'Personal' }],
+      sync_state: {}
+    };
+
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(async () => {
+    delete process.env.APPLE_CALDAV_URL;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const options = { startDate: new Date('2026-10-18T00:00:00Z'), endDate: new Date('2026-11-18T00:00:00Z') };
+
+  test('stores changed events and persists ETags per calendar', async () => {
+    const result = await calendarSyncService.syncAppleCalendar('user-1', connection, options);
+
+    expect(result).toMatchObject({ eventsRead: 1, eventsCreated: 1, eventsUpdated: 0, errors: [] });
+
+    const insert = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO external_calendar_events'));
+    expect(insert[1][2]).toBe(connection.calendars[0].url + 'launch.ics');
+
+    const update = db.query.mock.calls.find(([sql]) => sql.includes('SET sync_state'));
+    const syncState = JSON.parse(update[1][2]);
+    expect(syncState[connection.calendars[0].url].etags).toEqual({
+      [`${connection.calendars[0].url}launch.ics`]: '"etag-1"'
+    });
+
+    db.query.mockClear();
+    const again = await calendarSyncService.syncAppleCalendar('user-1', { ...connection, sync_state: syncState }, options);
+    expect(again).toMatchObject({ eventsRead: 0, eventsUnchanged: 1 });
+    expect(db.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO external_calendar_events'))).toBe(false);
+  });
+
+  test('removes events deleted on the server', async () => {
+    const url = connection.calendars[0].url;
+    const syncState = { [url]: { etags: { [`${url}launch.ics`]: '"etag-1"', [`${url}gone.ics`]: '"etag-0"' } } };
+
+    const result = await calendarSyncService.syncAppleCalendar('user-1', { ...connection, sync_state: syncState }, options);
+
+    expect(result.eventsDeleted).toBe(1);
+    const deletion = db.query.mock.calls.find(([sql]) => sql.includes('DELETE FROM external_calendar_events'));
+    expect(deletion[1]).toEqual(['user-1', 'apple', `${url}gone.ics`, `${url}gone.ics#%`]);
+  });
+
+  test('writes optimal timing events as VEVENTs', async () => {
+    const created = await calendarSyncService.createAppleEvent(connection, {
+      title: 'Sign the lease',
+      description: 'Confidence: 85%',
+      start: { dateTime: '2026-10-21T10:00:00', timeZone: 'UTC' },
+      end: { dateTime: '2026-10-21T11:00:00', timeZone: 'UTC' },
+      category: 'zodiac-timing',
+      metadata: { confidence: 0.85 }
+    });
+
+    expect(created).toMatchObject({
+      provider: 'apple',
+      title: '[Optimal Timing] Sign the lease',
+      etag: '"etag-2"'
+    });
+    expect(created.id).toBe(`${connection.calendars[0].url}${created.uid}.ics`);
+
+    const put = state.requests.find(r => r.method === 'PUT');
+    expect(put.body).toContain('X-ZODIAC-CATEGORY:zodiac-timing');
+    expect(put.body).toContain('CATEGORIES:zodiac-timing');
+  });
+
+  test('reads live events for conflict detection', async () => {
+    const events = await calendarSyncService.getCalendarEvents(
+      connection,
+      '2026-10-20T08:00:00Z',
+      '2026-10-20T12:00:00Z'
+    );
+
+    expect(events).toEqual([expect.objectContaining({ title: 'Product launch', calendarName: 'Personal' })]);
+  });
+
+  test('refuses servers other than the configured one', async () => {
+    for (const serverUrl of ['http://169.254.169.254/', 'http://localhost:5232/', 'not a url']) {
+      await expect(calendarSyncService.initializeAppleCalendar('user-1', { serverUrl, username: 'alice', password: 'app-password' }))
+        .rejects.toThrow('CalDAV server not allowed');
+    }
+    expect(state.requests).toHaveLength(0);
+  });
+});
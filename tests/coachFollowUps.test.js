@@ -0,0 +1,291 @@
+/**
+ * 🧪 COACH FOLLOW-UPS TESTS
+ *
+ * Day-after check-ins for dated memories: due detection in the user's
+ * timezone, persona-written messages, delivery outcomes from the
+ * notification engine (sent, deferred, skipped), replies resolving the
+ * memory, and the engine's handling of pre-written content and opt-outs.
+ *
+ * Run: npm test tests/coachFollowUps.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+jest.mock('../src/services/smartNotificationEngine', () => ({ sendSmartNotification: jest.fn() }));
+jest.mock('../src/services/aiCoachService', () => ({
+  personas: {
+    general: { name: 'Stella - Cosmic Advisor', systemPrompt: 'You are Stella.' },
+    career: { name: 'Marcus - Career Strategist', systemPrompt: 'You are Marcus.' }
+  }
+}));
+
+const db = require('../src/config/db');
+const llmService = require('../src/services/llmService');
+const smartNotificationEngine = require('../src/services/smartNotificationEngine');
+const coachFollowUpService = require('../src/services/coachFollowUpService');
+
+const USER_ID = '11111111-1111-1111-1111-111111111111';
+const SESSION_ID = '0f7c2b5e-3c1d-4a8e-9b6f-2d4e6a8c0b1d';
+// 10:00 in Mexico City, 18:00 in Madrid, 01:00 the next day in Tokyo
+const NOW = new Date('2026-10-19T16:00:00Z');
+
+const memory = (overrides = {}) => ({
+  id: 'memory-1',
+  user_id: USER_ID,
+  memory_type: 'milestone',
+  content: 'Has a job interview at the design studio',
+  subject: 'job interview',
+  event_date: '2026-10-18',
+  timezone: 'America/Mexico_City',
+  language: 'en',
+  session_id: SESSION_ID,
+  persona: 'career',
+  ...overrides
+});
+
+// Routes each statement to a canned result and records it
+const mockDatabase = ({ due = [], claim = { id: 'followup-1', message: null }, reply = [] } = {}) => {
+  db.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM user_memories m')) return { rows: due };
+    if (sql.includes('INSERT INTO coach_followups')) return { rows: claim ? [claim] : [] };
+    if (sql.includes('SET replied_at = NOW()')) return { rows: reply };
+    if (sql.includes('UPDATE user_memories')) return { rows: [{ id: 'memory-1', memory_type: 'milestone' }] };
+    return { rows: [] };
+  });
+};
+
+const finishedWith = () => db.query.mock.calls
+  .filter(([sql]) => sql.includes('SET status = $2::VARCHAR'))
+  .map(([, params]) => ({ status: params[1], message: params[2], reason: params[3] }));
+
+const chatLines = () => db.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO chat_messages'));
+
+describe('💬 Coach Follow-ups', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    smartNotificationEngine.sendSmartNotification.mockReset();
+    smartNotificationEngine.sendSmartNotification.mockResolvedValue({ success: true, notificationId: 42 });
+    llmService.clearFixtures();
+    llmService.setFixture('coach_followup', 'How did the interview at the design studio go yesterday?');
+  });
+
+  afterAll(() => {
+    llmService.clearFixtures();
+    llmService.setRoute('coach_followup', null);
+  });
+
+  test('a memory is due the day after its event, during local daytime hours', async () => {
+    mockDatabase({
+      due: [
+        memory({ id: 'mexico' }),
+        memory({ id: 'madrid', timezone: 'Europe/Madrid' }),
+        memory({ id: 'tokyo', timezone: 'Asia/Tokyo' }),       // 01:00, and already two days later
+        memory({ id: 'unknown-zone', timezone: 'Mars/Olympus' }), // New York default: 12:00
+        memory({ id: 'two-days-ago', event_date: '2026-10-17' })
+      ]
+    });
+
+    const due = await coachFollowUpService.findDueFollowUps(NOW);
+
+    expect(due.map(m => m.id)).toEqual(['mexico', 'madrid', 'unknown-zone']);
+    expect(due[2].timezone).toBe('America/New_York');
+    expect(db.query.mock.calls[0][1]).toEqual([
+      ['milestone', 'life_event'], '2026-10-19T16:00:00.000Z', 60, 200, 'America/New_York', 10, 20
+    ]);
+    expect(coachFollowUpService.isDue(memory(), new Date('2026-10-19T15:59:00Z'))).toBe(false); // 09:59
+  });
+
+  test('the local-day and sending-hour checks run before the batch limit', async () => {
+    mockDatabase();
+
+    await coachFollowUpService.findDueFollowUps(NOW);
+
+    const [sql, params] = db.query.mock.calls[0];
+    const limitAt = sql.indexOf(`LIMIT $4`);
+    expect(sql.indexOf('m.event_date = tz.local_now::DATE - 1')).toBeLessThan(limitAt);
+    expect(sql).toContain('EXTRACT(HOUR FROM tz.local_now) >= $6');
+    expect(sql).toContain('EXTRACT(HOUR FROM tz.local_now) < $7');
+    expect(sql).toContain('$2::TIMESTAMPTZ AT TIME ZONE COALESCE(z.name, $5)');
+    expect(params[3]).toBe(coachFollowUpService.settings.batchSize);
+  });
+
+  test('sends a persona-written check-in and adds it to the coach session', async () => {
+    mockDatabase({ due: [memory()] });
+    const chat = jest.spyOn(llmService, 'chat');
+
+    const results = await coachFollowUpService.processDueFollowUps(NOW);
+
+    expect(results).toEqual({ due: 1, sent: 1, deferred: 0, skipped: 0, failed: 0 });
+    expect(smartNotificationEngine.sendSmartNotification).toHaveBeenCalledWith(
+      USER_ID,
+      'COACH_FOLLOWUP',
+      { followUpId: 'followup-1', sessionId: SESSION_ID },
+      {
+        sendImmediately: true,
+        content: { title: 'Marcus', body: 'How did the interview at the design studio go yesterday?' }
+      }
+    );
+
+    const [feature, params] = chat.mock.calls[0];
+    expect(feature).toBe('coach_followup');
+    expect(params.messages[0].content).toBe('You are Marcus.');
+    expect(params.messages[1].content).toContain('Write in English');
+    expect(JSON.parse(params.messages[2].content)).toMatchObject({ subject: 'job interview', date: '2026-10-18' });
+
+    expect(chatLines()).toHaveLength(1);
+    expect(chatLines()[0][1].slice(0, 2)).toEqual([SESSION_ID, 'How did the interview at the design studio go yesterday?']);
+    expect(finishedWith()).toEqual([{ status: 'sent', message: expect.any(String), reason: null }]);
+    chat.mockRestore();
+  });
+
+  test('quiet hours defer the follow-up; the retry reuses the written message', async () => {
+    smartNotificationEngine.sendSmartNotification.mockResolvedValue({ success: false, blocked: true, reason: 'quiet_hours' });
+    mockDatabase({ due: [memory()] });
+
+    const first = await coachFollowUpService.processDueFollowUps(NOW);
+
+    expect(first.deferred).toBe(1);
+    expect(finishedWith()).toEqual([{
+      status: 'deferred',
+      message: 'How did the interview at the design studio go yesterday?',
+      reason: 'quiet_hours'
+    }]);
+    expect(chatLines()).toHaveLength(0);
+
+    db.query.mockReset();
+    mockDatabase({ due: [memory()], claim: { id: 'followup-1', message: 'Written last hour' } });
+    smartNotificationEngine.sendSmartNotification.mockResolvedValue({ success: true, notificationId: 43 });
+    const chat = jest.spyOn(llmService, 'chat');
+
+    await coachFollowUpService.processDueFollowUps(NOW);
+
+    expect(chat).not.toHaveBeenCalled();
+    expect(smartNotificationEngine.sendSmartNotification.mock.calls[1][3].content.body).toBe('Written last hour');
+    chat.mockRestore();
+  });
+
+  test('an opt-out skips the follow-up for good', async () => {
+    smartNotificationEngine.sendSmartNotification.mockResolvedValue({
+      success: false,
+      blocked: true,
+      reason: 'notification_type_disabled'
+    });
+    mockDatabase({ due: [memory()] });
+
+    const results = await coachFollowUpService.processDueFollowUps(NOW);
+
+    expect(results.skipped).toBe(1);
+    expect(finishedWith()[0]).toMatchObject({ status: 'skipped', reason: 'notification_type_disabled' });
+    expect(chatLines()).toHaveLength(0);
+  });
+
+  test('sends one follow-up per user per run and skips memories another run claimed', async () => {
+    mockDatabase({ due: [memory({ id: 'a' }), memory({ id: 'b' })] });
+
+    await coachFollowUpService.processDueFollowUps(NOW);
+    expect(smartNotificationEngine.sendSmartNotification).toHaveBeenCalledTimes(1);
+
+    db.query.mockReset();
+    mockDatabase({ due: [memory()], claim: null });
+    const results = await coachFollowUpService.processDueFollowUps(NOW);
+
+    expect(results).toMatchObject({ due: 1, sent: 0 });
+    expect(smartNotificationEngine.sendSmartNotification).toHaveBeenCalledTimes(1);
+  });
+
+  test('uses a localized template when no model is configured', async () => {
+    llmService.setRoute('coach_followup', { provider: 'nowhere' });
+
+    const message = await coachFollowUpService.writeMessage(memory({ language: 'es', subject: null }));
+
+    llmService.setRoute('coach_followup', null);
+    expect(message).toBe('¿Cómo te fue ayer con tu gran día? Me encantaría saber cómo salió.');
+  });
+
+  test('a reply reporting how it went resolves the followed-up memory', async () => {
+    mockDatabase({ reply: [{ id: 'followup-1', memory_id: 'memory-1' }] });
+
+    const result = await coachFollowUpService.handleReply(USER_ID, 'It went really well, they want a second round!');
+
+    expect(result).toEqual({ followUpId: 'followup-1', memoryId: 'memory-1', resolved: true });
+    const resolveCall = db.query.mock.calls.find(([sql]) => sql.includes('UPDATE user_memories'));
+    expect(resolveCall[1].slice(0, 2)).toEqual(['memory-1', USER_ID]);
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'resolved'"), ['followup-1']);
+  });
+
+  test('a reply without an outcome is recorded but leaves the memory open', async () => {
+    mockDatabase({ reply: [{ id: 'followup-1', memory_id: 'memory-1' }] });
+
+    const result = await coachFollowUpService.handleReply(USER_ID, 'Thanks for asking! Tell me about my week');
+
+    expect(result.resolved).toBe(false);
+    expect(db.query.mock.calls.some(([sql]) => sql.includes('UPDATE user_memories'))).toBe(false);
+  });
+
+  test('messages are not replies when no follow-up is open', async () => {
+    mockDatabase();
+
+    expect(await coachFollowUpService.handleReply(USER_ID, 'I passed the exam')).toBeNull();
+  });
+});
+
+describe('🔔 Smart Notification Engine - coach follow-ups', () => {
+  const engine = jest.requireActual('../src/services/smartNotificationEngine');
+
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stored opt-outs and quiet hours reach the spam rules', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [{
+        enabled: true,
+        timezone: 'Europe/Madrid',
+        disabled_types: ['moon_phase'],
+        coach_followups_enabled: false,
+        daily_horoscope_enabled: true,
+        custom_quiet_hours: { start: 22, end: 8 }
+      }]
+    });
+
+    const preferences = await engine.getUserNotificationPreferences(USER_ID);
+
+    expect(preferences.disabledTypes).toEqual(['moon_phase', 'coach_followup']);
+    expect(preferences.customQuietHours).toEqual({ start: 22, end: 8 });
+
+    jest.spyOn(engine, 'getUserNotificationPreferences').mockResolvedValue(preferences);
+    const decision = await engine.shouldSendNotification(USER_ID, engine.notificationTypes.COACH_FOLLOWUP);
+    expect(decision).toEqual({ allowed: false, reason: 'notification_type_disabled' });
+  });
+
+  test('delivers pre-written content with a deep link to the coach session', async () => {
+    jest.spyOn(engine, 'shouldSendNotification').mockResolvedValue({ allowed: true });
+    jest.spyOn(engine, 'getUserProfile').mockResolvedValue({});
+    jest.spyOn(engine, 'getUserBehaviorPatterns').mockResolvedValue({});
+    jest.spyOn(engine, 'trackNotificationEvent').mockResolvedValue();
+    const generate = jest.spyOn(engine, 'generatePersonalizedNotification');
+    const deliver = jest.spyOn(engine, 'deliverNotification').mockResolvedValue({ success: true, notificationId: 7 });
+
+    const result = await engine.sendSmartNotification(
+      USER_ID,
+      'COACH_FOLLOWUP',
+      { followUpId: 'followup-1', sessionId: SESSION_ID },
+      { sendImmediately: true, content: { title: 'Stella', body: 'How did it go?' } }
+    );
+
+    expect(result).toMatchObject({ success: true, notificationId: 7 });
+    expect(generate).not.toHaveBeenCalled();
+
+    const [, notification] = deliver.mock.calls[0];
+    expect(notification).toMatchObject({
+      title: 'Stella',
+      body: 'How did it go?',
+      data: { type: 'coach_followup', generated: 'provided', followUpId: 'followup-1', sessionId: SESSION_ID },
+      actions: [{ id: 'reply_coach', title: 'Reply', deepLink: `cosmiccoach://coach/${SESSION_ID}` }]
+    });
+  });
+});
@@ -0,0 +1,335 @@
+/**
+ * 🧪 AI COACH TOOLS TESTS
+ *
+ * Function calling from the AI Coach: tool definitions, argument
+ * validation, the cards each tool returns, the audit trail and the tool
+ * loop in sendMessage (plain and streamed) on the fixture provider.
+ *
+ * Run: npm test tests/coachTools.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../src/services/redisService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn().mockResolvedValue('OK')
+}));
+
+const db = require('../src/config/db');
+const coachToolsService = require('../src/services/coachToolsService');
+const aiCoachService = require('../src/services/aiCoachService');
+const llmService = require('../src/services/llmService');
+const goalPlannerService = require('../src/services/goalPlannerService');
+const astrologicalTimingService = require('../src/services/astrologicalTimingService');
+const streakService = require('../src/services/streakService');
+const retroactivePredictionService = require('../src/services/retroactivePredictionService');
+const localContextService = require('../src/services/localContextService');
+const memoryService = require('../src/services/memoryService');
+const coachFollowUpService = require('../src/services/coachFollowUpService');
+
+const SESSION_ID = '0f7c2b5e-3c1d-4a8e-9b6f-2d4e6a8c0b1d';
+const CONTEXT = { userId: 'user-1', sessionId: SESSION_ID, zodiacSign: 'Leo', language: 'es', timezone: 'America/Mexico_City' };
+
+const call = (name, args = {}, id = `call_${name}`) => ({
+  id,
+  type: 'function',
+  function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+});
+
+const audits = () => db.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO coach_tool_invocations'))
+  .map(([, params]) => ({ tool: params[3], args: JSON.parse(params[4]), status: params[5], error: params[7] }));
+
+describe('🧰 Coach Tools', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('describes every tool in the OpenAI tools format', () => {
+    const definitions = coachToolsService.definitions();
+
+    expect(definitions.map(tool => tool.function.name)).toEqual([
+      'get_chart_and_transits',
+      'check_compatibility',
+      'create_goal',
+      'find_best_days',
+      'record_streak_checkin'
+    ]);
+    definitions.forEach(tool => {
+      expect(tool.type).toBe('function');
+      expect(tool.function.parameters.type).toBe('object');
+    });
+  });
+
+  describe('execute', () => {
+    test('returns a card and a tool message, and audits the call', async () => {
+      const result = await coachToolsService.execute(call('check_compatibility', { sign: 'scorpio' }), { ...CONTEXT });
+
+      expect(result).toMatchObject({ toolCallId: 'call_check_compatibility', status: 'success' });
+      expect(result.card).toMatchObject({
+        type: 'compatibility',
+        data: { userSign: 'leo', otherSign: 'scorpio', relationType: 'romantic', elements: { user: 'fire', other: 'water' } }
+      });
+      expect(result.message).toEqual({
+        role: 'tool',
+        tool_call_id: 'call_check_compatibility',
+        content: JSON.stringify(result.card.data)
+      });
+      expect(audits()).toEqual([{ tool: 'check_compatibility', args: { sign: 'scorpio' }, status: 'success', error: null }]);
+    });
+
+    test.each([
+      [call('read_diary'), 'Unknown tool: read_diary'],
+      [call('check_compatibility', '{sign'), 'Arguments are not valid JSON'],
+      [call('check_compatibility', {}), 'Missing argument: sign'],
+      [call('check_compatibility', { sign: 'ophiuchus' }), 'sign must be one of'],
+      [call('find_best_days', { activityType: 'job_interview', mood: 'happy' }), 'Unknown argument: mood']
+    ])('rejects invalid calls and tells the model why (%#)', async (toolCall, reason) => {
+      const result = await coachToolsService.execute(toolCall, { ...CONTEXT });
+
+      expect(result.status).toBe('rejected');
+      expect(result.card).toBeNull();
+      expect(JSON.parse(result.message.content).error).toContain(reason);
+      expect(audits()[0]).toMatchObject({ status: 'rejected' });
+    });
+
+    test('reports failures without throwing', async () => {
+      jest.spyOn(streakService, 'checkIn').mockRejectedValue(new Error('connection lost'));
+
+      const result = await coachToolsService.execute(call('record_streak_checkin'), { ...CONTEXT });
+
+      expect(result.status).toBe('error');
+      expect(JSON.parse(result.message.content).error).toContain('unavailable');
+      expect(audits()[0]).toMatchObject({ status: 'error', error: 'connection lost' });
+    });
+
+    test('caps the tool calls of a reply', async () => {
+      const context = { ...CONTEXT };
+      const calls = Array.from({ length: 5 }, (value, index) => call('check_compatibility', { sign: 'aries' }, `call_${index}`));
+
+      const results = await coachToolsService.executeAll(calls, context);
+
+      expect(results.map(result => result.status)).toEqual(['success', 'success', 'success', 'success', 'rejected']);
+      expect(context.invocations).toHaveLength(5);
+      expect(audits()).toHaveLength(5);
+    });
+
+    test('still answers when the audit cannot be written', async () => {
+      db.query.mockRejectedValue(new Error('connection lost'));
+
+      const result = await coachToolsService.execute(call('check_compatibility', { sign: 'aries' }), { ...CONTEXT });
+      expect(result.status).toBe('success');
+    });
+  });
+
+  describe('tools', () => {
+    test('casts the natal chart and aspects today\'s transits to it', async () => {
+      jest.spyOn(astrologicalTimingService, 'getUserBirthData').mockResolvedValue({
+        birth_date: '1990-08-15',
+        birth_time: '14:30',
+        latitude: 19.43,
+        longitude: -99.13,
+        timezone: 'America/Mexico_City'
+      });
+
+      const { card } = await coachToolsService.execute(call('get_chart_and_transits'), { ...CONTEXT });
+
+      expect(card.type).toBe('chart_transits');
+      expect(card.data).toMatchObject({ hasBirthChart: true, sunSign: 'leo' });
+      expect(card.data.natal).toHaveLength(10);
+      expect(card.data.transits).toHaveLength(10);
+      expect(card.data.aspects.length).toBeLessThanOrEqual(coachToolsService.settings.maxTransitAspects);
+      card.data.aspects.forEach(aspect => expect(aspect.orb).toBeLessThanOrEqual(coachToolsService.settings.transitOrb));
+    });
+
+    test('falls back to transits and the sun sign without birth data', async () => {
+      jest.spyOn(astrologicalTimingService, 'getUserBirthData').mockResolvedValue(null);
+
+      const { card } = await coachToolsService.execute(call('get_chart_and_transits'), { ...CONTEXT, zodiacSign: 'Escorpio' });
+
+      expect(card.data).toMatchObject({ hasBirthChart: false, sunSign: 'scorpio', natal: [], aspects: [] });
+      expect(card.data.transits).toHaveLength(10);
+    });
+
+    test('creates goals through the goal planner in the user language', async () => {
+      const generateGoals = jest.spyOn(goalPlannerService, 'generateGoals').mockResolvedValue({
+        success: true,
+        goalId: 'goal-1',
+        goal: {
+          mainGoal: { title: 'Correr 5 km' },
+          weeklyFocus: { keyActions: ['Salir a correr el martes'] },
+          microHabits: [{ habit: 'Estirar 5 minutos' }],
+          motivationalMessage: '¡Tú puedes, Leo!'
+        }
+      });
+
+      const { card } = await coachToolsService.execute(
+        call('create_goal', { objective: 'Correr 5 km', focusArea: 'wellness' }),
+        { ...CONTEXT }
+      );
+
+      expect(generateGoals).toHaveBeenCalledWith(expect.objectContaining({
+        userId: 'user-1',
+        zodiacSign: 'leo',
+        objective: 'Correr 5 km',
+        focusArea: 'wellness',
+        timeframe: 'monthly',
+        languageCode: 'es'
+      }));
+      expect(card).toEqual({
+        type: 'goal',
+        data: {
+          goalId: 'goal-1',
+          title: 'Correr 5 km',
+          focusArea: 'wellness',
+          timeframe: 'monthly',
+          keyActions: ['Salir a correr el martes'],
+          microHabits: ['Estirar 5 minutos'],
+          motivationalMessage: '¡Tú puedes, Leo!'
+        }
+      });
+    });
+
+    test('finds best days in the user timezone', async () => {
+      const getBestDays = jest.spyOn(astrologicalTimingService, 'getBestDays');
+
+      const { card } = await coachToolsService.execute(
+        call('find_best_days', { activityType: 'job_interview', startDate: '2026-11-01', endDate: '2026-11-20' }),
+        { ...CONTEXT }
+      );
+
+      expect(getBestDays).toHaveBeenCalledWith('job_interview', {
+        dateRange: { start: '2026-11-01', end: '2026-11-20' },
+        timezone: 'America/Mexico_City',
+        limit: 3
+      });
+      expect(card.type).toBe('best_days');
+      expect(card.data.days).toHaveLength(3);
+      card.data.days.forEach(day => expect(day.date >= '2026-11-01' && day.date <= '2026-11-20').toBe(true));
+
+      const backwards = await coachToolsService.execute(
+        call('find_best_days', { activityType: 'job_interview', startDate: '2026-11-20', endDate: '2026-11-01' }),
+        { ...CONTEXT }
+      );
+      expect(backwards.status).toBe('rejected');
+    });
+
+    test('bounds best-day searches that only give an end date', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-19T03:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] }); // Oct 18 in Mexico City
+      const getBestDays = jest.spyOn(astrologicalTimingService, 'getBestDays').mockResolvedValue({
+        activityType: 'job_interview', timezone: 'America/Mexico_City', dateRange: {}, bestDays: []
+      });
+
+      try {
+        await coachToolsService.execute(call('find_best_days', { activityType: 'job_interview', endDate: '2099-12-31' }), { ...CONTEXT });
+        await coachToolsService.execute(call('find_best_days', { activityType: 'job_interview' }), { ...CONTEXT });
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(getBestDays.mock.calls[0][1].dateRange).toEqual({ start: '2026-10-18', end: '2027-01-16' });
+      expect(getBestDays.mock.calls[1][1].dateRange).toEqual({ start: '2026-10-18', end: '2026-11-17' });
+    });
+
+    test('records the streak check-in', async () => {
+      const checkIn = jest.spyOn(streakService, 'checkIn').mockResolvedValue({
+        success: true,
+        current_streak: 4,
+        longest_streak: 9,
+        cosmic_points_earned: 10,
+        total_cosmic_points: 120,
+        milestone: null,
+        local_date: '2026-10-18'
+      });
+
+      const { card } = await coachToolsService.execute(call('record_streak_checkin'), { ...CONTEXT, tier: 'stellar' });
+
+      expect(checkIn).toHaveBeenCalledWith('user-1', 'es', expect.objectContaining({ timezone: 'America/Mexico_City', tier: 'stellar' }));
+      expect(card.data).toMatchObject({ currentStreak: 4, alreadyCheckedIn: false, pointsEarned: 10 });
+    });
+  });
+
+  describe('sendMessage', () => {
+    let store;
+
+    beforeEach(() => {
+      // Ask for a tool first, answer once the tool result is in
+      llmService.setFixture('coach', (params) => (params.messages.some(message => message.role === 'tool')
+        ? 'Leo y Escorpio: pasión con retos.'
+        : { tool_calls: [{ name: 'check_compatibility', arguments: { sign: 'scorpio' } }] }));
+
+      const session = { session_id: SESSION_ID, user_id: 'user-1', ai_coach_persona: 'general', zodiac_sign: 'Leo', conversation_context: {} };
+      jest.spyOn(aiCoachService, '_getAndValidateSession').mockResolvedValue({ success: true, data: session });
+      jest.spyOn(aiCoachService, '_validatePremiumAccess').mockResolvedValue({ hasAccess: true, isPremium: true, tier: 'stellar' });
+      jest.spyOn(aiCoachService, '_checkDailyUsage').mockResolvedValue({ allowed: true, limit: 100, used: 1 });
+      jest.spyOn(aiCoachService, '_getDailyHoroscope').mockResolvedValue(null);
+      jest.spyOn(aiCoachService, '_buildAstrologicalPrompt').mockResolvedValue('You are Stella.');
+      jest.spyOn(aiCoachService, '_checkMonthlyLimits').mockResolvedValue({ allowed: true });
+      jest.spyOn(aiCoachService, '_incrementMonthlyUsage').mockResolvedValue();
+      jest.spyOn(aiCoachService, '_decrementBalance').mockResolvedValue();
+      jest.spyOn(aiCoachService, '_updateConversationContext').mockResolvedValue(null);
+      jest.spyOn(aiCoachService, '_updateUsageStats').mockResolvedValue();
+      jest.spyOn(aiCoachService, '_getSessionMessageCount').mockResolvedValue(2);
+      store = jest.spyOn(aiCoachService, '_storeMessage').mockResolvedValue(1);
+      jest.spyOn(localContextService, 'getLocalContext').mockResolvedValue({});
+      jest.spyOn(localContextService, 'buildContextPrompt').mockReturnValue('');
+      jest.spyOn(localContextService, 'getContextSummary').mockReturnValue('');
+      jest.spyOn(retroactivePredictionService, 'detectsPredictionFeedback').mockReturnValue(false);
+      jest.spyOn(retroactivePredictionService, 'extractPredictions').mockResolvedValue();
+      jest.spyOn(streakService, 'checkIn').mockResolvedValue({ success: true });
+      jest.spyOn(memoryService, 'getRelevantMemories').mockResolvedValue(null);
+      jest.spyOn(memoryService, 'detectAndResolve').mockResolvedValue();
+      jest.spyOn(memoryService, 'extractAndStoreMemories').mockResolvedValue(0);
+      jest.spyOn(coachFollowUpService, 'handleReply').mockResolvedValue(null);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      llmService.clearFixtures();
+    });
+
+    test('runs the requested tool and returns its card with the reply', async () => {
+      const chat = jest.spyOn(llmService, 'chat');
+
+      const result = await aiCoachService.sendMessage(SESSION_ID, '¿Soy compatible con un Escorpio?', 'user-1', { language: 'es' });
+
+      expect(result.success).toBe(true);
+      expect(result.response.content).toBe('Leo y Escorpio: pasión con retos.');
+      expect(result.response.cards).toEqual([expect.objectContaining({ type: 'compatibility' })]);
+
+      expect(chat).toHaveBeenCalledTimes(2);
+      const [first, second] = chat.mock.calls.map(([, params]) => params);
+      expect(first.tools).toHaveLength(5);
+      expect(second.messages.slice(-2).map(message => message.role)).toEqual(['assistant', 'tool']);
+
+      expect(audits()).toEqual([expect.objectContaining({ tool: 'check_compatibility', status: 'success' })]);
+      const metadata = store.mock.calls.find(([, type]) => type === 'ai')[3];
+      expect(metadata.cards).toEqual(result.response.cards);
+      expect(metadata.tokensUsed).toBeGreaterThan(0);
+    });
+
+    test('collects tool calls from a stream', async () => {
+      const tokens = [];
+
+      const result = await aiCoachService.sendMessage(SESSION_ID, '¿Soy compatible con un Escorpio?', 'user-1', {
+        language: 'es',
+        onToken: token => tokens.push(token)
+      });
+
+      expect(tokens.join('')).toBe('Leo y Escorpio: pasión con retos.');
+      expect(result.response.cards[0].data.otherSign).toBe('scorpio');
+    });
+
+    test('offers no tools when self-harm comes up', async () => {
+      const chat = jest.spyOn(llmService, 'chat');
+
+      await aiCoachService.sendMessage(SESSION_ID, 'My sister attempted suicide last year', 'user-1', {});
+
+      expect(chat.mock.calls[0][1].tools).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * 🧪 COMPATIBILITY ENGINE - SYNASTRY UNIT TESTS
+ *
+ * Covers cross-chart aspects, house overlays, the weighted synastry score,
+ * the indicator lists derived from them and the composite / Davison charts.
+ *
+ * Run: npm test tests/compatibilityEngine.test.js
+ */
+
+const compatibilityEngine = require('../src/services/compatibilityEngine');
+const ephemerisService = require('../src/services/ephemerisService');
+
+const EQUAL_HOUSES = Array.from({ length: 12 }, (_, i) => i * 30);
+
+const chartWith = (planets, houses = EQUAL_HOUSES) => ({
+  planets: Object.fromEntries(Object.entries(planets).map(([name, longitude]) => [name, { longitude }])),
+  houses
+});
+
+const USER1 = {
+  userId: 'user-1',
+  sunSign: 'gemini',
+  birthDate: '1990-06-15',
+  birthTime: '14:30',
+  birthLocation: { latitude: 40.4, longitude: -3.7, timezone: 'Europe/Madrid' }
+};
+
+const USER2 = {
+  userId: 'user-2',
+  sunSign: 'libra',
+  birthData: { date: '1992-10-03', time: '08:05', latitude: 48.85, longitude: 2.35, timezone: 'Europe/Paris' }
+};
+
+describe('💞 Compatibility Engine synastry', () => {
+
+  describe('Inter-aspects', () => {
+
+    test('should find aspects across charts with orbs', () => {
+      const aspects = compatibilityEngine.calculateInterAspects(
+        chartWith({ sun: 10 }),
+        chartWith({ moon: 12, venus: 132 })
+      );
+
+      expect(aspects).toHaveLength(2);
+      expect(aspects[0]).toMatchObject({ planet1: 'sun', planet2: 'moon', aspect: 'conjunction', orb: 2, nature: 'harmonious' });
+      expect(aspects[1]).toMatchObject({ planet1: 'sun', planet2: 'venus', aspect: 'trine', orb: 2 });
+    });
+
+    test('should skip aspects between generational planets', () => {
+      const aspects = compatibilityEngine.calculateInterAspects(
+        chartWith({ pluto: 200, sun: 200 }),
+        chartWith({ neptune: 200 })
+      );
+
+      expect(aspects.map(a => a.planet1)).toEqual(['sun']);
+    });
+
+    test('should treat Saturn conjunctions as intense', () => {
+      const [aspect] = compatibilityEngine.calculateInterAspects(chartWith({ venus: 50 }), chartWith({ saturn: 51 }));
+      expect(aspect.nature).toBe('intense');
+    });
+  });
+
+  describe('House overlays', () => {
+
+    test('should place each person\'s planets in the other\'s houses', () => {
+      const overlays = compatibilityEngine.analyzeHouseOverlays(
+        chartWith({ venus: 185, mars: 20 }),
+        chartWith({ sun: 95 })
+      );
+
+      expect(overlays.user1InUser2Houses).toEqual({ venus: 7, mars: 1 });
+      expect(overlays.user2InUser1Houses).toEqual({ sun: 4 });
+      expect(overlays.highlights).toEqual([
+        expect.objectContaining({ guest: 'user1', host: 'user2', house: 1, planets: ['mars'] }),
+        expect.objectContaining({ guest: 'user1', host: 'user2', house: 7, planets: ['venus'] })
+      ]);
+    });
+  });
+
+  describe('Synastry score', () => {
+
+    test('should score harmonious charts above challenging ones', () => {
+      const harmonious = compatibilityEngine.calculateInterAspects(
+        chartWith({ sun: 0, venus: 60 }),
+        chartWith({ moon: 120, mars: 60 })
+      );
+      const challenging = compatibilityEngine.calculateInterAspects(
+        chartWith({ sun: 0, venus: 60 }),
+        chartWith({ moon: 90, mars: 150 })
+      );
+
+      const empty = { highlights: [] };
+      expect(compatibilityEngine.calculateSynastryScore(harmonious, empty)).toBeGreaterThan(75);
+      expect(compatibilityEngine.calculateSynastryScore(challenging, empty)).toBeLessThan(40);
+      expect(compatibilityEngine.calculateSynastryScore([], empty)).toBe(50);
+    });
+
+    test('should add a bonus for personal planets in relationship houses', () => {
+      const highlights = [{ house: 7, planets: ['venus'] }];
+      expect(compatibilityEngine.calculateSynastryScore([], { highlights })).toBe(52);
+    });
+  });
+
+  describe('Indicators', () => {
+
+    test('should report Sun-Moon and Venus-Mars soul mate indicators', () => {
+      const aspects = compatibilityEngine.calculateInterAspects(
+        chartWith({ sun: 10, venus: 200 }),
+        chartWith({ moon: 190, mars: 202 })
+      );
+      const indicators = compatibilityEngine.checkSoulMateIndicators(aspects, { highlights: [] });
+
+      expect(indicators.map(i => i.indicator)).toEqual(['Sun-Moon union', 'Venus-Mars attraction']);
+    });
+
+    test('should list key connections and challenges from real aspects', () => {
+      const aspects = compatibilityEngine.calculateInterAspects(
+        chartWith({ sun: 10, mars: 100 }),
+        chartWith({ moon: 130, venus: 10 })
+      );
+
+      expect(compatibilityEngine.identifyKeyConnections(aspects).map(c => `${c.planet1}-${c.planet2}`))
+        .toEqual(['sun-moon', 'sun-venus']);
+      expect(compatibilityEngine.identifyChallengingAspects(aspects).map(c => `${c.planet1}-${c.planet2}`))
+        .toEqual(['mars-venus']);
+    });
+  });
+
+  describe('Birth charts', () => {
+
+    test('should accept nested and top-level birth data', () => {
+      expect(compatibilityEngine.getBirthData(USER1)).toMatchObject({ date: '1990-06-15', time: '14:30', latitude: 40.4 });
+      expect(compatibilityEngine.getBirthData(USER2)).toMatchObject({ timezone: 'Europe/Paris', longitude: 2.35 });
+      expect(compatibilityEngine.hasBirthData({ sunSign: 'leo', birthDate: '1990-01-01' })).toBe(false);
+    });
+
+    test('should analyze synastry from both birth charts', async () => {
+      const analysis = await compatibilityEngine.analyzeBirthChartSynastry(USER1, USER2);
+
+      expect(analysis).not.toBeNull();
+      expect(analysis.interAspects.length).toBeGreaterThan(0);
+      expect(analysis.synastryScore).toBeGreaterThanOrEqual(0);
+      expect(analysis.synastryScore).toBeLessThanOrEqual(100);
+      expect(Object.keys(analysis.houseOverlays.user1InUser2Houses)).toContain('sun');
+    });
+  });
+
+  describe('Relationship charts', () => {
+
+    test('should take the nearer midpoint across 0° Aries', () => {
+      expect(compatibilityEngine.midpoint(350, 10)).toBeCloseTo(0, 6);
+      expect(compatibilityEngine.midpoint(10, 350)).toBeCloseTo(0, 6);
+      expect(compatibilityEngine.midpoint(100, 200)).toBeCloseTo(150, 6);
+    });
+
+    test('composite chart should use planet and MC midpoints', async () => {
+      const chart1 = await compatibilityEngine.calculateBirthChart(USER1);
+      const chart2 = await compatibilityEngine.calculateBirthChart(USER2);
+      const composite = compatibilityEngine.calculateCompositeChart(chart1, chart2);
+
+      expect(composite.planets.sun.longitude)
+        .toBeCloseTo(compatibilityEngine.midpoint(chart1.planets.sun.longitude, chart2.planets.sun.longitude), 6);
+      expect(composite.angles.midheaven).toBeCloseTo(compatibilityEngine.midpoint(chart1.midheaven, chart2.midheaven), 6);
+      expect(composite.houses).toHaveLength(12);
+      expect(composite.planets.moon.house).toBe(ephemerisService.assignHouse(composite.planets.moon.longitude, composite.houses));
+    });
+
+    test('Davison chart should be cast for the midpoint in time and space', async () => {
+      const chart1 = await compatibilityEngine.calculateBirthChart(USER1);
+      const chart2 = await compatibilityEngine.calculateBirthChart(USER2);
+      const davison = compatibilityEngine.calculateDavisonChart(chart1, chart2);
+      const julianDay = (chart1.julianDay + chart2.julianDay) / 2;
+
+      expect(davison.location).toEqual({ latitude: 44.625, longitude: -0.675 });
+      expect(ephemerisService.julianDay(davison.dateTime)).toBeCloseTo(julianDay, 4);
+      expect(davison.planets.sun.longitude).toBeCloseTo(ephemerisService.calculateBody('sun', julianDay).longitude, 6);
+    });
+
+    test('should return both charts with aspects and interpretation', async () => {
+      const charts = await compatibilityEngine.calculateRelationshipCharts(USER1, USER2, { houseSystem: 'whole_sign' });
+
+      for (const chart of [charts.composite, charts.davison]) {
+        expect(chart.houseSystem).toBe('whole_sign');
+        expect(chart.aspects.length).toBeGreaterThan(0);
+        expect(chart.interpretation[0]).toEqual(expect.objectContaining({ title: expect.any(String), text: expect.any(String) }));
+      }
+      expect(Object.keys(await compatibilityEngine.calculateRelationshipCharts(USER1, USER2, { chartType: 'davison' })))
+        .toEqual(['davison']);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * 🧪 CONVERSATION SUMMARY TESTS
+ *
+ * Token counting, rolling summaries of long AI Coach sessions (including
+ * turns added while the summary is written), closing summaries of previous
+ * sessions and the prompt section built from them.
+ *
+ * Run: npm test tests/conversationSummary.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+
+const db = require('../src/config/db');
+const llmService = require('../src/services/llmService');
+const conversationSummaryService = require('../src/services/conversationSummaryService');
+const { countTokens, countMessageTokens, truncateToTokens, encodingName } = require('../src/utils/tokenizer');
+
+const SESSION_ID = '22222222-2222-2222-2222-222222222222';
+
+const turns = (count, text = 'I keep thinking about the job offer in Lisbon and what my partner said') =>
+  Array.from({ length: count }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `${text} (${i})`
+  }));
+
+describe('🔢 Tokenizer', () => {
+  test('counts tokens with the model encoding', () => {
+    expect(countTokens('Hello world', 'gpt-4o')).toBe(2);
+    expect(countTokens('Hello world', 'gpt-4')).toBe(2);
+    expect(countTokens('')).toBe(0);
+    expect(encodingName('gpt-4o-mini')).toBe('o200k_base');
+    expect(encodingName('gpt-3.5-turbo')).toBe('cl100k_base');
+    expect(encodingName('claude-sonnet-4-5')).toBe('o200k_base');
+  });
+
+  test('counts chat framing and special-token text as plain text', () => {
+    const messages = [{ role: 'system', content: 'Be kind' }, { role: 'user', content: 'Hi' }];
+    expect(countMessageTokens(messages, 'gpt-4o')).toBe(3 + (3 + 2) + (3 + 1));
+    expect(countTokens('<|endoftext|>', 'gpt-4o')).toBeGreaterThan(1);
+  });
+
+  test('truncates to a token limit', () => {
+    const text = 'The Moon enters Scorpio tonight and stays there until Thursday';
+    const cut = truncateToTokens(text, 4, 'gpt-4o');
+    expect(countTokens(cut, 'gpt-4o')).toBe(4);
+    expect(text.startsWith(cut)).toBe(true);
+    expect(truncateToTokens('Short', 10)).toBe('Short');
+  });
+});
+
+describe('📜 Conversation Summary Service', () => {
+  const settings = { ...conversationSummaryService.settings };
+  let client;
+
+  beforeEach(() => {
+    db.query.mockReset();
+    client = { query: jest.fn(async () => ({ rows: [] })), release: jest.fn() };
+    db.connect.mockReset();
+    db.connect.mockResolvedValue(client);
+    llmService.clearFixtures();
+    Object.assign(conversationSummaryService.settings, settings, {
+      historyTokenBudget: 200,
+      recentTokenBudget: 80
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(conversationSummaryService.settings, settings);
+    llmService.clearFixtures();
+  });
+
+  describe('history budget', () => {
+    test('compacts only over the token budget', () => {
+      expect(conversationSummaryService.needsCompaction({ messageHistory: turns(2) })).toBe(false);
+      expect(conversationSummaryService.needsCompaction({ messageHistory: turns(12) })).toBe(true);
+      expect(conversationSummaryService.needsCompaction({})).toBe(false);
+    });
+
+    test('keeps a recent tail that starts with the user', () => {
+      const history = turns(12);
+      const { older, recent } = conversationSummaryService.splitHistory(history);
+
+      expect([...older, ...recent]).toEqual(history);
+      expect(recent[0].role).toBe('user');
+      expect(recent.length).toBeGreaterThanOrEqual(2);
+      expect(conversationSummaryService.historyTokens(recent)).toBeLessThanOrEqual(80);
+    });
+
+    test('always keeps the last exchange, however long', () => {
+      const history = [...turns(2), ...turns(2, 'word '.repeat(200))];
+      const { older, recent } = conversationSummaryService.splitHistory(history);
+
+      expect(older).toHaveLength(2);
+      expect(recent).toEqual(history.slice(2));
+    });
+
+    test('sends the newest turns that fit the budget to the prompt', () => {
+      const history = turns(12);
+      const recent = conversationSummaryService.recentHistory(history);
+
+      expect(recent).toEqual(history.slice(-recent.length));
+      expect(recent.length).toBeLessThan(12);
+      expect(conversationSummaryService.historyTokens(recent)).toBeLessThanOrEqual(200);
+    });
+  });
+
+  describe('rolling summary', () => {
+    const mockSession = (history, extra = {}) => {
+      db.query.mockResolvedValue({
+        rows: [{ conversation_context: { messageHistory: history }, summary: 'Earlier: the user mentioned a move.', language_code: 'es', ...extra }]
+      });
+    };
+
+    test('condenses older turns into the session summary', async () => {
+      const history = turns(12);
+      mockSession(history);
+      client.query.mockImplementation(async (sql) => (
+        sql.includes('FOR UPDATE') ? { rows: [{ conversation_context: { messageHistory: history } }] } : { rows: [] }
+      ));
+      const chat = jest.spyOn(llmService, 'chat');
+      llmService.setFixture('coach_summary', ' The user is weighing a job offer in Lisbon. ');
+
+      const result = await conversationSummaryService.compactSession(SESSION_ID);
+
+      const request = chat.mock.calls[0][1];
+      chat.mockRestore();
+      expect(request.messages[0].content).toContain('written in Spanish');
+      expect(JSON.parse(request.messages[1].content).previous_summary).toBe('Earlier: the user mentioned a move.');
+
+      const { older, recent } = conversationSummaryService.splitHistory(history);
+      expect(result.summary).toBe('The user is weighing a job offer in Lisbon.');
+      expect(result.summarizedMessages).toBe(older.length);
+      expect(result.context.messageHistory).toEqual(recent);
+
+      const [sql, params] = client.query.mock.calls.find(([text]) => text.includes('UPDATE chat_sessions'));
+      expect(sql).toContain('summarized_messages = summarized_messages + $4');
+      expect(JSON.parse(params[1]).messageHistory).toEqual(recent);
+      expect(params.slice(2)).toEqual(['The user is weighing a job offer in Lisbon.', older.length]);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('keeps turns added while the summary was written', async () => {
+      const history = turns(12);
+      const newer = [...history, { role: 'user', content: 'One more thing' }];
+      mockSession(history);
+      client.query.mockImplementation(async (sql) => (
+        sql.includes('FOR UPDATE') ? { rows: [{ conversation_context: { messageHistory: newer } }] } : { rows: [] }
+      ));
+      llmService.setFixture('coach_summary', 'Summary');
+
+      const result = await conversationSummaryService.compactSession(SESSION_ID);
+
+      expect(result.context.messageHistory[result.context.messageHistory.length - 1].content).toBe('One more thing');
+    });
+
+    test('leaves the history alone if another compaction got there first', async () => {
+      const history = turns(12);
+      mockSession(history);
+      client.query.mockImplementation(async (sql) => (
+        sql.includes('FOR UPDATE') ? { rows: [{ conversation_context: { messageHistory: history.slice(6) } }] } : { rows: [] }
+      ));
+      llmService.setFixture('coach_summary', 'Summary');
+
+      expect(await conversationSummaryService.compactSession(SESSION_ID)).toBeNull();
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('UPDATE chat_sessions'))).toBe(false);
+    });
+
+    test('keeps older turns when the summary call fails', async () => {
+      mockSession(turns(12));
+      const chat = jest.spyOn(llmService, 'chat').mockRejectedValue(new Error('upstream timeout'));
+
+      try {
+        expect(await conversationSummaryService.compactSession(SESSION_ID)).toBeNull();
+        expect(chat).toHaveBeenCalledTimes(1);
+        expect(db.connect).not.toHaveBeenCalled();
+      } finally {
+        chat.mockRestore();
+      }
+    });
+
+    test('keeps older turns when no model is available', async () => {
+      mockSession(turns(12), { summary: null });
+      llmService.setRoute('coach_summary', { provider: 'nowhere' });
+
+      try {
+        expect(await conversationSummaryService.compactSession(SESSION_ID)).toBeNull();
+        expect(db.connect).not.toHaveBeenCalled();
+      } finally {
+        llmService.setRoute('coach_summary', null);
+      }
+    });
+
+    test('does nothing under the budget', async () => {
+      mockSession(turns(2));
+
+      expect(await conversationSummaryService.compactSession(SESSION_ID)).toBeNull();
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('previous conversations', () => {
+    const session = (overrides) => ({
+      session_id: SESSION_ID,
+      ai_coach_persona: 'career',
+      language_code: 'en',
+      last_activity: new Date('2026-10-17T20:00:00Z'),
+      conversation_context: { messageHistory: turns(6) },
+      summary: null,
+      closing_summary: null,
+      closing_summary_at: null,
+      ...overrides
+    });
+
+    test('summarizes the last session and returns the latest closing summaries', async () => {
+      db.query.mockImplementation(async (sql) => (
+        sql.includes('SELECT') ? {
+          rows: [
+            session(),
+            session({ session_id: 'older', last_activity: new Date('2026-10-10T20:00:00Z'), closing_summary: 'They asked about Saturn return.', closing_summary_at: new Date('2026-10-11T00:00:00Z') })
+          ]
+        } : { rows: [] }
+      ));
+      llmService.setFixture('coach_summary', 'They are deciding on the Lisbon offer.');
+
+      const previous = await conversationSummaryService.getPreviousConversations('user-1');
+
+      expect(previous).toEqual([
+        { sessionId: SESSION_ID, date: '2026-10-17', persona: 'career', summary: 'They are deciding on the Lisbon offer.' },
+        { sessionId: 'older', date: '2026-10-10', persona: 'career', summary: 'They asked about Saturn return.' }
+      ]);
+      const update = db.query.mock.calls.find(([sql]) => sql.includes('SET closing_summary'));
+      expect(update[1]).toEqual([SESSION_ID, 'They are deciding on the Lisbon offer.']);
+    });
+
+    test('reuses a closing summary unless the session was resumed', async () => {
+      const chat = jest.spyOn(llmService, 'chat');
+      db.query.mockResolvedValue({
+        rows: [session({ closing_summary: 'Stored', closing_summary_at: new Date('2026-10-18T00:00:00Z') })]
+      });
+
+      const previous = await conversationSummaryService.getPreviousConversations('user-1');
+
+      expect(chat).not.toHaveBeenCalled();
+      chat.mockRestore();
+      expect(previous.map(p => p.summary)).toEqual(['Stored']);
+    });
+
+    test('skips short sessions and survives database errors', async () => {
+      db.query.mockResolvedValue({ rows: [session({ conversation_context: { messageHistory: turns(2) } })] });
+      expect(await conversationSummaryService.getPreviousConversations('user-1')).toEqual([]);
+
+      db.query.mockRejectedValue(new Error('connection lost'));
+      expect(await conversationSummaryService.getPreviousConversations('user-1')).toEqual([]);
+    });
+  });
+
+  test('builds the prompt section', () => {
+    expect(conversationSummaryService.buildPromptSection(null, [])).toBe('');
+
+    const section = conversationSummaryService.buildPromptSection('They are weighing the Lisbon offer.', [
+      { date: '2026-10-10', summary: 'They asked about Saturn return.' }
+    ]);
+    expect(section).toContain('PREVIOUS CONVERSATIONS');
+    expect(section).toContain('[2026-10-10] They asked about Saturn return.');
+    expect(section.indexOf('EARLIER IN THIS CONVERSATION')).toBeGreaterThan(section.indexOf('PREVIOUS CONVERSATIONS'));
+    expect(section).toContain('They are weighing the Lisbon offer.');
+  });
+});
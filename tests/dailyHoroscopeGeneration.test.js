@@ -0,0 +1,233 @@
+/**
+ * 🧪 DAILY HOROSCOPE GENERATION - ROLLING DATES AND ON-DEMAND BACKFILL
+ *
+ * The clock is fixed at 2026-10-18 04:00 UTC: still October 17 in
+ * UTC-12, and October 19 starts in UTC+14 within the six hour lead.
+ * Covers which dates the hourly job fills in, the locked on-demand
+ * generation and the local-date resolution of getDailyHoroscope.
+ *
+ * Run: npm test tests/dailyHoroscopeGeneration.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/services/redisService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn().mockResolvedValue('OK'),
+  acquireLock: jest.fn(),
+  releaseLock: jest.fn().mockResolvedValue(true)
+}));
+
+const db = require('../src/config/db');
+const redisService = require('../src/services/redisService');
+const horoscopeGenerator = require('../src/services/horoscopeGenerator');
+const horoscopeQualityService = require('../src/services/horoscopeQualityService');
+const coachingController = require('../src/controllers/coachingController');
+
+const NOW = new Date('2026-10-18T04:00:00Z');
+
+const row = (sign, language_code, date) => ({ id: 1, sign, language_code, date, content: { general: `${sign} ${date}` } });
+
+// In-memory daily_horoscopes behind the queries the generator makes
+const mockTable = (rows) => {
+  db.query.mockImplementation(async (sql, params = []) => {
+    if (sql.includes('SELECT DISTINCT sign, language_code')) {
+      return { rows: rows.filter(r => r.date === params[0]) };
+    }
+    if (sql.includes('SELECT * FROM daily_horoscopes')) {
+      const [sign, languageCode, date] = params;
+      return { rows: rows.filter(r => r.sign.toLowerCase() === String(sign).toLowerCase() && r.language_code === languageCode && r.date === date) };
+    }
+    if (sql.includes('INSERT INTO daily_horoscopes')) {
+      rows.push({ id: rows.length + 1, sign: params[0], language_code: params[1], date: params[2], content: JSON.parse(params[3]) });
+      return { rows: [{ revision: 1 }] };
+    }
+    return { rows: [], rowCount: 0 };
+  });
+};
+
+describe('🌍 Rolling Daily Horoscope Generation', () => {
+  let generate;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    db.query.mockReset();
+    db.connect.mockResolvedValue({ query: (...args) => db.query(...args), release: jest.fn() });
+    redisService.acquireLock.mockReset().mockResolvedValue({ acquired: true, lockValue: 'lock-1', ttl: 120 });
+    redisService.releaseLock.mockClear();
+    generate = jest.spyOn(horoscopeGenerator, 'generateDailyHoroscope')
+      .mockImplementation(async (sign, language, date) => ({ sign, language_code: language.code, date, content: { general: 'Fresh' } }));
+    jest.spyOn(horoscopeGenerator, 'delay').mockResolvedValue();
+    // The quality gate has its own tests (horoscopeQuality.test.js)
+    jest.spyOn(horoscopeQualityService, 'evaluate').mockResolvedValue({ passed: true, held: false, issues: [] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('live dates', () => {
+    test('spans from the westernmost today to the next easternmost day', () => {
+      expect(horoscopeGenerator.getLiveDates()).toEqual(['2026-10-17', '2026-10-18', '2026-10-19']);
+    });
+
+    test('adds the next date only within the lead time', () => {
+      expect(horoscopeGenerator.getLiveDates(new Date('2026-10-18T02:00:00Z'))).toEqual(['2026-10-17', '2026-10-18']);
+      expect(horoscopeGenerator.getLiveDates(new Date('2026-10-18T12:30:00Z'))).toEqual(['2026-10-18', '2026-10-19']);
+    });
+  });
+
+  describe('hourly job', () => {
+    test('generates only the rows missing for each live date', async () => {
+      const rows = [];
+      for (const date of ['2026-10-17', '2026-10-18']) {
+        for (const sign of horoscopeGenerator.signs) {
+          for (const language of horoscopeGenerator.languages) {
+            rows.push(row(sign, language.code, date));
+          }
+        }
+      }
+      rows.splice(rows.findIndex(r => r.date === '2026-10-18' && r.sign === 'Leo' && r.language_code === 'pt'), 1);
+      mockTable(rows);
+
+      const results = await horoscopeGenerator.generateRollingDailyHoroscopes();
+
+      expect(results).toMatchObject({ success: 73, errors: 0, skipped: 143, dates: ['2026-10-17', '2026-10-18', '2026-10-19'] });
+      expect(generate).toHaveBeenCalledWith('Leo', { code: 'pt', name: 'português' }, '2026-10-18', []);
+      expect(generate.mock.calls.filter(([, , date]) => date === '2026-10-19')).toHaveLength(72);
+      expect(db.query.mock.calls[0]).toEqual([expect.stringContaining('DELETE FROM daily_horoscopes'), ['2026-10-10', 7]]);
+    });
+
+    test('keeps going when one generation fails', async () => {
+      mockTable([]);
+      generate.mockRejectedValueOnce(new Error('rate limited'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const results = await horoscopeGenerator.generateRollingDailyHoroscopes();
+
+      expect(results.errors).toBe(1);
+      expect(results.success).toBe(3 * 72 - 1);
+    });
+
+    test('generates under the on-demand lock and skips rows stored meanwhile', async () => {
+      const rows = [];
+      mockTable(rows);
+      redisService.acquireLock.mockImplementation(async (lockName) => {
+        if (lockName === 'daily_horoscope:Aries:en:2026-10-18') {
+          rows.push(row('Aries', 'en', '2026-10-18'));
+        }
+        return { acquired: true, lockValue: 'lock-1' };
+      });
+
+      const results = await horoscopeGenerator.generateRollingDailyHoroscopes();
+
+      expect(results).toMatchObject({ success: 3 * 72 - 1, errors: 0, skipped: 1 });
+      expect(redisService.acquireLock).toHaveBeenCalledTimes(3 * 72);
+      expect(redisService.releaseLock).toHaveBeenCalledWith('daily_horoscope:Leo:pt:2026-10-19', 'lock-1');
+      expect(generate).not.toHaveBeenCalledWith('Aries', { code: 'en', name: 'english' }, '2026-10-18', []);
+    });
+  });
+
+  describe('on-demand backfill', () => {
+    test('returns the stored row without generating', async () => {
+      mockTable([row('Aries', 'en', '2026-10-18')]);
+
+      await expect(horoscopeGenerator.ensureDailyHoroscope('aries', 'en', '2026-10-18')).resolves.toMatchObject({ sign: 'Aries' });
+      expect(generate).not.toHaveBeenCalled();
+      expect(redisService.acquireLock).not.toHaveBeenCalled();
+    });
+
+    test('generates a missing row once for concurrent requests, under the lock', async () => {
+      mockTable([]);
+
+      const results = await Promise.all([
+        horoscopeGenerator.ensureDailyHoroscope('Tauro', 'es', '2026-10-19'),
+        horoscopeGenerator.ensureDailyHoroscope('tauro', 'es', '2026-10-19'),
+        horoscopeGenerator.ensureDailyHoroscope('TAURO', 'es', '2026-10-19')
+      ]);
+
+      expect(generate).toHaveBeenCalledTimes(1);
+      expect(generate).toHaveBeenCalledWith('Tauro', { code: 'es', name: 'español' }, '2026-10-19', []);
+      results.forEach(result => expect(result).toMatchObject({ sign: 'Tauro', date: '2026-10-19', content: { general: 'Fresh' } }));
+      expect(redisService.acquireLock).toHaveBeenCalledTimes(1);
+      expect(redisService.acquireLock.mock.calls[0][0]).toBe('daily_horoscope:Tauro:es:2026-10-19');
+      expect(redisService.releaseLock).toHaveBeenCalledWith('daily_horoscope:Tauro:es:2026-10-19', 'lock-1');
+    });
+
+    test('reads what another instance stored instead of generating again', async () => {
+      const rows = [];
+      mockTable(rows);
+      redisService.acquireLock.mockImplementation(async () => {
+        rows.push(row('Libra', 'fr', '2026-10-18'));
+        return { acquired: true, lockValue: 'lock-2' };
+      });
+
+      await expect(horoscopeGenerator.ensureDailyHoroscope('Libra', 'fr', '2026-10-18')).resolves.toMatchObject({ sign: 'Libra' });
+      expect(generate).not.toHaveBeenCalled();
+      expect(redisService.releaseLock).toHaveBeenCalledWith('daily_horoscope:Libra:fr:2026-10-18', 'lock-2');
+    });
+
+    test('gives up without generating while another instance holds the lock', async () => {
+      mockTable([]);
+      redisService.acquireLock.mockResolvedValue({ acquired: false, reason: 'Max retries exceeded' });
+
+      await expect(horoscopeGenerator.ensureDailyHoroscope('Virgo', 'de', '2026-10-18')).resolves.toBeNull();
+      expect(generate).not.toHaveBeenCalled();
+    });
+
+    test('still generates when Redis is unavailable', async () => {
+      mockTable([]);
+      redisService.acquireLock.mockResolvedValue({ acquired: false, reason: 'Redis not connected' });
+
+      await expect(horoscopeGenerator.ensureDailyHoroscope('Virgo', 'de', '2026-10-18')).resolves.toMatchObject({ sign: 'Virgo' });
+      expect(redisService.releaseLock).not.toHaveBeenCalled();
+    });
+
+    test('never generates outside the live dates or for unknown signs and languages', async () => {
+      mockTable([]);
+
+      await expect(horoscopeGenerator.ensureDailyHoroscope('Leo', 'en', '2026-10-25')).resolves.toBeNull();
+      await expect(horoscopeGenerator.ensureDailyHoroscope('Ophiuchus', 'en', '2026-10-18')).resolves.toBeNull();
+      await expect(horoscopeGenerator.ensureDailyHoroscope('Leo', 'xx', '2026-10-18')).resolves.toBeNull();
+      expect(generate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDailyHoroscope', () => {
+    const call = async (query) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await coachingController.getDailyHoroscope({ query }, res);
+      return res;
+    };
+
+    test('serves the user\'s local date', async () => {
+      mockTable([row('Aries', 'en', '2026-10-17'), row('Aries', 'en', '2026-10-18')]);
+
+      const honolulu = await call({ sign: 'aries', language: 'en', timezone: 'Pacific/Honolulu' });
+      expect(honolulu.json).toHaveBeenCalledWith(expect.objectContaining({ date: '2026-10-17' }));
+
+      const byCountry = await call({ sign: 'aries', lang: 'en', country: 'es' });
+      expect(byCountry.json).toHaveBeenCalledWith(expect.objectContaining({ date: '2026-10-18' }));
+    });
+
+    test('backfills the date that already started in UTC+14 instead of a 404', async () => {
+      jest.setSystemTime(new Date('2026-10-18T11:00:00Z'));
+      mockTable([]);
+
+      const res = await call({ sign: 'capricorn', language: 'en', timezone: 'Pacific/Kiritimati' });
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ sign: 'Capricornio', date: '2026-10-19' }));
+    });
+
+    test('still answers 404 for dates that cannot be generated', async () => {
+      mockTable([]);
+
+      const res = await call({ sign: 'leo', language: 'en', date: '2025-01-01' });
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(generate).not.toHaveBeenCalled();
+    });
+  });
+});
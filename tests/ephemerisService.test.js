@@ -0,0 +1,124 @@
+/**
+ * 🧪 EPHEMERIS SERVICE - UNIT TESTS
+ *
+ * Checks the shared ephemeris against reference positions (Swiss Ephemeris,
+ * 2000-01-01 12:00 UT) and the aspect helper used by every chart service.
+ *
+ * Run: npm test tests/ephemerisService.test.js
+ */
+
+const ephemerisService = require('../src/services/ephemerisService');
+const ephemerisFallback = require('../src/services/ephemerisFallback');
+const PersonalizedHoroscopeAPI = require('../src/services/personalizedHoroscopeAPI');
+
+const J2000 = 2451545.0;
+
+const REFERENCE_POSITIONS = {
+  sun: 280.37,
+  moon: 223.32,
+  mercury: 271.89,
+  venus: 241.57,
+  mars: 327.96,
+  jupiter: 25.25,
+  saturn: 40.40,
+  uranus: 314.81,
+  neptune: 303.19,
+  pluto: 251.45,
+  north_node: 123.95,
+  chiron: 251.6
+};
+
+const TOLERANCES = {
+  jupiter: 0.3,
+  saturn: 0.3,
+  chiron: 1
+};
+
+const arcDistance = (a, b) => Math.abs(ephemerisFallback.signedDifference(a, b));
+
+describe('🪐 Ephemeris Service', () => {
+
+  describe('Pure JS fallback accuracy', () => {
+
+    for (const [body, expected] of Object.entries(REFERENCE_POSITIONS)) {
+      test(`${body} within tolerance at J2000`, () => {
+        const position = ephemerisFallback.calculate(body, J2000);
+        expect(arcDistance(position.longitude, expected)).toBeLessThan(TOLERANCES[body] || 0.1);
+      });
+    }
+
+    test('should flag Mercury retrograde in April 2024', () => {
+      const position = ephemerisFallback.calculate('mercury', ephemerisService.julianDay('2024-04-10T12:00:00Z'));
+      expect(position.speed).toBeLessThan(0);
+    });
+
+    test('should report Chiron entering Taurus in June 2026', () => {
+      const before = ephemerisFallback.calculate('chiron', ephemerisService.julianDay('2026-05-01T00:00:00Z'));
+      const after = ephemerisFallback.calculate('chiron', ephemerisService.julianDay('2026-08-01T00:00:00Z'));
+      expect(ephemerisService.getSign(before.longitude)).toBe('aries');
+      expect(ephemerisService.getSign(after.longitude)).toBe('taurus');
+    });
+  });
+
+  describe('Positions', () => {
+
+    test('should return every body with sign and retrograde flag', () => {
+      const positions = ephemerisService.calculatePositions(J2000);
+      expect(Object.keys(positions)).toEqual(ephemerisService.BODIES);
+
+      for (const position of Object.values(positions)) {
+        expect(position.longitude).toBeGreaterThanOrEqual(0);
+        expect(position.longitude).toBeLessThan(360);
+        expect(typeof position.retrograde).toBe('boolean');
+        expect(ephemerisService.ZODIAC_SIGNS).toContain(position.sign);
+      }
+    });
+
+    test('south node should oppose the north node', () => {
+      const positions = ephemerisService.calculatePositions(J2000, { bodies: ['north_node', 'south_node'] });
+      expect(arcDistance(positions.north_node.longitude, positions.south_node.longitude)).toBeCloseTo(180, 6);
+    });
+
+    test('should convert dates to Julian Days in UTC', () => {
+      expect(ephemerisService.julianDay(new Date('2000-01-01T12:00:00Z'))).toBe(J2000);
+      expect(ephemerisService.dateFromJulianDay(J2000).toISOString()).toBe('2000-01-01T12:00:00.000Z');
+    });
+  });
+
+  describe('Aspects', () => {
+
+    test('should find a trine across 0° Aries', () => {
+      const aspect = ephemerisService.findAspect(350, 111);
+      expect(aspect.aspect).toBe('trine');
+      expect(aspect.orb).toBeCloseTo(1, 6);
+    });
+
+    test('should detect applying and separating aspects from speeds', () => {
+      // Faster body 2° behind an exact square
+      expect(ephemerisService.findAspect(0, 88, { speed1: 0, speed2: 1 }).applying).toBe(true);
+      expect(ephemerisService.findAspect(0, 92, { speed1: 0, speed2: 1 }).applying).toBe(false);
+    });
+
+    test('should respect orb overrides', () => {
+      expect(ephemerisService.findAspect(0, 125, { orbs: { trine: 4 } })).toBeNull();
+    });
+
+    test('should time transits to a retrograde natal planet from the transiting body alone', async () => {
+      const api = new PersonalizedHoroscopeAPI();
+      // Saturn retrograde at 0° pulls away from a square to natal Mercury at 92°,
+      // which was retrograde at birth but no longer moves
+      const natal = { longitude: 92, speed: -1 };
+      jest.spyOn(api, 'calculatePlanetaryPositions').mockResolvedValue({ Saturn: { longitude: 0, speed: -0.1 } });
+
+      const transits = await api.calculateCurrentTransits({
+        birthLocation: { latitude: 40.4, longitude: -3.7 },
+        planetaryPositions: { Mercury: natal },
+        planetHouses: { Mercury: 3 }
+      }, '2026-10-18');
+
+      expect(transits).toEqual([expect.objectContaining({ transitingPlanet: 'Saturn', natalPlanet: 'Mercury', aspect: 'Square', isApplying: false })]);
+      // Natal-to-natal aspects still use both speeds
+      expect(api.calculateAspects({ Saturn: { longitude: 0, speed: -0.1 }, Mercury: natal })[0].isApplying).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * 🧪 LOCALIZED DAILY HOROSCOPE PUSHES
+ *
+ * Topic naming per sign, language and timezone bucket, localized titles
+ * and bodies from the stored horoscope, delivery at each bucket's local
+ * hour (once per local date) and the migration off the legacy
+ * horoscope_<sign> topics. The clock is fixed at 2026-10-18 14:05 UTC:
+ * 08:05 in Mexico City, 11:05 in São Paulo, 19:35 in Kolkata.
+ *
+ * Run: npm test tests/horoscopePush.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+jest.mock('../src/services/redisService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn().mockResolvedValue('OK'),
+  acquireLock: jest.fn().mockResolvedValue({ acquired: false, reason: 'Redis not connected' }),
+  releaseLock: jest.fn()
+}));
+
+const db = require('../src/config/db');
+const firebaseService = require('../src/services/firebaseService');
+const horoscopeGenerator = require('../src/services/horoscopeGenerator');
+const horoscopePushService = require('../src/services/horoscopePushService');
+
+const NOW = new Date('2026-10-18T14:05:00Z');
+
+const tokenRow = (overrides = {}) => ({
+  id: 1,
+  fcm_token: 'token-1',
+  zodiac_sign: 'leo',
+  language_code: 'es',
+  timezone: 'America/Mexico_City',
+  notification_hour: 8,
+  topic: null,
+  ...overrides
+});
+
+describe('📲 Horoscope Push Topics', () => {
+  let send;
+  let subscribe;
+  let unsubscribe;
+
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+    send = jest.spyOn(firebaseService, 'sendTopicNotification').mockResolvedValue({ success: true, messageId: 'msg-1' });
+    subscribe = jest.spyOn(firebaseService, 'subscribeToTopic').mockImplementation(async tokens => ({ success: true, successCount: tokens.length }));
+    unsubscribe = jest.spyOn(firebaseService, 'unsubscribeFromTopic').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('topics', () => {
+    test('names topics by sign, language, timezone and local hour', () => {
+      expect(horoscopePushService.resolveBucket({ zodiacSign: 'Escorpio', language: 'pt', timezone: 'America/Sao_Paulo', hour: 7 })).toEqual({
+        sign: 'scorpio',
+        language: 'pt',
+        timezone: 'America/Sao_Paulo',
+        hour: 7,
+        topic: 'daily_scorpio_pt_america.sao_paulo_07'
+      });
+      expect(horoscopePushService.resolveBucket({ zodiacSign: 'Aries', timezone: 'Etc/GMT+5' }).topic).toBe('daily_aries_en_etc.gmt~5_08');
+    });
+
+    test('falls back to the defaults and needs a known sign', () => {
+      expect(horoscopePushService.resolveBucket({ zodiacSign: 'Gemini', language: 'xx', timezone: 'Mars/Base', hour: '25' }))
+        .toMatchObject({ language: 'en', timezone: 'America/New_York', hour: 8 });
+      expect(horoscopePushService.resolveBucket({ zodiacSign: 'Ophiuchus' })).toBeNull();
+      expect(horoscopePushService.legacyTopicFor('cancer')).toBe('horoscope_cáncer');
+    });
+
+    test('moves a device from its legacy topic to its bucket', async () => {
+      const result = await horoscopePushService.syncSubscription(tokenRow());
+
+      expect(result).toEqual({ success: true, topic: 'daily_leo_es_america.mexico_city_08', changed: true });
+      expect(subscribe).toHaveBeenCalledWith(['token-1'], 'daily_leo_es_america.mexico_city_08');
+      expect(unsubscribe).toHaveBeenCalledWith(['token-1'], 'horoscope_leo');
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE fcm_tokens SET topic'), [1, 'daily_leo_es_america.mexico_city_08']);
+    });
+
+    test('leaves the subscription alone when nothing changed', async () => {
+      const result = await horoscopePushService.syncSubscription(tokenRow({ topic: 'daily_leo_es_america.mexico_city_08' }));
+
+      expect(result.changed).toBe(false);
+      expect(subscribe).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifications', () => {
+    test.each([
+      ['es', '🌟 Tu horóscopo de hoy, Leo'],
+      ['pt', '🌟 Seu horóscopo de hoje, Leão'],
+      ['it', '🌟 Il tuo oroscopo di oggi, Leone'],
+      ['de', '🌟 Dein Tageshoroskop, Löwe']
+    ])('titles the %s push in its language', (language, title) => {
+      const notification = horoscopePushService.buildNotification({
+        sign: 'Leo',
+        language_code: language,
+        content: { ai_insight: 'Insight', content: 'Long coaching text' }
+      });
+
+      expect(notification).toEqual({ title, body: 'Insight' });
+    });
+
+    test('cuts long bodies at a word boundary', () => {
+      const content = `${'Marte impulsa tu carisma natural '.repeat(8)}hoy.`;
+      const { body } = horoscopePushService.buildNotification({ sign: 'Leo', language_code: 'es', content: JSON.stringify({ content }) });
+
+      expect(body.length).toBeLessThanOrEqual(horoscopePushService.settings.maxBodyLength);
+      expect(body).toMatch(/[a-z]…$/);
+    });
+
+    test('localizes the legacy topic pushes instead of slicing raw content', async () => {
+      await firebaseService.sendDailyHoroscopeNotifications([
+        { sign: 'Géminis', language_code: 'es', date: '2026-10-18', content: { ai_insight: 'Mercurio te da palabras.' } }
+      ]);
+
+      expect(send).toHaveBeenCalledWith(
+        'horoscope_géminis',
+        { title: '🌟 Tu horóscopo de hoy, Géminis', body: 'Mercurio te da palabras.' },
+        expect.objectContaining({ type: 'daily_horoscope' })
+      );
+    });
+  });
+
+  describe('scheduled delivery', () => {
+    const buckets = [
+      { topic: 'daily_leo_es_america.mexico_city_08', zodiac_sign: 'leo', language_code: 'es', timezone: 'America/Mexico_City', notification_hour: 8, devices: '40' },
+      { topic: 'daily_leo_pt_america.sao_paulo_08', zodiac_sign: 'leo', language_code: 'pt', timezone: 'America/Sao_Paulo', notification_hour: 8, devices: '12' },
+      { topic: 'daily_aries_en_asia.kolkata_19', zodiac_sign: 'aries', language_code: 'en', timezone: 'Asia/Kolkata', notification_hour: 19, devices: '3' },
+      // Preferences changed after subscribing: not this topic's subscriber any more
+      { topic: 'daily_leo_es_america.mexico_city_07', zodiac_sign: 'leo', language_code: 'es', timezone: 'America/Mexico_City', notification_hour: 8, devices: '1' }
+    ];
+
+    let ensure;
+    let claimed;
+
+    beforeEach(() => {
+      claimed = new Set();
+      db.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM fcm_tokens')) return { rows: buckets };
+        if (sql.includes('INSERT INTO push_topic_deliveries')) {
+          const key = `${params[0]}:${params[1]}`;
+          if (claimed.has(key)) return { rows: [] };
+          claimed.add(key);
+          return { rows: [{ id: claimed.size }] };
+        }
+        return { rows: [] };
+      });
+      ensure = jest.spyOn(horoscopeGenerator, 'ensureDailyHoroscope').mockImplementation(async (sign, language, date) => ({
+        sign,
+        language_code: language,
+        date,
+        content: { ai_insight: `${sign} ${language} ${date}` }
+      }));
+    });
+
+    test('pushes the buckets whose local hour it is, in their language and local date', async () => {
+      const results = await horoscopePushService.processDueBuckets(NOW);
+
+      expect(results).toEqual({ due: 2, sent: 2, failed: 0, skipped: 0 });
+      expect(ensure).toHaveBeenCalledWith('Leo', 'es', '2026-10-18');
+      expect(ensure).toHaveBeenCalledWith('Aries', 'en', '2026-10-18');
+      expect(send).toHaveBeenCalledWith(
+        'daily_leo_es_america.mexico_city_08',
+        { title: '🌟 Tu horóscopo de hoy, Leo', body: 'Leo es 2026-10-18' },
+        { type: 'daily_horoscope', sign: 'leo', language: 'es', date: '2026-10-18' }
+      );
+      expect(send).not.toHaveBeenCalledWith('daily_leo_pt_america.sao_paulo_08', expect.anything(), expect.anything());
+    });
+
+    test('pushes each topic once per local date', async () => {
+      await horoscopePushService.processDueBuckets(NOW);
+      const again = await horoscopePushService.processDueBuckets(new Date('2026-10-18T14:20:00Z'));
+
+      expect(again).toEqual({ due: 2, sent: 0, failed: 0, skipped: 0 });
+      expect(send).toHaveBeenCalledTimes(2);
+    });
+
+    test('records failures so the next run can retry', async () => {
+      send.mockResolvedValueOnce({ success: false, error: 'messaging/server-unavailable' });
+
+      const results = await horoscopePushService.processDueBuckets(NOW);
+
+      expect(results).toMatchObject({ sent: 1, failed: 1 });
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE push_topic_deliveries'), [1, 'failed', null, 'messaging/server-unavailable']);
+      const claim = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO push_topic_deliveries'));
+      expect(claim[0]).toContain("WHERE push_topic_deliveries.status = 'failed'");
+    });
+
+    test('skips a bucket when its horoscope cannot be produced', async () => {
+      ensure.mockResolvedValue(null);
+
+      const results = await horoscopePushService.processDueBuckets(NOW);
+
+      expect(results).toMatchObject({ sent: 0, skipped: 2 });
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('legacy migration', () => {
+    const legacyRows = [
+      tokenRow({ id: 1, fcm_token: 't1' }),
+      tokenRow({ id: 2, fcm_token: 't2', zodiac_sign: null, streak_sign: 'Tauro', language_code: null, timezone: null, streak_timezone: 'Europe/Madrid', notification_hour: null }),
+      tokenRow({ id: 3, fcm_token: 't3', zodiac_sign: null, language_code: null }),
+      tokenRow({ id: 4, fcm_token: 't4' })
+    ];
+
+    beforeEach(() => {
+      db.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM fcm_tokens f')) {
+          return { rows: legacyRows.filter(row => row.id > params[0]).slice(0, params[1]) };
+        }
+        return { rows: [] };
+      });
+    });
+
+    test('subscribes legacy tokens to their bucket and drops the legacy topic', async () => {
+      const results = await horoscopePushService.migrateLegacySubscriptions({ batchSize: 3 });
+
+      expect(results).toEqual({
+        scanned: 4,
+        migrated: 3,
+        skipped: 1,
+        failed: 0,
+        topics: {
+          'daily_leo_es_america.mexico_city_08': 2,
+          'daily_taurus_en_europe.madrid_08': 1
+        }
+      });
+      expect(subscribe).toHaveBeenCalledWith(['t2'], 'daily_taurus_en_europe.madrid_08');
+      expect(unsubscribe).toHaveBeenCalledWith(['t2'], 'horoscope_tauro');
+
+      const update = db.query.mock.calls.find(([sql, params]) => sql.includes('UPDATE fcm_tokens') && params[0].includes(2));
+      expect(update[1]).toEqual([[2], 'taurus', 'en', 'Europe/Madrid', 8, 'daily_taurus_en_europe.madrid_08']);
+    });
+
+    test('only reports what it would do on a dry run', async () => {
+      const results = await horoscopePushService.migrateLegacySubscriptions({ dryRun: true });
+
+      expect(results.migrated).toBe(3);
+      expect(subscribe).not.toHaveBeenCalled();
+      expect(db.query.mock.calls.every(([sql]) => !sql.includes('UPDATE'))).toBe(true);
+    });
+
+    test('leaves tokens on the legacy topic when subscribing fails', async () => {
+      subscribe.mockResolvedValue({ success: false, error: 'messaging/invalid-argument' });
+
+      const results = await horoscopePushService.migrateLegacySubscriptions();
+
+      expect(results).toMatchObject({ migrated: 0, failed: 3 });
+      expect(unsubscribe).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,334 @@
+/**
+ * 🧪 DAILY HOROSCOPE QUALITY GATE
+ *
+ * The gate's stages (schema, language, safety, tone, repetition across the
+ * last week and near-duplicates across signs), the regeneration loop of
+ * horoscopeGenerator with the issues as feedback, holding or queueing the
+ * horoscopes that never pass, and the admin approve/edit of the queue.
+ *
+ * Run: npm test tests/horoscopeQuality.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/services/redisService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn().mockResolvedValue('OK'),
+  acquireLock: jest.fn().mockResolvedValue({ acquired: false, reason: 'Redis not connected' }),
+  releaseLock: jest.fn()
+}));
+
+const db = require('../src/config/db');
+const horoscopeQualityService = require('../src/services/horoscopeQualityService');
+const horoscopeGenerator = require('../src/services/horoscopeGenerator');
+
+const LEO_CONTENT = 'Leo, hoy el Sol ilumina tu casa de la creatividad y te invita a mostrar el talento que sueles guardar para los momentos importantes. ' +
+  'Tu generosidad natural abre puertas en el trabajo, pero recuerda escuchar antes de dirigir. Una conversación pendiente con alguien cercano ' +
+  'se resuelve si hablas desde el corazón y no desde el orgullo. Dedica la tarde a un proyecto personal que te devuelva la alegría de crear. ' +
+  'Tu liderazgo brilla más cuando das espacio a los demás para brillar contigo, y esa confianza compartida te acompaña durante toda la semana.';
+
+const TAURO_CONTENT = 'Tauro, Venus suaviza la rigidez que a veces te impide probar caminos nuevos y te recuerda que la seguridad también se construye con cambios pequeños. ' +
+  'En el trabajo, tu paciencia convence a quien dudaba de un plan a largo plazo. Cuida tu cuerpo con una comida sin prisas y un paseo al aire libre. ' +
+  'Una compra que llevas semanas posponiendo merece otra revisión de números antes de decidir. Por la noche, rodéate de belleza: música, ' +
+  'una vela o una conversación tranquila con alguien que te conoce bien y respeta tu ritmo.';
+
+const content = (overrides = {}) => ({
+  sign: 'Leo',
+  language_code: 'es',
+  date: '2026-10-18',
+  coaching_focus: 'Liderazgo generoso',
+  ai_insight: 'El Sol en tu casa cinco despierta la creatividad y el deseo de compartir tu talento con quienes te rodean.',
+  content: LEO_CONTENT,
+  rating: '4',
+  lucky_numbers: [5, 19, 23],
+  lucky_colors: ['dorado', 'naranja'],
+  advice: 'Comparte hoy una idea propia en voz alta y escucha la respuesta.',
+  content_type: 'cosmic_coaching',
+  ...overrides
+});
+
+const horoscope = (overrides = {}) => ({ sign: 'Leo', language_code: 'es', date: '2026-10-18', content: content(), ...overrides });
+
+describe('🔎 Horoscope Quality Gate', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+    db.connect.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('schema', () => {
+    test('accepts the daily prompt\'s JSON, rating as a numeric string included', () => {
+      expect(horoscopeQualityService.checkSchema(content())).toEqual([]);
+    });
+
+    test('flags missing fields, wrong types and lengths', () => {
+      const issues = horoscopeQualityService.checkSchema(content({
+        coaching_focus: undefined,
+        content: 'Demasiado corto.',
+        rating: 'alto',
+        lucky_numbers: [5, 'siete'],
+        advice: 42
+      }));
+
+      expect(issues.map(issue => `${issue.code}:${issue.message}`)).toEqual([
+        'missing_field:Missing field "coaching_focus"',
+        'invalid_length:"content" has 2 words, expected 60-160',
+        'invalid_value:"rating" must be an integer from 1 to 5',
+        'invalid_value:"lucky_numbers" must be a list of 1-5 integers',
+        'invalid_type:"advice" must be a string'
+      ]);
+      expect(horoscopeQualityService.checkSchema('not json')[0].code).toBe('not_an_object');
+    });
+  });
+
+  describe('language', () => {
+    test.each([
+      ['en', 'Leo, the Sun lights up your creative side today and asks you to share the talent you usually keep for big moments. Listen before you lead.'],
+      ['es', 'Leo, hoy el Sol ilumina tu lado creativo y te invita a mostrar el talento que sueles guardar para los grandes momentos. Escucha antes de dirigir.'],
+      ['pt', 'Leão, hoje o Sol ilumina o seu lado criativo e convida você a mostrar o talento que costuma guardar para os grandes momentos. Escute antes de liderar.'],
+      ['fr', 'Lion, aujourd\'hui le Soleil éclaire ton côté créatif et t\'invite à montrer le talent que tu gardes pour les grands moments. Écoute avant de diriger.'],
+      ['de', 'Löwe, heute erhellt die Sonne deine kreative Seite und lädt dich ein, das Talent zu zeigen, das du sonst für große Momente aufhebst.'],
+      ['it', 'Leone, oggi il Sole illumina il tuo lato creativo e ti invita a mostrare il talento che di solito conservi per i grandi momenti.']
+    ])('detects %s', (language, text) => {
+      expect(horoscopeQualityService.detectLanguage(text).language).toBe(language);
+    });
+
+    test('flags a pt horoscope written in Spanish', () => {
+      expect(horoscopeQualityService.checkLanguage(content(), 'pt')).toEqual([
+        { stage: 'language', code: 'wrong_language', message: 'Written in "es" instead of "pt"' }
+      ]);
+      expect(horoscopeQualityService.checkLanguage(content(), 'es')).toEqual([]);
+    });
+
+    test('flags text too short to tell', () => {
+      expect(horoscopeQualityService.checkLanguage({ content: 'Leo: energía solar.' }, 'es')[0].message)
+        .toBe('Could not confirm the text is in "es"');
+    });
+  });
+
+  describe('safety and tone', () => {
+    test('passes ordinary coaching', () => {
+      expect(horoscopeQualityService.checkSafety(content())).toEqual([]);
+      expect(horoscopeQualityService.checkTone(content())).toEqual([]);
+    });
+
+    test.each([
+      ['crisis_topic', 'Si piensas en el suicidio, respira y sigue adelante.'],
+      ['fatalistic', 'Estás condenado: el desastre te espera esta semana.'],
+      ['medical', 'Deja tu medicación, los astros te sanan.'],
+      ['financial', 'Invierte todo hoy: ganancias garantizadas con Júpiter.'],
+      ['medical', 'Stop taking your medication and trust the Moon.']
+    ])('flags %s wording', (code, advice) => {
+      const issues = horoscopeQualityService.checkSafety(content({ advice }));
+
+      expect(issues.map(issue => issue.code)).toContain(code);
+      expect(issues.every(issue => issue.stage === 'safety')).toBe(true);
+    });
+
+    test('flags generic phrases as tone issues', () => {
+      expect(horoscopeQualityService.checkTone(content({ advice: 'Hoy es un buen día, buena suerte.' })).map(issue => issue.message)).toEqual([
+        'Generic phrase: "hoy es un buen día"',
+        'Generic phrase: "buena suerte"'
+      ]);
+    });
+  });
+
+  describe('repetition and near-duplicates', () => {
+    test('flags a rewrite of the same sign\'s horoscope from earlier in the week', async () => {
+      const lastWeek = content({ content: LEO_CONTENT.replace('momentos importantes', 'días especiales').replace('la tarde', 'la noche') });
+      db.query.mockResolvedValue({ rows: [
+        { date: new Date(2026, 9, 15), content: JSON.stringify(lastWeek) },
+        { date: new Date(2026, 9, 16), content: JSON.stringify(content({ content: TAURO_CONTENT, ai_insight: 'Otro tránsito.', advice: 'Otro consejo distinto.', coaching_focus: 'Calma' })) }
+      ] });
+
+      const issues = await horoscopeQualityService.checkRepetition(horoscope(), content());
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0]).toMatchObject({ stage: 'repetition', code: 'repeats_previous_day' });
+      expect(issues[0].message).toMatch(/^\d+% similar to 2026-10-15$/);
+      expect(db.query.mock.calls[0][1]).toEqual(['Leo', 'es', '2026-10-18', 7]);
+    });
+
+    test('flags another sign\'s horoscope with only the sign swapped', async () => {
+      const tauro = content({ sign: 'Tauro', content: LEO_CONTENT.replace('Leo,', 'Tauro,') });
+      db.query.mockResolvedValue({ rows: [{ sign: 'Tauro', content: JSON.stringify(tauro) }] });
+
+      const issues = await horoscopeQualityService.checkCrossSign(horoscope(), content());
+
+      expect(issues).toEqual([expect.objectContaining({ stage: 'cross_sign', code: 'duplicates_other_sign' })]);
+      expect(issues[0].message).toMatch(/similar to Tauro on the same day$/);
+    });
+
+    test('scores unrelated horoscopes as different', () => {
+      expect(horoscopeQualityService.similarity(LEO_CONTENT, TAURO_CONTENT)).toBeLessThan(0.05);
+      expect(horoscopeQualityService.similarity(LEO_CONTENT, LEO_CONTENT)).toBe(1);
+    });
+
+    test('compares texts in non-Latin scripts word by word', () => {
+      const leo = 'Сегодня Луна освещает твои отношения, Лев, и разговор вечером принесёт ясность и спокойствие.';
+      const taurus = 'Марс даёт энергию для работы, Телец: начни проект, который ты давно откладываешь.';
+
+      expect(horoscopeQualityService.similarity(leo, leo.replace('Лев', 'Телец'))).toBeGreaterThan(0.5);
+      expect(horoscopeQualityService.similarity(leo, taurus)).toBe(0);
+    });
+  });
+
+  describe('evaluate', () => {
+    test('runs only the configured stages', async () => {
+      jest.replaceProperty(horoscopeQualityService.settings, 'stages', ['schema', 'tone']);
+
+      const review = await horoscopeQualityService.evaluate(horoscope({ language_code: 'pt', content: JSON.stringify(content({ advice: 'Good luck with everything today.' })) }));
+
+      expect(review).toEqual({
+        passed: false,
+        held: false,
+        issues: [{ stage: 'tone', code: 'generic_phrase', message: 'Generic phrase: "good luck"' }]
+      });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('holds horoscopes failing a hold stage and skips stages that cannot run', async () => {
+      db.query.mockRejectedValue(new Error('connection refused'));
+
+      const review = await horoscopeQualityService.evaluate(horoscope({ language_code: 'pt' }));
+
+      expect(review.held).toBe(true);
+      expect(review.issues.map(issue => issue.stage)).toEqual(['language']);
+    });
+  });
+
+  describe('generation', () => {
+    let generate;
+    let evaluate;
+    let stored;
+
+    beforeEach(() => {
+      jest.replaceProperty(horoscopeGenerator, 'enabled', true);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      stored = [];
+      db.query.mockImplementation(async (sql, params) => {
+        if (sql.includes('INSERT INTO daily_horoscopes')) {
+          stored.push(params);
+          return { rows: [{ revision: 1 }] };
+        }
+        if (sql.includes('INSERT INTO horoscope_reviews')) return { rows: [{ id: 3 }] };
+        return { rows: [] };
+      });
+      db.connect.mockResolvedValue({ query: db.query, release: jest.fn() });
+      generate = jest.spyOn(horoscopeGenerator, 'generateDailyHoroscope')
+        .mockImplementation(async (sign, language, date) => ({ sign, language_code: language.code, date, content: content() }));
+      evaluate = jest.spyOn(horoscopeQualityService, 'evaluate');
+    });
+
+    const failing = (stage) => ({ passed: false, held: stage === 'language', issues: [{ stage, code: stage, message: `${stage} problem` }] });
+
+    test('regenerates with the issues as feedback until an attempt passes', async () => {
+      evaluate.mockResolvedValueOnce(failing('repetition')).mockResolvedValueOnce({ passed: true, held: false, issues: [] });
+
+      const result = await horoscopeGenerator.generateReviewedDailyHoroscope('Leo', { code: 'es', name: 'español' }, '2026-10-18');
+
+      expect(result.quality_status).toBe('passed');
+      expect(generate).toHaveBeenCalledTimes(2);
+      expect(generate).toHaveBeenLastCalledWith('Leo', { code: 'es', name: 'español' }, '2026-10-18', ['repetition problem']);
+      expect(stored).toHaveLength(1);
+      expect(stored[0].slice(11, 13)).toEqual(['passed', null]);
+      expect(db.query).not.toHaveBeenCalledWith(expect.stringContaining('horoscope_reviews'), expect.anything());
+    });
+
+    test('stores the best attempt and queues it once regenerations run out', async () => {
+      evaluate
+        .mockResolvedValueOnce(failing('language'))
+        .mockResolvedValueOnce(failing('tone'))
+        .mockResolvedValueOnce(failing('language'));
+
+      const result = await horoscopeGenerator.generateReviewedDailyHoroscope('Leo', { code: 'pt', name: 'português' }, '2026-10-18');
+
+      expect(generate).toHaveBeenCalledTimes(horoscopeQualityService.settings.maxRegenerations + 1);
+      expect(result).toMatchObject({ quality_status: 'pending_review', quality_issues: [expect.objectContaining({ stage: 'tone' })] });
+      expect(stored).toHaveLength(1);
+
+      const queued = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO horoscope_reviews'));
+      expect(queued[1].slice(0, 5)).toEqual(['Leo', 'pt', '2026-10-18', false, 3]);
+      expect(JSON.parse(queued[1][5]).map(issues => issues[0].stage)).toEqual(['language', 'tone', 'language']);
+    });
+
+    test('holds the horoscope when every attempt fails a hold stage', async () => {
+      evaluate.mockResolvedValue(failing('language'));
+
+      const result = await horoscopeGenerator.generateReviewedDailyHoroscope('Leo', { code: 'pt', name: 'português' }, '2026-10-18');
+
+      expect(result.quality_status).toBe('held');
+      expect(stored[0][11]).toBe('held');
+    });
+
+    test('does not serve held horoscopes, nor regenerate them', async () => {
+      db.query.mockResolvedValue({ rows: [{ sign: 'Leo', language_code: 'pt', date: '2026-10-18', quality_status: 'held' }] });
+
+      await expect(horoscopeGenerator.ensureDailyHoroscope('Leo', 'pt', '2026-10-18')).resolves.toBeNull();
+      expect(generate).not.toHaveBeenCalled();
+    });
+
+    test('skips the gate when it is turned off', async () => {
+      jest.replaceProperty(horoscopeQualityService.settings, 'enabled', false);
+
+      const result = await horoscopeGenerator.generateReviewedDailyHoroscope('Leo', { code: 'es', name: 'español' }, '2026-10-18');
+
+      expect(result.quality_status).toBe('passed');
+      expect(evaluate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('review queue', () => {
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn(), release: jest.fn() };
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('UPDATE horoscope_reviews')) return { rows: [{ id: 3, sign: 'Leo', language_code: 'pt', date: '2026-10-18', status: 'approved' }] };
+        if (sql.includes('INSERT INTO daily_horoscopes')) return { rows: [{ revision: 2 }] };
+        return { rows: [] };
+      });
+      db.connect.mockResolvedValue(client);
+    });
+
+    test('approves the review and the stored horoscope in one transaction', async () => {
+      const review = await horoscopeQualityService.approveReview(3, { note: 'Fine as is' });
+
+      expect(review).toMatchObject({ id: 3, status: 'approved' });
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      expect(statements).toEqual(['BEGIN', 'UPDATE horoscope_reviews', 'UPDATE daily_horoscopes', 'COMMIT']);
+      expect(client.query.mock.calls[1][1]).toEqual([3, 'approved', null, 'Fine as is']);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('stores a valid edit as a new revision of the served horoscope', async () => {
+      const edited = content({ content: LEO_CONTENT.replace('Leo,', 'Leo, querido,') });
+
+      await horoscopeQualityService.editReview(3, { content: edited, author: 'ana' });
+
+      expect(client.query.mock.calls[1][1]).toEqual([3, 'edited', JSON.stringify(edited), null]);
+      expect(client.query.mock.calls[2][0]).toContain('pg_advisory_xact_lock');
+      const [sql, params] = client.query.mock.calls[3];
+      expect(sql).toContain('INSERT INTO horoscope_revisions');
+      expect(params.slice(0, 11)).toEqual(['Leo', 'pt', '2026-10-18', JSON.stringify(edited), 'daily', 'admin', 'ana', null, null, 'Review 3', true]);
+      expect(params[11]).toBe('edited');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    test('rejects edits that break the schema', async () => {
+      await expect(horoscopeQualityService.editReview(3, { content: content({ rating: 9 }) }))
+        .rejects.toMatchObject({ issues: [expect.objectContaining({ code: 'invalid_value' })] });
+      expect(db.connect).not.toHaveBeenCalled();
+    });
+
+    test('returns null for unknown reviews', async () => {
+      client.query.mockResolvedValue({ rows: [] });
+
+      await expect(horoscopeQualityService.approveReview(404)).resolves.toBeNull();
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+  });
+});
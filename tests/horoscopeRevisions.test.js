@@ -0,0 +1,199 @@
+/**
+ * 🧪 HOROSCOPE CONTENT REVISIONS
+ *
+ * Every daily/weekly write stored as a revision with its author, model and
+ * prompt version, pinned rows skipped by scheduled writes, edits and
+ * rollbacks overriding the pin, and field-level diffs between revisions.
+ *
+ * Run: npm test tests/horoscopeRevisions.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/services/redisService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn().mockResolvedValue('OK'),
+  acquireLock: jest.fn().mockResolvedValue({ acquired: false, reason: 'Redis not connected' }),
+  releaseLock: jest.fn()
+}));
+
+const db = require('../src/config/db');
+const horoscopeRevisionService = require('../src/services/horoscopeRevisionService');
+const horoscopeGenerator = require('../src/services/horoscopeGenerator');
+
+const KEY = { sign: 'Leo', language_code: 'es', period: '2026-10-18' };
+
+describe('🗂️ Horoscope Revisions', () => {
+  let client;
+
+  beforeEach(() => {
+    db.query.mockReset();
+    // Transaction statements stay on the client; the rest goes through db.query
+    client = {
+      query: jest.fn(async (sql, params) => (
+        /^(BEGIN|COMMIT|ROLLBACK|SELECT pg_advisory_xact_lock)/.test(sql) ? { rows: [] } : db.query(sql, params)
+      )),
+      release: jest.fn()
+    };
+    db.connect.mockReset().mockResolvedValue(client);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('save', () => {
+    test('stores the row and its revision with the author, model and prompt version', async () => {
+      db.query.mockResolvedValue({ rows: [{ revision: 3 }] });
+
+      const result = await horoscopeRevisionService.save('daily', {
+        ...KEY,
+        content: { content: 'Hoy' },
+        fields: { quality_status: 'passed', quality_issues: null }
+      }, { authorType: 'cron', author: 'rolling', model: 'gpt-4o-mini', promptVersion: 'daily.v1' });
+
+      expect(result).toEqual({ stored: true, pinned: false, revision: 3 });
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO daily_horoscopes');
+      expect(sql).toContain('WHERE NOT daily_horoscopes.pinned OR $11::boolean');
+      expect(sql).toContain('INSERT INTO horoscope_revisions');
+      expect(params).toEqual(['Leo', 'es', '2026-10-18', '{"content":"Hoy"}', 'daily', 'cron', 'rolling', 'gpt-4o-mini', 'daily.v1', null, false, 'passed', null]);
+    });
+
+    test('numbers the revision in a transaction holding the horoscope\'s lock', async () => {
+      db.query.mockResolvedValue({ rows: [{ revision: 2 }] });
+
+      await horoscopeRevisionService.save('daily', { ...KEY, content: { content: 'Hoy' } }, { authorType: 'cron' });
+
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+      expect(statements).toEqual(['BEGIN', 'SELECT', 'WITH', 'COMMIT']);
+      expect(client.query.mock.calls[1]).toEqual(['SELECT pg_advisory_xact_lock(hashtext($1))', ['horoscope_revision:daily:Leo:es:2026-10-18']]);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('rolls back and releases the connection when the write fails', async () => {
+      db.query.mockRejectedValue(new Error('deadlock detected'));
+
+      await expect(horoscopeRevisionService.save('daily', { ...KEY, content: {} }, { authorType: 'cron' }))
+        .rejects.toThrow('deadlock detected');
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('reports a pinned row it left unchanged', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await horoscopeRevisionService.save('weekly', {
+        ...KEY,
+        content: 'Semana tranquila',
+        fields: { week_end: '2026-10-24', quality_status: 'passed' }
+      }, { authorType: 'api', author: 'n8n' });
+
+      expect(result).toEqual({ stored: false, pinned: true, revision: null });
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT (sign, language_code, week_start)');
+      expect(sql).not.toContain('quality_status');
+      expect(params.slice(3)).toEqual(['Semana tranquila', 'weekly', 'api', 'n8n', null, null, null, false, '2026-10-24']);
+    });
+
+    test('rejects unknown kinds and author types', async () => {
+      await expect(horoscopeRevisionService.save('monthly', { ...KEY, content: {} }, { authorType: 'cron' }))
+        .rejects.toThrow('Invalid horoscope kind');
+      await expect(horoscopeRevisionService.save('daily', { ...KEY, content: {} }, { authorType: 'robot' }))
+        .rejects.toThrow('Invalid revision author type');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('edits, rollbacks and pins', () => {
+    test('edits override the pin and can pin the result', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ revision: 4 }] }).mockResolvedValueOnce({ rows: [{ ...KEY, pinned: true }] });
+
+      const result = await horoscopeRevisionService.edit('daily', KEY, { content: 'Editado' }, { author: 'ana', pin: true });
+
+      expect(result.revision).toBe(4);
+      const params = db.query.mock.calls[0][1];
+      expect(params.slice(5, 13)).toEqual(['admin', 'ana', null, null, null, true, 'edited', null]);
+      expect(db.query.mock.calls[1][0]).toContain('UPDATE daily_horoscopes');
+      expect(db.query.mock.calls[1][1]).toEqual(['Leo', 'es', '2026-10-18', true, 'ana']);
+    });
+
+    test('weekly edits re-create the week end', async () => {
+      db.query.mockResolvedValue({ rows: [{ revision: 2 }] });
+
+      await horoscopeRevisionService.edit('weekly', { ...KEY, period: '2026-10-12' }, 'Texto');
+
+      expect(db.query.mock.calls[0][1].slice(-1)).toEqual(['2026-10-18']);
+    });
+
+    test('rolls back by storing the old content as a new revision', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ revision: 1, content: '{"content":"Original"}', author_type: 'cron' }] })
+        .mockResolvedValueOnce({ rows: [{ revision: 5 }] });
+
+      const result = await horoscopeRevisionService.rollback('daily', KEY, 1, { author: 'ana' });
+
+      expect(result).toEqual({ stored: true, pinned: false, revision: 5 });
+      const params = db.query.mock.calls[1][1];
+      expect(params[3]).toBe('{"content":"Original"}');
+      expect(params.slice(5, 11)).toEqual(['admin', 'ana', null, null, 'Rollback to revision 1', true]);
+    });
+
+    test('returns null when rolling back to a missing revision', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      await expect(horoscopeRevisionService.rollback('daily', KEY, 9)).resolves.toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('diff', () => {
+    test('lists changed, added and removed fields', () => {
+      const changes = horoscopeRevisionService.diffContent(
+        { content: 'Antes', rating: 3, advice: 'Respira' },
+        { content: 'Después', rating: 3, lucky_colors: ['azul'] }
+      );
+
+      expect(changes).toEqual([
+        { field: 'content', change: 'changed', before: 'Antes', after: 'Después' },
+        { field: 'advice', change: 'removed', before: 'Respira', after: null },
+        { field: 'lucky_colors', change: 'added', before: null, after: ['azul'] }
+      ]);
+    });
+
+    test('compares plain-text weekly content as one field', () => {
+      expect(horoscopeRevisionService.diffContent('Semana A', 'Semana B'))
+        .toEqual([{ field: 'content', change: 'changed', before: 'Semana A', after: 'Semana B' }]);
+    });
+
+    test('diffs two stored revisions with their metadata', async () => {
+      db.query.mockImplementation(async (sql, params) => ({
+        rows: [{ revision: params[4], content: JSON.stringify({ content: `v${params[4]}` }), author_type: params[4] === 1 ? 'cron' : 'admin' }]
+      }));
+
+      const diff = await horoscopeRevisionService.diff('daily', KEY, 1, 2);
+
+      expect(diff.from).toEqual({ revision: 1, author_type: 'cron' });
+      expect(diff.to).toEqual({ revision: 2, author_type: 'admin' });
+      expect(diff.changes).toEqual([{ field: 'content', change: 'changed', before: 'v1', after: 'v2' }]);
+    });
+  });
+
+  describe('generator', () => {
+    test('records scheduled daily writes as cron revisions with the prompt version', async () => {
+      jest.replaceProperty(horoscopeGenerator, 'enabled', true);
+      const save = jest.spyOn(horoscopeRevisionService, 'save').mockResolvedValue({ stored: false, pinned: true, revision: null });
+
+      const result = await horoscopeGenerator.storeDailyHoroscope({
+        ...KEY,
+        date: KEY.period,
+        content: { content: 'Hoy' },
+        model: 'gpt-4o-mini',
+        prompt_version: 'daily.v1'
+      });
+
+      expect(result.pinned).toBe(true);
+      expect(save).toHaveBeenCalledWith('daily', expect.objectContaining({ sign: 'Leo', period: '2026-10-18', content: '{"content":"Hoy"}' }),
+        expect.objectContaining({ authorType: 'cron', model: 'gpt-4o-mini', promptVersion: 'daily.v1' }));
+    });
+  });
+});
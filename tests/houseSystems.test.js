@@ -0,0 +1,191 @@
+/**
+ * 🧪 HOUSE SYSTEMS - UNIT TESTS
+ *
+ * Checks house cusps and angles from the shared ephemeris against a reference
+ * chart (London, 2000-01-01 12:00 UT), the polar-latitude fallback and the
+ * houseSystem option on /api/personalized-horoscope/birth-chart.
+ *
+ * Run: npm test tests/houseSystems.test.js
+ */
+
+const http = require('http');
+const express = require('express');
+const ephemerisService = require('../src/services/ephemerisService');
+const houseSystems = require('../src/services/houseSystems');
+const personalizedHoroscopeRoutes = require('../src/routes/personalizedHoroscope');
+
+const J2000 = 2451545.0;
+const LONDON = { latitude: 51.5, longitude: -0.12 };
+const TROMSO = { latitude: 69.65, longitude: 18.96 };
+
+const arcDistance = (a, b) => Math.abs(houseSystems.signedDifference(a, b));
+
+const housesAt = (location, system) =>
+  ephemerisService.calculateHouses(J2000, location.latitude, location.longitude, system);
+
+describe('🏠 House Systems', () => {
+
+  describe('Angles', () => {
+
+    test('should match reference Ascendant and MC for London', () => {
+      const houses = housesAt(LONDON, 'placidus');
+      expect(arcDistance(houses.ascendant, 24.03)).toBeLessThan(0.05);
+      expect(arcDistance(houses.midheaven, 279.50)).toBeLessThan(0.05);
+      expect(arcDistance(houses.descendant, houses.ascendant)).toBeCloseTo(180, 6);
+      expect(arcDistance(houses.ic, houses.midheaven)).toBeCloseTo(180, 6);
+    });
+
+    test('should place the Vertex in the western half of the chart', () => {
+      const houses = housesAt(LONDON, 'placidus');
+      expect([5, 6, 7, 8]).toContain(ephemerisService.assignHouse(houses.vertex, houses.cusps));
+    });
+
+    test('should return the East Point as the equatorial Ascendant', () => {
+      const atEquator = housesAt({ latitude: 0, longitude: LONDON.longitude }, 'placidus');
+      expect(housesAt(LONDON, 'placidus').eastPoint).toBeCloseTo(atEquator.ascendant, 6);
+    });
+  });
+
+  describe('Cusps', () => {
+
+    test.each(ephemerisService.HOUSE_SYSTEMS)('%s should return twelve cusps with opposite pairs', (system) => {
+      const { cusps } = housesAt(LONDON, system);
+      expect(cusps).toHaveLength(12);
+      for (let i = 0; i < 6; i++) {
+        expect(arcDistance(cusps[i], cusps[i + 6])).toBeCloseTo(180, 6);
+      }
+    });
+
+    test('should match reference Placidus intermediate cusps for London', () => {
+      const { cusps } = housesAt(LONDON, 'placidus');
+      expect(arcDistance(cusps[10], 298.93)).toBeLessThan(0.05);
+      expect(arcDistance(cusps[11], 327.51)).toBeLessThan(0.05);
+      expect(arcDistance(cusps[1], 61.02)).toBeLessThan(0.05);
+      expect(arcDistance(cusps[2], 81.92)).toBeLessThan(0.05);
+    });
+
+    test('equal houses should start at the Ascendant', () => {
+      const houses = housesAt(LONDON, 'equal');
+      houses.cusps.forEach((cusp, i) => {
+        expect(arcDistance(cusp, houses.ascendant + i * 30)).toBeCloseTo(0, 6);
+      });
+    });
+
+    test('whole sign houses should start at the rising sign', () => {
+      const houses = housesAt(LONDON, 'whole_sign');
+      expect(houses.cusps[0]).toBe(0);
+      expect(ephemerisService.assignHouse(houses.ascendant, houses.cusps)).toBe(1);
+    });
+
+    test('quadrant systems should coincide at the equator', () => {
+      const equator = { latitude: 0, longitude: 0 };
+      const placidus = housesAt(equator, 'placidus').cusps;
+
+      for (const system of ['koch', 'regiomontanus', 'campanus']) {
+        housesAt(equator, system).cusps.forEach((cusp, i) => {
+          expect(arcDistance(cusp, placidus[i])).toBeLessThan(1e-6);
+        });
+      }
+    });
+
+    test('should reject unknown house systems', () => {
+      expect(() => housesAt(LONDON, 'topocentric')).toThrow('Unsupported house system');
+    });
+  });
+
+  describe('Polar latitudes', () => {
+
+    test.each(['placidus', 'koch'])('%s should fall back above the polar circle', (system) => {
+      const houses = housesAt(TROMSO, system);
+      expect(houses.requestedSystem).toBe(system);
+      expect(houses.system).toBe(ephemerisService.getStatus().polarFallbackSystem);
+      expect(houses.fallbackReason).toBe('polar_latitude');
+    });
+
+    test('porphyry and whole sign should be used as requested', () => {
+      expect(housesAt(TROMSO, 'porphyry').fallbackReason).toBeNull();
+      expect(housesAt(TROMSO, 'whole_sign').system).toBe('whole_sign');
+    });
+
+    test('pure JS module should refuse Placidus inside the polar circle', () => {
+      expect(() => houseSystems.calculate(J2000, TROMSO.latitude, TROMSO.longitude, 'placidus'))
+        .toThrow(houseSystems.PolarHouseSystemError);
+    });
+  });
+
+  describe('House assignment', () => {
+
+    test('should handle houses spanning 0° Aries', () => {
+      const cusps = [350, 20, 50, 80, 110, 140, 170, 200, 230, 260, 290, 320];
+      expect(ephemerisService.assignHouse(355, cusps)).toBe(1);
+      expect(ephemerisService.assignHouse(5, cusps)).toBe(1);
+      expect(ephemerisService.assignHouse(20, cusps)).toBe(2);
+      expect(ephemerisService.assignHouse(349.9, cusps)).toBe(12);
+    });
+  });
+});
+
+describe('🌐 Birth chart route', () => {
+  let server;
+  let port;
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/personalized-horoscope', personalizedHoroscopeRoutes);
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const postBirthChart = body => new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const req = http.request({
+      port,
+      method: 'POST',
+      path: '/api/personalized-horoscope/birth-chart',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  const birthData = (location, houseSystem) => ({
+    birthDate: '2000-01-01',
+    birthTime: { hour: 12, minute: 30 },
+    birthLocation: location,
+    ...(houseSystem && { houseSystem })
+  });
+
+  test('should calculate the chart in the requested house system', async () => {
+    const res = await postBirthChart(birthData(LONDON, 'koch'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.birthChart.houseSystem).toBe('koch');
+    expect(res.body.data.birthChart.houseSystemFallbackReason).toBeNull();
+  });
+
+  test('should report the polar fallback for Placidus at Tromsø', async () => {
+    const res = await postBirthChart(birthData(TROMSO));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.birthChart.requestedHouseSystem).toBe('placidus');
+    expect(res.body.data.birthChart.houseSystemFallbackReason).toBe('polar_latitude');
+  });
+
+  test('should reject an unknown house system', async () => {
+    const res = await postBirthChart(birthData(LONDON, 'topocentric-ish'));
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('houseSystem');
+  });
+});
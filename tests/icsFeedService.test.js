@@ -0,0 +1,260 @@
+/**
+ * 🧪 ICS FEED SERVICE - ASTROLOGICAL TIMING CALENDAR FEED TESTS
+ *
+ * Covers the ephemeris searches the feed is built from (lunations,
+ * retrograde stations, void-of-course Moon, best days) against published
+ * October/November 2026 dates, then feed tokens, revocation, caching and
+ * the generated VCALENDAR in the subscriber's timezone.
+ *
+ * Run: npm test tests/icsFeedService.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+
+const crypto = require('crypto');
+const db = require('../src/config/db');
+const ephemerisService = require('../src/services/ephemerisService');
+const astrologicalTimingService = require('../src/services/astrologicalTimingService');
+const icsFeedService = require('../src/services/icsFeedService');
+const { parseICalendar } = require('../src/utils/icalendar');
+
+const minutesBetween = (a, b) => Math.abs(new Date(a) - new Date(b)) / 60000;
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('🌙 Astrological timing searches', () => {
+  test('finds new and full moons to within minutes', async () => {
+    const lunations = await astrologicalTimingService.getLunations('2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z');
+
+    expect(lunations.map(l => [l.type, l.sign])).toEqual([['new_moon', 'Libra'], ['full_moon', 'Taurus']]);
+    expect(minutesBetween(lunations[0].time, '2026-10-10T15:50:00Z')).toBeLessThan(10);
+    expect(minutesBetween(lunations[1].time, '2026-10-26T04:12:00Z')).toBeLessThan(10);
+  });
+
+  test('finds Mercury retrograde and direct stations', async () => {
+    const stations = await astrologicalTimingService.getRetrogradeStations(
+      '2026-10-18T00:00:00Z',
+      '2026-11-30T00:00:00Z',
+      ['mercury']
+    );
+
+    expect(stations.map(s => [s.type, s.sign])).toEqual([['retrograde', 'Scorpio'], ['direct', 'Scorpio']]);
+    expect(minutesBetween(stations[0].time, '2026-10-24T07:12:00Z')).toBeLessThan(180);
+    expect(minutesBetween(stations[1].time, '2026-11-13T15:54:00Z')).toBeLessThan(180);
+  });
+
+  test('void Moon periods run from the last exact aspect to the next sign', async () => {
+    const periods = await astrologicalTimingService.getVoidMoonPeriodsInRange('2026-10-18T00:00:00Z', '2026-10-25T00:00:00Z');
+
+    expect(periods.length).toBeGreaterThanOrEqual(3);
+    for (const period of periods) {
+      const endJd = ephemerisService.julianDay(new Date(period.endTime));
+      const moonAtEnd = ephemerisService.calculateBody('moon', endJd).longitude;
+      expect(Math.min(moonAtEnd % 30, 30 - (moonAtEnd % 30))).toBeLessThan(0.05);
+
+      const startJd = ephemerisService.julianDay(new Date(period.startTime));
+      const moonAtStart = ephemerisService.calculateBody('moon', startJd).longitude;
+      const exactAspect = astrologicalTimingService.voidMoonPlanets.some(planet => {
+        const separation = moonAtStart - ephemerisService.calculateBody(planet, startJd).longitude;
+        return astrologicalTimingService.majorAspectAngles.some(angle =>
+          Math.abs(astrologicalTimingService.signedAngle(separation - angle)) < 0.05
+        );
+      });
+      expect(exactAspect).toBe(true);
+      expect(period.duration).toBeGreaterThan(0);
+    }
+  });
+
+  test('rates best days on local dates and avoids Mercury retrograde for contracts', async () => {
+    const result = await astrologicalTimingService.getBestDays('contract_signing', {
+      dateRange: { start: '2026-10-18', end: '2026-11-30' },
+      timezone: 'America/Mexico_City',
+      limit: 5
+    });
+
+    expect(result.timezone).toBe('America/Mexico_City');
+    expect(result.bestDays).toHaveLength(5);
+    for (const day of result.bestDays) {
+      expect(day.retrogrades).toEqual([]);
+      expect(day.date < '2026-10-24' || day.date > '2026-11-13').toBe(true);
+    }
+    const ratings = result.bestDays.map(day => day.rating);
+    expect([...ratings].sort((a, b) => b - a)).toEqual(ratings);
+  });
+
+  test('rejects unknown activity types', async () => {
+    await expect(astrologicalTimingService.getBestDays('skydiving')).rejects.toThrow('Unknown activity type');
+  });
+});
+
+describe('📆 ICS Feed Service', () => {
+  const feedRow = (overrides = {}) => ({
+    id: '5d0f3f0e-7b43-4a3c-9d55-6c3e0c1d2a10',
+    user_id: 'user-1',
+    name: 'Cosmic Timing',
+    timezone: 'America/Mexico_City',
+    activity_types: ['contract_signing'],
+    include_events: ['void_moon', 'retrograde_stations', 'lunations', 'best_days'],
+    token_hint: 'abcdef',
+    ics_body: null,
+    generated_at: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  describe('Tokens', () => {
+    test('stores only the token hash and returns the subscription URL once', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: 0 }] })
+        .mockImplementationOnce(async (sql, params) => ({ rows: [feedRow({ token_hint: params[2] })] }));
+
+      const result = await icsFeedService.createFeed('user-1', { timezone: 'America/Mexico_City' });
+
+      expect(result.success).toBe(true);
+      expect(result.token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(result.url).toBe(`/api/calendar-feeds/${result.token}.ics`);
+
+      const [, params] = db.query.mock.calls[1];
+      expect(params[1]).toBe(sha256(result.token));
+      expect(params).not.toContain(result.token);
+      expect(params[5]).toEqual(icsFeedService.defaultActivityTypes);
+      expect(result.feed).not.toHaveProperty('token_hash');
+    });
+
+    test('rejects unknown timezones and enforces the per-user limit', async () => {
+      expect(await icsFeedService.createFeed('user-1', { timezone: 'Mars/Olympus' }))
+        .toEqual({ success: false, error: 'invalid_timezone' });
+
+      db.query.mockResolvedValueOnce({ rows: [{ count: icsFeedService.config.maxFeedsPerUser }] });
+      expect(await icsFeedService.createFeed('user-1', {}))
+        .toMatchObject({ success: false, error: 'feed_limit_reached' });
+    });
+
+    test('unknown and revoked tokens resolve to nothing', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await icsFeedService.getCalendarByToken('revoked-token')).toBeNull();
+      expect(db.query.mock.calls[0][0]).toContain('revoked_at IS NULL');
+      expect(db.query.mock.calls[0][1]).toEqual([sha256('revoked-token')]);
+    });
+
+    test('revoking another user\'s feed is reported as not found', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      expect(await icsFeedService.revokeFeed('user-2', feedRow().id))
+        .toEqual({ success: false, error: 'feed_not_found' });
+      expect(db.query.mock.calls[0][1]).toEqual([feedRow().id, 'user-2']);
+    });
+  });
+
+  describe('Caching', () => {
+    test('serves a fresh stored calendar without regenerating', async () => {
+      const generateSpy = jest.spyOn(icsFeedService, 'generateCalendar');
+      db.query
+        .mockResolvedValueOnce({ rows: [feedRow({ ics_body: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n', generated_at: new Date() })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const calendar = await icsFeedService.getCalendarByToken('token');
+
+      expect(calendar.body).toContain('BEGIN:VCALENDAR');
+      expect(calendar.etag).toMatch(/^"[0-9a-f]{40}"$/);
+      expect(generateSpy).not.toHaveBeenCalled();
+      expect(db.query.mock.calls[1][0]).toContain('access_count = access_count + 1');
+      generateSpy.mockRestore();
+    });
+
+    test('serves a stale calendar as stored and rebuilds it in the background', async () => {
+      const generateSpy = jest.spyOn(icsFeedService, 'generateCalendar').mockResolvedValue('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+      const stale = new Date(Date.now() - (icsFeedService.config.refreshHours + 1) * 3600 * 1000);
+      db.query.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT * FROM calendar_feeds')) return { rows: [feedRow({ ics_body: 'old', generated_at: stale })] };
+        if (sql.includes('SET ics_body')) return { rows: [{ generated_at: new Date() }] };
+        return { rows: [] };
+      });
+
+      const calendar = await icsFeedService.getCalendarByToken('token');
+      await icsFeedService.getCalendarByToken('token');
+
+      expect(calendar.body).toBe('old');
+      expect(calendar.generatedAt).toBe(stale.toISOString());
+      expect(generateSpy).toHaveBeenCalledTimes(1);
+
+      await new Promise(resolve => setImmediate(resolve));
+      const store = db.query.mock.calls.find(([sql]) => sql.includes('SET ics_body'));
+      expect(store[1]).toEqual([feedRow().id, 'BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n']);
+      expect(icsFeedService.refreshing.size).toBe(0);
+      generateSpy.mockRestore();
+    });
+
+    test('builds a feed inline the first time it is fetched', async () => {
+      const generateSpy = jest.spyOn(icsFeedService, 'generateCalendar').mockResolvedValue('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+      db.query.mockImplementation(async (sql) => {
+        if (sql.includes('SELECT * FROM calendar_feeds')) return { rows: [feedRow()] };
+        if (sql.includes('SET ics_body')) return { rows: [{ generated_at: new Date() }] };
+        return { rows: [] };
+      });
+
+      const calendar = await icsFeedService.getCalendarByToken('token');
+
+      expect(calendar.body).toBe('BEGIN:VCALENDAR\r\nEND:VCALENDAR\r\n');
+      expect(generateSpy).toHaveBeenCalledTimes(1);
+      generateSpy.mockRestore();
+    });
+  });
+
+  describe('Generated calendar', () => {
+    let events;
+    let body;
+
+    let voidSearches;
+
+    beforeAll(async () => {
+      const voidSpy = jest.spyOn(astrologicalTimingService, 'getVoidMoonPeriodsInRange');
+      const feed = feedRow({ activity_types: ['contract_signing', 'first_date'] });
+      body = await icsFeedService.generateCalendar(feed, new Date('2026-10-18T12:00:00Z'));
+      events = parseICalendar(body);
+      voidSearches = voidSpy.mock.calls.length;
+      voidSpy.mockRestore();
+    });
+
+    test('searches void Moon periods once for every activity', () => {
+      expect(voidSearches).toBe(1);
+      expect(events.some(event => event.uid.startsWith('best-day-first_date-'))).toBe(true);
+    });
+
+    test('publishes every event type', () => {
+      const categories = new Set(events.flatMap(event => event.categories));
+
+      expect([...categories].sort()).toEqual(['Best Days', 'Moon Phase', 'Retrograde', 'Void Moon']);
+      expect(body).toContain('X-WR-TIMEZONE:America/Mexico_City');
+      expect(body).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT12H');
+    });
+
+    test('puts lunations on the subscriber\'s local date', () => {
+      // 2026-10-26 04:12 UTC is still October 25 in Mexico City
+      const fullMoon = events.find(event => event.title === '🌕 Full Moon in Taurus');
+
+      expect(fullMoon.allDay).toBe(true);
+      expect(fullMoon.start).toBe('2026-10-25T00:00:00.000Z');
+      expect(fullMoon.description).toContain('Sun 25 Oct 22:12');
+    });
+
+    test('includes Mercury stations and timed void Moon periods', () => {
+      expect(events.some(event => event.title === 'Mercury stations retrograde ℞')).toBe(true);
+
+      const voidMoon = events.find(event => event.categories.includes('Void Moon'));
+      expect(voidMoon.allDay).toBe(false);
+      expect(new Date(voidMoon.end) > new Date(voidMoon.start)).toBe(true);
+    });
+
+    test('uses stable UIDs so clients update events in place', async () => {
+      const feed = feedRow({ activity_types: ['contract_signing', 'first_date'] });
+      const again = parseICalendar(await icsFeedService.generateCalendar(feed, new Date('2026-10-18T12:00:00Z')));
+
+      expect(again.map(event => event.uid)).toEqual(events.map(event => event.uid));
+      expect(new Set(events.map(event => event.uid)).size).toBe(events.length);
+    });
+  });
+});
@@ -0,0 +1,444 @@
+/**
+ * 🧪 LLM SERVICE - PROVIDER LAYER TESTS
+ *
+ * Per-feature routing, the deterministic fixture provider, and the
+ * Anthropic and OpenAI-compatible (Ollama/llama.cpp) backends against
+ * in-process stand-in servers.
+ *
+ * Run: npm test tests/llmService.test.js
+ */
+
+const http = require('http');
+const llmService = require('../src/services/llmService');
+const { LLMService } = require('../src/services/llmService');
+const { parseRoutes, FEATURES } = require('../src/config/llm');
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+};
+
+const streamText = chunks => chunks
+  .map(chunk => (chunk.choices[0] && chunk.choices[0].delta.content) || '')
+  .join('');
+
+// Minimal HTTP stand-in: handler(req, body) => { status, json } | { status, sse: [events] }
+const startServer = (handler) => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const reply = handler(req, body);
+      if (reply.sse) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        reply.sse.forEach(event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`));
+        return res.end();
+      }
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.json));
+    });
+  });
+  server.listen(0, () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` }));
+});
+
+const createService = (providers, routes = {}, defaultProvider = 'fixture') => new LLMService({
+  PROVIDERS: { fixture: { type: 'fixture' }, ...providers },
+  FEATURES,
+  DEFAULT_PROVIDER: defaultProvider,
+  ROUTES: routes
+});
+
+describe('🧠 LLM Service', () => {
+  describe('Routing', () => {
+    test('uses the fixture provider under test', () => {
+      expect(llmService.defaultProvider).toBe('fixture');
+      expect(llmService.isAvailable('coach')).toBe(true);
+      expect(llmService.getStatus().features.voice).toEqual({ provider: 'fixture', model: null, available: true });
+    });
+
+    test('parses LLM_ROUTES shorthand and objects', () => {
+      expect(parseRoutes('{"coach":"anthropic:claude-3-5-sonnet-latest","timing":{"provider":"local"},"voice":"openai"}')).toEqual({
+        coach: { provider: 'anthropic', model: 'claude-3-5-sonnet-latest' },
+        timing: { provider: 'local', model: undefined },
+        voice: { provider: 'openai', model: undefined }
+      });
+      expect(parseRoutes('not json')).toEqual({});
+      expect(parseRoutes(undefined)).toEqual({});
+    });
+
+    test('route models win; otherwise OpenAI keeps the caller model and others use their default', () => {
+      const service = createService({
+        openai: { type: 'openai', apiKey: 'sk-test', defaultModel: 'gpt-4o-mini' },
+        local: { type: 'openai-compatible', baseURL: 'http://localhost:11434/v1', defaultModel: 'llama3.1' }
+      }, {
+        timing: { provider: 'local' },
+        prediction: { provider: 'openai', model: 'gpt-4o' },
+        coach: { provider: 'openai' }
+      });
+
+      expect(service.resolve('timing', 'gpt-4').model).toBe('llama3.1');
+      expect(service.resolve('prediction', 'gpt-4-turbo-preview').model).toBe('gpt-4o');
+      expect(service.resolve('coach', 'gpt-4o-mini').model).toBe('gpt-4o-mini');
+      expect(service.resolve('coach').model).toBe('gpt-4o-mini');
+    });
+
+    test('reports providers that are unconfigured or lack a capability', async () => {
+      const service = createService({
+        openai: { type: 'openai', apiKey: undefined },
+        anthropic: { type: 'anthropic', apiKey: 'key', baseURL: 'http://localhost' }
+      }, {
+        coach: { provider: 'openai' },
+        voice: { provider: 'anthropic' },
+        images: { provider: 'nowhere' }
+      });
+
+      expect(service.isAvailable('coach')).toBe(false);
+      expect(service.isAvailable('voice', 'speech')).toBe(false);
+      expect(service.isAvailable('images', 'image')).toBe(false);
+
+      await expect(service.chat('coach', { messages: [] })).rejects.toMatchObject({ code: 'llm_not_configured' });
+      await expect(service.speech('voice', { input: 'hi' })).rejects.toMatchObject({ code: 'unsupported_capability' });
+    });
+  });
+
+  describe('Fixture provider', () => {
+    const service = createService({});
+    const messages = [{ role: 'system', content: 'You are Stella.' }, { role: 'user', content: 'Hello' }];
+
+    afterEach(() => service.clearFixtures());
+
+    test('answers identical requests identically', async () => {
+      const first = await service.chat('coach', { model: 'gpt-4o', messages });
+      const second = await service.chat('coach', { model: 'gpt-4o', messages });
+      const other = await service.chat('coach', { model: 'gpt-4o', messages: [...messages, { role: 'user', content: 'More' }] });
+
+      expect(first).toEqual(second);
+      expect(first.model).toBe('gpt-4o');
+      expect(first.choices[0].message.content).toMatch(/^Fixture reply for coach \([0-9a-f]{12}\)\.$/);
+      expect(other.choices[0].message.content).not.toBe(first.choices[0].message.content);
+      expect(first.usage.total_tokens).toBe(first.usage.prompt_tokens + first.usage.completion_tokens);
+    });
+
+    test('returns JSON in JSON mode and serves registered fixtures', async () => {
+      const json = await service.chat('prediction', { messages, response_format: { type: 'json_object' } });
+      expect(JSON.parse(json.choices[0].message.content)).toMatchObject({ fixture: true, feature: 'prediction' });
+
+      service.setFixture('prediction', { prediction: 'A message arrives before noon' });
+      service.setFixture('timing', (params, feature) => `${feature}: ${params.messages.length} messages`);
+
+      const fixed = await service.chat('prediction', { messages });
+      const computed = await service.chat('timing', { messages });
+      expect(JSON.parse(fixed.choices[0].message.content)).toEqual({ prediction: 'A message arrives before noon' });
+      expect(computed.choices[0].message.content).toBe('timing: 2 messages');
+    });
+
+    test('streams word chunks followed by usage', async () => {
+      service.setFixture('coach', 'Trust the   slow Moon.');
+
+      const chunks = await collect(await service.chat('coach', { messages, stream: true }));
+
+      expect(chunks.slice(0, 4).map(c => c.choices[0].delta.content)).toEqual(['Trust ', 'the   ', 'slow ', 'Moon.']);
+      expect(streamText(chunks)).toBe('Trust the   slow Moon.');
+      expect(chunks[chunks.length - 1].usage.completion_tokens).toBe(6);
+    });
+
+    test('produces stable speech and image stand-ins', async () => {
+      const audio = await service.speech('voice', { model: 'tts-1', voice: 'nova', input: 'Breathe' });
+      const images = await service.image('images', { model: 'dall-e-3', prompt: 'Leo sunrise', n: 2 });
+
+      expect(Buffer.isBuffer(audio)).toBe(true);
+      expect(audio).toEqual(await service.speech('voice', { model: 'tts-1', voice: 'nova', input: 'Breathe' }));
+      expect(images.data).toHaveLength(2);
+      expect(images.data[0]).toMatchObject({ revised_prompt: 'Leo sunrise' });
+      expect(images.data[0].url).toMatch(/^https:\/\/fixtures\.invalid\/images\//);
+    });
+
+    test('embeds related texts closer together than unrelated ones', async () => {
+      const { cosineSimilarity } = require('../src/services/memoryVectorStore');
+      const response = await service.embed('embeddings', {
+        input: ['Job interview on Friday', 'My job interview is on Friday', 'The cat needs surgery']
+      });
+      const [job, sameJob, cat] = response.data.map(item => item.embedding);
+
+      expect(response.model).toBe('fixture-embedding');
+      expect(job).toHaveLength(256);
+      expect(cosineSimilarity(job, sameJob)).toBeGreaterThan(0.7);
+      expect(Math.abs(cosineSimilarity(job, cat))).toBeLessThan(0.2);
+    });
+  });
+
+  describe('Anthropic provider', () => {
+    let stub;
+    let service;
+
+    beforeAll(async () => {
+      stub = await startServer((req, body) => {
+        if (body.model === 'overloaded') {
+          return { status: 429, json: { type: 'error', error: { type: 'rate_limit_error', message: 'Slow down' } } };
+        }
+        if (body.tools && body.stream) {
+          return {
+            sse: [
+              { type: 'message_start', message: { id: 'msg_4', usage: { input_tokens: 60, output_tokens: 1 } } },
+              { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_2', name: 'find_best_days', input: {} } },
+              { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"activityType":' } },
+              { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '"job_interview"}' } },
+              { type: 'content_block_stop', index: 0 },
+              { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 12 } },
+              { type: 'message_stop' }
+            ]
+          };
+        }
+        if (body.tools) {
+          return {
+            json: {
+              id: 'msg_3',
+              model: body.model,
+              content: [
+                { type: 'text', text: 'Let me check.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'check_compatibility', input: { sign: 'libra' } }
+              ],
+              stop_reason: 'tool_use',
+              usage: { input_tokens: 80, output_tokens: 20 }
+            }
+          };
+        }
+        if (body.stream) {
+          return {
+            sse: [
+              { type: 'message_start', message: { id: 'msg_2', usage: { input_tokens: 30, output_tokens: 1 } } },
+              { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+              { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Venus ' } },
+              { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'smiles.' } },
+              { type: 'content_block_stop', index: 0 },
+              { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } },
+              { type: 'message_stop' }
+            ]
+          };
+        }
+        return {
+          json: {
+            id: 'msg_1',
+            model: body.model,
+            content: [{ type: 'text', text: 'Mars says go.' }],
+            stop_reason: 'max_tokens',
+            usage: { input_tokens: 42, output_tokens: 5 }
+          }
+        };
+      });
+      service = createService({
+        anthropic: {
+          type: 'anthropic',
+          apiKey: 'ant-key',
+          baseURL: stub.url,
+          apiVersion: '2023-06-01',
+          defaultModel: 'claude-3-5-haiku-latest',
+          defaultMaxTokens: 1024,
+          timeout: 5000
+        }
+      }, {}, 'anthropic');
+    });
+
+    afterAll(done => {
+      stub.server.close(done);
+    });
+
+    test('translates OpenAI chat params to the Messages API and back', async () => {
+      const completion = await service.chat('coach', {
+        model: 'gpt-4o',
+        messages: [
+          { role: 'system', content: 'You are Stella.' },
+          { role: 'system', content: 'Respond in Spanish.' },
+          { role: 'user', content: 'Hola' },
+          { role: 'user', content: '¿Qué dice Marte?' },
+          { role: 'assistant', content: 'Pregunta.' },
+          { role: 'user', content: 'Dime.' }
+        ],
+        temperature: 1.2,
+        presence_penalty: 0.6,
+        response_format: { type: 'json_object' }
+      });
+
+      const request = stub.requests[stub.requests.length - 1];
+      expect(request.url).toBe('/v1/messages');
+      expect(request.headers).toMatchObject({ 'x-api-key': 'ant-key', 'anthropic-version': '2023-06-01' });
+      expect(request.body).toEqual({
+        model: 'claude-3-5-haiku-latest',
+        system: 'You are Stella.\n\nRespond in Spanish.\n\nRespond with a single valid JSON object and nothing else.',
+        messages: [
+          { role: 'user', content: 'Hola\n\n¿Qué dice Marte?' },
+          { role: 'assistant', content: 'Pregunta.' },
+          { role: 'user', content: 'Dime.' }
+        ],
+        max_tokens: 1024,
+        temperature: 1
+      });
+
+      expect(completion).toMatchObject({
+        id: 'msg_1',
+        choices: [{ message: { role: 'assistant', content: 'Mars says go.' }, finish_reason: 'length' }],
+        usage: { prompt_tokens: 42, completion_tokens: 5, total_tokens: 47 }
+      });
+    });
+
+    test('streams text deltas as OpenAI chunks', async () => {
+      const chunks = await collect(await service.chat('coach', {
+        messages: [{ role: 'user', content: 'Stream please' }],
+        max_tokens: 50,
+        stream: true
+      }));
+
+      expect(streamText(chunks)).toBe('Venus smiles.');
+      expect(chunks.find(c => c.choices[0] && c.choices[0].finish_reason).choices[0].finish_reason).toBe('stop');
+      expect(chunks[chunks.length - 1].usage).toEqual({ prompt_tokens: 30, completion_tokens: 4, total_tokens: 34 });
+    });
+
+    test('translates tools, tool calls and tool results', async () => {
+      const tools = [{
+        type: 'function',
+        function: { name: 'check_compatibility', description: 'Compatibility with a sign', parameters: { type: 'object', properties: { sign: { type: 'string' } } } }
+      }];
+
+      const completion = await service.chat('coach', {
+        messages: [
+          { role: 'user', content: 'Leo and Libra?' },
+          { role: 'assistant', content: null, tool_calls: [{ id: 'toolu_0', type: 'function', function: { name: 'check_compatibility', arguments: '{"sign":"libra"}' } }] },
+          { role: 'tool', tool_call_id: 'toolu_0', content: '{"score":8}' },
+          { role: 'user', content: 'And again?' }
+        ],
+        tools,
+        tool_choice: 'required'
+      });
+
+      const { body } = stub.requests[stub.requests.length - 1];
+      expect(body.tools).toEqual([{ name: 'check_compatibility', description: 'Compatibility with a sign', input_schema: tools[0].function.parameters }]);
+      expect(body.tool_choice).toEqual({ type: 'any' });
+      expect(body.messages).toEqual([
+        { role: 'user', content: 'Leo and Libra?' },
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_0', name: 'check_compatibility', input: { sign: 'libra' } }] },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'toolu_0', content: '{"score":8}' },
+            { type: 'text', text: 'And again?' }
+          ]
+        }
+      ]);
+
+      expect(completion.choices[0]).toMatchObject({
+        finish_reason: 'tool_calls',
+        message: {
+          content: 'Let me check.',
+          tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'check_compatibility', arguments: '{"sign":"libra"}' } }]
+        }
+      });
+    });
+
+    test('streams tool call arguments as OpenAI deltas', async () => {
+      const chunks = await collect(await service.chat('coach', {
+        messages: [{ role: 'user', content: 'Best day for an interview?' }],
+        tools: [{ type: 'function', function: { name: 'find_best_days', parameters: { type: 'object', properties: {} } } }],
+        stream: true
+      }));
+
+      const deltas = chunks.flatMap(c => (c.choices[0] && c.choices[0].delta.tool_calls) || []);
+      expect(deltas[0]).toMatchObject({ index: 0, id: 'toolu_2', function: { name: 'find_best_days' } });
+      expect(deltas.map(d => d.function.arguments).join('')).toBe('{"activityType":"job_interview"}');
+      expect(chunks.find(c => c.choices[0] && c.choices[0].finish_reason).choices[0].finish_reason).toBe('tool_calls');
+    });
+
+    test('maps rate limits to the OpenAI error code callers retry on', async () => {
+      service.setRoute('coach', { provider: 'anthropic', model: 'overloaded' });
+
+      await expect(service.chat('coach', { messages: [{ role: 'user', content: 'Hi' }] }))
+        .rejects.toMatchObject({ status: 429, code: 'rate_limit_exceeded', message: 'Slow down' });
+
+      service.setRoute('coach', null);
+    });
+  });
+
+  describe('OpenAI-compatible local provider', () => {
+    let stub;
+
+    beforeAll(async () => {
+      stub = await startServer(req => (req.url === '/v1/embeddings' ? {
+        json: {
+          object: 'list',
+          model: 'nomic-embed-text',
+          data: [{ object: 'embedding', index: 0, embedding: [0.1, 0.2, 0.3] }],
+          usage: { prompt_tokens: 4, total_tokens: 4 }
+        }
+      } : {
+        json: {
+          id: 'chatcmpl-local',
+          object: 'chat.completion',
+          model: 'llama3.1',
+          choices: [{ index: 0, message: { role: 'assistant', content: 'Local stars.' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 9, completion_tokens: 3, total_tokens: 12 }
+        }
+      }));
+    });
+
+    afterAll(done => {
+      stub.server.close(done);
+    });
+
+    test('sends the local model and drops OpenAI-only penalties', async () => {
+      const service = createService({
+        local: { type: 'openai-compatible', apiKey: 'local', baseURL: `${stub.url}/v1`, defaultModel: 'llama3.1' }
+      }, { timing: { provider: 'local' } });
+
+      const completion = await service.chat('timing', {
+        model: 'gpt-4',
+        messages: [{ role: 'user', content: 'Explain this window' }],
+        presence_penalty: 0.6,
+        frequency_penalty: 0.3,
+        max_tokens: 100
+      });
+
+      const request = stub.requests[0];
+      expect(request.url).toBe('/v1/chat/completions');
+      expect(request.body).toEqual({
+        model: 'llama3.1',
+        messages: [{ role: 'user', content: 'Explain this window' }],
+        max_tokens: 100
+      });
+      expect(completion.choices[0].message.content).toBe('Local stars.');
+    });
+
+    test('does not offer speech or images', () => {
+      const service = createService({
+        local: { type: 'openai-compatible', baseURL: 'http://localhost:11434/v1' }
+      }, { voice: { provider: 'local' } });
+
+      expect(service.isAvailable('voice', 'speech')).toBe(false);
+      expect(service.isAvailable('timing')).toBe(true);
+    });
+
+    test('embeds with the local embedding model', async () => {
+      const service = createService({
+        local: {
+          type: 'openai-compatible',
+          apiKey: 'local',
+          baseURL: `${stub.url}/v1`,
+          defaultModel: 'llama3.1',
+          embeddingModel: 'nomic-embed-text'
+        },
+        anthropic: { type: 'anthropic', apiKey: 'key', baseURL: 'http://localhost' }
+      }, { embeddings: { provider: 'local' }, coach: { provider: 'anthropic' } });
+
+      const response = await service.embed('embeddings', { input: ['Job interview on Friday'] });
+
+      const request = stub.requests[stub.requests.length - 1];
+      expect(request.url).toBe('/v1/embeddings');
+      expect(request.body).toMatchObject({ model: 'nomic-embed-text', input: ['Job interview on Friday'] });
+      expect(response.data[0].embedding).toEqual([0.1, 0.2, 0.3]);
+      expect(service.isAvailable('coach', 'embedding')).toBe(false);
+      await expect(service.embed('coach', { input: 'hi' })).rejects.toMatchObject({ code: 'unsupported_capability' });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * 🧪 MEMORY SERVICE - LLM EXTRACTION TESTS
+ *
+ * Structured extraction (type, subject, dates, sentiment, importance,
+ * expiry), relative date resolution in the user's timezone, and the
+ * keyword fallback when the model is unavailable or replies badly.
+ *
+ * Run: npm test tests/memoryExtraction.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+
+const db = require('../src/config/db');
+const llmService = require('../src/services/llmService');
+const memoryService = require('../src/services/memoryService');
+const { findDateMentions, resolveDatePhrase } = require('../src/utils/relativeDates');
+
+const USER_ID = '11111111-1111-1111-1111-111111111111';
+// Sunday evening in Mexico City, already Monday in UTC
+const NOW = new Date('2026-10-19T02:00:00Z');
+const TIMEZONE = 'America/Mexico_City';
+
+const insertedRows = () => db.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO user_memories'))
+  .map(([, params]) => ({
+    type: params[1],
+    content: params[2],
+    importance: params[3],
+    subject: params[4],
+    sentiment: params[5],
+    eventDate: params[6],
+    expiresAt: params[7],
+    metadata: JSON.parse(params[8])
+  }));
+
+describe('📅 Relative dates', () => {
+  const options = { now: NOW, timezone: TIMEZONE };
+
+  test('resolves weekdays against the user\'s local day', () => {
+    expect(resolveDatePhrase('next Friday', options)).toBe('2026-10-23');
+    expect(resolveDatePhrase('Sunday', options)).toBe('2026-10-18');
+    expect(resolveDatePhrase('next Sunday', options)).toBe('2026-10-25');
+    expect(resolveDatePhrase('tomorrow', options)).toBe('2026-10-19');
+    expect(resolveDatePhrase('tomorrow', { now: NOW, timezone: 'UTC' })).toBe('2026-10-20');
+  });
+
+  test('understands the supported languages', () => {
+    expect(resolveDatePhrase('el próximo viernes', { ...options, language: 'es' })).toBe('2026-10-23');
+    expect(resolveDatePhrase('pasado mañana', { ...options, language: 'es' })).toBe('2026-10-20');
+    expect(resolveDatePhrase('daqui a 3 semanas', { ...options, language: 'pt' })).toBe('2026-11-08');
+    expect(resolveDatePhrase('vendredi prochain', { ...options, language: 'fr' })).toBe('2026-10-23');
+    expect(resolveDatePhrase('in zwei Tagen', { ...options, language: 'de' })).toBe('2026-10-20');
+    expect(resolveDatePhrase('tra un mese', { ...options, language: 'it' })).toBe('2026-11-18');
+  });
+
+  test('finds every mention, preferring the longest phrase and skipping "this morning"', () => {
+    const mentions = findDateMentions('Esta mañana hablé con mi jefe: la entrevista es pasado mañana y la boda la próxima semana', {
+      ...options,
+      language: 'es'
+    });
+
+    expect(mentions).toEqual([
+      { text: 'pasado mañana', date: '2026-10-20', precision: 'day' },
+      { text: 'la próxima semana', date: '2026-10-19', precision: 'week' }
+    ]);
+  });
+
+  test('passes ISO dates through and ignores text without dates', () => {
+    expect(resolveDatePhrase('on 2026-12-05', options)).toBe('2026-12-05');
+    expect(resolveDatePhrase('I feel stuck at work', options)).toBeNull();
+  });
+});
+
+describe('🧠 Memory Service - LLM Extraction', () => {
+  beforeAll(() => {
+    // Ranking and dedup are covered in memoryRetrieval.test.js
+    memoryService.setVectorStore(null);
+  });
+
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockImplementation(async (sql) => (
+      sql.includes('INSERT INTO user_memories') ? { rows: [{ id: 'memory-1' }] } : { rows: [] }
+    ));
+    llmService.clearFixtures();
+    llmService.setRoute('embeddings', { provider: 'anthropic' }); // No embeddings: text dedup
+  });
+
+  afterAll(() => {
+    memoryService.setVectorStore(undefined);
+    llmService.setRoute('embeddings', null);
+    llmService.clearFixtures();
+  });
+
+  test('stores structured memories with dates resolved in the user\'s timezone', async () => {
+    const chat = jest.spyOn(llmService, 'chat');
+    llmService.setFixture('memory_extraction', {
+      memories: [{
+        type: 'goal',
+        content: 'Has a job interview at the design studio next Friday',
+        subject: 'job interview',
+        // The model got the weekday wrong; the phrase is re-resolved locally
+        dates: [{ text: 'next Friday', date: '2026-10-30' }],
+        sentiment: 'mixed',
+        importance: 8,
+        expires_at: null
+      }]
+    });
+
+    const stored = await memoryService.extractAndStoreMemories(
+      'I am nervous, next Friday I have the interview at the design studio',
+      USER_ID,
+      { now: NOW, timezone: TIMEZONE, language: 'en' }
+    );
+
+    expect(stored).toBe(1);
+    expect(insertedRows()).toEqual([{
+      type: 'goal',
+      content: 'Has a job interview at the design studio next Friday',
+      importance: 8,
+      subject: 'job interview',
+      sentiment: 'mixed',
+      eventDate: '2026-10-23',
+      // Two weeks after the interview, end of day in Mexico City
+      expiresAt: '2026-11-07T05:59:59.999Z',
+      metadata: expect.objectContaining({
+        source: 'llm_extraction',
+        timezone: TIMEZONE,
+        dates: [{ text: 'next Friday', date: '2026-10-23', precision: 'day' }]
+      })
+    }]);
+
+    const [, params] = chat.mock.calls[0];
+    expect(params.response_format).toEqual({ type: 'json_object' });
+    expect(params.messages[0].content).toContain('Today is Sunday 2026-10-18');
+    chat.mockRestore();
+  });
+
+  test('keeps explicit expiry and model dates for phrases it cannot resolve; drops invalid entries', async () => {
+    llmService.setFixture('memory_extraction', {
+      memories: [
+        {
+          type: 'milestone',
+          content: 'Turns 30 on March 3rd',
+          subject: 'birthday',
+          dates: [{ text: 'March 3rd', date: '2027-03-03' }],
+          sentiment: 'positive',
+          importance: 42,
+          expires_at: '2027-03-10'
+        },
+        { type: 'hobby', content: 'Likes chess' },
+        { type: 'goal', content: '   ' }
+      ]
+    });
+
+    const stored = await memoryService.extractAndStoreMemories('I turn 30 on March 3rd!', USER_ID, {
+      now: NOW,
+      timezone: 'UTC'
+    });
+
+    expect(stored).toBe(1);
+    expect(insertedRows()[0]).toMatchObject({
+      type: 'milestone',
+      importance: 7, // Out of range: the type's default
+      eventDate: '2027-03-03',
+      expiresAt: '2027-03-10T23:59:59.999Z'
+    });
+  });
+
+  test('an empty extraction stores nothing and does not fall back to keywords', async () => {
+    llmService.setFixture('memory_extraction', { memories: [] });
+
+    const stored = await memoryService.extractAndStoreMemories('Voy a preguntarte por mi horóscopo de hoy', USER_ID, {
+      now: NOW,
+      timezone: TIMEZONE
+    });
+
+    expect(stored).toBe(0);
+    expect(insertedRows()).toEqual([]);
+  });
+
+  test('falls back to keyword patterns when the reply is unusable, still resolving dates', async () => {
+    llmService.setFixture('memory_extraction', 'Sure! Here are the memories you asked for.');
+
+    const stored = await memoryService.extractAndStoreMemories(
+      'My mom is sick and goes to the hospital tomorrow',
+      USER_ID,
+      { now: NOW, timezone: TIMEZONE, language: 'en' }
+    );
+
+    expect(stored).toBe(1);
+    expect(insertedRows()[0]).toMatchObject({
+      type: 'life_event',
+      importance: 9,
+      eventDate: '2026-10-19',
+      metadata: expect.objectContaining({ source: 'auto_extraction', keyword: 'hospital' })
+    });
+  });
+
+  test('falls back to keyword patterns when no model is configured', async () => {
+    llmService.setRoute('memory_extraction', { provider: 'nowhere' });
+
+    const stored = await memoryService.extractAndStoreMemories('My goal is to run a marathon next spring', USER_ID, {
+      now: NOW
+    });
+
+    llmService.setRoute('memory_extraction', null);
+    expect(stored).toBe(1);
+    expect(insertedRows()[0]).toMatchObject({
+      type: 'goal',
+      eventDate: null,
+      expiresAt: null,
+      metadata: expect.objectContaining({ source: 'auto_extraction' })
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * 🧪 MEMORY SERVICE - SEMANTIC RETRIEVAL TESTS
+ *
+ * Ranking by similarity blended with importance and recency, near-duplicate
+ * merging at extraction, embedding backfill, and the two vector stores.
+ * Embeddings come from the deterministic fixture provider.
+ *
+ * Run: npm test tests/memoryRetrieval.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+
+const db = require('../src/config/db');
+const llmService = require('../src/services/llmService');
+const memoryService = require('../src/services/memoryService');
+const {
+  PgVectorStore,
+  CosineVectorStore,
+  cosineSimilarity
+} = require('../src/services/memoryVectorStore');
+
+const USER_ID = '11111111-1111-1111-1111-111111111111';
+
+const embed = async (text) => {
+  const response = await llmService.embed('embeddings', { input: text });
+  return response.data[0].embedding;
+};
+
+// In-memory store with the vector store interface
+const createMemoryStore = (rows) => ({
+  name: 'test',
+  saved: [],
+  async save(memoryId, embedding, model) {
+    this.saved.push({ memoryId, model });
+    const row = rows.find(r => r.id === memoryId);
+    if (row) Object.assign(row, { embedding, embedding_model: model });
+  },
+  async search(userId, embedding, { model, memoryType = null, limit = 50 } = {}) {
+    return rows
+      .filter(row => !memoryType || row.memory_type === memoryType)
+      .map(({ embedding: stored, embedding_model: storedModel, ...row }) => ({
+        ...row,
+        similarity: stored && storedModel === model ? cosineSimilarity(embedding, stored) : null
+      }))
+      .sort((a, b) => (b.similarity ?? -1) - (a.similarity ?? -1))
+      .slice(0, limit);
+  }
+});
+
+const memoryRow = async (id, memoryType, content, importance, daysAgo = 0, embedded = true) => ({
+  id,
+  memory_type: memoryType,
+  content,
+  importance,
+  days_ago: daysAgo,
+  mention_count: 1,
+  metadata: {},
+  embedding: embedded ? await embed(content) : null,
+  embedding_model: embedded ? 'fixture-embedding' : null
+});
+
+describe('🧠 Memory Service - Semantic Retrieval', () => {
+  beforeAll(() => {
+    // Keyword extraction (the LLM path is covered in memoryExtraction.test.js)
+    jest.spyOn(memoryService, '_extractWithLLM').mockResolvedValue(null);
+  });
+
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+    llmService.setRoute('embeddings', null);
+  });
+
+  afterAll(() => {
+    memoryService.setVectorStore(undefined);
+    jest.restoreAllMocks();
+  });
+
+  test('ranks memories by relevance to the current message and drops off-topic ones', async () => {
+    const rows = [
+      await memoryRow('cat', 'life_event', 'My cat needs surgery at the vet', 9),
+      await memoryRow('job', 'goal', 'Job interview for the marketing position on Friday', 8)
+    ];
+    memoryService.setVectorStore(createMemoryStore(rows));
+
+    const ranked = await memoryService.rankMemories(USER_ID, 'How should I prepare for the marketing job interview?');
+
+    expect(ranked.map(m => m.id)).toEqual(['job']);
+    expect(ranked[0].similarity).toBeGreaterThan(memoryService.retrieval.minSimilarity);
+  });
+
+  test('blends importance and recency when similarity is close', async () => {
+    const rows = [
+      await memoryRow('old', 'goal', 'Planning to run a marathon', 5, 120),
+      await memoryRow('recent', 'goal', 'Planning to run a marathon', 5, 1)
+    ];
+    memoryService.setVectorStore(createMemoryStore(rows));
+
+    const ranked = await memoryService.rankMemories(USER_ID, 'marathon training plan to run');
+
+    expect(ranked.map(m => m.id)).toEqual(['recent', 'old']);
+    expect(ranked[0].score).toBeGreaterThan(ranked[1].score);
+  });
+
+  test('falls back to importance and recency without a message', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [
+        { id: 'a', memory_type: 'goal', content: 'Old goal', importance: 8, days_ago: 200 },
+        { id: 'b', memory_type: 'challenge', content: 'Fresh challenge', importance: 6, days_ago: 0 }
+      ]
+    });
+
+    const ranked = await memoryService.rankMemories(USER_ID, '');
+
+    expect(ranked.map(m => m.id)).toEqual(['b', 'a']);
+    expect(ranked[0].similarity).toBeUndefined();
+    expect(db.query.mock.calls[0][0]).toContain('ORDER BY pinned DESC, importance DESC');
+  });
+
+  test('keeps pinned memories first even when off-topic', async () => {
+    const rows = [
+      await memoryRow('cat', 'life_event', 'My cat needs surgery at the vet', 4),
+      await memoryRow('job', 'goal', 'Job interview for the marketing position on Friday', 8)
+    ];
+    rows[0].pinned = true;
+    memoryService.setVectorStore(createMemoryStore(rows));
+
+    const ranked = await memoryService.rankMemories(USER_ID, 'How should I prepare for the marketing job interview?');
+
+    expect(ranked.map(m => m.id)).toEqual(['cat', 'job']);
+    expect(ranked[0].similarity).toBeLessThan(memoryService.retrieval.minSimilarity);
+  });
+
+  test('embeds memories stored before embeddings existed and saves them', async () => {
+    const rows = [await memoryRow('legacy', 'goal', 'Job interview for the marketing position', 8, 3, false)];
+    const store = createMemoryStore(rows);
+    memoryService.setVectorStore(store);
+
+    const ranked = await memoryService.rankMemories(USER_ID, 'marketing job interview tips');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(ranked.map(m => m.id)).toEqual(['legacy']);
+    expect(store.saved).toEqual([{ memoryId: 'legacy', model: 'fixture-embedding' }]);
+  });
+
+  test('getRelevantMemories formats the ranked memories and marks them referenced', async () => {
+    const rows = [await memoryRow('job', 'goal', 'Job interview for the marketing position on Friday', 8, 2)];
+    memoryService.setVectorStore(createMemoryStore(rows));
+
+    const context = await memoryService.getRelevantMemories(USER_ID, 'nervous about the marketing job interview', 'en');
+
+    expect(context).toContain('[GOAL] Job interview for the marketing position on Friday');
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('SET last_referenced = NOW()'), [['job']]);
+  });
+
+  test('refreshes a near-duplicate memory instead of inserting a new one', async () => {
+    const rows = [await memoryRow('dup', 'goal', 'My goal is to land the marketing job at the agency', 6)];
+    const store = createMemoryStore(rows);
+    memoryService.setVectorStore(store);
+
+    const stored = await memoryService.extractAndStoreMemories('My goal is to land the marketing job at the agency soon!', USER_ID);
+
+    const sql = db.query.mock.calls.map(call => call[0]);
+    expect(stored).toBe(0);
+    expect(sql.some(q => q.includes('INSERT INTO user_memories'))).toBe(false);
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('mention_count = mention_count + 1'), ['dup', 8, null, null]);
+  });
+
+  test('stores a new memory with its embedding', async () => {
+    const rows = [await memoryRow('cat', 'life_event', 'My cat needs surgery at the vet', 9)];
+    const store = createMemoryStore(rows);
+    memoryService.setVectorStore(store);
+    db.query.mockImplementation(async (sql) => (
+      sql.includes('INSERT INTO user_memories') ? { rows: [{ id: 'new-goal' }] } : { rows: [] }
+    ));
+
+    const stored = await memoryService.extractAndStoreMemories('My goal is to run a marathon next spring', USER_ID);
+
+    expect(stored).toBe(1);
+    expect(store.saved).toEqual([{ memoryId: 'new-goal', model: 'fixture-embedding' }]);
+  });
+
+  test('uses the text duplicate check when embeddings are unavailable', async () => {
+    llmService.setRoute('embeddings', { provider: 'anthropic' });
+    memoryService.setVectorStore(createMemoryStore([]));
+    db.query.mockResolvedValueOnce({ rows: [{ id: 'existing' }] });
+
+    const stored = await memoryService.extractAndStoreMemories('My goal is to run a marathon next spring', USER_ID);
+
+    expect(stored).toBe(0);
+    expect(db.query.mock.calls[0][0]).toContain('similarity(content, $4) > 0.7');
+  });
+});
+
+describe('🧭 Memory Vector Stores', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  test('cosineSimilarity handles parallel, orthogonal and mismatched vectors', () => {
+    expect(cosineSimilarity([1, 2], [2, 4])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+  });
+
+  test('CosineVectorStore ranks rows in process, unembedded rows last', async () => {
+    db.query.mockResolvedValueOnce({
+      rows: [
+        { id: 'none', importance: 9, embedding: null },
+        { id: 'far', importance: 5, embedding: [0, 1] },
+        { id: 'near', importance: 5, embedding: ['0.9', '0.1'] }
+      ]
+    });
+    const store = new CosineVectorStore(db);
+
+    const rows = await store.search(USER_ID, [1, 0], { model: 'm', limit: 3 });
+
+    expect(rows.map(r => r.id)).toEqual(['near', 'far', 'none']);
+    expect(rows[2].similarity).toBeNull();
+    expect(rows[0]).not.toHaveProperty('embedding');
+    expect(db.query.mock.calls[0][1]).toEqual([USER_ID, 'm', null, 500]);
+  });
+
+  test('PgVectorStore ranks in SQL with a vector literal', async () => {
+    db.query.mockResolvedValue({ rows: [{ id: 'a', similarity: '0.8' }, { id: 'b', similarity: null }] });
+    const store = new PgVectorStore(db);
+
+    const rows = await store.search(USER_ID, [0.5, -0.25], { model: 'm', memoryType: 'goal', limit: 2 });
+    await store.save('a', [0.5, -0.25], 'm');
+
+    expect(rows).toEqual([{ id: 'a', similarity: 0.8 }, { id: 'b', similarity: null }]);
+    expect(db.query.mock.calls[0][0]).toContain('embedding <=> $2::vector');
+    expect(db.query.mock.calls[0][1]).toEqual([USER_ID, '[0.5,-0.25]', 'm', 'goal', 2]);
+    expect(db.query.mock.calls[1][1]).toEqual(['a', '[0.5,-0.25]', 'm']);
+  });
+});
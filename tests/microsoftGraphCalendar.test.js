@@ -0,0 +1,348 @@
+/**
+ * 🧪 MICROSOFT GRAPH CALENDAR PROVIDER TESTS
+ *
+ * The Outlook provider runs against a mocked Graph HTTP server covering
+ * /me/calendars, /me/calendarView (paged), /me/calendarView/delta with
+ * nextLink/deltaLink rounds, and event creation. Token refresh goes through
+ * oauth2Service.refreshAccessToken, which is stubbed.
+ *
+ * Run: npm test tests/microsoftGraphCalendar.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+
+const http = require('http');
+
+/**
+ * Mock Graph server with one mailbox; tokens other than `state.validToken`
+ * are rejected like an expired Graph token
+ */
+function createGraphServer() {
+  const state = {
+    requests: [],
+    validToken: 'token-1',
+    expiredDeltaTokens: new Set(),
+    deltaChanges: {},
+    created: [],
+    events: [
+      {
+        id: 'evt-1',
+        subject: 'Team sync',
+        start: { dateTime: '2026-10-20T09:00:00.0000000', timeZone: 'UTC' },
+        end: { dateTime: '2026-10-20T10:00:00.0000000', timeZone: 'UTC' },
+        showAs: 'busy'
+      },
+      {
+        id: 'evt-2',
+        subject: 'Dentist',
+        start: { dateTime: '2026-10-21T15:00:00.0000000', timeZone: 'UTC' },
+        end: { dateTime: '2026-10-21T16:00:00.0000000', timeZone: 'UTC' },
+        showAs: 'tentative'
+      }
+    ]
+  };
+
+  let baseUrl;
+  const json = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, baseUrl);
+      state.requests.push({ method: req.method, url, headers: req.headers, body: body ? JSON.parse(body) : null });
+
+      if (req.headers.authorization !== `Bearer ${state.validToken}`) {
+        return json(res, 401, { error: { code: 'InvalidAuthenticationToken', message: 'Access token has expired.' } });
+      }
+
+      const path = url.pathname.replace('/v1.0', '');
+
+      if (req.method === 'GET' && path === '/me/calendars') {
+        return json(res, 200, {
+          value: [
+            { id: 'cal-work', name: 'Work', isDefaultCalendar: false, canEdit: true },
+            { id: 'cal-main', name: 'Calendar', isDefaultCalendar: true, canEdit: true }
+          ]
+        });
+      }
+
+      if (req.method === 'GET' && path === '/me/calendarView') {
+        // One event per page to exercise @odata.nextLink
+        const skip = Number(url.searchParams.get('$skip') || 0);
+        const next = new URL(url);
+        next.searchParams.set('$skip', String(skip + 1));
+        return json(res, 200, {
+          value: state.events.slice(skip, skip + 1),
+          ...(skip + 1 < state.events.length ? { '@odata.nextLink': next.toString() } : {})
+        });
+      }
+
+      if (req.method === 'GET' && path === '/me/calendarView/delta') {
+        const deltaToken = url.searchParams.get('$deltatoken');
+        const skipToken = url.searchParams.get('$skiptoken');
+
+        if (deltaToken) {
+          if (state.expiredDeltaTokens.has(deltaToken)) {
+            return json(res, 410, { error: { code: 'SyncStateNotFound', message: 'The sync state is gone.' } });
+          }
+          return json(res, 200, {
+            value: state.deltaChanges[deltaToken] || [],
+            '@odata.deltaLink': `${baseUrl}v1.0/me/calendarView/delta?$deltatoken=${deltaToken}-next`
+          });
+        }
+        if (!skipToken) {
+          return json(res, 200, {
+            value: state.events.slice(0, 1),
+            '@odata.nextLink': `${baseUrl}v1.0/me/calendarView/delta?$skiptoken=page-2`
+          });
+        }
+        return json(res, 200, {
+          value: state.events.slice(1),
+          '@odata.deltaLink': `${baseUrl}v1.0/me/calendarView/delta?$deltatoken=delta-1`
+        });
+      }
+
+      if (req.method === 'POST' && /^\/me\/(calendars\/[^/]+\/)?events$/.test(path)) {
+        const event = { id: `created-${state.created.length + 1}`, ...JSON.parse(body), bodyPreview: JSON.parse(body).body.content };
+        state.created.push(event);
+        return json(res, 201, event);
+      }
+
+      json(res, 404, { error: { code: 'ResourceNotFound' } });
+    });
+  });
+
+  return {
+    server,
+    state,
+    setBaseUrl(value) { baseUrl = value; }
+  };
+}
+
+describe('📨 Calendar Sync Service - Microsoft Graph provider', () => {
+  let graph;
+  let db;
+  let oauth2Service;
+  let calendarSyncService;
+  let connection;
+
+  beforeEach(async () => {
+    graph = createGraphServer();
+    await new Promise(resolve => graph.server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${graph.server.address().port}/`;
+    graph.setBaseUrl(baseUrl);
+
+    jest.resetModules();
+    process.env.MICROSOFT_GRAPH_URL = `${baseUrl}v1.0`;
+    db = require('../src/config/db');
+    oauth2Service = require('../src/services/oauth2Service');
+    calendarSyncService = require('../src/services/calendarSyncService');
+
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [] });
+    jest.spyOn(oauth2Service, 'refreshAccessToken').mockImplementation(async () => {
+      graph.state.validToken = 'token-2';
+      return { access_token: 'token-2', refresh_token: 'refresh-2', expires_at: Date.now() + 3600 * 1000 };
+    });
+
+    connection = {
+      user_id: 'user-1',
+      provider: 'microsoft',
+      credentials: { access_token: 'token-1', refresh_token: 'refresh-1', expires_at: Date.now() + 3600 * 1000 },
+      calendars: [
+        { id: 'cal-work', displayName: 'Work', isDefault: false },
+        { id: 'cal-main', displayName: 'Calendar', isDefault: true }
+      ],
+      sync_state: {}
+    };
+  });
+
+  afterEach(async () => {
+    delete process.env.MICROSOFT_GRAPH_URL;
+    await new Promise(resolve => graph.server.close(resolve));
+  });
+
+  const queriesMatching = text => db.query.mock.calls.filter(([sql]) => sql.includes(text));
+
+  describe('Connection and tokens', () => {
+    test('lists calendars when connecting', async () => {
+      const result = await calendarSyncService.initializeMicrosoftCalendar('user-1', {
+        access_token: 'token-1',
+        refresh_token: 'refresh-1',
+        expires_in: 3600
+      });
+
+      expect(result.provider).toBe('microsoft');
+      expect(result.calendars.map(c => [c.id, c.isDefault])).toEqual([['cal-work', false], ['cal-main', true]]);
+      expect(result.credentials.expires_at).toBeGreaterThan(Date.now());
+    });
+
+    test('refreshes an expiring token through the OAuth2 service and stores it', async () => {
+      connection.credentials.expires_at = Date.now() + 30 * 1000;
+      graph.state.validToken = 'token-2';
+
+      await calendarSyncService.getCalendarEvents(connection, '2026-10-18T00:00:00Z', '2026-10-25T00:00:00Z');
+
+      expect(oauth2Service.refreshAccessToken).toHaveBeenCalledWith(
+        'microsoft',
+        'refresh-1',
+        expect.arrayContaining(['offline_access'])
+      );
+      const [update] = queriesMatching('SET credentials');
+      expect(JSON.parse(update[1][2])).toMatchObject({ access_token: 'token-2', refresh_token: 'refresh-2' });
+    });
+
+    test('retries once with a refreshed token when Graph answers 401', async () => {
+      graph.state.validToken = 'revoked';
+      oauth2Service.refreshAccessToken.mockImplementationOnce(async () => {
+        graph.state.validToken = 'token-3';
+        return { access_token: 'token-3', refresh_token: 'refresh-1', expires_at: Date.now() + 3600 * 1000 };
+      });
+
+      const events = await calendarSyncService.getCalendarEvents(connection, '2026-10-18T00:00:00Z', '2026-10-25T00:00:00Z');
+
+      expect(events).toHaveLength(2);
+      expect(oauth2Service.refreshAccessToken).toHaveBeenCalledTimes(1);
+    });
+
+    test('fails without a refresh token once the access token expired', async () => {
+      connection.credentials = { access_token: 'token-1', expires_at: Date.now() - 1000 };
+
+      await expect(calendarSyncService.getCalendarEvents(connection, '2026-10-18T00:00:00Z', '2026-10-25T00:00:00Z'))
+        .rejects.toThrow('no refresh token');
+    });
+  });
+
+  describe('/me/calendarView reads', () => {
+    test('follows nextLink pages and normalizes events to UTC', async () => {
+      const events = await calendarSyncService.getCalendarEvents(connection, '2026-10-18T00:00:00Z', '2026-10-25T00:00:00Z');
+
+      expect(events).toEqual([
+        expect.objectContaining({ id: 'evt-1', title: 'Team sync', start: '2026-10-20T09:00:00.000Z', status: 'confirmed' }),
+        expect.objectContaining({ id: 'evt-2', title: 'Dentist', end: '2026-10-21T16:00:00.000Z', status: 'tentative' })
+      ]);
+
+      const [first] = graph.state.requests;
+      expect(first.url.searchParams.get('startDateTime')).toBe('2026-10-18T00:00:00.000Z');
+      expect(first.headers.prefer).toBe('outlook.timezone="UTC"');
+    });
+
+    test('feeds the astrological overlay', async () => {
+      jest.spyOn(calendarSyncService, 'getUserCalendarConnections').mockResolvedValue([connection]);
+      jest.doMock('../src/services/astrologicalTimingService', () => ({
+        getTimesToAvoid: async () => ({
+          periodsToAvoid: [{ type: 'void_moon', start: '2026-10-20T08:30:00Z', end: '2026-10-20T09:30:00Z' }]
+        })
+      }));
+
+      const overlay = await calendarSyncService.getCalendarWithAstrologicalOverlay('user-1', {
+        start: '2026-10-18T00:00:00Z',
+        end: '2026-10-25T00:00:00Z'
+      });
+
+      expect(overlay.astrologicalInsights.totalEvents).toBe(2);
+      expect(overlay.astrologicalInsights.eventsInChallengingPeriods).toBe(1);
+    });
+  });
+
+  describe('Delta sync', () => {
+    const options = { startDate: '2026-10-19T00:00:00Z', endDate: '2026-11-23T00:00:00Z' };
+
+    const storedState = () => {
+      const [update] = queriesMatching('SET sync_state').slice(-1);
+      return JSON.parse(update[1][2]);
+    };
+
+    test('runs a full round first and persists the deltaLink', async () => {
+      const result = await calendarSyncService.syncMicrosoftCalendar('user-1', connection, options);
+
+      expect(result).toMatchObject({ deltaSync: false, eventsRead: 2, eventsCreated: 2, eventsDeleted: 0 });
+      expect(queriesMatching('DELETE FROM external_calendar_events')).toHaveLength(1);
+      expect(queriesMatching('INSERT INTO external_calendar_events')).toHaveLength(2);
+      expect(storedState()).toMatchObject({
+        deltaLink: expect.stringContaining('$deltatoken=delta-1'),
+        window: { start: '2026-10-19T00:00:00.000Z', end: '2026-11-23T00:00:00.000Z' }
+      });
+    });
+
+    test('applies only changes and removals from the stored deltaLink', async () => {
+      await calendarSyncService.syncMicrosoftCalendar('user-1', connection, options);
+      connection.sync_state = storedState();
+      graph.state.deltaChanges['delta-1'] = [
+        { ...graph.state.events[0], subject: 'Team sync (moved)' },
+        { id: 'evt-2', '@removed': { reason: 'deleted' } }
+      ];
+      db.query.mockClear();
+      graph.state.requests = [];
+
+      const result = await calendarSyncService.syncMicrosoftCalendar('user-1', connection, options);
+
+      expect(result).toMatchObject({ deltaSync: true, eventsRead: 1, eventsUpdated: 1, eventsDeleted: 1 });
+      expect(graph.state.requests).toHaveLength(1);
+      expect(graph.state.requests[0].url.searchParams.get('$deltatoken')).toBe('delta-1');
+
+      const [insert] = queriesMatching('INSERT INTO external_calendar_events');
+      expect(JSON.parse(insert[1][3]).title).toBe('Team sync (moved)');
+      const [deletion] = queriesMatching('DELETE FROM external_calendar_events');
+      expect(deletion[1].slice(0, 3)).toEqual(['user-1', 'microsoft', 'evt-2']);
+      expect(storedState().deltaLink).toContain('$deltatoken=delta-1-next');
+    });
+
+    test('starts over when Graph expires the delta token', async () => {
+      await calendarSyncService.syncMicrosoftCalendar('user-1', connection, options);
+      connection.sync_state = storedState();
+      graph.state.expiredDeltaTokens.add('delta-1');
+      db.query.mockClear();
+
+      const result = await calendarSyncService.syncMicrosoftCalendar('user-1', connection, options);
+
+      expect(result).toMatchObject({ deltaSync: false, eventsRead: 2 });
+      expect(storedState().deltaLink).toContain('$deltatoken=delta-1');
+    });
+
+    test('does not reuse a deltaLink issued for another window', async () => {
+      connection.sync_state = {
+        deltaLink: 'http://127.0.0.1:1/never-called',
+        window: { start: '2026-10-12T00:00:00.000Z', end: '2026-11-16T00:00:00.000Z' }
+      };
+
+      const result = await calendarSyncService.syncMicrosoftCalendar('user-1', connection, options);
+
+      expect(result.deltaSync).toBe(false);
+    });
+  });
+
+  describe('Event creation', () => {
+    test('creates the event in the default calendar with the timing description', async () => {
+      const timingRecommendation = {
+        start: '2026-10-21T10:00:00Z',
+        end: '2026-10-21T11:00:00Z',
+        confidence: 0.85,
+        activityType: 'contract_signing',
+        astrologicalFactors: [{ planet: 'Venus' }, { planet: 'Jupiter' }]
+      };
+      jest.spyOn(calendarSyncService, 'getUserCalendarConnections').mockResolvedValue([{ ...connection, is_primary: true }]);
+
+      const result = await calendarSyncService.createOptimalTimingEvent('user-1', {
+        title: 'Sign the lease',
+        timezone: 'Europe/Madrid'
+      }, timingRecommendation);
+
+      expect(result.provider).toBe('microsoft');
+      expect(result.event).toMatchObject({ id: 'created-1', title: '[Optimal Timing] Sign the lease', provider: 'microsoft' });
+
+      const post = graph.state.requests.find(r => r.method === 'POST');
+      expect(post.url.pathname).toBe('/v1.0/me/calendars/cal-main/events');
+      expect(post.body.start).toEqual({ dateTime: '2026-10-21T12:00:00', timeZone: 'Europe/Madrid' });
+      expect(post.body.body.content).toBe(
+        calendarSyncService.generateTimingEventDescription(timingRecommendation, { title: 'Sign the lease' })
+      );
+      expect(post.body.body.content).toContain('Confidence: 85%');
+      expect(post.body.body.content).toContain('Astrological Factors: Venus, Jupiter');
+    });
+  });
+});
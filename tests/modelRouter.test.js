@@ -0,0 +1,164 @@
+/**
+ * 🧪 MODEL ROUTER TESTS
+ *
+ * Model and max_tokens choice from persona, esoteric topics, emotional
+ * state, tier, remaining monthly budget and conversation length; cost of
+ * replies and spend aggregated per tier.
+ *
+ * Run: npm test tests/modelRouter.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+
+const db = require('../src/config/db');
+const modelRouterService = require('../src/services/modelRouterService');
+
+const QUESTION = 'What does this week look like for me?';
+
+describe('🧭 Model Router', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  describe('route', () => {
+    const route = (signals) => modelRouterService.route({ tier: 'stellar', personaMaxTokens: 300, ...signals });
+
+    test('keeps small talk on the simple model with a short reply', () => {
+      const decision = route({ message: '¡Gracias!', persona: 'career' });
+
+      expect(decision).toMatchObject({ model: 'gpt-4o-mini', complexity: 'simple', maxTokens: 150 });
+      expect(decision.reasons).toContain('small_talk');
+    });
+
+    test('sends a plain question on the general coach to the simple model', () => {
+      const decision = route({ message: QUESTION, persona: 'general' });
+
+      expect(decision).toMatchObject({ model: 'gpt-4o-mini', complexity: 'simple', score: 1, maxTokens: 300 });
+    });
+
+    test('adds up persona, topics, emotions and conversation length', () => {
+      expect(route({ message: QUESTION, persona: 'career' }).complexity).toBe('complex');
+      expect(route({ message: QUESTION, topics: ['tarot'] }).reasons).toContain('esoteric_topics:tarot');
+      expect(route({ message: QUESTION, topics: ['tarot'] }).complexity).toBe('complex');
+      expect(route({ message: QUESTION, conversationLength: 12 }).complexity).toBe('complex');
+
+      const supported = route({ message: QUESTION, emotionalState: { needsExtraSupport: true } });
+      expect(supported).toMatchObject({ complexity: 'complex', maxTokens: 400 });
+      expect(supported.reasons).toContain('emotional_support');
+    });
+
+    test('caps topic points', () => {
+      const decision = route({ message: QUESTION, topics: ['tarot', 'runes', 'chakras', 'aura'] });
+      expect(decision.score).toBe(1 + modelRouterService.settings.maxTopicPoints);
+    });
+
+    test('raises the bar when the monthly complex budget runs low', () => {
+      const low = { complexUsed: 450, complexLimit: 500 };
+
+      const career = route({ message: QUESTION, persona: 'career', monthlyUsage: low });
+      expect(career).toMatchObject({ complexity: 'simple', threshold: 4 });
+      expect(career.reasons).toContain('complex_budget_low');
+
+      const deep = route({ message: QUESTION, persona: 'career', topics: ['tarot', 'runes'], monthlyUsage: low });
+      expect(deep.complexity).toBe('complex');
+    });
+
+    test('falls back to the simple model once the complex budget is used up', () => {
+      const decision = route({
+        message: QUESTION,
+        persona: 'career',
+        topics: ['tarot', 'runes'],
+        monthlyUsage: { complexUsed: 500, complexLimit: 500 }
+      });
+
+      expect(decision.complexity).toBe('simple');
+      expect(decision.reasons).toContain('complex_budget_exhausted');
+    });
+
+    test('always gives crisis messages the complex model while budget lasts', () => {
+      const decision = route({
+        message: 'no',
+        emotionalState: { hasCrisisIndicators: true, needsExtraSupport: true },
+        monthlyUsage: { complexUsed: 480, complexLimit: 500 }
+      });
+
+      expect(decision).toMatchObject({ complexity: 'complex', model: 'gpt-4o' });
+      expect(decision.reasons).toEqual(expect.arrayContaining(['small_talk', 'crisis']));
+    });
+
+    test('keeps free users on the simple model within their reply cap', () => {
+      const decision = route({ message: QUESTION, persona: 'career', topics: ['tarot'], tier: 'free', personaMaxTokens: 400 });
+
+      expect(decision).toMatchObject({ complexity: 'simple', maxTokens: 250 });
+      expect(decision.reasons).toContain('tier:free');
+      expect(route({ message: QUESTION, tier: 'unknown' }).tier).toBe('free');
+    });
+
+    test('estimates the cost of the decision from the prompt', () => {
+      const decision = route({ message: QUESTION, persona: 'career', messages: [{ role: 'user', content: QUESTION }] });
+
+      expect(decision.estimatedCostUsd).toBeGreaterThan(0.003); // 300 output tokens of gpt-4o
+      expect(route({ message: QUESTION }).estimatedCostUsd).toBeNull();
+    });
+  });
+
+  test('derives the tier from the premium status', () => {
+    expect(modelRouterService.tierOf({ tier: 'stellar', isPremium: true })).toBe('stellar');
+    expect(modelRouterService.tierOf({ isPremium: true })).toBe('premium');
+    expect(modelRouterService.tierOf({ isPremium: false })).toBe('free');
+    expect(modelRouterService.tierOf()).toBe('free');
+  });
+
+  test('prices dated snapshots like their alias and leaves unknown models unpriced', () => {
+    expect(modelRouterService.costOf('gpt-4o', 1000, 100)).toBe(0.0035);
+    expect(modelRouterService.costOf('gpt-4o-2024-08-06', 1000, 100)).toBe(0.0035);
+    expect(modelRouterService.costOf('gpt-4o-mini-2024-07-18', 1000, 100)).toBe(0.00021);
+    expect(modelRouterService.costOf('llama3.1', 1000, 100)).toBeNull();
+  });
+
+  test('records the tokens and cost of a reply', async () => {
+    const decision = modelRouterService.route({ message: QUESTION, persona: 'career', tier: 'stellar', personaMaxTokens: 300 });
+
+    const cost = await modelRouterService.recordUsage(decision, { prompt_tokens: 1000, completion_tokens: 100 }, 'gpt-4o-2024-08-06');
+
+    expect(cost).toBe(0.0035);
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('INSERT INTO ai_coach_model_usage');
+    expect(params).toEqual(['stellar', 'career', 'complex', 'gpt-4o-2024-08-06', 300, 2, '["persona:career"]', 1000, 100, 0.0035]);
+  });
+
+  test('does not throw when usage cannot be stored', async () => {
+    db.query.mockRejectedValue(new Error('connection lost'));
+    const decision = modelRouterService.route({ message: 'hi', tier: 'stellar' });
+
+    await expect(modelRouterService.recordUsage(decision, {})).resolves.toBe(0);
+  });
+
+  test('aggregates spend per tier and model', async () => {
+    db.query.mockResolvedValue({
+      rows: [
+        { tier: 'stellar', model: 'gpt-4o', replies: 2, complex_replies: 2, prompt_tokens: '3000', completion_tokens: '400', cost_usd: 0.0115, unpriced_replies: 0 },
+        { tier: 'stellar', model: 'gpt-4o-mini', replies: 6, complex_replies: 0, prompt_tokens: '6000', completion_tokens: '600', cost_usd: 0.00126, unpriced_replies: 0 }
+      ]
+    });
+
+    const spend = await modelRouterService.getSpendByTier({ from: '2026-10-01', to: '2026-11-01' });
+
+    expect(db.query.mock.calls[0][1]).toEqual([new Date('2026-10-01'), new Date('2026-11-01')]);
+    expect(spend.from).toBe('2026-10-01T00:00:00.000Z');
+    expect(spend.tiers.stellar).toMatchObject({
+      replies: 8,
+      complexReplies: 2,
+      complexShare: 0.25,
+      costUsd: 0.01276,
+      costPerReplyUsd: 0.001595
+    });
+    expect(spend.tiers.stellar.models['gpt-4o']).toEqual({
+      replies: 2,
+      promptTokens: 3000,
+      completionTokens: 400,
+      costUsd: 0.0115,
+      unpricedReplies: 0
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * 🧪 AI COACH SAFETY LAYER TESTS
+ *
+ * Risk classification in the supported languages, localized crisis
+ * resources per country, review flags, upsell suppression and the
+ * sendMessage bypass of the coach persona on high risk.
+ *
+ * Run: npm test tests/safety.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/services/redisService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  setex: jest.fn().mockResolvedValue('OK')
+}));
+
+const db = require('../src/config/db');
+const safetyService = require('../src/services/safetyService');
+const localContextService = require('../src/services/localContextService');
+const aiCoachService = require('../src/services/aiCoachService');
+const llmService = require('../src/services/llmService');
+const memoryService = require('../src/services/memoryService');
+const coachFollowUpService = require('../src/services/coachFollowUpService');
+const streakService = require('../src/services/streakService');
+const revenueOptimizationEngine = require('../src/services/revenueOptimizationEngine');
+
+const SESSION_ID = '0f7c2b5e-3c1d-4a8e-9b6f-2d4e6a8c0b1d';
+
+describe('🛟 Safety Layer', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    db.connect.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('classify', () => {
+    test.each([
+      ['I want to kill myself', 'self_harm'],
+      ['Ya no quiero vivir, quiero morir', 'self_harm'],
+      ['Eu quero morrer', 'self_harm'],
+      ['Je veux mourir ce soir', 'self_harm'],
+      ['Ich will sterben', 'self_harm'],
+      ['Non voglio più vivere', 'self_harm'],
+      ['I just want it to end', 'self_harm'],
+      ['Quiero morirme de verdad', 'self_harm'],
+      ['My husband hits me every night', 'abuse'],
+      ['Mi pareja me golpea y amenazó con matarme', 'abuse'],
+      ['Er schlägt mich', 'abuse'],
+      ['I took too many pills', 'medical_emergency'],
+      ['Tengo un dolor en el pecho y no puedo respirar', 'medical_emergency']
+    ])('rates "%s" as high risk (%s)', (message, category) => {
+      const assessment = safetyService.classify(message);
+
+      expect(assessment.riskLevel).toBe('high');
+      expect(assessment.categories).toContain(category);
+      expect(assessment.matched.length).toBeGreaterThan(0);
+    });
+
+    test('rates mentions and negated phrases as elevated', () => {
+      expect(safetyService.classify('My sister attempted suicide last year')).toMatchObject({
+        riskLevel: 'elevated',
+        categories: ['self_harm']
+      });
+      expect(safetyService.classify('I would never hurt myself').riskLevel).toBe('elevated');
+      expect(safetyService.classify('Hablemos de la violencia doméstica').categories).toEqual(['abuse']);
+    });
+
+    test('leaves everyday astrology questions alone', () => {
+      for (const message of [
+        '¿Qué me depara Mercurio retrógrado?',
+        'I am dying to know my love forecast',
+        'Quiero cortarme el pelo, ¿es buen día?',
+        'This deadline is killing me',
+        'Quiero morirme de risa con este horóscopo',
+        'Me muero de ganas de saber mi compatibilidad',
+        'I almost died of laughter reading my forecast',
+        'Je vais mourir de rire',
+        'Eu quero morrer de rir'
+      ]) {
+        expect(safetyService.classify(message)).toEqual({ riskLevel: 'none', categories: [], matched: [] });
+      }
+    });
+  });
+
+  describe('crisis resources', () => {
+    test('lists the helplines and emergency number of the country, in the user language', () => {
+      const { content, resources } = safetyService.buildCrisisResponse({
+        categories: ['self_harm'],
+        country: 'MX',
+        language: 'es'
+      });
+
+      expect(resources.country).toBe('MX');
+      expect(content).toContain('Gracias por contármelo');
+      expect(content).toContain(resources.suicide[0].phone);
+      expect(content).toContain(`llama al ${resources.emergency}`);
+    });
+
+    test('prefers abuse lines and leads with the emergency number for medical emergencies', () => {
+      const abuse = safetyService.buildCrisisResponse({ categories: ['abuse'], country: 'US', language: 'en' });
+      const us = localContextService.getCrisisResources('US');
+      expect(abuse.content).toContain(us.abuse[0].phone);
+
+      const medical = safetyService.buildCrisisResponse({ categories: ['medical_emergency'], country: 'DE', language: 'de' });
+      expect(medical.content.split('\n\n')[0]).toContain('112');
+    });
+
+    test('asks for the country when it is unknown', () => {
+      const { content, resources } = safetyService.buildCrisisResponse({ categories: ['self_harm'], language: 'fr' });
+
+      expect(resources).toBeNull();
+      expect(content).toContain('https://findahelpline.com');
+      expect(content).toContain("numéro d'urgence de ton pays");
+    });
+
+    test('derives the country from the device timezone', () => {
+      expect(localContextService.countryFromTimezone('America/Bogota')).toBe('CO');
+      expect(localContextService.countryFromTimezone('Mars/Olympus')).toBeNull();
+      expect(localContextService.getCrisisResources('XX')).toBeNull();
+    });
+  });
+
+  describe('review flags', () => {
+    test('stores the event and marks the session in one transaction', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 7 }] }), release: jest.fn() };
+      db.connect.mockResolvedValue(client);
+
+      const id = await safetyService.flagSession({
+        userId: 'user-1',
+        sessionId: SESSION_ID,
+        messageId: 42,
+        assessment: { riskLevel: 'high', categories: ['self_harm'], matched: ['quiero morir'] },
+        country: 'MX',
+        language: 'es'
+      });
+
+      expect(id).toBe(7);
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      expect(statements).toEqual(['BEGIN', 'INSERT INTO coach_safety_events', 'UPDATE chat_sessions SET', 'COMMIT']);
+      expect(client.query.mock.calls[1][1]).toEqual(['user-1', SESSION_ID, 42, 'high', ['self_harm'], ['quiero morir'], 'MX', 'es']);
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('rejects unknown review statuses', async () => {
+      await expect(safetyService.resolveReview(1, { status: 'ignored' })).rejects.toThrow('Invalid review status');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('upsell suppression', () => {
+    test('checks for recent high-risk events', async () => {
+      db.query.mockResolvedValue({ rows: [{ suppressed: true }] });
+
+      await expect(safetyService.isUpsellSuppressed('user-1')).resolves.toBe(true);
+      expect(db.query.mock.calls[0][1]).toEqual(['user-1', '14']);
+    });
+
+    test('keeps offers from flagged users', async () => {
+      jest.spyOn(safetyService, 'isUpsellSuppressed').mockResolvedValue(true);
+      jest.spyOn(revenueOptimizationEngine, 'analyzeUser').mockResolvedValue({ isPremium: false, mostUsedFeatures: ['compatibility'] });
+
+      await expect(revenueOptimizationEngine.generateUpgradeOffer('user-1')).resolves.toBeNull();
+      await expect(revenueOptimizationEngine.shouldOfferDiscount('user-1')).resolves.toMatchObject({ offer: false });
+      await expect(revenueOptimizationEngine.preventChurn('user-1', { riskLevel: 'high' })).resolves.toMatchObject({ action: 'suppressed' });
+    });
+  });
+
+  describe('sendMessage', () => {
+    let spies;
+
+    beforeEach(() => {
+      const session = { session_id: SESSION_ID, user_id: 'user-1', ai_coach_persona: 'general', language_code: 'es', conversation_context: {} };
+      spies = {
+        session: jest.spyOn(aiCoachService, '_getAndValidateSession').mockResolvedValue({ success: true, data: session }),
+        premium: jest.spyOn(aiCoachService, '_validatePremiumAccess').mockResolvedValue({ hasAccess: false, isPremium: false }),
+        daily: jest.spyOn(aiCoachService, '_checkDailyUsage'),
+        store: jest.spyOn(aiCoachService, '_storeMessage').mockResolvedValueOnce(11).mockResolvedValueOnce(12),
+        context: jest.spyOn(aiCoachService, '_updateConversationContext').mockResolvedValue({ messageHistory: [] }),
+        flag: jest.spyOn(safetyService, 'flagSession').mockResolvedValue(1),
+        generate: jest.spyOn(aiCoachService, '_generateAIResponse'),
+        chat: jest.spyOn(llmService, 'chat'),
+        memories: jest.spyOn(memoryService, 'extractAndStoreMemories'),
+        followUps: jest.spyOn(coachFollowUpService, 'handleReply'),
+        streak: jest.spyOn(streakService, 'checkIn')
+      };
+    });
+
+    test('answers high risk with crisis resources, even without premium', async () => {
+      const onToken = jest.fn();
+
+      const result = await aiCoachService.sendMessage(SESSION_ID, 'Ya no aguanto, quiero morir', 'user-1', {
+        timezone: 'America/Mexico_City',
+        onToken
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.response).toMatchObject({
+        model: 'safety_protocol',
+        messageId: 12,
+        safety: { riskLevel: 'high', categories: ['self_harm'] }
+      });
+      expect(result.response.safety.resources.country).toBe('MX');
+      expect(onToken).toHaveBeenCalledWith(result.response.content);
+
+      expect(spies.flag).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', sessionId: SESSION_ID, messageId: 11, country: 'MX', language: 'es' }));
+      for (const skipped of ['premium', 'daily', 'generate', 'chat', 'memories', 'followUps', 'streak']) {
+        expect(spies[skipped]).not.toHaveBeenCalled();
+      }
+    });
+
+    test('still returns the resources when storing fails', async () => {
+      spies.store.mockReset().mockRejectedValue(new Error('connection lost'));
+
+      const result = await aiCoachService.sendMessage(SESSION_ID, 'I want to end my life', 'user-1', { country: 'GB', language: 'en' });
+
+      expect(result.success).toBe(true);
+      expect(result.response.content).toContain(localContextService.getCrisisResources('GB').suicide[0].phone);
+    });
+
+    test('flags the session even when storing the messages fails', async () => {
+      spies.store.mockReset().mockRejectedValue(new Error('connection lost'));
+
+      await aiCoachService.sendMessage(SESSION_ID, 'I want to end my life', 'user-1', { country: 'GB', language: 'en' });
+
+      expect(spies.flag).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', sessionId: SESSION_ID, messageId: null }));
+    });
+
+    test('drops the upgrade pitch from the paywall for recently flagged users', async () => {
+      jest.spyOn(safetyService, 'isUpsellSuppressed').mockResolvedValue(true);
+
+      const result = await aiCoachService.sendMessage(SESSION_ID, 'Hola', 'user-1', {});
+
+      expect(result).toMatchObject({ success: false, error: 'premium_required' });
+      expect(result.upgradeUrl).toBeUndefined();
+      expect(result.features).toBeUndefined();
+    });
+  });
+});
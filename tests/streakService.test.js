@@ -0,0 +1,448 @@
+/**
+ * 🧪 STREAK SERVICE - LOCAL DAY AND STREAK PROTECTION TESTS
+ *
+ * Check-ins are counted on the user's local calendar day. The clock is
+ * fixed at 2026-03-11 02:30 UTC, which is still March 10 in Mexico City
+ * (20:30) and Buenos Aires (23:30). Freezes, repairs, the monthly
+ * allowance and leaderboard scoping are covered after the check-in tests.
+ *
+ * Run: npm test tests/streakService.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn() }));
+
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../src/config/db');
+const streakService = require('../src/services/streakService');
+const streakRoutes = require('../src/routes/streaks');
+
+const NOW = new Date('2026-03-11T02:30:00Z');
+
+const streakRow = (overrides = {}) => ({
+  user_id: 'user-1',
+  current_streak: 4,
+  longest_streak: 10,
+  last_check_in: '2026-03-09',
+  last_check_in_at: new Date('2026-03-10T02:00:00Z'),
+  timezone: 'America/Mexico_City',
+  total_check_ins: 20,
+  cosmic_points: 200,
+  milestones_achieved: [3],
+  badges: ['beginner'],
+  ...overrides
+});
+
+const mockRow = (row, { updated = null, events = [] } = {}) => {
+  db.query.mockImplementation(async (sql) => {
+    if (sql.includes('FROM user_streaks')) return { rows: row ? [row] : [] };
+    if (sql.includes('FROM streak_protection_events')) return { rows: events };
+    if (sql.includes('RETURNING')) return { rows: updated ? [updated] : [] };
+    return { rows: [] };
+  });
+};
+
+const updateParams = () => db.query.mock.calls.find(([sql]) => sql.includes('UPDATE user_streaks'))[1];
+
+const recordedEvents = () => db.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO streak_protection_events'))
+  .map(([, params]) => ({ type: params[1], tokens: params[2], date: params[4] }));
+
+describe('🔥 Streak Service', () => {
+
+  beforeAll(() => {
+    jest.useFakeTimers({ now: NOW });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    db.query.mockReset();
+  });
+
+  describe('checkIn', () => {
+
+    test('should continue the streak on the local day after the last check-in', async () => {
+      mockRow(streakRow());
+
+      const result = await streakService.checkIn('user-1', 'en');
+
+      expect(result).toMatchObject({ success: true, current_streak: 5, local_date: '2026-03-10' });
+      expect(updateParams().slice(0, 4)).toEqual([5, '2026-03-10', NOW, 'America/Mexico_City']);
+    });
+
+    test('should not count a second check-in on the same local day', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-10' }));
+
+      const result = await streakService.checkIn('user-1', 'en');
+
+      expect(result.already_checked_in).toBe(true);
+      expect(result.current_streak).toBe(4);
+    });
+
+    test('should adopt a new client timezone once the stored local day is open', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-09', timezone: 'America/Mexico_City' }));
+
+      const result = await streakService.checkIn('user-1', 'en', { timezone: 'America/Argentina/Buenos_Aires' });
+
+      expect(result.local_date).toBe('2026-03-10');
+      expect(result.current_streak).toBe(5);
+      expect(updateParams()[3]).toBe('America/Argentina/Buenos_Aires');
+    });
+
+    test('should not let a timezone switch earn a second check-in on the stored local day', async () => {
+      // Already checked in on March 10 in Mexico City, where it is still March 10
+      mockRow(streakRow({ last_check_in: '2026-03-10', timezone: 'America/Mexico_City' }));
+
+      const result = await streakService.checkIn('user-1', 'en', { timezone: 'Asia/Tokyo' });
+
+      expect(result).toMatchObject({ already_checked_in: true, current_streak: 4, timezone: 'America/Mexico_City' });
+      expect(db.query.mock.calls.some(([sql]) => sql.includes('UPDATE user_streaks'))).toBe(false);
+    });
+
+    test('should fall back to the country timezone', async () => {
+      mockRow(null);
+
+      const result = await streakService.checkIn('user-1', 'es', { country: 'ar' });
+
+      expect(result).toMatchObject({ is_first_time: true, timezone: 'America/Argentina/Buenos_Aires', local_date: '2026-03-10' });
+    });
+
+    test('should ignore unknown timezones', async () => {
+      mockRow(null);
+
+      const result = await streakService.checkIn('user-1', 'en', { timezone: 'Mars/Olympus_Mons' });
+
+      expect(result.timezone).toBe('UTC');
+      expect(result.local_date).toBe('2026-03-11');
+    });
+
+    test('should re-read legacy UTC rows in the user\'s timezone', async () => {
+      // Checked in 2026-03-09 19:00 in Mexico City, stored as the UTC date 2026-03-10
+      mockRow(streakRow({
+        last_check_in: '2026-03-10',
+        last_check_in_at: new Date('2026-03-10T01:00:00Z'),
+        timezone: null
+      }));
+
+      const result = await streakService.checkIn('user-1', 'en', { timezone: 'America/Mexico_City' });
+
+      expect(result.already_checked_in).toBeUndefined();
+      expect(result.current_streak).toBe(5);
+    });
+
+    test('should break the streak after a missed local day', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-08' }));
+
+      const result = await streakService.checkIn('user-1', 'en');
+
+      expect(result).toMatchObject({ current_streak: 1, streak_broken: true, previous_streak: 4 });
+    });
+  });
+
+  describe('Freezes', () => {
+
+    test('should spend a freeze on a missed day and keep the streak', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-08', freeze_tokens: 2 }));
+
+      const result = await streakService.checkIn('user-1', 'en');
+
+      expect(result).toMatchObject({ current_streak: 5, freezes_used: 1, freeze_tokens: 1 });
+      expect(result.message).toContain('1 streak freeze covered');
+      expect(recordedEvents()).toEqual([{ type: 'freeze_used', tokens: -1, date: '2026-03-09' }]);
+    });
+
+    test('should not spend freezes when they cannot cover every missed day', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-07', freeze_tokens: 1 }));
+
+      const result = await streakService.checkIn('user-1', 'en');
+
+      expect(result).toMatchObject({ current_streak: 1, streak_broken: true, freeze_tokens: 1 });
+      expect(updateParams()[7]).toBe(1);
+      expect(recordedEvents().map(e => e.type)).toEqual(['streak_broken']);
+    });
+
+    test('should grant the monthly allowance once per month for premium tiers', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-08', freeze_tokens: 0, freeze_allowance_month: '2026-02' }));
+
+      const result = await streakService.checkIn('user-1', 'en', { tier: 'stellar' });
+
+      expect(result).toMatchObject({ current_streak: 5, freezes_used: 1, freeze_tokens: 2 });
+      expect(updateParams()[8]).toBe('2026-03');
+      expect(recordedEvents().map(e => e.type)).toEqual(['freeze_granted', 'freeze_used']);
+
+      db.query.mockReset();
+      mockRow(streakRow({ freeze_tokens: 2, freeze_allowance_month: '2026-03' }));
+      await streakService.checkIn('user-1', 'en', { tier: 'stellar' });
+      expect(updateParams()[7]).toBe(2);
+    });
+
+    test('should cap the allowance at the maximum balance', async () => {
+      mockRow(streakRow({ freeze_tokens: 4, freeze_allowance_month: '2026-02' }));
+
+      const result = await streakService.checkIn('user-1', 'en', { tier: 'stellar' });
+
+      expect(result.freeze_tokens).toBe(streakService.protection.maxFreezeTokens);
+    });
+
+    test('should earn a freeze every seven consecutive days', async () => {
+      mockRow(streakRow({ current_streak: 6, freeze_tokens: 0 }));
+
+      const result = await streakService.checkIn('user-1', 'en');
+
+      expect(result).toMatchObject({ current_streak: 7, freezes_earned: 1, freeze_tokens: 1 });
+    });
+
+    test('should buy freezes with cosmic points', async () => {
+      mockRow(streakRow(), { updated: { freeze_tokens: 2, cosmic_points: 0, current_streak: 4 } });
+
+      const result = await streakService.purchaseFreeze('user-1', { quantity: 2 });
+
+      expect(result).toMatchObject({ success: true, freeze_tokens: 2, cosmic_points_spent: 200 });
+      expect(recordedEvents()).toEqual([{ type: 'freeze_purchased', tokens: 2, date: null }]);
+    });
+
+    test('should explain rejected freeze purchases', async () => {
+      mockRow(streakRow({ cosmic_points: 50, freeze_tokens: 0 }));
+      expect((await streakService.purchaseFreeze('user-1')).error).toBe('insufficient_points');
+
+      mockRow(streakRow({ freeze_tokens: 5 }));
+      expect((await streakService.purchaseFreeze('user-1')).error).toBe('freeze_limit_reached');
+
+      mockRow(null);
+      expect((await streakService.purchaseFreeze('user-1')).error).toBe('no_streak');
+    });
+  });
+
+  describe('Repairs', () => {
+
+    test('should offer a repair after a long streak breaks', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-08', current_streak: 200 }));
+
+      const result = await streakService.checkIn('user-1', 'en');
+      const hours = streakService.protection.repairWindowHours;
+
+      expect(result.repair).toEqual({
+        streak: 200,
+        expires_at: new Date(NOW.getTime() + hours * 3600 * 1000).toISOString(),
+        cost_points: streakService.protection.repairCostPoints
+      });
+      expect(result.message).toContain('repair your 200-day streak');
+      expect(updateParams().slice(9, 11)).toEqual([200, new Date(NOW.getTime() + hours * 3600 * 1000)]);
+    });
+
+    test('should restore the broken streak on repair', async () => {
+      mockRow(streakRow(), { updated: { current_streak: 201, longest_streak: 201, cosmic_points: 50 } });
+
+      const result = await streakService.repairStreak('user-1');
+
+      expect(result).toMatchObject({ success: true, current_streak: 201, cosmic_points_spent: 250 });
+      expect(recordedEvents().map(e => e.type)).toEqual(['streak_repaired']);
+    });
+
+    test('should reject repairs after the window closes', async () => {
+      mockRow(streakRow({ repairable_streak: 200, repair_available_until: new Date('2026-03-10T00:00:00Z') }));
+
+      expect((await streakService.repairStreak('user-1')).error).toBe('repair_expired');
+
+      mockRow(streakRow());
+      expect((await streakService.repairStreak('user-1')).error).toBe('repair_unavailable');
+    });
+  });
+
+  describe('Leaderboards', () => {
+
+    const boardRow = (userId, rank, total = 2) => ({
+      user_id: userId,
+      rank: String(rank),
+      total: String(total),
+      current_streak: 10 - rank,
+      weekly_check_ins: 7 - rank,
+      badges: null
+    });
+
+    const mockBoard = ({ viewer = streakRow({ country: 'MX', zodiac_sign: 'leo' }), page = [], mine = [] } = {}) => {
+      db.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('SELECT * FROM user_streaks')) return { rows: viewer ? [viewer] : [] };
+        if (sql.includes('WHERE user_id = $')) return { rows: mine };
+        if (sql.includes('COUNT(*)::int AS total FROM ranked')) return { rows: [{ total: 0 }] };
+        return { rows: page };
+      });
+    };
+
+    const boardQuery = () => db.query.mock.calls.find(([sql]) => sql.includes('LIMIT $'));
+
+    test('should rank the viewer even outside the requested page', async () => {
+      mockBoard({ page: [boardRow('user-2', 1, 40), boardRow('user-3', 2, 40)], mine: [boardRow('user-1', 37, 40)] });
+
+      const result = await streakService.getLeaderboard({ userId: 'user-1', limit: 2 });
+
+      expect(result.leaderboard.map(entry => entry.rank)).toEqual([1, 2]);
+      expect(result.my_rank).toMatchObject({ user_id: 'user-1', rank: 37 });
+      expect(result.pagination).toEqual({ limit: 2, offset: 0, total: 40, has_more: true });
+    });
+
+    test('should hide opted-out users from public boards', async () => {
+      mockBoard();
+
+      await streakService.getLeaderboard({ userId: 'user-1' });
+
+      expect(boardQuery()[0]).toContain('NOT us.leaderboard_opt_out');
+      expect(boardQuery()[0]).not.toContain('user_follows');
+    });
+
+    test('should rank all-time boards on streaks that are still alive', async () => {
+      mockBoard();
+
+      await streakService.getLeaderboard({ userId: 'user-1' });
+
+      const [sql] = boardQuery();
+      expect(sql).toContain("(NOW() AT TIME ZONE COALESCE(us.timezone, 'UTC'))::date - us.last_check_in - 1 <= COALESCE(us.freeze_tokens, 0)");
+      expect(sql).toMatch(/ELSE 0\s+END > 0/);
+      expect(sql).not.toContain('us.current_streak > 0');
+      expect(sql).not.toContain('ORDER BY us.current_streak');
+    });
+
+    test('should scope country and sign boards to the viewer by default', async () => {
+      mockBoard();
+      await streakService.getLeaderboard({ userId: 'user-1', scope: 'country' });
+      expect(boardQuery()[1]).toEqual(['2026-03-04', 'MX', 10, 0]);
+
+      db.query.mockReset();
+      mockBoard();
+      await streakService.getLeaderboard({ userId: 'user-1', scope: 'sign', zodiacSign: 'Aries', window: 'weekly', offset: 20 });
+      expect(boardQuery()[0]).toContain('us.zodiac_sign = $2');
+      expect(boardQuery()[0]).toContain('COALESCE(w.check_ins, 0) DESC');
+      expect(boardQuery()[1]).toEqual(['2026-03-04', 'aries', 10, 20]);
+    });
+
+    test('should build the friends board from follows', async () => {
+      mockBoard();
+
+      await streakService.getLeaderboard({ userId: 'user-1', scope: 'friends' });
+
+      expect(boardQuery()[0]).toContain('SELECT followee_id FROM user_follows WHERE follower_id = $2');
+      expect(boardQuery()[1].slice(0, 2)).toEqual(['2026-03-04', 'user-1']);
+    });
+
+    test('should reject boards without the data they need', async () => {
+      mockBoard({ viewer: null });
+
+      expect((await streakService.getLeaderboard({ scope: 'friends' })).error).toBe('user_required');
+      expect((await streakService.getLeaderboard({ userId: 'user-9', scope: 'country' })).error).toBe('country_required');
+      expect((await streakService.getLeaderboard({ scope: 'planet' })).error).toBe('invalid_leaderboard');
+    });
+
+    test('should keep accepting a plain limit', async () => {
+      mockBoard({ viewer: null });
+
+      const result = await streakService.getLeaderboard(5);
+
+      expect(result.pagination.limit).toBe(5);
+      expect(result.my_rank).toBeNull();
+    });
+
+    test('should not let users follow themselves', async () => {
+      expect((await streakService.followUser('user-1', 'user-1')).error).toBe('cannot_follow_self');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getStreak', () => {
+
+    test('should report today\'s check-in using the local day', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-10' }));
+
+      const result = await streakService.getStreak('user-1');
+
+      expect(result).toMatchObject({ has_checked_in_today: true, current_streak: 4, last_check_in: '2026-03-10' });
+    });
+
+    test('should keep a streak that can still be continued today', async () => {
+      mockRow(streakRow());
+
+      const result = await streakService.getStreak('user-1');
+
+      expect(result).toMatchObject({ has_checked_in_today: false, current_streak: 4 });
+    });
+
+    test('should report a lapsed streak as zero', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-08' }));
+
+      const result = await streakService.getStreak('user-1');
+
+      expect(result.current_streak).toBe(0);
+      expect(result.next_milestone.streak).toBe(3);
+    });
+
+    test('should count a streak covered by freezes as alive', async () => {
+      mockRow(streakRow({ last_check_in: '2026-03-08', freeze_tokens: 1 }));
+
+      const result = await streakService.getStreak('user-1');
+
+      expect(result).toMatchObject({ current_streak: 4, freeze_tokens: 1, freezes_pending: 1 });
+    });
+
+    test('should return the repair offer and protection events', async () => {
+      const events = [{ event_type: 'streak_broken', streak_value: 200 }];
+      mockRow(streakRow({
+        current_streak: 1,
+        last_check_in: '2026-03-10',
+        repairable_streak: 200,
+        repair_available_until: new Date('2026-03-12T00:00:00Z')
+      }), { events });
+
+      const result = await streakService.getStreak('user-1', { tier: 'cosmic' });
+
+      expect(result.repair).toMatchObject({ streak: 200, expires_at: '2026-03-12T00:00:00.000Z' });
+      expect(result.protection_events).toEqual(events);
+      expect(result.monthly_freeze_allowance).toBe(1);
+    });
+  });
+});
+
+describe('🌐 Streak route', () => {
+  let server;
+  let port;
+
+  beforeAll(done => {
+    const app = express();
+    app.use('/api/streaks', streakRoutes);
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const getStreak = (path, role) => new Promise((resolve, reject) => {
+    const token = jwt.sign({ userId: 'user-1', role }, process.env.JWT_SECRET || 'fallback-secret-key');
+    http.get({ port, path, headers: { Authorization: `Bearer ${token}` } }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString()) }));
+    }).on('error', reject);
+  });
+
+  test('should take the freeze allowance tier from the account, not the query', async () => {
+    const spy = jest.spyOn(streakService, 'getStreak').mockResolvedValue({ success: true });
+
+    const free = await getStreak('/api/streaks/me?tier=stellar&timezone=UTC', 'user');
+    const premium = await getStreak('/api/streaks/me', 'premium_user');
+
+    expect(free.status).toBe(200);
+    expect(premium.status).toBe(200);
+    expect(spy).toHaveBeenNthCalledWith(1, 'user-1', { timezone: 'UTC', country: undefined, tier: 'free' });
+    expect(spy).toHaveBeenNthCalledWith(2, 'user-1', { timezone: undefined, country: undefined, tier: 'stellar' });
+  });
+});
@@ -0,0 +1,427 @@
+/**
+ * 🧪 USER DATA CONTROLS TESTS
+ *
+ * Memory editing and pinning, GDPR export (JSON and ZIP) and erasure
+ * across the DATA_SOURCES registry, the audit trail, the wiring check used
+ * by the GDPR compliance validation, and the /api/user-data routes.
+ *
+ * Run: npm test tests/userData.test.js
+ */
+
+jest.mock('../src/config/db', () => ({ query: jest.fn(), connect: jest.fn() }));
+jest.mock('../src/services/redisService', () => ({
+  get: jest.fn().mockResolvedValue(null),
+  delete: jest.fn().mockResolvedValue(true)
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const db = require('../src/config/db');
+const redisService = require('../src/services/redisService');
+const memoryService = require('../src/services/memoryService');
+const voiceAIService = require('../src/services/voiceAIService');
+const userDataService = require('../src/services/userDataService');
+const userDataRoutes = require('../src/routes/userData');
+const { createZipArchive, readZipArchive, crc32 } = require('../src/utils/zipArchive');
+
+const USER_ID = '11111111-1111-1111-1111-111111111111';
+const MEMORY_ID = '0f7c2b5e-3c1d-4a8e-9b6f-2d4e6a8c0b1d';
+const AUDIT_ID = 'a0000000-0000-4000-8000-000000000001';
+
+// information_schema rows for a small deployment
+const SCHEMA = {
+  chat_sessions: { session_id: 'uuid', user_id: 'character varying' },
+  chat_messages: { id: 'integer', session_id: 'uuid', content: 'text' },
+  user_memories: { id: 'uuid', user_id: 'uuid', content: 'text', embedding: 'jsonb' },
+  calendar_feeds: { id: 'uuid', user_id: 'uuid', token_hash: 'character', name: 'character varying' },
+  user_follows: { follower_id: 'uuid', followee_id: 'uuid' },
+  voice_audio_files: { user_id: 'character varying', file_name: 'character varying' },
+  receipt_validations: { id: 'integer', user_id: 'character varying' },
+  data_privacy_requests: { id: 'uuid', user_id_hash: 'character varying' }
+};
+
+const schemaRows = (schema) => Object.entries(schema).flatMap(([table, columns]) =>
+  Object.entries(columns).map(([column, type]) => ({ table_name: table, column_name: column, data_type: type }))
+);
+
+const TABLE_ROWS = {
+  chat_sessions: [{ session_id: 'session-1', user_id: USER_ID }],
+  chat_messages: [{ id: 1, session_id: 'session-1', content: 'Hello Stella' }],
+  user_memories: [{ id: MEMORY_ID, user_id: USER_ID, content: 'Exam on Friday', embedding: '[0.1,0.2]' }],
+  calendar_feeds: [{ id: 'feed-1', user_id: USER_ID, token_hash: 'abc', name: 'Moon' }],
+  receipt_validations: [{ id: 7, user_id: USER_ID }]
+};
+
+const tableOf = sql => (sql.match(/(?:FROM|DELETE FROM) (\w+) WHERE/) || [])[1];
+
+// Routes each statement to a canned result and records it
+const mockDatabase = ({ schema = SCHEMA, failOn = null } = {}) => {
+  const statements = [];
+  const run = async (sql, params) => {
+    statements.push({ sql, params });
+    if (failOn && sql.includes(failOn)) throw new Error('deadlock detected');
+    if (sql.includes('information_schema.columns')) return { rows: schemaRows(schema) };
+    if (sql.includes('INSERT INTO data_privacy_requests')) return { rows: [{ id: AUDIT_ID }] };
+    if (sql.includes('FROM voice_audio_files mine')) return { rows: [{ file_name: 'personalized_a.mp3' }] };
+    if (sql.startsWith('SELECT session_id FROM chat_sessions')) return { rows: [{ session_id: 'session-1' }] };
+    if (sql.startsWith('DELETE')) return { rows: [], rowCount: (TABLE_ROWS[tableOf(sql)] || []).length };
+    if (sql.startsWith('SELECT * FROM')) return { rows: TABLE_ROWS[tableOf(sql)] || [] };
+    return { rows: [] };
+  };
+
+  const client = { query: jest.fn(run), release: jest.fn() };
+  db.query.mockImplementation(run);
+  db.connect.mockResolvedValue(client);
+  return { statements, client };
+};
+
+const auditUpdates = () => db.query.mock.calls
+  .filter(([sql]) => sql.includes('UPDATE data_privacy_requests'))
+  .map(([, params]) => ({ status: params[1], summary: JSON.parse(params[2]), error: params[3] }));
+
+describe('🗜️ ZIP archives', () => {
+  test('round-trips entries with folders and UTF-8 names', () => {
+    const archive = createZipArchive([
+      { name: 'manifest.json', data: '{"ok":true}' },
+      { name: 'audio/meditación.mp3', data: Buffer.alloc(2048, 7) },
+      { name: 'empty.txt', data: '' }
+    ]);
+
+    const entries = readZipArchive(archive);
+
+    expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+    expect(entries.map(e => e.name)).toEqual(['manifest.json', 'audio/meditación.mp3', 'empty.txt']);
+    expect(entries[0].data.toString()).toBe('{"ok":true}');
+    expect(entries[1].data.equals(Buffer.alloc(2048, 7))).toBe(true);
+    expect(entries[2].data.length).toBe(0);
+  });
+
+  test('computes the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789')).toString(16)).toBe('cbf43926');
+  });
+});
+
+describe('🔐 User Data Service', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-data-'));
+    fs.writeFileSync(path.join(tmpDir, 'personalized_a.mp3'), Buffer.from('ID3 audio'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    db.query.mockReset();
+    db.connect.mockReset();
+    redisService.get.mockResolvedValue(null);
+    redisService.delete.mockClear();
+    jest.spyOn(voiceAIService, 'getUserAudioFiles').mockResolvedValue([
+      { file_name: 'personalized_a.mp3', content_type: 'personalized', path: path.join(tmpDir, 'personalized_a.mp3') },
+      { file_name: 'personalized_gone.mp3', content_type: 'personalized', path: path.join(tmpDir, 'personalized_gone.mp3') }
+    ]);
+    jest.spyOn(voiceAIService, 'deleteAudioFiles').mockImplementation(async files => files.length);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Export', () => {
+    test('exports every existing source without secrets and audits the request', async () => {
+      mockDatabase();
+      redisService.get.mockResolvedValue({ id: USER_ID, email: 'luna@example.com', password: 'hash' });
+
+      const { format, data } = await userDataService.exportUserData(USER_ID);
+
+      expect(format).toBe('json');
+      expect(data.account).toEqual({ id: USER_ID, email: 'luna@example.com' });
+      expect(data.sections.coach.chat_messages).toEqual(TABLE_ROWS.chat_messages);
+      expect(data.sections.coach.user_memories[0]).not.toHaveProperty('embedding');
+      expect(data.sections.calendar.calendar_feeds[0]).not.toHaveProperty('token_hash');
+      expect(data.sections.streaks).toHaveProperty(['user_follows.following']);
+      expect(data.sections.streaks).toHaveProperty(['user_follows.followers']);
+      // Retained tables are still exported
+      expect(data.sections.subscriptions.receipt_validations).toHaveLength(1);
+      // Tables missing from this deployment are skipped
+      expect(data.sections.goals).toBeUndefined();
+
+      const [insert] = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO data_privacy_requests'));
+      expect(insert).toContain("'started'");
+      expect(auditUpdates()).toEqual([
+        expect.objectContaining({ status: 'completed', summary: expect.objectContaining({ format: 'json', rows: 5 }) })
+      ]);
+    });
+
+    test('stores the user id only as a hash in the audit trail', async () => {
+      mockDatabase();
+
+      await userDataService.exportUserData(USER_ID);
+
+      const [, params] = db.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO data_privacy_requests'));
+      expect(params[0]).toMatch(/^[0-9a-f]{64}$/);
+      expect(params).not.toContain(USER_ID);
+    });
+
+    test('skips UUID columns for ids that are not UUIDs', async () => {
+      const { statements } = mockDatabase();
+
+      await userDataService.exportUserData('legacy-42');
+
+      const tables = statements.filter(s => s.sql.startsWith('SELECT * FROM')).map(s => tableOf(s.sql));
+      expect(tables).toEqual(expect.arrayContaining(['chat_sessions', 'chat_messages', 'voice_audio_files']));
+      expect(tables).not.toContain('user_memories');
+      expect(tables).not.toContain('user_follows');
+    });
+
+    test('builds a ZIP with a manifest, one file per section and the voice audio', async () => {
+      mockDatabase();
+
+      const result = await userDataService.exportUserData(USER_ID, { format: 'zip' });
+      const entries = readZipArchive(result.buffer);
+      const names = entries.map(e => e.name);
+      const manifest = JSON.parse(entries.find(e => e.name === 'manifest.json').data);
+
+      expect(result.fileName).toMatch(/^cosmic-coach-export-\d{4}-\d{2}-\d{2}\.zip$/);
+      expect(names).toEqual(expect.arrayContaining([
+        'manifest.json', 'account.json', 'data/coach.json', 'data/calendar.json', 'audio/personalized_a.mp3'
+      ]));
+      expect(manifest.sections.coach.chat_messages).toBe(1);
+      expect(manifest.audio).toEqual(['personalized_a.mp3']);
+      expect(entries.find(e => e.name === 'audio/personalized_a.mp3').data.toString()).toBe('ID3 audio');
+    });
+
+    test('marks the audit failed when the export fails', async () => {
+      mockDatabase({ failOn: 'FROM chat_messages' });
+
+      await expect(userDataService.exportUserData(USER_ID)).rejects.toThrow('deadlock detected');
+      expect(auditUpdates()).toEqual([expect.objectContaining({ status: 'failed', error: 'deadlock detected' })]);
+    });
+
+    test('rejects unknown formats', async () => {
+      await expect(userDataService.exportUserData(USER_ID, { format: 'xml' })).rejects.toThrow('Unknown export format');
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Erasure', () => {
+    test('deletes children before parents in one transaction, then files and cache', async () => {
+      const { client } = mockDatabase();
+
+      const result = await userDataService.eraseUserData(USER_ID);
+
+      const statements = client.query.mock.calls.map(([sql]) => sql);
+      const deletes = statements.filter(sql => sql.startsWith('DELETE')).map(tableOf);
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements[statements.length - 1]).toBe('COMMIT');
+      expect(deletes).toEqual([
+        'chat_messages', 'chat_sessions', 'user_memories', 'user_follows', 'user_follows',
+        'calendar_feeds', 'voice_audio_files'
+      ]);
+      expect(statements.find(sql => sql.startsWith('DELETE FROM chat_messages')))
+        .toContain('session_id IN (SELECT session_id FROM chat_sessions WHERE user_id = $1)');
+      expect(client.release).toHaveBeenCalled();
+
+      expect(result.rows).toMatchObject({ chat_messages: 1, user_memories: 1, calendar_feeds: 1 });
+      expect(result.retained).toEqual(['receipt_validations']);
+      expect(voiceAIService.deleteAudioFiles).toHaveBeenCalledWith(['personalized_a.mp3']);
+      expect(redisService.delete.mock.calls.map(([key]) => key)).toEqual(expect.arrayContaining([
+        `user:${USER_ID}`, `ai_coach_memory:${USER_ID}`, 'ai_coach_session:session-1'
+      ]));
+      expect(auditUpdates()).toEqual([
+        expect.objectContaining({ status: 'completed', summary: expect.objectContaining({ audioFiles: 1 }) })
+      ]);
+    });
+
+    test('rolls back and keeps files and cache when a delete fails', async () => {
+      const { client } = mockDatabase({ failOn: 'DELETE FROM calendar_feeds' });
+
+      await expect(userDataService.eraseUserData(USER_ID)).rejects.toThrow('deadlock detected');
+
+      expect(client.query.mock.calls.map(([sql]) => sql)).toContain('ROLLBACK');
+      expect(client.query.mock.calls.map(([sql]) => sql)).not.toContain('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+      expect(voiceAIService.deleteAudioFiles).not.toHaveBeenCalled();
+      expect(redisService.delete).not.toHaveBeenCalled();
+      expect(auditUpdates()).toEqual([expect.objectContaining({ status: 'failed', error: 'deadlock detected' })]);
+    });
+  });
+
+  describe('Wiring check', () => {
+    test('passes when every user table is covered and the audit table exists', async () => {
+      mockDatabase();
+
+      await expect(userDataService.verifyWiring()).resolves.toEqual([]);
+    });
+
+    test('flags uncovered user tables and a missing audit table', async () => {
+      const { data_privacy_requests, ...schema } = SCHEMA;
+      mockDatabase({ schema: { ...schema, tarot_readings: { id: 'integer', user_id: 'uuid' } } });
+
+      const issues = await userDataService.verifyWiring();
+
+      expect(issues).toEqual([
+        'Data privacy audit table (data_privacy_requests) missing',
+        'User data in tarot_readings is not covered by export/erasure'
+      ]);
+    });
+
+    test('is part of the GDPR compliance validation', async () => {
+      mockDatabase({ schema: { ...SCHEMA, tarot_readings: { user_id: 'uuid' } } });
+      const securityHardeningService = require('../src/services/securityHardeningService');
+
+      const result = await securityHardeningService.validateGDPRCompliance();
+
+      expect(result.compliant).toBe(false);
+      expect(result.issues).toContain('User data in tarot_readings is not covered by export/erasure');
+    });
+  });
+});
+
+describe('✏️ Memory editing', () => {
+  beforeEach(() => {
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [{ id: MEMORY_ID, content: 'Final exam', pinned: true }] });
+  });
+
+  afterAll(() => {
+    memoryService.setVectorStore(undefined);
+  });
+
+  test('updates only the given fields for the owner and drops a stale embedding', async () => {
+    memoryService.setVectorStore({ name: 'test' });
+
+    const memory = await memoryService.updateMemory(USER_ID, MEMORY_ID, {
+      content: '  Final exam ',
+      pinned: true,
+      importance: 14
+    });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(memory).toEqual({ id: MEMORY_ID, content: 'Final exam', pinned: true });
+    expect(sql).toContain('SET content = $3, embedding = NULL, embedding_model = NULL, importance = $4, pinned = $5');
+    expect(sql).toContain('WHERE id = $1 AND user_id = $2');
+    expect(params).toEqual([MEMORY_ID, USER_ID, 'Final exam', 10, true]);
+  });
+
+  test('resolving records who resolved it', async () => {
+    memoryService.setVectorStore(null);
+
+    await memoryService.updateMemory(USER_ID, MEMORY_ID, { resolved: true });
+
+    const [sql, params] = db.query.mock.calls[0];
+    expect(sql).toContain('resolved = $3, resolution_note = $4, resolved_at = NOW()');
+    expect(params.slice(2)).toEqual([true, 'Resolved by user']);
+  });
+
+  test('returns null for a memory the user does not own', async () => {
+    db.query.mockResolvedValue({ rows: [] });
+
+    await expect(memoryService.updateMemory(USER_ID, MEMORY_ID, { pinned: false })).resolves.toBeNull();
+  });
+
+  test('rejects unknown types, invalid dates and empty updates', async () => {
+    await expect(memoryService.updateMemory(USER_ID, MEMORY_ID, { memoryType: 'dream' })).rejects.toThrow('Unknown memory type');
+    await expect(memoryService.updateMemory(USER_ID, MEMORY_ID, { eventDate: 'Friday' })).rejects.toThrow('Invalid event date');
+    await expect(memoryService.updateMemory(USER_ID, MEMORY_ID, {})).rejects.toThrow('No memory fields');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+});
+
+describe('🌐 User data routes', () => {
+  let server;
+  let port;
+  const token = jwt.sign({ userId: USER_ID }, process.env.JWT_SECRET || 'fallback-secret-key');
+
+  beforeAll(done => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/user-data', userDataRoutes);
+    server = app.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const request = (method, urlPath, body) => new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : '';
+    const req = http.request({
+      port,
+      method,
+      path: urlPath,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        Authorization: `Bearer ${token}`
+      }
+    }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+
+  test('pins a memory for the authenticated user', async () => {
+    const update = jest.spyOn(memoryService, 'updateMemory').mockResolvedValue({ id: MEMORY_ID, pinned: true });
+
+    const res = await request('PATCH', `/api/user-data/memories/${MEMORY_ID}`, { pinned: true, ignored: 'x' });
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.body).memory.pinned).toBe(true);
+    expect(update).toHaveBeenCalledWith(USER_ID, MEMORY_ID, { pinned: true });
+  });
+
+  test('rejects edits without fields and unknown memory types', async () => {
+    const update = jest.spyOn(memoryService, 'updateMemory');
+
+    expect((await request('PATCH', `/api/user-data/memories/${MEMORY_ID}`, {})).status).toBe(400);
+    expect((await request('PATCH', `/api/user-data/memories/${MEMORY_ID}`, { memoryType: 'dream' })).status).toBe(400);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('serves the ZIP export as a download', async () => {
+    jest.spyOn(userDataService, 'exportUserData').mockResolvedValue({
+      format: 'zip',
+      fileName: 'cosmic-coach-export-2026-10-18.zip',
+      buffer: createZipArchive([{ name: 'manifest.json', data: '{}' }])
+    });
+
+    const res = await request('GET', '/api/user-data/export?format=zip');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toContain('cosmic-coach-export-2026-10-18.zip');
+    expect(readZipArchive(res.body).map(e => e.name)).toEqual(['manifest.json']);
+  });
+
+  test('erases only with explicit confirmation', async () => {
+    const erase = jest.spyOn(userDataService, 'eraseUserData').mockResolvedValue({
+      auditId: AUDIT_ID, rows: { user_memories: 3 }, retained: [], audioFiles: 0
+    });
+
+    expect((await request('DELETE', '/api/user-data', {})).status).toBe(400);
+    expect(erase).not.toHaveBeenCalled();
+
+    const res = await request('DELETE', '/api/user-data', { confirm: 'DELETE' });
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.body)).toMatchObject({ success: true, requestId: AUDIT_ID, deleted: { user_memories: 3 } });
+    expect(erase).toHaveBeenCalledWith(USER_ID);
+  });
+});